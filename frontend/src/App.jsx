@@ -32,6 +32,10 @@ const MachineStatusPage = React.lazy(() => import('./pages/MachineStatus'));
 const QualityTestsPage = React.lazy(() => import('./pages/QualityTests'));
 const QualityTestFormPage = React.lazy(() => import('./pages/QualityTestForm'));
 const QualityTestDetailPage = React.lazy(() => import('./pages/QualityTestDetail'));
+const QualitySPCPage = React.lazy(() => import('./pages/QualitySPC'));
+const NonConformancesPage = React.lazy(() => import('./pages/NonConformances'));
+const NonConformanceDetailPage = React.lazy(() => import('./pages/NonConformanceDetail'));
+const LotStatusesPage = React.lazy(() => import('./pages/LotStatuses'));
 
 const QualityTestPage = React.lazy(() => import('./pages/QualityTest'));
 const ReportsPage = React.lazy(() => import('./pages/Reports'));
@@ -43,6 +47,14 @@ const PersonalSettingsPage = React.lazy(() => import('./pages/PersonalSettings')
 const TeflonPage = React.lazy(() => import('./pages/Teflon'));
 const TeflonChangePage = React.lazy(() => import('./pages/TeflonChange'));
 const TeflonDetailPage = React.lazy(() => import('./pages/TeflonDetail'));
+const MaintenancePage = React.lazy(() => import('./pages/Maintenance'));
+const MaintenanceWorkOrderPage = React.lazy(() => import('./pages/MaintenanceWorkOrder'));
+const ShiftReconciliationPage = React.lazy(() => import('./pages/ShiftReconciliation'));
+const ProductionLedgerPage = React.lazy(() => import('./pages/ProductionLedger'));
+const ProductionOrdersPage = React.lazy(() => import('./pages/ProductionOrders'));
+const AndonBoardPage = React.lazy(() => import('./pages/AndonBoard'));
+const AndonKioskPage = React.lazy(() => import('./pages/AndonKiosk'));
+const WallboardPage = React.lazy(() => import('./pages/Wallboard'));
 const UsersPage = React.lazy(() => import('./pages/Users'));
 const UserNewPage = React.lazy(() => import('./pages/UserNew'));
 const UserDetailPage = React.lazy(() => import('./pages/UserDetail'));
@@ -50,6 +62,7 @@ const UserEditPage = React.lazy(() => import('./pages/UserEdit'));
 const PermissionsPage = React.lazy(() => import('./pages/Permissions'));
 const OperatorAssignmentPage = React.lazy(() => import('./pages/OperatorAssignment'));
 const ShiftManagement3x3Page = React.lazy(() => import('./pages/ShiftManagement3x3'));
+const MachineSignalsPage = React.lazy(() => import('./pages/MachineSignals'));
 const ProfilePage = React.lazy(() => import('./pages/Profile'));
 
 // Componente 404
@@ -217,6 +230,16 @@ function App() {
       '/quality': 'Testes de Qualidade',
       '/quality/tests': 'Testes de Qualidade',
       '/quality/new-test': 'Novo Teste de Qualidade',
+      '/quality/spc': 'Cartas de Controle (CEP)',
+      '/quality/non-conformances': 'Não Conformidades',
+      '/quality/lots': 'Status de Lotes',
+      '/maintenance': 'Manutenção',
+      '/shift-reconciliation': 'Reconciliação de Turnos',
+      '/production-ledger': 'Livro de Produção',
+      '/production-orders': 'Ordens de Produção',
+      '/andon': 'Andon',
+      '/andon/kiosk': 'Andon - Quiosque',
+      '/machine-signals': 'Sinais das Máquinas',
 
       '/notifications': 'Notificações',
       '/notifications/dashboard': 'Dashboard de Notificações',
@@ -232,6 +255,15 @@ function App() {
     if (pathname.startsWith('/quality/tests/')) {
       return 'Detalhes do Teste';
     }
+    if (pathname.startsWith('/quality/non-conformances/')) {
+      return 'Não Conformidade';
+    }
+    if (pathname.startsWith('/maintenance/work-orders/')) {
+      return 'Ordem de Serviço';
+    }
+    if (pathname.startsWith('/wallboard/')) {
+      return 'Painel de TV';
+    }
     if (pathname.includes('/operation')) {
       return 'Operação de Máquinas';
     }
@@ -277,6 +309,28 @@ function App() {
               }
             />
 
+            {/* Quiosque de andon em tela cheia (fora do layout) */}
+            <Route
+              path="/andon/kiosk"
+              element={
+                <ProtectedRoute>
+                  <Suspense fallback={<PageLoader />}>
+                    <AndonKioskPage />
+                  </Suspense>
+                </ProtectedRoute>
+              }
+            />
+
+            {/* Painel de TV: token de quiosque na URL, sem login */}
+            <Route
+              path="/wallboard/:token"
+              element={
+                <Suspense fallback={<PageLoader />}>
+                  <WallboardPage />
+                </Suspense>
+              }
+            />
+
             {/* Rotas protegidas */}
             <Route
               path="/*"
@@ -412,6 +466,38 @@ function App() {
                             </AnimatedPage>
                           }
                         />
+                        <Route
+                          path="/quality/spc"
+                          element={
+                            <AnimatedPage>
+                              <QualitySPCPage />
+                            </AnimatedPage>
+                          }
+                        />
+                        <Route
+                          path="/quality/non-conformances"
+                          element={
+                            <AnimatedPage>
+                              <NonConformancesPage />
+                            </AnimatedPage>
+                          }
+                        />
+                        <Route
+                          path="/quality/non-conformances/:id"
+                          element={
+                            <AnimatedPage>
+                              <NonConformanceDetailPage />
+                            </AnimatedPage>
+                          }
+                        />
+                        <Route
+                          path="/quality/lots"
+                          element={
+                            <AnimatedPage>
+                              <LotStatusesPage />
+                            </AnimatedPage>
+                          }
+                        />
                         <Route
                           path="/quality/tests/:id"
                           element={
@@ -546,6 +632,64 @@ function App() {
                           }
                         />
 
+                        {/* Manutenção */}
+                        <Route
+                          path="/maintenance"
+                          element={
+                            <AnimatedPage>
+                              <MaintenancePage />
+                            </AnimatedPage>
+                          }
+                        />
+                        <Route
+                          path="/maintenance/work-orders/:id"
+                          element={
+                            <AnimatedPage>
+                              <MaintenanceWorkOrderPage />
+                            </AnimatedPage>
+                          }
+                        />
+
+                        {/* Reconciliação de turnos */}
+                        <Route
+                          path="/shift-reconciliation"
+                          element={
+                            <AnimatedPage>
+                              <ShiftReconciliationPage />
+                            </AnimatedPage>
+                          }
+                        />
+
+                        {/* Livro de produção */}
+                        <Route
+                          path="/production-ledger"
+                          element={
+                            <AnimatedPage>
+                              <ProductionLedgerPage />
+                            </AnimatedPage>
+                          }
+                        />
+
+                        {/* Ordens de produção */}
+                        <Route
+                          path="/production-orders"
+                          element={
+                            <AnimatedPage>
+                              <ProductionOrdersPage />
+                            </AnimatedPage>
+                          }
+                        />
+
+                        {/* Quadro de andon */}
+                        <Route
+                          path="/andon"
+                          element={
+                            <AnimatedPage>
+                              <AndonBoardPage />
+                            </AnimatedPage>
+                          }
+                        />
+
                         {/* Usuários */}
                         <Route
                           path="/users"
@@ -616,6 +760,18 @@ function App() {
                           }
                         />
 
+                        {/* Sinais das máquinas */}
+                        <Route
+                          path="/machine-signals"
+                          element={
+                            <ProtectedRoute requiredRole={['MANAGER', 'ADMIN']}>
+                              <AnimatedPage>
+                                <MachineSignalsPage />
+                              </AnimatedPage>
+                            </ProtectedRoute>
+                          }
+                        />
+
                         {/* Perfil */}
                         <Route
                           path="/profile"
@@ -0,0 +1,173 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { WrenchScrewdriverIcon, BeakerIcon, CubeIcon, UserIcon } from '@heroicons/react/24/outline';
+import { useAuth } from '../hooks/useAuth';
+import { useSocket } from '../hooks/useSocket';
+import andonService from '../services/andon';
+import { cn } from '../lib/utils';
+
+// Ícone, cores e rótulo de cada categoria de chamado
+export const ANDON_CATEGORY_STYLES = {
+  MAINTENANCE: { label: 'Manutenção', icon: WrenchScrewdriverIcon, button: 'bg-orange-500 hover:bg-orange-600', badge: 'bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-300', border: 'border-orange-500' },
+  QUALITY: { label: 'Qualidade', icon: BeakerIcon, button: 'bg-purple-600 hover:bg-purple-700', badge: 'bg-purple-100 text-purple-800 dark:bg-purple-900/20 dark:text-purple-300', border: 'border-purple-500' },
+  MATERIAL: { label: 'Material', icon: CubeIcon, button: 'bg-blue-600 hover:bg-blue-700', badge: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-300', border: 'border-blue-500' },
+  LEADER: { label: 'Líder', icon: UserIcon, button: 'bg-green-600 hover:bg-green-700', badge: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-300', border: 'border-green-500' }
+};
+
+export const ANDON_STATUS_LABELS = {
+  OPEN: 'Aguardando',
+  ACKNOWLEDGED: 'Reconhecido',
+  ARRIVED: 'No posto',
+  RESOLVED: 'Resolvido',
+  CANCELLED: 'Cancelado'
+};
+
+const ACTIVE_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'ARRIVED'];
+
+/**
+ * Botões de chamado de andon para uma das máquinas do operador
+ * @param {Array} machines - Máquinas que o usuário pode operar
+ * @param {number|string} initialMachineId - Máquina selecionada ao abrir
+ * @param {boolean} large - Botões grandes (modo quiosque)
+ */
+const AndonCallPanel = ({ machines = [], initialMachineId = null, large = false }) => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [machineId, setMachineId] = useState(initialMachineId ? String(initialMachineId) : '');
+  const [activeCalls, setActiveCalls] = useState([]);
+  const [sending, setSending] = useState(null);
+
+  useEffect(() => {
+    if (!machineId && machines.length > 0) {
+      setMachineId(String(machines[0].id));
+    }
+  }, [machines, machineId]);
+
+  useEffect(() => {
+    if (!machineId) return;
+
+    andonService.getCalls({ status: 'ACTIVE', machineId })
+      .then(response => setActiveCalls(response.data || []))
+      .catch(error => console.error('Erro ao carregar chamados de andon:', error));
+  }, [machineId]);
+
+  // Acompanhar o atendimento dos chamados da máquina em tempo real
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdate = (call) => {
+      if (String(call.machineId) !== machineId) return;
+      setActiveCalls(prev => {
+        const others = prev.filter(item => item.id !== call.id);
+        return ACTIVE_STATUSES.includes(call.status) ? [call, ...others] : others;
+      });
+    };
+
+    socket.on('andon:updated', handleUpdate);
+    return () => socket.off('andon:updated', handleUpdate);
+  }, [socket, machineId]);
+
+  const handleRaise = async (category) => {
+    setSending(category);
+    try {
+      const response = await andonService.raise(parseInt(machineId), category);
+      setActiveCalls(prev => [response.data, ...prev.filter(item => item.id !== response.data.id)]);
+      toast.success(response.message || 'Chamado aberto');
+    } catch (error) {
+      console.error('Erro ao abrir chamado de andon:', error);
+      toast.error(error.response?.data?.message || 'Erro ao abrir chamado');
+    } finally {
+      setSending(null);
+    }
+  };
+
+  const handleCancel = async (call) => {
+    if (!window.confirm(`Cancelar o chamado de ${call.categoryLabel.toLowerCase()}?`)) return;
+
+    try {
+      await andonService.cancel(call.id);
+      setActiveCalls(prev => prev.filter(item => item.id !== call.id));
+    } catch (error) {
+      console.error('Erro ao cancelar chamado de andon:', error);
+      toast.error(error.response?.data?.message || 'Erro ao cancelar chamado');
+    }
+  };
+
+  if (machines.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+        Nenhuma máquina autorizada para abrir chamados
+      </p>
+    );
+  }
+
+  return (
+    <div className="space-y-4">
+      {machines.length > 1 && (
+        <select
+          value={machineId}
+          onChange={(e) => setMachineId(e.target.value)}
+          className={cn(
+            'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent',
+            large ? 'text-xl py-3' : 'text-sm'
+          )}
+        >
+          {machines.map(machine => (
+            <option key={machine.id} value={machine.id}>{machine.name}</option>
+          ))}
+        </select>
+      )}
+
+      <div className="grid grid-cols-2 gap-3">
+        {Object.entries(ANDON_CATEGORY_STYLES).map(([category, style]) => {
+          const Icon = style.icon;
+          const activeCall = activeCalls.find(call => call.category === category);
+          return (
+            <button
+              key={category}
+              onClick={() => handleRaise(category)}
+              disabled={!machineId || !!activeCall || sending !== null}
+              className={cn(
+                'flex flex-col items-center justify-center rounded-lg text-white font-semibold transition-colors disabled:cursor-not-allowed',
+                style.button,
+                activeCall ? 'opacity-60 animate-pulse' : 'disabled:opacity-50',
+                large ? 'py-10 text-2xl' : 'py-4 text-sm'
+              )}
+            >
+              <Icon className={large ? 'h-14 w-14 mb-3' : 'h-6 w-6 mb-1'} />
+              {style.label}
+              {activeCall && (
+                <span className={cn('font-normal', large ? 'text-base mt-1' : 'text-xs')}>
+                  {ANDON_STATUS_LABELS[activeCall.status]}
+                </span>
+              )}
+            </button>
+          );
+        })}
+      </div>
+
+      {activeCalls.length > 0 && (
+        <div className="space-y-2">
+          {activeCalls.map(call => (
+            <div key={call.id} className={cn('flex items-center justify-between px-3 py-2 rounded-md', ANDON_CATEGORY_STYLES[call.category]?.badge)}>
+              <span className={large ? 'text-lg' : 'text-sm'}>
+                {call.categoryLabel} · {ANDON_STATUS_LABELS[call.status]}
+                {call.acknowledgedByName ? ` · ${call.acknowledgedByName}` : ''}
+              </span>
+              {call.raisedBy === user?.id && (
+                <button
+                  onClick={() => handleCancel(call)}
+                  className="text-xs font-medium underline hover:no-underline"
+                >
+                  Cancelar
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AndonCallPanel;
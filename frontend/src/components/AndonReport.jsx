@@ -0,0 +1,144 @@
+import React, { useState, useEffect } from 'react';
+import { MegaphoneIcon, BellAlertIcon, MapPinIcon, CheckCircleIcon } from '@heroicons/react/24/outline';
+import reportService from '../services/reports';
+import { formatNumber } from '../lib/utils';
+
+const formatMinutes = (minutes) => (minutes === null || minutes === undefined ? '—' : `${formatNumber(minutes)} min`);
+
+/**
+ * Tabela de tempos de resposta agrupados (por categoria ou por máquina)
+ */
+const ResponseTable = ({ title, rows, firstHeader, rowKey, renderLabel }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+    <h3 className="text-lg font-semibold text-gray-900 dark:text-white px-6 pt-6 pb-4">{title}</h3>
+    <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+      <thead className="bg-gray-50 dark:bg-gray-700">
+        <tr>
+          {[firstHeader, 'Chamados', 'Reconhecimento', 'Chegada (média)', 'Chegada (P90)', 'Resolução', 'Em aberto'].map(header => (
+            <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+        {rows.length === 0 && (
+          <tr>
+            <td colSpan={7} className="px-4 py-6 text-center text-gray-500 dark:text-gray-400">Nenhum chamado no período</td>
+          </tr>
+        )}
+        {rows.map(row => (
+          <tr key={rowKey(row)}>
+            <td className="px-4 py-2 text-gray-900 dark:text-white">{renderLabel(row)}</td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+              {row.count}
+              {row.cancelled > 0 && <span className="text-gray-500 dark:text-gray-400"> ({row.cancelled} cancelados)</span>}
+            </td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatMinutes(row.avgAckMinutes)}</td>
+            <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">{formatMinutes(row.avgArriveMinutes)}</td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatMinutes(row.p90ArriveMinutes)}</td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatMinutes(row.avgResolveMinutes)}</td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{row.active}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Relatório de andon: tempos de reconhecimento, chegada ao posto e resolução dos chamados
+ * @param {string} startDate - Início do período (ISO)
+ * @param {string} endDate - Fim do período (ISO)
+ * @param {string} machineId - Máquina selecionada ou 'ALL'
+ */
+const AndonReport = ({ startDate, endDate, machineId }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = { startDate, endDate };
+    if (machineId && machineId !== 'ALL') {
+      params.machineId = machineId;
+    }
+
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await reportService.getAndonReport(params);
+        setReport(response.data);
+      } catch (err) {
+        console.error('Erro ao carregar relatório de andon:', err);
+        setError('Erro ao carregar relatório de andon');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [startDate, endDate, machineId]);
+
+  if (loading && !report) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-700 dark:text-red-400">
+        {error}
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  const { totals } = report;
+  const cards = [
+    { label: 'Chamados', value: `${totals.count}`, detail: `${totals.resolved} resolvidos`, icon: MegaphoneIcon, color: 'text-blue-500' },
+    { label: 'Reconhecimento', value: formatMinutes(totals.avgAckMinutes), detail: `P90 ${formatMinutes(totals.p90AckMinutes)}`, icon: BellAlertIcon, color: 'text-amber-500' },
+    { label: 'Chegada ao posto', value: formatMinutes(totals.avgArriveMinutes), detail: `P90 ${formatMinutes(totals.p90ArriveMinutes)}`, icon: MapPinIcon, color: 'text-orange-500' },
+    { label: 'Resolução', value: formatMinutes(totals.avgResolveMinutes), detail: `máx. ${formatMinutes(totals.maxResolveMinutes)}`, icon: CheckCircleIcon, color: 'text-green-500' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Resumo */}
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
+        {cards.map(card => (
+          <div key={card.label} className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            <div className="flex items-center space-x-3">
+              <card.icon className={`h-8 w-8 ${card.color}`} />
+              <div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">{card.label}</div>
+                <div className="text-2xl font-bold text-gray-900 dark:text-white">{card.value}</div>
+                <div className="text-xs text-gray-500 dark:text-gray-400">{card.detail}</div>
+              </div>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <ResponseTable
+        title="Por Categoria"
+        rows={report.byCategory}
+        firstHeader="Categoria"
+        rowKey={row => row.category}
+        renderLabel={row => row.categoryLabel}
+      />
+
+      <ResponseTable
+        title="Por Máquina"
+        rows={report.byMachine}
+        firstHeader="Máquina"
+        rowKey={row => row.machineId}
+        renderLabel={row => row.machineName}
+      />
+    </div>
+  );
+};
+
+export default AndonReport;
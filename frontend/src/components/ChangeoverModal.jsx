@@ -0,0 +1,316 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { XMarkIcon, CheckCircleIcon, XCircleIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import changeoverService from '../services/changeovers';
+import productionOrderService from '../services/productionOrders';
+import { cn, formatTime } from '../lib/utils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const emptyForm = { productionOrderId: '', toProduct: '', toLot: '', notes: '' };
+
+const elapsedMinutes = (since) => Math.max(0, Math.floor((Date.now() - new Date(since).getTime()) / 60000));
+
+/**
+ * Troca de produto/lote da máquina: início do setup, checklist, teste da primeira peça e liberação
+ * @param {boolean} isOpen - Modal visível
+ * @param {Function} onClose - Fechar o modal
+ * @param {Object} machine - Máquina da troca
+ * @param {Object|null} changeover - Troca em andamento (null abre o formulário de início)
+ * @param {boolean} canCancel - Usuário pode cancelar a troca (líder e acima)
+ * @param {Function} onChange - Chamado com a troca atualizada
+ */
+const ChangeoverModal = ({ isOpen, onClose, machine, changeover, canCancel = false, onChange }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [orderQueue, setOrderQueue] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen || changeover) return;
+
+    productionOrderService.getMachineQueue(machine.id)
+      .then(response => setOrderQueue(response.data || []))
+      .catch(error => console.error('Erro ao carregar ordens da máquina:', error));
+  }, [isOpen, changeover, machine.id]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setForm(emptyForm);
+    }
+  }, [isOpen]);
+
+  const run = async (action, fallbackMessage) => {
+    setSaving(true);
+    try {
+      const response = await action();
+      if (response.message) {
+        toast.success(response.message);
+      }
+      if (onChange) {
+        onChange(response.data);
+      }
+      return response.data;
+    } catch (error) {
+      console.error('Erro na troca de produto:', error);
+      toast.error(error.response?.data?.message || fallbackMessage);
+      return null;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStart = (e) => {
+    e.preventDefault();
+    if (!form.productionOrderId && !form.toProduct.trim()) {
+      toast.error('Selecione a ordem ou informe o produto de destino');
+      return;
+    }
+
+    run(() => changeoverService.start({
+      machineId: machine.id,
+      productionOrderId: form.productionOrderId ? parseInt(form.productionOrderId) : null,
+      toProduct: form.toProduct.trim() || null,
+      toLot: form.toLot.trim() || null,
+      notes: form.notes.trim() || null
+    }), 'Erro ao iniciar troca');
+  };
+
+  const handleRefresh = () => run(() => changeoverService.getById(changeover.id), 'Erro ao atualizar troca');
+
+  const handleRelease = async () => {
+    const released = await run(() => changeoverService.release(changeover.id), 'Erro ao liberar máquina');
+    if (released) {
+      onClose();
+    }
+  };
+
+  const handleCancel = async () => {
+    const reason = window.prompt('Informe o motivo do cancelamento da troca:');
+    if (!reason || !reason.trim()) return;
+
+    const cancelled = await run(() => changeoverService.cancel(changeover.id, reason.trim()), 'Erro ao cancelar troca');
+    if (cancelled) {
+      onClose();
+    }
+  };
+
+  const pendingSteps = changeover ? changeover.steps.filter(step => !step.completed).length : 0;
+  const canRelease = changeover && pendingSteps === 0 && changeover.firstArticleTestId;
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50"
+          onClick={(e) => {
+            if (e.target === e.currentTarget && !saving) {
+              onClose();
+            }
+          }}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            transition={{ duration: 0.2 }}
+            className="w-full max-w-lg max-h-[90vh] overflow-y-auto bg-white dark:bg-gray-900 rounded-lg shadow-xl"
+          >
+            <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">
+                {changeover ? 'Troca em andamento' : 'Iniciar Troca de Produto'}
+              </h2>
+              <button
+                onClick={onClose}
+                disabled={saving}
+                className="p-1 rounded-md text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+              >
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            {!changeover ? (
+              <form onSubmit={handleStart} className="p-4 space-y-3">
+                <p className="text-sm text-gray-600 dark:text-gray-400">
+                  A máquina ficará parada com o motivo "Changeover" até o início da próxima operação.
+                </p>
+
+                {orderQueue.length > 0 && (
+                  <select
+                    value={form.productionOrderId}
+                    onChange={(e) => setForm(prev => ({ ...prev, productionOrderId: e.target.value }))}
+                    className={inputClassName}
+                  >
+                    <option value="">Sem ordem de produção</option>
+                    {orderQueue.map(order => (
+                      <option key={order.id} value={order.id}>
+                        {order.orderNumber} · {order.product}{order.lot ? ` · Lote ${order.lot}` : ''}
+                      </option>
+                    ))}
+                  </select>
+                )}
+
+                {!form.productionOrderId && (
+                  <div className="grid grid-cols-2 gap-2">
+                    <input
+                      type="text"
+                      placeholder="Novo produto"
+                      value={form.toProduct}
+                      onChange={(e) => setForm(prev => ({ ...prev, toProduct: e.target.value }))}
+                      className={inputClassName}
+                    />
+                    <input
+                      type="text"
+                      placeholder="Novo lote (opcional)"
+                      value={form.toLot}
+                      onChange={(e) => setForm(prev => ({ ...prev, toLot: e.target.value }))}
+                      className={inputClassName}
+                    />
+                  </div>
+                )}
+
+                <textarea
+                  rows={2}
+                  placeholder="Observações (opcional)"
+                  value={form.notes}
+                  onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                  className={inputClassName}
+                />
+
+                <div className="flex justify-end gap-2 pt-2">
+                  <button
+                    type="button"
+                    onClick={onClose}
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+                  >
+                    Cancelar
+                  </button>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-white bg-amber-600 hover:bg-amber-700 disabled:opacity-50 transition-colors"
+                  >
+                    {saving ? 'Iniciando...' : 'Iniciar Setup'}
+                  </button>
+                </div>
+              </form>
+            ) : (
+              <div className="p-4 space-y-4">
+                <div className="text-sm text-gray-700 dark:text-gray-300">
+                  <div className="font-medium text-gray-900 dark:text-white">
+                    {changeover.fromProduct || 'Sem produto'} → {changeover.toProduct}
+                    {changeover.toLot ? ` · Lote ${changeover.toLot}` : ''}
+                  </div>
+                  <div className="text-gray-500 dark:text-gray-400">
+                    Setup iniciado às {formatTime(changeover.startedAt)} por {changeover.startedByName || '—'} · {elapsedMinutes(changeover.startedAt)} min
+                  </div>
+                </div>
+
+                {/* Checklist */}
+                <div>
+                  <h3 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">Checklist</h3>
+                  <div className="space-y-1">
+                    {changeover.steps.map(step => (
+                      <label key={step.id} className="flex items-center gap-3 px-3 py-2 rounded-md hover:bg-gray-50 dark:hover:bg-gray-800 cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={step.completed}
+                          disabled={saving}
+                          onChange={(e) => run(
+                            () => changeoverService.setStep(changeover.id, step.id, e.target.checked),
+                            'Erro ao atualizar etapa'
+                          )}
+                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                        <span className={cn('flex-1 text-sm', step.completed ? 'text-gray-500 line-through' : 'text-gray-900 dark:text-white')}>
+                          {step.description}
+                        </span>
+                        {step.completedAt && (
+                          <span className="text-xs text-gray-500 dark:text-gray-400">{formatTime(step.completedAt)}</span>
+                        )}
+                      </label>
+                    ))}
+                  </div>
+                </div>
+
+                {/* Primeira peça */}
+                <div>
+                  <div className="flex items-center justify-between mb-2">
+                    <h3 className="text-sm font-semibold text-gray-900 dark:text-white">Teste da primeira peça</h3>
+                    <button
+                      type="button"
+                      onClick={handleRefresh}
+                      disabled={saving}
+                      className="p-1 rounded-md text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+                      title="Atualizar testes"
+                    >
+                      <ArrowPathIcon className="h-4 w-4" />
+                    </button>
+                  </div>
+                  {changeover.qualityTests.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">
+                      Registre o teste de qualidade da primeira peça do novo produto nesta máquina.
+                    </p>
+                  ) : (
+                    <div className="space-y-1">
+                      {changeover.qualityTests.map(test => (
+                        <div key={test.id} className="flex items-center gap-3 px-3 py-2 rounded-md border border-gray-200 dark:border-gray-700 text-sm">
+                          {test.approved
+                            ? <CheckCircleIcon className="h-5 w-5 text-green-500" />
+                            : <XCircleIcon className="h-5 w-5 text-red-500" />}
+                          <span className="flex-1 text-gray-900 dark:text-white">
+                            {test.product}{test.lot ? ` · Lote ${test.lot}` : ''} · {formatTime(test.createdAt)}
+                          </span>
+                          {changeover.firstArticleTestId === test.id ? (
+                            <span className="text-xs font-medium text-green-600 dark:text-green-400">Vinculado</span>
+                          ) : test.approved && (
+                            <button
+                              type="button"
+                              onClick={() => run(() => changeoverService.recordFirstArticle(changeover.id, test.id), 'Erro ao vincular teste')}
+                              disabled={saving}
+                              className="text-xs font-medium text-blue-600 hover:text-blue-700 dark:text-blue-400"
+                            >
+                              Vincular
+                            </button>
+                          )}
+                        </div>
+                      ))}
+                    </div>
+                  )}
+                </div>
+
+                <div className="flex justify-between gap-2 pt-2">
+                  {canCancel ? (
+                    <button
+                      type="button"
+                      onClick={handleCancel}
+                      disabled={saving}
+                      className="px-4 py-2 text-sm font-medium rounded-md border border-red-300 dark:border-red-700 text-red-700 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20"
+                    >
+                      Cancelar Troca
+                    </button>
+                  ) : <span />}
+                  <button
+                    type="button"
+                    onClick={handleRelease}
+                    disabled={saving || !canRelease}
+                    title={canRelease ? undefined : 'Conclua o checklist e vincule a primeira peça aprovada'}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 transition-colors"
+                  >
+                    {saving ? 'Salvando...' : 'Liberar Máquina'}
+                  </button>
+                </div>
+              </div>
+            )}
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ChangeoverModal;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import { ArrowsRightLeftIcon, ClockIcon, PlayIcon } from '@heroicons/react/24/outline';
+import reportService from '../services/reports';
+import { cn, formatNumber } from '../lib/utils';
+
+const formatMinutes = (minutes) => (minutes === null || minutes === undefined ? '—' : `${formatNumber(minutes)} min`);
+
+/**
+ * Barras horizontais do tempo médio de cada etapa do checklist
+ */
+const StepBars = ({ steps }) => {
+  if (!steps || steps.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">Nenhuma etapa concluída no período.</p>
+    );
+  }
+
+  const maxMinutes = steps[0].avgMinutes || 1;
+
+  return (
+    <div className="space-y-3">
+      {steps.map((step) => (
+        <div key={step.description}>
+          <div className="flex items-center justify-between text-sm mb-1">
+            <span className="font-medium text-gray-900 dark:text-white truncate">{step.description}</span>
+            <div className="flex items-center space-x-4 text-gray-600 dark:text-gray-400 whitespace-nowrap">
+              <span>{step.count}x</span>
+              <span className="w-20 text-right">{formatMinutes(step.avgMinutes)}</span>
+            </div>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+            <div
+              className="h-3 rounded-full bg-blue-500 transition-all duration-300"
+              style={{ width: `${(step.avgMinutes / maxMinutes) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Tabela de tempos de troca agrupados (por par de produtos ou por máquina)
+ */
+const TimesTable = ({ title, rows, firstHeader, rowKey, renderLabel }) => (
+  <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+    <h3 className="text-lg font-semibold text-gray-900 dark:text-white px-6 pt-6 pb-4">{title}</h3>
+    <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+      <thead className="bg-gray-50 dark:bg-gray-700">
+        <tr>
+          {[firstHeader, 'Trocas', 'Setup médio', 'Mínimo', 'Máximo', 'Até produzir'].map(header => (
+            <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+          ))}
+        </tr>
+      </thead>
+      <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+        {rows.length === 0 && (
+          <tr>
+            <td colSpan={6} className="px-4 py-6 text-center text-gray-500 dark:text-gray-400">Nenhuma troca liberada no período</td>
+          </tr>
+        )}
+        {rows.map(row => (
+          <tr key={rowKey(row)}>
+            <td className="px-4 py-2 text-gray-900 dark:text-white">{renderLabel(row)}</td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{row.count}</td>
+            <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">{formatMinutes(row.avgSetupMinutes)}</td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatMinutes(row.minSetupMinutes)}</td>
+            <td className={cn(
+              'px-4 py-2',
+              row.maxSetupMinutes > row.avgSetupMinutes * 1.5 ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-700 dark:text-gray-300'
+            )}>
+              {formatMinutes(row.maxSetupMinutes)}
+            </td>
+            <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatMinutes(row.avgTotalMinutes)}</td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+/**
+ * Relatório SMED: tempos de troca por par de produtos, por máquina e por etapa do checklist
+ * @param {string} startDate - Início do período (ISO)
+ * @param {string} endDate - Fim do período (ISO)
+ * @param {string} machineId - Máquina selecionada ou 'ALL'
+ */
+const ChangeoverReport = ({ startDate, endDate, machineId }) => {
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = { startDate, endDate };
+    if (machineId && machineId !== 'ALL') {
+      params.machineId = machineId;
+    }
+
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await reportService.getChangeoverReport(params);
+        setReport(response.data);
+      } catch (err) {
+        console.error('Erro ao carregar relatório de trocas:', err);
+        setError('Erro ao carregar relatório de trocas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [startDate, endDate, machineId]);
+
+  if (loading && !report) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-700 dark:text-red-400">
+        {error}
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  const { totals } = report;
+
+  return (
+    <div className="space-y-6">
+      {/* Resumo */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ArrowsRightLeftIcon className="h-8 w-8 text-blue-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Trocas liberadas</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                {totals.released}
+                {totals.cancelled > 0 && (
+                  <span className="text-sm font-normal text-gray-500 dark:text-gray-400"> ({totals.cancelled} canceladas)</span>
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ClockIcon className="h-8 w-8 text-orange-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Setup médio</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                {formatMinutes(totals.avgSetupMinutes)}
+                <span className="text-sm font-normal text-gray-500 dark:text-gray-400"> ({formatMinutes(totals.totalSetupMinutes)} no total)</span>
+              </div>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <PlayIcon className="h-8 w-8 text-green-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Início até produção</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{formatMinutes(totals.avgTotalMinutes)}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <TimesTable
+        title="Por Par de Produtos"
+        rows={report.byPair}
+        firstHeader="De → Para"
+        rowKey={row => `${row.fromProduct}|${row.toProduct}`}
+        renderLabel={row => `${row.fromProduct || 'Sem produto'} → ${row.toProduct}`}
+      />
+
+      {/* Etapas do checklist */}
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-6">Tempo Médio por Etapa</h3>
+        <StepBars steps={report.bySteps} />
+      </div>
+
+      <TimesTable
+        title="Por Máquina"
+        rows={report.byMachine}
+        firstHeader="Máquina"
+        rowKey={row => row.machineId}
+        renderLabel={row => row.machineName}
+      />
+    </div>
+  );
+};
+
+export default ChangeoverReport;
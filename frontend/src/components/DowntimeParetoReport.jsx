@@ -0,0 +1,315 @@
+import React, { useState, useEffect } from 'react';
+import { ClockIcon, ExclamationTriangleIcon, ChartBarIcon } from '@heroicons/react/24/outline';
+import reportService from '../services/reports';
+import { cn, formatNumber } from '../lib/utils';
+
+const dimensions = [
+  { id: 'overall', name: 'Geral' },
+  { id: 'byMachine', name: 'Por Máquina' },
+  { id: 'byShift', name: 'Por Turno' },
+  { id: 'byTeam', name: 'Por Equipe' }
+];
+
+const lossColors = {
+  AVAILABILITY: 'bg-red-500',
+  PERFORMANCE: 'bg-yellow-500',
+  QUALITY: 'bg-purple-500'
+};
+
+const toggleClassName = (active) => cn(
+  'px-3 py-1.5 text-sm rounded-md transition-colors',
+  active
+    ? 'bg-blue-600 text-white'
+    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+);
+
+const formatMinutes = (minutes) => {
+  if (minutes >= 60) {
+    return `${formatNumber(Math.round((minutes / 60) * 10) / 10)}h`;
+  }
+  return `${formatNumber(Math.round(minutes))} min`;
+};
+
+/**
+ * Gráfico de Pareto em barras horizontais com percentual acumulado
+ */
+const ParetoChart = ({ causes }) => {
+  if (!causes || causes.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">
+        Nenhuma parada registrada no período.
+      </p>
+    );
+  }
+
+  const maxMinutes = causes[0].minutes || 1;
+
+  return (
+    <div className="space-y-3">
+      {causes.map((cause) => (
+        <div key={cause.key}>
+          <div className="flex items-center justify-between text-sm mb-1">
+            <div className="flex items-center space-x-2 min-w-0">
+              <span className="font-medium text-gray-900 dark:text-white truncate">{cause.name}</span>
+              {cause.category && (
+                <span className="text-xs text-gray-500 dark:text-gray-400 truncate">{cause.category}</span>
+              )}
+              {cause.key !== 'UNCLASSIFIED' && (
+                <span className={cn(
+                  'px-1.5 py-0.5 rounded text-xs',
+                  cause.isPlanned
+                    ? 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400'
+                    : 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400'
+                )}>
+                  {cause.isPlanned ? 'Planejada' : 'Não planejada'}
+                </span>
+              )}
+            </div>
+            <div className="flex items-center space-x-4 text-gray-600 dark:text-gray-400 whitespace-nowrap">
+              <span>{formatMinutes(cause.minutes)}</span>
+              <span>{cause.occurrences}x</span>
+              <span className="w-16 text-right">{cause.cumulativePercentage}%</span>
+            </div>
+          </div>
+          <div className="relative w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+            <div
+              className={cn(
+                'h-3 rounded-full transition-all duration-300',
+                cause.key === 'UNCLASSIFIED' ? 'bg-gray-400' : cause.cumulativePercentage <= 80 ? 'bg-red-500' : 'bg-orange-400'
+              )}
+              style={{ width: `${(cause.minutes / maxMinutes) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Árvore das seis grandes perdas
+ */
+const LossTree = ({ lossTree }) => {
+  if (!lossTree) return null;
+
+  const base = lossTree.plannedMinutes || 1;
+
+  return (
+    <div className="space-y-4">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4 text-sm">
+        <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700">
+          <div className="text-gray-500 dark:text-gray-400">Tempo planejado</div>
+          <div className="text-lg font-semibold text-gray-900 dark:text-white">{formatMinutes(lossTree.plannedMinutes)}</div>
+        </div>
+        <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700">
+          <div className="text-gray-500 dark:text-gray-400">Tempo totalmente produtivo</div>
+          <div className="text-lg font-semibold text-green-600 dark:text-green-400">{formatMinutes(lossTree.fullyProductiveMinutes)}</div>
+        </div>
+        <div className="p-3 rounded-lg bg-gray-50 dark:bg-gray-700">
+          <div className="text-gray-500 dark:text-gray-400">Perdas totais</div>
+          <div className="text-lg font-semibold text-red-600 dark:text-red-400">{formatMinutes(lossTree.totalLossMinutes)}</div>
+        </div>
+      </div>
+
+      {lossTree.tree.map((pillar) => (
+        <div key={pillar.code} className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <div className="flex items-center justify-between mb-2">
+            <div className="flex items-center space-x-2">
+              <div className={cn('h-3 w-3 rounded-full', lossColors[pillar.code])} />
+              <span className="font-medium text-gray-900 dark:text-white">{pillar.name}</span>
+            </div>
+            <span className="text-sm text-gray-600 dark:text-gray-400">
+              {formatMinutes(pillar.minutes)} ({Math.round((pillar.minutes / base) * 1000) / 10}%)
+            </span>
+          </div>
+          <div className="space-y-2 pl-5">
+            {pillar.children.map((loss) => (
+              <div key={loss.code}>
+                <div className="flex items-center justify-between text-sm">
+                  <span className="text-gray-700 dark:text-gray-300">
+                    {loss.name}
+                    {loss.occurrences !== undefined && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">{loss.occurrences} ocorrência(s)</span>
+                    )}
+                    {loss.rejectedTests !== undefined && (
+                      <span className="text-xs text-gray-500 dark:text-gray-400 ml-2">{loss.rejectedTests} reprovação(ões)</span>
+                    )}
+                  </span>
+                  <span className="text-gray-600 dark:text-gray-400">{formatMinutes(loss.minutes)}</span>
+                </div>
+                <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2 mt-1">
+                  <div
+                    className={cn('h-2 rounded-full opacity-80', lossColors[pillar.code])}
+                    style={{ width: `${Math.min((loss.minutes / base) * 100, 100)}%` }}
+                  />
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <p className="text-xs text-gray-500 dark:text-gray-400">
+        Paradas não planejadas menores que {lossTree.minorStopThreshold} min contam como pequenas paradas.
+        Paradas planejadas ({formatMinutes(lossTree.plannedStopMinutes)}) não entram no tempo planejado.
+      </p>
+    </div>
+  );
+};
+
+/**
+ * Relatório de paradas: Pareto por motivo e árvore das seis grandes perdas
+ * @param {string} startDate - Início do período (ISO)
+ * @param {string} endDate - Fim do período (ISO)
+ * @param {string} machineId - Máquina selecionada ou 'ALL'
+ */
+const DowntimeParetoReport = ({ startDate, endDate, machineId }) => {
+  const [pareto, setPareto] = useState(null);
+  const [lossTree, setLossTree] = useState(null);
+  const [groupBy, setGroupBy] = useState('reason');
+  const [type, setType] = useState('all');
+  const [dimension, setDimension] = useState('overall');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = { startDate, endDate };
+    if (machineId && machineId !== 'ALL') {
+      params.machineId = machineId;
+    }
+
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const [paretoResponse, lossTreeResponse] = await Promise.all([
+          reportService.getDowntimePareto({ ...params, groupBy, type }),
+          reportService.getLossTree(params)
+        ]);
+        setPareto(paretoResponse.data);
+        setLossTree(lossTreeResponse.data);
+      } catch (err) {
+        console.error('Erro ao carregar análise de paradas:', err);
+        setError('Erro ao carregar análise de paradas');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [startDate, endDate, machineId, groupBy, type]);
+
+  if (loading && !pareto) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-700 dark:text-red-400">
+        {error}
+      </div>
+    );
+  }
+
+  if (!pareto) return null;
+
+  const groups = dimension === 'overall'
+    ? [{ key: 'overall', label: null, causes: pareto.causes, totalMinutes: pareto.totalMinutes, occurrences: pareto.occurrences }]
+    : pareto[dimension];
+
+  return (
+    <div className="space-y-6">
+      {/* Resumo */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ClockIcon className="h-8 w-8 text-red-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Tempo parado</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{formatMinutes(pareto.totalMinutes)}</div>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ChartBarIcon className="h-8 w-8 text-blue-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Paradas</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{pareto.occurrences}</div>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ExclamationTriangleIcon className="h-8 w-8 text-yellow-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Sem motivo classificado</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{formatMinutes(pareto.unclassifiedMinutes)}</div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Pareto */}
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4 mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Pareto de Paradas
+          </h3>
+          <div className="flex flex-wrap gap-2">
+            <button className={toggleClassName(groupBy === 'reason')} onClick={() => setGroupBy('reason')}>Motivo</button>
+            <button className={toggleClassName(groupBy === 'category')} onClick={() => setGroupBy('category')}>Categoria</button>
+            <select
+              value={type}
+              onChange={(e) => setType(e.target.value)}
+              className="px-3 py-1.5 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white"
+            >
+              <option value="all">Todas as paradas</option>
+              <option value="unplanned">Não planejadas</option>
+              <option value="planned">Planejadas</option>
+            </select>
+          </div>
+        </div>
+
+        <div className="flex flex-wrap gap-2 mb-6">
+          {dimensions.map(item => (
+            <button key={item.id} className={toggleClassName(dimension === item.id)} onClick={() => setDimension(item.id)}>
+              {item.name}
+            </button>
+          ))}
+        </div>
+
+        <div className="space-y-8">
+          {groups.length === 0 && <ParetoChart causes={[]} />}
+          {groups.map(group => (
+            <div key={group.key}>
+              {group.label && (
+                <div className="flex items-center justify-between mb-3 pb-2 border-b border-gray-200 dark:border-gray-700">
+                  <h4 className="font-medium text-gray-900 dark:text-white">{group.label}</h4>
+                  <span className="text-sm text-gray-500 dark:text-gray-400">
+                    {formatMinutes(group.totalMinutes)} · {group.occurrences} parada(s)
+                  </span>
+                </div>
+              )}
+              <ParetoChart causes={group.causes} />
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Seis grandes perdas */}
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <h3 className="text-lg font-semibold text-gray-900 dark:text-white mb-4">
+          Árvore de Perdas (Seis Grandes Perdas)
+        </h3>
+        <LossTree lossTree={lossTree} />
+      </div>
+    </div>
+  );
+};
+
+export default DowntimeParetoReport;
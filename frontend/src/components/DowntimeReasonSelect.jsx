@@ -0,0 +1,105 @@
+import React, { useState, useEffect } from 'react';
+import downtimeReasonService from '../services/downtimeReasons';
+
+const selectClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white';
+
+/**
+ * Seleção hierárquica de motivo de parada (categoria > motivo)
+ * @param {string} status - Status de parada (PARADA ou MANUTENCAO) usado para filtrar o catálogo
+ * @param {number|string} value - ID do motivo selecionado
+ * @param {Function} onChange - Recebe o motivo selecionado (ou null)
+ */
+const DowntimeReasonSelect = ({ status, value, onChange, required = true }) => {
+  const [categories, setCategories] = useState([]);
+  const [categoryId, setCategoryId] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    const fetchReasons = async () => {
+      try {
+        setLoading(true);
+        const response = await downtimeReasonService.getReasonsForStatus(status);
+        setCategories(response.data || []);
+      } catch (err) {
+        console.error('Erro ao carregar motivos de parada:', err);
+        setCategories([]);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    if (status) {
+      fetchReasons();
+    }
+  }, [status]);
+
+  // Sincronizar categoria quando o motivo vem preenchido
+  useEffect(() => {
+    if (!value) return;
+    const category = categories.find(cat =>
+      cat.children.some(child => String(child.id) === String(value))
+    );
+    if (category) {
+      setCategoryId(String(category.id));
+    }
+  }, [value, categories]);
+
+  const selectedCategory = categories.find(cat => String(cat.id) === String(categoryId));
+  const reasons = selectedCategory?.children || [];
+
+  const handleCategoryChange = (e) => {
+    setCategoryId(e.target.value);
+    onChange(null);
+  };
+
+  const handleReasonChange = (e) => {
+    const reason = reasons.find(r => String(r.id) === e.target.value) || null;
+    onChange(reason);
+  };
+
+  return (
+    <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Categoria da Parada
+        </label>
+        <select
+          value={categoryId}
+          onChange={handleCategoryChange}
+          className={selectClassName}
+          disabled={loading}
+          required={required}
+        >
+          <option value="">{loading ? 'Carregando...' : 'Selecione a categoria'}</option>
+          {categories.map(category => (
+            <option key={category.id} value={category.id}>
+              {category.name} ({category.isPlanned ? 'Planejada' : 'Não planejada'})
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div>
+        <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+          Motivo
+        </label>
+        <select
+          value={value || ''}
+          onChange={handleReasonChange}
+          className={selectClassName}
+          disabled={!selectedCategory}
+          required={required}
+        >
+          <option value="">Selecione o motivo</option>
+          {reasons.map(reason => (
+            <option key={reason.id} value={reason.id}>
+              {reason.name}
+            </option>
+          ))}
+        </select>
+      </div>
+    </div>
+  );
+};
+
+export default DowntimeReasonSelect;
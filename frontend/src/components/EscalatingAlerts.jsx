@@ -0,0 +1,191 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  BellAlertIcon,
+  CheckIcon,
+  CheckCircleIcon,
+  ChevronDownIcon,
+  ChevronRightIcon
+} from '@heroicons/react/24/outline';
+import alertsService from '../services/alerts';
+import { useAuth } from '../hooks/useAuth';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+
+const LEVEL_LABELS = ['Operador', 'Líder', 'Gestor', 'Administrador'];
+
+const EVENT_COLORS = {
+  CREATED: 'bg-gray-400',
+  ESCALATED: 'bg-red-500',
+  RENOTIFIED: 'bg-orange-400',
+  EXHAUSTED: 'bg-gray-700',
+  ACKNOWLEDGED: 'bg-blue-500',
+  RESOLVED: 'bg-green-500'
+};
+
+/**
+ * Alertas ativos ainda não reconhecidos, com nível de escalonamento e linha do tempo
+ */
+const EscalatingAlerts = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [alerts, setAlerts] = useState([]);
+  const [expandedId, setExpandedId] = useState(null);
+  const [timeline, setTimeline] = useState([]);
+
+  const canResolve = ['LEADER', 'MANAGER', 'ADMIN'].includes(user?.role);
+
+  const loadAlerts = useCallback(async () => {
+    try {
+      const response = await alertsService.getAlerts({ status: 'active', limit: 20 });
+      setAlerts(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar alertas ativos:', error);
+    }
+  }, []);
+
+  const loadTimeline = useCallback(async (alertId) => {
+    try {
+      const response = await alertsService.getTimeline(alertId);
+      setTimeline(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar linha do tempo do alerta:', error);
+      toast.error('Erro ao carregar linha do tempo');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadAlerts();
+  }, [loadAlerts]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleChange = () => {
+      loadAlerts();
+      if (expandedId) loadTimeline(expandedId);
+    };
+
+    socket.on('new-alert', handleChange);
+    socket.on('alert:escalated', handleChange);
+    socket.on('alert:updated', handleChange);
+    return () => {
+      socket.off('new-alert', handleChange);
+      socket.off('alert:escalated', handleChange);
+      socket.off('alert:updated', handleChange);
+    };
+  }, [socket, expandedId, loadAlerts, loadTimeline]);
+
+  const toggleTimeline = (alertId) => {
+    if (expandedId === alertId) {
+      setExpandedId(null);
+      return;
+    }
+    setExpandedId(alertId);
+    setTimeline([]);
+    loadTimeline(alertId);
+  };
+
+  const handleAction = async (alert, action) => {
+    try {
+      const response = action === 'resolve'
+        ? await alertsService.resolve(alert.id)
+        : await alertsService.acknowledge(alert.id);
+      toast.success(response.message);
+      loadAlerts();
+    } catch (error) {
+      console.error('Erro ao atualizar alerta:', error);
+      toast.error(error.response?.data?.message || 'Erro ao atualizar alerta');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4 flex items-center">
+        <BellAlertIcon className="h-5 w-5 mr-2 text-orange-600" />
+        Alertas Aguardando Reconhecimento
+      </h2>
+
+      {alerts.length === 0 ? (
+        <p className="text-gray-500 text-center py-6">Nenhum alerta ativo</p>
+      ) : (
+        <div className="space-y-3">
+          {alerts.map(alert => (
+            <div key={alert.id} className="border border-gray-200 rounded-lg">
+              <div className="flex items-start justify-between p-3">
+                <button
+                  onClick={() => toggleTimeline(alert.id)}
+                  className="flex items-start text-left flex-1"
+                >
+                  {expandedId === alert.id
+                    ? <ChevronDownIcon className="h-4 w-4 mt-1 mr-2 text-gray-400" />
+                    : <ChevronRightIcon className="h-4 w-4 mt-1 mr-2 text-gray-400" />}
+                  <div>
+                    <p className="font-medium text-gray-900">{alert.title}</p>
+                    <p className="text-sm text-gray-600">{alert.message}</p>
+                    <div className="flex flex-wrap items-center gap-2 mt-1 text-xs text-gray-500">
+                      <span>{formatDateTime(alert.created_at)}</span>
+                      {alert.escalation_policy_id && (
+                        <span className={cn(
+                          'px-2 py-0.5 rounded-full',
+                          alert.escalation_level > 0 ? 'bg-red-100 text-red-700' : 'bg-gray-100 text-gray-700'
+                        )}>
+                          Nível {alert.escalation_level + 1} · {LEVEL_LABELS[alert.escalation_level] || '—'}
+                        </span>
+                      )}
+                      {alert.next_escalation_at && (
+                        <span>Próximo escalonamento: {formatDateTime(alert.next_escalation_at)}</span>
+                      )}
+                    </div>
+                  </div>
+                </button>
+                <div className="flex items-center gap-2 ml-3">
+                  <button
+                    onClick={() => handleAction(alert, 'acknowledge')}
+                    className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700"
+                  >
+                    <CheckIcon className="h-4 w-4 mr-1" />
+                    Reconhecer
+                  </button>
+                  {canResolve && (
+                    <button
+                      onClick={() => handleAction(alert, 'resolve')}
+                      className="inline-flex items-center px-3 py-1 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700"
+                    >
+                      <CheckCircleIcon className="h-4 w-4 mr-1" />
+                      Resolver
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {expandedId === alert.id && (
+                <ol className="border-t border-gray-200 px-6 py-3 space-y-2">
+                  {timeline.length === 0 && (
+                    <li className="text-sm text-gray-500">Sem eventos registrados</li>
+                  )}
+                  {timeline.map(event => (
+                    <li key={event.id} className="flex items-start text-sm">
+                      <span className={cn('h-2 w-2 rounded-full mt-1.5 mr-3', EVENT_COLORS[event.eventType] || 'bg-gray-400')} />
+                      <div>
+                        <span className="font-medium text-gray-900">{event.eventLabel}</span>
+                        {event.targetRoles.length > 0 && (
+                          <span className="text-gray-600"> · {event.targetRoles.join(', ')} ({event.notifiedUserIds.length} usuários)</span>
+                        )}
+                        {event.userName && <span className="text-gray-600"> · {event.userName}</span>}
+                        {event.notes && <p className="text-gray-500">{event.notes}</p>}
+                        <p className="text-xs text-gray-400">{formatDateTime(event.createdAt)}</p>
+                      </div>
+                    </li>
+                  ))}
+                </ol>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EscalatingAlerts;
@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { ArrowTrendingUpIcon, PlusIcon, TrashIcon } from '@heroicons/react/24/outline';
+import alertsService from '../services/alerts';
+import { cn } from '../lib/utils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 rounded-md text-sm bg-white text-gray-900 focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const ROLE_LABELS = {
+  OPERATOR: 'Operador',
+  LEADER: 'Líder',
+  MANAGER: 'Gestor',
+  ADMIN: 'Administrador'
+};
+
+const PRIORITY_LABELS = {
+  info: 'Informação',
+  warning: 'Aviso',
+  critical: 'Crítico'
+};
+
+const emptyForm = {
+  name: '',
+  alertTypes: '',
+  minPriority: 'critical',
+  ackTimeoutMinutes: 15,
+  escalationRoles: ['OPERATOR', 'LEADER', 'MANAGER'],
+  maxRepeats: 3
+};
+
+/**
+ * Políticas de escalonamento dos alertas não reconhecidos
+ */
+const EscalationPolicies = () => {
+  const [policies, setPolicies] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const loadPolicies = async () => {
+    try {
+      const response = await alertsService.getEscalationPolicies();
+      setPolicies(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar políticas de escalonamento:', error);
+      toast.error('Erro ao carregar políticas de escalonamento');
+    }
+  };
+
+  useEffect(() => {
+    loadPolicies();
+  }, []);
+
+  // A ordem de marcação define a sequência operador → líder → gestor
+  const toggleRole = (role) => {
+    setForm(prev => ({
+      ...prev,
+      escalationRoles: prev.escalationRoles.includes(role)
+        ? prev.escalationRoles.filter(item => item !== role)
+        : [...prev.escalationRoles, role]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const alertTypes = form.alertTypes.split(',').map(type => type.trim()).filter(Boolean);
+      const response = await alertsService.createEscalationPolicy({
+        ...form,
+        alertTypes: alertTypes.length > 0 ? alertTypes : null,
+        ackTimeoutMinutes: parseInt(form.ackTimeoutMinutes),
+        maxRepeats: parseInt(form.maxRepeats)
+      });
+      toast.success(response.message || 'Política criada');
+      setForm(emptyForm);
+      loadPolicies();
+    } catch (error) {
+      console.error('Erro ao criar política de escalonamento:', error);
+      toast.error(error.response?.data?.message || 'Erro ao criar política');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (policy) => {
+    try {
+      await alertsService.updateEscalationPolicy(policy.id, { isActive: !policy.isActive });
+      loadPolicies();
+    } catch (error) {
+      console.error('Erro ao atualizar política de escalonamento:', error);
+      toast.error(error.response?.data?.message || 'Erro ao atualizar política');
+    }
+  };
+
+  const handleDelete = async (policy) => {
+    if (!window.confirm(`Excluir a política "${policy.name}"? Os alertas dela deixarão de escalonar.`)) return;
+
+    try {
+      await alertsService.deleteEscalationPolicy(policy.id);
+      toast.success('Política excluída');
+      loadPolicies();
+    } catch (error) {
+      console.error('Erro ao excluir política de escalonamento:', error);
+      toast.error(error.response?.data?.message || 'Erro ao excluir política');
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+        <ArrowTrendingUpIcon className="h-5 w-5 mr-2 text-red-600" />
+        Políticas de Escalonamento
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Alertas não reconhecidos no prazo são reenviados e sobem para o próximo perfil pelos canais de cada usuário
+      </p>
+
+      <form onSubmit={handleCreate} className="space-y-4 mb-6">
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Nome</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              required
+              maxLength={100}
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Tipos de alerta (vazio = todos)</label>
+            <input
+              type="text"
+              value={form.alertTypes}
+              onChange={(e) => setForm(prev => ({ ...prev, alertTypes: e.target.value }))}
+              placeholder="Ex.: teflon_change, quality_test"
+              className={inputClassName}
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-1">Prioridade mínima</label>
+            <select
+              value={form.minPriority}
+              onChange={(e) => setForm(prev => ({ ...prev, minPriority: e.target.value }))}
+              className={inputClassName}
+            >
+              {Object.entries(PRIORITY_LABELS).map(([value, label]) => (
+                <option key={value} value={value}>{label}</option>
+              ))}
+            </select>
+          </div>
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Prazo (min)</label>
+              <input
+                type="number"
+                min={1}
+                max={1440}
+                value={form.ackTimeoutMinutes}
+                onChange={(e) => setForm(prev => ({ ...prev, ackTimeoutMinutes: e.target.value }))}
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Reenvios no topo</label>
+              <input
+                type="number"
+                min={0}
+                max={20}
+                value={form.maxRepeats}
+                onChange={(e) => setForm(prev => ({ ...prev, maxRepeats: e.target.value }))}
+                className={inputClassName}
+              />
+            </div>
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Sequência de escalonamento</label>
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(ROLE_LABELS).map(([role, label]) => {
+              const position = form.escalationRoles.indexOf(role);
+              return (
+                <button
+                  key={role}
+                  type="button"
+                  onClick={() => toggleRole(role)}
+                  className={cn(
+                    'px-3 py-1 text-sm rounded-full border transition-colors',
+                    position >= 0
+                      ? 'bg-blue-600 border-blue-600 text-white'
+                      : 'border-gray-300 text-gray-700 hover:bg-gray-50'
+                  )}
+                >
+                  {position >= 0 && `${position + 1}. `}{label}
+                </button>
+              );
+            })}
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving || !form.name.trim() || form.escalationRoles.length === 0}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          <PlusIcon className="h-4 w-4 mr-2" />
+          {saving ? 'Salvando...' : 'Adicionar política'}
+        </button>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Nome', 'Tipos', 'Prioridade', 'Prazo', 'Sequência', 'Ativa', ''].map(header => (
+                <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {policies.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-gray-500">Nenhuma política cadastrada</td>
+              </tr>
+            )}
+            {policies.map(policy => (
+              <tr key={policy.id}>
+                <td className="px-4 py-2 text-gray-900">{policy.name}</td>
+                <td className="px-4 py-2 text-gray-700">{policy.alertTypes ? policy.alertTypes.join(', ') : 'Todos'}</td>
+                <td className="px-4 py-2 text-gray-700">{PRIORITY_LABELS[policy.minPriority]}</td>
+                <td className="px-4 py-2 text-gray-700">{policy.ackTimeoutMinutes} min</td>
+                <td className="px-4 py-2 text-gray-700">
+                  {policy.escalationRoles.map(role => ROLE_LABELS[role] || role).join(' → ')}
+                  {policy.maxRepeats > 0 && ` (+${policy.maxRepeats})`}
+                </td>
+                <td className="px-4 py-2">
+                  <input
+                    type="checkbox"
+                    checked={policy.isActive}
+                    onChange={() => handleToggleActive(policy)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                </td>
+                <td className="px-4 py-2 text-right">
+                  <button
+                    onClick={() => handleDelete(policy)}
+                    className="inline-flex items-center text-red-600 hover:text-red-700"
+                  >
+                    <TrashIcon className="h-4 w-4 mr-1" />
+                    Excluir
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default EscalationPolicies;
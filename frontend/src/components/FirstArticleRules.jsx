@@ -0,0 +1,181 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { PlusIcon, ShieldCheckIcon } from '@heroicons/react/24/outline';
+import firstArticleService from '../services/firstArticle';
+import { cn } from '../lib/utils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const emptyForm = { machineId: '', product: '', onStart: true, onChangeover: true, onTeflonChange: true, deadlineMinutes: 15 };
+
+const TRIGGERS = [
+  { key: 'onStart', label: 'Início de operação' },
+  { key: 'onChangeover', label: 'Changeover' },
+  { key: 'onTeflonChange', label: 'Troca de teflon' }
+];
+
+/**
+ * Regras de inspeção da primeira peça por máquina/produto
+ * @param {Array} machines - Máquinas disponíveis para a regra
+ */
+const FirstArticleRules = ({ machines = [] }) => {
+  const [rules, setRules] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const loadRules = async () => {
+    try {
+      const response = await firstArticleService.getRules();
+      setRules(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar regras de primeira peça:', error);
+      toast.error('Erro ao carregar regras de primeira peça');
+    }
+  };
+
+  useEffect(() => {
+    loadRules();
+  }, []);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await firstArticleService.createRule({
+        ...form,
+        machineId: form.machineId ? parseInt(form.machineId) : null,
+        product: form.product.trim() || null,
+        deadlineMinutes: parseInt(form.deadlineMinutes)
+      });
+      toast.success(response.message || 'Regra criada');
+      setForm(emptyForm);
+      loadRules();
+    } catch (error) {
+      console.error('Erro ao criar regra de primeira peça:', error);
+      toast.error(error.response?.data?.message || 'Erro ao criar regra');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleUpdate = async (rule, changes) => {
+    try {
+      await firstArticleService.updateRule(rule.id, changes);
+      loadRules();
+    } catch (error) {
+      console.error('Erro ao atualizar regra de primeira peça:', error);
+      toast.error(error.response?.data?.message || 'Erro ao atualizar regra');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 shadow overflow-hidden sm:rounded-md">
+      <div className="px-4 py-5 sm:p-6">
+        <h3 className="text-lg leading-6 font-medium text-gray-900 dark:text-white mb-1 flex items-center">
+          <ShieldCheckIcon className="h-5 w-5 mr-2 text-blue-600" />
+          Inspeção da Primeira Peça
+        </h3>
+        <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">
+          Após o gatilho a máquina fica com inspeção pendente: a produção não conta como peça boa até um teste aprovado, e a liderança é avisada quando o prazo vence.
+        </p>
+
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-6">
+          <select
+            value={form.machineId}
+            onChange={(e) => setForm(prev => ({ ...prev, machineId: e.target.value }))}
+            className={inputClassName}
+          >
+            <option value="">Todas as máquinas</option>
+            {machines.map(machine => (
+              <option key={machine.id} value={machine.id}>{machine.name}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Produto (vazio = todos)"
+            value={form.product}
+            onChange={(e) => setForm(prev => ({ ...prev, product: e.target.value }))}
+            className={inputClassName}
+          />
+          <input
+            type="number"
+            min="1"
+            max="1440"
+            value={form.deadlineMinutes}
+            onChange={(e) => setForm(prev => ({ ...prev, deadlineMinutes: e.target.value }))}
+            className={inputClassName}
+            title="Prazo em minutos"
+          />
+          <button
+            type="submit"
+            disabled={saving}
+            className="flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <PlusIcon className="h-4 w-4 mr-2" />
+            Adicionar Regra
+          </button>
+          <div className="md:col-span-4 flex flex-wrap gap-4">
+            {TRIGGERS.map(trigger => (
+              <label key={trigger.key} className="flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  checked={form[trigger.key]}
+                  onChange={(e) => setForm(prev => ({ ...prev, [trigger.key]: e.target.checked }))}
+                  className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {trigger.label}
+              </label>
+            ))}
+          </div>
+        </form>
+
+        {rules.length === 0 ? (
+          <p className="text-sm text-gray-500 dark:text-gray-400 text-center py-4">
+            Nenhuma regra cadastrada: nenhuma máquina exige inspeção da primeira peça.
+          </p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Máquina', 'Produto', ...TRIGGERS.map(trigger => trigger.label), 'Prazo', 'Ativa'].map(header => (
+                    <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {rules.map(rule => (
+                  <tr key={rule.id} className={cn(!rule.isActive && 'opacity-50')}>
+                    <td className="px-4 py-2 text-gray-900 dark:text-white">{rule.machineName || 'Todas'}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{rule.product || 'Todos'}</td>
+                    {TRIGGERS.map(trigger => (
+                      <td key={trigger.key} className="px-4 py-2">
+                        <input
+                          type="checkbox"
+                          checked={rule[trigger.key]}
+                          onChange={(e) => handleUpdate(rule, { [trigger.key]: e.target.checked })}
+                          className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                        />
+                      </td>
+                    ))}
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{rule.deadlineMinutes} min</td>
+                    <td className="px-4 py-2">
+                      <input
+                        type="checkbox"
+                        checked={rule.isActive}
+                        onChange={(e) => handleUpdate(rule, { isActive: e.target.checked })}
+                        className="h-4 w-4 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                      />
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default FirstArticleRules;
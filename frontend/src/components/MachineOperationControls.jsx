@@ -1,20 +1,33 @@
 import React, { useState, useEffect } from 'react';
-import { PlayIcon, StopIcon } from '@heroicons/react/24/outline';
+import { PlayIcon, StopIcon, ArchiveBoxXMarkIcon, ArrowsRightLeftIcon, ShieldExclamationIcon } from '@heroicons/react/24/outline';
 import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useMachinePermissions } from '../hooks/useMachinePermissions';
 import useMachineStatus from '../hooks/useMachineStatus';
-import { cn } from '../lib/utils';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatTime } from '../lib/utils';
+import ScrapEntryModal from './ScrapEntryModal';
+import ChangeoverModal from './ChangeoverModal';
+import productionOrderService from '../services/productionOrders';
+import changeoverService from '../services/changeovers';
+import firstArticleService from '../services/firstArticle';
 
 const MachineOperationControls = ({ machine, onOperationChange }) => {
   const { user } = useAuth();
   const { hasPermissionForMachine } = useMachinePermissions();
   const { machines } = useMachineStatus();
+  const { socket } = useSocket();
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [notes, setNotes] = useState('');
   const [showStartNotes, setShowStartNotes] = useState(false);
   const [showStopNotes, setShowStopNotes] = useState(false);
+  const [showScrapModal, setShowScrapModal] = useState(false);
+  const [orderQueue, setOrderQueue] = useState([]);
+  const [selectedOrderId, setSelectedOrderId] = useState('');
+  const [openChangeover, setOpenChangeover] = useState(null);
+  const [showChangeoverModal, setShowChangeoverModal] = useState(false);
+  const [pendingFirstArticle, setPendingFirstArticle] = useState(null);
 
   // Buscar dados atualizados da máquina do hook useMachineStatus
   const currentMachine = machines.find(m => m.id === machine.id) || machine;
@@ -29,27 +42,116 @@ const MachineOperationControls = ({ machine, onOperationChange }) => {
   // Verificar se o usuário atual é o operador da máquina
   const isCurrentOperator = hasActiveOperation && currentMachine.currentOperation.userId === user?.id;
   
-  // Verificar se pode iniciar operação (máquina parada e usuário tem permissão)
-  const canStartOperation = canOperate && !hasActiveOperation && ['STOPPED', 'PARADA', 'FORA_DE_TURNO'].includes(currentMachine.status);
+  // Verificar se pode iniciar operação (máquina parada, sem troca em andamento e usuário tem permissão)
+  const canStartOperation = canOperate && !hasActiveOperation && !openChangeover && ['STOPPED', 'PARADA', 'FORA_DE_TURNO'].includes(currentMachine.status);
+
+  // Troca de produto/lote: iniciada com a máquina sem operação
+  const canChangeover = canOperate && !hasActiveOperation;
   
   // Verificar se pode parar operação (usuário é o operador atual ou é admin/manager)
   const canStopOperation = hasActiveOperation && (isCurrentOperator || ['ADMIN', 'MANAGER'].includes(user?.role));
 
+  // Refugo/retrabalho: operador da operação ou líder e acima
+  const canRecordScrap = hasActiveOperation && (isCurrentOperator || ['LEADER', 'ADMIN', 'MANAGER'].includes(user?.role));
+
+  // Troca em andamento na máquina (bloqueia o início da operação até a liberação)
+  useEffect(() => {
+    if (hasActiveOperation) return;
+
+    changeoverService.getOpenForMachine(currentMachine.id)
+      .then(response => setOpenChangeover(response.data || null))
+      .catch(error => console.error('Erro ao carregar troca da máquina:', error));
+  }, [currentMachine.id, currentMachine.status, hasActiveOperation]);
+
+  // Inspeção da primeira peça pendente (produção fica fora das peças boas até o teste aprovado)
+  useEffect(() => {
+    firstArticleService.getPendingForMachine(currentMachine.id)
+      .then(response => setPendingFirstArticle(response.data || null))
+      .catch(error => console.error('Erro ao carregar inspeção da primeira peça:', error));
+  }, [currentMachine.id, currentMachine.status]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleFirstArticleUpdate = ({ machineId, request }) => {
+      if (machineId !== currentMachine.id) return;
+      setPendingFirstArticle(request && request.status === 'PENDING' ? request : null);
+    };
+
+    socket.on('fai:updated', handleFirstArticleUpdate);
+    return () => socket.off('fai:updated', handleFirstArticleUpdate);
+  }, [socket, currentMachine.id]);
+
+  const handleWaiveFirstArticle = async () => {
+    const reason = window.prompt('Informe o motivo para dispensar a inspeção da primeira peça:');
+    if (!reason || !reason.trim()) return;
+
+    try {
+      const response = await firstArticleService.waive(pendingFirstArticle.id, reason.trim());
+      setPendingFirstArticle(response.data && response.data.status === 'PENDING' ? response.data : null);
+    } catch (error) {
+      console.error('Erro ao dispensar inspeção:', error);
+      alert(error.response?.data?.message || 'Erro ao dispensar inspeção');
+    }
+  };
+
+  // Fila de ordens de produção da máquina ao preparar o início da operação
+  useEffect(() => {
+    if (!showStartNotes) return;
+
+    productionOrderService.getMachineQueue(currentMachine.id)
+      .then(response => {
+        const queue = response.data || [];
+        setOrderQueue(queue);
+        setSelectedOrderId(prev => prev || (queue[0] ? String(queue[0].id) : ''));
+      })
+      .catch(error => console.error('Erro ao carregar ordens da máquina:', error));
+  }, [showStartNotes, currentMachine.id]);
+
+  const requestStartOperation = (override = {}) => fetch(`/api/machines/${currentMachine.id}/start-operation`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${localStorage.getItem('token')}`
+    },
+    body: JSON.stringify({
+      notes: notes.trim() || undefined,
+      productionOrderId: selectedOrderId ? parseInt(selectedOrderId) : undefined,
+      ...override
+    })
+  });
+
   const handleStartOperation = async () => {
     if (!canStartOperation) return;
     
     setLoading(true);
     try {
-      const response = await fetch(`/api/machines/${currentMachine.id}/start-operation`, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${localStorage.getItem('token')}`
-        },
-        body: JSON.stringify({ notes: notes.trim() || undefined })
-      });
+      let response = await requestStartOperation();
+      let data = await response.json();
 
-      const data = await response.json();
+      // Lote retido: líder pode autorizar o início informando o motivo
+      if (response.status === 403 && data.error === 'PRODUCTION_BLOCKED_BY_LOT_HOLD' && data.canOverride) {
+        const overrideReason = window.prompt(`${data.message}\n\nInforme o motivo para iniciar mesmo assim:`);
+        if (!overrideReason || !overrideReason.trim()) {
+          return;
+        }
+        response = await requestStartOperation({ overrideLotHold: true, overrideReason: overrideReason.trim() });
+        data = await response.json();
+      }
+
+      // Troca em andamento: abrir o checklist para concluir a liberação
+      if (response.status === 409 && data.error === 'CHANGEOVER_IN_PROGRESS') {
+        const open = await changeoverService.getOpenForMachine(currentMachine.id);
+        setOpenChangeover(open.data || null);
+        setShowStartNotes(false);
+        setShowChangeoverModal(true);
+      }
+
+      // Máquina com ordens programadas: o operador precisa escolher uma
+      if (response.status === 400 && ['PRODUCTION_ORDER_REQUIRED', 'PRODUCTION_ORDER_NOT_AVAILABLE'].includes(data.error)) {
+        setOrderQueue(data.orders || []);
+        setSelectedOrderId('');
+      }
       
       if (!response.ok) {
         throw new Error(data.message || 'Erro ao iniciar operação');
@@ -67,6 +169,7 @@ const MachineOperationControls = ({ machine, onOperationChange }) => {
 
       setNotes('');
       setShowStartNotes(false);
+      setSelectedOrderId('');
       
       // Mostrar mensagem de sucesso (você pode implementar um toast aqui)
       console.log('Operação iniciada com sucesso');
@@ -153,6 +256,37 @@ const MachineOperationControls = ({ machine, onOperationChange }) => {
           </span>
         </div>
 
+        {/* Inspeção da primeira peça pendente */}
+        {pendingFirstArticle && (
+          <div className={cn(
+            'flex items-start gap-3 p-3 rounded-md border text-sm',
+            pendingFirstArticle.overdue
+              ? 'bg-red-50 dark:bg-red-900/20 border-red-200 dark:border-red-800 text-red-800 dark:text-red-300'
+              : 'bg-amber-50 dark:bg-amber-900/20 border-amber-200 dark:border-amber-800 text-amber-800 dark:text-amber-300'
+          )}>
+            <ShieldExclamationIcon className="h-5 w-5 flex-shrink-0 mt-0.5" />
+            <div className="flex-1">
+              <div className="font-medium">
+                Inspeção da primeira peça pendente ({pendingFirstArticle.triggerLabel})
+              </div>
+              <div>
+                {pendingFirstArticle.overdue ? 'Prazo vencido às ' : 'Registre o teste de qualidade até '}
+                {formatTime(pendingFirstArticle.dueAt)}
+                {pendingFirstArticle.failedAttempts > 0 && ` · ${pendingFirstArticle.failedAttempts} reprovado(s)`}
+              </div>
+              <div>{pendingFirstArticle.heldQuantity || 0} peça(s) fora da produção boa</div>
+            </div>
+            {['LEADER', 'ADMIN', 'MANAGER'].includes(user?.role) && (
+              <button
+                onClick={handleWaiveFirstArticle}
+                className="text-xs font-medium underline hover:no-underline"
+              >
+                Dispensar
+              </button>
+            )}
+          </div>
+        )}
+
         {/* Operador atual */}
         {hasActiveOperation && (
           <div className="flex items-center justify-between">
@@ -172,6 +306,26 @@ const MachineOperationControls = ({ machine, onOperationChange }) => {
         )}
 
         {/* Campo de observações */}
+        {showStartNotes && orderQueue.length > 0 && (
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+              Ordem de produção
+            </label>
+            <select
+              value={selectedOrderId}
+              onChange={(e) => setSelectedOrderId(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              <option value="">Selecione a ordem</option>
+              {orderQueue.map(order => (
+                <option key={order.id} value={order.id}>
+                  {order.orderNumber} · {order.product}{order.lot ? ` · Lote ${order.lot}` : ''} ({order.goodQuantity}/{order.plannedQuantity})
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
         {(showStartNotes || showStopNotes) && (
           <div>
             <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
@@ -218,6 +372,7 @@ const MachineOperationControls = ({ machine, onOperationChange }) => {
                     onClick={() => {
                       setShowStartNotes(false);
                       setNotes('');
+                      setSelectedOrderId('');
                     }}
                     disabled={loading}
                     className="px-4 py-2 bg-gray-500 hover:bg-gray-600 text-white rounded-md text-sm font-medium transition-colors"
@@ -270,8 +425,35 @@ const MachineOperationControls = ({ machine, onOperationChange }) => {
           )}
         </div>
 
+        {canChangeover && !showStartNotes && !showStopNotes && (
+          <button
+            onClick={() => setShowChangeoverModal(true)}
+            disabled={loading}
+            className={cn(
+              'flex items-center px-4 py-2 rounded-md text-sm font-medium transition-colors',
+              openChangeover
+                ? 'bg-amber-500 hover:bg-amber-600 text-white'
+                : 'border border-amber-300 dark:border-amber-700 text-amber-700 dark:text-amber-400 hover:bg-amber-50 dark:hover:bg-amber-900/20'
+            )}
+          >
+            <ArrowsRightLeftIcon className="h-4 w-4 mr-2" />
+            {openChangeover ? `Troca em andamento → ${openChangeover.toProduct}` : 'Iniciar Troca de Produto'}
+          </button>
+        )}
+
+        {canRecordScrap && !showStartNotes && !showStopNotes && (
+          <button
+            onClick={() => setShowScrapModal(true)}
+            disabled={loading}
+            className="flex items-center px-4 py-2 border border-red-300 dark:border-red-700 text-red-700 dark:text-red-400 hover:bg-red-50 dark:hover:bg-red-900/20 rounded-md text-sm font-medium transition-colors"
+          >
+            <ArchiveBoxXMarkIcon className="h-4 w-4 mr-2" />
+            Lançar Refugo / Retrabalho
+          </button>
+        )}
+
         {/* Informações adicionais */}
-        {!canStartOperation && !canStopOperation && (
+        {!canStartOperation && !canStopOperation && !canChangeover && (
           <div className="text-sm text-gray-500 dark:text-gray-400 text-center py-2">
             {hasActiveOperation && !isCurrentOperator
               ? 'Máquina em operação por outro usuário'
@@ -280,6 +462,21 @@ const MachineOperationControls = ({ machine, onOperationChange }) => {
           </div>
         )}
       </div>
+
+      <ScrapEntryModal
+        isOpen={showScrapModal}
+        onClose={() => setShowScrapModal(false)}
+        machineId={currentMachine.id}
+      />
+
+      <ChangeoverModal
+        isOpen={showChangeoverModal}
+        onClose={() => setShowChangeoverModal(false)}
+        machine={currentMachine}
+        changeover={openChangeover}
+        canCancel={['LEADER', 'ADMIN', 'MANAGER'].includes(user?.role)}
+        onChange={(changeover) => setOpenChangeover(changeover && changeover.status === 'IN_SETUP' ? changeover : null)}
+      />
     </div>
   );
 };
@@ -0,0 +1,33 @@
+import React from 'react';
+import { cn } from '../lib/utils';
+
+export const workOrderStatusLabels = {
+  OPEN: 'Aberta',
+  IN_PROGRESS: 'Em execução',
+  COMPLETED: 'Concluída',
+  CANCELLED: 'Cancelada'
+};
+
+export const workOrderTypeLabels = {
+  PREVENTIVE: 'Preventiva',
+  CORRECTIVE: 'Corretiva'
+};
+
+export const triggerTypeLabels = {
+  CALENDAR: 'Calendário (dias)',
+  RUN_HOURS: 'Horas de funcionamento',
+  UNITS: 'Unidades produzidas'
+};
+
+const statusColors = {
+  OPEN: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400',
+  IN_PROGRESS: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400',
+  COMPLETED: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400',
+  CANCELLED: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300'
+};
+
+export const WorkOrderStatusBadge = ({ status }) => (
+  <span className={cn('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', statusColors[status])}>
+    {workOrderStatusLabels[status] || status}
+  </span>
+);
@@ -0,0 +1,38 @@
+import React from 'react';
+import { cn } from '../lib/utils';
+
+export const statusLabels = {
+  OPEN: 'Aberta',
+  INVESTIGATING: 'Em investigação',
+  VERIFIED: 'Verificada',
+  CLOSED: 'Encerrada'
+};
+
+export const severityLabels = {
+  MINOR: 'Menor',
+  MAJOR: 'Maior',
+  CRITICAL: 'Crítica'
+};
+
+const statusColors = {
+  OPEN: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400',
+  INVESTIGATING: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400',
+  VERIFIED: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400',
+  CLOSED: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400'
+};
+
+const severityColors = {
+  MINOR: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  MAJOR: 'bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-400',
+  CRITICAL: 'bg-red-600 text-white'
+};
+
+const badgeClassName = 'inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium';
+
+export const NonConformanceStatusBadge = ({ status }) => (
+  <span className={cn(badgeClassName, statusColors[status])}>{statusLabels[status] || status}</span>
+);
+
+export const NonConformanceSeverityBadge = ({ severity }) => (
+  <span className={cn(badgeClassName, severityColors[severity])}>{severityLabels[severity] || severity}</span>
+);
@@ -0,0 +1,165 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { PaperAirplaneIcon, ArrowPathIcon } from '@heroicons/react/24/outline';
+import { notificationService } from '../services/api';
+import { cn, formatDateTime } from '../lib/utils';
+
+const CHANNEL_LABELS = {
+  email: 'Email',
+  sms: 'SMS',
+  whatsapp: 'WhatsApp',
+  push: 'Push',
+  chat: 'Chat da equipe'
+};
+
+const STATUS_STYLES = {
+  pending: { label: 'Pendente', className: 'bg-gray-100 text-gray-700' },
+  sent: { label: 'Enviado', className: 'bg-blue-100 text-blue-700' },
+  delivered: { label: 'Entregue', className: 'bg-green-100 text-green-700' },
+  retrying: { label: 'Nova tentativa', className: 'bg-yellow-100 text-yellow-800' },
+  failed: { label: 'Falhou', className: 'bg-red-100 text-red-700' }
+};
+
+/**
+ * Provedores dos canais externos e histórico de envios com recibos e novas tentativas
+ */
+const NotificationDeliveries = () => {
+  const [channels, setChannels] = useState([]);
+  const [deliveries, setDeliveries] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [retrying, setRetrying] = useState(null);
+
+  const loadDeliveries = useCallback(async () => {
+    try {
+      const response = await notificationService.getDeliveries(statusFilter ? { status: statusFilter } : {});
+      setDeliveries(response.data.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar envios de notificações:', error);
+      toast.error('Erro ao carregar envios de notificações');
+    }
+  }, [statusFilter]);
+
+  useEffect(() => {
+    notificationService.getChannels()
+      .then(response => setChannels(response.data.data || []))
+      .catch(error => console.error('Erro ao carregar provedores dos canais:', error));
+  }, []);
+
+  useEffect(() => {
+    loadDeliveries();
+  }, [loadDeliveries]);
+
+  const handleRetry = async (delivery) => {
+    setRetrying(delivery.id);
+    try {
+      const response = await notificationService.retryDelivery(delivery.id);
+      if (response.data.data.status === 'failed') {
+        toast.error(response.data.message);
+      } else {
+        toast.success(response.data.message);
+      }
+      loadDeliveries();
+    } catch (error) {
+      console.error('Erro ao reenviar notificação:', error);
+      toast.error(error.response?.data?.message || 'Erro ao reenviar notificação');
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  return (
+    <div className="bg-white shadow rounded-lg p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-1 flex items-center">
+        <PaperAirplaneIcon className="h-5 w-5 mr-2 text-blue-600" />
+        Envios Externos
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Falhas temporárias são repetidas automaticamente com espera crescente; envios que falharam podem ser reenviados
+      </p>
+
+      <div className="flex flex-wrap gap-2 mb-4">
+        {channels.map(channel => (
+          <span
+            key={channel.channel}
+            title={channel.error || undefined}
+            className={cn(
+              'px-3 py-1 text-xs font-medium rounded-full',
+              channel.configured ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-500'
+            )}
+          >
+            {CHANNEL_LABELS[channel.channel]}: {channel.provider || 'desligado'}
+          </span>
+        ))}
+      </div>
+
+      <div className="flex justify-end mb-2">
+        <select
+          value={statusFilter}
+          onChange={(e) => setStatusFilter(e.target.value)}
+          className="px-3 py-2 border border-gray-300 rounded-md text-sm bg-white text-gray-900 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        >
+          <option value="">Todos os status</option>
+          {Object.entries(STATUS_STYLES).map(([status, style]) => (
+            <option key={status} value={status}>{style.label}</option>
+          ))}
+        </select>
+      </div>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {['Data', 'Canal', 'Destinatário', 'Status', 'Tentativas', 'Recibo / erro', ''].map(header => (
+                <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase">{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200">
+            {deliveries.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-gray-500">Nenhum envio registrado</td>
+              </tr>
+            )}
+            {deliveries.map(delivery => {
+              const status = STATUS_STYLES[delivery.status] || STATUS_STYLES.pending;
+              return (
+                <tr key={delivery.id}>
+                  <td className="px-4 py-2 text-gray-700 whitespace-nowrap">{formatDateTime(delivery.createdAt)}</td>
+                  <td className="px-4 py-2 text-gray-700">
+                    {CHANNEL_LABELS[delivery.channel] || delivery.channel}
+                    <span className="block text-xs text-gray-400">{delivery.provider || '—'}</span>
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">{delivery.userName || delivery.recipient || 'Equipe'}</td>
+                  <td className="px-4 py-2">
+                    <span className={cn('px-2 py-0.5 text-xs font-medium rounded-full', status.className)}>{status.label}</span>
+                    {delivery.nextRetryAt && (
+                      <span className="block text-xs text-gray-400">próxima: {formatDateTime(delivery.nextRetryAt)}</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-gray-700">{delivery.attempts}/{delivery.maxAttempts}</td>
+                  <td className="px-4 py-2 text-gray-500 max-w-xs truncate" title={delivery.errorMessage || delivery.providerMessageId || ''}>
+                    {delivery.errorMessage || delivery.providerMessageId || '—'}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {['failed', 'retrying'].includes(delivery.status) && (
+                      <button
+                        onClick={() => handleRetry(delivery)}
+                        disabled={retrying === delivery.id}
+                        className="inline-flex items-center text-blue-600 hover:text-blue-700 disabled:opacity-50"
+                      >
+                        <ArrowPathIcon className="h-4 w-4 mr-1" />
+                        Reenviar
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationDeliveries;
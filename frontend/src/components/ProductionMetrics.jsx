@@ -19,7 +19,7 @@ const ProductionMetrics = ({ machineId, machine, refreshTrigger = 0 }) => {
   const [error, setError] = useState(null);
   
   // Hook para produção em tempo real
-  const realTimeProduction = useRealTimeProduction(machine, 1000);
+  const realTimeProduction = useRealTimeProduction(machine);
 
   const fetchProductionData = async () => {
     if (!machineId) return;
@@ -0,0 +1,329 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import {
+  EnvelopeIcon,
+  PlayIcon,
+  TrashIcon,
+  PlusIcon,
+  PauseIcon,
+  CheckCircleIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+import reportService from '../services/reports';
+import { cn, formatDateTime } from '../lib/utils';
+
+const reportLabels = {
+  'quality-metrics': 'Métricas de Qualidade',
+  'machine-operations': 'Operações de Máquinas',
+  'teflon-changes': 'Trocas de Teflon',
+  'executive-dashboard': 'Dashboard Executivo',
+  'operator-productivity': 'Produtividade por Operador',
+  'oee-summary': 'Resumo de OEE'
+};
+
+const dateWindowLabels = {
+  PREVIOUS_SHIFT: 'Turno anterior',
+  CURRENT_SHIFT: 'Turno atual',
+  LAST_24_HOURS: 'Últimas 24 horas',
+  YESTERDAY: 'Ontem',
+  LAST_7_DAYS: 'Últimos 7 dias',
+  LAST_30_DAYS: 'Últimos 30 dias',
+  PREVIOUS_MONTH: 'Mês anterior'
+};
+
+const emptyForm = {
+  name: '',
+  reportType: 'oee-summary',
+  format: 'pdf',
+  dateWindow: 'LAST_7_DAYS',
+  machineIds: [],
+  cronExpression: '0 7 * * 1',
+  recipients: ''
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+/**
+ * Gerenciamento das assinaturas de relatório enviadas por email (Manager+)
+ */
+const ReportSubscriptions = ({ machines = [] }) => {
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [options, setOptions] = useState({ reportTypes: [], formats: [], dateWindows: [] });
+  const [form, setForm] = useState(emptyForm);
+  const [showForm, setShowForm] = useState(false);
+  const [saving, setSaving] = useState(false);
+  const [runningId, setRunningId] = useState(null);
+
+  const loadSubscriptions = async () => {
+    try {
+      const response = await reportService.getSubscriptions();
+      setSubscriptions(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar assinaturas de relatório:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadSubscriptions();
+    reportService.getSubscriptionOptions()
+      .then(response => setOptions(response.data))
+      .catch(error => console.error('Erro ao carregar opções de assinatura:', error));
+  }, []);
+
+  const updateForm = (field, value) => setForm(prev => ({ ...prev, [field]: value }));
+
+  const toggleMachine = (machineId) => {
+    setForm(prev => ({
+      ...prev,
+      machineIds: prev.machineIds.includes(machineId)
+        ? prev.machineIds.filter(id => id !== machineId)
+        : [...prev.machineIds, machineId]
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      await reportService.createSubscription({
+        name: form.name,
+        reportType: form.reportType,
+        format: form.format,
+        cronExpression: form.cronExpression,
+        recipients: form.recipients.split(/[,;\s]+/).filter(Boolean),
+        filters: {
+          dateWindow: form.dateWindow,
+          machineIds: form.machineIds
+        }
+      });
+      toast.success('Assinatura criada');
+      setForm(emptyForm);
+      setShowForm(false);
+      loadSubscriptions();
+    } catch (error) {
+      const details = error.response?.data?.errors?.map(err => err.msg).join(', ');
+      toast.error(details || error.response?.data?.message || 'Erro ao criar assinatura');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (subscription) => {
+    try {
+      await reportService.updateSubscription(subscription.id, { isActive: !subscription.isActive });
+      loadSubscriptions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Erro ao atualizar assinatura');
+    }
+  };
+
+  const handleRun = async (subscription) => {
+    setRunningId(subscription.id);
+    try {
+      const response = await reportService.runSubscription(subscription.id);
+      toast.success(response.message);
+      loadSubscriptions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Erro ao executar assinatura');
+      loadSubscriptions();
+    } finally {
+      setRunningId(null);
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!window.confirm(`Excluir a assinatura "${subscription.name}"?`)) return;
+    try {
+      await reportService.deleteSubscription(subscription.id);
+      toast.success('Assinatura excluída');
+      loadSubscriptions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Erro ao excluir assinatura');
+    }
+  };
+
+  return (
+    <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-6">
+      <div className="flex items-center justify-between mb-4">
+        <div className="flex items-center space-x-2">
+          <EnvelopeIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Assinaturas de Relatório</h3>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center space-x-1 px-3 py-1.5 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 transition-colors"
+        >
+          <PlusIcon className="h-4 w-4" />
+          <span>Nova assinatura</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6 p-4 rounded-lg bg-gray-50 dark:bg-gray-700/50">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Nome</label>
+            <input
+              value={form.name}
+              onChange={(e) => updateForm('name', e.target.value)}
+              className={inputClassName}
+              placeholder="OEE semanal da diretoria"
+              required
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Relatório</label>
+            <select value={form.reportType} onChange={(e) => updateForm('reportType', e.target.value)} className={inputClassName}>
+              {options.reportTypes.map(type => (
+                <option key={type} value={type}>{reportLabels[type] || type}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Período</label>
+            <select value={form.dateWindow} onChange={(e) => updateForm('dateWindow', e.target.value)} className={inputClassName}>
+              {options.dateWindows.map(window => (
+                <option key={window} value={window}>{dateWindowLabels[window] || window}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Formato</label>
+            <select value={form.format} onChange={(e) => updateForm('format', e.target.value)} className={inputClassName}>
+              {options.formats.map(format => (
+                <option key={format} value={format}>{format.toUpperCase()}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Agenda (cron)</label>
+            <input
+              value={form.cronExpression}
+              onChange={(e) => updateForm('cronExpression', e.target.value)}
+              className={cn(inputClassName, 'font-mono')}
+              required
+            />
+            <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">Ex.: 0 7 * * 1 = segundas às 07:00</p>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Destinatários</label>
+            <input
+              value={form.recipients}
+              onChange={(e) => updateForm('recipients', e.target.value)}
+              className={inputClassName}
+              placeholder="gestor@empresa.com, qualidade@empresa.com"
+              required
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+              Máquinas <span className="text-gray-400 font-normal">(nenhuma = todas)</span>
+            </label>
+            <div className="flex flex-wrap gap-2">
+              {machines.map(machine => (
+                <label key={machine.id} className="flex items-center space-x-1 text-sm text-gray-700 dark:text-gray-300">
+                  <input
+                    type="checkbox"
+                    checked={form.machineIds.includes(machine.id)}
+                    onChange={() => toggleMachine(machine.id)}
+                    className="rounded border-gray-300"
+                  />
+                  <span>{machine.name}</span>
+                </label>
+              ))}
+            </div>
+          </div>
+          <div className="md:col-span-2 flex justify-end space-x-2">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="px-4 py-2 text-sm rounded-md bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600"
+            >
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              disabled={saving}
+              className="px-4 py-2 text-sm rounded-md bg-blue-600 text-white hover:bg-blue-700 disabled:opacity-50"
+            >
+              {saving ? 'Salvando...' : 'Salvar'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {subscriptions.length === 0 ? (
+        <p className="text-sm text-gray-500 dark:text-gray-400 py-4 text-center">
+          Nenhuma assinatura cadastrada.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 dark:text-gray-400 border-b border-gray-200 dark:border-gray-700">
+                <th className="py-2 pr-4 font-medium">Nome</th>
+                <th className="py-2 pr-4 font-medium">Relatório</th>
+                <th className="py-2 pr-4 font-medium">Agenda</th>
+                <th className="py-2 pr-4 font-medium">Destinatários</th>
+                <th className="py-2 pr-4 font-medium">Última execução</th>
+                <th className="py-2 font-medium text-right">Ações</th>
+              </tr>
+            </thead>
+            <tbody>
+              {subscriptions.map(subscription => (
+                <tr key={subscription.id} className="border-b border-gray-100 dark:border-gray-700/50">
+                  <td className="py-2 pr-4 text-gray-900 dark:text-white">
+                    <span className={cn(!subscription.isActive && 'text-gray-400 line-through')}>{subscription.name}</span>
+                  </td>
+                  <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">
+                    {reportLabels[subscription.reportType] || subscription.reportType}
+                    <span className="text-xs text-gray-500 dark:text-gray-400 block">
+                      {dateWindowLabels[subscription.filters.dateWindow] || 'Últimas 24 horas'} · {subscription.format.toUpperCase()}
+                    </span>
+                  </td>
+                  <td className="py-2 pr-4 font-mono text-gray-700 dark:text-gray-300">{subscription.cronExpression}</td>
+                  <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">{subscription.recipients.join(', ')}</td>
+                  <td className="py-2 pr-4 text-gray-700 dark:text-gray-300">
+                    {subscription.lastRunAt ? (
+                      <span className="flex items-center space-x-1" title={subscription.lastError || ''}>
+                        {subscription.lastStatus === 'SUCCESS'
+                          ? <CheckCircleIcon className="h-4 w-4 text-green-500" />
+                          : <XCircleIcon className="h-4 w-4 text-red-500" />}
+                        <span>{formatDateTime(subscription.lastRunAt)}</span>
+                      </span>
+                    ) : '—'}
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      onClick={() => handleRun(subscription)}
+                      disabled={runningId === subscription.id}
+                      className="p-1.5 rounded text-blue-600 hover:bg-blue-50 dark:hover:bg-blue-900/20 disabled:opacity-50"
+                      title="Executar agora"
+                    >
+                      <PlayIcon className="h-4 w-4" />
+                    </button>
+                    <button
+                      onClick={() => handleToggle(subscription)}
+                      className="p-1.5 rounded text-gray-600 dark:text-gray-400 hover:bg-gray-100 dark:hover:bg-gray-700"
+                      title={subscription.isActive ? 'Pausar' : 'Reativar'}
+                    >
+                      {subscription.isActive ? <PauseIcon className="h-4 w-4" /> : <CheckCircleIcon className="h-4 w-4" />}
+                    </button>
+                    <button
+                      onClick={() => handleDelete(subscription)}
+                      className="p-1.5 rounded text-red-600 hover:bg-red-50 dark:hover:bg-red-900/20"
+                      title="Excluir"
+                    >
+                      <TrashIcon className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReportSubscriptions;
@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import toast from 'react-hot-toast';
+import { XMarkIcon, CameraIcon } from '@heroicons/react/24/outline';
+import scrapService from '../services/scrap';
+import { cn } from '../lib/utils';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const emptyForm = { type: 'SCRAP', reasonId: '', quantity: '', notes: '' };
+
+/**
+ * Lançamento de refugo ou retrabalho na operação ativa da máquina
+ * @param {boolean} isOpen - Modal visível
+ * @param {Function} onClose - Fechar sem lançar
+ * @param {number} machineId - Máquina da operação
+ * @param {Function} onSuccess - Chamado com o lançamento registrado
+ */
+const ScrapEntryModal = ({ isOpen, onClose, machineId, onSuccess }) => {
+  const [form, setForm] = useState(emptyForm);
+  const [reasons, setReasons] = useState([]);
+  const [photo, setPhoto] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    if (!isOpen) return;
+
+    scrapService.getReasons({ type: form.type })
+      .then(response => setReasons(response.data || []))
+      .catch(error => console.error('Erro ao carregar motivos de refugo:', error));
+  }, [isOpen, form.type]);
+
+  useEffect(() => {
+    if (!isOpen) {
+      setForm(emptyForm);
+      setPhoto(null);
+    }
+  }, [isOpen]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const quantity = parseInt(form.quantity);
+    if (!form.reasonId || !quantity || quantity <= 0) {
+      toast.error('Informe o motivo e a quantidade');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      let photoUrl = null;
+      if (photo) {
+        const upload = await scrapService.uploadPhoto(photo);
+        photoUrl = upload.data?.url || null;
+      }
+
+      const response = await scrapService.record({
+        machineId: parseInt(machineId),
+        type: form.type,
+        reasonId: parseInt(form.reasonId),
+        quantity,
+        photoUrl,
+        notes: form.notes.trim() || null
+      });
+      toast.success(response.message || 'Lançamento registrado');
+      if (onSuccess) {
+        onSuccess(response.data);
+      }
+      onClose();
+    } catch (error) {
+      console.error('Erro ao lançar refugo:', error);
+      toast.error(error.response?.data?.message || 'Erro ao lançar refugo');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <AnimatePresence>
+      {isOpen && (
+        <motion.div
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+          className="fixed inset-0 z-50 flex items-center justify-center p-4 bg-black bg-opacity-50"
+          onClick={(e) => {
+            if (e.target === e.currentTarget && !saving) {
+              onClose();
+            }
+          }}
+        >
+          <motion.div
+            initial={{ scale: 0.95, opacity: 0 }}
+            animate={{ scale: 1, opacity: 1 }}
+            exit={{ scale: 0.95, opacity: 0 }}
+            transition={{ duration: 0.2 }}
+            className="w-full max-w-md bg-white dark:bg-gray-900 rounded-lg shadow-xl"
+          >
+            <div className="flex items-center justify-between p-4 border-b border-gray-200 dark:border-gray-700">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Lançar Refugo / Retrabalho</h2>
+              <button
+                onClick={onClose}
+                disabled={saving}
+                className="p-1 rounded-md text-gray-400 hover:text-gray-600 dark:hover:text-gray-200"
+              >
+                <XMarkIcon className="h-5 w-5" />
+              </button>
+            </div>
+
+            <form onSubmit={handleSubmit} className="p-4 space-y-3">
+              <div className="grid grid-cols-2 gap-2">
+                {[['SCRAP', 'Refugo'], ['REWORK', 'Retrabalho']].map(([value, label]) => (
+                  <button
+                    key={value}
+                    type="button"
+                    onClick={() => setForm(prev => ({ ...prev, type: value, reasonId: '' }))}
+                    className={cn(
+                      'px-3 py-2 text-sm font-medium rounded-md border transition-colors',
+                      form.type === value
+                        ? 'bg-red-600 border-red-600 text-white'
+                        : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'
+                    )}
+                  >
+                    {label}
+                  </button>
+                ))}
+              </div>
+
+              <select
+                value={form.reasonId}
+                onChange={(e) => setForm(prev => ({ ...prev, reasonId: e.target.value }))}
+                className={inputClassName}
+              >
+                <option value="">Selecione o motivo</option>
+                {reasons.map(reason => (
+                  <option key={reason.id} value={reason.id}>{reason.name}</option>
+                ))}
+              </select>
+
+              <input
+                type="number"
+                min="1"
+                step="1"
+                placeholder="Quantidade de peças"
+                value={form.quantity}
+                onChange={(e) => setForm(prev => ({ ...prev, quantity: e.target.value }))}
+                className={inputClassName}
+              />
+
+              <textarea
+                rows={2}
+                placeholder="Observações (opcional)"
+                value={form.notes}
+                onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+                className={inputClassName}
+              />
+
+              <label className="flex items-center gap-2 px-3 py-2 border border-dashed border-gray-300 dark:border-gray-600 rounded-md text-sm text-gray-600 dark:text-gray-300 cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-800">
+                <CameraIcon className="h-5 w-5" />
+                <span className="truncate">{photo ? photo.name : 'Foto (opcional)'}</span>
+                <input
+                  type="file"
+                  accept="image/jpeg,image/png,image/webp"
+                  capture="environment"
+                  className="hidden"
+                  onChange={(e) => setPhoto(e.target.files?.[0] || null)}
+                />
+              </label>
+
+              <div className="flex justify-end gap-2 pt-2">
+                <button
+                  type="button"
+                  onClick={onClose}
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+                >
+                  Cancelar
+                </button>
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 transition-colors"
+                >
+                  {saving ? 'Registrando...' : 'Registrar'}
+                </button>
+              </div>
+            </form>
+          </motion.div>
+        </motion.div>
+      )}
+    </AnimatePresence>
+  );
+};
+
+export default ScrapEntryModal;
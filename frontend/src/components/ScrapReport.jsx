@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { ArchiveBoxXMarkIcon, ArrowPathIcon, ChartBarIcon } from '@heroicons/react/24/outline';
+import reportService from '../services/reports';
+import { cn, formatNumber } from '../lib/utils';
+
+const toggleClassName = (active) => cn(
+  'px-3 py-1.5 text-sm rounded-md transition-colors',
+  active
+    ? 'bg-blue-600 text-white'
+    : 'bg-gray-100 dark:bg-gray-700 text-gray-700 dark:text-gray-300 hover:bg-gray-200 dark:hover:bg-gray-600'
+);
+
+/**
+ * Pareto de motivos em barras horizontais com percentual acumulado
+ */
+const ReasonPareto = ({ reasons, emptyMessage }) => {
+  if (!reasons || reasons.length === 0) {
+    return (
+      <p className="text-sm text-gray-500 dark:text-gray-400 py-6 text-center">{emptyMessage}</p>
+    );
+  }
+
+  const maxQuantity = reasons[0].quantity || 1;
+
+  return (
+    <div className="space-y-3">
+      {reasons.map((reason) => (
+        <div key={reason.code}>
+          <div className="flex items-center justify-between text-sm mb-1">
+            <span className="font-medium text-gray-900 dark:text-white truncate">{reason.name}</span>
+            <div className="flex items-center space-x-4 text-gray-600 dark:text-gray-400 whitespace-nowrap">
+              <span>{formatNumber(reason.quantity)} pç</span>
+              <span>{reason.occurrences}x</span>
+              <span className="w-16 text-right">{reason.cumulativePercentage}%</span>
+            </div>
+          </div>
+          <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-3">
+            <div
+              className={cn(
+                'h-3 rounded-full transition-all duration-300',
+                reason.code === 'AJUSTE-LIDER' ? 'bg-gray-400' : reason.cumulativePercentage <= 80 ? 'bg-red-500' : 'bg-orange-400'
+              )}
+              style={{ width: `${(reason.quantity / maxQuantity) * 100}%` }}
+            />
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * Relatório de refugo e retrabalho: totais, Pareto por motivo e taxas por máquina
+ * @param {string} startDate - Início do período (ISO)
+ * @param {string} endDate - Fim do período (ISO)
+ * @param {string} machineId - Máquina selecionada ou 'ALL'
+ */
+const ScrapReport = ({ startDate, endDate, machineId }) => {
+  const [report, setReport] = useState(null);
+  const [type, setType] = useState('SCRAP');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const params = { startDate, endDate };
+    if (machineId && machineId !== 'ALL') {
+      params.machineId = machineId;
+    }
+
+    const fetchData = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const response = await reportService.getScrapReport(params);
+        setReport(response.data);
+      } catch (err) {
+        console.error('Erro ao carregar relatório de refugo:', err);
+        setError('Erro ao carregar relatório de refugo');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchData();
+  }, [startDate, endDate, machineId]);
+
+  if (loading && !report) {
+    return (
+      <div className="flex items-center justify-center py-12">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="bg-red-50 dark:bg-red-900/20 border border-red-200 dark:border-red-800 rounded-lg p-4 text-sm text-red-700 dark:text-red-400">
+        {error}
+      </div>
+    );
+  }
+
+  if (!report) return null;
+
+  const { totals } = report;
+
+  return (
+    <div className="space-y-6">
+      {/* Resumo */}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ChartBarIcon className="h-8 w-8 text-blue-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Peças produzidas</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">{formatNumber(Math.floor(totals.produced))}</div>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ArchiveBoxXMarkIcon className="h-8 w-8 text-red-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Refugo</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                {formatNumber(totals.scrap)} <span className="text-sm font-normal text-gray-500 dark:text-gray-400">({totals.scrapRate}%)</span>
+              </div>
+            </div>
+          </div>
+        </div>
+        <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+          <div className="flex items-center space-x-3">
+            <ArrowPathIcon className="h-8 w-8 text-yellow-500" />
+            <div>
+              <div className="text-sm text-gray-500 dark:text-gray-400">Retrabalho</div>
+              <div className="text-2xl font-bold text-gray-900 dark:text-white">
+                {formatNumber(totals.rework)} <span className="text-sm font-normal text-gray-500 dark:text-gray-400">({totals.reworkRate}%)</span>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Pareto por motivo */}
+      <div className="bg-white dark:bg-gray-800 p-6 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+        <div className="flex flex-col lg:flex-row lg:items-center lg:justify-between gap-4 mb-6">
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">Pareto por Motivo</h3>
+          <div className="flex flex-wrap gap-2">
+            <button className={toggleClassName(type === 'SCRAP')} onClick={() => setType('SCRAP')}>Refugo</button>
+            <button className={toggleClassName(type === 'REWORK')} onClick={() => setType('REWORK')}>Retrabalho</button>
+          </div>
+        </div>
+        {type === 'SCRAP'
+          ? <ReasonPareto reasons={report.scrapByReason} emptyMessage="Nenhum refugo registrado no período." />
+          : <ReasonPareto reasons={report.reworkByReason} emptyMessage="Nenhum retrabalho registrado no período." />}
+      </div>
+
+      {/* Por máquina */}
+      <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              {['Máquina', 'Produzido', 'Refugo', '% Refugo', 'Retrabalho', '% Retrabalho'].map(header => (
+                <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {report.byMachine.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-gray-500 dark:text-gray-400">Sem produção no período</td>
+              </tr>
+            )}
+            {report.byMachine.map(machine => (
+              <tr key={machine.machineId}>
+                <td className="px-4 py-2 text-gray-900 dark:text-white">{machine.machineName}</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatNumber(Math.floor(machine.produced))}</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatNumber(machine.scrap)}</td>
+                <td className={cn('px-4 py-2', machine.scrapRate >= 5 ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-700 dark:text-gray-300')}>
+                  {machine.scrapRate}%
+                </td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatNumber(machine.rework)}</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{machine.reworkRate}%</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default ScrapReport;
@@ -13,8 +13,8 @@ const ShiftRotation3x3 = () => {
 
   // Configuração das escalas
   const SHIFT_CONFIG = {
-    SHIFT_1: { name: '1ª Escala Diurna', time: '07:00 - 19:00', color: 'bg-blue-500' },
-    SHIFT_2: { name: '1ª Escala Noturna', time: '19:00 - 07:00', color: 'bg-purple-500' },
+    SHIFT_1: { name: 'Escala Diurna', time: '07:00 - 19:00', color: 'bg-blue-500' },
+    SHIFT_2: { name: 'Escala Noturna', time: '19:00 - 07:00', color: 'bg-purple-500' },
     SHIFT_3: { name: '2ª Escala Diurna', time: '07:00 - 19:00', color: 'bg-green-500' },
     SHIFT_4: { name: '2ª Escala Noturna', time: '19:00 - 07:00', color: 'bg-orange-500' },
     REST: { name: 'Descanso', time: 'Folga', color: 'bg-gray-400' }
@@ -122,7 +122,7 @@ const ShiftRotation3x3 = () => {
               Sistema de Turnos 3x3
             </h2>
             <p className="text-gray-600 mt-1">
-              4 escalas em rotação: 3 dias trabalhando, 3 dias de folga
+              4 equipes em rotação: 3 dias trabalhando, 3 dias de folga
             </p>
           </div>
           
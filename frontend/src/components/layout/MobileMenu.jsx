@@ -17,7 +17,9 @@ import {
   Cog6ToothIcon,
   ClockIcon,
   WrenchScrewdriverIcon,
-  DocumentTextIcon
+  DocumentTextIcon,
+  ClipboardDocumentListIcon,
+  MegaphoneIcon
 } from '@heroicons/react/24/outline';
 import { useAuth } from '../../hooks/useAuth';
 import useMachinePermissions from '../../hooks/useMachinePermissions';
@@ -38,7 +40,9 @@ const iconMap = {
   ClockIcon,
   WrenchScrewdriverIcon,
   BeakerIcon,
-  DocumentTextIcon
+  DocumentTextIcon,
+  ClipboardDocumentListIcon,
+  MegaphoneIcon
 };
 
 const MobileMenu = ({ isOpen, onClose }) => {
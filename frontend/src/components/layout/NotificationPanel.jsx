@@ -274,6 +274,11 @@ const NotificationPanel = ({ isOpen, onClose }) => {
                                     : 'text-gray-900 dark:text-white'
                                 )}>
                                   {notification.title}
+                                  {(notification.occurrenceCount || notification.occurrence_count) > 1 && (
+                                    <span className="ml-2 px-1.5 py-0.5 text-xs font-semibold rounded-full bg-gray-200 text-gray-700 dark:bg-gray-600 dark:text-gray-200">
+                                      {notification.occurrenceCount || notification.occurrence_count}×
+                                    </span>
+                                  )}
                                 </p>
                                 <p className="text-sm text-gray-500 dark:text-gray-400 mt-1">
                                   {notification.message}
@@ -16,6 +16,8 @@ import {
   WrenchScrewdriverIcon,
   BeakerIcon,
   DocumentTextIcon,
+  ClipboardDocumentListIcon,
+  MegaphoneIcon,
   ChevronLeftIcon,
   ChevronRightIcon,
   ChevronDownIcon,
@@ -53,7 +55,9 @@ const iconMap = {
   ClockIcon, // Adicionado para Turnos 3x3
   WrenchScrewdriverIcon,
   BeakerIcon,
-  DocumentTextIcon
+  DocumentTextIcon,
+  ClipboardDocumentListIcon,
+  MegaphoneIcon
 };
 
 const Sidebar = ({ collapsed, onCollapse }) => {
@@ -0,0 +1,140 @@
+import React, { useState, useEffect } from 'react';
+import toast from 'react-hot-toast';
+import { MoonIcon } from '@heroicons/react/24/outline';
+import { notificationService } from '../../services/api';
+
+const inputClassName = 'w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const DIGEST_MODES = [
+  { value: 'IMMEDIATE', label: 'Imediato', description: 'Cada notificação chega na hora' },
+  { value: 'HOURLY', label: 'Resumo por hora', description: 'Um email por hora com as notificações do período' },
+  { value: 'DAILY', label: 'Resumo diário', description: 'Um email por dia, no horário escolhido' }
+];
+
+/**
+ * Horário de silêncio e modo de resumo das notificações do usuário
+ */
+const NotificationDeliverySettings = () => {
+  const [preferences, setPreferences] = useState({
+    quietHoursStart: '',
+    quietHoursEnd: '',
+    digestMode: 'IMMEDIATE',
+    digestHour: 7
+  });
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    notificationService.getPreferences()
+      .then(response => {
+        const data = response.data.data;
+        setPreferences({
+          quietHoursStart: data.quietHoursStart || '',
+          quietHoursEnd: data.quietHoursEnd || '',
+          digestMode: data.digestMode,
+          digestHour: data.digestHour
+        });
+      })
+      .catch(error => console.error('Erro ao carregar preferências de entrega:', error));
+  }, []);
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await notificationService.updatePreferences({
+        quietHoursStart: preferences.quietHoursStart || null,
+        quietHoursEnd: preferences.quietHoursEnd || null,
+        digestMode: preferences.digestMode,
+        digestHour: parseInt(preferences.digestHour)
+      });
+      toast.success(response.data.message);
+    } catch (error) {
+      console.error('Erro ao salvar preferências de entrega:', error);
+      toast.error(error.response?.data?.message || 'Erro ao salvar preferências');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="p-4 bg-gray-50 dark:bg-gray-700/50 rounded-lg space-y-4">
+      <div className="flex items-center space-x-3">
+        <MoonIcon className="h-5 w-5 text-gray-400" />
+        <div>
+          <p className="text-sm font-medium text-gray-900 dark:text-white">
+            Silêncio e resumos
+          </p>
+          <p className="text-xs text-gray-500 dark:text-gray-400">
+            Fora do horário ou no modo de resumo, as notificações chegam num único email. Alertas críticos chegam sempre.
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Silêncio das</label>
+          <input
+            type="time"
+            value={preferences.quietHoursStart}
+            onChange={(e) => setPreferences(prev => ({ ...prev, quietHoursStart: e.target.value }))}
+            className={inputClassName}
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">até as</label>
+          <input
+            type="time"
+            value={preferences.quietHoursEnd}
+            onChange={(e) => setPreferences(prev => ({ ...prev, quietHoursEnd: e.target.value }))}
+            className={inputClassName}
+          />
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {DIGEST_MODES.map(mode => (
+          <label key={mode.value} className="flex items-start space-x-3 cursor-pointer">
+            <input
+              type="radio"
+              name="digestMode"
+              value={mode.value}
+              checked={preferences.digestMode === mode.value}
+              onChange={(e) => setPreferences(prev => ({ ...prev, digestMode: e.target.value }))}
+              className="mt-1 text-blue-600 focus:ring-blue-500"
+            />
+            <span>
+              <span className="block text-sm text-gray-900 dark:text-white">{mode.label}</span>
+              <span className="block text-xs text-gray-500 dark:text-gray-400">{mode.description}</span>
+            </span>
+          </label>
+        ))}
+      </div>
+
+      {preferences.digestMode === 'DAILY' && (
+        <div className="max-w-xs">
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Hora do resumo diário</label>
+          <select
+            value={preferences.digestHour}
+            onChange={(e) => setPreferences(prev => ({ ...prev, digestHour: e.target.value }))}
+            className={inputClassName}
+          >
+            {Array.from({ length: 24 }, (_, hour) => (
+              <option key={hour} value={hour}>{String(hour).padStart(2, '0')}:00</option>
+            ))}
+          </select>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={handleSave}
+          disabled={saving || Boolean(preferences.quietHoursStart) !== Boolean(preferences.quietHoursEnd)}
+          className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          {saving ? 'Salvando...' : 'Salvar silêncio e resumos'}
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default NotificationDeliverySettings;
@@ -0,0 +1,258 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  PhoneIcon,
+  UserGroupIcon,
+  WrenchScrewdriverIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import api from '../../services/api';
+import onCallService from '../../services/onCall';
+import { useAuth } from '../../hooks/useAuth';
+import { formatDateTime } from '../../lib/utils';
+
+const inputClassName = 'w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const emptyForm = { userId: '', startsAt: '', endsAt: '', notes: '' };
+
+/**
+ * Plantão dos alertas: equipes 3x3 em turno e plantões de manutenção
+ */
+const OnCallSettings = () => {
+  const { user } = useAuth();
+  const [current, setCurrent] = useState(null);
+  const [periods, setPeriods] = useState([]);
+  const [users, setUsers] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+
+  const canManage = ['MANAGER', 'ADMIN'].includes(user?.role);
+
+  const loadOnCall = useCallback(async () => {
+    try {
+      const [currentResponse, periodsResponse] = await Promise.all([
+        onCallService.getCurrent(),
+        onCallService.getMaintenanceOnCall()
+      ]);
+      setCurrent(currentResponse.data);
+      setPeriods(periodsResponse.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar plantão:', error);
+      toast.error('Erro ao carregar plantão');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadOnCall();
+  }, [loadOnCall]);
+
+  useEffect(() => {
+    if (!canManage) return;
+
+    api.get('/users', { params: { limit: 100 } })
+      .then(response => setUsers(response.data.data || []))
+      .catch(error => console.error('Erro ao carregar usuários:', error));
+  }, [canManage]);
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await onCallService.createMaintenanceOnCall({
+        userId: parseInt(form.userId),
+        startsAt: new Date(form.startsAt).toISOString(),
+        endsAt: new Date(form.endsAt).toISOString(),
+        notes: form.notes.trim() || null
+      });
+      toast.success(response.message);
+      setForm(emptyForm);
+      loadOnCall();
+    } catch (error) {
+      console.error('Erro ao cadastrar plantão:', error);
+      toast.error(error.response?.data?.message || 'Erro ao cadastrar plantão');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (period) => {
+    if (!window.confirm(`Excluir o plantão de ${period.userName}?`)) return;
+
+    try {
+      await onCallService.deleteMaintenanceOnCall(period.id);
+      toast.success('Plantão excluído');
+      loadOnCall();
+    } catch (error) {
+      console.error('Erro ao excluir plantão:', error);
+      toast.error(error.response?.data?.message || 'Erro ao excluir plantão');
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-3">
+        <div className="p-2 bg-blue-100 dark:bg-blue-900/20 rounded-lg">
+          <PhoneIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Plantão
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Os alertas vão apenas para a equipe e o líder em turno; fora do turno, para o plantão de manutenção
+          </p>
+        </div>
+      </div>
+
+      {/* Em turno agora */}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <h4 className="flex items-center text-sm font-semibold text-gray-900 dark:text-white mb-3">
+            <UserGroupIcon className="h-4 w-4 mr-2" />
+            Equipes em turno
+          </h4>
+          {!current?.hasTeams && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Nenhuma equipe 3x3 cadastrada: os alertas seguem o perfil dos usuários
+            </p>
+          )}
+          {current?.hasTeams && current.teams.length === 0 && (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Nenhuma equipe em turno agora</p>
+          )}
+          {current?.teams.map(team => (
+            <div key={team.teamCode} className="mb-3 last:mb-0">
+              <p className="text-sm font-medium text-gray-900 dark:text-white">
+                {team.teamName || `Equipe ${team.teamCode}`}
+                <span className="ml-2 text-xs text-gray-500 dark:text-gray-400">
+                  até {formatDateTime(team.shiftTimes.endTime)}
+                </span>
+              </p>
+              <p className="text-sm text-gray-600 dark:text-gray-300">
+                Líder: {team.leaders.length > 0 ? team.leaders.map(leader => leader.name).join(', ') : 'não definido'}
+              </p>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                {team.members.length} membros
+              </p>
+            </div>
+          ))}
+        </div>
+
+        <div className="border border-gray-200 dark:border-gray-700 rounded-lg p-4">
+          <h4 className="flex items-center text-sm font-semibold text-gray-900 dark:text-white mb-3">
+            <WrenchScrewdriverIcon className="h-4 w-4 mr-2" />
+            Manutenção de plantão
+          </h4>
+          {current?.maintenance.length > 0 ? (
+            current.maintenance.map(person => (
+              <p key={person.id} className="text-sm text-gray-900 dark:text-white">{person.name}</p>
+            ))
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Nenhum plantonista no momento</p>
+          )}
+        </div>
+      </div>
+
+      {canManage && (
+        <form onSubmit={handleCreate} className="space-y-4">
+          <h4 className="text-sm font-semibold text-gray-900 dark:text-white">Novo plantão de manutenção</h4>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Plantonista</label>
+              <select
+                value={form.userId}
+                onChange={(e) => setForm(prev => ({ ...prev, userId: e.target.value }))}
+                required
+                className={inputClassName}
+              >
+                <option value="">Selecione</option>
+                {users.map(item => (
+                  <option key={item.id} value={item.id}>{item.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Início</label>
+              <input
+                type="datetime-local"
+                value={form.startsAt}
+                onChange={(e) => setForm(prev => ({ ...prev, startsAt: e.target.value }))}
+                required
+                className={inputClassName}
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Fim</label>
+              <input
+                type="datetime-local"
+                value={form.endsAt}
+                onChange={(e) => setForm(prev => ({ ...prev, endsAt: e.target.value }))}
+                required
+                className={inputClassName}
+              />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Observação</label>
+            <input
+              type="text"
+              value={form.notes}
+              onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))}
+              placeholder="Ex.: fim de semana, parada programada"
+              maxLength={500}
+              className={inputClassName}
+            />
+          </div>
+          <button
+            type="submit"
+            disabled={saving}
+            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+          >
+            <WrenchScrewdriverIcon className="h-4 w-4 mr-2" />
+            {saving ? 'Salvando...' : 'Cadastrar plantão'}
+          </button>
+        </form>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              {['Plantonista', 'Início', 'Fim', 'Observação', ''].map(header => (
+                <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {periods.length === 0 && (
+              <tr>
+                <td colSpan={5} className="px-4 py-6 text-center text-gray-500 dark:text-gray-400">Nenhum plantão de manutenção agendado</td>
+              </tr>
+            )}
+            {periods.map(period => (
+              <tr key={period.id}>
+                <td className="px-4 py-2 text-gray-900 dark:text-white">{period.userName}</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatDateTime(period.startsAt)}</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatDateTime(period.endsAt)}</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{period.notes || '—'}</td>
+                <td className="px-4 py-2 text-right">
+                  {canManage && (
+                    <button
+                      onClick={() => handleDelete(period)}
+                      className="inline-flex items-center text-red-600 hover:text-red-700 dark:text-red-400"
+                    >
+                      <TrashIcon className="h-4 w-4 mr-1" />
+                      Excluir
+                    </button>
+                  )}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default OnCallSettings;
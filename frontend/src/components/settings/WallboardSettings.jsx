@@ -0,0 +1,229 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  TvIcon,
+  ClipboardDocumentIcon,
+  TrashIcon
+} from '@heroicons/react/24/outline';
+import wallboardService from '../../services/wallboard';
+import useMachineStatus from '../../hooks/useMachineStatus';
+import { copyToClipboard, formatDateTime } from '../../lib/utils';
+
+const wallboardUrl = (token) => `${window.location.origin}/wallboard/${token}`;
+
+/**
+ * Cadastro dos painéis de TV do chão de fábrica (tokens de quiosque)
+ */
+const WallboardSettings = () => {
+  const { machines } = useMachineStatus();
+  const [wallboards, setWallboards] = useState([]);
+  const [form, setForm] = useState({ name: '', machineIds: [], rotateSeconds: 20 });
+  const [saving, setSaving] = useState(false);
+  const [createdUrl, setCreatedUrl] = useState(null);
+
+  const loadWallboards = useCallback(async () => {
+    try {
+      const response = await wallboardService.getWallboards();
+      setWallboards(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar painéis de TV:', error);
+      toast.error('Erro ao carregar painéis de TV');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadWallboards();
+  }, [loadWallboards]);
+
+  const toggleMachine = (machineId) => {
+    setForm(prev => ({
+      ...prev,
+      machineIds: prev.machineIds.includes(machineId)
+        ? prev.machineIds.filter(id => id !== machineId)
+        : [...prev.machineIds, machineId]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await wallboardService.createWallboard({
+        name: form.name,
+        machineIds: form.machineIds.length > 0 ? form.machineIds : null,
+        rotateSeconds: parseInt(form.rotateSeconds)
+      });
+      setCreatedUrl(wallboardUrl(response.data.token));
+      setForm({ name: '', machineIds: [], rotateSeconds: 20 });
+      toast.success(response.message);
+      loadWallboards();
+    } catch (error) {
+      console.error('Erro ao criar painel de TV:', error);
+      toast.error(error.response?.data?.message || 'Erro ao criar painel');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRevoke = async (wallboard) => {
+    if (!window.confirm(`Revogar o painel "${wallboard.name}"? A TV deixará de exibir os dados.`)) return;
+
+    try {
+      await wallboardService.revokeWallboard(wallboard.id);
+      toast.success('Painel revogado');
+      loadWallboards();
+    } catch (error) {
+      console.error('Erro ao revogar painel de TV:', error);
+      toast.error(error.response?.data?.message || 'Erro ao revogar painel');
+    }
+  };
+
+  const handleCopy = async () => {
+    if (await copyToClipboard(createdUrl)) {
+      toast.success('Endereço copiado');
+    }
+  };
+
+  const machineName = (id) => machines?.find(machine => machine.id === id)?.name || `#${id}`;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-3">
+        <div className="p-2 bg-blue-100 dark:bg-blue-900/20 rounded-lg">
+          <TvIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Painéis de TV
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Endereços somente leitura para as TVs do chão de fábrica, sem login
+          </p>
+        </div>
+      </div>
+
+      {createdUrl && (
+        <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4 space-y-2">
+          <p className="text-sm font-medium text-green-800 dark:text-green-300">
+            Abra este endereço no navegador da TV. Ele não será exibido novamente.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 px-3 py-2 text-xs bg-white dark:bg-gray-800 rounded border border-green-200 dark:border-green-800 text-gray-900 dark:text-white break-all">
+              {createdUrl}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 transition-colors"
+            >
+              <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+              Copiar
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Nome da TV</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Ex.: TV Linha 1"
+              required
+              maxLength={100}
+              className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Troca de tela (segundos)</label>
+            <input
+              type="number"
+              min={5}
+              max={300}
+              value={form.rotateSeconds}
+              onChange={(e) => setForm(prev => ({ ...prev, rotateSeconds: e.target.value }))}
+              className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">
+            Máquinas exibidas (nenhuma marcada = todas)
+          </label>
+          <div className="flex flex-wrap gap-2">
+            {(machines || []).map(machine => (
+              <label
+                key={machine.id}
+                className="inline-flex items-center px-3 py-1 text-sm rounded-full border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={form.machineIds.includes(machine.id)}
+                  onChange={() => toggleMachine(machine.id)}
+                  className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {machine.name}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving || !form.name.trim()}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          <TvIcon className="h-4 w-4 mr-2" />
+          {saving ? 'Criando...' : 'Criar painel'}
+        </button>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              {['Nome', 'Token', 'Máquinas', 'Troca', 'Último acesso', ''].map(header => (
+                <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {wallboards.length === 0 && (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-gray-500 dark:text-gray-400">Nenhum painel cadastrado</td>
+              </tr>
+            )}
+            {wallboards.map(wallboard => (
+              <tr key={wallboard.id}>
+                <td className="px-4 py-2 text-gray-900 dark:text-white">{wallboard.name}</td>
+                <td className="px-4 py-2 font-mono text-gray-500 dark:text-gray-400">{wallboard.tokenPrefix}…</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                  {wallboard.machineIds ? wallboard.machineIds.map(machineName).join(', ') : 'Todas'}
+                </td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{wallboard.rotateSeconds}s</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                  {wallboard.lastUsedAt ? formatDateTime(wallboard.lastUsedAt) : 'Nunca'}
+                </td>
+                <td className="px-4 py-2 text-right">
+                  <button
+                    onClick={() => handleRevoke(wallboard)}
+                    className="inline-flex items-center text-red-600 hover:text-red-700 dark:text-red-400"
+                  >
+                    <TrashIcon className="h-4 w-4 mr-1" />
+                    Revogar
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default WallboardSettings;
@@ -0,0 +1,346 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import {
+  LinkIcon,
+  ClipboardDocumentIcon,
+  TrashIcon,
+  PaperAirplaneIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+import webhookService from '../../services/webhooks';
+import { cn, copyToClipboard, formatDateTime } from '../../lib/utils';
+
+const emptyForm = { name: '', url: '', eventTypes: [] };
+
+/**
+ * Cadastro dos webhooks de saída (ERP, BI) e lista das entregas mortas
+ */
+const WebhookSettings = () => {
+  const [events, setEvents] = useState([]);
+  const [subscriptions, setSubscriptions] = useState([]);
+  const [deadDeliveries, setDeadDeliveries] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [createdSecret, setCreatedSecret] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  const loadWebhooks = useCallback(async () => {
+    try {
+      const [subscriptionsResponse, deadResponse] = await Promise.all([
+        webhookService.getSubscriptions(),
+        webhookService.getDeliveries({ status: 'dead', limit: 50 })
+      ]);
+      setSubscriptions(subscriptionsResponse.data || []);
+      setDeadDeliveries(deadResponse.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar webhooks:', error);
+      toast.error('Erro ao carregar webhooks');
+    }
+  }, []);
+
+  useEffect(() => {
+    webhookService.getEvents()
+      .then(response => setEvents(response.data || []))
+      .catch(error => console.error('Erro ao carregar eventos de webhook:', error));
+    loadWebhooks();
+  }, [loadWebhooks]);
+
+  const toggleEvent = (type) => {
+    setForm(prev => ({
+      ...prev,
+      eventTypes: prev.eventTypes.includes(type)
+        ? prev.eventTypes.filter(item => item !== type)
+        : [...prev.eventTypes, type]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const response = await webhookService.createSubscription(form);
+      setCreatedSecret(response.data.secret);
+      setForm(emptyForm);
+      toast.success(response.message);
+      loadWebhooks();
+    } catch (error) {
+      console.error('Erro ao cadastrar webhook:', error);
+      toast.error(error.response?.data?.message || 'Erro ao cadastrar webhook');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (subscription) => {
+    try {
+      await webhookService.updateSubscription(subscription.id, { isActive: !subscription.isActive });
+      toast.success(subscription.isActive ? 'Webhook pausado' : 'Webhook ativado');
+      loadWebhooks();
+    } catch (error) {
+      console.error('Erro ao atualizar webhook:', error);
+      toast.error(error.response?.data?.message || 'Erro ao atualizar webhook');
+    }
+  };
+
+  const handleTest = async (subscription) => {
+    setBusyId(`test-${subscription.id}`);
+    try {
+      const response = await webhookService.sendTest(subscription.id);
+      if (response.data.status === 'delivered') {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+      loadWebhooks();
+    } catch (error) {
+      console.error('Erro ao testar webhook:', error);
+      toast.error(error.response?.data?.message || 'Erro ao testar webhook');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (subscription) => {
+    if (!window.confirm(`Excluir o webhook "${subscription.name}"? O histórico de entregas também será apagado.`)) return;
+
+    try {
+      await webhookService.deleteSubscription(subscription.id);
+      toast.success('Webhook excluído');
+      loadWebhooks();
+    } catch (error) {
+      console.error('Erro ao excluir webhook:', error);
+      toast.error(error.response?.data?.message || 'Erro ao excluir webhook');
+    }
+  };
+
+  const handleRedeliver = async (delivery) => {
+    setBusyId(`delivery-${delivery.id}`);
+    try {
+      const response = await webhookService.redeliver(delivery.id);
+      if (response.data.status === 'delivered') {
+        toast.success(response.message);
+      } else {
+        toast.error(response.message);
+      }
+      loadWebhooks();
+    } catch (error) {
+      console.error('Erro ao reenviar entrega de webhook:', error);
+      toast.error(error.response?.data?.message || 'Erro ao reenviar entrega');
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    if (await copyToClipboard(createdSecret)) {
+      toast.success('Segredo copiado');
+    }
+  };
+
+  const eventLabel = (type) => events.find(event => event.type === type)?.description || type;
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex items-center space-x-3">
+        <div className="p-2 bg-blue-100 dark:bg-blue-900/20 rounded-lg">
+          <LinkIcon className="h-5 w-5 text-blue-600 dark:text-blue-400" />
+        </div>
+        <div>
+          <h3 className="text-lg font-semibold text-gray-900 dark:text-white">
+            Webhooks
+          </h3>
+          <p className="text-sm text-gray-500 dark:text-gray-400">
+            Eventos de máquinas, qualidade, teflon e alertas enviados por POST assinado (HMAC-SHA256)
+          </p>
+        </div>
+      </div>
+
+      {createdSecret && (
+        <div className="bg-green-50 dark:bg-green-900/20 border border-green-200 dark:border-green-800 rounded-lg p-4 space-y-2">
+          <p className="text-sm font-medium text-green-800 dark:text-green-300">
+            Segredo para validar o cabeçalho X-Zara-Signature. Ele não será exibido novamente.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 px-3 py-2 text-xs bg-white dark:bg-gray-800 rounded border border-green-200 dark:border-green-800 text-gray-900 dark:text-white break-all">
+              {createdSecret}
+            </code>
+            <button
+              onClick={handleCopy}
+              className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 transition-colors"
+            >
+              <ClipboardDocumentIcon className="h-4 w-4 mr-1" />
+              Copiar
+            </button>
+          </div>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Nome</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm(prev => ({ ...prev, name: e.target.value }))}
+              placeholder="Ex.: ERP"
+              required
+              maxLength={100}
+              className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+          <div className="md:col-span-2">
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">URL de destino</label>
+            <input
+              type="url"
+              value={form.url}
+              onChange={(e) => setForm(prev => ({ ...prev, url: e.target.value }))}
+              placeholder="https://erp.empresa.com.br/webhooks/zara"
+              required
+              className="w-full px-3 py-2 text-sm border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            />
+          </div>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Eventos</label>
+          <div className="flex flex-wrap gap-2">
+            {events.map(event => (
+              <label
+                key={event.type}
+                title={event.type}
+                className="inline-flex items-center px-3 py-1 text-sm rounded-full border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={form.eventTypes.includes(event.type)}
+                  onChange={() => toggleEvent(event.type)}
+                  className="mr-2 rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                />
+                {event.description}
+              </label>
+            ))}
+          </div>
+        </div>
+
+        <button
+          type="submit"
+          disabled={saving || !form.name.trim() || !form.url.trim() || form.eventTypes.length === 0}
+          className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          <LinkIcon className="h-4 w-4 mr-2" />
+          {saving ? 'Cadastrando...' : 'Cadastrar webhook'}
+        </button>
+      </form>
+
+      <div className="overflow-x-auto">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+          <thead className="bg-gray-50 dark:bg-gray-700">
+            <tr>
+              {['Nome', 'URL', 'Eventos', 'Última entrega', 'Mortas', 'Ativo', ''].map(header => (
+                <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+            {subscriptions.length === 0 && (
+              <tr>
+                <td colSpan={7} className="px-4 py-6 text-center text-gray-500 dark:text-gray-400">Nenhum webhook cadastrado</td>
+              </tr>
+            )}
+            {subscriptions.map(subscription => (
+              <tr key={subscription.id}>
+                <td className="px-4 py-2 text-gray-900 dark:text-white">{subscription.name}</td>
+                <td className="px-4 py-2 font-mono text-xs text-gray-500 dark:text-gray-400 break-all">{subscription.url}</td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                  {subscription.eventTypes.map(eventLabel).join(', ')}
+                </td>
+                <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                  {subscription.lastDeliveryAt ? formatDateTime(subscription.lastDeliveryAt) : 'Nunca'}
+                </td>
+                <td className={cn('px-4 py-2', subscription.deadCount > 0 ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-700 dark:text-gray-300')}>
+                  {subscription.deadCount}
+                </td>
+                <td className="px-4 py-2">
+                  <input
+                    type="checkbox"
+                    checked={subscription.isActive}
+                    onChange={() => handleToggleActive(subscription)}
+                    className="rounded border-gray-300 text-blue-600 focus:ring-blue-500"
+                  />
+                </td>
+                <td className="px-4 py-2 text-right whitespace-nowrap space-x-3">
+                  <button
+                    onClick={() => handleTest(subscription)}
+                    disabled={busyId === `test-${subscription.id}`}
+                    className="inline-flex items-center text-blue-600 hover:text-blue-700 dark:text-blue-400 disabled:opacity-50"
+                  >
+                    <PaperAirplaneIcon className="h-4 w-4 mr-1" />
+                    Testar
+                  </button>
+                  <button
+                    onClick={() => handleDelete(subscription)}
+                    className="inline-flex items-center text-red-600 hover:text-red-700 dark:text-red-400"
+                  >
+                    <TrashIcon className="h-4 w-4 mr-1" />
+                    Excluir
+                  </button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Entregas mortas */}
+      <div className="space-y-2">
+        <h4 className="text-sm font-semibold text-gray-900 dark:text-white">
+          Entregas mortas ({deadDeliveries.length})
+        </h4>
+        <p className="text-xs text-gray-500 dark:text-gray-400">
+          Eventos recusados pelo destino ou que esgotaram as tentativas. O reenvio usa o mesmo ID de evento.
+        </p>
+        <div className="overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Webhook', 'Evento', 'Criado em', 'Tentativas', 'Erro', ''].map(header => (
+                  <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {deadDeliveries.length === 0 && (
+                <tr>
+                  <td colSpan={6} className="px-4 py-6 text-center text-gray-500 dark:text-gray-400">Nenhuma entrega morta</td>
+                </tr>
+              )}
+              {deadDeliveries.map(delivery => (
+                <tr key={delivery.id}>
+                  <td className="px-4 py-2 text-gray-900 dark:text-white">{delivery.subscriptionName}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{eventLabel(delivery.eventType)}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatDateTime(delivery.createdAt)}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{delivery.attempts}/{delivery.maxAttempts}</td>
+                  <td className="px-4 py-2 text-xs text-red-600 dark:text-red-400">{delivery.errorMessage}</td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => handleRedeliver(delivery)}
+                      disabled={busyId === `delivery-${delivery.id}`}
+                      className="inline-flex items-center text-blue-600 hover:text-blue-700 dark:text-blue-400 disabled:opacity-50"
+                    >
+                      <ArrowPathIcon className="h-4 w-4 mr-1" />
+                      Reenviar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WebhookSettings;
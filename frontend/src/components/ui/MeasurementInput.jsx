@@ -18,61 +18,52 @@ const MeasurementInput = ({
   const [validationResults, setValidationResults] = useState({});
   const [showTolerances, setShowTolerances] = useState(false);
 
-  // Configurações de medição
+  // Dimensões medidas no teste de qualidade (mesmos campos de POST /api/quality-tests)
   const measurementConfig = [
     {
-      key: 'thickness',
-      label: 'Espessura',
+      key: 'packageWidth',
+      label: 'Largura da Embalagem',
       unit: 'mm',
       icon: ScaleIcon,
       step: 0.01,
       placeholder: '0.00',
-      description: 'Espessura do material'
+      description: 'Largura total da embalagem'
     },
     {
-      key: 'width',
-      label: 'Largura',
+      key: 'bottomSize',
+      label: 'Tamanho do Fundo',
       unit: 'mm',
       icon: ScaleIcon,
       step: 0.01,
       placeholder: '0.00',
-      description: 'Largura da peça'
+      description: 'Medida do fundo'
     },
     {
-      key: 'length',
-      label: 'Comprimento',
+      key: 'sideSize',
+      label: 'Tamanho Lateral',
       unit: 'mm',
       icon: ScaleIcon,
       step: 0.01,
       placeholder: '0.00',
-      description: 'Comprimento da peça'
+      description: 'Medida da lateral'
     },
     {
-      key: 'weight',
-      label: 'Peso',
-      unit: 'g',
-      icon: ScaleIcon,
-      step: 0.1,
-      placeholder: '0.0',
-      description: 'Peso total da peça'
-    },
-    {
-      key: 'diameter',
-      label: 'Diâmetro',
+      key: 'zipperDistance',
+      label: 'Distância do Zíper',
       unit: 'mm',
       icon: ScaleIcon,
       step: 0.01,
       placeholder: '0.00',
-      description: 'Diâmetro (se aplicável)'
+      description: 'Distância do zíper até a borda'
     },
     {
-      key: 'height',
-      label: 'Altura',
+      key: 'facilitatorDistance',
+      label: 'Distância do Facilitador',
       unit: 'mm',
       icon: ScaleIcon,
       step: 0.01,
       placeholder: '0.00',
-      description: 'Altura da peça'
+      description: 'Distância do facilitador até a borda'
     }
   ];
 
@@ -81,11 +72,12 @@ const MeasurementInput = ({
     const results = {};
     
     measurementConfig.forEach(config => {
-      const value = parseFloat(measurements[config.key] || 0);
+      const value = parseFloat(measurements[config.key]);
       const spec = specifications[config.key];
       
-      if (spec && value > 0) {
+      if (spec && !isNaN(value)) {
         const { min, max, target, tolerance } = spec;
+        const nominal = spec.nominal ?? target;
         
         let status = 'valid';
         let message = 'Dentro da especificação';
@@ -105,6 +97,14 @@ const MeasurementInput = ({
             status = 'warning';
             message = `Próximo do limite de tolerância`;
           }
+        } else if (nominal !== undefined && min !== undefined && max !== undefined) {
+          // Tolerâncias assimétricas: comparar com o limite do lado do desvio
+          const limit = value >= nominal ? max : min;
+          const band = Math.abs(limit - nominal);
+          if (band > 0 && Math.abs(value - nominal) > band * 0.8) {
+            status = 'warning';
+            message = `Próximo do limite de tolerância`;
+          }
         }
         
         results[config.key] = { status, message, value, spec };
@@ -138,9 +138,13 @@ const MeasurementInput = ({
   const formatSpecification = (spec) => {
     if (!spec) return null;
     
-    const { min, max, target, tolerance } = spec;
+    const { min, max, target, tolerance, nominal, lowerTolerance, upperTolerance } = spec;
     
-    if (target !== undefined && tolerance !== undefined) {
+    if (nominal !== undefined && lowerTolerance !== undefined && upperTolerance !== undefined) {
+      return lowerTolerance === upperTolerance
+        ? `${nominal} ±${upperTolerance}`
+        : `${nominal} +${upperTolerance}/-${lowerTolerance}`;
+    } else if (target !== undefined && tolerance !== undefined) {
       return `${target} ±${tolerance}`;
     } else if (min !== undefined && max !== undefined) {
       return `${min} - ${max}`;
@@ -153,14 +157,16 @@ const MeasurementInput = ({
     return null;
   };
 
-  const MeasurementField = ({ config }) => {
+  // Renderizado como função (não componente) para o campo não perder o foco a cada tecla
+  const renderMeasurementField = (config) => {
     const { key, label, unit, icon: Icon, step, placeholder, description } = config;
-    const value = measurements[key] || '';
+    const value = measurements[key] ?? '';
     const validation = validationResults[key];
     const spec = specifications[key];
     
     return (
       <motion.div
+        key={key}
         initial={{ opacity: 0, y: 20 }}
         animate={{ opacity: 1, y: 0 }}
         className="space-y-2"
@@ -282,9 +288,7 @@ const MeasurementInput = ({
       
       {/* Grid de medições */}
       <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
-        {measurementConfig.map(config => (
-          <MeasurementField key={config.key} config={config} />
-        ))}
+        {measurementConfig.map(config => renderMeasurementField(config))}
       </div>
       
       {/* Resumo de validação */}
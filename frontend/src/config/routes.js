@@ -27,11 +27,32 @@ export const ROUTES = {
   QUALITY_EDIT: '/quality/:id/edit',
   QUALITY_DETAIL: '/quality/:id',
   QUALITY_TEST: '/quality/test/:machineId',
+  QUALITY_SPC: '/quality/spc',
+  NON_CONFORMANCES: '/quality/non-conformances',
+  NON_CONFORMANCE_DETAIL: '/quality/non-conformances/:id',
+  LOT_STATUSES: '/quality/lots',
   
   // Controle de Teflon
   TEFLON: '/teflon',
   TEFLON_CHANGE: '/teflon/change',
   TEFLON_HISTORY: '/teflon/history',
+
+  // Manutenção
+  MAINTENANCE: '/maintenance',
+  MAINTENANCE_WORK_ORDER: '/maintenance/work-orders/:id',
+
+  // Reconciliação de produção por turno
+  SHIFT_RECONCILIATION: '/shift-reconciliation',
+
+  // Livro de eventos de produção
+  PRODUCTION_LEDGER: '/production-ledger',
+
+  // Ordens de produção e quadro de programação
+  PRODUCTION_ORDERS: '/production-orders',
+
+  // Chamados de andon
+  ANDON: '/andon',
+  ANDON_KIOSK: '/andon/kiosk',
   
   // Relatórios
   REPORTS: '/reports',
@@ -56,6 +77,9 @@ export const ROUTES = {
   
   // Sistema de Turnos 3x3
   SHIFTS_3X3: '/shifts-3x3',
+
+  // Sinais das máquinas (CLP/MQTT/Modbus)
+  MACHINE_SIGNALS: '/machine-signals',
   
   // Perfil
   PROFILE: '/profile',
@@ -95,13 +119,25 @@ export const ROUTE_PERMISSIONS = {
   [ROUTES.QUALITY]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.QUALITY_NEW]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.QUALITY_EDIT]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.QUALITY_SPC]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.NON_CONFORMANCES]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.NON_CONFORMANCE_DETAIL]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.LOT_STATUSES]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.TEFLON]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.MAINTENANCE]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.MAINTENANCE_WORK_ORDER]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.SHIFT_RECONCILIATION]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.PRODUCTION_LEDGER]: ['LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.PRODUCTION_ORDERS]: ['LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.ANDON]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
+  [ROUTES.ANDON_KIOSK]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.REPORTS]: ['LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.NOTIFICATIONS]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.NOTIFICATIONS_ADMIN]: ['ADMIN'],
   [ROUTES.NOTIFICATIONS_DASHBOARD]: ['LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.USERS]: ['MANAGER', 'ADMIN'],
   [ROUTES.PERMISSIONS]: ['MANAGER', 'ADMIN'],
+  [ROUTES.MACHINE_SIGNALS]: ['MANAGER', 'ADMIN'],
   [ROUTES.PROFILE]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.SETTINGS]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
   [ROUTES.SETTINGS_PERSONAL]: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'],
@@ -174,6 +210,21 @@ export const NAVIGATION_ITEMS = [
         name: 'Novo Teste',
         path: ROUTES.QUALITY_NEW,
         roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
+      },
+      {
+        name: 'Cartas CEP',
+        path: ROUTES.QUALITY_SPC,
+        roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
+      },
+      {
+        name: 'Não Conformidades',
+        path: ROUTES.NON_CONFORMANCES,
+        roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
+      },
+      {
+        name: 'Status de Lotes',
+        path: ROUTES.LOT_STATUSES,
+        roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
       }
     ]
   },
@@ -183,6 +234,36 @@ export const NAVIGATION_ITEMS = [
     icon: 'ShieldCheckIcon',
     roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
   },
+  {
+    name: 'Manutenção',
+    path: ROUTES.MAINTENANCE,
+    icon: 'WrenchScrewdriverIcon',
+    roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
+  },
+  {
+    name: 'Reconciliação de Turnos',
+    path: ROUTES.SHIFT_RECONCILIATION,
+    icon: 'ClockIcon',
+    roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
+  },
+  {
+    name: 'Livro de Produção',
+    path: ROUTES.PRODUCTION_LEDGER,
+    icon: 'DocumentTextIcon',
+    roles: ['LEADER', 'MANAGER', 'ADMIN']
+  },
+  {
+    name: 'Ordens de Produção',
+    path: ROUTES.PRODUCTION_ORDERS,
+    icon: 'ClipboardDocumentListIcon',
+    roles: ['LEADER', 'MANAGER', 'ADMIN']
+  },
+  {
+    name: 'Andon',
+    path: ROUTES.ANDON,
+    icon: 'MegaphoneIcon',
+    roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
+  },
   {
     name: 'Relatórios',
     path: ROUTES.REPORTS,
@@ -235,6 +316,12 @@ export const NAVIGATION_ITEMS = [
     path: ROUTES.SHIFTS_3X3,
     icon: 'ClockIcon',
     roles: ['MANAGER', 'ADMIN']
+  },
+  {
+    name: 'Sinais das Máquinas',
+    path: ROUTES.MACHINE_SIGNALS,
+    icon: 'Cog6ToothIcon',
+    roles: ['MANAGER', 'ADMIN']
   }
 ];
 
@@ -268,8 +355,19 @@ export const BREADCRUMB_NAMES = {
   [ROUTES.QUALITY]: 'Testes de Qualidade',
   [ROUTES.QUALITY_NEW]: 'Novo Teste',
   [ROUTES.QUALITY_EDIT]: 'Editar Teste',
+  [ROUTES.QUALITY_SPC]: 'Cartas de Controle',
+  [ROUTES.NON_CONFORMANCES]: 'Não Conformidades',
+  [ROUTES.NON_CONFORMANCE_DETAIL]: 'Detalhes da Não Conformidade',
+  [ROUTES.LOT_STATUSES]: 'Status de Lotes',
 
   [ROUTES.TEFLON]: 'Controle de Teflon',
+  [ROUTES.MAINTENANCE]: 'Manutenção',
+  [ROUTES.MAINTENANCE_WORK_ORDER]: 'Ordem de Serviço',
+  [ROUTES.SHIFT_RECONCILIATION]: 'Reconciliação de Turnos',
+  [ROUTES.PRODUCTION_LEDGER]: 'Livro de Produção',
+  [ROUTES.PRODUCTION_ORDERS]: 'Ordens de Produção',
+  [ROUTES.ANDON]: 'Andon',
+  [ROUTES.ANDON_KIOSK]: 'Quiosque',
   [ROUTES.REPORTS]: 'Relatórios',
   [ROUTES.NOTIFICATIONS]: 'Notificações',
   [ROUTES.NOTIFICATIONS_ADMIN]: 'Administração de Notificações',
@@ -277,6 +375,7 @@ export const BREADCRUMB_NAMES = {
   [ROUTES.USERS]: 'Usuários',
   [ROUTES.PERMISSIONS]: 'Permissões',
   [ROUTES.OPERATOR_ASSIGNMENT]: 'Atribuição de Operadores',
+  [ROUTES.MACHINE_SIGNALS]: 'Sinais das Máquinas',
   [ROUTES.PROFILE]: 'Perfil',
   [ROUTES.SETTINGS]: 'Configurações'
 };
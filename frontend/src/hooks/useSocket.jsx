@@ -5,6 +5,21 @@ import { useAuth } from './useAuth';
 
 const SocketContext = createContext({});
 
+// Detectar automaticamente a URL do socket - prioriza ngrok se configurado
+export const getSocketUrl = () => {
+  // Se VITE_SOCKET_URL está configurado (ngrok), usar sempre
+  if (import.meta.env.VITE_SOCKET_URL && import.meta.env.VITE_SOCKET_URL.includes('ngrok')) {
+    return import.meta.env.VITE_SOCKET_URL;
+  }
+  
+  const hostname = window.location.hostname;
+  if (hostname === 'localhost' || hostname === '127.0.0.1') {
+    return import.meta.env.VITE_SOCKET_URL_LOCAL || 'http://localhost:3001';
+  } else {
+    return import.meta.env.VITE_SOCKET_URL || `http://${hostname}:3001`;
+  }
+};
+
 export const useSocket = () => {
   const context = useContext(SocketContext);
   if (!context) {
@@ -57,21 +72,6 @@ export const SocketProvider = ({ children }) => {
       return;
     }
 
-    // Detectar automaticamente a URL do socket - prioriza ngrok se configurado
-    const getSocketUrl = () => {
-      // Se VITE_SOCKET_URL está configurado (ngrok), usar sempre
-      if (import.meta.env.VITE_SOCKET_URL && import.meta.env.VITE_SOCKET_URL.includes('ngrok')) {
-        return import.meta.env.VITE_SOCKET_URL;
-      }
-      
-      const hostname = window.location.hostname;
-      if (hostname === 'localhost' || hostname === '127.0.0.1') {
-        return import.meta.env.VITE_SOCKET_URL_LOCAL || 'http://localhost:3001';
-      } else {
-        return import.meta.env.VITE_SOCKET_URL || `http://${hostname}:3001`;
-      }
-    };
-
     const socketUrl = getSocketUrl();
     console.log('🌐 Socket URL:', socketUrl);
     console.log('🔑 Token para auth:', token ? 'presente' : 'ausente');
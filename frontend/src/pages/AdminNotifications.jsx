@@ -3,6 +3,9 @@ import { Bell, Send, Users, AlertTriangle, Info, CheckCircle, X } from 'lucide-r
 import { useAuth } from '../hooks/useAuth';
 import { useSocket } from '../hooks/useSocket';
 import { toast } from 'react-hot-toast';
+import EscalationPolicies from '../components/EscalationPolicies';
+import EscalatingAlerts from '../components/EscalatingAlerts';
+import NotificationDeliveries from '../components/NotificationDeliveries';
 
 const AdminNotifications = () => {
   const { user } = useAuth();
@@ -473,6 +476,10 @@ const AdminNotifications = () => {
           )}
         </div>
       </div>
+
+      <EscalatingAlerts />
+      <EscalationPolicies />
+      <NotificationDeliveries />
     </div>
   );
 };
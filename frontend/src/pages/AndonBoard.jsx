@@ -0,0 +1,236 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Link } from 'react-router-dom';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon, ComputerDesktopIcon } from '@heroicons/react/24/outline';
+
+import andonService from '../services/andon';
+import { useSocket } from '../hooks/useSocket';
+import { ANDON_CATEGORY_STYLES, ANDON_STATUS_LABELS } from '../components/AndonCallPanel';
+import { ROUTES } from '../config/routes';
+import { cn, formatTime } from '../lib/utils';
+
+const ACTIVE_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'ARRIVED'];
+
+const elapsedMinutes = (since, now) => Math.max(0, Math.floor((now - new Date(since).getTime()) / 60000));
+
+/**
+ * Quadro de andon do chão de fábrica: chamados em atendimento, do mais antigo para o mais novo
+ */
+const AndonBoard = () => {
+  const { socket } = useSocket();
+  const [calls, setCalls] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const loadCalls = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await andonService.getCalls({ status: 'ACTIVE' });
+      setCalls(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar quadro de andon:', error);
+      toast.error('Erro ao carregar chamados de andon');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCalls();
+    andonService.getCategories()
+      .then(response => setCategories(response.data || []))
+      .catch(error => console.error('Erro ao carregar categorias de andon:', error));
+  }, [loadCalls]);
+
+  // Tempo de espera dos cartões
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 30000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdated = (call) => {
+      setCalls(prev => {
+        const others = prev.filter(item => item.id !== call.id);
+        return ACTIVE_STATUSES.includes(call.status) ? [...others, call] : others;
+      });
+    };
+
+    // Chamado novo de uma categoria que o usuário atende
+    const handleNewCall = (call) => {
+      toast.error(`Andon de ${call.categoryLabel.toLowerCase()}: ${call.machineName}`, { duration: 8000 });
+    };
+
+    socket.on('andon:updated', handleUpdated);
+    socket.on('andon:call', handleNewCall);
+    return () => {
+      socket.off('andon:updated', handleUpdated);
+      socket.off('andon:call', handleNewCall);
+    };
+  }, [socket]);
+
+  const canRespond = (category) => categories.some(item => item.code === category && item.canRespond);
+
+  const runAction = async (action, call) => {
+    let resolution = null;
+    if (action === 'resolve') {
+      resolution = window.prompt('Descreva a solução (opcional):');
+      if (resolution === null) return;
+    }
+
+    try {
+      const response = action === 'resolve'
+        ? await andonService.resolve(call.id, resolution.trim() || null)
+        : await andonService[action](call.id);
+      toast.success(response.message);
+    } catch (error) {
+      console.error('Erro ao atualizar chamado de andon:', error);
+      toast.error(error.response?.data?.message || 'Erro ao atualizar chamado');
+    }
+  };
+
+  const sortedCalls = [...calls].sort((a, b) => new Date(a.raisedAt) - new Date(b.raisedAt));
+
+  return (
+    <>
+      <Helmet>
+        <title>Andon - Sistema ZARA</title>
+        <meta name="description" content="Quadro de chamados de andon do chão de fábrica" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Andon</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Chamados de ajuda em atendimento: reconheça, registre a chegada ao posto e resolva
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <Link
+              to={ROUTES.ANDON_KIOSK}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+            >
+              <ComputerDesktopIcon className="h-4 w-4 mr-2" />
+              Modo Quiosque
+            </Link>
+            <button
+              onClick={loadCalls}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+            >
+              <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+              Atualizar
+            </button>
+          </div>
+        </div>
+
+        {/* Chamados por categoria */}
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+          {Object.entries(ANDON_CATEGORY_STYLES).map(([category, style]) => {
+            const Icon = style.icon;
+            const count = calls.filter(call => call.category === category).length;
+            return (
+              <div key={category} className={cn('bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border-l-4', style.border)}>
+                <div className="flex items-center space-x-3">
+                  <Icon className="h-6 w-6 text-gray-500 dark:text-gray-400" />
+                  <div>
+                    <div className="text-sm text-gray-500 dark:text-gray-400">{style.label}</div>
+                    <div className="text-2xl font-bold text-gray-900 dark:text-white">{count}</div>
+                  </div>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+
+        {sortedCalls.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 p-12 text-center text-gray-500 dark:text-gray-400">
+            Nenhum chamado em aberto
+          </div>
+        ) : (
+          <div className="grid grid-cols-1 md:grid-cols-2 xl:grid-cols-3 gap-4">
+            {sortedCalls.map(call => {
+              const style = ANDON_CATEGORY_STYLES[call.category] || ANDON_CATEGORY_STYLES.LEADER;
+              const Icon = style.icon;
+              const waiting = elapsedMinutes(call.raisedAt, now);
+              return (
+                <div
+                  key={call.id}
+                  className={cn(
+                    'bg-white dark:bg-gray-800 rounded-lg shadow-sm border-l-4 p-4 space-y-3',
+                    style.border,
+                    call.status === 'OPEN' && 'ring-2 ring-red-400 dark:ring-red-600'
+                  )}
+                >
+                  <div className="flex items-start justify-between">
+                    <div className="flex items-center space-x-3">
+                      <Icon className="h-8 w-8 text-gray-600 dark:text-gray-300" />
+                      <div>
+                        <div className="text-lg font-semibold text-gray-900 dark:text-white">{call.machineName}</div>
+                        <div className="text-sm text-gray-500 dark:text-gray-400">
+                          {call.categoryLabel} · aberto às {formatTime(call.raisedAt)} por {call.raisedByName || '—'}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="text-right">
+                      <div className={cn('text-2xl font-bold', waiting >= 10 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white')}>
+                        {waiting} min
+                      </div>
+                      <span className={cn('px-2 py-0.5 rounded-full text-xs font-medium', style.badge)}>
+                        {ANDON_STATUS_LABELS[call.status]}
+                      </span>
+                    </div>
+                  </div>
+
+                  {call.notes && (
+                    <p className="text-sm text-gray-700 dark:text-gray-300">{call.notes}</p>
+                  )}
+                  {call.acknowledgedByName && (
+                    <p className="text-xs text-gray-500 dark:text-gray-400">
+                      Reconhecido por {call.acknowledgedByName} às {formatTime(call.acknowledgedAt)}
+                      {call.arrivedAt ? ` · no posto às ${formatTime(call.arrivedAt)}` : ''}
+                    </p>
+                  )}
+
+                  {canRespond(call.category) && (
+                    <div className="flex gap-2">
+                      {call.status === 'OPEN' && (
+                        <button
+                          onClick={() => runAction('acknowledge', call)}
+                          className="flex-1 px-3 py-2 text-sm font-medium rounded-md text-white bg-amber-500 hover:bg-amber-600 transition-colors"
+                        >
+                          Reconhecer
+                        </button>
+                      )}
+                      {call.status !== 'ARRIVED' && (
+                        <button
+                          onClick={() => runAction('arrive', call)}
+                          className="flex-1 px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+                        >
+                          Cheguei
+                        </button>
+                      )}
+                      <button
+                        onClick={() => runAction('resolve', call)}
+                        className="flex-1 px-3 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 transition-colors"
+                      >
+                        Resolver
+                      </button>
+                    </div>
+                  )}
+                </div>
+              );
+            })}
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default AndonBoard;
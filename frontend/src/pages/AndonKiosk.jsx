@@ -0,0 +1,59 @@
+import React, { useState, useEffect } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { Link, useSearchParams } from 'react-router-dom';
+import { ArrowLeftIcon } from '@heroicons/react/24/outline';
+
+import { useAuth } from '../hooks/useAuth';
+import useMachineStatus from '../hooks/useMachineStatus';
+import { useMachinePermissions } from '../hooks/useMachinePermissions';
+import AndonCallPanel from '../components/AndonCallPanel';
+import { ROUTES } from '../config/routes';
+
+/**
+ * Quiosque de andon em tela cheia, com botões grandes para o posto de trabalho.
+ * A máquina pode ser fixada pela URL (?machineId=).
+ */
+const AndonKiosk = () => {
+  const { user } = useAuth();
+  const { machines } = useMachineStatus();
+  const { filterMachinesByPermissions } = useMachinePermissions();
+  const [searchParams] = useSearchParams();
+  const [myMachines, setMyMachines] = useState([]);
+
+  useEffect(() => {
+    if (machines && machines.length > 0) {
+      setMyMachines(filterMachinesByPermissions(machines, 'canOperate'));
+    }
+  }, [machines, filterMachinesByPermissions]);
+
+  return (
+    <>
+      <Helmet>
+        <title>Andon - Quiosque - ZARA</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gray-900 text-white p-6 flex flex-col">
+        <div className="flex items-center justify-between mb-6">
+          <Link to={ROUTES.ANDON} className="inline-flex items-center text-gray-400 hover:text-white">
+            <ArrowLeftIcon className="h-5 w-5 mr-2" />
+            Sair do quiosque
+          </Link>
+          <div className="text-right">
+            <h1 className="text-3xl font-bold">Chamar Ajuda</h1>
+            <p className="text-gray-400">{user?.name}</p>
+          </div>
+        </div>
+
+        <div className="flex-1 max-w-4xl w-full mx-auto">
+          <AndonCallPanel
+            machines={myMachines}
+            initialMachineId={searchParams.get('machineId')}
+            large
+          />
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default AndonKiosk;
@@ -23,7 +23,6 @@ import { useMachinePermissions } from '../hooks/useMachinePermissions';
 import { useSocket } from '../hooks/useSocket';
 import useMachineStatus from '../hooks/useMachineStatus';
 import { useNotifications } from '../contexts/NotificationContext';
-import { useRealTimeProduction } from '../hooks/useRealTimeProduction';
 
 // Utilitários
 import { cn, formatNumber, formatDateTime } from '../lib/utils';
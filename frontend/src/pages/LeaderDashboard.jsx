@@ -24,7 +24,6 @@ import { useAuth } from '../hooks/useAuth';
 import { useSocket } from '../hooks/useSocket';
 import useMachineStatus from '../hooks/useMachineStatus';
 import { useNotifications } from '../contexts/NotificationContext';
-import { useRealTimeProduction } from '../hooks/useRealTimeProduction';
 
 // Utilitários
 import { cn, formatNumber, formatDateTime } from '../lib/utils';
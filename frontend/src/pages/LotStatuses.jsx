@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  MagnifyingGlassIcon
+} from '@heroicons/react/24/outline';
+
+import lotService from '../services/lots';
+import { useAuth } from '../hooks/useAuth';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+
+const statusLabels = {
+  RELEASED: 'Liberado',
+  ON_HOLD: 'Retido',
+  QUARANTINED: 'Em quarentena',
+  SCRAPPED: 'Sucateado'
+};
+
+const statusColors = {
+  RELEASED: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400',
+  ON_HOLD: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400',
+  QUARANTINED: 'bg-orange-100 text-orange-800 dark:bg-orange-900/20 dark:text-orange-400',
+  SCRAPPED: 'bg-red-600 text-white'
+};
+
+const sourceLabels = {
+  MANUAL: 'Manual',
+  QUALITY_TEST: 'Teste reprovado',
+  OVERRIDE: 'Início autorizado'
+};
+
+// Espelha as transições do servidor; sucateado é definitivo
+const transitions = {
+  RELEASED: ['ON_HOLD', 'QUARANTINED', 'SCRAPPED'],
+  ON_HOLD: ['RELEASED', 'QUARANTINED', 'SCRAPPED'],
+  QUARANTINED: ['RELEASED', 'ON_HOLD', 'SCRAPPED'],
+  SCRAPPED: []
+};
+
+const inputClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const LotStatusBadge = ({ status }) => (
+  <span className={cn('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', statusColors[status])}>
+    {statusLabels[status] || status}
+  </span>
+);
+
+const LotStatuses = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [lots, setLots] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [selected, setSelected] = useState(null);
+  const [form, setForm] = useState({ status: '', reason: '' });
+  const [saving, setSaving] = useState(false);
+
+  const canChange = ['LEADER', 'MANAGER', 'ADMIN'].includes(user?.role);
+
+  const loadLots = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await lotService.getAll();
+      setLots(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar lotes:', error);
+      toast.error('Erro ao carregar lotes');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const openLot = useCallback(async (lot) => {
+    try {
+      const response = await lotService.getByLot(lot);
+      setSelected(response.data);
+      setForm({ status: '', reason: '' });
+    } catch (error) {
+      console.error('Erro ao carregar lote:', error);
+      toast.error('Erro ao carregar lote');
+    }
+  }, []);
+
+  useEffect(() => {
+    loadLots();
+  }, [loadLots]);
+
+  // Lotes retidos automaticamente por testes reprovados
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleChanged = ({ lot }) => {
+      loadLots();
+      if (selected && lot?.lot === selected.lot) {
+        openLot(selected.lot);
+      }
+    };
+    socket.on('lot:status-changed', handleChanged);
+    return () => socket.off('lot:status-changed', handleChanged);
+  }, [socket, loadLots, openLot, selected]);
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (search.trim()) {
+      openLot(search.trim());
+    }
+  };
+
+  const handleChangeStatus = async (e) => {
+    e.preventDefault();
+    if (!form.status || !form.reason.trim()) {
+      toast.error('Selecione o novo status e informe o motivo');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await lotService.changeStatus(selected.lot, {
+        status: form.status,
+        reason: form.reason.trim()
+      });
+      toast.success(response.message || 'Status do lote atualizado');
+      await Promise.all([openLot(selected.lot), loadLots()]);
+    } catch (error) {
+      console.error('Erro ao alterar status do lote:', error);
+      toast.error(error.response?.data?.message || 'Erro ao alterar status do lote');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Status de Lotes - Sistema ZARA</title>
+        <meta name="description" content="Retenção, quarentena e liberação de lotes" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Status de Lotes</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Lotes bloqueados não podem iniciar operação sem autorização de um líder
+            </p>
+          </div>
+          <button
+            onClick={loadLots}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+          >
+            <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+            Atualizar
+          </button>
+        </div>
+
+        <form onSubmit={handleSearch} className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 flex items-center gap-3">
+          <input
+            type="text"
+            placeholder="Consultar lote"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            className={cn(inputClassName, 'flex-1')}
+          />
+          <button
+            type="submit"
+            className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+          >
+            <MagnifyingGlassIcon className="h-4 w-4 mr-2" />
+            Consultar
+          </button>
+        </form>
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Lotes bloqueados */}
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Lote', 'Produto', 'Status', 'Motivo', 'Desde'].map(header => (
+                    <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {lots.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                      {loading ? 'Carregando...' : 'Nenhum lote bloqueado'}
+                    </td>
+                  </tr>
+                )}
+                {lots.map(item => (
+                  <tr
+                    key={item.lot}
+                    onClick={() => openLot(item.lot)}
+                    className={cn('cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700', selected?.lot === item.lot && 'bg-blue-50 dark:bg-blue-900/20')}
+                  >
+                    <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">{item.lot}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{item.product || '-'}</td>
+                    <td className="px-4 py-2"><LotStatusBadge status={item.status} /></td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{item.reason}</td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{formatDateTime(item.changedAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {/* Lote selecionado */}
+          <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 space-y-4">
+            {!selected ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Selecione ou consulte um lote para ver o histórico</p>
+            ) : (
+              <>
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Lote {selected.lot}</h2>
+                  <LotStatusBadge status={selected.status} />
+                </div>
+
+                {canChange && transitions[selected.status].length > 0 && (
+                  <form onSubmit={handleChangeStatus} className="space-y-3">
+                    <select
+                      value={form.status}
+                      onChange={(e) => setForm(prev => ({ ...prev, status: e.target.value }))}
+                      className={cn(inputClassName, 'w-full')}
+                    >
+                      <option value="">Novo status</option>
+                      {transitions[selected.status].map(status => (
+                        <option key={status} value={status}>{statusLabels[status]}</option>
+                      ))}
+                    </select>
+                    <textarea
+                      rows={2}
+                      placeholder="Motivo (obrigatório)"
+                      value={form.reason}
+                      onChange={(e) => setForm(prev => ({ ...prev, reason: e.target.value }))}
+                      className={cn(inputClassName, 'w-full')}
+                    />
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                    >
+                      {saving ? 'Salvando...' : 'Alterar status'}
+                    </button>
+                  </form>
+                )}
+
+                <div>
+                  <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Histórico</h3>
+                  {selected.history.length === 0 ? (
+                    <p className="text-sm text-gray-500 dark:text-gray-400">Nenhuma mudança registrada</p>
+                  ) : (
+                    <ul className="space-y-2">
+                      {selected.history.map(entry => (
+                        <li key={entry.id} className="text-sm border-l-2 border-gray-300 dark:border-gray-600 pl-3">
+                          <div className="flex flex-wrap items-center gap-2">
+                            {entry.fromStatus !== entry.toStatus && (
+                              <>
+                                <LotStatusBadge status={entry.fromStatus} />
+                                <span className="text-gray-400">→</span>
+                              </>
+                            )}
+                            <LotStatusBadge status={entry.toStatus} />
+                            <span className="text-xs text-gray-500 dark:text-gray-400">{sourceLabels[entry.source] || entry.source}</span>
+                          </div>
+                          <p className="text-gray-700 dark:text-gray-300">{entry.reason}</p>
+                          <p className="text-xs text-gray-500 dark:text-gray-400">
+                            {entry.userName || 'Sistema'}
+                            {entry.machineName ? ` • ${entry.machineName}` : ''}
+                            {' • '}{formatDateTime(entry.createdAt)}
+                          </p>
+                        </li>
+                      ))}
+                    </ul>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default LotStatuses;
@@ -72,6 +72,7 @@ function MachineConfig() {
       minSampleSize: 10
     },
     production: {
+      strategy: 'BPM', // cálculo da produção: BPM, COUNTER (contador do CLP) ou MANUAL
       popupThreshold: 50, // quantidade de produtos para gerar popup
       alertThreshold: 100, // quantidade de produtos para gerar alerta para gestores
       enablePopups: true,
@@ -217,6 +218,7 @@ function MachineConfig() {
             },
             production: {
               ...data.data.config.production,
+              strategy: data.data.config.production?.strategy || 'BPM',
               popupThreshold: data.data.config.production?.popupThreshold || 50,
               alertThreshold: data.data.config.production?.alertThreshold || 100,
               enablePopups: data.data.config.production?.enablePopups ?? true,
@@ -699,6 +701,24 @@ function MachineConfig() {
                 </h3>
                 
                 <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+                  <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
+                      Cálculo da Produção
+                    </label>
+                    <select
+                      value={config.production.strategy}
+                      onChange={(e) => handleConfigChange('production', 'strategy', e.target.value)}
+                      className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                    >
+                      <option value="BPM">Velocidade configurada (BPM)</option>
+                      <option value="COUNTER">Contador da máquina (CLP)</option>
+                      <option value="MANUAL">Lançamento manual</option>
+                    </select>
+                    <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                      Define como o motor de produção calcula a produção do turno exibida em todas as telas
+                    </p>
+                  </div>
+
                   <div>
                     <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
                       Quantidade para Pop-up de Teste
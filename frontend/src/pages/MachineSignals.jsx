@@ -0,0 +1,290 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  PlusIcon,
+  ScaleIcon
+} from '@heroicons/react/24/outline';
+
+import machineSignalService from '../services/machineSignals';
+import { machineService } from '../services/api';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+
+const adapterLabels = {
+  MQTT: 'MQTT',
+  MODBUS: 'Modbus TCP',
+  SIMULATOR: 'Simulador'
+};
+
+// Exemplos de configuração exibidos ao trocar o adaptador
+const configTemplates = {
+  MQTT: { url: 'mqtt://gateway.local:1883', topic: 'zara/maquina-01/contador' },
+  MODBUS: { host: '192.168.0.10', port: 502, unitId: 1, counterRegister: 0, counterWords: 2, runCoil: 0, pollSeconds: 5 },
+  SIMULATOR: { cyclesPerMinute: 60, tickSeconds: 5, stopProbability: 0.05 }
+};
+
+const emptyForm = {
+  machineId: '',
+  adapter: 'SIMULATOR',
+  config: JSON.stringify(configTemplates.SIMULATOR, null, 2),
+  stopAfterSeconds: 120,
+  reconcileTolerancePercent: 5
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const MachineSignals = () => {
+  const { socket } = useSocket();
+  const [sources, setSources] = useState([]);
+  const [machines, setMachines] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [reconciliation, setReconciliation] = useState(null);
+
+  const loadSources = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await machineSignalService.getAll();
+      setSources(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar fontes de sinal:', error);
+      toast.error('Erro ao carregar fontes de sinal');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadSources();
+    machineService.getAll()
+      .then(response => setMachines(response.data?.data || []))
+      .catch(error => console.error('Erro ao carregar máquinas:', error));
+  }, [loadSources]);
+
+  // Contador ao vivo
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleCounter = ({ machineId, counter, running, timestamp }) => {
+      setSources(prev => prev.map(source => source.machineId === machineId
+        ? { ...source, lastCounter: counter, lastRunning: running ?? source.lastRunning, lastSignalAt: timestamp }
+        : source));
+    };
+    socket.on('machine:counter', handleCounter);
+    return () => socket.off('machine:counter', handleCounter);
+  }, [socket]);
+
+  const handleAdapterChange = (adapter) => {
+    setForm(prev => ({ ...prev, adapter, config: JSON.stringify(configTemplates[adapter], null, 2) }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!form.machineId) {
+      toast.error('Selecione a máquina');
+      return;
+    }
+
+    let config;
+    try {
+      config = JSON.parse(form.config || '{}');
+    } catch (error) {
+      toast.error('Configuração deve ser um JSON válido');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await machineSignalService.create({
+        machineId: parseInt(form.machineId),
+        adapter: form.adapter,
+        config,
+        stopAfterSeconds: parseInt(form.stopAfterSeconds),
+        reconcileTolerancePercent: parseFloat(form.reconcileTolerancePercent)
+      });
+      toast.success(response.message || 'Fonte de sinal cadastrada');
+      setForm(emptyForm);
+      loadSources();
+    } catch (error) {
+      console.error('Erro ao cadastrar fonte de sinal:', error);
+      toast.error(error.response?.data?.message || 'Erro ao cadastrar fonte de sinal');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleToggle = async (source, field) => {
+    try {
+      await machineSignalService.update(source.id, { [field]: !source[field] });
+      loadSources();
+    } catch (error) {
+      console.error('Erro ao atualizar fonte de sinal:', error);
+      toast.error(error.response?.data?.message || 'Erro ao atualizar fonte de sinal');
+    }
+  };
+
+  const handleReconcile = async (source) => {
+    try {
+      const response = await machineSignalService.getReconciliation(source.machineId);
+      setReconciliation({ ...response.data, machineName: source.machineName });
+    } catch (error) {
+      console.error('Erro ao reconciliar contador:', error);
+      toast.error('Erro ao reconciliar contador');
+    }
+  };
+
+  const availableMachines = machines.filter(machine => !sources.some(source => source.machineId === machine.id));
+
+  return (
+    <>
+      <Helmet>
+        <title>Sinais das Máquinas - Sistema ZARA</title>
+        <meta name="description" content="Contadores reais das máquinas via CLP, MQTT ou Modbus" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Sinais das Máquinas</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Contadores de ciclo e sinal de funcionamento recebidos do CLP/gateway
+            </p>
+          </div>
+          <button
+            onClick={loadSources}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+          >
+            <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+            Atualizar
+          </button>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['Máquina', 'Adaptador', 'Contador', 'Sinal', 'Última leitura', 'Status automático', 'Ativa', ''].map(header => (
+                  <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {sources.length === 0 && (
+                <tr>
+                  <td colSpan={8} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                    {loading ? 'Carregando...' : 'Nenhuma fonte de sinal cadastrada'}
+                  </td>
+                </tr>
+              )}
+              {sources.map(source => (
+                <tr key={source.id}>
+                  <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">{source.machineName}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                    {adapterLabels[source.adapter]}
+                    <span className={cn('ml-2 inline-block h-2 w-2 rounded-full', source.connected ? 'bg-green-500' : 'bg-gray-400')} title={source.connected ? 'Conectado' : 'Desconectado'} />
+                  </td>
+                  <td className="px-4 py-2 font-mono text-gray-900 dark:text-white">{source.lastCounter ?? '-'}</td>
+                  <td className="px-4 py-2">
+                    {source.lastRunning === null || source.lastRunning === undefined ? (
+                      <span className="text-gray-400">-</span>
+                    ) : (
+                      <span className={cn('inline-flex px-2 py-0.5 rounded-full text-xs font-medium', source.lastRunning
+                        ? 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400'
+                        : 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400')}
+                      >
+                        {source.lastRunning ? 'Funcionando' : 'Parada'}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-gray-500 dark:text-gray-400">{source.lastSignalAt ? formatDateTime(source.lastSignalAt) : '-'}</td>
+                  <td className="px-4 py-2">
+                    <input type="checkbox" checked={source.autoStatus} onChange={() => handleToggle(source, 'autoStatus')} />
+                  </td>
+                  <td className="px-4 py-2">
+                    <input type="checkbox" checked={source.isActive} onChange={() => handleToggle(source, 'isActive')} />
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    <button
+                      onClick={() => handleReconcile(source)}
+                      className="inline-flex items-center text-sm text-blue-600 hover:text-blue-800 dark:text-blue-400"
+                    >
+                      <ScaleIcon className="h-4 w-4 mr-1" />
+                      Reconciliar
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        {reconciliation && (
+          <div className={cn('p-4 rounded-lg border text-sm', reconciliation.withinTolerance
+            ? 'bg-green-50 border-green-200 text-green-800 dark:bg-green-900/20 dark:border-green-800 dark:text-green-300'
+            : 'bg-yellow-50 border-yellow-200 text-yellow-800 dark:bg-yellow-900/20 dark:border-yellow-800 dark:text-yellow-300')}
+          >
+            <p className="font-medium">
+              {reconciliation.machineName}: {formatDateTime(reconciliation.startTime)} a {formatDateTime(reconciliation.endTime)}
+            </p>
+            <p>
+              Medido pelo contador: <strong>{reconciliation.measured}</strong> · Calculado: <strong>{reconciliation.calculated}</strong> ·
+              Diferença: <strong>{reconciliation.difference} ({reconciliation.differencePercent}%)</strong> ·
+              Tolerância: {reconciliation.tolerancePercent}%
+            </p>
+          </div>
+        )}
+
+        <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 space-y-4">
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Nova fonte de sinal</h2>
+          <div className="grid grid-cols-1 md:grid-cols-4 gap-4">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Máquina</label>
+              <select value={form.machineId} onChange={(e) => setForm(prev => ({ ...prev, machineId: e.target.value }))} className={inputClassName}>
+                <option value="">Selecione</option>
+                {availableMachines.map(machine => (
+                  <option key={machine.id} value={machine.id}>{machine.name}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Adaptador</label>
+              <select value={form.adapter} onChange={(e) => handleAdapterChange(e.target.value)} className={inputClassName}>
+                {Object.entries(adapterLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Parada após (s) sem ciclos</label>
+              <input type="number" min="1" value={form.stopAfterSeconds} onChange={(e) => setForm(prev => ({ ...prev, stopAfterSeconds: e.target.value }))} className={inputClassName} />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Tolerância de reconciliação (%)</label>
+              <input type="number" min="0" max="100" step="0.5" value={form.reconcileTolerancePercent} onChange={(e) => setForm(prev => ({ ...prev, reconcileTolerancePercent: e.target.value }))} className={inputClassName} />
+            </div>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-1">Configuração (JSON)</label>
+            <textarea rows={5} value={form.config} onChange={(e) => setForm(prev => ({ ...prev, config: e.target.value }))} className={cn(inputClassName, 'font-mono')} />
+          </div>
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={saving}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Cadastrar
+            </button>
+          </div>
+        </form>
+      </div>
+    </>
+  );
+};
+
+export default MachineSignals;
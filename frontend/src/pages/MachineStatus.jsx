@@ -14,6 +14,8 @@ import { toast } from 'react-hot-toast';
 import { useAuth } from '../hooks/useAuth';
 import { useSocket } from '../hooks/useSocket';
 import api from '../services/api';
+import downtimeReasonService from '../services/downtimeReasons';
+import DowntimeReasonSelect from '../components/DowntimeReasonSelect';
 
 const MachineStatus = () => {
   const { id } = useParams();
@@ -37,6 +39,18 @@ const MachineStatus = () => {
   const [statusNotes, setStatusNotes] = useState('');
   const [isUpdatingStatus, setIsUpdatingStatus] = useState(false);
   const [statusHistory, setStatusHistory] = useState([]);
+  const [downtimeReason, setDowntimeReason] = useState(null);
+  const [classifyingEntryId, setClassifyingEntryId] = useState(null);
+  const [classifyReason, setClassifyReason] = useState(null);
+
+  // Status que exigem motivo de parada do catálogo
+  const stopStatuses = {
+    'Parada': 'PARADA',
+    'Manutenção': 'MANUTENCAO',
+    'PARADA': 'PARADA',
+    'MANUTENCAO': 'MANUTENCAO'
+  };
+  const requiresDowntimeReason = !!stopStatuses[newStatus];
 
   useEffect(() => {
     fetchMachineData();
@@ -105,7 +119,7 @@ const MachineStatus = () => {
   const fetchStatusHistory = async () => {
     try {
       const response = await api.get(`/machines/${id}/status-history`);
-      setStatusHistory(response.data);
+      setStatusHistory(response.data?.data || []);
     } catch (err) {
       console.error('Erro ao carregar histórico de status:', err);
     }
@@ -114,6 +128,10 @@ const MachineStatus = () => {
   const handleStatusUpdate = async (e) => {
     e.preventDefault();
     if (!newStatus) return;
+    if (requiresDowntimeReason && !downtimeReason) {
+      toast.error('Selecione o motivo da parada');
+      return;
+    }
 
     // Mapear status do frontend para o backend
     const statusMap = {
@@ -127,8 +145,9 @@ const MachineStatus = () => {
     try {
       await api.put(`/machines/${id}/status`, {
         status: statusMap[newStatus] || newStatus,
-        reason: statusReason,
+        reason: statusReason || undefined,
         notes: statusNotes,
+        downtimeReasonId: requiresDowntimeReason ? downtimeReason.id : undefined,
       });
 
       // Atualizar dados da máquina
@@ -138,6 +157,7 @@ const MachineStatus = () => {
       // Limpar campos
       setStatusReason('');
       setStatusNotes('');
+      setDowntimeReason(null);
       
       // Mostrar mensagem de sucesso
       toast.success('Status atualizado com sucesso!');
@@ -149,6 +169,23 @@ const MachineStatus = () => {
     }
   };
 
+  const handleClassifyStop = async (entry) => {
+    if (!classifyReason) {
+      toast.error('Selecione o motivo da parada');
+      return;
+    }
+
+    try {
+      await downtimeReasonService.classifyStop(id, entry.id, { downtimeReasonId: classifyReason.id });
+      setClassifyingEntryId(null);
+      setClassifyReason(null);
+      await fetchStatusHistory();
+      toast.success('Parada classificada com sucesso!');
+    } catch (err) {
+      console.error('Erro ao classificar parada:', err);
+    }
+  };
+
   const getStatusConfig = (status) => {
     const normalizedStatus = statusMap[status] || status;
     
@@ -326,7 +363,10 @@ const MachineStatus = () => {
                 </label>
                 <select
                   value={newStatus}
-                  onChange={(e) => setNewStatus(e.target.value)}
+                  onChange={(e) => {
+                    setNewStatus(e.target.value);
+                    setDowntimeReason(null);
+                  }}
                   className="w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 dark:bg-gray-700 dark:text-white"
                   required
                 >
@@ -337,9 +377,17 @@ const MachineStatus = () => {
                 </select>
               </div>
 
+              {requiresDowntimeReason && (
+                <DowntimeReasonSelect
+                  status={stopStatuses[newStatus]}
+                  value={downtimeReason?.id}
+                  onChange={setDowntimeReason}
+                />
+              )}
+
               <div>
                 <label className="block text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">
-                  Motivo da Alteração
+                  {requiresDowntimeReason ? 'Descrição Complementar' : 'Motivo da Alteração'}
                 </label>
                 <input
                   type="text"
@@ -395,21 +443,72 @@ const MachineStatus = () => {
           {statusHistory.length > 0 ? (
             <div className="space-y-3">
               {statusHistory.map((entry, index) => {
-                const entryStatusConfig = getStatusConfig(entry.status);
+                const entryStatus = entry.newStatus || entry.status;
+                const entryStatusConfig = getStatusConfig(entryStatus);
                 const EntryStatusIcon = entryStatusConfig.icon;
+                const isStop = entryStatus === 'PARADA' || entryStatus === 'MANUTENCAO';
                 
                 return (
-                  <div key={index} className="flex items-start space-x-3 p-3 border border-gray-200 dark:border-gray-700 rounded-lg">
+                  <div key={entry.id || index} className="flex items-start space-x-3 p-3 border border-gray-200 dark:border-gray-700 rounded-lg">
                     <EntryStatusIcon className={`h-5 w-5 ${entryStatusConfig.color} mt-0.5`} />
                     <div className="flex-1">
                       <div className="flex items-center justify-between">
                         <span className={`font-medium ${entryStatusConfig.color}`}>
-                          {statusMap[entry.status] || entry.status}
+                          {statusMap[entryStatus] || entryStatus}
                         </span>
                         <span className="text-sm text-gray-500 dark:text-gray-400">
-                          {formatDateTime(entry.timestamp)}
+                          {formatDateTime(entry.createdAt || entry.timestamp)}
                         </span>
                       </div>
+                      {entry.downtimeReason && (
+                        <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
+                          Motivo da parada: {entry.downtimeReason.category ? `${entry.downtimeReason.category} › ` : ''}{entry.downtimeReason.name}
+                          <span className={`ml-2 text-xs px-2 py-0.5 rounded-full ${entry.downtimeReason.isPlanned ? 'bg-blue-100 text-blue-700 dark:bg-blue-900/20 dark:text-blue-300' : 'bg-red-100 text-red-700 dark:bg-red-900/20 dark:text-red-300'}`}>
+                            {entry.downtimeReason.isPlanned ? 'Planejada' : 'Não planejada'}
+                          </span>
+                        </p>
+                      )}
+                      {isStop && !entry.downtimeReason && (
+                        classifyingEntryId === entry.id ? (
+                          <div className="mt-2 space-y-2">
+                            <DowntimeReasonSelect
+                              status={entryStatus}
+                              value={classifyReason?.id}
+                              onChange={setClassifyReason}
+                            />
+                            <div className="flex space-x-2">
+                              <button
+                                type="button"
+                                onClick={() => handleClassifyStop(entry)}
+                                className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                              >
+                                Salvar
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => {
+                                  setClassifyingEntryId(null);
+                                  setClassifyReason(null);
+                                }}
+                                className="px-3 py-1 text-sm border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 rounded-md hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+                              >
+                                Cancelar
+                              </button>
+                            </div>
+                          </div>
+                        ) : (
+                          <button
+                            type="button"
+                            onClick={() => {
+                              setClassifyingEntryId(entry.id);
+                              setClassifyReason(null);
+                            }}
+                            className="mt-1 text-sm text-yellow-600 dark:text-yellow-400 hover:underline"
+                          >
+                            Parada sem motivo — classificar
+                          </button>
+                        )
+                      )}
                       {entry.reason && (
                         <p className="text-sm text-gray-600 dark:text-gray-400 mt-1">
                           Motivo: {entry.reason}
@@ -421,7 +520,7 @@ const MachineStatus = () => {
                         </p>
                       )}
                       <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
-                        Por: {entry.changedBy || 'Sistema'}
+                        Por: {entry.user?.name || entry.changedBy || 'Sistema'}
                       </p>
                     </div>
                   </div>
@@ -0,0 +1,442 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  PlusIcon,
+  WrenchScrewdriverIcon
+} from '@heroicons/react/24/outline';
+
+import maintenanceService from '../services/maintenance';
+import { machineService } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+import { ROUTES, generatePath } from '../config/routes';
+import {
+  WorkOrderStatusBadge,
+  workOrderStatusLabels,
+  workOrderTypeLabels,
+  triggerTypeLabels
+} from '../components/MaintenanceBadges';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+const cardClassName = 'bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700';
+
+const emptyPlan = { machineId: '', name: '', triggerType: 'CALENDAR', intervalValue: '', estimatedMinutes: '', checklist: '' };
+const emptyWorkOrder = { machineId: '', title: '', description: '', checklist: '' };
+
+// Uma linha por item do checklist
+const parseChecklist = (text) => text.split('\n').map(item => item.trim()).filter(Boolean);
+
+const Maintenance = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [plans, setPlans] = useState([]);
+  const [workOrders, setWorkOrders] = useState([]);
+  const [reliability, setReliability] = useState(null);
+  const [machines, setMachines] = useState([]);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [loading, setLoading] = useState(true);
+  const [showPlanForm, setShowPlanForm] = useState(false);
+  const [showWorkOrderForm, setShowWorkOrderForm] = useState(false);
+  const [planForm, setPlanForm] = useState(emptyPlan);
+  const [workOrderForm, setWorkOrderForm] = useState(emptyWorkOrder);
+  const [saving, setSaving] = useState(false);
+
+  const isLeader = ['LEADER', 'MANAGER', 'ADMIN'].includes(user?.role);
+
+  const loadData = useCallback(async () => {
+    setLoading(true);
+    try {
+      const [plansResponse, workOrdersResponse] = await Promise.all([
+        maintenanceService.getPlans(),
+        maintenanceService.getWorkOrders({ status: statusFilter || undefined, limit: 100 })
+      ]);
+      setPlans(plansResponse.data || []);
+      setWorkOrders(workOrdersResponse.data || []);
+
+      if (isLeader) {
+        const reliabilityResponse = await maintenanceService.getReliability();
+        setReliability(reliabilityResponse.data);
+      }
+    } catch (error) {
+      console.error('Erro ao carregar manutenção:', error);
+      toast.error('Erro ao carregar dados de manutenção');
+    } finally {
+      setLoading(false);
+    }
+  }, [statusFilter, isLeader]);
+
+  useEffect(() => {
+    loadData();
+  }, [loadData]);
+
+  useEffect(() => {
+    if (!isLeader) return;
+
+    machineService.getAll()
+      .then(response => setMachines(response.data?.data || []))
+      .catch(error => console.error('Erro ao carregar máquinas:', error));
+  }, [isLeader]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleChange = () => loadData();
+    socket.on('maintenance:work-order-opened', handleChange);
+    socket.on('maintenance:work-order-updated', handleChange);
+    return () => {
+      socket.off('maintenance:work-order-opened', handleChange);
+      socket.off('maintenance:work-order-updated', handleChange);
+    };
+  }, [socket, loadData]);
+
+  const submit = async (request, successMessage, onSuccess) => {
+    setSaving(true);
+    try {
+      await request();
+      toast.success(successMessage);
+      onSuccess?.();
+      await loadData();
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Erro ao salvar');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreatePlan = (e) => {
+    e.preventDefault();
+    submit(() => maintenanceService.createPlan({
+      machineId: parseInt(planForm.machineId),
+      name: planForm.name,
+      triggerType: planForm.triggerType,
+      intervalValue: parseFloat(planForm.intervalValue),
+      estimatedMinutes: planForm.estimatedMinutes ? parseInt(planForm.estimatedMinutes) : null,
+      checklist: parseChecklist(planForm.checklist)
+    }), 'Plano cadastrado', () => {
+      setPlanForm(emptyPlan);
+      setShowPlanForm(false);
+    });
+  };
+
+  const handleCreateWorkOrder = (e) => {
+    e.preventDefault();
+    submit(() => maintenanceService.createWorkOrder({
+      machineId: parseInt(workOrderForm.machineId),
+      type: 'CORRECTIVE',
+      title: workOrderForm.title,
+      description: workOrderForm.description,
+      checklist: parseChecklist(workOrderForm.checklist)
+    }), 'Ordem de serviço aberta', () => {
+      setWorkOrderForm(emptyWorkOrder);
+      setShowWorkOrderForm(false);
+    });
+  };
+
+  const handleAnticipate = (plan) => submit(
+    () => maintenanceService.createWorkOrder({ planId: plan.id }),
+    `Ordem de serviço do plano "${plan.name}" aberta`
+  );
+
+  const handleTogglePlan = (plan) => submit(
+    () => maintenanceService.updatePlan(plan.id, { isActive: !plan.isActive }),
+    plan.isActive ? 'Plano desativado' : 'Plano reativado'
+  );
+
+  const machineSelect = (value, onChange) => (
+    <select required value={value} onChange={onChange} className={inputClassName}>
+      <option value="">Máquina</option>
+      {machines.map(machine => (
+        <option key={machine.id} value={machine.id}>{machine.name}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <>
+      <Helmet>
+        <title>Manutenção - Sistema ZARA</title>
+        <meta name="description" content="Planos de manutenção preventiva e ordens de serviço" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Manutenção</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Planos por calendário, horas de funcionamento ou unidades produzidas e suas ordens de serviço
+            </p>
+          </div>
+          <button
+            onClick={loadData}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+          >
+            <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+            Atualizar
+          </button>
+        </div>
+
+        {/* Confiabilidade dos últimos 30 dias */}
+        {reliability && (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            {[
+              { label: 'MTBF', value: reliability.overall.mtbfHours !== null ? `${reliability.overall.mtbfHours}h` : '-' },
+              { label: 'MTTR', value: reliability.overall.mttrHours !== null ? `${reliability.overall.mttrHours}h` : '-' },
+              { label: 'Falhas', value: reliability.overall.failures },
+              { label: 'Disponibilidade', value: reliability.overall.availability !== null ? `${reliability.overall.availability}%` : '-' }
+            ].map(card => (
+              <div key={card.label} className={cardClassName}>
+                <p className="text-xs text-gray-500 dark:text-gray-400">{card.label} (30 dias)</p>
+                <p className="text-xl font-semibold text-gray-900 dark:text-white">{card.value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+
+        {/* Planos */}
+        <div className={cardClassName}>
+          <div className="flex items-center justify-between mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Planos de manutenção</h2>
+            {isLeader && (
+              <button
+                onClick={() => setShowPlanForm(prev => !prev)}
+                className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Novo plano
+              </button>
+            )}
+          </div>
+
+          {showPlanForm && (
+            <form onSubmit={handleCreatePlan} className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4 p-3 rounded-md bg-gray-50 dark:bg-gray-700/50">
+              {machineSelect(planForm.machineId, (e) => setPlanForm(prev => ({ ...prev, machineId: e.target.value })))}
+              <input
+                required
+                type="text"
+                placeholder="Nome do plano"
+                value={planForm.name}
+                onChange={(e) => setPlanForm(prev => ({ ...prev, name: e.target.value }))}
+                className={inputClassName}
+              />
+              <select
+                value={planForm.triggerType}
+                onChange={(e) => setPlanForm(prev => ({ ...prev, triggerType: e.target.value }))}
+                className={inputClassName}
+              >
+                {Object.entries(triggerTypeLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                required
+                type="number"
+                min="0"
+                step="any"
+                placeholder="Intervalo (dias, horas ou unidades)"
+                value={planForm.intervalValue}
+                onChange={(e) => setPlanForm(prev => ({ ...prev, intervalValue: e.target.value }))}
+                className={inputClassName}
+              />
+              <input
+                type="number"
+                min="1"
+                placeholder="Duração estimada (min)"
+                value={planForm.estimatedMinutes}
+                onChange={(e) => setPlanForm(prev => ({ ...prev, estimatedMinutes: e.target.value }))}
+                className={inputClassName}
+              />
+              <textarea
+                rows={3}
+                placeholder="Checklist (um item por linha)"
+                value={planForm.checklist}
+                onChange={(e) => setPlanForm(prev => ({ ...prev, checklist: e.target.value }))}
+                className={cn(inputClassName, 'md:col-span-3')}
+              />
+              <div className="md:col-span-3">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  Salvar plano
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Plano', 'Máquina', 'Gatilho', 'Consumo', 'Última execução', 'Ações'].map(header => (
+                    <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {plans.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                      {loading ? 'Carregando...' : 'Nenhum plano cadastrado'}
+                    </td>
+                  </tr>
+                )}
+                {plans.map(plan => (
+                  <tr key={plan.id} className={cn(!plan.isActive && 'opacity-60')}>
+                    <td className="px-4 py-2 font-medium text-gray-900 dark:text-white">{plan.name}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{plan.machineName}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                      A cada {plan.intervalValue} {plan.status.unit}
+                    </td>
+                    <td className="px-4 py-2 min-w-[180px]">
+                      <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-2">
+                        <div
+                          className={cn('h-2 rounded-full', plan.status.due ? 'bg-red-500' : plan.status.progress >= 80 ? 'bg-yellow-500' : 'bg-green-500')}
+                          style={{ width: `${Math.min(100, plan.status.progress)}%` }}
+                        />
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400 mt-1">
+                        {plan.status.consumed} / {plan.intervalValue} ({plan.status.progress}%)
+                      </p>
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">
+                      {plan.lastDoneAt ? formatDateTime(plan.lastDoneAt) : 'Nunca'}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap space-x-3">
+                      {plan.openWorkOrderId ? (
+                        <Link
+                          to={generatePath(ROUTES.MAINTENANCE_WORK_ORDER, { id: plan.openWorkOrderId })}
+                          className="text-blue-600 dark:text-blue-400 hover:underline"
+                        >
+                          OS #{plan.openWorkOrderId}
+                        </Link>
+                      ) : isLeader && plan.isActive && (
+                        <button onClick={() => handleAnticipate(plan)} disabled={saving} className="text-blue-600 dark:text-blue-400 hover:underline">
+                          Abrir OS
+                        </button>
+                      )}
+                      {isLeader && (
+                        <button onClick={() => handleTogglePlan(plan)} disabled={saving} className="text-gray-600 dark:text-gray-400 hover:underline">
+                          {plan.isActive ? 'Desativar' : 'Reativar'}
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+
+        {/* Ordens de serviço */}
+        <div className={cardClassName}>
+          <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Ordens de serviço</h2>
+            <div className="flex items-center gap-3">
+              <select value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} className={inputClassName}>
+                <option value="">Todos os status</option>
+                {Object.entries(workOrderStatusLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              {isLeader && (
+                <button
+                  onClick={() => setShowWorkOrderForm(prev => !prev)}
+                  className="inline-flex items-center px-3 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 transition-colors"
+                >
+                  <WrenchScrewdriverIcon className="h-4 w-4 mr-1" />
+                  OS corretiva
+                </button>
+              )}
+            </div>
+          </div>
+
+          {showWorkOrderForm && (
+            <form onSubmit={handleCreateWorkOrder} className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4 p-3 rounded-md bg-gray-50 dark:bg-gray-700/50">
+              {machineSelect(workOrderForm.machineId, (e) => setWorkOrderForm(prev => ({ ...prev, machineId: e.target.value })))}
+              <input
+                required
+                type="text"
+                placeholder="Falha / serviço"
+                value={workOrderForm.title}
+                onChange={(e) => setWorkOrderForm(prev => ({ ...prev, title: e.target.value }))}
+                className={inputClassName}
+              />
+              <textarea
+                rows={2}
+                placeholder="Descrição"
+                value={workOrderForm.description}
+                onChange={(e) => setWorkOrderForm(prev => ({ ...prev, description: e.target.value }))}
+                className={inputClassName}
+              />
+              <textarea
+                rows={2}
+                placeholder="Checklist (um item por linha)"
+                value={workOrderForm.checklist}
+                onChange={(e) => setWorkOrderForm(prev => ({ ...prev, checklist: e.target.value }))}
+                className={inputClassName}
+              />
+              <div className="md:col-span-2">
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  Abrir ordem de serviço
+                </button>
+              </div>
+            </form>
+          )}
+
+          <div className="overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['OS', 'Título', 'Máquina', 'Tipo', 'Status', 'Checklist', 'Aberta em'].map(header => (
+                    <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {workOrders.length === 0 && (
+                  <tr>
+                    <td colSpan={7} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                      {loading ? 'Carregando...' : 'Nenhuma ordem de serviço'}
+                    </td>
+                  </tr>
+                )}
+                {workOrders.map(workOrder => (
+                  <tr key={workOrder.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                    <td className="px-4 py-2">
+                      <Link
+                        to={generatePath(ROUTES.MAINTENANCE_WORK_ORDER, { id: workOrder.id })}
+                        className="font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                      >
+                        #{workOrder.id}
+                      </Link>
+                    </td>
+                    <td className="px-4 py-2 text-gray-900 dark:text-white">{workOrder.title}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{workOrder.machineName}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{workOrderTypeLabels[workOrder.type]}</td>
+                    <td className="px-4 py-2"><WorkOrderStatusBadge status={workOrder.status} /></td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                      {workOrder.pendingItems > 0 ? `${workOrder.pendingItems} pendente${workOrder.pendingItems > 1 ? 's' : ''}` : '-'}
+                    </td>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-700 dark:text-gray-300">{formatDateTime(workOrder.createdAt)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Maintenance;
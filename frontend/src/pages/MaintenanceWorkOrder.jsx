@@ -0,0 +1,309 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  PlayIcon,
+  PlusIcon,
+  XCircleIcon
+} from '@heroicons/react/24/outline';
+
+import maintenanceService from '../services/maintenance';
+import { useAuth } from '../hooks/useAuth';
+import { cn, formatDateTime, formatCurrency } from '../lib/utils';
+import { ROUTES } from '../config/routes';
+import { WorkOrderStatusBadge, workOrderTypeLabels } from '../components/MaintenanceBadges';
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-60';
+const cardClassName = 'bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700';
+
+const emptyPart = { partCode: '', description: '', quantity: '1', unitCost: '' };
+
+const MaintenanceWorkOrder = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [workOrder, setWorkOrder] = useState(null);
+  const [newPart, setNewPart] = useState(emptyPart);
+  const [signoffNotes, setSignoffNotes] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const isLeader = ['LEADER', 'MANAGER', 'ADMIN'].includes(user?.role);
+  const isEditable = workOrder && ['OPEN', 'IN_PROGRESS'].includes(workOrder.status);
+
+  const loadWorkOrder = useCallback(async () => {
+    try {
+      const response = await maintenanceService.getWorkOrder(id);
+      setWorkOrder(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar ordem de serviço:', error);
+      toast.error('Ordem de serviço não encontrada');
+      navigate(ROUTES.MAINTENANCE);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    loadWorkOrder();
+  }, [loadWorkOrder]);
+
+  const runAction = async (request, successMessage) => {
+    setSaving(true);
+    try {
+      const response = await request();
+      setWorkOrder(response.data);
+      if (successMessage) toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Erro ao salvar ordem de serviço');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleStart = () => runAction(
+    () => maintenanceService.changeWorkOrderStatus(id, 'IN_PROGRESS'),
+    'Execução iniciada'
+  );
+
+  const handleComplete = () => runAction(
+    () => maintenanceService.changeWorkOrderStatus(id, 'COMPLETED', signoffNotes),
+    'Ordem de serviço concluída e assinada'
+  );
+
+  const handleCancel = () => {
+    const reason = window.prompt('Motivo do cancelamento:');
+    if (!reason || !reason.trim()) return;
+    runAction(() => maintenanceService.changeWorkOrderStatus(id, 'CANCELLED', reason.trim()), 'Ordem de serviço cancelada');
+  };
+
+  const toggleItem = (item) => runAction(
+    () => maintenanceService.updateChecklistItem(id, item.id, { done: !item.done })
+  );
+
+  const handleAddPart = async (e) => {
+    e.preventDefault();
+    const added = await runAction(() => maintenanceService.addPart(id, {
+      partCode: newPart.partCode || null,
+      description: newPart.description,
+      quantity: parseFloat(newPart.quantity),
+      unitCost: newPart.unitCost ? parseFloat(newPart.unitCost) : 0
+    }), 'Peça registrada');
+
+    if (added) setNewPart(emptyPart);
+  };
+
+  if (!workOrder) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600" />
+      </div>
+    );
+  }
+
+  const pendingItems = workOrder.checklist.filter(item => !item.done).length;
+
+  return (
+    <>
+      <Helmet>
+        <title>{`OS #${workOrder.id} - Sistema ZARA`}</title>
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-4">
+          <div>
+            <Link to={ROUTES.MAINTENANCE} className="inline-flex items-center text-sm text-gray-500 dark:text-gray-400 hover:text-gray-700 mb-2">
+              <ArrowLeftIcon className="h-4 w-4 mr-1" />
+              Manutenção
+            </Link>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">OS #{workOrder.id} — {workOrder.title}</h1>
+            <div className="flex flex-wrap items-center gap-2 mt-2 text-sm text-gray-500 dark:text-gray-400">
+              <WorkOrderStatusBadge status={workOrder.status} />
+              <span>{workOrderTypeLabels[workOrder.type]}</span>
+              <span>• {workOrder.machineName}</span>
+              {workOrder.planName && <span>• Plano: {workOrder.planName}</span>}
+              <span>• Aberta em {formatDateTime(workOrder.createdAt)}</span>
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            {workOrder.status === 'OPEN' && (
+              <button
+                onClick={handleStart}
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+              >
+                <PlayIcon className="h-4 w-4 mr-1" />
+                Iniciar execução
+              </button>
+            )}
+            {isEditable && isLeader && (
+              <button
+                onClick={handleCancel}
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 border border-gray-300 dark:border-gray-600 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+              >
+                <XCircleIcon className="h-4 w-4 mr-1" />
+                Cancelar
+              </button>
+            )}
+          </div>
+        </div>
+
+        {workOrder.description && (
+          <div className={cardClassName}>
+            <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line">{workOrder.description}</p>
+          </div>
+        )}
+
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          {/* Checklist */}
+          <div className={cardClassName}>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">
+              Checklist {pendingItems > 0 && <span className="text-sm font-normal text-gray-500">({pendingItems} pendente{pendingItems > 1 ? 's' : ''})</span>}
+            </h2>
+            {workOrder.checklist.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Sem itens de checklist</p>
+            ) : (
+              <ul className="space-y-2">
+                {workOrder.checklist.map(item => (
+                  <li key={item.id} className="flex items-start gap-3">
+                    <input
+                      type="checkbox"
+                      checked={item.done}
+                      disabled={workOrder.status !== 'IN_PROGRESS' || saving}
+                      onChange={() => toggleItem(item)}
+                      className="mt-1 rounded border-gray-300"
+                    />
+                    <div>
+                      <p className={cn('text-sm text-gray-900 dark:text-white', item.done && 'line-through text-gray-500')}>{item.item}</p>
+                      {item.done && (
+                        <p className="text-xs text-gray-500 dark:text-gray-400">{item.doneByName} • {formatDateTime(item.doneAt)}</p>
+                      )}
+                    </div>
+                  </li>
+                ))}
+              </ul>
+            )}
+            {workOrder.status === 'OPEN' && workOrder.checklist.length > 0 && (
+              <p className="text-xs text-gray-500 dark:text-gray-400 mt-3">Inicie a execução para marcar os itens</p>
+            )}
+          </div>
+
+          {/* Peças */}
+          <div className={cardClassName}>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Peças utilizadas</h2>
+            {workOrder.parts.length === 0 ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400 mb-3">Nenhuma peça registrada</p>
+            ) : (
+              <table className="min-w-full text-sm mb-3">
+                <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {workOrder.parts.map(part => (
+                    <tr key={part.id}>
+                      <td className="py-1 text-gray-900 dark:text-white">
+                        {part.partCode && <span className="text-gray-500 mr-1">{part.partCode}</span>}
+                        {part.description}
+                      </td>
+                      <td className="py-1 text-gray-700 dark:text-gray-300">{part.quantity}x</td>
+                      <td className="py-1 text-right text-gray-700 dark:text-gray-300">{formatCurrency(part.totalCost)}</td>
+                    </tr>
+                  ))}
+                  <tr>
+                    <td colSpan={2} className="py-1 font-medium text-gray-900 dark:text-white">Total</td>
+                    <td className="py-1 text-right font-medium text-gray-900 dark:text-white">{formatCurrency(workOrder.partsCost)}</td>
+                  </tr>
+                </tbody>
+              </table>
+            )}
+
+            {isEditable && (
+              <form onSubmit={handleAddPart} className="grid grid-cols-2 gap-2">
+                <input
+                  type="text"
+                  placeholder="Código"
+                  value={newPart.partCode}
+                  onChange={(e) => setNewPart(prev => ({ ...prev, partCode: e.target.value }))}
+                  className={inputClassName}
+                />
+                <input
+                  required
+                  type="text"
+                  placeholder="Descrição"
+                  value={newPart.description}
+                  onChange={(e) => setNewPart(prev => ({ ...prev, description: e.target.value }))}
+                  className={inputClassName}
+                />
+                <input
+                  required
+                  type="number"
+                  min="0"
+                  step="any"
+                  placeholder="Quantidade"
+                  value={newPart.quantity}
+                  onChange={(e) => setNewPart(prev => ({ ...prev, quantity: e.target.value }))}
+                  className={inputClassName}
+                />
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  placeholder="Custo unitário"
+                  value={newPart.unitCost}
+                  onChange={(e) => setNewPart(prev => ({ ...prev, unitCost: e.target.value }))}
+                  className={inputClassName}
+                />
+                <button
+                  type="submit"
+                  disabled={saving}
+                  className="col-span-2 inline-flex items-center justify-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50"
+                >
+                  <PlusIcon className="h-4 w-4 mr-1" />
+                  Registrar peça
+                </button>
+              </form>
+            )}
+          </div>
+        </div>
+
+        {/* Assinatura do técnico */}
+        <div className={cardClassName}>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Assinatura do técnico</h2>
+          {workOrder.status === 'COMPLETED' ? (
+            <div className="text-sm">
+              <p className="text-gray-900 dark:text-white whitespace-pre-line">{workOrder.signoffNotes}</p>
+              <p className="text-gray-500 dark:text-gray-400 mt-1">
+                Assinado por {workOrder.completedByName} em {formatDateTime(workOrder.completedAt)}
+              </p>
+            </div>
+          ) : workOrder.status === 'CANCELLED' ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Cancelada: {workOrder.cancelledReason}</p>
+          ) : workOrder.status === 'IN_PROGRESS' ? (
+            <div className="space-y-3">
+              <textarea
+                rows={3}
+                placeholder="Serviço executado e observações"
+                value={signoffNotes}
+                onChange={(e) => setSignoffNotes(e.target.value)}
+                className={inputClassName}
+              />
+              <button
+                onClick={handleComplete}
+                disabled={saving || pendingItems > 0 || !signoffNotes.trim()}
+                className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50"
+              >
+                <CheckCircleIcon className="h-4 w-4 mr-1" />
+                Concluir e assinar como {user?.name}
+              </button>
+            </div>
+          ) : (
+            <p className="text-sm text-gray-500 dark:text-gray-400">Disponível após o início da execução</p>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default MaintenanceWorkOrder;
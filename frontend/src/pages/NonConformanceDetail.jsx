@@ -0,0 +1,401 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  ArrowLeftIcon,
+  CheckCircleIcon,
+  ExclamationTriangleIcon,
+  PlusIcon,
+  ShieldExclamationIcon
+} from '@heroicons/react/24/outline';
+
+import api from '../services/api';
+import nonConformanceService from '../services/nonConformances';
+import { useAuth } from '../hooks/useAuth';
+import { cn, formatDateTime } from '../lib/utils';
+import { ROUTES } from '../config/routes';
+import {
+  NonConformanceStatusBadge,
+  NonConformanceSeverityBadge,
+  statusLabels,
+  severityLabels
+} from '../components/NonConformanceBadges';
+
+// Próximos passos do fluxo e quem pode executá-los
+const NEXT_STEPS = {
+  OPEN: [{ status: 'INVESTIGATING', label: 'Iniciar investigação', roles: ['LEADER', 'MANAGER', 'ADMIN'] }],
+  INVESTIGATING: [{ status: 'VERIFIED', label: 'Marcar como verificada', roles: ['LEADER', 'MANAGER', 'ADMIN'] }],
+  VERIFIED: [
+    { status: 'CLOSED', label: 'Encerrar', roles: ['MANAGER', 'ADMIN'] },
+    { status: 'INVESTIGATING', label: 'Reabrir investigação', roles: ['LEADER', 'MANAGER', 'ADMIN'] }
+  ],
+  CLOSED: []
+};
+
+const actionTypeLabels = {
+  CORRECTIVE: 'Corretiva',
+  PREVENTIVE: 'Preventiva'
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent disabled:opacity-60';
+const cardClassName = 'bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700';
+
+// Valor de <input type="datetime-local"> a partir de uma data ISO
+const toInputDate = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const emptyAction = { type: 'CORRECTIVE', description: '', ownerId: '', dueDate: '' };
+
+const NonConformanceDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [nonConformance, setNonConformance] = useState(null);
+  const [form, setForm] = useState({});
+  const [users, setUsers] = useState([]);
+  const [newAction, setNewAction] = useState(emptyAction);
+  const [saving, setSaving] = useState(false);
+
+  const canEdit = ['LEADER', 'MANAGER', 'ADMIN'].includes(user?.role) && nonConformance?.status !== 'CLOSED';
+
+  const applyNonConformance = (data) => {
+    setNonConformance(data);
+    setForm({
+      severity: data.severity,
+      containmentAction: data.containmentAction || '',
+      holdLot: data.holdLot,
+      rootCause: data.rootCause || '',
+      ownerId: data.ownerId || '',
+      dueDate: toInputDate(data.dueDate)
+    });
+  };
+
+  const loadNonConformance = useCallback(async () => {
+    try {
+      const response = await nonConformanceService.getById(id);
+      applyNonConformance(response.data);
+    } catch (error) {
+      console.error('Erro ao carregar não conformidade:', error);
+      toast.error('Não conformidade não encontrada');
+      navigate(ROUTES.NON_CONFORMANCES);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => {
+    loadNonConformance();
+  }, [loadNonConformance]);
+
+  useEffect(() => {
+    if (!['LEADER', 'MANAGER', 'ADMIN'].includes(user?.role)) return;
+
+    api.get('/users', { params: { limit: 100 } })
+      .then(response => setUsers(response.data.data || []))
+      .catch(error => console.error('Erro ao carregar usuários:', error));
+  }, [user?.role]);
+
+  const runAction = async (request, successMessage) => {
+    setSaving(true);
+    try {
+      const response = await request();
+      applyNonConformance(response.data);
+      toast.success(successMessage);
+      return true;
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'Erro ao salvar não conformidade');
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = () => runAction(() => nonConformanceService.update(id, {
+    severity: form.severity,
+    containmentAction: form.containmentAction,
+    holdLot: form.holdLot,
+    rootCause: form.rootCause,
+    ownerId: form.ownerId ? parseInt(form.ownerId) : null,
+    // O campo tem precisão de minutos; só enviar o prazo quando for alterado
+    dueDate: form.dueDate === toInputDate(nonConformance.dueDate)
+      ? undefined
+      : (form.dueDate ? new Date(form.dueDate).toISOString() : null)
+  }), 'Não conformidade atualizada');
+
+  const handleStatus = (status) => {
+    const notes = window.prompt(`Observação para "${statusLabels[status]}" (opcional):`, '');
+    if (notes === null) return;
+    runAction(() => nonConformanceService.changeStatus(id, status, notes), `Status alterado para ${statusLabels[status]}`);
+  };
+
+  const handleAddAction = async (e) => {
+    e.preventDefault();
+    const added = await runAction(() => nonConformanceService.addAction(id, {
+      type: newAction.type,
+      description: newAction.description,
+      ownerId: newAction.ownerId ? parseInt(newAction.ownerId) : null,
+      dueDate: newAction.dueDate ? new Date(newAction.dueDate).toISOString() : null
+    }), 'Ação cadastrada');
+
+    if (added) {
+      setNewAction(emptyAction);
+    }
+  };
+
+  const toggleAction = (action) => runAction(
+    () => nonConformanceService.updateAction(id, action.id, { status: action.status === 'DONE' ? 'PENDING' : 'DONE' }),
+    action.status === 'DONE' ? 'Ação reaberta' : 'Ação concluída'
+  );
+
+  if (!nonConformance) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+      </div>
+    );
+  }
+
+  const nextSteps = NEXT_STEPS[nonConformance.status].filter(step => step.roles.includes(user?.role));
+
+  return (
+    <>
+      <Helmet>
+        <title>{`Não Conformidade #${nonConformance.id} - Sistema ZARA`}</title>
+        <meta name="description" content={`Detalhes da não conformidade ${nonConformance.id}`} />
+      </Helmet>
+
+      <div className="space-y-6">
+        {/* Cabeçalho */}
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div className="flex items-center space-x-4">
+            <button
+              onClick={() => navigate(ROUTES.NON_CONFORMANCES)}
+              className="p-2 text-gray-400 hover:text-gray-600 dark:hover:text-gray-300 transition-colors"
+            >
+              <ArrowLeftIcon className="h-5 w-5" />
+            </button>
+            <div>
+              <div className="flex items-center gap-2 flex-wrap">
+                <h1 className="text-2xl font-bold text-gray-900 dark:text-white">NC #{nonConformance.id}</h1>
+                <NonConformanceStatusBadge status={nonConformance.status} />
+                <NonConformanceSeverityBadge severity={nonConformance.severity} />
+                {nonConformance.overdue && (
+                  <span className="inline-flex items-center text-xs font-medium text-red-600 dark:text-red-400">
+                    <ExclamationTriangleIcon className="h-4 w-4 mr-1" />
+                    Vencida
+                  </span>
+                )}
+              </div>
+              <p className="mt-1 text-sm text-gray-500 dark:text-gray-400">
+                {nonConformance.title} • {nonConformance.machineName || 'Sem máquina'} • Aberta em {formatDateTime(nonConformance.createdAt)}
+              </p>
+            </div>
+          </div>
+
+          <div className="flex gap-2">
+            {nextSteps.map(step => (
+              <button
+                key={step.status}
+                onClick={() => handleStatus(step.status)}
+                disabled={saving}
+                className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {step.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          {/* Investigação */}
+          <div className={cn(cardClassName, 'lg:col-span-2 space-y-4')}>
+            <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Investigação</h2>
+
+            {nonConformance.description && (
+              <p className="text-sm text-gray-700 dark:text-gray-300 whitespace-pre-line">{nonConformance.description}</p>
+            )}
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div>
+                <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Severidade</label>
+                <select disabled={!canEdit} value={form.severity} onChange={(e) => setForm(prev => ({ ...prev, severity: e.target.value }))} className={inputClassName}>
+                  {Object.entries(severityLabels).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Responsável</label>
+                <select disabled={!canEdit} value={form.ownerId} onChange={(e) => setForm(prev => ({ ...prev, ownerId: e.target.value }))} className={inputClassName}>
+                  <option value="">{nonConformance.ownerName || 'Não atribuído'}</option>
+                  {users.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Prazo</label>
+                <input disabled={!canEdit} type="datetime-local" value={form.dueDate} onChange={(e) => setForm(prev => ({ ...prev, dueDate: e.target.value }))} className={inputClassName} />
+              </div>
+            </div>
+
+            <div>
+              <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Ação de contenção</label>
+              <textarea disabled={!canEdit} rows={2} value={form.containmentAction} onChange={(e) => setForm(prev => ({ ...prev, containmentAction: e.target.value }))} className={inputClassName} />
+              <label className="mt-2 inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+                <input
+                  type="checkbox"
+                  disabled={!canEdit}
+                  checked={!!form.holdLot}
+                  onChange={(e) => setForm(prev => ({ ...prev, holdLot: e.target.checked }))}
+                  className="mr-2 rounded border-gray-300"
+                />
+                <ShieldExclamationIcon className="h-4 w-4 mr-1 text-orange-500" />
+                Lote {nonConformance.lot || '-'} segregado até a disposição
+              </label>
+            </div>
+
+            <div>
+              <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Causa raiz</label>
+              <textarea disabled={!canEdit} rows={3} value={form.rootCause} onChange={(e) => setForm(prev => ({ ...prev, rootCause: e.target.value }))} className={inputClassName} placeholder="Ex.: 5 porquês, Ishikawa..." />
+            </div>
+
+            {canEdit && (
+              <div className="flex justify-end">
+                <button
+                  onClick={handleSave}
+                  disabled={saving}
+                  className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                >
+                  Salvar
+                </button>
+              </div>
+            )}
+          </div>
+
+          {/* Origem e histórico */}
+          <div className="space-y-6">
+            <div className={cardClassName}>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Testes reprovados</h2>
+              {nonConformance.qualityTests.length === 0 ? (
+                <p className="text-sm text-gray-500 dark:text-gray-400">Aberta manualmente</p>
+              ) : (
+                <ul className="space-y-2 text-sm">
+                  {nonConformance.qualityTests.map(test => (
+                    <li key={test.id}>
+                      <Link to={`/quality/tests/${test.id}`} className="text-blue-600 dark:text-blue-400 hover:underline">
+                        Teste #{test.id}
+                      </Link>
+                      <span className="text-gray-500 dark:text-gray-400"> • Caixa {test.boxNumber} • {formatDateTime(test.createdAt)}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+
+            <div className={cardClassName}>
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Histórico</h2>
+              <ol className="space-y-3 text-sm">
+                {nonConformance.history.map(entry => (
+                  <li key={entry.id} className="border-l-2 border-gray-200 dark:border-gray-600 pl-3">
+                    <p className="text-gray-900 dark:text-white">
+                      {entry.toStatus
+                        ? `${entry.fromStatus ? `${statusLabels[entry.fromStatus]} → ` : ''}${statusLabels[entry.toStatus]}`
+                        : 'Atualização'}
+                    </p>
+                    {entry.notes && <p className="text-gray-600 dark:text-gray-300">{entry.notes}</p>}
+                    <p className="text-xs text-gray-500 dark:text-gray-400">{entry.userName || 'Sistema'} • {formatDateTime(entry.createdAt)}</p>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          </div>
+        </div>
+
+        {/* Ações corretivas e preventivas */}
+        <div className={cardClassName}>
+          <h2 className="text-lg font-semibold text-gray-900 dark:text-white mb-3">Ações corretivas e preventivas</h2>
+
+          {nonConformance.actions.length === 0 ? (
+            <p className="text-sm text-gray-500 dark:text-gray-400 mb-4">Nenhuma ação cadastrada.</p>
+          ) : (
+            <ul className="divide-y divide-gray-200 dark:divide-gray-700 mb-4">
+              {nonConformance.actions.map(action => (
+                <li key={action.id} className="py-3 flex items-start justify-between gap-4">
+                  <div className="text-sm">
+                    <p className="text-gray-900 dark:text-white">
+                      <span className="font-medium">{actionTypeLabels[action.type]}:</span> {action.description}
+                    </p>
+                    <p className={cn('text-xs', action.overdue ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-400')}>
+                      {action.ownerName || 'Sem responsável'}
+                      {action.dueDate && ` • Prazo ${formatDateTime(action.dueDate)}`}
+                      {action.completedAt && ` • Concluída por ${action.completedBy} em ${formatDateTime(action.completedAt)}`}
+                    </p>
+                  </div>
+                  {canEdit && nonConformance.status !== 'VERIFIED' ? (
+                    <button
+                      onClick={() => toggleAction(action)}
+                      disabled={saving}
+                      className={cn(
+                        'inline-flex items-center px-3 py-1 rounded-md text-xs font-medium border transition-colors disabled:opacity-50',
+                        action.status === 'DONE'
+                          ? 'border-green-300 text-green-700 dark:text-green-400'
+                          : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-50 dark:hover:bg-gray-700'
+                      )}
+                    >
+                      <CheckCircleIcon className="h-4 w-4 mr-1" />
+                      {action.status === 'DONE' ? 'Concluída' : 'Concluir'}
+                    </button>
+                  ) : (
+                    action.status === 'DONE' && <CheckCircleIcon className="h-5 w-5 text-green-500" />
+                  )}
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {canEdit && ['OPEN', 'INVESTIGATING'].includes(nonConformance.status) && (
+            <form onSubmit={handleAddAction} className="grid grid-cols-1 md:grid-cols-6 gap-3 items-end">
+              <select value={newAction.type} onChange={(e) => setNewAction(prev => ({ ...prev, type: e.target.value }))} className={inputClassName}>
+                {Object.entries(actionTypeLabels).map(([value, label]) => (
+                  <option key={value} value={value}>{label}</option>
+                ))}
+              </select>
+              <input
+                required
+                placeholder="Descrição da ação"
+                value={newAction.description}
+                onChange={(e) => setNewAction(prev => ({ ...prev, description: e.target.value }))}
+                className={cn(inputClassName, 'md:col-span-2')}
+              />
+              <select value={newAction.ownerId} onChange={(e) => setNewAction(prev => ({ ...prev, ownerId: e.target.value }))} className={inputClassName}>
+                <option value="">Responsável</option>
+                {users.map(option => (
+                  <option key={option.id} value={option.id}>{option.name}</option>
+                ))}
+              </select>
+              <input
+                type="datetime-local"
+                value={newAction.dueDate}
+                onChange={(e) => setNewAction(prev => ({ ...prev, dueDate: e.target.value }))}
+                className={inputClassName}
+              />
+              <button
+                type="submit"
+                disabled={saving}
+                className="inline-flex items-center justify-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                <PlusIcon className="h-4 w-4 mr-1" />
+                Adicionar
+              </button>
+            </form>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default NonConformanceDetail;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  ExclamationTriangleIcon,
+  ClockIcon,
+  ArrowPathIcon
+} from '@heroicons/react/24/outline';
+
+import nonConformanceService from '../services/nonConformances';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+import { ROUTES, generatePath } from '../config/routes';
+import {
+  NonConformanceStatusBadge,
+  NonConformanceSeverityBadge,
+  statusLabels,
+  severityLabels
+} from '../components/NonConformanceBadges';
+
+const inputClassName = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const NonConformances = () => {
+  const { socket } = useSocket();
+  const [items, setItems] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [filters, setFilters] = useState({ status: '', severity: '', lot: '', overdue: false });
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  const loadItems = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {
+        status: filters.status || undefined,
+        severity: filters.severity || undefined,
+        lot: filters.lot || undefined,
+        overdue: filters.overdue || undefined,
+        limit: 100
+      };
+      const response = await nonConformanceService.getAll(params);
+      setItems(response.data || []);
+      setTotal(response.total || 0);
+    } catch (error) {
+      console.error('Erro ao carregar não conformidades:', error);
+      toast.error('Erro ao carregar não conformidades');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadItems();
+  }, [loadItems]);
+
+  // Novas NCs abertas por testes reprovados
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleOpened = () => loadItems();
+    socket.on('non-conformance:opened', handleOpened);
+    socket.on('non-conformance:updated', handleOpened);
+    return () => {
+      socket.off('non-conformance:opened', handleOpened);
+      socket.off('non-conformance:updated', handleOpened);
+    };
+  }, [socket, loadItems]);
+
+  const openCount = items.filter(item => item.status !== 'CLOSED').length;
+  const overdueCount = items.filter(item => item.overdue).length;
+
+  return (
+    <>
+      <Helmet>
+        <title>Não Conformidades - Sistema ZARA</title>
+        <meta name="description" content="Não conformidades e ações corretivas/preventivas" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Não Conformidades</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Abertas automaticamente para testes reprovados, com contenção, causa raiz e ações CAPA
+            </p>
+          </div>
+          <button
+            onClick={loadItems}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+          >
+            <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+            Atualizar
+          </button>
+        </div>
+
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+          <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            <p className="text-xs text-gray-500 dark:text-gray-400">Total</p>
+            <p className="text-xl font-semibold text-gray-900 dark:text-white">{total}</p>
+          </div>
+          <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            <p className="text-xs text-gray-500 dark:text-gray-400">Em aberto</p>
+            <p className="text-xl font-semibold text-yellow-600 dark:text-yellow-400">{openCount}</p>
+          </div>
+          <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+            <p className="text-xs text-gray-500 dark:text-gray-400">Vencidas</p>
+            <p className="text-xl font-semibold text-red-600 dark:text-red-400">{overdueCount}</p>
+          </div>
+        </div>
+
+        {/* Filtros */}
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 flex flex-wrap items-center gap-3">
+          <select value={filters.status} onChange={(e) => updateFilter('status', e.target.value)} className={inputClassName}>
+            <option value="">Todos os status</option>
+            {Object.entries(statusLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={filters.severity} onChange={(e) => updateFilter('severity', e.target.value)} className={inputClassName}>
+            <option value="">Todas as severidades</option>
+            {Object.entries(severityLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            placeholder="Lote"
+            value={filters.lot}
+            onChange={(e) => updateFilter('lot', e.target.value)}
+            className={inputClassName}
+          />
+          <label className="inline-flex items-center text-sm text-gray-700 dark:text-gray-300">
+            <input
+              type="checkbox"
+              checked={filters.overdue}
+              onChange={(e) => updateFilter('overdue', e.target.checked)}
+              className="mr-2 rounded border-gray-300"
+            />
+            Somente vencidas
+          </label>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+          <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+            <thead className="bg-gray-50 dark:bg-gray-700">
+              <tr>
+                {['NC', 'Título', 'Máquina', 'Lote / Caixa', 'Severidade', 'Status', 'Responsável', 'Prazo', 'Ações'].map(header => (
+                  <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                ))}
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+              {items.length === 0 && (
+                <tr>
+                  <td colSpan={9} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                    {loading ? 'Carregando...' : 'Nenhuma não conformidade encontrada'}
+                  </td>
+                </tr>
+              )}
+              {items.map(item => (
+                <tr key={item.id} className="hover:bg-gray-50 dark:hover:bg-gray-700">
+                  <td className="px-4 py-2">
+                    <Link
+                      to={generatePath(ROUTES.NON_CONFORMANCE_DETAIL, { id: item.id })}
+                      className="font-medium text-blue-600 dark:text-blue-400 hover:underline"
+                    >
+                      #{item.id}
+                    </Link>
+                  </td>
+                  <td className="px-4 py-2 text-gray-900 dark:text-white">{item.title}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{item.machineName || '-'}</td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                    {item.lot || '-'}{item.boxNumber ? ` / ${item.boxNumber}` : ''}
+                  </td>
+                  <td className="px-4 py-2"><NonConformanceSeverityBadge severity={item.severity} /></td>
+                  <td className="px-4 py-2"><NonConformanceStatusBadge status={item.status} /></td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{item.ownerName || 'Não atribuído'}</td>
+                  <td className={cn('px-4 py-2 whitespace-nowrap', item.overdue ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-700 dark:text-gray-300')}>
+                    {item.overdue && <ExclamationTriangleIcon className="h-4 w-4 inline mr-1" />}
+                    {item.dueDate ? formatDateTime(item.dueDate) : '-'}
+                  </td>
+                  <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                    {item.pendingActions > 0 ? (
+                      <span className="inline-flex items-center">
+                        <ClockIcon className="h-4 w-4 mr-1" />
+                        {item.pendingActions} pendente{item.pendingActions > 1 ? 's' : ''}
+                      </span>
+                    ) : '-'}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default NonConformances;
@@ -1,8 +1,14 @@
 import React from 'react';
 import NotificationHistory from '../components/NotificationHistory';
+import EscalatingAlerts from '../components/EscalatingAlerts';
 
 const Notifications = () => {
-   return <NotificationHistory />;
+   return (
+     <div className="space-y-6">
+       <EscalatingAlerts />
+       <NotificationHistory />
+     </div>
+   );
  };
 
- export default Notifications;
\ No newline at end of file
+ export default Notifications;
@@ -13,7 +13,9 @@ import {
   BellIcon,
   EyeIcon,
   PlusIcon,
-  ArrowRightIcon
+  ArrowRightIcon,
+  MegaphoneIcon,
+  ComputerDesktopIcon
 } from '@heroicons/react/24/outline';
 
 // Hooks
@@ -26,6 +28,7 @@ import { useMachinePermissions } from '../hooks/useMachinePermissions';
 import { cn, formatNumber, formatDateTime } from '../lib/utils';
 import { ROUTES } from '../config/routes';
 import api from '../services/api';
+import AndonCallPanel from '../components/AndonCallPanel';
 
 const OperatorMenu = () => {
   const { user } = useAuth();
@@ -295,6 +298,31 @@ const OperatorMenu = () => {
             })}
           </div>
 
+          {/* Andon: chamar ajuda para a máquina */}
+          <motion.div
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ delay: 0.35 }}
+            className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 mb-8"
+          >
+            <div className="p-6">
+              <div className="flex items-center justify-between mb-4">
+                <h3 className="text-lg font-semibold text-gray-900 dark:text-white flex items-center">
+                  <MegaphoneIcon className="h-5 w-5 mr-2 text-red-500" />
+                  Chamar Ajuda (Andon)
+                </h3>
+                <Link
+                  to={ROUTES.ANDON_KIOSK}
+                  className="text-sm text-blue-600 hover:text-blue-700 dark:text-blue-400 dark:hover:text-blue-300 flex items-center space-x-1"
+                >
+                  <span>Modo quiosque</span>
+                  <ComputerDesktopIcon className="h-4 w-4" />
+                </Link>
+              </div>
+              <AndonCallPanel machines={myMachines} />
+            </div>
+          </motion.div>
+
           {/* Seções Adicionais */}
           <div className="grid grid-cols-1 lg:grid-cols-2 gap-8">
             {/* Máquinas Recentes */}
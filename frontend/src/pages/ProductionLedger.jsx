@@ -0,0 +1,382 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+
+import productionLedgerService from '../services/productionLedger';
+import { machineService } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+
+const PAGE_SIZE = 100;
+
+const typeLabels = {
+  SPEED_CHANGE: 'Velocidade',
+  START: 'Início',
+  STOP: 'Parada',
+  INCREMENT: 'Produção',
+  SCRAP: 'Refugo',
+  CORRECTION: 'Correção',
+  COUNTER_RESET: 'Zeragem do contador'
+};
+
+const typeColors = {
+  SPEED_CHANGE: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400',
+  START: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400',
+  STOP: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  INCREMENT: 'bg-emerald-100 text-emerald-800 dark:bg-emerald-900/20 dark:text-emerald-400',
+  SCRAP: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400',
+  CORRECTION: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400',
+  COUNTER_RESET: 'bg-purple-100 text-purple-800 dark:bg-purple-900/20 dark:text-purple-400'
+};
+
+const sourceLabels = {
+  BPM: 'Motor (BPM)',
+  COUNTER: 'Motor (contador)',
+  MANUAL: 'Lançamento manual',
+  OPERATOR: 'Operador',
+  SIGNAL: 'Sinal da máquina',
+  LEADER: 'Líder',
+  QUALITY_TEST: 'Teste de qualidade',
+  SYSTEM: 'Sistema'
+};
+
+const replayStatusLabels = {
+  RUNNING: 'Em execução',
+  COMPLETED: 'Concluído',
+  FAILED: 'Falhou'
+};
+
+const replayStatusColors = {
+  RUNNING: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400',
+  COMPLETED: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400',
+  FAILED: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400'
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const formatQuantity = (value) => (value === null || value === undefined ? '-' : Number(value).toLocaleString('pt-BR'));
+
+const formatDate = (value) => (value ? value.split('-').reverse().join('/') : '-');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const emptyAdjustment = { machineId: '', type: 'SCRAP', quantity: '', reason: '' };
+
+const ProductionLedger = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [machines, setMachines] = useState([]);
+  const [filters, setFilters] = useState({ machineId: '', type: '', startDate: today(), endDate: today() });
+  const [loading, setLoading] = useState(true);
+  const [adjustment, setAdjustment] = useState(emptyAdjustment);
+  const [replayForm, setReplayForm] = useState({ startDate: today(), endDate: today(), machineId: '' });
+  const [replays, setReplays] = useState([]);
+  const [saving, setSaving] = useState(false);
+
+  const isAdmin = user?.role === 'ADMIN';
+
+  const loadEvents = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { limit: PAGE_SIZE };
+      if (filters.machineId) params.machineId = filters.machineId;
+      if (filters.type) params.type = filters.type;
+      if (filters.startDate) params.startDate = filters.startDate;
+      if (filters.endDate) params.endDate = filters.endDate;
+      const response = await productionLedgerService.getEvents(params);
+      setEvents(response.data || []);
+      setTotal(response.total || 0);
+    } catch (error) {
+      console.error('Erro ao carregar eventos de produção:', error);
+      toast.error('Erro ao carregar eventos de produção');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  const loadReplays = useCallback(async () => {
+    if (!isAdmin) return;
+    try {
+      const response = await productionLedgerService.getReplays();
+      setReplays(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar replays:', error);
+    }
+  }, [isAdmin]);
+
+  useEffect(() => {
+    loadEvents();
+  }, [loadEvents]);
+
+  useEffect(() => {
+    loadReplays();
+  }, [loadReplays]);
+
+  useEffect(() => {
+    machineService.getAll()
+      .then(response => setMachines(response.data?.data || []))
+      .catch(error => console.error('Erro ao carregar máquinas:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdated = () => loadEvents();
+    const handleReplayed = () => {
+      loadEvents();
+      loadReplays();
+    };
+    socket.on('production:ledger-updated', handleUpdated);
+    socket.on('production:ledger-replayed', handleReplayed);
+    return () => {
+      socket.off('production:ledger-updated', handleUpdated);
+      socket.off('production:ledger-replayed', handleReplayed);
+    };
+  }, [socket, loadEvents, loadReplays]);
+
+  const handleAdjustment = async (e) => {
+    e.preventDefault();
+    if (!adjustment.machineId || adjustment.quantity === '' || !adjustment.reason.trim()) {
+      toast.error('Informe máquina, quantidade e motivo');
+      return;
+    }
+    setSaving(true);
+    try {
+      const response = await productionLedgerService.recordAdjustment({
+        machineId: parseInt(adjustment.machineId),
+        type: adjustment.type,
+        quantity: parseFloat(adjustment.quantity),
+        reason: adjustment.reason.trim()
+      });
+      toast.success(response.message || 'Ajuste registrado');
+      setAdjustment(emptyAdjustment);
+      loadEvents();
+    } catch (error) {
+      console.error('Erro ao registrar ajuste:', error);
+      toast.error(error.response?.data?.message || 'Erro ao registrar ajuste');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleReplay = async (e) => {
+    e.preventDefault();
+    if (!window.confirm('Reconstruir os totais de turno e contadores do período a partir do livro?')) return;
+    setSaving(true);
+    try {
+      const response = await productionLedgerService.replay({
+        startDate: replayForm.startDate,
+        endDate: replayForm.endDate,
+        machineId: replayForm.machineId ? parseInt(replayForm.machineId) : null
+      });
+      toast.success(response.message || 'Replay concluído');
+      loadEvents();
+      loadReplays();
+    } catch (error) {
+      console.error('Erro no replay do livro de produção:', error);
+      toast.error(error.response?.data?.message || 'Erro no replay do livro de produção');
+      loadReplays();
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const describeEvent = (event) => {
+    if (event.type === 'SPEED_CHANGE') return `${formatQuantity(event.speed)} BPM`;
+    if (event.quantity === null) return '-';
+    if (event.type === 'CORRECTION' && event.quantity > 0) return `+${formatQuantity(event.quantity)}`;
+    return formatQuantity(event.quantity);
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Livro de Produção - Sistema ZARA</title>
+        <meta name="description" content="Eventos de produção, refugos, correções e reconstrução de totais" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Livro de Produção</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Eventos não podem ser editados nem excluídos; ajustes entram como refugo ou correção
+            </p>
+          </div>
+          <button
+            onClick={loadEvents}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+          >
+            <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+            Atualizar
+          </button>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 grid grid-cols-1 sm:grid-cols-4 gap-4">
+          <select value={filters.machineId} onChange={(e) => setFilters(prev => ({ ...prev, machineId: e.target.value }))} className={inputClassName}>
+            <option value="">Todas as máquinas</option>
+            {machines.map(machine => (
+              <option key={machine.id} value={machine.id}>{machine.name}</option>
+            ))}
+          </select>
+          <select value={filters.type} onChange={(e) => setFilters(prev => ({ ...prev, type: e.target.value }))} className={inputClassName}>
+            <option value="">Todos os eventos</option>
+            {Object.entries(typeLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <input type="date" value={filters.startDate} onChange={(e) => setFilters(prev => ({ ...prev, startDate: e.target.value }))} className={inputClassName} />
+          <input type="date" value={filters.endDate} onChange={(e) => setFilters(prev => ({ ...prev, endDate: e.target.value }))} className={inputClassName} />
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Data', 'Máquina', 'Evento', 'Quantidade', 'Origem', 'Motivo'].map(header => (
+                    <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {events.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                      {loading ? 'Carregando...' : 'Nenhum evento no período'}
+                    </td>
+                  </tr>
+                )}
+                {events.map(event => (
+                  <tr key={event.id}>
+                    <td className="px-4 py-2 whitespace-nowrap text-gray-900 dark:text-white">{formatDateTime(event.occurredAt)}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{event.machineName}</td>
+                    <td className="px-4 py-2">
+                      <span className={cn('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', typeColors[event.type])}>
+                        {typeLabels[event.type] || event.type}
+                      </span>
+                    </td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{describeEvent(event)}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">
+                      {sourceLabels[event.source] || event.source}
+                      {event.createdByName ? ` · ${event.createdByName}` : ''}
+                    </td>
+                    <td className="px-4 py-2 text-gray-500 dark:text-gray-400">{event.reason || '-'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {total > events.length && (
+              <p className="px-4 py-2 text-xs text-gray-500 dark:text-gray-400">
+                Exibindo {events.length} de {total} eventos; refine os filtros para ver os demais
+              </p>
+            )}
+          </div>
+
+          <div className="space-y-6">
+            <form onSubmit={handleAdjustment} className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 space-y-3">
+              <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Lançar ajuste</h2>
+              <p className="text-xs text-gray-500 dark:text-gray-400">
+                Aplicado ao turno atual da máquina. Correções somam (ou subtraem) do total; refugo não altera a produção
+              </p>
+              <select value={adjustment.machineId} onChange={(e) => setAdjustment(prev => ({ ...prev, machineId: e.target.value }))} className={inputClassName}>
+                <option value="">Selecione a máquina</option>
+                {machines.map(machine => (
+                  <option key={machine.id} value={machine.id}>{machine.name}</option>
+                ))}
+              </select>
+              <select value={adjustment.type} onChange={(e) => setAdjustment(prev => ({ ...prev, type: e.target.value }))} className={inputClassName}>
+                <option value="SCRAP">Refugo</option>
+                <option value="CORRECTION">Correção</option>
+              </select>
+              <input
+                type="number"
+                step="any"
+                min={adjustment.type === 'SCRAP' ? '0' : undefined}
+                placeholder={adjustment.type === 'SCRAP' ? 'Peças refugadas' : 'Peças (negativo para descontar)'}
+                value={adjustment.quantity}
+                onChange={(e) => setAdjustment(prev => ({ ...prev, quantity: e.target.value }))}
+                className={inputClassName}
+              />
+              <textarea
+                rows={2}
+                placeholder="Motivo (obrigatório)"
+                value={adjustment.reason}
+                onChange={(e) => setAdjustment(prev => ({ ...prev, reason: e.target.value }))}
+                className={inputClassName}
+              />
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                Registrar ajuste
+              </button>
+            </form>
+
+            {isAdmin && (
+              <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 space-y-3">
+                <h2 className="text-lg font-semibold text-gray-900 dark:text-white">Replay do período</h2>
+                <p className="text-xs text-gray-500 dark:text-gray-400">
+                  Recalcula totais de turno e contadores de pop-up a partir dos eventos; turnos reconciliados não são alterados
+                </p>
+                <form onSubmit={handleReplay} className="space-y-3">
+                  <div className="grid grid-cols-2 gap-2">
+                    <input type="date" value={replayForm.startDate} onChange={(e) => setReplayForm(prev => ({ ...prev, startDate: e.target.value }))} className={inputClassName} />
+                    <input type="date" value={replayForm.endDate} onChange={(e) => setReplayForm(prev => ({ ...prev, endDate: e.target.value }))} className={inputClassName} />
+                  </div>
+                  <select value={replayForm.machineId} onChange={(e) => setReplayForm(prev => ({ ...prev, machineId: e.target.value }))} className={inputClassName}>
+                    <option value="">Todas as máquinas</option>
+                    {machines.map(machine => (
+                      <option key={machine.id} value={machine.id}>{machine.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    type="submit"
+                    disabled={saving}
+                    className="px-4 py-2 text-sm font-medium rounded-md text-white bg-red-600 hover:bg-red-700 disabled:opacity-50 transition-colors"
+                  >
+                    Executar replay
+                  </button>
+                </form>
+
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+                  {replays.length === 0 && (
+                    <li className="py-2 text-gray-500 dark:text-gray-400">Nenhum replay executado</li>
+                  )}
+                  {replays.map(replay => (
+                    <li key={replay.id} className="py-2 space-y-1">
+                      <div className="flex items-center justify-between">
+                        <span className="text-gray-900 dark:text-white">
+                          {formatDate(replay.startDate)} a {formatDate(replay.endDate)}
+                          {replay.machineName ? ` · ${replay.machineName}` : ''}
+                        </span>
+                        <span className={cn('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', replayStatusColors[replay.status])}>
+                          {replayStatusLabels[replay.status] || replay.status}
+                        </span>
+                      </div>
+                      <p className="text-xs text-gray-500 dark:text-gray-400">
+                        {replay.status === 'FAILED'
+                          ? replay.errorMessage
+                          : `${replay.changes.length} corrigido(s) de ${replay.shiftsRebuilt} turno(s) · ${replay.shiftsSkipped} travado(s) · ${replay.countersRebuilt} contador(es)`}
+                        {replay.requestedByName ? ` · ${replay.requestedByName}` : ''}
+                        {replay.startedAt ? ` · ${formatDateTime(replay.startedAt)}` : ''}
+                      </p>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ProductionLedger;
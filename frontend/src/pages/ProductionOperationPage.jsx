@@ -1,20 +1,23 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
+import { useSocket } from '../hooks/useSocket';
 import { machineService } from '../services/api';
-import { Clock, Package, AlertTriangle, CheckCircle, Camera, Video, FileText, Lock, Play, Pause, Target, Unlock, XCircle } from 'lucide-react';
+import { Clock, Package, AlertTriangle, CheckCircle, Camera, Video, FileText, Lock, Play, Pause, Target, Unlock, XCircle, Trash2 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { toast } from 'react-hot-toast';
 import api from '../services/api';
 import ProductionSpeedControl from '../components/ProductionSpeedControl';
 import QualityTestModal from '../components/QualityTestModal';
+import ScrapEntryModal from '../components/ScrapEntryModal';
+import scrapService from '../services/scrap';
 
 const ProductionOperationPage = () => {
   const { machineId } = useParams();
   const navigate = useNavigate();
   const { user } = useAuth();
+  const { socket } = useSocket();
   const intervalRef = useRef(null);
-  const wsRef = useRef(null);
   const timerRef = useRef(null);
   const startTimeRef = useRef(null);
   
@@ -58,6 +61,8 @@ const ProductionOperationPage = () => {
     }
   });
   const [showQualityTestModal, setShowQualityTestModal] = useState(false);
+  const [showScrapModal, setShowScrapModal] = useState(false);
+  const [scrapRecords, setScrapRecords] = useState([]);
 
   // Carregar dados iniciais
   useEffect(() => {
@@ -73,18 +78,50 @@ const ProductionOperationPage = () => {
     loadQualityConfigs();
     loadMachineConfig();
     loadTestHistory();
-    setupWebSocket();
     
     return () => {
-      if (wsRef.current) {
-        wsRef.current.close();
-      }
       if (intervalRef.current) {
         clearInterval(intervalRef.current);
       }
     };
   }, [machineId, navigate]);
   
+  // Refugo e retrabalho lançados na operação ativa
+  const operationId = machineInfo?.currentOperation?.id;
+
+  const loadScrapRecords = async () => {
+    if (!operationId) {
+      setScrapRecords([]);
+      return;
+    }
+    try {
+      const response = await scrapService.getRecords({ machineId, operationId });
+      setScrapRecords(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar refugos da operação:', error);
+    }
+  };
+
+  useEffect(() => {
+    loadScrapRecords();
+  }, [operationId]);
+
+  // Produção do turno calculada pelo motor de produção do servidor
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleProductionUpdate = (data) => {
+      if (data.machineId === parseInt(machineId)) {
+        setProductionData(prev => ({ ...prev, currentCount: data.totalProduction }));
+      }
+    };
+
+    socket.on('production:update', handleProductionUpdate);
+    return () => {
+      socket.off('production:update', handleProductionUpdate);
+    };
+  }, [socket, machineId]);
+  
   // Efeito para verificar bloqueio de operação e notificações
   useEffect(() => {
     checkOperationLock();
@@ -237,26 +274,6 @@ const ProductionOperationPage = () => {
     }
   };
   
-  const setupWebSocket = () => {
-    // Configurar WebSocket para atualizações em tempo real - prioriza ngrok
-    const getWsUrl = () => {
-      if (import.meta.env.VITE_SOCKET_URL && import.meta.env.VITE_SOCKET_URL.includes('ngrok')) {
-        return import.meta.env.VITE_SOCKET_URL.replace('https://', 'wss://').replace('http://', 'ws://');
-      }
-      return 'ws://localhost:3001';
-    };
-    
-    const wsUrl = getWsUrl();
-    wsRef.current = new WebSocket(wsUrl);
-    
-    wsRef.current.onmessage = (event) => {
-      const data = JSON.parse(event.data);
-      if (data.type === 'production:realtime-update' && data.machineId === parseInt(machineId)) {
-        setProductionData(prev => ({ ...prev, currentCount: data.totalProduction }));
-      }
-    };
-  };
-  
   const checkOperationLock = () => {
     // Usar popupThreshold das configurações de produção da máquina como prioridade
     let productsPerTest = machineConfig.production.popupThreshold || 50;
@@ -411,7 +428,7 @@ const ProductionOperationPage = () => {
       toast.success('Operação iniciada');
     } catch (error) {
       console.error('Erro ao iniciar operação:', error);
-      toast.error('Erro ao iniciar operação');
+      toast.error(error.response?.data?.message || 'Erro ao iniciar operação');
     }
   };
 
@@ -955,6 +972,68 @@ const ProductionOperationPage = () => {
         )}
       </div>
 
+      {/* Refugo e Retrabalho */}
+      <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+        <div className="flex items-center justify-between mb-4">
+          <h2 className="text-xl font-semibold text-gray-900 flex items-center">
+            <Trash2 className="w-6 h-6 mr-2 text-red-600" />
+            Refugo e Retrabalho da Operação
+          </h2>
+          <button
+            onClick={() => setShowScrapModal(true)}
+            disabled={!operationId}
+            className="px-4 py-2 rounded-lg text-sm font-semibold bg-red-600 text-white hover:bg-red-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+          >
+            Lançar Refugo / Retrabalho
+          </button>
+        </div>
+        <div className="grid grid-cols-2 gap-4 mb-4">
+          <div className="p-3 bg-red-50 rounded-lg">
+            <p className="text-sm text-red-700">Refugo</p>
+            <p className="text-2xl font-bold text-red-800">
+              {scrapRecords.filter(record => record.type === 'SCRAP').reduce((sum, record) => sum + record.quantity, 0)}
+            </p>
+          </div>
+          <div className="p-3 bg-yellow-50 rounded-lg">
+            <p className="text-sm text-yellow-700">Retrabalho</p>
+            <p className="text-2xl font-bold text-yellow-800">
+              {scrapRecords.filter(record => record.type === 'REWORK').reduce((sum, record) => sum + record.quantity, 0)}
+            </p>
+          </div>
+        </div>
+        {scrapRecords.length === 0 ? (
+          <p className="text-center text-gray-500 py-4">
+            {operationId ? 'Nenhum lançamento nesta operação' : 'Inicie uma operação para lançar refugo'}
+          </p>
+        ) : (
+          <div className="divide-y divide-gray-200 max-h-64 overflow-y-auto">
+            {scrapRecords.map(record => (
+              <div key={record.id} className="py-2 flex items-center justify-between text-sm">
+                <div>
+                  <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-semibold mr-2 ${
+                    record.type === 'SCRAP' ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'
+                  }`}>
+                    {record.type === 'SCRAP' ? 'Refugo' : 'Retrabalho'}
+                  </span>
+                  <span className="text-gray-900">{record.reasonName}</span>
+                  {record.notes && <span className="text-gray-500"> · {record.notes}</span>}
+                  {record.photoUrl && (
+                    <a href={record.photoUrl} target="_blank" rel="noopener noreferrer" className="ml-2 inline-flex items-center text-blue-600 hover:underline">
+                      <Camera className="w-4 h-4 mr-1" />
+                      foto
+                    </a>
+                  )}
+                </div>
+                <div className="text-right whitespace-nowrap">
+                  <span className="font-semibold text-gray-900">{record.quantity} pç</span>
+                  <span className="text-xs text-gray-400 ml-2">{new Date(record.recordedAt).toLocaleTimeString()}</span>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
       {/* Histórico de Testes */}
       <div className="bg-white rounded-lg shadow-md p-6">
         <div className="flex items-center justify-between mb-6">
@@ -1270,6 +1349,14 @@ const ProductionOperationPage = () => {
         )}
       </AnimatePresence>
       
+      {/* Modal de Refugo / Retrabalho */}
+      <ScrapEntryModal
+        isOpen={showScrapModal}
+        onClose={() => setShowScrapModal(false)}
+        machineId={machineId}
+        onSuccess={loadScrapRecords}
+      />
+
       {/* Modal de Teste de Qualidade */}
       <QualityTestModal
         isOpen={showQualityTestModal}
@@ -0,0 +1,345 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import { ArrowPathIcon, PlusIcon, XMarkIcon } from '@heroicons/react/24/outline';
+
+import productionOrderService from '../services/productionOrders';
+import { useSocket } from '../hooks/useSocket';
+import { cn } from '../lib/utils';
+
+const UNASSIGNED = 'UNASSIGNED';
+
+const statusLabels = {
+  PLANNED: 'Planejada',
+  IN_PROGRESS: 'Em produção',
+  COMPLETED: 'Concluída',
+  CANCELLED: 'Cancelada'
+};
+
+const statusColors = {
+  PLANNED: 'bg-blue-100 text-blue-800 dark:bg-blue-900/20 dark:text-blue-400',
+  IN_PROGRESS: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400',
+  COMPLETED: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  CANCELLED: 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400'
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const formatQuantity = (value) => Number(value || 0).toLocaleString('pt-BR');
+
+const formatDate = (value) => (value ? String(value).slice(0, 10).split('-').reverse().join('/') : null);
+
+const isLate = (order) => order.dueDate && String(order.dueDate).slice(0, 10) < new Date().toISOString().slice(0, 10);
+
+const emptyForm = { orderNumber: '', product: '', lot: '', plannedQuantity: '', dueDate: '', notes: '', machineIds: [] };
+
+/**
+ * Cartão de ordem arrastável no quadro
+ */
+const OrderCard = ({ order, running, onDragStart, onDrop, onCancel }) => (
+  <div
+    draggable={!running}
+    onDragStart={(e) => onDragStart(e, order)}
+    onDragOver={(e) => e.preventDefault()}
+    onDrop={(e) => onDrop(e)}
+    className={cn(
+      'p-3 rounded-md border bg-white dark:bg-gray-800 shadow-sm text-sm',
+      running ? 'border-green-400 dark:border-green-700 cursor-default' : 'border-gray-200 dark:border-gray-700 cursor-move'
+    )}
+  >
+    <div className="flex items-start justify-between gap-2">
+      <div className="min-w-0">
+        <div className="font-semibold text-gray-900 dark:text-white truncate">{order.orderNumber}</div>
+        <div className="text-gray-600 dark:text-gray-300 truncate">{order.product}</div>
+        {order.lot && <div className="text-xs text-gray-500 dark:text-gray-400">Lote {order.lot}</div>}
+      </div>
+      <span className={cn('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium whitespace-nowrap', statusColors[order.status])}>
+        {running ? 'Na máquina' : statusLabels[order.status]}
+      </span>
+    </div>
+
+    <div className="mt-2">
+      <div className="flex justify-between text-xs text-gray-500 dark:text-gray-400 mb-1">
+        <span>{formatQuantity(order.goodQuantity)} / {formatQuantity(order.plannedQuantity)} pç</span>
+        <span>{order.progress}%</span>
+      </div>
+      <div className="w-full bg-gray-200 dark:bg-gray-700 rounded-full h-1.5">
+        <div className="h-1.5 rounded-full bg-green-500" style={{ width: `${order.progress}%` }} />
+      </div>
+    </div>
+
+    <div className="mt-2 flex items-center justify-between text-xs">
+      <span className={cn(isLate(order) ? 'text-red-600 dark:text-red-400 font-medium' : 'text-gray-500 dark:text-gray-400')}>
+        {order.dueDate ? `Prazo ${formatDate(order.dueDate)}` : 'Sem prazo'}
+      </span>
+      {!running && order.status === 'PLANNED' && (
+        <button
+          onClick={() => onCancel(order)}
+          className="text-gray-400 hover:text-red-600 dark:hover:text-red-400"
+          title="Cancelar ordem"
+        >
+          <XMarkIcon className="h-4 w-4" />
+        </button>
+      )}
+    </div>
+  </div>
+);
+
+const ProductionOrders = () => {
+  const { socket } = useSocket();
+  const [board, setBoard] = useState({ machines: [], unassigned: [] });
+  const [loading, setLoading] = useState(true);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [dragging, setDragging] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+
+  const loadBoard = useCallback(async () => {
+    setLoading(true);
+    try {
+      const response = await productionOrderService.getBoard();
+      setBoard(response.data || { machines: [], unassigned: [] });
+    } catch (error) {
+      console.error('Erro ao carregar quadro de programação:', error);
+      toast.error('Erro ao carregar quadro de programação');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadBoard();
+  }, [loadBoard]);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdated = () => loadBoard();
+    const handleCompleted = ({ order }) => {
+      toast.success(`Ordem ${order.orderNumber} concluída`);
+      loadBoard();
+    };
+    socket.on('production-order:updated', handleUpdated);
+    socket.on('production-order:completed', handleCompleted);
+    socket.on('machine:operation-ended', handleUpdated);
+    return () => {
+      socket.off('production-order:updated', handleUpdated);
+      socket.off('production-order:completed', handleCompleted);
+      socket.off('machine:operation-ended', handleUpdated);
+    };
+  }, [socket, loadBoard]);
+
+  const handleDragStart = (e, order, machineId) => {
+    e.dataTransfer.effectAllowed = 'move';
+    setDragging({ order, fromMachineId: machineId });
+  };
+
+  // Solta sobre um cartão (posição dele na fila) ou no espaço livre da coluna (fim da fila)
+  const handleDrop = async (e, machineId, position = null) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setDropTarget(null);
+    if (!dragging) return;
+
+    const { order, fromMachineId } = dragging;
+    setDragging(null);
+    const toMachineId = machineId === UNASSIGNED ? null : machineId;
+    if (!fromMachineId && !toMachineId) return;
+
+    try {
+      await productionOrderService.move(order.id, { fromMachineId, toMachineId, position });
+      loadBoard();
+    } catch (error) {
+      console.error('Erro ao reprogramar ordem:', error);
+      toast.error(error.response?.data?.message || 'Erro ao reprogramar ordem');
+    }
+  };
+
+  const handleCancel = async (order) => {
+    if (!window.confirm(`Cancelar a ordem ${order.orderNumber}?`)) return;
+    try {
+      await productionOrderService.setStatus(order.id, 'CANCELLED');
+      toast.success('Ordem cancelada');
+      loadBoard();
+    } catch (error) {
+      console.error('Erro ao cancelar ordem:', error);
+      toast.error(error.response?.data?.message || 'Erro ao cancelar ordem');
+    }
+  };
+
+  const toggleMachine = (machineId) => {
+    setForm(prev => ({
+      ...prev,
+      machineIds: prev.machineIds.includes(machineId)
+        ? prev.machineIds.filter(id => id !== machineId)
+        : [...prev.machineIds, machineId]
+    }));
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    const plannedQuantity = parseInt(form.plannedQuantity);
+    if (!form.orderNumber.trim() || !form.product.trim() || !plannedQuantity || plannedQuantity <= 0) {
+      toast.error('Informe número, produto e quantidade planejada');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const response = await productionOrderService.create({
+        orderNumber: form.orderNumber.trim(),
+        product: form.product.trim(),
+        lot: form.lot.trim() || null,
+        plannedQuantity,
+        dueDate: form.dueDate || null,
+        notes: form.notes.trim() || null,
+        machineIds: form.machineIds
+      });
+      toast.success(response.message || 'Ordem criada');
+      setForm(emptyForm);
+      setShowForm(false);
+      loadBoard();
+    } catch (error) {
+      console.error('Erro ao criar ordem de produção:', error);
+      toast.error(error.response?.data?.message || 'Erro ao criar ordem de produção');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const columns = [
+    { id: UNASSIGNED, name: 'Sem máquina', queue: board.unassigned, currentOrderId: null },
+    ...board.machines
+  ];
+
+  return (
+    <>
+      <Helmet>
+        <title>Ordens de Produção - Sistema ZARA</title>
+        <meta name="description" content="Ordens de produção e programação das máquinas" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Ordens de Produção</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Arraste as ordens entre as máquinas para definir a fila; a ordem é concluída ao atingir o planejado
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={() => setShowForm(prev => !prev)}
+              className="inline-flex items-center px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 transition-colors"
+            >
+              <PlusIcon className="h-4 w-4 mr-2" />
+              Nova Ordem
+            </button>
+            <button
+              onClick={loadBoard}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+            >
+              <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+              Atualizar
+            </button>
+          </div>
+        </div>
+
+        {showForm && (
+          <form onSubmit={handleCreate} className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 space-y-4">
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+              <input placeholder="Número da ordem" value={form.orderNumber} onChange={(e) => setForm(prev => ({ ...prev, orderNumber: e.target.value }))} className={inputClassName} />
+              <input placeholder="Produto" value={form.product} onChange={(e) => setForm(prev => ({ ...prev, product: e.target.value }))} className={inputClassName} />
+              <input placeholder="Lote (opcional)" value={form.lot} onChange={(e) => setForm(prev => ({ ...prev, lot: e.target.value }))} className={inputClassName} />
+              <input type="number" min="1" step="1" placeholder="Quantidade planejada" value={form.plannedQuantity} onChange={(e) => setForm(prev => ({ ...prev, plannedQuantity: e.target.value }))} className={inputClassName} />
+              <input type="date" value={form.dueDate} onChange={(e) => setForm(prev => ({ ...prev, dueDate: e.target.value }))} className={inputClassName} />
+              <input placeholder="Observações (opcional)" value={form.notes} onChange={(e) => setForm(prev => ({ ...prev, notes: e.target.value }))} className={inputClassName} />
+            </div>
+            <div>
+              <div className="text-sm font-medium text-gray-700 dark:text-gray-300 mb-2">Máquinas do roteiro</div>
+              <div className="flex flex-wrap gap-2">
+                {board.machines.map(machine => (
+                  <button
+                    key={machine.id}
+                    type="button"
+                    onClick={() => toggleMachine(machine.id)}
+                    className={cn(
+                      'px-3 py-1.5 text-sm rounded-md border transition-colors',
+                      form.machineIds.includes(machine.id)
+                        ? 'bg-blue-600 border-blue-600 text-white'
+                        : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700'
+                    )}
+                  >
+                    {machine.name}
+                  </button>
+                ))}
+              </div>
+            </div>
+            <div className="flex justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => {
+                  setShowForm(false);
+                  setForm(emptyForm);
+                }}
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700"
+              >
+                Cancelar
+              </button>
+              <button
+                type="submit"
+                disabled={saving}
+                className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                {saving ? 'Salvando...' : 'Criar Ordem'}
+              </button>
+            </div>
+          </form>
+        )}
+
+        <div className="flex gap-4 overflow-x-auto pb-4">
+          {columns.map(column => (
+            <div
+              key={column.id}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setDropTarget(column.id);
+              }}
+              onDragLeave={() => setDropTarget(prev => (prev === column.id ? null : prev))}
+              onDrop={(e) => handleDrop(e, column.id)}
+              className={cn(
+                'flex-shrink-0 w-72 rounded-lg border p-3 space-y-3 min-h-[12rem] transition-colors',
+                dropTarget === column.id
+                  ? 'border-blue-400 bg-blue-50 dark:bg-blue-900/10'
+                  : 'border-gray-200 dark:border-gray-700 bg-gray-50 dark:bg-gray-900/40'
+              )}
+            >
+              <div className="flex items-center justify-between">
+                <h3 className="text-sm font-semibold text-gray-900 dark:text-white">{column.name}</h3>
+                <span className="text-xs text-gray-500 dark:text-gray-400">{column.queue.length}</span>
+              </div>
+              {column.queue.length === 0 && (
+                <p className="text-xs text-gray-400 dark:text-gray-500 text-center py-6">Nenhuma ordem</p>
+              )}
+              {column.queue.map((order, index) => (
+                <OrderCard
+                  key={order.id}
+                  order={order}
+                  running={column.currentOrderId === order.id}
+                  onDragStart={(e, item) => handleDragStart(e, item, column.id === UNASSIGNED ? null : column.id)}
+                  onDrop={(e) => handleDrop(e, column.id, column.id === UNASSIGNED ? null : index)}
+                  onCancel={handleCancel}
+                />
+              ))}
+            </div>
+          ))}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ProductionOrders;
@@ -3,6 +3,7 @@ import { useAuth } from '../hooks/useAuth';
 import { toast } from 'react-toastify';
 import { FiSettings, FiPlus, FiEdit2, FiTrash2, FiSave, FiX, FiCheck, FiAlertTriangle } from 'react-icons/fi';
 import api from '../services/api';
+import FirstArticleRules from '../components/FirstArticleRules';
 
 const QualityConfig = () => {
   const { user } = useAuth();
@@ -418,6 +419,11 @@ const QualityConfig = () => {
             )}
           </div>
         </div>
+
+        {/* Inspeção da primeira peça */}
+        <div className="mt-8">
+          <FirstArticleRules machines={machines} />
+        </div>
       </div>
     </div>
   );
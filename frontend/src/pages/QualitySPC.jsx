@@ -0,0 +1,422 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  Chart as ChartJS,
+  CategoryScale,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Title,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Line } from 'react-chartjs-2';
+import {
+  ArrowLeftIcon,
+  ArrowPathIcon,
+  ExclamationTriangleIcon,
+  CheckCircleIcon
+} from '@heroicons/react/24/outline';
+
+import { machineService } from '../services/api';
+import spcService from '../services/spc';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+import { ROUTES } from '../config/routes';
+
+ChartJS.register(
+  CategoryScale,
+  LinearScale,
+  LineElement,
+  PointElement,
+  Title,
+  Tooltip,
+  Legend
+);
+
+const DIMENSIONS = [
+  { value: 'packageWidth', label: 'Largura da Embalagem' },
+  { value: 'bottomSize', label: 'Tamanho do Fundo' },
+  { value: 'sideSize', label: 'Tamanho Lateral' },
+  { value: 'zipperDistance', label: 'Distância do Zíper' },
+  { value: 'facilitatorDistance', label: 'Distância do Facilitador' }
+];
+
+const CHART_TYPES = [
+  { value: 'individuals', label: 'Individuais (I-MR)' },
+  { value: 'xbar-r', label: 'X-barra / R' }
+];
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+// Linha horizontal de referência (limite de controle ou de especificação)
+const referenceLine = (label, value, length, color, dashed = true) => ({
+  label,
+  data: Array(length).fill(value),
+  borderColor: color,
+  borderWidth: 1.5,
+  borderDash: dashed ? [6, 4] : [],
+  pointRadius: 0,
+  pointHoverRadius: 0,
+  fill: false
+});
+
+// Classificação usual de capacidade: >= 1,33 capaz, >= 1 marginal
+const capabilityColor = (value) => {
+  if (value === null || value === undefined) return 'text-gray-400';
+  if (value >= 1.33) return 'text-green-600 dark:text-green-400';
+  if (value >= 1) return 'text-yellow-600 dark:text-yellow-400';
+  return 'text-red-600 dark:text-red-400';
+};
+
+const formatIndex = (value) => (value === null || value === undefined ? '-' : value.toFixed(2));
+
+const QualitySPC = () => {
+  const { socket } = useSocket();
+  const [machines, setMachines] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [filters, setFilters] = useState({
+    machineId: '',
+    product: '',
+    dimension: 'packageWidth',
+    chartType: 'individuals',
+    subgroupSize: 5
+  });
+  const [analysis, setAnalysis] = useState(null);
+  const [summary, setSummary] = useState([]);
+  const [loading, setLoading] = useState(false);
+
+  const updateFilter = (field, value) => setFilters(prev => ({ ...prev, [field]: value }));
+
+  useEffect(() => {
+    machineService.getAll()
+      .then(response => {
+        const list = response.data?.data || [];
+        setMachines(list);
+        if (list.length > 0) {
+          updateFilter('machineId', String(list[0].id));
+        }
+      })
+      .catch(error => console.error('Erro ao carregar máquinas:', error));
+  }, []);
+
+  // Produtos testados na máquina selecionada
+  useEffect(() => {
+    if (!filters.machineId) return;
+
+    spcService.getProducts(filters.machineId)
+      .then(response => {
+        const list = response.data || [];
+        setProducts(list);
+        setFilters(prev => ({ ...prev, product: list[0]?.product || '' }));
+      })
+      .catch(error => console.error('Erro ao carregar produtos:', error));
+  }, [filters.machineId]);
+
+  const loadAnalysis = useCallback(async () => {
+    if (!filters.machineId || !filters.product) {
+      setAnalysis(null);
+      setSummary([]);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const [chartResponse, summaryResponse] = await Promise.all([
+        spcService.getChart(filters),
+        spcService.getSummary({ machineId: filters.machineId, product: filters.product })
+      ]);
+      setAnalysis(chartResponse.data);
+      setSummary(summaryResponse.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar carta de controle:', error);
+      toast.error(error.response?.data?.message || 'Erro ao carregar carta de controle');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadAnalysis();
+  }, [loadAnalysis]);
+
+  // Atualizar a carta quando um novo teste gerar violação na máquina/produto exibidos
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleViolation = (event) => {
+      if (String(event.machineId) !== String(filters.machineId) || event.product !== filters.product) return;
+
+      const labels = event.alerts
+        .map(alert => DIMENSIONS.find(dimension => dimension.value === alert.dimension)?.label || alert.dimension)
+        .join(', ');
+      toast.error(`CEP: processo fora de controle (${labels})`);
+      loadAnalysis();
+    };
+
+    socket.on('spc:violation', handleViolation);
+    return () => socket.off('spc:violation', handleViolation);
+  }, [socket, filters.machineId, filters.product, loadAnalysis]);
+
+  const chart = analysis?.chart;
+  const points = chart?.points || [];
+  const violationIndexes = new Set((analysis?.violations || []).map(violation => violation.index));
+  const labels = chart?.type === 'xbar-r'
+    ? points.map((_, index) => `Sub ${index + 1}`)
+    : (analysis?.measurements || []).map(measurement => `Cx ${measurement.boxNumber || measurement.testId}`);
+
+  const mainChartData = {
+    labels,
+    datasets: [
+      {
+        label: chart?.type === 'xbar-r' ? 'Média do subgrupo' : 'Medição',
+        data: points,
+        borderColor: 'rgb(59, 130, 246)',
+        backgroundColor: points.map((_, index) => (violationIndexes.has(index) ? 'rgb(220, 38, 38)' : 'rgb(59, 130, 246)')),
+        pointRadius: points.map((_, index) => (violationIndexes.has(index) ? 6 : 3)),
+        borderWidth: 2,
+        tension: 0
+      },
+      referenceLine('LC', chart?.center, points.length, 'rgb(34, 197, 94)', false),
+      referenceLine('LSC', chart?.ucl, points.length, 'rgb(249, 115, 22)'),
+      referenceLine('LIC', chart?.lcl, points.length, 'rgb(249, 115, 22)'),
+      ...(analysis?.specification ? [
+        referenceLine('LSE', analysis.specification.max, points.length, 'rgb(220, 38, 38)'),
+        referenceLine('LIE', analysis.specification.min, points.length, 'rgb(220, 38, 38)')
+      ] : [])
+    ]
+  };
+
+  const dispersion = chart?.type === 'xbar-r' ? chart?.range : chart?.movingRange;
+  const dispersionData = {
+    labels,
+    datasets: [
+      {
+        label: chart?.type === 'xbar-r' ? 'Amplitude (R)' : 'Amplitude móvel (MR)',
+        data: dispersion?.points || [],
+        borderColor: 'rgb(139, 92, 246)',
+        backgroundColor: 'rgb(139, 92, 246)',
+        pointRadius: 3,
+        borderWidth: 2,
+        tension: 0
+      },
+      referenceLine('R-barra', dispersion?.center, points.length, 'rgb(34, 197, 94)', false),
+      referenceLine('LSC', dispersion?.ucl, points.length, 'rgb(249, 115, 22)')
+    ]
+  };
+
+  const chartOptions = {
+    responsive: true,
+    maintainAspectRatio: false,
+    animation: false,
+    plugins: {
+      legend: { position: 'bottom', labels: { boxWidth: 12 } }
+    }
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Cartas de Controle (CEP) - Sistema ZARA</title>
+        <meta name="description" content="Controle estatístico de processo das medições de qualidade" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Cartas de Controle (CEP)</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Limites de controle, capacidade e regras de Western Electric/Nelson sobre as medições dos testes
+            </p>
+          </div>
+          <div className="flex gap-2">
+            <button
+              onClick={loadAnalysis}
+              disabled={loading}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+            >
+              <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+              Atualizar
+            </button>
+            <Link
+              to={ROUTES.QUALITY}
+              className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+            >
+              <ArrowLeftIcon className="h-4 w-4 mr-2" />
+              Testes
+            </Link>
+          </div>
+        </div>
+
+        {/* Filtros */}
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 grid grid-cols-1 md:grid-cols-5 gap-4">
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Máquina</label>
+            <select value={filters.machineId} onChange={(e) => updateFilter('machineId', e.target.value)} className={inputClassName}>
+              {machines.map(machine => (
+                <option key={machine.id} value={machine.id}>{machine.name}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Produto</label>
+            <select value={filters.product} onChange={(e) => updateFilter('product', e.target.value)} className={inputClassName}>
+              {products.length === 0 && <option value="">Sem testes</option>}
+              {products.map(item => (
+                <option key={item.product} value={item.product}>{item.product} ({item.tests})</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Dimensão</label>
+            <select value={filters.dimension} onChange={(e) => updateFilter('dimension', e.target.value)} className={inputClassName}>
+              {DIMENSIONS.map(dimension => (
+                <option key={dimension.value} value={dimension.value}>{dimension.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Tipo de carta</label>
+            <select value={filters.chartType} onChange={(e) => updateFilter('chartType', e.target.value)} className={inputClassName}>
+              {CHART_TYPES.map(type => (
+                <option key={type.value} value={type.value}>{type.label}</option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-xs font-medium text-gray-500 dark:text-gray-400 mb-1">Tamanho do subgrupo</label>
+            <input
+              type="number"
+              min={2}
+              max={10}
+              value={filters.subgroupSize}
+              disabled={filters.chartType !== 'xbar-r'}
+              onChange={(e) => updateFilter('subgroupSize', Math.min(10, Math.max(2, parseInt(e.target.value) || 2)))}
+              className={cn(inputClassName, 'disabled:opacity-50')}
+            />
+          </div>
+        </div>
+
+        {!analysis || points.length === 0 ? (
+          <div className="bg-white dark:bg-gray-800 p-8 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 text-center text-sm text-gray-500 dark:text-gray-400">
+            {loading ? 'Carregando carta de controle...' : 'Sem medições suficientes para montar a carta.'}
+          </div>
+        ) : (
+          <>
+            {/* Capacidade da dimensão selecionada */}
+            <div className="grid grid-cols-2 md:grid-cols-6 gap-4">
+              {[
+                { label: 'Amostras', value: analysis.measurements.length, className: 'text-gray-900 dark:text-white' },
+                { label: 'Média', value: chart.center, className: 'text-gray-900 dark:text-white' },
+                { label: 'Cp', value: formatIndex(analysis.capability?.cp), className: capabilityColor(analysis.capability?.cp) },
+                { label: 'Cpk', value: formatIndex(analysis.capability?.cpk), className: capabilityColor(analysis.capability?.cpk) },
+                { label: 'Ppk', value: formatIndex(analysis.capability?.ppk), className: capabilityColor(analysis.capability?.ppk) },
+                { label: 'Fora de especificação', value: analysis.capability ? analysis.capability.outOfSpec : '-', className: analysis.capability?.outOfSpec > 0 ? 'text-red-600 dark:text-red-400' : 'text-gray-900 dark:text-white' }
+              ].map(card => (
+                <div key={card.label} className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+                  <p className="text-xs text-gray-500 dark:text-gray-400">{card.label}</p>
+                  <p className={cn('text-xl font-semibold', card.className)}>{card.value}</p>
+                </div>
+              ))}
+            </div>
+
+            {!analysis.specification && (
+              <p className="text-sm text-yellow-700 dark:text-yellow-400">
+                Produto sem especificação cadastrada para esta dimensão: Cp/Cpk não podem ser calculados.
+              </p>
+            )}
+
+            <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <h2 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+                {analysis.label} - {chart.type === 'xbar-r' ? `X-barra (n=${chart.subgroupSize})` : 'Individuais'}
+              </h2>
+              <div className="h-80">
+                <Line data={mainChartData} options={chartOptions} />
+              </div>
+            </div>
+
+            <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <h2 className="text-sm font-semibold text-gray-900 dark:text-white mb-2">
+                {chart.type === 'xbar-r' ? 'Carta R' : 'Carta de amplitude móvel'}
+              </h2>
+              <div className="h-48">
+                <Line data={dispersionData} options={chartOptions} />
+              </div>
+            </div>
+
+            {/* Violações das regras */}
+            <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700">
+              <h2 className="text-sm font-semibold text-gray-900 dark:text-white mb-3">Violações de regras</h2>
+              {analysis.violations.length === 0 ? (
+                <p className="flex items-center text-sm text-green-600 dark:text-green-400">
+                  <CheckCircleIcon className="h-4 w-4 mr-2" />
+                  Processo sob controle estatístico
+                </p>
+              ) : (
+                <ul className="divide-y divide-gray-200 dark:divide-gray-700">
+                  {analysis.violations.map(violation => {
+                    const measurement = chart.type === 'individuals' ? analysis.measurements[violation.index] : null;
+                    return (
+                      <li key={`${violation.rule}-${violation.index}`} className="py-2 flex items-start text-sm">
+                        <ExclamationTriangleIcon className={cn('h-4 w-4 mr-2 mt-0.5', violation.rule === 1 ? 'text-red-500' : 'text-yellow-500')} />
+                        <span className="text-gray-700 dark:text-gray-300">
+                          <strong>{labels[violation.index]}</strong> - Regra {violation.rule}: {violation.description}
+                          {measurement && (
+                            <span className="text-gray-500 dark:text-gray-400"> ({formatDateTime(measurement.createdAt)})</span>
+                          )}
+                        </span>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          </>
+        )}
+
+        {/* Resumo de todas as dimensões */}
+        {summary.length > 0 && (
+          <div className="bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Dimensão', 'Amostras', 'Média', 'Cp', 'Cpk', 'Violações', 'Situação'].map(header => (
+                    <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {summary.map(item => (
+                  <tr
+                    key={item.dimension}
+                    onClick={() => updateFilter('dimension', item.dimension)}
+                    className={cn('cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700', item.dimension === filters.dimension && 'bg-blue-50 dark:bg-blue-900/20')}
+                  >
+                    <td className="px-4 py-2 text-gray-900 dark:text-white">{item.label}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{item.samples}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{item.mean ?? '-'}</td>
+                    <td className={cn('px-4 py-2 font-medium', capabilityColor(item.capability?.cp))}>{formatIndex(item.capability?.cp)}</td>
+                    <td className={cn('px-4 py-2 font-medium', capabilityColor(item.capability?.cpk))}>{formatIndex(item.capability?.cpk)}</td>
+                    <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{item.violations}</td>
+                    <td className="px-4 py-2">
+                      <span className={cn(
+                        'px-2 py-0.5 rounded-full text-xs font-medium',
+                        item.inControl ? 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400' : 'bg-red-100 text-red-800 dark:bg-red-900/20 dark:text-red-400'
+                      )}>
+                        {item.inControl ? 'Sob controle' : 'Fora de controle'}
+                      </span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default QualitySPC;
@@ -2,8 +2,19 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import { CheckCircle, XCircle, AlertTriangle, Save, ArrowLeft } from 'lucide-react';
 import { qualityTestService, machineService } from '../services/api';
+import productSpecificationService from '../services/productSpecifications';
+import MeasurementInput from '../components/ui/MeasurementInput';
 import toast from 'react-hot-toast';
 
+// Campo do MeasurementInput => campo do formulário
+const measurementFields = {
+  packageWidth: 'package_width',
+  bottomSize: 'bottom_size',
+  sideSize: 'side_size',
+  zipperDistance: 'zipper_distance',
+  facilitatorDistance: 'facilitator_distance'
+};
+
 const QualityTest = () => {
   const { machineId } = useParams();
   const navigate = useNavigate();
@@ -30,6 +41,7 @@ const QualityTest = () => {
     observations: '',
     approved: null
   });
+  const [specification, setSpecification] = useState(null);
 
   const qualityChecks = [
     { key: 'visual_inspection', label: 'Inspeção Visual' },
@@ -41,8 +53,46 @@ const QualityTest = () => {
 
   useEffect(() => {
     loadMachine();
+    loadMachineSpecification();
   }, [machineId]);
 
+  // Reavaliar a especificação quando produto/lote mudarem
+  useEffect(() => {
+    if (!testData.product.trim()) return;
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await productSpecificationService.resolve({
+          product: testData.product.trim(),
+          lot: testData.lot.trim() || undefined
+        });
+        setSpecification(response.data.specification);
+      } catch (error) {
+        console.error('Erro ao buscar especificação do produto:', error);
+      }
+    }, 400);
+
+    return () => clearTimeout(timeout);
+  }, [testData.product, testData.lot]);
+
+  // Produto/lote configurados na máquina preenchem o formulário
+  const loadMachineSpecification = async () => {
+    try {
+      const response = await productSpecificationService.resolve({ machineId });
+      const { product, lot, specification: machineSpecification } = response.data;
+      if (product) {
+        setTestData(prev => ({
+          ...prev,
+          product: prev.product || product,
+          lot: prev.lot || lot || ''
+        }));
+      }
+      setSpecification(machineSpecification);
+    } catch (error) {
+      console.error('Erro ao buscar especificação da máquina:', error);
+    }
+  };
+
   const loadMachine = async () => {
     try {
       const response = await machineService.getById(machineId);
@@ -115,7 +165,13 @@ const QualityTest = () => {
       const response = await qualityTestService.create(submitData);
       
       if (response.data) {
-        toast.success(`Teste ${approved ? 'aprovado' : 'reprovado'} com sucesso!`);
+        // Com especificação cadastrada o servidor calcula a aprovação dimensional
+        const savedApproved = response.data.data?.approved ?? approved;
+        if (approved && !savedApproved) {
+          toast.error('Teste reprovado: medições fora da tolerância');
+        } else {
+          toast.success(`Teste ${savedApproved ? 'aprovado' : 'reprovado'} com sucesso!`);
+        }
         navigate('/dashboard');
       }
     } catch (error) {
@@ -249,68 +305,23 @@ const QualityTest = () => {
                 Medições e Testes
               </h3>
               
-              <div className="grid grid-cols-2 gap-4">
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Largura da Embalagem (mm)
-                  </label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={testData.package_width}
-                    onChange={(e) => handleInputChange('package_width', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Tamanho do Fundo (mm)
-                  </label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={testData.bottom_size}
-                    onChange={(e) => handleInputChange('bottom_size', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Tamanho Lateral (mm)
-                  </label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={testData.side_size}
-                    onChange={(e) => handleInputChange('side_size', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Distância do Zíper (mm)
-                  </label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={testData.zipper_distance}
-                    onChange={(e) => handleInputChange('zipper_distance', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-                <div>
-                  <label className="block text-sm font-medium text-gray-700 mb-1">
-                    Distância do Facilitador (mm)
-                  </label>
-                  <input
-                    type="number"
-                    step="0.01"
-                    value={testData.facilitator_distance}
-                    onChange={(e) => handleInputChange('facilitator_distance', e.target.value)}
-                    className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-                  />
-                </div>
-              </div>
+              {specification ? (
+                <p className="text-xs text-gray-500">
+                  Especificação: {specification.product}{specification.lot ? ` / lote ${specification.lot}` : ''} — a aprovação dimensional é calculada automaticamente
+                </p>
+              ) : (
+                <p className="text-xs text-amber-600">
+                  Produto sem especificação cadastrada
+                </p>
+              )}
+
+              <MeasurementInput
+                measurements={Object.fromEntries(
+                  Object.entries(measurementFields).map(([key, field]) => [key, testData[field]])
+                )}
+                onMeasurementChange={(key, value) => handleInputChange(measurementFields[key], value)}
+                specifications={specification?.limits || {}}
+              />
 
               {/* Testes Realizados */}
               <div className="space-y-3">
@@ -449,7 +449,14 @@ const QualityTests = () => {
           {/* Header Actions */}
           <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between">
             <div></div>
-            <div className="mt-4 sm:mt-0">
+            <div className="mt-4 sm:mt-0 flex gap-2">
+              <Link
+                to={ROUTES.QUALITY_SPC}
+                className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md shadow-sm text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 transition-colors"
+              >
+                <ChartBarIcon className="h-4 w-4 mr-2" />
+                Cartas CEP
+              </Link>
               <Link
                 to={ROUTES.QUALITY_NEW}
                 className="inline-flex items-center px-4 py-2 border border-transparent text-sm font-medium rounded-md shadow-sm text-white bg-blue-600 hover:bg-blue-700 dark:bg-blue-500 dark:hover:bg-blue-600 transition-colors"
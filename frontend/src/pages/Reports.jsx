@@ -1,6 +1,7 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
 import {
   ChartBarIcon,
   DocumentChartBarIcon,
@@ -20,14 +21,16 @@ import {
   XCircleIcon,
   UserGroupIcon,
   BuildingOfficeIcon,
-  Cog6ToothIcon
+  Cog6ToothIcon,
+  ArchiveBoxXMarkIcon,
+  ArrowsRightLeftIcon,
+  MegaphoneIcon
 } from '@heroicons/react/24/outline';
 
 // Hooks
 import { useAuth } from '../hooks/useAuth';
 import { useMachinePermissions } from '../hooks/useMachinePermissions';
 import { useSocket } from '../hooks/useSocket';
-import { useRealTimeProduction } from '../hooks/useRealTimeProduction';
 import useMachineStatus from '../hooks/useMachineStatus';
 
 // Utilitários
@@ -37,6 +40,16 @@ import { cn, formatDateTime, formatNumber, formatCurrency } from '../lib/utils';
 import DataAnalysisPopup from '../components/popups/DataAnalysisPopup';
 import ReportsPopup from '../components/popups/ReportsPopup';
 
+// Componentes
+import DowntimeParetoReport from '../components/DowntimeParetoReport';
+import ScrapReport from '../components/ScrapReport';
+import ChangeoverReport from '../components/ChangeoverReport';
+import AndonReport from '../components/AndonReport';
+import ReportSubscriptions from '../components/ReportSubscriptions';
+
+// Serviços
+import reportService from '../services/reports';
+
 const Reports = () => {
   const [selectedReport, setSelectedReport] = useState('production');
   const [dateRange, setDateRange] = useState('MONTH'); // TODAY, WEEK, MONTH, QUARTER, YEAR
@@ -219,6 +232,10 @@ const Reports = () => {
             avgDowntime: maintenanceData.data.avgDowntime || 0,
             maintenanceCost: maintenanceData.data.maintenanceCost || 0,
             plannedVsUnplanned: maintenanceData.data.plannedVsUnplanned || { planned: 0, unplanned: 0 },
+            mtbf: maintenanceData.data.mtbf ?? null,
+            mttr: maintenanceData.data.mttr ?? null,
+            availability: maintenanceData.data.availability ?? null,
+            failures: maintenanceData.data.failures || 0,
             maintenanceByMachine: maintenanceData.data.maintenanceByMachine || [],
             downtimeTrend: maintenanceData.data.downtimeTrend || []
           },
@@ -290,6 +307,10 @@ const Reports = () => {
       corrective: 0,
       avgDowntime: 0,
       maintenanceCost: 0,
+      mtbf: null,
+      mttr: null,
+      availability: null,
+      failures: 0,
       plannedVsUnplanned: {
         planned: 0,
         unplanned: 0
@@ -411,6 +432,12 @@ const Reports = () => {
     return start.toISOString();
   };
 
+  // Período fixo por filtro para não refazer as análises de paradas e refugo a cada renderização
+  const downtimePeriod = useMemo(() => ({
+    startDate: getDateRangeStart(dateRange),
+    endDate: new Date().toISOString()
+  }), [dateRange]);
+
   // Função para carregar todos os dados dos relatórios
   const loadReportsData = async () => {
     setLoading(true);
@@ -505,6 +532,30 @@ const Reports = () => {
       icon: Cog6ToothIcon,
       description: 'Manutenções preventivas, corretivas e custos'
     },
+    {
+      id: 'downtime',
+      name: 'Paradas',
+      icon: ClockIcon,
+      description: 'Pareto de paradas e seis grandes perdas'
+    },
+    {
+      id: 'scrap',
+      name: 'Refugo',
+      icon: ArchiveBoxXMarkIcon,
+      description: 'Refugo e retrabalho por motivo e máquina'
+    },
+    {
+      id: 'changeovers',
+      name: 'Trocas (SMED)',
+      icon: ArrowsRightLeftIcon,
+      description: 'Tempos de setup por par de produtos e etapa'
+    },
+    {
+      id: 'andon',
+      name: 'Andon',
+      icon: MegaphoneIcon,
+      description: 'Tempos de resposta dos chamados de ajuda'
+    },
     {
       id: 'operators',
       name: 'Operadores',
@@ -543,9 +594,51 @@ const Reports = () => {
     fetchOperators();
   }, []);
   
-  const handleExport = (format) => {
-    console.log(`Exportar relatório em ${format}`);
-    // Implementar exportação
+  // Endpoint exportável correspondente a cada aba de relatório
+  const exportableReports = {
+    production: {
+      endpoint: 'oee-summary',
+      params: () => ({ machineIds: selectedMachine === 'ALL' ? 'all' : selectedMachine })
+    },
+    quality: {
+      endpoint: 'quality-metrics',
+      params: () => ({ machineId: selectedMachine === 'ALL' ? 'all' : selectedMachine })
+    },
+    maintenance: {
+      endpoint: 'teflon-changes',
+      params: () => ({})
+    },
+    operators: {
+      endpoint: 'operator-productivity',
+      params: () => (selectedOperator !== 'ALL' ? { userId: selectedOperator } : {})
+    }
+  };
+
+  const [exporting, setExporting] = useState(false);
+
+  const handleExport = async (format) => {
+    if (!format) return;
+
+    const report = exportableReports[selectedReport];
+    if (!report) {
+      toast.error('Exportação não disponível para este relatório');
+      return;
+    }
+
+    try {
+      setExporting(true);
+      const filename = await reportService.exportReport(report.endpoint, format, {
+        startDate: getDateRangeStart(dateRange),
+        endDate: new Date().toISOString(),
+        ...report.params()
+      });
+      toast.success(`Relatório exportado: ${filename}`);
+    } catch (error) {
+      console.error('Erro ao exportar relatório:', error);
+      toast.error('Erro ao exportar relatório');
+    } finally {
+      setExporting(false);
+    }
   };
   
   const handlePrint = () => {
@@ -984,13 +1077,30 @@ const Reports = () => {
               </div>
             </div>
             
-            <div className="flex items-center justify-center">
+            {/* MTBF/MTTR calculados a partir das paradas classificadas como falha */}
+            <div className="grid grid-cols-3 gap-4 items-center">
+              <div className="text-center">
+                <div className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+                  {data.mtbf !== null ? `${data.mtbf}h` : '-'}
+                </div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">
+                  MTBF
+                </div>
+              </div>
+              <div className="text-center">
+                <div className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
+                  {data.mttr !== null ? `${data.mttr}h` : '-'}
+                </div>
+                <div className="text-sm text-gray-500 dark:text-gray-400">
+                  MTTR
+                </div>
+              </div>
               <div className="text-center">
                 <div className="text-3xl font-bold text-gray-900 dark:text-white mb-2">
-                  {data.avgDowntime}h
+                  {data.availability !== null ? `${data.availability}%` : '-'}
                 </div>
                 <div className="text-sm text-gray-500 dark:text-gray-400">
-                  Tempo médio de parada
+                  Disponibilidade ({data.failures} falhas)
                 </div>
               </div>
             </div>
@@ -1018,6 +1128,12 @@ const Reports = () => {
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                     Custo
                   </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    MTBF
+                  </th>
+                  <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
+                    MTTR
+                  </th>
                   <th className="px-6 py-3 text-left text-xs font-medium text-gray-500 dark:text-gray-400 uppercase tracking-wider">
                     Status
                   </th>
@@ -1025,7 +1141,8 @@ const Reports = () => {
               </thead>
               <tbody className="bg-white dark:bg-gray-800 divide-y divide-gray-200 dark:divide-gray-700">
                 {data.maintenanceByMachine.map((machine, index) => {
-                  const ratio = machine.preventive / (machine.preventive + machine.corrective);
+                  const totalOrders = machine.preventive + machine.corrective;
+                  const ratio = totalOrders > 0 ? machine.preventive / totalOrders : 0;
                   
                   return (
                     <tr key={index}>
@@ -1041,6 +1158,12 @@ const Reports = () => {
                       <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
                         {formatCurrency(machine.cost)}
                       </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {machine.mtbfHours !== null && machine.mtbfHours !== undefined ? `${machine.mtbfHours}h` : '-'}
+                      </td>
+                      <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500 dark:text-gray-400">
+                        {machine.mttrHours !== null && machine.mttrHours !== undefined ? `${machine.mttrHours}h` : '-'}
+                      </td>
                       <td className="px-6 py-4 whitespace-nowrap">
                         <span className={cn(
                           'inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium',
@@ -1219,6 +1342,38 @@ const Reports = () => {
         return <MaintenanceReport />;
       case 'operators':
         return <OperatorsReport />;
+      case 'downtime':
+        return (
+          <DowntimeParetoReport
+            startDate={downtimePeriod.startDate}
+            endDate={downtimePeriod.endDate}
+            machineId={selectedMachine}
+          />
+        );
+      case 'scrap':
+        return (
+          <ScrapReport
+            startDate={downtimePeriod.startDate}
+            endDate={downtimePeriod.endDate}
+            machineId={selectedMachine}
+          />
+        );
+      case 'changeovers':
+        return (
+          <ChangeoverReport
+            startDate={downtimePeriod.startDate}
+            endDate={downtimePeriod.endDate}
+            machineId={selectedMachine}
+          />
+        );
+      case 'andon':
+        return (
+          <AndonReport
+            startDate={downtimePeriod.startDate}
+            endDate={downtimePeriod.endDate}
+            machineId={selectedMachine}
+          />
+        );
       default:
         return <ProductionReport />;
     }
@@ -1267,12 +1422,14 @@ const Reports = () => {
             
             <div className="relative">
               <select
+                value=""
                 onChange={(e) => handleExport(e.target.value)}
+                disabled={exporting}
                 className="appearance-none bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 py-2 px-4 pr-8 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
               >
-                <option value="">Exportar</option>
+                <option value="">{exporting ? 'Exportando...' : 'Exportar'}</option>
                 <option value="pdf">PDF</option>
-                <option value="excel">Excel</option>
+                <option value="xlsx">Excel</option>
                 <option value="csv">CSV</option>
               </select>
               <ArrowDownTrayIcon className="absolute right-2 top-1/2 transform -translate-y-1/2 h-4 w-4 text-gray-400 pointer-events-none" />
@@ -1370,7 +1527,7 @@ const Reports = () => {
         </div>
         
         {/* Seletor de Relatórios */}
-        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-5 gap-4">
           {reportTypes.map((report) => {
             const Icon = report.icon;
             const isSelected = selectedReport === report.id;
@@ -1444,6 +1601,11 @@ const Reports = () => {
             )}
           </motion.div>
         </AnimatePresence>
+
+        {/* Assinaturas de relatório por email */}
+        {(user?.role === 'ADMIN' || user?.role === 'MANAGER') && (
+          <ReportSubscriptions machines={machines} />
+        )}
       </div>
       
       {/* Popups */}
@@ -27,7 +27,8 @@ import {
   ServerIcon,
   WifiIcon,
   SignalIcon,
-  SpeakerWaveIcon
+  SpeakerWaveIcon,
+  LinkIcon
 } from '@heroicons/react/24/outline';
 
 // Hooks
@@ -38,6 +39,10 @@ import soundService from '../services/soundService';
 
 // Components
 import SoundSettings from '../components/settings/SoundSettings';
+import WallboardSettings from '../components/settings/WallboardSettings';
+import OnCallSettings from '../components/settings/OnCallSettings';
+import NotificationDeliverySettings from '../components/settings/NotificationDeliverySettings';
+import WebhookSettings from '../components/settings/WebhookSettings';
 
 // Utilitários
 import { cn, formatDateTime } from '../lib/utils';
@@ -170,6 +175,27 @@ const Settings = () => {
       description: 'Senha, autenticação e privacidade',
       roles: ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN']
     },
+    {
+      id: 'on-call',
+      name: 'Plantão',
+      icon: PhoneIcon,
+      description: 'Equipes em turno e plantão de manutenção',
+      roles: ['LEADER', 'MANAGER', 'ADMIN']
+    },
+    {
+      id: 'wallboards',
+      name: 'Painéis de TV',
+      icon: ComputerDesktopIcon,
+      description: 'Telas somente leitura do chão de fábrica',
+      roles: ['MANAGER', 'ADMIN']
+    },
+    {
+      id: 'webhooks',
+      name: 'Webhooks',
+      icon: LinkIcon,
+      description: 'Eventos enviados ao ERP, BI e outros sistemas',
+      roles: ['ADMIN']
+    },
     {
       id: 'system',
       name: 'Sistema',
@@ -544,6 +570,8 @@ const Settings = () => {
           {loading ? 'Salvando...' : 'Salvar Configurações'}
         </button>
       </div>
+
+      <NotificationDeliverySettings />
     </div>
   );
   
@@ -1007,6 +1035,12 @@ const Settings = () => {
         return <AppearanceTab />;
       case 'security':
         return <SecurityTab />;
+      case 'on-call':
+        return <OnCallSettings />;
+      case 'wallboards':
+        return <WallboardSettings />;
+      case 'webhooks':
+        return <WebhookSettings />;
       case 'system':
         return <SystemTab />;
       default:
@@ -123,7 +123,7 @@ const ShiftManagement3x3 = () => {
       <div className="mb-6">
         <h1 className="text-3xl font-bold text-gray-800">Gerenciamento de Turnos 3x3</h1>
         <p className="text-gray-600 mt-2">
-          Sistema de rotação com 4 escalas: 3 dias trabalhando, 3 dias de folga
+          Sistema de rotação com 4 equipes: 3 dias trabalhando, 3 dias de folga
         </p>
       </div>
 
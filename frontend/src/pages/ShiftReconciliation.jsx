@@ -0,0 +1,375 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import toast from 'react-hot-toast';
+import {
+  ArrowPathIcon,
+  LockClosedIcon
+} from '@heroicons/react/24/outline';
+
+import shiftReconciliationService from '../services/shiftReconciliations';
+import { machineService } from '../services/api';
+import { useAuth } from '../hooks/useAuth';
+import { useSocket } from '../hooks/useSocket';
+import { cn, formatDateTime } from '../lib/utils';
+
+const statusLabels = {
+  PENDING: 'Aguardando contagem',
+  FLAGGED: 'Divergente',
+  RECONCILED: 'Reconciliado'
+};
+
+const statusColors = {
+  PENDING: 'bg-gray-100 text-gray-800 dark:bg-gray-700 dark:text-gray-300',
+  FLAGGED: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/20 dark:text-yellow-400',
+  RECONCILED: 'bg-green-100 text-green-800 dark:bg-green-900/20 dark:text-green-400'
+};
+
+const shiftLabels = {
+  MORNING: 'Dia',
+  NIGHT: 'Noite'
+};
+
+const resolutionLabels = {
+  AUTO: 'Dentro do limite',
+  JUSTIFIED: 'Justificado',
+  CORRECTED: 'Corrigido'
+};
+
+const inputClassName = 'w-full px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-md text-sm bg-white dark:bg-gray-700 text-gray-900 dark:text-white focus:ring-2 focus:ring-blue-500 focus:border-transparent';
+
+const formatQuantity = (value) => (value === null || value === undefined ? '-' : Number(value).toLocaleString('pt-BR'));
+
+const StatusBadge = ({ status }) => (
+  <span className={cn('inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium', statusColors[status])}>
+    {statusLabels[status] || status}
+  </span>
+);
+
+const ShiftReconciliation = () => {
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [shifts, setShifts] = useState([]);
+  const [machines, setMachines] = useState([]);
+  const [filters, setFilters] = useState({ status: '', machineId: '' });
+  const [loading, setLoading] = useState(true);
+  const [selected, setSelected] = useState(null);
+  const [countForm, setCountForm] = useState({ countedQuantity: '', notes: '' });
+  const [resolveForm, setResolveForm] = useState({ action: 'JUSTIFY', justification: '', correctedQuantity: '' });
+  const [saving, setSaving] = useState(false);
+
+  const isLeader = ['LEADER', 'MANAGER', 'ADMIN'].includes(user?.role);
+  const isManager = ['MANAGER', 'ADMIN'].includes(user?.role);
+
+  const loadShifts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (filters.status) params.status = filters.status;
+      if (filters.machineId) params.machineId = filters.machineId;
+      const response = await shiftReconciliationService.getAll(params);
+      setShifts(response.data || []);
+    } catch (error) {
+      console.error('Erro ao carregar turnos:', error);
+      toast.error('Erro ao carregar turnos');
+    } finally {
+      setLoading(false);
+    }
+  }, [filters]);
+
+  useEffect(() => {
+    loadShifts();
+  }, [loadShifts]);
+
+  useEffect(() => {
+    machineService.getAll()
+      .then(response => setMachines(response.data?.data || []))
+      .catch(error => console.error('Erro ao carregar máquinas:', error));
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+
+    const handleUpdated = () => loadShifts();
+    socket.on('shift:reconciliation-updated', handleUpdated);
+    return () => socket.off('shift:reconciliation-updated', handleUpdated);
+  }, [socket, loadShifts]);
+
+  const selectShift = async (shift) => {
+    setCountForm({ countedQuantity: '', notes: '' });
+    setResolveForm({ action: 'JUSTIFY', justification: '', correctedQuantity: '' });
+
+    if (!shift.id) {
+      setSelected(shift);
+      return;
+    }
+    try {
+      const response = await shiftReconciliationService.getById(shift.id);
+      setSelected({ ...shift, ...response.data });
+    } catch (error) {
+      console.error('Erro ao carregar reconciliação:', error);
+      toast.error('Erro ao carregar reconciliação');
+    }
+  };
+
+  const runAction = async (action, successMessage) => {
+    setSaving(true);
+    try {
+      const response = await action();
+      toast.success(response.message || successMessage);
+      setSelected(prev => ({ ...prev, ...response.data }));
+      loadShifts();
+    } catch (error) {
+      console.error('Erro na reconciliação do turno:', error);
+      toast.error(error.response?.data?.message || 'Erro na reconciliação do turno');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCount = (e) => {
+    e.preventDefault();
+    if (countForm.countedQuantity === '') {
+      toast.error('Informe a quantidade contada');
+      return;
+    }
+    runAction(() => shiftReconciliationService.submitCount({
+      machineId: selected.machineId,
+      shiftDate: selected.shiftDate,
+      shiftType: selected.shiftType,
+      countedQuantity: parseInt(countForm.countedQuantity),
+      notes: countForm.notes.trim() || null
+    }), 'Contagem registrada');
+  };
+
+  const handleResolve = (e) => {
+    e.preventDefault();
+    if (!resolveForm.justification.trim()) {
+      toast.error('Informe a justificativa');
+      return;
+    }
+    runAction(() => shiftReconciliationService.resolve(selected.id, {
+      action: resolveForm.action,
+      justification: resolveForm.justification.trim(),
+      correctedQuantity: resolveForm.action === 'CORRECT' ? parseInt(resolveForm.correctedQuantity) : undefined
+    }), 'Turno reconciliado');
+  };
+
+  const handleReopen = () => {
+    const reason = window.prompt('Motivo da reabertura do turno');
+    if (!reason || !reason.trim()) return;
+    runAction(() => shiftReconciliationService.reopen(selected.id, reason.trim()), 'Turno reaberto');
+  };
+
+  return (
+    <>
+      <Helmet>
+        <title>Reconciliação de Turnos - Sistema ZARA</title>
+        <meta name="description" content="Produção contada versus produção teórica por turno" />
+      </Helmet>
+
+      <div className="space-y-6">
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+          <div>
+            <h1 className="text-2xl font-bold text-gray-900 dark:text-white">Reconciliação de Turnos</h1>
+            <p className="text-sm text-gray-500 dark:text-gray-400">
+              Diferenças acima do limite precisam de justificativa ou correção do líder; turnos reconciliados ficam travados
+            </p>
+          </div>
+          <button
+            onClick={loadShifts}
+            disabled={loading}
+            className="inline-flex items-center px-4 py-2 border border-gray-300 dark:border-gray-600 text-sm font-medium rounded-md text-gray-700 dark:text-gray-200 bg-white dark:bg-gray-800 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50 transition-colors"
+          >
+            <ArrowPathIcon className={cn('h-4 w-4 mr-2', loading && 'animate-spin')} />
+            Atualizar
+          </button>
+        </div>
+
+        <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <select value={filters.status} onChange={(e) => setFilters(prev => ({ ...prev, status: e.target.value }))} className={inputClassName}>
+            <option value="">Todos os status</option>
+            {Object.entries(statusLabels).map(([value, label]) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+          <select value={filters.machineId} onChange={(e) => setFilters(prev => ({ ...prev, machineId: e.target.value }))} className={inputClassName}>
+            <option value="">Todas as máquinas</option>
+            {machines.map(machine => (
+              <option key={machine.id} value={machine.id}>{machine.name}</option>
+            ))}
+          </select>
+        </div>
+
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+          <div className="lg:col-span-2 bg-white dark:bg-gray-800 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 overflow-x-auto">
+            <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700 text-sm">
+              <thead className="bg-gray-50 dark:bg-gray-700">
+                <tr>
+                  {['Turno', 'Máquina', 'Teórico', 'Contado', 'Diferença', 'Status'].map(header => (
+                    <th key={header} className="px-4 py-2 text-left text-xs font-medium text-gray-500 dark:text-gray-300 uppercase">{header}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-200 dark:divide-gray-700">
+                {shifts.length === 0 && (
+                  <tr>
+                    <td colSpan={6} className="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                      {loading ? 'Carregando...' : 'Nenhum turno encontrado'}
+                    </td>
+                  </tr>
+                )}
+                {shifts.map(shift => {
+                  const key = `${shift.machineId}-${shift.shiftDate}-${shift.shiftType}`;
+                  const isSelected = selected && `${selected.machineId}-${selected.shiftDate}-${selected.shiftType}` === key;
+                  return (
+                    <tr
+                      key={key}
+                      onClick={() => selectShift(shift)}
+                      className={cn('cursor-pointer hover:bg-gray-50 dark:hover:bg-gray-700', isSelected && 'bg-blue-50 dark:bg-blue-900/20')}
+                    >
+                      <td className="px-4 py-2 whitespace-nowrap text-gray-900 dark:text-white">
+                        {shift.shiftDate.split('-').reverse().join('/')} · {shiftLabels[shift.shiftType] || shift.shiftType}
+                      </td>
+                      <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{shift.machineName}</td>
+                      <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatQuantity(shift.theoreticalQuantity)}</td>
+                      <td className="px-4 py-2 text-gray-700 dark:text-gray-300">{formatQuantity(shift.countedQuantity)}</td>
+                      <td className={cn('px-4 py-2', shift.status === 'FLAGGED' ? 'text-yellow-700 dark:text-yellow-400 font-medium' : 'text-gray-700 dark:text-gray-300')}>
+                        {shift.variancePercent === null ? '-' : `${shift.variancePercent > 0 ? '+' : ''}${shift.variancePercent}%`}
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="flex items-center gap-1">
+                          <StatusBadge status={shift.status} />
+                          {shift.isLocked && <LockClosedIcon className="h-4 w-4 text-gray-400" title="Turno travado" />}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="bg-white dark:bg-gray-800 p-4 rounded-lg shadow-sm border border-gray-200 dark:border-gray-700 space-y-4">
+            {!selected ? (
+              <p className="text-sm text-gray-500 dark:text-gray-400">Selecione um turno para contar ou reconciliar</p>
+            ) : (
+              <>
+                <div className="flex items-center justify-between">
+                  <h2 className="text-lg font-semibold text-gray-900 dark:text-white">{selected.machineName}</h2>
+                  <StatusBadge status={selected.status} />
+                </div>
+
+                <dl className="grid grid-cols-2 gap-2 text-sm">
+                  <dt className="text-gray-500 dark:text-gray-400">Teórico (BPM)</dt>
+                  <dd className="text-gray-900 dark:text-white">{formatQuantity(selected.theoreticalQuantity)}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Contador da máquina</dt>
+                  <dd className="text-gray-900 dark:text-white">{formatQuantity(selected.measuredQuantity)}</dd>
+                  <dt className="text-gray-500 dark:text-gray-400">Contado</dt>
+                  <dd className="text-gray-900 dark:text-white">{formatQuantity(selected.countedQuantity)}</dd>
+                  {selected.thresholdPercent !== null && selected.thresholdPercent !== undefined && (
+                    <>
+                      <dt className="text-gray-500 dark:text-gray-400">Limite</dt>
+                      <dd className="text-gray-900 dark:text-white">{selected.thresholdPercent}%</dd>
+                    </>
+                  )}
+                  {selected.reconciledQuantity !== null && selected.reconciledQuantity !== undefined && (
+                    <>
+                      <dt className="text-gray-500 dark:text-gray-400">Quantidade aceita</dt>
+                      <dd className="text-gray-900 dark:text-white font-medium">{formatQuantity(selected.reconciledQuantity)}</dd>
+                    </>
+                  )}
+                </dl>
+
+                {selected.status === 'RECONCILED' && (
+                  <div className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+                    <p>{resolutionLabels[selected.resolution]}{selected.reconciledBy ? ` por ${selected.reconciledBy.name}` : ''}{selected.reconciledAt ? ` em ${formatDateTime(selected.reconciledAt)}` : ''}</p>
+                    {selected.justification && <p className="italic">"{selected.justification}"</p>}
+                    {isManager && (
+                      <button
+                        onClick={handleReopen}
+                        disabled={saving}
+                        className="mt-2 px-3 py-1.5 text-sm font-medium rounded-md border border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-200 hover:bg-gray-50 dark:hover:bg-gray-700 disabled:opacity-50"
+                      >
+                        Reabrir turno
+                      </button>
+                    )}
+                  </div>
+                )}
+
+                {selected.status !== 'RECONCILED' && (
+                  <form onSubmit={handleCount} className="space-y-3">
+                    <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">
+                      {selected.status === 'FLAGGED' ? 'Recontar' : 'Quantidade contada'}
+                    </h3>
+                    <input
+                      type="number"
+                      min="0"
+                      placeholder="Quantidade contada"
+                      value={countForm.countedQuantity}
+                      onChange={(e) => setCountForm(prev => ({ ...prev, countedQuantity: e.target.value }))}
+                      className={inputClassName}
+                    />
+                    <input
+                      type="text"
+                      placeholder="Observações"
+                      value={countForm.notes}
+                      onChange={(e) => setCountForm(prev => ({ ...prev, notes: e.target.value }))}
+                      className={inputClassName}
+                    />
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 text-sm font-medium rounded-md text-white bg-blue-600 hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                    >
+                      Registrar contagem
+                    </button>
+                  </form>
+                )}
+
+                {selected.status === 'FLAGGED' && isLeader && (
+                  <form onSubmit={handleResolve} className="space-y-3 border-t border-gray-200 dark:border-gray-700 pt-4">
+                    <h3 className="text-sm font-medium text-gray-700 dark:text-gray-300">Resolução do líder</h3>
+                    <select
+                      value={resolveForm.action}
+                      onChange={(e) => setResolveForm(prev => ({ ...prev, action: e.target.value }))}
+                      className={inputClassName}
+                    >
+                      <option value="JUSTIFY">Justificar e aceitar a contagem</option>
+                      <option value="CORRECT">Corrigir a quantidade</option>
+                    </select>
+                    {resolveForm.action === 'CORRECT' && (
+                      <input
+                        type="number"
+                        min="0"
+                        placeholder="Quantidade corrigida"
+                        value={resolveForm.correctedQuantity}
+                        onChange={(e) => setResolveForm(prev => ({ ...prev, correctedQuantity: e.target.value }))}
+                        className={inputClassName}
+                      />
+                    )}
+                    <textarea
+                      rows={3}
+                      placeholder="Justificativa (obrigatória)"
+                      value={resolveForm.justification}
+                      onChange={(e) => setResolveForm(prev => ({ ...prev, justification: e.target.value }))}
+                      className={inputClassName}
+                    />
+                    <button
+                      type="submit"
+                      disabled={saving}
+                      className="px-4 py-2 text-sm font-medium rounded-md text-white bg-green-600 hover:bg-green-700 disabled:opacity-50 transition-colors"
+                    >
+                      Reconciliar e travar turno
+                    </button>
+                  </form>
+                )}
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ShiftReconciliation;
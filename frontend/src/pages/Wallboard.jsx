@@ -0,0 +1,408 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Helmet } from 'react-helmet-async';
+import { useParams } from 'react-router-dom';
+import { io } from 'socket.io-client';
+import {
+  CpuChipIcon,
+  ChartBarIcon,
+  ExclamationTriangleIcon,
+  BeakerIcon,
+  MegaphoneIcon,
+  SignalSlashIcon
+} from '@heroicons/react/24/outline';
+
+import wallboardService from '../services/wallboard';
+import { getSocketUrl } from '../hooks/useSocket';
+import { ANDON_CATEGORY_STYLES, ANDON_STATUS_LABELS } from '../components/AndonCallPanel';
+import { cn, formatNumber, formatTime } from '../lib/utils';
+
+// A fotografia completa é recarregada periodicamente; os sockets mantêm status e produção ao vivo
+const SNAPSHOT_REFRESH_MS = 60000;
+
+const PANELS = [
+  { id: 'machines', label: 'Máquinas', icon: CpuChipIcon },
+  { id: 'shift', label: 'Turno', icon: ChartBarIcon },
+  { id: 'attention', label: 'Atenção', icon: ExclamationTriangleIcon }
+];
+
+const STATUS_STYLES = {
+  FUNCIONANDO: { label: 'Funcionando', card: 'bg-green-600', dot: 'bg-green-300' },
+  RUNNING: { label: 'Funcionando', card: 'bg-green-600', dot: 'bg-green-300' },
+  PARADA: { label: 'Parada', card: 'bg-red-600', dot: 'bg-red-300' },
+  STOPPED: { label: 'Parada', card: 'bg-red-600', dot: 'bg-red-300' },
+  MANUTENCAO: { label: 'Manutenção', card: 'bg-yellow-500', dot: 'bg-yellow-200' },
+  MAINTENANCE: { label: 'Manutenção', card: 'bg-yellow-500', dot: 'bg-yellow-200' },
+  ERROR: { label: 'Erro', card: 'bg-red-700', dot: 'bg-red-300' },
+  FORA_DE_TURNO: { label: 'Fora de Turno', card: 'bg-gray-600', dot: 'bg-gray-300' },
+  OFF_SHIFT: { label: 'Fora de Turno', card: 'bg-gray-600', dot: 'bg-gray-300' }
+};
+
+const SHIFT_LABELS = { MORNING: 'Turno da manhã', NIGHT: 'Turno da noite' };
+
+const PRIORITY_STYLES = {
+  critical: 'border-red-500 bg-red-900/40',
+  warning: 'border-yellow-500 bg-yellow-900/30',
+  info: 'border-blue-500 bg-blue-900/30'
+};
+
+const oeeColor = (value) => {
+  if (value >= 85) return 'text-green-400';
+  if (value >= 60) return 'text-yellow-400';
+  return 'text-red-400';
+};
+
+const formatPercent = (value) => (value === null || value === undefined ? '—' : `${formatNumber(value)}%`);
+
+/**
+ * Status e OEE de cada máquina do painel
+ */
+const MachinesPanel = ({ machines }) => (
+  <div className="grid grid-cols-2 lg:grid-cols-3 xl:grid-cols-4 gap-6">
+    {machines.map(machine => {
+      const style = STATUS_STYLES[machine.status] || { label: machine.status || 'Desconhecido', card: 'bg-gray-700', dot: 'bg-gray-400' };
+      return (
+        <div key={machine.id} className="rounded-xl bg-gray-800 overflow-hidden">
+          <div className={cn('px-6 py-4 flex items-center justify-between', style.card)}>
+            <span className="text-3xl font-bold truncate">{machine.name}</span>
+            <span className="flex items-center text-xl font-medium">
+              <span className={cn('h-4 w-4 rounded-full mr-2', style.dot)} />
+              {style.label}
+            </span>
+          </div>
+          <div className="px-6 py-4">
+            <div className="flex items-baseline justify-between">
+              <span className="text-xl text-gray-400">OEE</span>
+              <span className={cn('text-6xl font-bold', oeeColor(machine.oee?.oee || 0))}>
+                {formatPercent(machine.oee?.oee)}
+              </span>
+            </div>
+            <div className="grid grid-cols-3 gap-2 mt-3 text-center text-lg text-gray-300">
+              <div>D {formatPercent(machine.oee?.availability)}</div>
+              <div>P {formatPercent(machine.oee?.performance)}</div>
+              <div>Q {formatPercent(machine.oee?.quality)}</div>
+            </div>
+            <div className="mt-3 text-lg text-gray-400 truncate">{machine.operatorName || 'Sem operador'}</div>
+          </div>
+        </div>
+      );
+    })}
+  </div>
+);
+
+/**
+ * Produção do turno contra a meta esperada até agora
+ */
+const ShiftPanel = ({ shift }) => (
+  <div className="space-y-8">
+    <div className="rounded-xl bg-gray-800 p-8">
+      <div className="flex items-end justify-between">
+        <div>
+          <div className="text-2xl text-gray-400">
+            {SHIFT_LABELS[shift.shiftType] || shift.shiftType} · {formatTime(shift.startTime)} às {formatTime(shift.endTime)}
+          </div>
+          <div className="text-7xl font-bold mt-2">
+            {formatNumber(shift.totals.produced)}
+            <span className="text-4xl text-gray-400"> / {formatNumber(shift.totals.target)}</span>
+          </div>
+        </div>
+        <div className="text-right">
+          <div className="text-2xl text-gray-400">Esperado agora</div>
+          <div className={cn('text-5xl font-bold', shift.totals.onPace === false ? 'text-red-400' : 'text-green-400')}>
+            {formatNumber(shift.totals.expected)}
+          </div>
+        </div>
+      </div>
+      <ProgressBar produced={shift.totals.produced} target={shift.totals.target} elapsedPercent={shift.elapsedPercent} large />
+    </div>
+
+    <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+      {shift.machines.map(row => (
+        <div key={row.machineId} className="rounded-xl bg-gray-800 px-6 py-4">
+          <div className="flex items-baseline justify-between text-2xl">
+            <span className="font-semibold">{row.machineName}</span>
+            <span className={cn('font-bold', row.onPace === false ? 'text-red-400' : 'text-green-400')}>
+              {formatNumber(row.produced)} / {row.target > 0 ? formatNumber(row.target) : '—'}
+            </span>
+          </div>
+          <ProgressBar produced={row.produced} target={row.target} elapsedPercent={shift.elapsedPercent} />
+        </div>
+      ))}
+    </div>
+  </div>
+);
+
+// Barra de produção com a marca do tempo decorrido do turno
+const ProgressBar = ({ produced, target, elapsedPercent, large = false }) => {
+  const percent = target > 0 ? Math.min(100, (produced / target) * 100) : 0;
+  const behind = target > 0 && percent < elapsedPercent;
+  return (
+    <div className={cn('relative w-full bg-gray-700 rounded-full mt-4', large ? 'h-8' : 'h-4')}>
+      <div
+        className={cn('h-full rounded-full transition-all duration-700', behind ? 'bg-red-500' : 'bg-green-500')}
+        style={{ width: `${percent}%` }}
+      />
+      <div className="absolute top-0 h-full w-1 bg-white/80" style={{ left: `${Math.min(100, elapsedPercent)}%` }} />
+    </div>
+  );
+};
+
+/**
+ * Alertas abertos, testes de qualidade pendentes e chamados de andon
+ */
+const AttentionPanel = ({ alerts, pendingQualityTests, andonCalls, now }) => (
+  <div className="grid grid-cols-1 xl:grid-cols-3 gap-6">
+    <section className="rounded-xl bg-gray-800 p-6">
+      <h2 className="flex items-center text-3xl font-bold mb-4">
+        <ExclamationTriangleIcon className="h-8 w-8 mr-3 text-red-400" />
+        Alertas ({alerts.length})
+      </h2>
+      <div className="space-y-3">
+        {alerts.length === 0 && <p className="text-xl text-gray-400">Nenhum alerta aberto</p>}
+        {alerts.slice(0, 8).map(alert => (
+          <div key={alert.id} className={cn('border-l-4 rounded-md px-4 py-3', PRIORITY_STYLES[alert.priority] || PRIORITY_STYLES.info)}>
+            <div className="text-xl font-semibold">{alert.machineName}</div>
+            <div className="text-lg text-gray-200">{alert.title || alert.message}</div>
+          </div>
+        ))}
+      </div>
+    </section>
+
+    <section className="rounded-xl bg-gray-800 p-6">
+      <h2 className="flex items-center text-3xl font-bold mb-4">
+        <BeakerIcon className="h-8 w-8 mr-3 text-purple-400" />
+        Testes pendentes ({pendingQualityTests.length})
+      </h2>
+      <div className="space-y-3">
+        {pendingQualityTests.length === 0 && <p className="text-xl text-gray-400">Nenhum teste pendente</p>}
+        {pendingQualityTests.slice(0, 8).map((test, index) => (
+          <div
+            key={`${test.type}-${test.configId || test.requestId}-${index}`}
+            className={cn('border-l-4 rounded-md px-4 py-3', test.overdue ? 'border-red-500 bg-red-900/40' : 'border-purple-500 bg-purple-900/30')}
+          >
+            <div className="text-xl font-semibold">{test.machineName} · {test.description || 'Teste de qualidade'}</div>
+            <div className="text-lg text-gray-200">{test.reason}</div>
+          </div>
+        ))}
+      </div>
+    </section>
+
+    <section className="rounded-xl bg-gray-800 p-6">
+      <h2 className="flex items-center text-3xl font-bold mb-4">
+        <MegaphoneIcon className="h-8 w-8 mr-3 text-orange-400" />
+        Andon ({andonCalls.length})
+      </h2>
+      <div className="space-y-3">
+        {andonCalls.length === 0 && <p className="text-xl text-gray-400">Nenhum chamado em aberto</p>}
+        {andonCalls.slice(0, 8).map(call => {
+          const style = ANDON_CATEGORY_STYLES[call.category] || ANDON_CATEGORY_STYLES.LEADER;
+          const waiting = Math.max(0, Math.floor((now - new Date(call.raisedAt).getTime()) / 60000));
+          return (
+            <div key={call.id} className={cn('border-l-4 rounded-md px-4 py-3 bg-gray-900/60 flex justify-between', style.border)}>
+              <div>
+                <div className="text-xl font-semibold">{call.machineName}</div>
+                <div className="text-lg text-gray-200">{call.categoryLabel} · {ANDON_STATUS_LABELS[call.status]}</div>
+              </div>
+              <div className={cn('text-3xl font-bold', waiting >= 10 ? 'text-red-400' : 'text-white')}>{waiting} min</div>
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  </div>
+);
+
+/**
+ * Painel de TV do chão de fábrica (somente leitura, sem login).
+ * O token de quiosque vem da URL; as telas giram sozinhas no intervalo configurado no painel.
+ */
+const Wallboard = () => {
+  const { token } = useParams();
+  const [snapshot, setSnapshot] = useState(null);
+  const [error, setError] = useState(null);
+  const [panelIndex, setPanelIndex] = useState(0);
+  const [isConnected, setIsConnected] = useState(false);
+  const [now, setNow] = useState(Date.now());
+
+  const loadSnapshot = useCallback(async () => {
+    try {
+      const response = await wallboardService.getSnapshot(token);
+      setSnapshot(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Erro ao carregar painel de TV:', err);
+      setError(err.response?.status === 401
+        ? 'Painel revogado ou endereço inválido'
+        : 'Sem comunicação com o servidor');
+    }
+  }, [token]);
+
+  useEffect(() => {
+    loadSnapshot();
+    const timer = setInterval(loadSnapshot, SNAPSHOT_REFRESH_MS);
+    return () => clearInterval(timer);
+  }, [loadSnapshot]);
+
+  // Relógio e tempo de espera dos chamados
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 15000);
+    return () => clearInterval(timer);
+  }, []);
+
+  // Rotação das telas
+  const rotateSeconds = snapshot?.wallboard?.rotateSeconds || 20;
+  useEffect(() => {
+    const timer = setInterval(() => setPanelIndex(index => (index + 1) % PANELS.length), rotateSeconds * 1000);
+    return () => clearInterval(timer);
+  }, [rotateSeconds]);
+
+  // Conexão própria de socket com o token de quiosque (somente leitura)
+  useEffect(() => {
+    const socket = io(getSocketUrl(), {
+      auth: { kioskToken: token },
+      transports: ['websocket', 'polling'],
+      reconnection: true,
+      reconnectionDelay: 5000
+    });
+
+    const updateMachine = (machineId, changes) => {
+      setSnapshot(prev => prev && ({
+        ...prev,
+        machines: prev.machines.map(machine => (
+          String(machine.id) === String(machineId) ? { ...machine, ...changes } : machine
+        ))
+      }));
+    };
+
+    // Produção do ciclo: status da máquina e incremento no progresso do turno
+    const handleProductionUpdate = (data) => {
+      if (!data?.machineId) return;
+      if (data.status) {
+        updateMachine(data.machineId, { status: data.status });
+      }
+      const increment = Number(data.increment) || 0;
+      if (increment <= 0) return;
+
+      setSnapshot(prev => {
+        if (!prev || !prev.shift.machines.some(row => String(row.machineId) === String(data.machineId))) return prev;
+        const machines = prev.shift.machines.map(row => {
+          if (String(row.machineId) !== String(data.machineId)) return row;
+          const produced = Math.floor(row.produced + increment);
+          return { ...row, produced, onPace: row.target > 0 ? produced >= row.expected : null };
+        });
+        const produced = machines.reduce((sum, row) => sum + row.produced, 0);
+        return {
+          ...prev,
+          shift: {
+            ...prev.shift,
+            machines,
+            totals: { ...prev.shift.totals, produced, onPace: prev.shift.totals.target > 0 ? produced >= prev.shift.totals.expected : null }
+          }
+        };
+      });
+    };
+
+    const handleStatusChanged = (data) => {
+      if (data?.machineId && data.status) {
+        updateMachine(data.machineId, { status: data.status });
+      }
+    };
+
+    socket.on('connect', () => setIsConnected(true));
+    socket.on('disconnect', () => setIsConnected(false));
+    socket.on('connect_error', (err) => {
+      console.error('Erro de conexão do painel de TV:', err.message);
+      setIsConnected(false);
+    });
+    socket.on('production:update', handleProductionUpdate);
+    socket.on('machine:status:changed', handleStatusChanged);
+    // Chamados e inspeções mudam a tela de atenção: buscar a fotografia de novo
+    socket.on('andon:updated', loadSnapshot);
+    socket.on('fai:updated', loadSnapshot);
+
+    return () => {
+      socket.removeAllListeners();
+      socket.disconnect();
+    };
+  }, [token, loadSnapshot]);
+
+  if (!snapshot) {
+    return (
+      <div className="min-h-screen bg-gray-900 text-white flex items-center justify-center">
+        {error ? (
+          <div className="text-center">
+            <SignalSlashIcon className="h-20 w-20 mx-auto text-red-400 mb-4" />
+            <p className="text-4xl font-bold">{error}</p>
+          </div>
+        ) : (
+          <div className="animate-spin rounded-full h-16 w-16 border-b-4 border-blue-500" />
+        )}
+      </div>
+    );
+  }
+
+  const panel = PANELS[panelIndex];
+  const attentionCount = snapshot.alerts.length + snapshot.pendingQualityTests.length + snapshot.andonCalls.length;
+
+  return (
+    <>
+      <Helmet>
+        <title>{snapshot.wallboard.name} - Painel - ZARA</title>
+      </Helmet>
+
+      <div className="min-h-screen bg-gray-900 text-white p-8 flex flex-col">
+        <div className="flex items-center justify-between mb-8">
+          <div>
+            <h1 className="text-4xl font-bold">{snapshot.wallboard.name}</h1>
+            <p className="text-xl text-gray-400">{panel.label}</p>
+          </div>
+          <div className="flex items-center space-x-8">
+            {error && <span className="text-xl text-red-400">{error}</span>}
+            <span className={cn('flex items-center text-xl', isConnected ? 'text-green-400' : 'text-gray-500')}>
+              <span className={cn('h-3 w-3 rounded-full mr-2', isConnected ? 'bg-green-400' : 'bg-gray-500')} />
+              {isConnected ? 'Ao vivo' : 'Reconectando'}
+            </span>
+            <span className="text-5xl font-bold tabular-nums">{formatTime(now)}</span>
+          </div>
+        </div>
+
+        <div className="flex-1">
+          {panel.id === 'machines' && <MachinesPanel machines={snapshot.machines} />}
+          {panel.id === 'shift' && <ShiftPanel shift={snapshot.shift} />}
+          {panel.id === 'attention' && (
+            <AttentionPanel
+              alerts={snapshot.alerts}
+              pendingQualityTests={snapshot.pendingQualityTests}
+              andonCalls={snapshot.andonCalls}
+              now={now}
+            />
+          )}
+        </div>
+
+        {/* Indicador da rotação */}
+        <div className="flex justify-center space-x-6 mt-8">
+          {PANELS.map((item, index) => {
+            const Icon = item.icon;
+            return (
+              <button
+                key={item.id}
+                onClick={() => setPanelIndex(index)}
+                className={cn(
+                  'flex items-center px-4 py-2 rounded-full text-lg transition-colors',
+                  index === panelIndex ? 'bg-white text-gray-900' : 'bg-gray-800 text-gray-400'
+                )}
+              >
+                <Icon className="h-6 w-6 mr-2" />
+                {item.label}
+                {item.id === 'attention' && attentionCount > 0 && (
+                  <span className="ml-2 px-2 rounded-full bg-red-600 text-white text-sm">{attentionCount}</span>
+                )}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default Wallboard;
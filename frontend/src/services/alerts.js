@@ -0,0 +1,48 @@
+import api from './api';
+
+const alertsService = {
+  // { machine_id, type, priority, status, limit, offset }
+  async getAlerts(params = {}) {
+    const response = await api.get('/alerts', { params });
+    return response.data;
+  },
+
+  async acknowledge(id, notes) {
+    const response = await api.post(`/alerts/${id}/acknowledge`, { notes });
+    return response.data;
+  },
+
+  async resolve(id, notes) {
+    const response = await api.post(`/alerts/${id}/resolve`, { notes });
+    return response.data;
+  },
+
+  // Criação, escalonamentos, reenvios, reconhecimento e resolução
+  async getTimeline(id) {
+    const response = await api.get(`/alerts/${id}/timeline`);
+    return response.data;
+  },
+
+  async getEscalationPolicies() {
+    const response = await api.get('/alerts/escalation-policies');
+    return response.data;
+  },
+
+  // { name, description, alertTypes, minPriority, ackTimeoutMinutes, escalationRoles, maxRepeats, isActive }
+  async createEscalationPolicy(data) {
+    const response = await api.post('/alerts/escalation-policies', data);
+    return response.data;
+  },
+
+  async updateEscalationPolicy(id, data) {
+    const response = await api.put(`/alerts/escalation-policies/${id}`, data);
+    return response.data;
+  },
+
+  async deleteEscalationPolicy(id) {
+    const response = await api.delete(`/alerts/escalation-policies/${id}`);
+    return response.data;
+  }
+};
+
+export default alertsService;
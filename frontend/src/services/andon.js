@@ -0,0 +1,42 @@
+import api from './api';
+
+const andonService = {
+  // Categorias com os perfis responsáveis e se o usuário atual pode atender
+  async getCategories() {
+    const response = await api.get('/andon/categories');
+    return response.data;
+  },
+
+  // { status: 'ACTIVE' | status, machineId, category, limit }
+  async getCalls(params = {}) {
+    const response = await api.get('/andon/calls', { params });
+    return response.data;
+  },
+
+  async raise(machineId, category, notes = null) {
+    const response = await api.post(`/andon/machines/${machineId}/calls`, { category, notes });
+    return response.data;
+  },
+
+  async acknowledge(id) {
+    const response = await api.post(`/andon/calls/${id}/acknowledge`);
+    return response.data;
+  },
+
+  async arrive(id) {
+    const response = await api.post(`/andon/calls/${id}/arrive`);
+    return response.data;
+  },
+
+  async resolve(id, resolution = null) {
+    const response = await api.post(`/andon/calls/${id}/resolve`, { resolution });
+    return response.data;
+  },
+
+  async cancel(id) {
+    const response = await api.post(`/andon/calls/${id}/cancel`);
+    return response.data;
+  }
+};
+
+export default andonService;
@@ -214,6 +214,13 @@ export const notificationService = {
   delete: (id) => api.delete(`/notifications/${id}`),
   deleteAll: () => api.delete('/notifications'),
   getUnreadCount: () => api.get('/notifications/unread-count'),
+  // Horário de silêncio e modo de resumo (IMMEDIATE, HOURLY, DAILY)
+  getPreferences: () => api.get('/notifications/preferences'),
+  updatePreferences: (data) => api.put('/notifications/preferences', data),
+  // Envios pelos canais externos (admin): provedores, recibos e reenvio
+  getChannels: () => api.get('/notifications/channels'),
+  getDeliveries: (params = {}) => api.get('/notifications/deliveries', { params }),
+  retryDelivery: (id) => api.post(`/notifications/deliveries/${id}/retry`),
 };
 
 // Serviços de relatórios
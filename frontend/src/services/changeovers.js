@@ -0,0 +1,52 @@
+import api from './api';
+
+const changeoverService = {
+  async getAll(params = {}) {
+    const response = await api.get('/changeovers', { params });
+    return response.data;
+  },
+
+  async getById(id) {
+    const response = await api.get(`/changeovers/${id}`);
+    return response.data;
+  },
+
+  // Troca em andamento na máquina (data: null quando não há)
+  async getOpenForMachine(machineId) {
+    const response = await api.get(`/changeovers/machine/${machineId}/open`);
+    return response.data;
+  },
+
+  async getChecklistItems(params = {}) {
+    const response = await api.get('/changeovers/checklist-items', { params });
+    return response.data;
+  },
+
+  // { machineId, toProduct, toLot, productionOrderId, notes }
+  async start(data) {
+    const response = await api.post('/changeovers', data);
+    return response.data;
+  },
+
+  async setStep(id, stepId, completed) {
+    const response = await api.put(`/changeovers/${id}/steps/${stepId}`, { completed });
+    return response.data;
+  },
+
+  async recordFirstArticle(id, qualityTestId) {
+    const response = await api.post(`/changeovers/${id}/first-article`, { qualityTestId });
+    return response.data;
+  },
+
+  async release(id) {
+    const response = await api.post(`/changeovers/${id}/release`);
+    return response.data;
+  },
+
+  async cancel(id, reason) {
+    const response = await api.post(`/changeovers/${id}/cancel`, { reason });
+    return response.data;
+  }
+};
+
+export default changeoverService;
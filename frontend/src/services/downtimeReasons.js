@@ -0,0 +1,46 @@
+import api from './api';
+
+const downtimeReasonService = {
+  // Listar catálogo de motivos de parada (árvore categoria > motivos)
+  async getReasons(params = {}) {
+    const response = await api.get('/downtime-reasons', { params });
+    return response.data;
+  },
+
+  // Motivos aplicáveis a um status de parada (PARADA ou MANUTENCAO)
+  async getReasonsForStatus(status) {
+    return this.getReasons({ status });
+  },
+
+  // Criar motivo ou categoria
+  async createReason(reasonData) {
+    const response = await api.post('/downtime-reasons', reasonData);
+    return response.data;
+  },
+
+  // Atualizar motivo existente
+  async updateReason(id, reasonData) {
+    const response = await api.put(`/downtime-reasons/${id}`, reasonData);
+    return response.data;
+  },
+
+  // Desativar motivo
+  async deleteReason(id) {
+    const response = await api.delete(`/downtime-reasons/${id}`);
+    return response.data;
+  },
+
+  // Listar paradas sem motivo classificado
+  async getUnclassifiedStops(params = {}) {
+    const response = await api.get('/downtime-reasons/unclassified-stops', { params });
+    return response.data;
+  },
+
+  // Classificar uma parada registrada no histórico
+  async classifyStop(machineId, historyId, data) {
+    const response = await api.put(`/machines/${machineId}/status-history/${historyId}/classify`, data);
+    return response.data;
+  }
+};
+
+export default downtimeReasonService;
@@ -0,0 +1,37 @@
+import api from './api';
+
+const firstArticleService = {
+  async getRules() {
+    const response = await api.get('/first-article/rules');
+    return response.data;
+  },
+
+  // { machineId, product, onStart, onChangeover, onTeflonChange, deadlineMinutes }
+  async createRule(data) {
+    const response = await api.post('/first-article/rules', data);
+    return response.data;
+  },
+
+  async updateRule(id, data) {
+    const response = await api.put(`/first-article/rules/${id}`, data);
+    return response.data;
+  },
+
+  async getRequests(params = {}) {
+    const response = await api.get('/first-article/requests', { params });
+    return response.data;
+  },
+
+  // Inspeção pendente na máquina (data: null quando não há)
+  async getPendingForMachine(machineId) {
+    const response = await api.get(`/first-article/machine/${machineId}`);
+    return response.data;
+  },
+
+  async waive(id, reason) {
+    const response = await api.post(`/first-article/requests/${id}/waive`, { reason });
+    return response.data;
+  }
+};
+
+export default firstArticleService;
@@ -0,0 +1,21 @@
+import api from './api';
+
+const lotService = {
+  // Por padrão, apenas lotes retidos, em quarentena ou sucateados
+  async getAll(params = {}) {
+    const response = await api.get('/lots', { params });
+    return response.data;
+  },
+
+  async getByLot(lot) {
+    const response = await api.get(`/lots/${encodeURIComponent(lot)}`);
+    return response.data;
+  },
+
+  async changeStatus(lot, data) {
+    const response = await api.put(`/lots/${encodeURIComponent(lot)}/status`, data);
+    return response.data;
+  }
+};
+
+export default lotService;
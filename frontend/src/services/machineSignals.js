@@ -0,0 +1,26 @@
+import api from './api';
+
+const machineSignalService = {
+  async getAll() {
+    const response = await api.get('/machine-signals');
+    return response.data;
+  },
+
+  async create(data) {
+    const response = await api.post('/machine-signals', data);
+    return response.data;
+  },
+
+  async update(id, data) {
+    const response = await api.put(`/machine-signals/${id}`, data);
+    return response.data;
+  },
+
+  // Padrão: turno atual
+  async getReconciliation(machineId, params = {}) {
+    const response = await api.get(`/machine-signals/machines/${machineId}/reconciliation`, { params });
+    return response.data;
+  }
+};
+
+export default machineSignalService;
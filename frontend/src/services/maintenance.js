@@ -0,0 +1,57 @@
+import api from './api';
+
+const maintenanceService = {
+  async getPlans(params = {}) {
+    const response = await api.get('/maintenance/plans', { params });
+    return response.data;
+  },
+
+  async createPlan(data) {
+    const response = await api.post('/maintenance/plans', data);
+    return response.data;
+  },
+
+  async updatePlan(id, data) {
+    const response = await api.put(`/maintenance/plans/${id}`, data);
+    return response.data;
+  },
+
+  async getReliability(params = {}) {
+    const response = await api.get('/maintenance/reliability', { params });
+    return response.data;
+  },
+
+  async getWorkOrders(params = {}) {
+    const response = await api.get('/maintenance/work-orders', { params });
+    return response.data;
+  },
+
+  async getWorkOrder(id) {
+    const response = await api.get(`/maintenance/work-orders/${id}`);
+    return response.data;
+  },
+
+  // Corretiva (machineId + title) ou antecipação de um plano (planId)
+  async createWorkOrder(data) {
+    const response = await api.post('/maintenance/work-orders', data);
+    return response.data;
+  },
+
+  // OPEN -> IN_PROGRESS -> COMPLETED (assinatura do técnico) ou CANCELLED
+  async changeWorkOrderStatus(id, status, notes = '') {
+    const response = await api.post(`/maintenance/work-orders/${id}/status`, { status, notes });
+    return response.data;
+  },
+
+  async updateChecklistItem(id, itemId, data) {
+    const response = await api.put(`/maintenance/work-orders/${id}/checklist/${itemId}`, data);
+    return response.data;
+  },
+
+  async addPart(id, data) {
+    const response = await api.post(`/maintenance/work-orders/${id}/parts`, data);
+    return response.data;
+  }
+};
+
+export default maintenanceService;
@@ -0,0 +1,41 @@
+import api from './api';
+
+const nonConformanceService = {
+  async getAll(params = {}) {
+    const response = await api.get('/non-conformances', { params });
+    return response.data;
+  },
+
+  async getById(id) {
+    const response = await api.get(`/non-conformances/${id}`);
+    return response.data;
+  },
+
+  async create(data) {
+    const response = await api.post('/non-conformances', data);
+    return response.data;
+  },
+
+  async update(id, data) {
+    const response = await api.put(`/non-conformances/${id}`, data);
+    return response.data;
+  },
+
+  // Fluxo OPEN -> INVESTIGATING -> VERIFIED -> CLOSED
+  async changeStatus(id, status, notes = '') {
+    const response = await api.post(`/non-conformances/${id}/status`, { status, notes });
+    return response.data;
+  },
+
+  async addAction(id, data) {
+    const response = await api.post(`/non-conformances/${id}/actions`, data);
+    return response.data;
+  },
+
+  async updateAction(id, actionId, data) {
+    const response = await api.put(`/non-conformances/${id}/actions/${actionId}`, data);
+    return response.data;
+  }
+};
+
+export default nonConformanceService;
@@ -0,0 +1,27 @@
+import api from './api';
+
+const onCallService = {
+  // Equipes 3x3 em turno, líderes e plantonistas de manutenção no momento
+  async getCurrent() {
+    const response = await api.get('/on-call/current');
+    return response.data;
+  },
+
+  async getMaintenanceOnCall() {
+    const response = await api.get('/on-call/maintenance');
+    return response.data;
+  },
+
+  // { userId, startsAt, endsAt, notes }
+  async createMaintenanceOnCall(data) {
+    const response = await api.post('/on-call/maintenance', data);
+    return response.data;
+  },
+
+  async deleteMaintenanceOnCall(id) {
+    const response = await api.delete(`/on-call/maintenance/${id}`);
+    return response.data;
+  }
+};
+
+export default onCallService;
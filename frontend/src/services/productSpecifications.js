@@ -0,0 +1,31 @@
+import api from './api';
+
+const productSpecificationService = {
+  // Especificação aplicável ao teste (produto/lote informado ou configurado na máquina)
+  async resolve(params = {}) {
+    const response = await api.get('/product-specifications/resolve', { params });
+    return response.data;
+  },
+
+  async getAll(params = {}) {
+    const response = await api.get('/product-specifications', { params });
+    return response.data;
+  },
+
+  async create(data) {
+    const response = await api.post('/product-specifications', data);
+    return response.data;
+  },
+
+  async update(id, data) {
+    const response = await api.put(`/product-specifications/${id}`, data);
+    return response.data;
+  },
+
+  async remove(id) {
+    const response = await api.delete(`/product-specifications/${id}`);
+    return response.data;
+  }
+};
+
+export default productSpecificationService;
@@ -0,0 +1,26 @@
+import api from './api';
+
+const productionLedgerService = {
+  async getEvents(params = {}) {
+    const response = await api.get('/production-ledger', { params });
+    return response.data;
+  },
+
+  // Refugo (SCRAP) ou correção (CORRECTION) com motivo obrigatório
+  async recordAdjustment(data) {
+    const response = await api.post('/production-ledger/adjustments', data);
+    return response.data;
+  },
+
+  async getReplays() {
+    const response = await api.get('/production-ledger/replays');
+    return response.data;
+  },
+
+  async replay(data) {
+    const response = await api.post('/production-ledger/replay', data);
+    return response.data;
+  }
+};
+
+export default productionLedgerService;
@@ -0,0 +1,48 @@
+import api from './api';
+
+const productionOrderService = {
+  async getAll(params = {}) {
+    const response = await api.get('/production-orders', { params });
+    return response.data;
+  },
+
+  async getById(id) {
+    const response = await api.get(`/production-orders/${id}`);
+    return response.data;
+  },
+
+  // Fila de cada máquina ativa e ordens abertas sem máquina
+  async getBoard() {
+    const response = await api.get('/production-orders/board');
+    return response.data;
+  },
+
+  // Ordens abertas da máquina na sequência programada (escolha ao iniciar operação)
+  async getMachineQueue(machineId) {
+    const response = await api.get(`/production-orders/machine/${machineId}/queue`);
+    return response.data;
+  },
+
+  async create(data) {
+    const response = await api.post('/production-orders', data);
+    return response.data;
+  },
+
+  async update(id, data) {
+    const response = await api.put(`/production-orders/${id}`, data);
+    return response.data;
+  },
+
+  async setStatus(id, status, reason = null) {
+    const response = await api.patch(`/production-orders/${id}/status`, { status, reason });
+    return response.data;
+  },
+
+  // { fromMachineId, toMachineId, position }
+  async move(id, data) {
+    const response = await api.put(`/production-orders/${id}/move`, data);
+    return response.data;
+  }
+};
+
+export default productionOrderService;
@@ -0,0 +1,90 @@
+import api from './api';
+
+const reportService = {
+  // Pareto de paradas (por motivo ou categoria) com quebra por máquina, turno e equipe
+  async getDowntimePareto(params = {}) {
+    const response = await api.get('/reports/downtime-pareto', { params });
+    return response.data;
+  },
+
+  // Árvore das seis grandes perdas
+  async getLossTree(params = {}) {
+    const response = await api.get('/reports/loss-tree', { params });
+    return response.data;
+  },
+
+  // Refugo e retrabalho por motivo e por máquina
+  async getScrapReport(params = {}) {
+    const response = await api.get('/reports/scrap', { params });
+    return response.data;
+  },
+
+  // Tempos de troca (SMED) por par de produtos, máquina e etapa do checklist
+  async getChangeoverReport(params = {}) {
+    const response = await api.get('/reports/changeovers', { params });
+    return response.data;
+  },
+
+  // Tempos de resposta do andon por categoria e máquina
+  async getAndonReport(params = {}) {
+    const response = await api.get('/reports/andon', { params });
+    return response.data;
+  },
+
+  // Exportar relatório gerado no servidor (csv, xlsx ou pdf) e iniciar o download
+  async exportReport(reportType, format, params = {}) {
+    const response = await api.get(`/reports/${reportType}`, {
+      params: { ...params, format },
+      responseType: 'blob',
+      timeout: 120000
+    });
+
+    const disposition = response.headers['content-disposition'] || '';
+    const match = disposition.match(/filename="?([^"]+)"?/);
+    const filename = match ? match[1] : `relatorio-${reportType}.${format}`;
+
+    const url = window.URL.createObjectURL(response.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    window.URL.revokeObjectURL(url);
+
+    return filename;
+  },
+
+  // Assinaturas de relatório (envio agendado por email)
+  async getSubscriptions() {
+    const response = await api.get('/report-subscriptions');
+    return response.data;
+  },
+
+  async getSubscriptionOptions() {
+    const response = await api.get('/report-subscriptions/options');
+    return response.data;
+  },
+
+  async createSubscription(data) {
+    const response = await api.post('/report-subscriptions', data);
+    return response.data;
+  },
+
+  async updateSubscription(id, data) {
+    const response = await api.put(`/report-subscriptions/${id}`, data);
+    return response.data;
+  },
+
+  async deleteSubscription(id) {
+    const response = await api.delete(`/report-subscriptions/${id}`);
+    return response.data;
+  },
+
+  async runSubscription(id) {
+    const response = await api.post(`/report-subscriptions/${id}/run`, {}, { timeout: 120000 });
+    return response.data;
+  }
+};
+
+export default reportService;
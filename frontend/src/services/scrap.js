@@ -0,0 +1,34 @@
+import api from './api';
+
+const scrapService = {
+  // Motivos ativos; type filtra os aplicáveis a SCRAP ou REWORK
+  async getReasons(params = {}) {
+    const response = await api.get('/scrap/reasons', { params });
+    return response.data;
+  },
+
+  async getRecords(params = {}) {
+    const response = await api.get('/scrap', { params });
+    return response.data;
+  },
+
+  // Lançamento na operação ativa da máquina
+  async record(data) {
+    const response = await api.post('/scrap', data);
+    return response.data;
+  },
+
+  async uploadPhoto(file) {
+    const formData = new FormData();
+    formData.append('image', file);
+
+    const response = await api.post('/upload/scrap-image', formData, {
+      headers: {
+        'Content-Type': 'multipart/form-data'
+      }
+    });
+    return response.data;
+  }
+};
+
+export default scrapService;
@@ -0,0 +1,41 @@
+import api from './api';
+
+const shiftReconciliationService = {
+  // Por padrão, turnos encerrados nos últimos 7 dias
+  async getAll(params = {}) {
+    const response = await api.get('/shift-reconciliations', { params });
+    return response.data;
+  },
+
+  async getById(id) {
+    const response = await api.get(`/shift-reconciliations/${id}`);
+    return response.data;
+  },
+
+  async submitCount(data) {
+    const response = await api.post('/shift-reconciliations/count', data);
+    return response.data;
+  },
+
+  async resolve(id, data) {
+    const response = await api.post(`/shift-reconciliations/${id}/resolve`, data);
+    return response.data;
+  },
+
+  async reopen(id, reason) {
+    const response = await api.post(`/shift-reconciliations/${id}/reopen`, { reason });
+    return response.data;
+  },
+
+  async getThresholds() {
+    const response = await api.get('/shift-reconciliations/thresholds');
+    return response.data;
+  },
+
+  async setThreshold(machineId, thresholdPercent) {
+    const response = await api.put(`/shift-reconciliations/thresholds/${machineId}`, { thresholdPercent });
+    return response.data;
+  }
+};
+
+export default shiftReconciliationService;
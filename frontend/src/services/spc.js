@@ -0,0 +1,22 @@
+import api from './api';
+
+const spcService = {
+  // Carta de controle de uma dimensão (xbar-r ou individuals)
+  async getChart(params) {
+    const response = await api.get('/spc/chart', { params });
+    return response.data;
+  },
+
+  // Cp/Cpk e estado de controle de todas as dimensões do produto
+  async getSummary(params) {
+    const response = await api.get('/spc/summary', { params });
+    return response.data;
+  },
+
+  async getProducts(machineId) {
+    const response = await api.get('/spc/products', { params: { machineId } });
+    return response.data;
+  }
+};
+
+export default spcService;
@@ -0,0 +1,40 @@
+import axios from 'axios';
+import api from './api';
+
+// A TV não tem usuário logado: usa o token de quiosque e não passa pelos interceptors de login
+const kioskApi = axios.create({
+  baseURL: api.defaults.baseURL,
+  timeout: 30000,
+  headers: {
+    'Content-Type': 'application/json',
+    'ngrok-skip-browser-warning': 'true',
+  },
+});
+
+const wallboardService = {
+  // Fotografia do painel: máquinas, OEE, turno, alertas, testes pendentes e andon
+  async getSnapshot(kioskToken) {
+    const response = await kioskApi.get('/wallboard/snapshot', {
+      headers: { 'X-Kiosk-Token': kioskToken }
+    });
+    return response.data;
+  },
+
+  async getWallboards() {
+    const response = await api.get('/wallboard/tokens');
+    return response.data;
+  },
+
+  // { name, machineIds, rotateSeconds }; a resposta traz o token uma única vez
+  async createWallboard(data) {
+    const response = await api.post('/wallboard/tokens', data);
+    return response.data;
+  },
+
+  async revokeWallboard(id) {
+    const response = await api.delete(`/wallboard/tokens/${id}`);
+    return response.data;
+  }
+};
+
+export default wallboardService;
@@ -0,0 +1,48 @@
+import api from './api';
+
+const webhookService = {
+  // Eventos que podem ser assinados: [{ type, description }]
+  async getEvents() {
+    const response = await api.get('/webhooks/events');
+    return response.data;
+  },
+
+  async getSubscriptions() {
+    const response = await api.get('/webhooks');
+    return response.data;
+  },
+
+  // { name, url, eventTypes }; a resposta traz o segredo de assinatura uma única vez
+  async createSubscription(data) {
+    const response = await api.post('/webhooks', data);
+    return response.data;
+  },
+
+  async updateSubscription(id, data) {
+    const response = await api.put(`/webhooks/${id}`, data);
+    return response.data;
+  },
+
+  async deleteSubscription(id) {
+    const response = await api.delete(`/webhooks/${id}`);
+    return response.data;
+  },
+
+  async sendTest(id) {
+    const response = await api.post(`/webhooks/${id}/test`);
+    return response.data;
+  },
+
+  // { status, subscriptionId, limit }; status 'dead' lista as entregas mortas
+  async getDeliveries(params = {}) {
+    const response = await api.get('/webhooks/deliveries', { params });
+    return response.data;
+  },
+
+  async redeliver(deliveryId) {
+    const response = await api.post(`/webhooks/deliveries/${deliveryId}/redeliver`);
+    return response.data;
+  }
+};
+
+export default webhookService;
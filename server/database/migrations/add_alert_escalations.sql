@@ -0,0 +1,61 @@
+-- Migração para adicionar o escalonamento de alertas
+-- Descrição: Políticas de escalonamento por tipo e prioridade de alerta. Um alerta crítico
+-- que não for reconhecido dentro do prazo da política é notificado de novo e escalonado
+-- para o próximo perfil (operador → líder → gestor) pelos canais configurados em
+-- alert_channels. Cada etapa (criação, escalonamento, reenvio, reconhecimento e resolução)
+-- fica registrada na linha do tempo do alerta
+
+CREATE TABLE IF NOT EXISTS alert_escalation_policies (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    alert_types TEXT[],
+    min_priority VARCHAR(20) NOT NULL DEFAULT 'critical'
+        CHECK (min_priority IN ('info', 'warning', 'critical')),
+    ack_timeout_minutes INTEGER NOT NULL DEFAULT 15 CHECK (ack_timeout_minutes > 0),
+    escalation_roles TEXT[] NOT NULL DEFAULT ARRAY['OPERATOR', 'LEADER', 'MANAGER'],
+    max_repeats INTEGER NOT NULL DEFAULT 3 CHECK (max_repeats >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS escalation_policy_id INTEGER REFERENCES alert_escalation_policies(id) ON DELETE SET NULL;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS escalation_level INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS escalation_repeats INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS next_escalation_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_next_escalation ON alerts(next_escalation_at)
+    WHERE status = 'active' AND next_escalation_at IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS alert_events (
+    id SERIAL PRIMARY KEY,
+    alert_id INTEGER NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL
+        CHECK (event_type IN ('CREATED', 'ESCALATED', 'RENOTIFIED', 'EXHAUSTED', 'ACKNOWLEDGED', 'RESOLVED')),
+    escalation_level INTEGER,
+    target_roles TEXT[],
+    notified_user_ids INTEGER[],
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_events_alert ON alert_events(alert_id, created_at);
+
+DROP TRIGGER IF EXISTS update_alert_escalation_policies_updated_at ON alert_escalation_policies;
+CREATE TRIGGER update_alert_escalation_policies_updated_at BEFORE UPDATE ON alert_escalation_policies FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Política padrão para os alertas críticos (limite de produção, teflon vencido, teste de qualidade atrasado)
+INSERT INTO alert_escalation_policies (name, description, min_priority, ack_timeout_minutes)
+SELECT 'Alertas críticos', 'Reenvia e escalona qualquer alerta crítico não reconhecido em 15 minutos', 'critical', 15
+WHERE NOT EXISTS (SELECT 1 FROM alert_escalation_policies);
+
+COMMENT ON TABLE alert_escalation_policies IS 'Políticas de escalonamento dos alertas não reconhecidos';
+COMMENT ON COLUMN alert_escalation_policies.alert_types IS 'Tipos de alerta cobertos pela política; NULL cobre todos os tipos';
+COMMENT ON COLUMN alert_escalation_policies.escalation_roles IS 'Perfis notificados em cada nível, do primeiro ao último';
+COMMENT ON COLUMN alert_escalation_policies.max_repeats IS 'Reenvios no último nível antes de encerrar o escalonamento';
+COMMENT ON COLUMN alerts.escalation_level IS 'Índice do perfil atual em escalation_roles da política';
+COMMENT ON COLUMN alerts.next_escalation_at IS 'Prazo de reconhecimento; vencido, o alerta sobe de nível ou é reenviado';
+COMMENT ON TABLE alert_events IS 'Linha do tempo dos alertas: criação, escalonamentos, reenvios, reconhecimento e resolução';
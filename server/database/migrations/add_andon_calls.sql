@@ -0,0 +1,41 @@
+-- Migração para adicionar os chamados de andon
+-- Descrição: Pedido de ajuda do operador para a sua máquina (manutenção, qualidade, material
+-- ou líder), roteado em tempo real para os perfis responsáveis pela categoria. Cada chamado
+-- registra os horários de reconhecimento, chegada ao posto e resolução, base das
+-- estatísticas de tempo de resposta nos relatórios
+
+CREATE TABLE IF NOT EXISTS andon_calls (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL REFERENCES machines(id),
+    category VARCHAR(20) NOT NULL
+        CHECK (category IN ('MAINTENANCE', 'QUALITY', 'MATERIAL', 'LEADER')),
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN'
+        CHECK (status IN ('OPEN', 'ACKNOWLEDGED', 'ARRIVED', 'RESOLVED', 'CANCELLED')),
+    notes TEXT,
+    raised_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    raised_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    acknowledged_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    acknowledged_at TIMESTAMP,
+    arrived_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    arrived_at TIMESTAMP,
+    resolved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    resolution TEXT,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_andon_calls_machine_raised ON andon_calls(machine_id, raised_at);
+CREATE INDEX IF NOT EXISTS idx_andon_calls_status ON andon_calls(status);
+-- Um chamado ativo por máquina e categoria
+CREATE UNIQUE INDEX IF NOT EXISTS idx_andon_calls_active_machine_category ON andon_calls(machine_id, category)
+    WHERE status IN ('OPEN', 'ACKNOWLEDGED', 'ARRIVED');
+
+DROP TRIGGER IF EXISTS update_andon_calls_updated_at ON andon_calls;
+CREATE TRIGGER update_andon_calls_updated_at BEFORE UPDATE ON andon_calls FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE andon_calls IS 'Chamados de andon abertos pelos operadores, com horários de reconhecimento, chegada e resolução';
+COMMENT ON COLUMN andon_calls.category IS 'MAINTENANCE, QUALITY, MATERIAL ou LEADER; define os perfis que recebem o chamado';
+COMMENT ON COLUMN andon_calls.arrived_at IS 'Chegada do responsável ao posto da máquina';
@@ -0,0 +1,95 @@
+-- Migração para adicionar o fluxo de troca de produto/lote (changeover)
+-- Descrição: Registro de cada troca (produto/lote de origem e destino), checklist de etapas
+-- com horário de conclusão, teste de qualidade da primeira peça e liberação.
+-- A máquina fica parada com o motivo planejado "Changeover" em machine_status_history
+-- do início do setup até o início da próxima operação, base do relatório SMED
+
+-- Categoria de parada planejada exclusiva do changeover
+INSERT INTO downtime_reasons (code, name, is_planned, applies_to_status, sort_order, loss_category) VALUES
+('PLN-CHANGEOVER', 'Changeover (troca de produto/lote)', true, 'PARADA', 25, 'SETUP_ADJUSTMENT')
+ON CONFLICT (code) DO NOTHING;
+
+INSERT INTO downtime_reasons (parent_id, code, name, is_planned, applies_to_status, sort_order, loss_category)
+SELECT p.id, 'PLN-CHANGEOVER-SETUP', 'Setup de changeover', true, 'PARADA', 1, 'SETUP_ADJUSTMENT'
+FROM downtime_reasons p
+WHERE p.code = 'PLN-CHANGEOVER'
+ON CONFLICT (code) DO NOTHING;
+
+-- Etapas padrão do checklist de troca
+CREATE TABLE IF NOT EXISTS changeover_checklist_items (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_changeover_checklist_items_updated_at ON changeover_checklist_items;
+CREATE TRIGGER update_changeover_checklist_items_updated_at BEFORE UPDATE ON changeover_checklist_items FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO changeover_checklist_items (code, description, sort_order) VALUES
+('CHG-RETIRADA', 'Retirar bobina e material do produto anterior', 10),
+('CHG-LIMPEZA', 'Limpar a máquina e a área de trabalho', 20),
+('CHG-FERRAMENTAL', 'Trocar facas, moldes e ferramental', 30),
+('CHG-MATERIAL', 'Abastecer bobina e embalagens do novo produto', 40),
+('CHG-PARAMETROS', 'Ajustar parâmetros de solda, corte e velocidade', 50),
+('CHG-CONFERENCIA', 'Conferir especificação e identificação do lote', 60)
+ON CONFLICT (code) DO NOTHING;
+
+-- Trocas registradas
+CREATE TABLE IF NOT EXISTS changeovers (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL REFERENCES machines(id),
+    from_product VARCHAR(255),
+    from_lot VARCHAR(100),
+    to_product VARCHAR(255) NOT NULL,
+    to_lot VARCHAR(100),
+    production_order_id INTEGER REFERENCES production_orders(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'IN_SETUP'
+        CHECK (status IN ('IN_SETUP', 'RELEASED', 'CANCELLED')),
+    -- Parada registrada no histórico de status ao iniciar o setup
+    status_history_id INTEGER REFERENCES machine_status_history(id) ON DELETE SET NULL,
+    first_article_test_id INTEGER REFERENCES quality_tests(id) ON DELETE SET NULL,
+    notes TEXT,
+    started_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    released_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    released_at TIMESTAMP,
+    -- Início da primeira operação após a liberação (fim da parada de changeover)
+    production_started_at TIMESTAMP,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP,
+    cancel_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_changeovers_machine_started ON changeovers(machine_id, started_at);
+CREATE INDEX IF NOT EXISTS idx_changeovers_status ON changeovers(status);
+-- Uma troca em andamento por máquina
+CREATE UNIQUE INDEX IF NOT EXISTS idx_changeovers_open_machine ON changeovers(machine_id) WHERE status = 'IN_SETUP';
+
+DROP TRIGGER IF EXISTS update_changeovers_updated_at ON changeovers;
+CREATE TRIGGER update_changeovers_updated_at BEFORE UPDATE ON changeovers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Etapas do checklist de cada troca (cópia das etapas ativas no início do setup)
+CREATE TABLE IF NOT EXISTS changeover_steps (
+    id SERIAL PRIMARY KEY,
+    changeover_id INTEGER NOT NULL REFERENCES changeovers(id) ON DELETE CASCADE,
+    item_id INTEGER REFERENCES changeover_checklist_items(id) ON DELETE SET NULL,
+    description VARCHAR(255) NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_changeover_steps_changeover ON changeover_steps(changeover_id);
+
+COMMENT ON TABLE changeover_checklist_items IS 'Etapas padrão do checklist de troca de produto/lote';
+COMMENT ON TABLE changeovers IS 'Trocas de produto/lote: setup, teste da primeira peça e liberação';
+COMMENT ON COLUMN changeovers.status_history_id IS 'Parada de changeover registrada em machine_status_history';
+COMMENT ON COLUMN changeovers.production_started_at IS 'Início da primeira operação após a liberação';
+COMMENT ON TABLE changeover_steps IS 'Etapas do checklist da troca com horário de conclusão (análise SMED)';
@@ -0,0 +1,15 @@
+-- Migração para classificar motivos de parada nas seis grandes perdas
+-- Descrição: Cada motivo indica em qual perda de disponibilidade ele se enquadra
+-- (quebras/falhas ou setup e ajustes), usado pela árvore de perdas dos relatórios
+
+ALTER TABLE downtime_reasons
+ADD COLUMN IF NOT EXISTS loss_category VARCHAR(30) NOT NULL DEFAULT 'BREAKDOWN';
+
+-- Setups, trocas e ajustes por reprovação entram em "Setup e ajustes"
+UPDATE downtime_reasons
+SET loss_category = 'SETUP_ADJUSTMENT'
+WHERE code LIKE 'PLN-SETUP%' OR code = 'NPL-QUALIDADE-AJUSTE';
+
+CREATE INDEX IF NOT EXISTS idx_downtime_reasons_loss_category ON downtime_reasons(loss_category);
+
+COMMENT ON COLUMN downtime_reasons.loss_category IS 'Perda de disponibilidade: BREAKDOWN (quebras/falhas) ou SETUP_ADJUSTMENT (setup e ajustes)';
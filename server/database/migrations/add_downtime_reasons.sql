@@ -0,0 +1,86 @@
+-- Migração para adicionar catálogo de motivos de parada
+-- Descrição: Catálogo hierárquico (planejada/não planejada > categoria > motivo)
+-- e classificação das paradas registradas em machine_status_history
+
+-- Tabela de motivos de parada
+-- Registros sem parent_id são categorias; registros com parent_id são motivos selecionáveis
+CREATE TABLE IF NOT EXISTS downtime_reasons (
+    id SERIAL PRIMARY KEY,
+    parent_id INTEGER REFERENCES downtime_reasons(id) ON DELETE CASCADE,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    is_planned BOOLEAN NOT NULL DEFAULT false,
+    applies_to_status VARCHAR(50), -- PARADA, MANUTENCAO ou NULL (ambos)
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_downtime_reasons_parent_id ON downtime_reasons(parent_id);
+CREATE INDEX IF NOT EXISTS idx_downtime_reasons_active ON downtime_reasons(is_active);
+
+-- Classificação da parada no histórico de status
+ALTER TABLE machine_status_history
+ADD COLUMN IF NOT EXISTS downtime_reason_id INTEGER REFERENCES downtime_reasons(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS classified_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS classified_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_machine_status_history_reason ON machine_status_history(downtime_reason_id);
+CREATE INDEX IF NOT EXISTS idx_machine_status_history_machine_date ON machine_status_history(machine_id, created_at);
+
+-- Categorias padrão
+INSERT INTO downtime_reasons (code, name, is_planned, applies_to_status, sort_order) VALUES
+('PLN-PAUSA', 'Pausas programadas', true, 'PARADA', 10),
+('PLN-SETUP', 'Setup e troca de produto', true, NULL, 20),
+('PLN-MANUT', 'Manutenção planejada', true, 'MANUTENCAO', 30),
+('NPL-MECANICA', 'Falha mecânica', false, NULL, 40),
+('NPL-ELETRICA', 'Falha elétrica', false, NULL, 50),
+('NPL-MATERIAL', 'Falta de material', false, 'PARADA', 60),
+('NPL-QUALIDADE', 'Problema de qualidade', false, 'PARADA', 70),
+('NPL-PESSOAL', 'Falta de pessoal', false, 'PARADA', 80)
+ON CONFLICT (code) DO NOTHING;
+
+-- Motivos padrão
+INSERT INTO downtime_reasons (parent_id, code, name, is_planned, applies_to_status, sort_order)
+SELECT p.id, v.code, v.name, p.is_planned, p.applies_to_status, v.sort_order
+FROM (VALUES
+    ('PLN-PAUSA', 'PLN-PAUSA-REFEICAO', 'Refeição', 1),
+    ('PLN-PAUSA', 'PLN-PAUSA-REUNIAO', 'Reunião / DDS', 2),
+    ('PLN-PAUSA', 'PLN-PAUSA-TREINAMENTO', 'Treinamento', 3),
+    ('PLN-SETUP', 'PLN-SETUP-PRODUTO', 'Troca de produto', 1),
+    ('PLN-SETUP', 'PLN-SETUP-LOTE', 'Troca de lote', 2),
+    ('PLN-SETUP', 'PLN-SETUP-TEFLON', 'Troca de teflon', 3),
+    ('PLN-MANUT', 'PLN-MANUT-PREVENTIVA', 'Manutenção preventiva', 1),
+    ('PLN-MANUT', 'PLN-MANUT-LIMPEZA', 'Limpeza programada', 2),
+    ('NPL-MECANICA', 'NPL-MECANICA-SOLDA', 'Falha na solda', 1),
+    ('NPL-MECANICA', 'NPL-MECANICA-TRACAO', 'Falha no sistema de tração', 2),
+    ('NPL-MECANICA', 'NPL-MECANICA-OUTROS', 'Outra falha mecânica', 3),
+    ('NPL-ELETRICA', 'NPL-ELETRICA-SENSOR', 'Falha em sensor', 1),
+    ('NPL-ELETRICA', 'NPL-ELETRICA-ENERGIA', 'Queda de energia', 2),
+    ('NPL-MATERIAL', 'NPL-MATERIAL-BOBINA', 'Falta de bobina', 1),
+    ('NPL-MATERIAL', 'NPL-MATERIAL-EMBALAGEM', 'Falta de embalagem', 2),
+    ('NPL-QUALIDADE', 'NPL-QUALIDADE-AJUSTE', 'Ajuste por reprovação', 1),
+    ('NPL-QUALIDADE', 'NPL-QUALIDADE-AGUARDANDO', 'Aguardando liberação da qualidade', 2),
+    ('NPL-PESSOAL', 'NPL-PESSOAL-OPERADOR', 'Falta de operador', 1)
+) AS v(parent_code, code, name, sort_order)
+JOIN downtime_reasons p ON p.code = v.parent_code
+ON CONFLICT (code) DO NOTHING;
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_downtime_reasons_updated_at ON downtime_reasons;
+CREATE TRIGGER update_downtime_reasons_updated_at BEFORE UPDATE ON downtime_reasons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE downtime_reasons IS 'Catálogo hierárquico de motivos de parada (categoria > motivo)';
+COMMENT ON COLUMN downtime_reasons.is_planned IS 'Paradas planejadas não penalizam a disponibilidade no OEE';
+COMMENT ON COLUMN machine_status_history.downtime_reason_id IS 'Motivo de parada classificado (PARADA/MANUTENCAO)';
@@ -0,0 +1,68 @@
+-- Migração para adicionar a inspeção da primeira peça (FAI)
+-- Descrição: Regras por máquina/produto definem quando a primeira peça precisa ser inspecionada
+-- (início de operação, primeira operação após changeover, troca de teflon) e o prazo para o teste.
+-- Enquanto a inspeção está pendente a produção registrada no livro fica marcada com a solicitação
+-- e não conta como peça boa; o líder é notificado quando o prazo vence
+
+CREATE TABLE IF NOT EXISTS fai_rules (
+    id SERIAL PRIMARY KEY,
+    -- Sem máquina ou produto a regra vale para todas as máquinas/produtos; a mais específica prevalece
+    machine_id INTEGER REFERENCES machines(id) ON DELETE CASCADE,
+    product VARCHAR(255),
+    on_start BOOLEAN NOT NULL DEFAULT true,
+    on_changeover BOOLEAN NOT NULL DEFAULT true,
+    on_teflon_change BOOLEAN NOT NULL DEFAULT true,
+    deadline_minutes INTEGER NOT NULL DEFAULT 15 CHECK (deadline_minutes > 0),
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fai_rules_machine ON fai_rules(machine_id);
+
+DROP TRIGGER IF EXISTS update_fai_rules_updated_at ON fai_rules;
+CREATE TRIGGER update_fai_rules_updated_at BEFORE UPDATE ON fai_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Solicitações de inspeção: PENDING coloca a máquina em "FAI pendente"
+CREATE TABLE IF NOT EXISTS fai_requests (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL REFERENCES machines(id),
+    rule_id INTEGER REFERENCES fai_rules(id) ON DELETE SET NULL,
+    trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('START', 'CHANGEOVER', 'TEFLON_CHANGE')),
+    product VARCHAR(255),
+    lot VARCHAR(100),
+    operation_id INTEGER REFERENCES machine_operations(id) ON DELETE SET NULL,
+    changeover_id INTEGER REFERENCES changeovers(id) ON DELETE SET NULL,
+    teflon_change_id INTEGER REFERENCES teflon_changes(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'PASSED', 'WAIVED')),
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    requested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    due_at TIMESTAMP NOT NULL,
+    failed_attempts INTEGER NOT NULL DEFAULT 0,
+    passed_test_id INTEGER REFERENCES quality_tests(id) ON DELETE SET NULL,
+    passed_at TIMESTAMP,
+    waived_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    waived_at TIMESTAMP,
+    waive_reason TEXT,
+    leader_notified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_fai_requests_machine_requested ON fai_requests(machine_id, requested_at);
+CREATE INDEX IF NOT EXISTS idx_fai_requests_due ON fai_requests(due_at) WHERE status = 'PENDING';
+-- Uma inspeção pendente por máquina
+CREATE UNIQUE INDEX IF NOT EXISTS idx_fai_requests_pending_machine ON fai_requests(machine_id) WHERE status = 'PENDING';
+
+DROP TRIGGER IF EXISTS update_fai_requests_updated_at ON fai_requests;
+CREATE TRIGGER update_fai_requests_updated_at BEFORE UPDATE ON fai_requests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Produção registrada enquanto a inspeção estava pendente (não conta como peça boa)
+ALTER TABLE production_events ADD COLUMN IF NOT EXISTS fai_request_id INTEGER REFERENCES fai_requests(id);
+CREATE INDEX IF NOT EXISTS idx_production_events_fai_request ON production_events(fai_request_id) WHERE fai_request_id IS NOT NULL;
+
+COMMENT ON TABLE fai_rules IS 'Regras de inspeção da primeira peça (FAI) por máquina/produto';
+COMMENT ON TABLE fai_requests IS 'Inspeções da primeira peça solicitadas após início, changeover ou troca de teflon';
+COMMENT ON COLUMN fai_requests.leader_notified_at IS 'Notificação do líder pelo prazo vencido';
+COMMENT ON COLUMN production_events.fai_request_id IS 'Inspeção da primeira peça pendente quando a produção foi registrada';
@@ -0,0 +1,49 @@
+-- Migração para status de lote (liberado / retido / quarentena / sucateado)
+-- Descrição: Lotes retidos bloqueiam o início de operação na máquina configurada com o lote,
+-- salvo liberação excepcional por líder; toda mudança fica no histórico
+
+CREATE TABLE IF NOT EXISTS lot_statuses (
+    id SERIAL PRIMARY KEY,
+    lot VARCHAR(255) UNIQUE NOT NULL,
+    product VARCHAR(255),
+    status VARCHAR(20) NOT NULL DEFAULT 'RELEASED' CHECK (status IN ('RELEASED', 'ON_HOLD', 'QUARANTINED', 'SCRAPPED')),
+    reason TEXT,
+    quality_test_id INTEGER REFERENCES quality_tests(id) ON DELETE SET NULL, -- teste que reteve o lote
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lot_statuses_status ON lot_statuses(status);
+
+-- Histórico de retenções, liberações e liberações excepcionais (override)
+CREATE TABLE IF NOT EXISTS lot_status_history (
+    id SERIAL PRIMARY KEY,
+    lot VARCHAR(255) NOT NULL,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'MANUAL' CHECK (source IN ('MANUAL', 'QUALITY_TEST', 'OVERRIDE')),
+    reason TEXT NOT NULL,
+    quality_test_id INTEGER REFERENCES quality_tests(id) ON DELETE SET NULL,
+    machine_id INTEGER REFERENCES machines(id) ON DELETE SET NULL,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_lot_status_history_lot ON lot_status_history(lot, created_at);
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_lot_statuses_updated_at ON lot_statuses;
+CREATE TRIGGER update_lot_statuses_updated_at BEFORE UPDATE ON lot_statuses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE lot_statuses IS 'Status de qualidade do lote; lote sem registro é considerado liberado';
+COMMENT ON COLUMN lot_status_history.source IS 'MANUAL = líder/gestor, QUALITY_TEST = teste reprovado, OVERRIDE = operação iniciada com lote retido';
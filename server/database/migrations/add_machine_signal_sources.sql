@@ -0,0 +1,55 @@
+-- Migração para adicionar ingestão de sinais reais das máquinas
+-- Descrição: Fontes de sinal (MQTT, Modbus TCP ou simulador) que enviam o contador de ciclos
+-- e o sinal de funcionamento, usadas para contar produção e atualizar o status automaticamente
+
+-- Fontes de sinal por máquina
+-- config: parâmetros do adaptador (ex.: { "url": "mqtt://...", "topic": "..." } ou
+-- { "host": "...", "port": 502, "unitId": 1, "counterRegister": 0, "runCoil": 0 })
+CREATE TABLE IF NOT EXISTS machine_signal_sources (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL UNIQUE REFERENCES machines(id) ON DELETE CASCADE,
+    adapter VARCHAR(20) NOT NULL CHECK (adapter IN ('MQTT', 'MODBUS', 'SIMULATOR')),
+    config JSONB NOT NULL DEFAULT '{}',
+    is_active BOOLEAN DEFAULT true,
+    auto_status BOOLEAN DEFAULT true,
+    stop_after_seconds INTEGER NOT NULL DEFAULT 120 CHECK (stop_after_seconds > 0),
+    reconcile_tolerance_percent NUMERIC(5,2) NOT NULL DEFAULT 5,
+    last_counter BIGINT,
+    last_running BOOLEAN,
+    last_signal_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_machine_signal_sources_active ON machine_signal_sources(is_active);
+
+-- Leituras do contador (somente leituras com incremento ou mudança de sinal)
+CREATE TABLE IF NOT EXISTS machine_counter_readings (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+    source_id INTEGER REFERENCES machine_signal_sources(id) ON DELETE SET NULL,
+    raw_counter BIGINT,
+    delta INTEGER NOT NULL DEFAULT 0,
+    running BOOLEAN,
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_machine_counter_readings_machine_time ON machine_counter_readings(machine_id, received_at);
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_machine_signal_sources_updated_at ON machine_signal_sources;
+CREATE TRIGGER update_machine_signal_sources_updated_at BEFORE UPDATE ON machine_signal_sources FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE machine_signal_sources IS 'Fontes de sinal reais (CLP/gateway) das máquinas';
+COMMENT ON COLUMN machine_signal_sources.auto_status IS 'Se verdadeiro, o sinal alterna o status entre FUNCIONANDO e PARADA';
+COMMENT ON COLUMN machine_signal_sources.stop_after_seconds IS 'Segundos sem ciclos para considerar a máquina parada';
+COMMENT ON COLUMN machine_counter_readings.delta IS 'Ciclos contados desde a leitura anterior (reset do contador conta a partir de zero)';
@@ -0,0 +1,99 @@
+-- Migração para adicionar planos de manutenção preventiva
+-- Descrição: Planos por máquina disparados por calendário, horas de funcionamento
+-- ou unidades produzidas, gerando ordens de serviço com checklist, peças e assinatura do técnico
+
+-- Planos de manutenção
+-- interval_value: dias (CALENDAR), horas em FUNCIONANDO (RUN_HOURS) ou unidades produzidas (UNITS)
+CREATE TABLE IF NOT EXISTS maintenance_plans (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    trigger_type VARCHAR(20) NOT NULL CHECK (trigger_type IN ('CALENDAR', 'RUN_HOURS', 'UNITS')),
+    interval_value NUMERIC(12,2) NOT NULL CHECK (interval_value > 0),
+    checklist JSONB NOT NULL DEFAULT '[]',
+    estimated_minutes INTEGER,
+    is_active BOOLEAN DEFAULT true,
+    last_done_at TIMESTAMP,
+    last_done_units NUMERIC(14,2) DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_machine ON maintenance_plans(machine_id);
+CREATE INDEX IF NOT EXISTS idx_maintenance_plans_active ON maintenance_plans(is_active);
+
+-- Ordens de serviço (preventivas geradas pelos planos ou corretivas abertas manualmente)
+CREATE TABLE IF NOT EXISTS maintenance_work_orders (
+    id SERIAL PRIMARY KEY,
+    plan_id INTEGER REFERENCES maintenance_plans(id) ON DELETE SET NULL,
+    machine_id INTEGER NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('PREVENTIVE', 'CORRECTIVE')),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED')),
+    trigger_snapshot JSONB,
+    assigned_to INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    signoff_notes TEXT,
+    cancelled_reason TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_work_orders_machine ON maintenance_work_orders(machine_id);
+CREATE INDEX IF NOT EXISTS idx_maintenance_work_orders_status ON maintenance_work_orders(status);
+CREATE INDEX IF NOT EXISTS idx_maintenance_work_orders_plan ON maintenance_work_orders(plan_id);
+CREATE INDEX IF NOT EXISTS idx_maintenance_work_orders_completed_at ON maintenance_work_orders(completed_at);
+
+-- Itens do checklist copiados do plano (ou cadastrados na ordem corretiva)
+CREATE TABLE IF NOT EXISTS maintenance_work_order_checklist (
+    id SERIAL PRIMARY KEY,
+    work_order_id INTEGER NOT NULL REFERENCES maintenance_work_orders(id) ON DELETE CASCADE,
+    item TEXT NOT NULL,
+    sort_order INTEGER DEFAULT 0,
+    done BOOLEAN DEFAULT false,
+    notes TEXT,
+    done_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    done_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_checklist_work_order ON maintenance_work_order_checklist(work_order_id);
+
+-- Peças utilizadas
+CREATE TABLE IF NOT EXISTS maintenance_work_order_parts (
+    id SERIAL PRIMARY KEY,
+    work_order_id INTEGER NOT NULL REFERENCES maintenance_work_orders(id) ON DELETE CASCADE,
+    part_code VARCHAR(100),
+    description VARCHAR(255) NOT NULL,
+    quantity NUMERIC(10,2) NOT NULL DEFAULT 1 CHECK (quantity > 0),
+    unit_cost NUMERIC(12,2) DEFAULT 0,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_parts_work_order ON maintenance_work_order_parts(work_order_id);
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_maintenance_plans_updated_at ON maintenance_plans;
+CREATE TRIGGER update_maintenance_plans_updated_at BEFORE UPDATE ON maintenance_plans FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_maintenance_work_orders_updated_at ON maintenance_work_orders;
+CREATE TRIGGER update_maintenance_work_orders_updated_at BEFORE UPDATE ON maintenance_work_orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE maintenance_plans IS 'Planos de manutenção preventiva por máquina';
+COMMENT ON COLUMN maintenance_plans.last_done_units IS 'Total acumulado de shift_data.total_production da máquina na última execução';
+COMMENT ON COLUMN maintenance_work_orders.trigger_snapshot IS 'Consumo do plano (dias, horas ou unidades) no momento da geração';
+COMMENT ON TABLE maintenance_work_order_parts IS 'Peças utilizadas na ordem de serviço';
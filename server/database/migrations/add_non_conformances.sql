@@ -0,0 +1,92 @@
+-- Migração para não conformidades e ações corretivas/preventivas (CAPA)
+-- Descrição: Não conformidade aberta automaticamente para testes de qualidade reprovados,
+-- com contenção, causa raiz, ações com responsável e prazo e fluxo
+-- OPEN -> INVESTIGATING -> VERIFIED -> CLOSED
+
+CREATE TABLE IF NOT EXISTS non_conformances (
+    id SERIAL PRIMARY KEY,
+    quality_test_id INTEGER REFERENCES quality_tests(id) ON DELETE SET NULL, -- teste que originou
+    machine_id INTEGER REFERENCES machines(id) ON DELETE SET NULL,
+    product VARCHAR(255),
+    lot VARCHAR(255),
+    box_number VARCHAR(255),
+    title VARCHAR(255) NOT NULL,
+    description TEXT,
+    severity VARCHAR(20) NOT NULL DEFAULT 'MAJOR' CHECK (severity IN ('MINOR', 'MAJOR', 'CRITICAL')),
+    status VARCHAR(20) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'INVESTIGATING', 'VERIFIED', 'CLOSED')),
+    containment_action TEXT,
+    hold_lot BOOLEAN DEFAULT true, -- contenção: lote segregado até a disposição
+    root_cause TEXT,
+    owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    due_date TIMESTAMP, -- prazo da investigação
+    escalation_level INTEGER DEFAULT 0,
+    escalated_at TIMESTAMP,
+    opened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    verified_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    verified_at TIMESTAMP,
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_non_conformances_status ON non_conformances(status);
+CREATE INDEX IF NOT EXISTS idx_non_conformances_machine_lot ON non_conformances(machine_id, lot);
+CREATE INDEX IF NOT EXISTS idx_non_conformances_due_date ON non_conformances(due_date) WHERE status <> 'CLOSED';
+
+-- Ações corretivas e preventivas
+CREATE TABLE IF NOT EXISTS non_conformance_actions (
+    id SERIAL PRIMARY KEY,
+    non_conformance_id INTEGER NOT NULL REFERENCES non_conformances(id) ON DELETE CASCADE,
+    action_type VARCHAR(20) NOT NULL CHECK (action_type IN ('CORRECTIVE', 'PREVENTIVE')),
+    description TEXT NOT NULL,
+    owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    due_date TIMESTAMP,
+    status VARCHAR(20) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'DONE')),
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP,
+    escalation_level INTEGER DEFAULT 0,
+    escalated_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_non_conformance_actions_nc ON non_conformance_actions(non_conformance_id);
+CREATE INDEX IF NOT EXISTS idx_non_conformance_actions_due_date ON non_conformance_actions(due_date) WHERE status = 'PENDING';
+
+-- Histórico de mudanças de status e eventos
+CREATE TABLE IF NOT EXISTS non_conformance_history (
+    id SERIAL PRIMARY KEY,
+    non_conformance_id INTEGER NOT NULL REFERENCES non_conformances(id) ON DELETE CASCADE,
+    from_status VARCHAR(20),
+    to_status VARCHAR(20),
+    notes TEXT,
+    user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_non_conformance_history_nc ON non_conformance_history(non_conformance_id);
+
+-- Testes reprovados vinculados à não conformidade (o primeiro e as reincidências)
+ALTER TABLE quality_tests
+ADD COLUMN IF NOT EXISTS non_conformance_id INTEGER REFERENCES non_conformances(id) ON DELETE SET NULL;
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_non_conformances_updated_at ON non_conformances;
+CREATE TRIGGER update_non_conformances_updated_at BEFORE UPDATE ON non_conformances FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_non_conformance_actions_updated_at ON non_conformance_actions;
+CREATE TRIGGER update_non_conformance_actions_updated_at BEFORE UPDATE ON non_conformance_actions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE non_conformances IS 'Não conformidades abertas a partir de testes de qualidade reprovados';
+COMMENT ON TABLE non_conformance_actions IS 'Ações corretivas e preventivas (CAPA) da não conformidade';
+COMMENT ON COLUMN non_conformances.escalation_level IS '0 = no prazo, 1 = vencida (líderes), 2 = vencida há mais de 48h (gerência)';
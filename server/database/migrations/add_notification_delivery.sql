@@ -0,0 +1,43 @@
+-- Migração para a entrega das notificações por provedores de canal
+-- Descrição: notification_logs passa a ter uma linha por envio e canal, com o provedor usado
+-- (SMTP, Twilio, webhook, Teams, Slack, Telegram, sink de arquivo...), o destinatário, o
+-- conteúdo enviado, o recibo do provedor e as tentativas com backoff. Envios sem alerta
+-- (testes, notificações avulsas) e mensagens para o canal de chat da equipe não têm usuário
+
+ALTER TABLE notification_logs ALTER COLUMN alert_id DROP NOT NULL;
+ALTER TABLE notification_logs ALTER COLUMN user_id DROP NOT NULL;
+
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS provider VARCHAR(20);
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS recipient VARCHAR(255);
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS payload JSONB;
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS max_attempts INTEGER NOT NULL DEFAULT 5;
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS next_retry_at TIMESTAMP;
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS last_attempt_at TIMESTAMP;
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS provider_message_id VARCHAR(255);
+ALTER TABLE notification_logs ADD COLUMN IF NOT EXISTS receipt JSONB;
+
+ALTER TABLE notification_logs DROP CONSTRAINT IF EXISTS notification_logs_channel_check;
+ALTER TABLE notification_logs ADD CONSTRAINT notification_logs_channel_check
+    CHECK (channel IN ('email', 'sms', 'whatsapp', 'push', 'sound', 'chat'));
+
+ALTER TABLE notification_logs DROP CONSTRAINT IF EXISTS notification_logs_status_check;
+ALTER TABLE notification_logs ADD CONSTRAINT notification_logs_status_check
+    CHECK (status IN ('pending', 'sent', 'delivered', 'retrying', 'failed'));
+
+-- Arquivo do relatório anexado aos emails, guardado uma vez no snapshot; os envios referenciam
+-- o snapshot pelo reportId e o arquivo é descartado quando todos foram concluídos
+ALTER TABLE reports ADD COLUMN IF NOT EXISTS file_content BYTEA;
+
+DROP INDEX IF EXISTS idx_notification_logs_retry;
+CREATE INDEX IF NOT EXISTS idx_notification_logs_retry ON notification_logs(next_retry_at)
+    WHERE status IN ('retrying', 'pending');
+CREATE INDEX IF NOT EXISTS idx_notification_logs_status ON notification_logs(status, created_at);
+
+COMMENT ON COLUMN notification_logs.channel IS 'Canal de envio: email, sms, whatsapp, push, sound, chat';
+COMMENT ON COLUMN notification_logs.provider IS 'Provedor que atendeu o canal: SMTP, SENDGRID, TWILIO, WHATSAPP, FIREBASE, WEBHOOK, TEAMS, SLACK, TELEGRAM, FILE, CONSOLE';
+COMMENT ON COLUMN notification_logs.payload IS 'Conteúdo enviado (título, mensagem, HTML, prioridade, referência dos anexos), reaproveitado nas novas tentativas';
+COMMENT ON COLUMN reports.file_content IS 'Arquivo exportado enquanto há envios de email pendentes que o anexam';
+COMMENT ON COLUMN notification_logs.status IS 'pending, sent (aceito pelo provedor), delivered (entrega confirmada), retrying (aguardando nova tentativa), failed';
+COMMENT ON COLUMN notification_logs.next_retry_at IS 'Próxima tentativa, com espera dobrando a cada falha (backoff exponencial); em pending, prazo para o agendador assumir o envio enfileirado';
+COMMENT ON COLUMN notification_logs.receipt IS 'Recibo devolvido pelo provedor na última tentativa bem-sucedida';
@@ -0,0 +1,44 @@
+-- Migração para adicionar horário de silêncio, resumos e deduplicação de notificações
+-- Descrição: Cada condição de origem (máquina inativa, teflon vencido...) mantém uma única
+-- notificação aberta por usuário, identificada pela chave de deduplicação; as repetições
+-- incrementam o contador de ocorrências. Dentro do horário de silêncio, ou com o modo de
+-- resumo horário/diário, as notificações ficam retidas e seguem num único email de resumo
+
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS dedup_key VARCHAR(255);
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS occurrence_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS last_occurred_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS delivery_status VARCHAR(20) NOT NULL DEFAULT 'SENT'
+    CHECK (delivery_status IN ('SENT', 'HELD'));
+ALTER TABLE notifications ADD COLUMN IF NOT EXISTS digested_at TIMESTAMP;
+
+-- Uma notificação aberta (não lida) por usuário e condição
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notifications_open_dedup
+    ON notifications ((COALESCE(user_id, 0)), dedup_key)
+    WHERE dedup_key IS NOT NULL AND read = false;
+
+CREATE INDEX IF NOT EXISTS idx_notifications_held ON notifications(user_id)
+    WHERE delivery_status = 'HELD';
+
+-- Repetições de um alerta em aberto viram ocorrências do mesmo alerta
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS occurrence_count INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE alerts ADD COLUMN IF NOT EXISTS last_occurred_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+    user_id INTEGER PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+    quiet_hours_start TIME,
+    quiet_hours_end TIME,
+    digest_mode VARCHAR(20) NOT NULL DEFAULT 'IMMEDIATE'
+        CHECK (digest_mode IN ('IMMEDIATE', 'HOURLY', 'DAILY')),
+    digest_hour SMALLINT NOT NULL DEFAULT 7 CHECK (digest_hour BETWEEN 0 AND 23),
+    last_digest_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+DROP TRIGGER IF EXISTS update_notification_preferences_updated_at ON notification_preferences;
+CREATE TRIGGER update_notification_preferences_updated_at BEFORE UPDATE ON notification_preferences FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN notifications.dedup_key IS 'Condição de origem da notificação; repetições com a notificação aberta só incrementam occurrence_count';
+COMMENT ON COLUMN notifications.delivery_status IS 'SENT: entregue na hora; HELD: retida por horário de silêncio ou modo de resumo';
+COMMENT ON TABLE notification_preferences IS 'Horário de silêncio e modo de resumo das notificações por usuário';
+COMMENT ON COLUMN notification_preferences.digest_hour IS 'Hora de envio do resumo diário';
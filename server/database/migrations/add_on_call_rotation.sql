@@ -0,0 +1,36 @@
+-- Migração para adicionar o plantão vinculado às equipes 3x3
+-- Descrição: Os alertas passam a ser roteados apenas para a equipe (e o líder) em turno,
+-- conforme a escala 3x3. Fora do horário das equipes, como noites e fins de semana, os gestores
+-- cadastram o plantão de manutenção por período
+
+-- Líder da equipe (já existe em create_tables.sql; a migração 3x3 não criou a coluna)
+ALTER TABLE shift_team_members ADD COLUMN IF NOT EXISTS is_leader BOOLEAN DEFAULT false;
+
+-- Defasagem de cada equipe no ciclo de 12 dias (3 dias, 3 folgas, 3 noites, 3 folgas): com A=0, B=3,
+-- C=6 e D=9, exatamente uma equipe cobre cada turno diurno e cada turno noturno
+ALTER TABLE shift_teams ADD COLUMN IF NOT EXISTS cycle_offset_days INTEGER NOT NULL DEFAULT 0;
+
+UPDATE shift_teams
+SET cycle_offset_days = CASE team_code WHEN 'B' THEN 3 WHEN 'C' THEN 6 WHEN 'D' THEN 9 ELSE 0 END
+WHERE cycle_offset_days = 0 AND team_code IN ('B', 'C', 'D');
+
+CREATE TABLE IF NOT EXISTS maintenance_on_call (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP NOT NULL,
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (ends_at > starts_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_maintenance_on_call_period ON maintenance_on_call(starts_at, ends_at);
+
+DROP TRIGGER IF EXISTS update_maintenance_on_call_updated_at ON maintenance_on_call;
+CREATE TRIGGER update_maintenance_on_call_updated_at BEFORE UPDATE ON maintenance_on_call FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON COLUMN shift_team_members.is_leader IS 'Líder da equipe: recebe os alertas destinados a líderes enquanto a equipe está em turno';
+COMMENT ON COLUMN shift_teams.cycle_offset_days IS 'Dias de defasagem da equipe no ciclo 3x3 de 12 dias';
+COMMENT ON TABLE maintenance_on_call IS 'Plantão de manutenção por período (noites, fins de semana), definido pelos gestores';
@@ -0,0 +1,53 @@
+-- Migração para os webhooks de saída
+-- Descrição: Assinaturas cadastradas pelo administrador para receber os eventos do chão de
+-- fábrica (status das máquinas, operações, testes de qualidade, trocas de teflon e alertas)
+-- num sistema externo (ERP, BI). Cada evento gera uma entrega por assinatura, assinada com
+-- HMAC-SHA256 do segredo da assinatura, repetida com backoff em caso de falha; as entregas
+-- que esgotam as tentativas ficam como mortas (dead) até serem reenviadas
+
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    secret VARCHAR(128) NOT NULL,
+    event_types TEXT[] NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id SERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_id UUID NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'delivered', 'retrying', 'dead')),
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 8,
+    next_retry_at TIMESTAMP,
+    last_attempt_at TIMESTAMP,
+    response_status INTEGER,
+    response_body TEXT,
+    error_message TEXT,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_events ON webhook_subscriptions USING GIN (event_types)
+    WHERE is_active = true;
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_retry ON webhook_deliveries(next_retry_at)
+    WHERE status = 'retrying';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription ON webhook_deliveries(subscription_id, status, created_at);
+
+DROP TRIGGER IF EXISTS update_webhook_subscriptions_updated_at ON webhook_subscriptions;
+CREATE TRIGGER update_webhook_subscriptions_updated_at BEFORE UPDATE ON webhook_subscriptions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE webhook_subscriptions IS 'Assinaturas de webhooks de saída para sistemas externos';
+COMMENT ON COLUMN webhook_subscriptions.secret IS 'Segredo da assinatura HMAC-SHA256 (X-Zara-Signature sobre "<timestamp>.<corpo>")';
+COMMENT ON COLUMN webhook_subscriptions.event_types IS 'Eventos assinados: machine:status:changed, operation:started, operation:ended, quality-test:created, quality-test:failed, teflon:changed, alert:created';
+COMMENT ON TABLE webhook_deliveries IS 'Entregas dos eventos às assinaturas, com tentativas e resposta do destino';
+COMMENT ON COLUMN webhook_deliveries.event_id IS 'ID do evento, igual em todas as assinaturas e nos reenvios (chave de idempotência do destino)';
+COMMENT ON COLUMN webhook_deliveries.status IS 'pending, delivered, retrying (aguardando nova tentativa) ou dead (tentativas esgotadas ou erro permanente)';
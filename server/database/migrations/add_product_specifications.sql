@@ -0,0 +1,54 @@
+-- Migração para adicionar especificações de qualidade por produto
+-- Descrição: Valor nominal e tolerâncias de cada dimensão medida em quality_tests,
+-- por produto (e opcionalmente por lote) conforme machine_configs.produto/lote
+
+CREATE TABLE IF NOT EXISTS product_specifications (
+    id SERIAL PRIMARY KEY,
+    product VARCHAR(255) NOT NULL,
+    lot VARCHAR(255), -- NULL = vale para todos os lotes do produto
+    description TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Uma especificação por produto/lote (lote vazio = especificação geral do produto)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_product_specifications_product_lot
+    ON product_specifications(product, COALESCE(lot, ''));
+
+-- Limites por dimensão; tolerâncias são desvios em relação ao nominal
+CREATE TABLE IF NOT EXISTS product_specification_limits (
+    id SERIAL PRIMARY KEY,
+    specification_id INTEGER NOT NULL REFERENCES product_specifications(id) ON DELETE CASCADE,
+    dimension VARCHAR(50) NOT NULL, -- packageWidth, bottomSize, sideSize, zipperDistance, facilitatorDistance
+    nominal FLOAT NOT NULL,
+    lower_tolerance FLOAT NOT NULL DEFAULT 0,
+    upper_tolerance FLOAT NOT NULL DEFAULT 0,
+    unit VARCHAR(20) DEFAULT 'mm',
+    UNIQUE(specification_id, dimension)
+);
+
+CREATE INDEX IF NOT EXISTS idx_product_specification_limits_spec ON product_specification_limits(specification_id);
+
+-- Resultado da avaliação automática gravado no teste
+ALTER TABLE quality_tests
+ADD COLUMN IF NOT EXISTS specification_id INTEGER REFERENCES product_specifications(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS dimension_results JSONB;
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_product_specifications_updated_at ON product_specifications;
+CREATE TRIGGER update_product_specifications_updated_at BEFORE UPDATE ON product_specifications FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE product_specifications IS 'Especificação digital de qualidade por produto (e lote)';
+COMMENT ON COLUMN product_specification_limits.lower_tolerance IS 'Desvio máximo abaixo do nominal (valor positivo)';
+COMMENT ON COLUMN product_specification_limits.upper_tolerance IS 'Desvio máximo acima do nominal (valor positivo)';
+COMMENT ON COLUMN quality_tests.dimension_results IS 'Aprovação por dimensão calculada contra a especificação do produto';
@@ -0,0 +1,20 @@
+-- Migração para o motor único de produção em tempo real
+-- Descrição: Registra até quando a produção de cada turno já foi calculada e por qual
+-- estratégia (BPM, contador ou manual), independente de outras atualizações em shift_data
+
+ALTER TABLE shift_data ADD COLUMN IF NOT EXISTS production_calculated_at TIMESTAMP;
+ALTER TABLE shift_data ADD COLUMN IF NOT EXISTS production_strategy VARCHAR(20);
+
+-- Velocidades fracionárias (peças/min) entram na integração sem arredondamento
+ALTER TABLE shift_data ALTER COLUMN last_known_speed TYPE FLOAT;
+
+-- Turnos já existentes continuam a partir da última atualização
+UPDATE shift_data
+SET production_calculated_at = COALESCE(updated_at, created_at)
+WHERE production_calculated_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_shift_data_machine_shift ON shift_data(machine_id, shift_date, shift_type);
+CREATE INDEX IF NOT EXISTS idx_production_bmp_history_machine_changed ON production_bmp_history(machine_id, changed_at);
+
+COMMENT ON COLUMN shift_data.production_calculated_at IS 'Momento até o qual o motor de produção já contabilizou produção e parada';
+COMMENT ON COLUMN shift_data.production_strategy IS 'Estratégia de cálculo usada no turno: BPM, COUNTER ou MANUAL';
@@ -0,0 +1,107 @@
+-- Migração para adicionar o livro de eventos de produção
+-- Descrição: Registro somente de inclusão (velocidade, início, parada, incremento, refugo,
+-- correção e zeragem do contador de testes). Totais de turno, OEE e pop-ups são derivados
+-- destes eventos e podem ser reconstruídos por período (replay)
+
+CREATE TABLE IF NOT EXISTS production_events (
+    id BIGSERIAL PRIMARY KEY,
+    -- Sem ON DELETE: máquinas são desativadas, nunca removidas, e o livro não aceita exclusão
+    machine_id INTEGER NOT NULL REFERENCES machines(id),
+    event_type VARCHAR(20) NOT NULL CHECK (event_type IN (
+        'SPEED_CHANGE', 'START', 'STOP', 'INCREMENT', 'SCRAP', 'CORRECTION', 'COUNTER_RESET'
+    )),
+    quantity NUMERIC(14,3),
+    speed NUMERIC(10,2),
+    source VARCHAR(20) NOT NULL,
+    -- Registro de turno ao qual o evento foi atribuído (sem FK para não depender do ciclo de vida de shift_data)
+    shift_data_id INTEGER,
+    operator_id INTEGER REFERENCES users(id),
+    created_by INTEGER REFERENCES users(id),
+    reason TEXT,
+    metadata JSONB NOT NULL DEFAULT '{}',
+    occurred_at TIMESTAMP NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_production_events_machine_occurred ON production_events(machine_id, occurred_at);
+CREATE INDEX IF NOT EXISTS idx_production_events_shift_data ON production_events(shift_data_id);
+CREATE INDEX IF NOT EXISTS idx_production_events_type ON production_events(event_type);
+
+-- Saldo de abertura: a produção já registrada em shift_data antes do livro entra como uma
+-- correção por turno, para que o replay de períodos antigos reconstrua o mesmo total
+INSERT INTO production_events (machine_id, event_type, quantity, source, shift_data_id, operator_id, reason, metadata, occurred_at)
+SELECT sd.machine_id, 'CORRECTION', sd.total_production, 'SYSTEM', sd.id, sd.operator_id,
+       'Saldo de abertura do livro de eventos', jsonb_build_object('openingBalance', true),
+       COALESCE(sd.start_time, sd.shift_date::timestamp)
+FROM shift_data sd
+WHERE COALESCE(sd.total_production, 0) <> 0
+  AND NOT EXISTS (SELECT 1 FROM production_events pe WHERE pe.shift_data_id = sd.id);
+
+-- O livro é somente de inclusão: ajustes entram como eventos CORRECTION
+CREATE OR REPLACE FUNCTION prevent_production_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'production_events é somente de inclusão; registre um evento de correção';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS production_events_append_only ON production_events;
+CREATE TRIGGER production_events_append_only
+    BEFORE UPDATE OR DELETE ON production_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_production_event_changes();
+
+DROP TRIGGER IF EXISTS production_events_no_truncate ON production_events;
+CREATE TRIGGER production_events_no_truncate
+    BEFORE TRUNCATE ON production_events
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_production_event_changes();
+
+-- Início e parada são registrados a partir do histórico de status (manual ou pelo sinal da máquina)
+CREATE OR REPLACE FUNCTION record_status_production_event()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.new_status = 'FUNCIONANDO' AND COALESCE(NEW.previous_status, '') <> 'FUNCIONANDO' THEN
+        INSERT INTO production_events (machine_id, event_type, source, created_by, reason, metadata, occurred_at)
+        VALUES (NEW.machine_id, 'START', CASE WHEN NEW.user_id IS NULL THEN 'SIGNAL' ELSE 'OPERATOR' END,
+                NEW.user_id, NEW.reason, jsonb_build_object('previousStatus', NEW.previous_status),
+                COALESCE(NEW.created_at, CURRENT_TIMESTAMP));
+    ELSIF NEW.previous_status = 'FUNCIONANDO' AND NEW.new_status <> 'FUNCIONANDO' THEN
+        INSERT INTO production_events (machine_id, event_type, source, created_by, reason, metadata, occurred_at)
+        VALUES (NEW.machine_id, 'STOP', CASE WHEN NEW.user_id IS NULL THEN 'SIGNAL' ELSE 'OPERATOR' END,
+                NEW.user_id, NEW.reason, jsonb_build_object('newStatus', NEW.new_status),
+                COALESCE(NEW.created_at, CURRENT_TIMESTAMP));
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS machine_status_history_production_event ON machine_status_history;
+CREATE TRIGGER machine_status_history_production_event
+    AFTER INSERT ON machine_status_history
+    FOR EACH ROW
+    EXECUTE FUNCTION record_status_production_event();
+
+-- Execuções de replay (reconstrução dos agregados a partir do livro)
+CREATE TABLE IF NOT EXISTS production_ledger_replays (
+    id SERIAL PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    machine_id INTEGER REFERENCES machines(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'RUNNING' CHECK (status IN ('RUNNING', 'COMPLETED', 'FAILED')),
+    shifts_rebuilt INTEGER DEFAULT 0,
+    shifts_skipped INTEGER DEFAULT 0,
+    counters_rebuilt INTEGER DEFAULT 0,
+    changes JSONB NOT NULL DEFAULT '[]',
+    error_message TEXT,
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    finished_at TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_production_ledger_replays_started ON production_ledger_replays(started_at DESC);
+
+COMMENT ON TABLE production_events IS 'Livro de eventos de produção (somente inclusão); fonte dos totais de turno, OEE e pop-ups';
+COMMENT ON COLUMN production_events.quantity IS 'Peças do evento (INCREMENT/SCRAP positivos; CORRECTION com sinal)';
+COMMENT ON COLUMN production_events.source IS 'Origem: BPM, COUNTER, MANUAL (motor), OPERATOR, SIGNAL, LEADER, QUALITY_TEST ou SYSTEM';
+COMMENT ON TABLE production_ledger_replays IS 'Reconstruções de totais de turno e contadores a partir do livro de eventos';
@@ -0,0 +1,62 @@
+-- Migração para adicionar ordens de produção com roteiro por máquina
+-- Descrição: Ordens com produto, lote, quantidade planejada e prazo, atribuídas a uma ou
+-- mais máquinas em sequência (fila de cada máquina). O operador escolhe a ordem ao iniciar
+-- a operação; o progresso vem dos eventos do livro de produção marcados com a ordem e a
+-- ordem é concluída automaticamente quando as peças boas atingem o planejado
+
+CREATE TABLE IF NOT EXISTS production_orders (
+    id SERIAL PRIMARY KEY,
+    order_number VARCHAR(50) UNIQUE NOT NULL,
+    product VARCHAR(255) NOT NULL,
+    lot VARCHAR(100),
+    planned_quantity INTEGER NOT NULL CHECK (planned_quantity > 0),
+    -- Projeções do livro: incrementos + correções e refugo dos eventos da ordem
+    produced_quantity NUMERIC(14,3) NOT NULL DEFAULT 0,
+    scrap_quantity NUMERIC(14,3) NOT NULL DEFAULT 0,
+    due_date DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'PLANNED'
+        CHECK (status IN ('PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED')),
+    notes TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_production_orders_status ON production_orders(status);
+CREATE INDEX IF NOT EXISTS idx_production_orders_due_date ON production_orders(due_date);
+
+DROP TRIGGER IF EXISTS update_production_orders_updated_at ON production_orders;
+CREATE TRIGGER update_production_orders_updated_at BEFORE UPDATE ON production_orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Roteiro: máquinas da ordem e posição na fila de cada máquina
+CREATE TABLE IF NOT EXISTS production_order_machines (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES production_orders(id) ON DELETE CASCADE,
+    machine_id INTEGER NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+    sequence INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (order_id, machine_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_production_order_machines_queue ON production_order_machines(machine_id, sequence);
+
+-- Ordem escolhida ao iniciar a operação
+ALTER TABLE machine_operations
+ADD COLUMN IF NOT EXISTS production_order_id INTEGER REFERENCES production_orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_machine_operations_production_order ON machine_operations(production_order_id);
+
+-- Eventos do livro marcados com a ordem em produção
+ALTER TABLE production_events
+ADD COLUMN IF NOT EXISTS production_order_id INTEGER REFERENCES production_orders(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_production_events_order ON production_events(production_order_id) WHERE production_order_id IS NOT NULL;
+
+COMMENT ON TABLE production_orders IS 'Ordens de produção: produto, lote, quantidade planejada e prazo';
+COMMENT ON COLUMN production_orders.produced_quantity IS 'Incrementos e correções do livro de produção marcados com a ordem';
+COMMENT ON COLUMN production_orders.scrap_quantity IS 'Refugo do livro de produção marcado com a ordem';
+COMMENT ON TABLE production_order_machines IS 'Roteiro da ordem: máquinas atribuídas e posição na fila de cada uma';
+COMMENT ON COLUMN machine_operations.production_order_id IS 'Ordem de produção escolhida ao iniciar a operação';
+COMMENT ON COLUMN production_events.production_order_id IS 'Ordem de produção ativa na máquina quando o evento foi registrado';
@@ -0,0 +1,46 @@
+-- Migração para adicionar assinaturas de relatórios
+-- Descrição: Gestores assinam qualquer relatório de /api/reports com filtros,
+-- agenda cron e destinatários; cada execução grava um snapshot em reports
+
+CREATE TABLE IF NOT EXISTS report_subscriptions (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    report_type VARCHAR(100) NOT NULL, -- quality-metrics, oee-summary, ...
+    filters JSONB NOT NULL DEFAULT '{}', -- { machineIds, dateWindow, userId, status, period }
+    format VARCHAR(10) NOT NULL DEFAULT 'pdf', -- pdf, xlsx ou csv
+    cron_expression VARCHAR(100) NOT NULL,
+    recipients TEXT[] NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    last_run_at TIMESTAMP,
+    last_status VARCHAR(20), -- SUCCESS ou FAILED
+    last_error TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_active ON report_subscriptions(is_active);
+CREATE INDEX IF NOT EXISTS idx_report_subscriptions_created_by ON report_subscriptions(created_by);
+
+-- Snapshots gerados pelas assinaturas
+ALTER TABLE reports
+ADD COLUMN IF NOT EXISTS subscription_id INTEGER REFERENCES report_subscriptions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS format VARCHAR(10);
+
+CREATE INDEX IF NOT EXISTS idx_reports_subscription_id ON reports(subscription_id);
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_report_subscriptions_updated_at ON report_subscriptions;
+CREATE TRIGGER update_report_subscriptions_updated_at BEFORE UPDATE ON report_subscriptions FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE report_subscriptions IS 'Assinaturas de relatórios enviados por email conforme agenda cron';
+COMMENT ON COLUMN report_subscriptions.filters IS 'Filtros do relatório; dateWindow é resolvido no momento da execução (ex.: PREVIOUS_SHIFT, LAST_7_DAYS)';
+COMMENT ON COLUMN reports.subscription_id IS 'Assinatura que gerou o snapshot (NULL para relatórios avulsos)';
@@ -0,0 +1,67 @@
+-- Migração para adicionar registro de refugo e retrabalho na máquina
+-- Descrição: Catálogo de motivos de refugo/retrabalho, lançamentos por operação
+-- (quantidade, motivo e foto opcional) e totais por turno em shift_data.
+-- Refugo também entra no livro de eventos (SCRAP); retrabalho fica apenas em scrap_records
+
+-- Catálogo de motivos
+CREATE TABLE IF NOT EXISTS scrap_reasons (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(50) UNIQUE NOT NULL,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    applies_to VARCHAR(20) CHECK (applies_to IN ('SCRAP', 'REWORK')), -- NULL = ambos
+    sort_order INTEGER DEFAULT 0,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrap_reasons_active ON scrap_reasons(is_active);
+
+DROP TRIGGER IF EXISTS update_scrap_reasons_updated_at ON scrap_reasons;
+CREATE TRIGGER update_scrap_reasons_updated_at BEFORE UPDATE ON scrap_reasons FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO scrap_reasons (code, name, applies_to, sort_order) VALUES
+('SCR-SOLDA', 'Solda aberta ou fraca', NULL, 10),
+('SCR-CORTE', 'Corte fora de medida', NULL, 20),
+('SCR-IMPRESSAO', 'Falha de impressão', NULL, 30),
+('SCR-MATERIAL', 'Material com defeito', 'SCRAP', 40),
+('SCR-CONTAMINACAO', 'Contaminação ou sujeira', 'SCRAP', 50),
+('SCR-PARTIDA', 'Perda de partida / ajuste', 'SCRAP', 60),
+('RWK-REEMBALAGEM', 'Reembalagem', 'REWORK', 70),
+('RWK-RESSOLDA', 'Ressolda manual', 'REWORK', 80)
+ON CONFLICT (code) DO NOTHING;
+
+-- Lançamentos de refugo e retrabalho
+CREATE TABLE IF NOT EXISTS scrap_records (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL REFERENCES machines(id),
+    operation_id INTEGER REFERENCES machine_operations(id) ON DELETE SET NULL,
+    shift_data_id INTEGER REFERENCES shift_data(id) ON DELETE SET NULL,
+    record_type VARCHAR(20) NOT NULL CHECK (record_type IN ('SCRAP', 'REWORK')),
+    reason_id INTEGER NOT NULL REFERENCES scrap_reasons(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    photo_url VARCHAR(500),
+    notes TEXT,
+    -- Evento SCRAP correspondente no livro de produção (NULL para retrabalho)
+    production_event_id BIGINT,
+    recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    recorded_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_scrap_records_machine_recorded ON scrap_records(machine_id, recorded_at);
+CREATE INDEX IF NOT EXISTS idx_scrap_records_operation ON scrap_records(operation_id);
+CREATE INDEX IF NOT EXISTS idx_scrap_records_shift_data ON scrap_records(shift_data_id);
+CREATE INDEX IF NOT EXISTS idx_scrap_records_reason ON scrap_records(reason_id);
+
+-- Totais do turno (mantidos junto com os lançamentos; o refugo é reconstruído pelo replay do livro)
+ALTER TABLE shift_data
+ADD COLUMN IF NOT EXISTS scrap_quantity NUMERIC(14,3) NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS rework_quantity INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON TABLE scrap_reasons IS 'Catálogo de motivos de refugo e retrabalho';
+COMMENT ON COLUMN scrap_reasons.applies_to IS 'SCRAP, REWORK ou NULL (ambos)';
+COMMENT ON TABLE scrap_records IS 'Refugo e retrabalho lançados na máquina durante a operação';
+COMMENT ON COLUMN shift_data.scrap_quantity IS 'Peças refugadas no turno (eventos SCRAP do livro de produção)';
+COMMENT ON COLUMN shift_data.rework_quantity IS 'Peças retrabalhadas no turno';
@@ -0,0 +1,81 @@
+-- Migração para adicionar reconciliação de produção por turno
+-- Descrição: Compara a produção teórica (shift_data.total_production, calculada pelo BPM)
+-- com a quantidade contada pelo operador, exige justificativa ou correção do líder quando
+-- a diferença passa do limite e trava os registros do turno após a reconciliação
+
+-- Limite de diferença por máquina (sem registro usa SHIFT_RECONCILIATION_THRESHOLD_PERCENT, padrão 5%)
+CREATE TABLE IF NOT EXISTS shift_reconciliation_thresholds (
+    machine_id INTEGER PRIMARY KEY REFERENCES machines(id) ON DELETE CASCADE,
+    threshold_percent NUMERIC(5,2) NOT NULL CHECK (threshold_percent >= 0 AND threshold_percent <= 100),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reconciliação por máquina/turno (agrega os registros de shift_data de todos os operadores)
+CREATE TABLE IF NOT EXISTS shift_reconciliations (
+    id SERIAL PRIMARY KEY,
+    machine_id INTEGER NOT NULL REFERENCES machines(id) ON DELETE CASCADE,
+    shift_date DATE NOT NULL,
+    shift_type VARCHAR(20) NOT NULL,
+    theoretical_quantity NUMERIC(14,2) NOT NULL DEFAULT 0,
+    measured_quantity INTEGER,
+    counted_quantity INTEGER NOT NULL CHECK (counted_quantity >= 0),
+    count_notes TEXT,
+    counted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    counted_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    variance NUMERIC(14,2) NOT NULL DEFAULT 0,
+    variance_percent NUMERIC(7,2) NOT NULL DEFAULT 0,
+    threshold_percent NUMERIC(5,2) NOT NULL,
+    status VARCHAR(20) NOT NULL CHECK (status IN ('FLAGGED', 'RECONCILED')),
+    resolution VARCHAR(20) CHECK (resolution IN ('AUTO', 'JUSTIFIED', 'CORRECTED')),
+    justification TEXT,
+    reconciled_quantity INTEGER,
+    reconciled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reconciled_at TIMESTAMP,
+    reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reopened_at TIMESTAMP,
+    reopen_reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (machine_id, shift_date, shift_type)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_reconciliations_status ON shift_reconciliations(status);
+CREATE INDEX IF NOT EXISTS idx_shift_reconciliations_shift_date ON shift_reconciliations(shift_date);
+
+-- Trava dos registros de turno reconciliados
+ALTER TABLE shift_data ADD COLUMN IF NOT EXISTS is_locked BOOLEAN DEFAULT false;
+ALTER TABLE shift_data ADD COLUMN IF NOT EXISTS locked_at TIMESTAMP;
+
+-- Registros travados mantêm a produção mesmo que algum serviço em tempo real tente atualizá-los
+CREATE OR REPLACE FUNCTION protect_locked_shift_data()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.is_locked AND NEW.is_locked THEN
+        NEW.total_production = OLD.total_production;
+        NEW.efficiency = OLD.efficiency;
+        NEW.downtime = OLD.downtime;
+    END IF;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS protect_locked_shift_data ON shift_data;
+CREATE TRIGGER protect_locked_shift_data BEFORE UPDATE ON shift_data FOR EACH ROW EXECUTE FUNCTION protect_locked_shift_data();
+
+-- Trigger para updated_at
+CREATE OR REPLACE FUNCTION update_updated_at_column()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.updated_at = CURRENT_TIMESTAMP;
+    RETURN NEW;
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS update_shift_reconciliations_updated_at ON shift_reconciliations;
+CREATE TRIGGER update_shift_reconciliations_updated_at BEFORE UPDATE ON shift_reconciliations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE shift_reconciliations IS 'Reconciliação entre produção teórica e contada por máquina/turno';
+COMMENT ON COLUMN shift_reconciliations.measured_quantity IS 'Ciclos do contador real da máquina no turno (machine_counter_readings), quando houver';
+COMMENT ON COLUMN shift_reconciliations.reconciled_quantity IS 'Quantidade aceita: contada (AUTO/JUSTIFIED) ou corrigida pelo líder (CORRECTED)';
+COMMENT ON COLUMN shift_data.is_locked IS 'Turno reconciliado; produção não é mais alterada';
@@ -0,0 +1,11 @@
+-- Migração para rastreabilidade de lote e caixa
+-- Descrição: Índices usados por /api/traceability para reconstruir o histórico de um lote
+
+CREATE INDEX IF NOT EXISTS idx_quality_tests_lot ON quality_tests(lot);
+CREATE INDEX IF NOT EXISTS idx_quality_tests_box_number ON quality_tests(box_number, lot);
+CREATE INDEX IF NOT EXISTS idx_machine_configs_lote ON machine_configs(lote);
+CREATE INDEX IF NOT EXISTS idx_machine_operations_machine_period ON machine_operations(machine_id, start_time, end_time);
+CREATE INDEX IF NOT EXISTS idx_teflon_changes_machine_date ON teflon_changes(machine_id, change_date);
+CREATE INDEX IF NOT EXISTS idx_alerts_lote ON alerts(lote);
+CREATE INDEX IF NOT EXISTS idx_alerts_caixa ON alerts(caixa);
+CREATE INDEX IF NOT EXISTS idx_alerts_machine_created_at ON alerts(machine_id, created_at);
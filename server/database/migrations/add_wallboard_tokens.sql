@@ -0,0 +1,31 @@
+-- Migração para adicionar os tokens de painel de TV (wallboard)
+-- Descrição: Cada TV do chão de fábrica recebe um token de quiosque próprio, que dá acesso
+-- somente leitura ao painel (status das máquinas, OEE, progresso do turno, alertas e testes
+-- pendentes) sem login de usuário. Só o hash do token é armazenado; o token em texto é
+-- exibido uma única vez na criação e pode ser revogado a qualquer momento
+
+CREATE TABLE IF NOT EXISTS wallboard_tokens (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(8) NOT NULL,
+    machine_ids INTEGER[],
+    rotate_seconds INTEGER NOT NULL DEFAULT 20 CHECK (rotate_seconds BETWEEN 5 AND 300),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    last_used_at TIMESTAMP,
+    revoked_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    revoked_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_wallboard_tokens_active ON wallboard_tokens(token_hash) WHERE revoked_at IS NULL;
+
+DROP TRIGGER IF EXISTS update_wallboard_tokens_updated_at ON wallboard_tokens;
+CREATE TRIGGER update_wallboard_tokens_updated_at BEFORE UPDATE ON wallboard_tokens FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+COMMENT ON TABLE wallboard_tokens IS 'Tokens de quiosque dos painéis de TV do chão de fábrica (acesso somente leitura, sem login)';
+COMMENT ON COLUMN wallboard_tokens.token_hash IS 'SHA-256 do token; o token em texto não é armazenado';
+COMMENT ON COLUMN wallboard_tokens.token_prefix IS 'Início do token, para identificar a TV na lista sem expor o token';
+COMMENT ON COLUMN wallboard_tokens.machine_ids IS 'Máquinas exibidas no painel; NULL exibe todas as máquinas ativas';
+COMMENT ON COLUMN wallboard_tokens.rotate_seconds IS 'Tempo de exibição de cada tela do painel antes de girar para a próxima';
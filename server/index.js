@@ -31,6 +31,25 @@ const uploadRoutes = require('./routes/upload');
 const permissionRoutes = require('./routes/permissions');
 const specificCasesRoutes = require('./routes/specificCases');
 const advancedProductionRoutes = require('./routes/advancedProduction');
+const downtimeReasonRoutes = require('./routes/downtimeReasons');
+const reportSubscriptionRoutes = require('./routes/reportSubscriptions');
+const productSpecificationRoutes = require('./routes/productSpecifications');
+const spcRoutes = require('./routes/spc');
+const traceabilityRoutes = require('./routes/traceability');
+const nonConformanceRoutes = require('./routes/nonConformances');
+const lotRoutes = require('./routes/lots');
+const maintenanceRoutes = require('./routes/maintenance');
+const machineSignalRoutes = require('./routes/machineSignals');
+const shiftReconciliationRoutes = require('./routes/shiftReconciliations');
+const productionLedgerRoutes = require('./routes/productionLedger');
+const scrapRoutes = require('./routes/scrap');
+const productionOrderRoutes = require('./routes/productionOrders');
+const changeoverRoutes = require('./routes/changeovers');
+const firstArticleRoutes = require('./routes/firstArticle');
+const andonRoutes = require('./routes/andon');
+const wallboardRoutes = require('./routes/wallboard');
+const onCallRoutes = require('./routes/onCall');
+const webhookRoutes = require('./routes/webhooks');
 
 // Importar middlewares
 const { authenticateToken } = require('./middleware/auth');
@@ -52,7 +71,7 @@ const socketHandler = require('./socket/socketHandler');
 // Importar serviços de notificação
 const NotificationService = require('./services/notificationService');
 const SchedulerService = require('./services/schedulerService');
-const RealTimeProductionService = require('./services/realTimeProductionService');
+const productionEngine = require('./services/productionEngine');
 const specificCasesScheduler = require('./services/specificCasesScheduler');
 const auditLogger = require('./services/auditLogger');
 const metricsService = require('./services/metricsService');
@@ -170,10 +189,9 @@ if (process.env.SCHEDULER_ENABLED === 'true') {
   LoggerService.info('Agendador de tarefas habilitado', { component: 'SCHEDULER' });
 }
 
-// Inicializar serviço de produção em tempo real
-const productionService = new RealTimeProductionService(io);
-productionService.start();
-LoggerService.info('Serviço de produção em tempo real iniciado', { component: 'PRODUCTION_SERVICE' });
+// Inicializar motor de produção em tempo real
+productionEngine.start(io);
+LoggerService.info('Motor de produção em tempo real iniciado', { component: 'PRODUCTION_ENGINE' });
 
 // Inicializar agendador de casos específicos
 if (process.env.SPECIFIC_CASES_SCHEDULER_ENABLED !== 'false') {
@@ -209,6 +227,26 @@ app.use('/api/upload', strictRateLimit, authenticateToken, uploadRoutes); // Rat
 app.use('/api/permissions', authenticateToken, permissionRoutes);
 app.use('/api/specific-cases', authenticateToken, specificCasesRoutes);
 app.use('/api/advanced-production', authenticateToken, advancedProductionRoutes);
+app.use('/api/downtime-reasons', authenticateToken, downtimeReasonRoutes);
+app.use('/api/report-subscriptions', authenticateToken, reportSubscriptionRoutes);
+app.use('/api/product-specifications', authenticateToken, productSpecificationRoutes);
+app.use('/api/spc', authenticateToken, spcRoutes);
+app.use('/api/traceability', authenticateToken, traceabilityRoutes);
+app.use('/api/non-conformances', authenticateToken, nonConformanceRoutes);
+app.use('/api/lots', authenticateToken, lotRoutes);
+app.use('/api/maintenance', authenticateToken, maintenanceRoutes);
+app.use('/api/machine-signals', authenticateToken, machineSignalRoutes);
+app.use('/api/shift-reconciliations', authenticateToken, shiftReconciliationRoutes);
+app.use('/api/production-ledger', authenticateToken, productionLedgerRoutes);
+app.use('/api/scrap', authenticateToken, scrapRoutes);
+app.use('/api/production-orders', authenticateToken, productionOrderRoutes);
+app.use('/api/changeovers', authenticateToken, changeoverRoutes);
+app.use('/api/first-article', authenticateToken, firstArticleRoutes);
+app.use('/api/andon', authenticateToken, andonRoutes);
+app.use('/api/on-call', authenticateToken, onCallRoutes);
+app.use('/api/webhooks', authenticateToken, webhookRoutes);
+// Painéis de TV: a fotografia usa o token de quiosque; o cadastro dos painéis exige login
+app.use('/api/wallboard', wallboardRoutes);
 app.use('/api/shifts', authenticateToken, require('./routes/shifts'));
 app.use('/api/alerts', authenticateToken, require('./routes/alerts'));
 app.use('/api/audit', authenticateToken, require('./routes/audit'));
@@ -293,6 +331,26 @@ server.listen(PORT, '0.0.0.0', async () => {
     LoggerService.error('Erro ao inicializar status das máquinas', error, { component: 'MACHINE_STATUS' });
     // Não falhar a inicialização do servidor por causa disso
   }
+
+  // Agendar assinaturas de relatório ativas
+  try {
+    const reportSubscriptionService = require('./services/reportSubscriptionService');
+    const scheduled = await reportSubscriptionService.scheduleActiveSubscriptions();
+    LoggerService.info(`${scheduled} assinaturas de relatório agendadas`, { component: 'REPORT_SUBSCRIPTIONS' });
+  } catch (error) {
+    LoggerService.error('Erro ao agendar assinaturas de relatório', error, { component: 'REPORT_SUBSCRIPTIONS' });
+  }
+
+  // Conectar fontes de sinal reais das máquinas (CLP/MQTT/Modbus/simulador)
+  if (process.env.MACHINE_INGESTION_ENABLED !== 'false') {
+    try {
+      const machineIngestionService = require('./services/machineIngestionService');
+      const connected = await machineIngestionService.start(io);
+      LoggerService.info(`${connected} fontes de sinal de máquinas conectadas`, { component: 'MACHINE_INGESTION' });
+    } catch (error) {
+      LoggerService.error('Erro ao iniciar ingestão de sinais das máquinas', error, { component: 'MACHINE_INGESTION' });
+    }
+  }
 });
 
 // Os handlers de shutdown graceful são configurados automaticamente pelo gracefulShutdown.setup()
@@ -0,0 +1,49 @@
+const pool = require('../config/database');
+
+/**
+ * Middleware para início de operação
+ * Bloqueia o início enquanto houver uma troca de produto/lote em andamento na máquina:
+ * a operação só começa depois da liberação (checklist completo e primeira peça aprovada).
+ */
+const requireNoOpenChangeover = async (req, res, next) => {
+  try {
+    const identifier = req.params.id || req.body.machineId;
+
+    if (!identifier) {
+      return next();
+    }
+
+    // Rotas de máquina aceitam ID numérico ou código
+    const result = await pool.query(
+      `SELECT c.id, c.to_product, c.to_lot, c.started_at
+       FROM changeovers c
+       JOIN machines m ON m.id = c.machine_id
+       WHERE ${/^\d+$/.test(String(identifier)) ? 'm.id' : 'm.code'} = $1 AND c.status = 'IN_SETUP'
+       LIMIT 1`,
+      [identifier]
+    );
+    const changeover = result.rows[0];
+
+    if (!changeover) {
+      return next();
+    }
+
+    return res.status(409).json({
+      error: 'CHANGEOVER_IN_PROGRESS',
+      message: 'Troca de produto em andamento. Conclua o checklist e libere a máquina antes de iniciar a operação.',
+      changeover: {
+        id: changeover.id,
+        toProduct: changeover.to_product,
+        toLot: changeover.to_lot,
+        startedAt: changeover.started_at
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao verificar troca em andamento:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  requireNoOpenChangeover
+};
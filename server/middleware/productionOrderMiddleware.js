@@ -0,0 +1,74 @@
+const pool = require('../config/database');
+const productionOrderService = require('../services/productionOrderService');
+
+/**
+ * Middleware para início de operação
+ * Exige a escolha de uma ordem da fila da máquina (productionOrderId) quando há ordens
+ * programadas para ela. A ordem fica em req.productionOrder: a verificação de lote liberado
+ * usa o lote da ordem e a rota grava produto e lote na máquina só quando a operação inicia.
+ * Máquinas sem ordens na fila continuam iniciando sem ordem.
+ */
+const selectProductionOrder = async (req, res, next) => {
+  try {
+    const identifier = req.params.id || req.body.machineId;
+
+    if (!identifier) {
+      return next();
+    }
+
+    // Rotas de máquina aceitam ID numérico ou código
+    const machineResult = await pool.query(
+      /^\d+$/.test(String(identifier))
+        ? 'SELECT id FROM machines WHERE id = $1'
+        : 'SELECT id FROM machines WHERE code = $1',
+      [identifier]
+    );
+    const machine = machineResult.rows[0];
+
+    if (!machine) {
+      return next();
+    }
+
+    // Máquina já em operação: a rota recusa o início sem mexer na configuração
+    const activeResult = await pool.query(
+      "SELECT id FROM machine_operations WHERE machine_id = $1 AND status = 'ACTIVE' LIMIT 1",
+      [machine.id]
+    );
+    if (activeResult.rows.length > 0) {
+      return next();
+    }
+
+    const queue = await productionOrderService.getMachineQueue(machine.id);
+    const { productionOrderId } = req.body;
+
+    if (!productionOrderId) {
+      if (queue.length === 0) {
+        return next();
+      }
+      return res.status(400).json({
+        error: 'PRODUCTION_ORDER_REQUIRED',
+        message: 'Selecione a ordem de produção para iniciar a operação.',
+        orders: queue
+      });
+    }
+
+    const order = queue.find(item => item.id === parseInt(productionOrderId));
+    if (!order) {
+      return res.status(400).json({
+        error: 'PRODUCTION_ORDER_NOT_AVAILABLE',
+        message: 'Ordem de produção não está na fila desta máquina ou já foi encerrada.',
+        orders: queue
+      });
+    }
+
+    req.productionOrder = order;
+    next();
+  } catch (error) {
+    console.error('Erro ao verificar ordem de produção:', error);
+    next(error);
+  }
+};
+
+module.exports = {
+  selectProductionOrder
+};
@@ -1,4 +1,6 @@
 const pool = require('../config/database');
+const lotStatusService = require('../services/lotStatusService');
+const firstArticleService = require('../services/firstArticleService');
 
 /**
  * Validar configurações críticas de qualidade
@@ -243,11 +245,74 @@ const requireQualityTestsForProduction = async (req, res, next) => {
 };
 
 /**
- * Obter status de testes obrigatórios para uma máquina
+ * Middleware para operações de produção
+ * Bloqueia o início de operação quando o lote configurado na máquina está retido,
+ * em quarentena ou sucateado. Líderes podem liberar excepcionalmente um lote retido
+ * ou em quarentena enviando overrideLotHold e overrideReason. A liberação fica em
+ * req.lotOverride e só é registrada pelo início de operação, depois que a operação é criada.
+ */
+const requireReleasedLot = async (req, res, next) => {
+  try {
+    const identifier = req.params.id || req.body.machineId;
+
+    if (!identifier) {
+      return next();
+    }
+
+    // Rotas de máquina aceitam ID numérico ou código
+    const machineResult = await pool.query(
+      /^\d+$/.test(String(identifier))
+        ? 'SELECT id FROM machines WHERE id = $1'
+        : 'SELECT id FROM machines WHERE code = $1',
+      [identifier]
+    );
+    const machine = machineResult.rows[0];
+
+    if (!machine) {
+      return next();
+    }
+
+    // Com ordem escolhida (selectProductionOrder), o lote verificado é o da ordem
+    const lotStatus = await lotStatusService.getMachineLotStatus(machine.id, req.productionOrder);
+
+    if (!lotStatus || !lotStatus.blocked) {
+      return next();
+    }
+
+    const { overrideLotHold, overrideReason } = req.body;
+    const isLeader = ['LEADER', 'MANAGER', 'ADMIN'].includes(req.user?.role);
+
+    if (overrideLotHold && isLeader && lotStatus.overridable && overrideReason && overrideReason.trim()) {
+      req.lotOverride = {
+        lotStatus,
+        reason: overrideReason.trim(),
+        userId: req.user.id,
+        machineId: machine.id
+      };
+      return next();
+    }
+
+    return res.status(403).json({
+      error: 'PRODUCTION_BLOCKED_BY_LOT_HOLD',
+      message: `Produção bloqueada: lote ${lotStatus.lot} está ${lotStatusService.STATUS_LABELS[lotStatus.status].toLowerCase()}.`,
+      lot: lotStatus,
+      // Indica ao cliente se um líder pode autorizar com justificativa
+      canOverride: isLeader && lotStatus.overridable
+    });
+  } catch (error) {
+    // Sem confirmar o status do lote a produção não começa: o bloqueio falha fechado
+    console.error('Erro ao verificar status do lote:', error);
+    next(error);
+  }
+};
+
+/**
+ * Obter status de testes obrigatórios para uma máquina,
+ * incluindo a inspeção da primeira peça pendente (FAI)
  */
 const getQualityTestStatus = async (req, res) => {
   try {
-    const { machineId } = req.params;
+    const machineId = req.params.machineId || req.params.id;
     
     const configsResult = await pool.query(`
       SELECT qtc.*, m.name as machine_name
@@ -275,11 +340,14 @@ const getQualityTestStatus = async (req, res) => {
       });
     }
 
+    const firstArticle = await firstArticleService.getPendingRequest(parseInt(machineId));
+
     res.json({
       machineId: parseInt(machineId),
       machineName: configs[0]?.machine?.name || 'Máquina não encontrada',
       configs: status,
-      overallStatus: status.some(s => s.status === 'PENDING') ? 'PENDING' : 'OK'
+      firstArticle,
+      overallStatus: firstArticle || status.some(s => s.status === 'PENDING') ? 'PENDING' : 'OK'
     });
   } catch (error) {
     console.error('Erro ao obter status de testes:', error);
@@ -291,6 +359,7 @@ module.exports = {
   validateCriticalQualityConfig,
   checkRequiredQualityTests,
   requireQualityTestsForProduction,
+  requireReleasedLot,
   getQualityTestStatus,
   checkPendingTests
 };
\ No newline at end of file
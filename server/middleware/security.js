@@ -184,9 +184,10 @@ const corsOptions = {
     'Accept',
     'Authorization',
     'Cache-Control',
-    'X-Request-ID'
+    'X-Request-ID',
+    'X-Kiosk-Token'
   ],
-  exposedHeaders: ['X-Request-ID', 'X-Rate-Limit-Remaining'],
+  exposedHeaders: ['X-Request-ID', 'X-Rate-Limit-Remaining', 'Content-Disposition'],
   maxAge: 86400 // 24 horas
 };
 
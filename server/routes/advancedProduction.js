@@ -3,7 +3,7 @@ const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { validateRequest } = require('../middleware/validation');
 const pool = require('../config/database');
-const AdvancedRealTimeProductionService = require('../services/advancedRealTimeProductionService');
+const productionLedgerService = require('../services/productionLedgerService');
 
 // Middleware de autenticação para todas as rotas
 router.use(authenticateToken);
@@ -54,6 +54,15 @@ router.post('/update-bpm', async (req, res) => {
       [machineId, bpm, previousBPM, operatorId]
     );
     
+    await productionLedgerService.recordEvent({
+      machineId,
+      type: 'SPEED_CHANGE',
+      speed: bpm,
+      source: 'OPERATOR',
+      userId: operatorId,
+      metadata: { previousSpeed: previousBPM }
+    });
+    
     // Log da mudança
     console.log(`⚡ BPM atualizado - Máquina ${machine.name}: ${previousBPM} → ${bpm} BPM (por ${req.user.name})`);
     
@@ -2,7 +2,9 @@ const express = require('express');
 const router = express.Router();
 const notificationService = require('../services/notificationService');
 const externalNotificationService = require('../services/externalNotifications');
-const { authenticateToken } = require('../middleware/auth');
+const notificationDeliveryService = require('../services/notificationDeliveryService');
+const alertEscalationService = require('../services/alertEscalationService');
+const { authenticateToken, requireLeader, requireAdmin } = require('../middleware/auth');
 const pool = require('../config/database');
 
 /**
@@ -127,6 +129,7 @@ router.get('/', authenticateToken, async (req, res) => {
       lote,
       type,
       priority,
+      status,
       start_date,
       end_date,
       limit = 50,
@@ -138,6 +141,7 @@ router.get('/', authenticateToken, async (req, res) => {
       lote,
       type,
       priority,
+      status,
       start_date,
       end_date,
       limit: Math.min(parseInt(limit) || 50, 100), // Máximo 100
@@ -452,6 +456,9 @@ router.get('/test-external', authenticateToken, async (req, res) => {
     }
 
     const connections = await externalNotificationService.testConnections();
+    const providers = Object.fromEntries(
+      notificationDeliveryService.getChannelProviders().map(item => [item.channel, item.provider || 'Desligado'])
+    );
     
     res.json({
       success: true,
@@ -460,17 +467,17 @@ router.get('/test-external', authenticateToken, async (req, res) => {
         email: {
           connected: connections.email,
           status: connections.email ? 'Conectado' : 'Desconectado',
-          service: 'Gmail/SMTP'
+          service: providers.email
         },
         sms: {
           connected: connections.sms,
           status: connections.sms ? 'Conectado' : 'Desconectado',
-          service: 'Twilio'
+          service: providers.sms
         },
         whatsapp: {
           connected: connections.whatsapp,
           status: connections.whatsapp ? 'Conectado' : 'Desconectado',
-          service: 'WhatsApp Business API'
+          service: providers.whatsapp
         }
       }
     });
@@ -552,4 +559,200 @@ router.post('/test-send', authenticateToken, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Erros de negócio do serviço de escalonamento trazem o status HTTP
+const sendServiceError = (res, error, logMessage) => {
+  if (error.statusCode && error.statusCode < 500) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+  console.error(logMessage, error);
+  res.status(500).json({
+    success: false,
+    message: 'Erro interno do servidor',
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+const ESCALATION_PRIORITIES = ['info', 'warning', 'critical'];
+
+// Validação dos campos da política; parcial na atualização
+const validatePolicy = (body, partial = false) => {
+  if (!partial || body.name !== undefined) {
+    if (!body.name || !String(body.name).trim() || String(body.name).length > 100) {
+      return 'Nome deve ter entre 1 e 100 caracteres';
+    }
+  }
+  if (body.minPriority !== undefined && !ESCALATION_PRIORITIES.includes(body.minPriority)) {
+    return 'Prioridade mínima deve ser: info, warning ou critical';
+  }
+  if (body.ackTimeoutMinutes !== undefined && (!Number.isInteger(body.ackTimeoutMinutes) || body.ackTimeoutMinutes < 1 || body.ackTimeoutMinutes > 1440)) {
+    return 'Prazo de reconhecimento deve ser entre 1 e 1440 minutos';
+  }
+  if (body.maxRepeats !== undefined && (!Number.isInteger(body.maxRepeats) || body.maxRepeats < 0 || body.maxRepeats > 20)) {
+    return 'Reenvios devem ser entre 0 e 20';
+  }
+  if (body.alertTypes !== undefined && body.alertTypes !== null && !Array.isArray(body.alertTypes)) {
+    return 'Tipos de alerta devem ser uma lista';
+  }
+  return null;
+};
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+/**
+ * @route GET /api/alerts/escalation-policies
+ * @desc Listar políticas de escalonamento
+ * @access Private (Admin)
+ */
+router.get('/escalation-policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policies = await alertEscalationService.getPolicies();
+
+    res.json({
+      success: true,
+      data: policies
+    });
+  } catch (error) {
+    sendServiceError(res, error, '❌ Erro ao buscar políticas de escalonamento:');
+  }
+});
+
+/**
+ * @route POST /api/alerts/escalation-policies
+ * @desc Criar política de escalonamento
+ * @access Private (Admin)
+ */
+router.post('/escalation-policies', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const validationError = validatePolicy(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const policy = await alertEscalationService.createPolicy(req.body, req.user, auditContext(req));
+
+    res.status(201).json({
+      success: true,
+      message: 'Política de escalonamento criada',
+      data: policy
+    });
+  } catch (error) {
+    sendServiceError(res, error, '❌ Erro ao criar política de escalonamento:');
+  }
+});
+
+/**
+ * @route PUT /api/alerts/escalation-policies/:id
+ * @desc Atualizar política de escalonamento
+ * @access Private (Admin)
+ */
+router.put('/escalation-policies/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const validationError = validatePolicy(req.body, true);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const policy = await alertEscalationService.updatePolicy(req.params.id, req.body, req.user, auditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Política de escalonamento atualizada',
+      data: policy
+    });
+  } catch (error) {
+    sendServiceError(res, error, '❌ Erro ao atualizar política de escalonamento:');
+  }
+});
+
+/**
+ * @route DELETE /api/alerts/escalation-policies/:id
+ * @desc Excluir política de escalonamento (os alertas dela param de escalonar)
+ * @access Private (Admin)
+ */
+router.delete('/escalation-policies/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const policy = await alertEscalationService.deletePolicy(req.params.id, req.user, auditContext(req));
+
+    res.json({
+      success: true,
+      message: 'Política de escalonamento excluída',
+      data: policy
+    });
+  } catch (error) {
+    sendServiceError(res, error, '❌ Erro ao excluir política de escalonamento:');
+  }
+});
+
+/**
+ * @route GET /api/alerts/:id/timeline
+ * @desc Linha do tempo do alerta (criação, escalonamentos, reconhecimento e resolução)
+ * @access Private
+ */
+router.get('/:id/timeline', authenticateToken, async (req, res) => {
+  try {
+    const timeline = await alertEscalationService.getTimeline(req.params.id);
+
+    res.json({
+      success: true,
+      data: timeline
+    });
+  } catch (error) {
+    sendServiceError(res, error, '❌ Erro ao buscar linha do tempo do alerta:');
+  }
+});
+
+/**
+ * @route POST /api/alerts/:id/acknowledge
+ * @desc Reconhecer alerta (encerra o escalonamento)
+ * @access Private
+ */
+router.post('/:id/acknowledge', authenticateToken, async (req, res) => {
+  try {
+    const alert = await alertEscalationService.closeAlert(req.params.id, 'acknowledge', req.user, req.body.notes);
+    req.io.emit('alert:updated', alert);
+
+    res.json({
+      success: true,
+      message: 'Alerta reconhecido',
+      data: alert
+    });
+  } catch (error) {
+    sendServiceError(res, error, '❌ Erro ao reconhecer alerta:');
+  }
+});
+
+/**
+ * @route POST /api/alerts/:id/resolve
+ * @desc Resolver alerta
+ * @access Private (Leader+)
+ */
+router.post('/:id/resolve', authenticateToken, requireLeader, async (req, res) => {
+  try {
+    const alert = await alertEscalationService.closeAlert(req.params.id, 'resolve', req.user, req.body.notes);
+    req.io.emit('alert:updated', alert);
+
+    res.json({
+      success: true,
+      message: 'Alerta resolvido',
+      data: alert
+    });
+  } catch (error) {
+    sendServiceError(res, error, '❌ Erro ao resolver alerta:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,135 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireMachinePermission } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const andonService = require('../services/andonService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// Chamado novo vai para a sala dos responsáveis; toda mudança atualiza os quadros de andon
+const emitCall = (req, call, isNew = false) => {
+  if (isNew) {
+    req.io.to(andonService.andonRoom(call.category)).emit('andon:call', call);
+  }
+  req.io.emit('andon:updated', call);
+};
+
+// @desc    Listar categorias de chamado de andon
+// @route   GET /api/andon/categories
+// @access  Private (Operator+)
+router.get('/categories', requireOperator, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: andonService.CATEGORY_CODES.map(code => ({
+      code,
+      label: andonService.ANDON_CATEGORIES[code].label,
+      roles: andonService.ANDON_CATEGORIES[code].roles,
+      canRespond: ['MANAGER', 'ADMIN'].includes(req.user.role) || andonService.canRespond(code, req.user.role)
+    }))
+  });
+}));
+
+// @desc    Listar chamados de andon (status ACTIVE para o quadro)
+// @route   GET /api/andon/calls
+// @access  Private (Operator+)
+router.get('/calls', [
+  requireOperator,
+  query('status').optional().isIn(['ACTIVE', ...andonService.CALL_STATUSES]).withMessage('Status inválido'),
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('category').optional().isIn(andonService.CATEGORY_CODES).withMessage('Categoria inválida'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limite deve ser entre 1 e 500')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { status, machineId, category, limit } = req.query;
+  const calls = await andonService.getCalls({
+    status: status || null,
+    machineId: machineId ? parseInt(machineId) : null,
+    category: category || null,
+    limit: limit ? parseInt(limit) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: calls
+  });
+}));
+
+// @desc    Abrir chamado de andon para a máquina
+// @route   POST /api/andon/machines/:id/calls
+// @access  Private (Operator+ com permissão de operar a máquina)
+router.post('/machines/:id/calls', [
+  requireOperator,
+  param('id').isInt().withMessage('ID da máquina deve ser um número'),
+  body('category').isIn(andonService.CATEGORY_CODES).withMessage('Categoria inválida'),
+  body('notes').optional({ nullable: true }).trim().isLength({ max: 500 }).withMessage('Observação deve ter no máximo 500 caracteres')
+], requireMachinePermission('canOperate'), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const call = await andonService.raiseCall(
+    parseInt(req.params.id),
+    req.body.category,
+    { notes: req.body.notes },
+    req.user,
+    auditContext(req)
+  );
+  emitCall(req, call, true);
+
+  res.status(201).json({
+    success: true,
+    message: `Chamado de ${call.categoryLabel.toLowerCase()} aberto`,
+    data: call
+  });
+}));
+
+const TRANSITION_MESSAGES = {
+  acknowledge: 'Chamado reconhecido',
+  arrive: 'Chegada ao posto registrada',
+  resolve: 'Chamado resolvido',
+  cancel: 'Chamado cancelado'
+};
+
+// @desc    Reconhecer, registrar chegada, resolver ou cancelar chamado de andon
+// @route   POST /api/andon/calls/:id/:action
+// @access  Private (Operator+; responsáveis da categoria ou quem abriu, para cancelar)
+router.post('/calls/:id/:action', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  param('action').isIn(Object.keys(TRANSITION_MESSAGES)).withMessage('Ação inválida'),
+  body('resolution').optional({ nullable: true }).trim().isLength({ max: 1000 }).withMessage('Resolução deve ter no máximo 1000 caracteres')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const call = await andonService.transitionCall(
+    req.params.id,
+    req.params.action,
+    req.user,
+    { resolution: req.body.resolution },
+    auditContext(req)
+  );
+  emitCall(req, call);
+
+  res.json({
+    success: true,
+    message: TRANSITION_MESSAGES[req.params.action],
+    data: call
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireLeader, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const changeoverService = require('../services/changeoverService');
+const webhookService = require('../services/webhookService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// @desc    Listar etapas do checklist de troca
+// @route   GET /api/changeovers/checklist-items
+// @access  Private (Operator+)
+router.get('/checklist-items', requireOperator, asyncHandler(async (req, res) => {
+  const items = await changeoverService.getChecklistItems({
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: items
+  });
+}));
+
+// @desc    Criar etapa do checklist de troca
+// @route   POST /api/changeovers/checklist-items
+// @access  Private (Manager+)
+router.post('/checklist-items', [
+  requireManager,
+  body('code').trim().notEmpty().withMessage('Código é obrigatório'),
+  body('description').trim().notEmpty().withMessage('Descrição é obrigatória'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Ordem deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const item = await changeoverService.createChecklistItem({
+    code: req.body.code.toUpperCase(),
+    description: req.body.description,
+    sortOrder: req.body.sortOrder !== undefined ? parseInt(req.body.sortOrder) : 0
+  }, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Etapa criada com sucesso',
+    data: item
+  });
+}));
+
+// @desc    Atualizar etapa do checklist de troca
+// @route   PUT /api/changeovers/checklist-items/:id
+// @access  Private (Manager+)
+router.put('/checklist-items/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('description').optional().trim().notEmpty().withMessage('Descrição não pode ser vazia'),
+  body('sortOrder').optional().isInt({ min: 0 }).withMessage('Ordem deve ser um número'),
+  body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const item = await changeoverService.updateChecklistItem(req.params.id, {
+    description: req.body.description,
+    sortOrder: req.body.sortOrder !== undefined ? parseInt(req.body.sortOrder) : undefined,
+    isActive: req.body.isActive
+  });
+
+  res.json({
+    success: true,
+    message: 'Etapa atualizada com sucesso',
+    data: item
+  });
+}));
+
+// @desc    Listar trocas de produto/lote
+// @route   GET /api/changeovers
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('status').optional().isIn(changeoverService.CHANGEOVER_STATUSES).withMessage('Status inválido'),
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limite deve ser entre 1 e 500')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, status, startDate, endDate, limit } = req.query;
+  const changeovers = await changeoverService.getChangeovers({
+    machineId: machineId ? parseInt(machineId) : null,
+    status: status || null,
+    startDate: startDate || null,
+    endDate: endDate || null,
+    limit: limit ? parseInt(limit) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: changeovers
+  });
+}));
+
+// @desc    Troca em andamento na máquina
+// @route   GET /api/changeovers/machine/:machineId/open
+// @access  Private (Operator+)
+router.get('/machine/:machineId/open', [
+  requireOperator,
+  param('machineId').isInt().withMessage('ID da máquina deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const changeover = await changeoverService.getOpenChangeover(parseInt(req.params.machineId));
+
+  res.json({
+    success: true,
+    data: changeover
+  });
+}));
+
+// @desc    Obter troca com checklist e testes de primeira peça
+// @route   GET /api/changeovers/:id
+// @access  Private (Operator+)
+router.get('/:id', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const changeover = await changeoverService.getChangeoverById(req.params.id);
+  if (!changeover) {
+    throw new AppError('Changeover não encontrado', 404);
+  }
+
+  res.json({
+    success: true,
+    data: changeover
+  });
+}));
+
+// @desc    Iniciar troca (setup): máquina parada com motivo de changeover
+// @route   POST /api/changeovers
+// @access  Private (Operator+)
+router.post('/', [
+  requireOperator,
+  body('machineId').isInt().withMessage('ID da máquina deve ser um número'),
+  body('toProduct').optional({ nullable: true }).trim(),
+  body('toLot').optional({ nullable: true }).trim(),
+  body('productionOrderId').optional({ nullable: true }).isInt().withMessage('Ordem de produção inválida'),
+  body('notes').optional({ nullable: true }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, toProduct, toLot, productionOrderId, notes } = req.body;
+  const changeover = await changeoverService.startChangeover({
+    machineId: parseInt(machineId),
+    toProduct: toProduct || null,
+    toLot: toLot || null,
+    productionOrderId: productionOrderId ? parseInt(productionOrderId) : null,
+    notes: notes || null
+  }, req.user, auditContext(req));
+
+  const statusChangeData = {
+    machineId: changeover.machineId,
+    machineName: changeover.machineName,
+    previousStatus: changeover.previousMachineStatus,
+    newStatus: 'PARADA',
+    user: req.user.name,
+    reason: 'Changeover',
+    notes: changeover.notes
+  };
+  req.io.emit('machine:status:changed', statusChangeData);
+  webhookService.publish('machine:status:changed', statusChangeData);
+  req.io.emit('changeover:updated', { changeover });
+
+  res.status(201).json({
+    success: true,
+    message: 'Troca iniciada',
+    data: changeover
+  });
+}));
+
+// @desc    Marcar/desmarcar etapa do checklist
+// @route   PUT /api/changeovers/:id/steps/:stepId
+// @access  Private (Operator+)
+router.put('/:id/steps/:stepId', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  param('stepId').isInt().withMessage('ID da etapa deve ser um número'),
+  body('completed').isBoolean().withMessage('completed deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const completed = req.body.completed === true || req.body.completed === 'true';
+  const changeover = await changeoverService.setStepCompleted(req.params.id, req.params.stepId, completed, req.user);
+  req.io.emit('changeover:updated', { changeover });
+
+  res.json({
+    success: true,
+    data: changeover
+  });
+}));
+
+// @desc    Vincular teste de qualidade da primeira peça
+// @route   POST /api/changeovers/:id/first-article
+// @access  Private (Operator+)
+router.post('/:id/first-article', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('qualityTestId').isInt().withMessage('Teste de qualidade inválido')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const changeover = await changeoverService.recordFirstArticle(
+    req.params.id, req.body.qualityTestId, req.user, auditContext(req)
+  );
+  req.io.emit('changeover:updated', { changeover });
+
+  res.json({
+    success: true,
+    message: 'Primeira peça aprovada',
+    data: changeover
+  });
+}));
+
+// @desc    Liberar máquina para o novo produto
+// @route   POST /api/changeovers/:id/release
+// @access  Private (Operator+)
+router.post('/:id/release', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const changeover = await changeoverService.releaseChangeover(req.params.id, req.user, auditContext(req));
+  req.io.emit('changeover:updated', { changeover });
+
+  res.json({
+    success: true,
+    message: 'Máquina liberada para produção',
+    data: changeover
+  });
+}));
+
+// @desc    Cancelar troca em andamento
+// @route   POST /api/changeovers/:id/cancel
+// @access  Private (Leader+)
+router.post('/:id/cancel', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('reason').trim().notEmpty().withMessage('Motivo é obrigatório')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const changeover = await changeoverService.cancelChangeover(req.params.id, req.body.reason, req.user, auditContext(req));
+  req.io.emit('changeover:updated', { changeover });
+
+  res.json({
+    success: true,
+    message: 'Troca cancelada',
+    data: changeover
+  });
+}));
+
+module.exports = router;
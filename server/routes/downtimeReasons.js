@@ -0,0 +1,227 @@
+const express = require('express');
+const { body, query, validationResult, param } = require('express-validator');
+const pool = require('../config/database');
+const { requireOperator, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const downtimeReasonService = require('../services/downtimeReasonService');
+
+const router = express.Router();
+
+// @desc    Listar catálogo de motivos de parada
+// @route   GET /api/downtime-reasons
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('status').optional().isIn(downtimeReasonService.STOP_STATUSES).withMessage('Status deve ser PARADA ou MANUTENCAO'),
+  query('format').optional().isIn(['tree', 'flat']).withMessage('Formato deve ser tree ou flat')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { status, format = 'tree', includeInactive } = req.query;
+  const options = {
+    status: status || null,
+    includeInactive: includeInactive === 'true'
+  };
+
+  const data = format === 'flat'
+    ? await downtimeReasonService.getReasons(options)
+    : await downtimeReasonService.getReasonTree(options);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Listar paradas ainda não classificadas
+// @route   GET /api/downtime-reasons/unclassified-stops
+// @access  Private (Operator+)
+router.get('/unclassified-stops', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limite deve estar entre 1 e 200')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, openOnly, limit = 50 } = req.query;
+
+  const stops = await downtimeReasonService.getUnclassifiedStops({
+    machineId,
+    openOnly: openOnly === 'true',
+    limit
+  });
+
+  res.json({
+    success: true,
+    data: stops
+  });
+}));
+
+// @desc    Criar motivo de parada ou categoria
+// @route   POST /api/downtime-reasons
+// @access  Private (Manager+)
+router.post('/', [
+  requireManager,
+  body('code').trim().notEmpty().withMessage('Código é obrigatório'),
+  body('name').trim().notEmpty().withMessage('Nome é obrigatório'),
+  body('parentId').optional({ nullable: true }).isInt().withMessage('Categoria deve ser um número'),
+  body('isPlanned').optional().isBoolean().withMessage('isPlanned deve ser booleano'),
+  body('lossCategory').optional().isIn(downtimeReasonService.LOSS_CATEGORIES).withMessage('Categoria de perda inválida'),
+  body('appliesToStatus').optional({ nullable: true }).isIn(downtimeReasonService.STOP_STATUSES).withMessage('Status deve ser PARADA ou MANUTENCAO'),
+  body('sortOrder').optional().isInt().withMessage('Ordem deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { code, name, description, parentId, appliesToStatus, sortOrder = 0 } = req.body;
+  let { isPlanned, lossCategory } = req.body;
+
+  if (parentId) {
+    const parent = await downtimeReasonService.getReasonById(parentId);
+    if (!parent) {
+      throw new AppError('Categoria não encontrada', 404);
+    }
+    if (parent.parentId) {
+      throw new AppError('Motivos só podem ser criados dentro de uma categoria', 400);
+    }
+    // Motivos herdam a classificação planejada/não planejada da categoria
+    if (isPlanned === undefined) {
+      isPlanned = parent.isPlanned;
+    }
+    if (lossCategory === undefined) {
+      lossCategory = parent.lossCategory;
+    }
+  }
+
+  const existing = await pool.query('SELECT id FROM downtime_reasons WHERE code = $1', [code]);
+  if (existing.rows.length > 0) {
+    throw new AppError('Já existe um motivo com este código', 400);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO downtime_reasons (
+       parent_id, code, name, description, is_planned, loss_category, applies_to_status, sort_order, created_by
+     ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     RETURNING *`,
+    [parentId || null, code, name, description || null, !!isPlanned, lossCategory || 'BREAKDOWN', appliesToStatus || null, sortOrder, req.user.id]
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Motivo de parada criado com sucesso',
+    data: downtimeReasonService.mapReason(result.rows[0])
+  });
+}));
+
+// @desc    Atualizar motivo de parada
+// @route   PUT /api/downtime-reasons/:id
+// @access  Private (Manager+)
+router.put('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('name').optional().trim().notEmpty().withMessage('Nome não pode ser vazio'),
+  body('isPlanned').optional().isBoolean().withMessage('isPlanned deve ser booleano'),
+  body('lossCategory').optional().isIn(downtimeReasonService.LOSS_CATEGORIES).withMessage('Categoria de perda inválida'),
+  body('appliesToStatus').optional({ nullable: true }).isIn(downtimeReasonService.STOP_STATUSES).withMessage('Status deve ser PARADA ou MANUTENCAO'),
+  body('sortOrder').optional().isInt().withMessage('Ordem deve ser um número'),
+  body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { id } = req.params;
+  const reason = await downtimeReasonService.getReasonById(id);
+
+  if (!reason) {
+    throw new AppError('Motivo de parada não encontrado', 404);
+  }
+
+  const fieldMap = {
+    name: 'name',
+    description: 'description',
+    isPlanned: 'is_planned',
+    lossCategory: 'loss_category',
+    appliesToStatus: 'applies_to_status',
+    sortOrder: 'sort_order',
+    isActive: 'is_active'
+  };
+
+  const updateFields = [];
+  const updateValues = [];
+
+  Object.entries(fieldMap).forEach(([key, column]) => {
+    if (req.body[key] !== undefined) {
+      updateValues.push(req.body[key]);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  });
+
+  if (updateFields.length === 0) {
+    throw new AppError('Nenhum campo para atualizar', 400);
+  }
+
+  updateValues.push(parseInt(id));
+  const result = await pool.query(
+    `UPDATE downtime_reasons SET ${updateFields.join(', ')}, updated_at = NOW()
+     WHERE id = $${updateValues.length}
+     RETURNING *`,
+    updateValues
+  );
+
+  // Alterar planejada/não planejada de uma categoria propaga para os motivos
+  if (req.body.isPlanned !== undefined && !reason.parentId) {
+    await pool.query(
+      'UPDATE downtime_reasons SET is_planned = $1, updated_at = NOW() WHERE parent_id = $2',
+      [req.body.isPlanned, parseInt(id)]
+    );
+  }
+
+  res.json({
+    success: true,
+    message: 'Motivo de parada atualizado com sucesso',
+    data: downtimeReasonService.mapReason(result.rows[0])
+  });
+}));
+
+// @desc    Desativar motivo de parada
+// @route   DELETE /api/downtime-reasons/:id
+// @access  Private (Manager+)
+router.delete('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { id } = req.params;
+  const reason = await downtimeReasonService.getReasonById(id);
+
+  if (!reason) {
+    throw new AppError('Motivo de parada não encontrado', 404);
+  }
+
+  // Desativação lógica: paradas já classificadas continuam referenciando o motivo
+  await pool.query(
+    'UPDATE downtime_reasons SET is_active = false, updated_at = NOW() WHERE id = $1 OR parent_id = $1',
+    [parseInt(id)]
+  );
+
+  res.json({
+    success: true,
+    message: 'Motivo de parada desativado com sucesso'
+  });
+}));
+
+module.exports = router;
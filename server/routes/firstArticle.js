@@ -0,0 +1,165 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireLeader, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const firstArticleService = require('../services/firstArticleService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+const ruleValidators = [
+  body('machineId').optional({ nullable: true }).isInt().withMessage('ID da máquina deve ser um número'),
+  body('product').optional({ nullable: true }).trim(),
+  body('onStart').optional().isBoolean().withMessage('onStart deve ser booleano'),
+  body('onChangeover').optional().isBoolean().withMessage('onChangeover deve ser booleano'),
+  body('onTeflonChange').optional().isBoolean().withMessage('onTeflonChange deve ser booleano'),
+  body('deadlineMinutes').optional().isInt({ min: 1, max: 1440 }).withMessage('Prazo deve ser entre 1 e 1440 minutos')
+];
+
+// @desc    Listar regras de inspeção da primeira peça
+// @route   GET /api/first-article/rules
+// @access  Private (Leader+)
+router.get('/rules', requireLeader, asyncHandler(async (req, res) => {
+  const rules = await firstArticleService.getRules();
+
+  res.json({
+    success: true,
+    data: rules
+  });
+}));
+
+// @desc    Criar regra de inspeção da primeira peça
+// @route   POST /api/first-article/rules
+// @access  Private (Manager+)
+router.post('/rules', [requireManager, ...ruleValidators], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, product, onStart, onChangeover, onTeflonChange, deadlineMinutes } = req.body;
+  const rule = await firstArticleService.createRule({
+    machineId: machineId ? parseInt(machineId) : null,
+    product: product || null,
+    onStart,
+    onChangeover,
+    onTeflonChange,
+    deadlineMinutes: deadlineMinutes !== undefined ? parseInt(deadlineMinutes) : undefined
+  }, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Regra criada com sucesso',
+    data: rule
+  });
+}));
+
+// @desc    Atualizar regra de inspeção da primeira peça
+// @route   PUT /api/first-article/rules/:id
+// @access  Private (Manager+)
+router.put('/rules/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  ...ruleValidators,
+  body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, product, onStart, onChangeover, onTeflonChange, deadlineMinutes, isActive } = req.body;
+  const rule = await firstArticleService.updateRule(req.params.id, {
+    machineId: machineId === undefined ? undefined : (machineId ? parseInt(machineId) : null),
+    product: product === undefined ? undefined : (product || null),
+    onStart,
+    onChangeover,
+    onTeflonChange,
+    deadlineMinutes: deadlineMinutes !== undefined ? parseInt(deadlineMinutes) : undefined,
+    isActive
+  });
+
+  res.json({
+    success: true,
+    message: 'Regra atualizada com sucesso',
+    data: rule
+  });
+}));
+
+// @desc    Listar inspeções da primeira peça
+// @route   GET /api/first-article/requests
+// @access  Private (Operator+)
+router.get('/requests', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('status').optional().isIn(['PENDING', 'PASSED', 'WAIVED']).withMessage('Status inválido'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limite deve ser entre 1 e 500')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, status, limit } = req.query;
+  const requests = await firstArticleService.getRequests({
+    machineId: machineId ? parseInt(machineId) : null,
+    status: status || null,
+    limit: limit ? parseInt(limit) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: requests
+  });
+}));
+
+// @desc    Inspeção da primeira peça pendente na máquina
+// @route   GET /api/first-article/machine/:machineId
+// @access  Private (Operator+)
+router.get('/machine/:machineId', [
+  requireOperator,
+  param('machineId').isInt().withMessage('ID da máquina deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const request = await firstArticleService.getPendingRequest(parseInt(req.params.machineId));
+
+  res.json({
+    success: true,
+    data: request
+  });
+}));
+
+// @desc    Dispensar inspeção da primeira peça pendente
+// @route   POST /api/first-article/requests/:id/waive
+// @access  Private (Leader+)
+router.post('/requests/:id/waive', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('reason').trim().notEmpty().withMessage('Motivo é obrigatório')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const request = await firstArticleService.waiveRequest(req.params.id, req.body.reason, req.user.id, auditContext(req));
+  req.io.emit('fai:updated', { machineId: request.machineId, request });
+
+  res.json({
+    success: true,
+    message: 'Inspeção da primeira peça dispensada',
+    data: request
+  });
+}));
+
+module.exports = router;
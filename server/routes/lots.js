@@ -0,0 +1,92 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireLeader } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const lotStatusService = require('../services/lotStatusService');
+
+const router = express.Router();
+
+// @desc    Listar lotes com status registrado (por padrão, apenas bloqueados)
+// @route   GET /api/lots
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('status').optional().isIn(lotStatusService.LOT_STATUSES).withMessage('Status inválido'),
+  query('includeReleased').optional().isBoolean().withMessage('includeReleased deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const lots = await lotStatusService.getLots({
+    status: req.query.status,
+    includeReleased: req.query.includeReleased === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: lots
+  });
+}));
+
+// @desc    Obter status e histórico do lote
+// @route   GET /api/lots/:lot
+// @access  Private (Operator+)
+router.get('/:lot', [
+  requireOperator,
+  param('lot').trim().notEmpty().withMessage('Lote é obrigatório')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const [status, history] = await Promise.all([
+    lotStatusService.getLotStatus(req.params.lot),
+    lotStatusService.getLotHistory(req.params.lot)
+  ]);
+
+  res.json({
+    success: true,
+    data: { ...status, history }
+  });
+}));
+
+// @desc    Reter, colocar em quarentena, sucatear ou liberar lote
+// @route   PUT /api/lots/:lot/status
+// @access  Private (Leader+)
+router.put('/:lot/status', [
+  requireLeader,
+  param('lot').trim().notEmpty().withMessage('Lote é obrigatório'),
+  body('status').isIn(lotStatusService.LOT_STATUSES).withMessage('Status inválido'),
+  body('reason').trim().notEmpty().withMessage('Motivo é obrigatório'),
+  body('product').optional({ nullable: true }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { status, reason, product } = req.body;
+  const lotStatus = await lotStatusService.setLotStatus(req.params.lot, status, {
+    reason,
+    userId: req.user.id,
+    product: product || null
+  }, {
+    ip: req.ip,
+    userAgent: req.get('User-Agent'),
+    method: req.method,
+    endpoint: req.originalUrl
+  });
+
+  req.io.emit('lot:status-changed', { lot: lotStatus });
+
+  res.json({
+    success: true,
+    message: `Lote ${lotStatusService.STATUS_LABELS[status].toLowerCase()} com sucesso`,
+    data: lotStatus
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,205 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const pool = require('../config/database');
+const { requireLeader, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const machineIngestionService = require('../services/machineIngestionService');
+const { ADAPTER_TYPES, createAdapter } = require('../services/machineSignalAdapters');
+
+const router = express.Router();
+
+const formatSource = (row) => ({
+  id: row.id,
+  machineId: row.machine_id,
+  machineName: row.machine_name,
+  adapter: row.adapter,
+  config: row.config,
+  isActive: row.is_active,
+  autoStatus: row.auto_status,
+  stopAfterSeconds: row.stop_after_seconds,
+  reconcileTolerancePercent: parseFloat(row.reconcile_tolerance_percent),
+  lastCounter: row.last_counter !== null ? Number(row.last_counter) : null,
+  lastRunning: row.last_running,
+  lastSignalAt: row.last_signal_at,
+  connected: machineIngestionService.sources.has(row.machine_id),
+  createdAt: row.created_at,
+  updatedAt: row.updated_at
+});
+
+const getSource = async (id) => {
+  const result = await pool.query(`
+    SELECT s.*, m.name AS machine_name
+    FROM machine_signal_sources s
+    JOIN machines m ON m.id = s.machine_id
+    WHERE s.id = $1
+  `, [id]);
+  return result.rows[0] || null;
+};
+
+// Valida a configuração instanciando o adaptador (sem conectar)
+const validateAdapterConfig = (adapter, config) => {
+  try {
+    createAdapter(adapter, config || {});
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+};
+
+// @desc    Listar fontes de sinal das máquinas
+// @route   GET /api/machine-signals
+// @access  Private (Manager+)
+router.get('/', requireManager, asyncHandler(async (req, res) => {
+  const result = await pool.query(`
+    SELECT s.*, m.name AS machine_name
+    FROM machine_signal_sources s
+    JOIN machines m ON m.id = s.machine_id
+    ORDER BY m.name
+  `);
+
+  res.json({
+    success: true,
+    data: result.rows.map(formatSource)
+  });
+}));
+
+// @desc    Cadastrar fonte de sinal de uma máquina
+// @route   POST /api/machine-signals
+// @access  Private (Manager+)
+router.post('/', [
+  requireManager,
+  body('machineId').isInt().withMessage('ID da máquina é obrigatório'),
+  body('adapter').isIn(ADAPTER_TYPES).withMessage('Adaptador deve ser MQTT, MODBUS ou SIMULATOR'),
+  body('config').optional().isObject().withMessage('Configuração deve ser um objeto'),
+  body('autoStatus').optional().isBoolean().withMessage('autoStatus deve ser booleano'),
+  body('stopAfterSeconds').optional().isInt({ min: 1 }).withMessage('Tempo para parada deve ser maior que zero'),
+  body('reconcileTolerancePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Tolerância deve ser entre 0 e 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, adapter, config, autoStatus, stopAfterSeconds, reconcileTolerancePercent } = req.body;
+  validateAdapterConfig(adapter, config);
+
+  const existing = await pool.query('SELECT id FROM machine_signal_sources WHERE machine_id = $1', [parseInt(machineId)]);
+  if (existing.rows.length > 0) {
+    throw new AppError('Máquina já possui fonte de sinal cadastrada', 409);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO machine_signal_sources (
+      machine_id, adapter, config, auto_status, stop_after_seconds, reconcile_tolerance_percent, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING id
+  `, [
+    parseInt(machineId),
+    adapter,
+    JSON.stringify(config || {}),
+    autoStatus !== undefined ? autoStatus : true,
+    stopAfterSeconds || 120,
+    reconcileTolerancePercent !== undefined ? reconcileTolerancePercent : 5,
+    req.user.id
+  ]);
+
+  await machineIngestionService.reloadSource(parseInt(machineId));
+
+  res.status(201).json({
+    success: true,
+    message: 'Fonte de sinal cadastrada com sucesso',
+    data: formatSource(await getSource(result.rows[0].id))
+  });
+}));
+
+// @desc    Atualizar fonte de sinal (reconecta o adaptador)
+// @route   PUT /api/machine-signals/:id
+// @access  Private (Manager+)
+router.put('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('adapter').optional().isIn(ADAPTER_TYPES).withMessage('Adaptador deve ser MQTT, MODBUS ou SIMULATOR'),
+  body('config').optional().isObject().withMessage('Configuração deve ser um objeto'),
+  body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano'),
+  body('autoStatus').optional().isBoolean().withMessage('autoStatus deve ser booleano'),
+  body('stopAfterSeconds').optional().isInt({ min: 1 }).withMessage('Tempo para parada deve ser maior que zero'),
+  body('reconcileTolerancePercent').optional().isFloat({ min: 0, max: 100 }).withMessage('Tolerância deve ser entre 0 e 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const current = await getSource(parseInt(req.params.id));
+  if (!current) {
+    throw new AppError('Fonte de sinal não encontrada', 404);
+  }
+
+  const { adapter, config, isActive, autoStatus, stopAfterSeconds, reconcileTolerancePercent } = req.body;
+  const nextAdapter = adapter || current.adapter;
+  const nextConfig = config !== undefined ? config : current.config;
+  validateAdapterConfig(nextAdapter, nextConfig);
+
+  // Trocar o adaptador zera a referência do contador (novo equipamento ou registrador)
+  const adapterChanged = nextAdapter !== current.adapter || JSON.stringify(nextConfig) !== JSON.stringify(current.config);
+
+  await pool.query(`
+    UPDATE machine_signal_sources
+    SET adapter = $1,
+        config = $2,
+        is_active = COALESCE($3, is_active),
+        auto_status = COALESCE($4, auto_status),
+        stop_after_seconds = COALESCE($5, stop_after_seconds),
+        reconcile_tolerance_percent = COALESCE($6, reconcile_tolerance_percent),
+        last_counter = CASE WHEN $7 THEN NULL ELSE last_counter END
+    WHERE id = $8
+  `, [
+    nextAdapter,
+    JSON.stringify(nextConfig || {}),
+    isActive !== undefined ? isActive : null,
+    autoStatus !== undefined ? autoStatus : null,
+    stopAfterSeconds || null,
+    reconcileTolerancePercent !== undefined ? reconcileTolerancePercent : null,
+    adapterChanged,
+    current.id
+  ]);
+
+  await machineIngestionService.reloadSource(current.machine_id);
+
+  res.json({
+    success: true,
+    message: 'Fonte de sinal atualizada com sucesso',
+    data: formatSource(await getSource(current.id))
+  });
+}));
+
+// @desc    Reconciliar contador real com a produção calculada (padrão: turno atual)
+// @route   GET /api/machine-signals/machines/:machineId/reconciliation
+// @access  Private (Leader+)
+router.get('/machines/:machineId/reconciliation', [
+  requireLeader,
+  param('machineId').isInt().withMessage('ID da máquina deve ser um número'),
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { startDate, endDate } = req.query;
+  if ((startDate && !endDate) || (!startDate && endDate)) {
+    throw new AppError('Informe data inicial e final', 400);
+  }
+
+  const reconciliation = await machineIngestionService.reconcile(
+    parseInt(req.params.machineId),
+    startDate ? { startTime: new Date(startDate), endTime: new Date(endDate) } : {}
+  );
+
+  res.json({
+    success: true,
+    data: reconciliation
+  });
+}));
+
+module.exports = router;
@@ -16,8 +16,19 @@ const {
   calculateMultipleOEE
 } = require('../services/oeeService');
 const notificationService = require('../services/notificationService');
-const { requireQualityTestsForProduction, getQualityTestStatus } = require('../middleware/qualityTestMiddleware');
+const downtimeReasonService = require('../services/downtimeReasonService');
+const { requireQualityTestsForProduction, requireReleasedLot, getQualityTestStatus } = require('../middleware/qualityTestMiddleware');
 const { checkProductionAlerts } = require('../middleware/productionAlertMiddleware');
+const { selectProductionOrder } = require('../middleware/productionOrderMiddleware');
+const { requireNoOpenChangeover } = require('../middleware/changeoverMiddleware');
+const productionOrderService = require('../services/productionOrderService');
+const changeoverService = require('../services/changeoverService');
+const firstArticleService = require('../services/firstArticleService');
+const lotStatusService = require('../services/lotStatusService');
+const productionEngine = require('../services/productionEngine');
+const productionLedgerService = require('../services/productionLedgerService');
+const webhookService = require('../services/webhookService');
+const { PRODUCTION_STRATEGIES } = require('../services/productionStrategies');
 
 const router = express.Router();
 
@@ -589,6 +600,9 @@ router.post('/:id/start-operation', [
   body('notes').optional().trim()
 ], requireOperator, 
   requireQualityTestsForProduction,
+  requireNoOpenChangeover,
+  selectProductionOrder,
+  requireReleasedLot,
   ShiftMiddleware.checkShiftChange,
   ShiftMiddleware.validateOperationTime,
   ShiftMiddleware.trackMachineOperation,
@@ -685,14 +699,53 @@ router.post('/:id/start-operation', [
     throw new AppError('Operador já possui operação ativa', 400, 'OPERATOR_BUSY');
   }
 
-  // Criar operação
-  const operationResult = await pool.query(
-    `INSERT INTO machine_operations (machine_id, user_id, notes, status, start_time, created_at, updated_at)
-     VALUES ($1, $2, $3, 'ACTIVE', NOW(), NOW(), NOW())
-     RETURNING *`,
-    [machine.id, req.user.id, notes]
-  );
-  const operation = operationResult.rows[0];
+  // Criar operação com a ordem escolhida na fila da máquina; o produto e o lote da ordem
+  // passam a ser os da máquina na mesma transação, só quando a operação de fato inicia
+  const productionOrderId = req.productionOrder ? req.productionOrder.id : null;
+  let operation;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const operationResult = await client.query(
+      `INSERT INTO machine_operations (machine_id, user_id, notes, status, start_time, production_order_id, created_at, updated_at)
+       VALUES ($1, $2, $3, 'ACTIVE', NOW(), $4, NOW(), NOW())
+       RETURNING *`,
+      [machine.id, req.user.id, notes, productionOrderId]
+    );
+    operation = operationResult.rows[0];
+
+    // Lote retido liberado pelo líder em requireReleasedLot: registrado junto com a operação
+    if (req.lotOverride) {
+      const { lotStatus, reason, userId, machineId } = req.lotOverride;
+      await lotStatusService.recordOverride(lotStatus, { reason, userId, machineId, operationId: operation.id }, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        method: req.method,
+        endpoint: req.originalUrl
+      }, client);
+    }
+
+    if (productionOrderId) {
+      await client.query(`
+        INSERT INTO machine_configs (machine_id, produto, lote, created_at, updated_at)
+        VALUES ($1, $2, $3, NOW(), NOW())
+        ON CONFLICT (machine_id) DO UPDATE SET produto = EXCLUDED.produto, lote = EXCLUDED.lote, updated_at = NOW()
+      `, [machine.id, req.productionOrder.product, req.productionOrder.lot]);
+      operation.productionOrder = await productionOrderService.startOrder(productionOrderId, client);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (operation.productionOrder) {
+    req.io.emit('production-order:updated', { order: operation.productionOrder, machineId: machine.id });
+  }
 
   // Buscar dados completos da operação com máquina e usuário
   const operationWithDetailsResult = await pool.query(
@@ -725,6 +778,35 @@ router.post('/:id/start-operation', [
     ['FUNCIONANDO', machine.id]
   );
 
+  // Registrar o fim da parada anterior (ex.: changeover) no histórico de status
+  if (machine.status !== 'FUNCIONANDO') {
+    try {
+      await pool.query(
+        `INSERT INTO machine_status_history (machine_id, user_id, previous_status, new_status, reason, notes, created_at)
+         VALUES ($1, $2, $3, 'FUNCIONANDO', 'Início de operação', $4, NOW())`,
+        [machine.id, req.user.id, machine.status, notes || null]
+      );
+    } catch (historyError) {
+      console.error('Erro ao registrar histórico de status:', historyError);
+    }
+  }
+  const changeoverId = await changeoverService.markProductionStarted(machine.id, operation.start_time);
+
+  // Primeira peça após o início (ou após a troca) aguarda inspeção quando há regra de FAI
+  try {
+    const firstArticle = await firstArticleService.openRequest(machine.id, changeoverId ? 'CHANGEOVER' : 'START', {
+      operationId: operation.id,
+      changeoverId,
+      userId: req.user.id
+    });
+    if (firstArticle) {
+      operation.firstArticle = firstArticle.request;
+      req.io.emit('fai:updated', { machineId: machine.id, request: firstArticle.request });
+    }
+  } catch (faiError) {
+    console.error('Erro ao abrir inspeção da primeira peça:', faiError);
+  }
+
   // Inicializar dados de produção do turno
   try {
     const today = new Date();
@@ -804,6 +886,7 @@ router.post('/:id/start-operation', [
   
   console.log('🚀 Enviando evento machine:operation-started:', eventData);
   req.io.emit('machine:operation-started', eventData);
+  webhookService.publish('operation:started', eventData);
   
   // Emitir evento de mudança de status da máquina
   const statusChangeData = {
@@ -820,13 +903,10 @@ router.post('/:id/start-operation', [
   
   console.log('🔄 Enviando evento machine:status:changed:', statusChangeData);
   req.io.emit('machine:status:changed', statusChangeData);
+  webhookService.publish('machine:status:changed', statusChangeData);
   
-  // Emitir evento de atualização de produção para sincronização em tempo real
-  req.io.emit('production:update', {
-    machineId: machine.id,
-    status: 'FUNCIONANDO',
-    timestamp: new Date()
-  });
+  // Emitir a produção do turno com o payload canônico do motor
+  productionEngine.publishMachine(machine.id);
 
   // Notificação de início de operação removida conforme solicitado
 
@@ -986,6 +1066,7 @@ router.post('/:id/end-operation', [
   
   console.log('🛑 Enviando evento machine:operation-ended:', eventData);
   req.io.emit('machine:operation-ended', eventData);
+  webhookService.publish('operation:ended', eventData);
   
   // Emitir evento de mudança de status da máquina
   const statusChangeData = {
@@ -1002,6 +1083,7 @@ router.post('/:id/end-operation', [
   
   console.log('🔄 Enviando evento machine:status:changed:', statusChangeData);
   req.io.emit('machine:status:changed', statusChangeData);
+  webhookService.publish('machine:status:changed', statusChangeData);
 
   // Notificação de fim de operação removida conforme solicitado
 
@@ -1168,6 +1250,7 @@ router.put('/:id/config', [
   body('alerts').optional().isObject().withMessage('Configurações de alertas devem ser um objeto'),
   body('quality').optional().isObject().withMessage('Configurações de qualidade devem ser um objeto'),
   body('production').optional().isObject().withMessage('Configurações de produção devem ser um objeto'),
+  body('production.strategy').optional().isIn(PRODUCTION_STRATEGIES).withMessage('Estratégia de produção deve ser BPM, COUNTER ou MANUAL'),
   body('maintenance').optional().isObject().withMessage('Configurações de manutenção devem ser um objeto')
 ], requireLeader, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
@@ -1381,6 +1464,7 @@ router.put('/:id/status', [
   param('id').isInt().withMessage('ID da máquina deve ser um número'),
   body('status').isIn(['FUNCIONANDO', 'PARADA', 'MANUTENCAO', 'FORA_DE_TURNO']).withMessage('Status deve ser FUNCIONANDO, PARADA, MANUTENCAO ou FORA_DE_TURNO'),
   body('reason').optional().isString().withMessage('Motivo deve ser uma string'),
+  body('downtimeReasonId').optional({ nullable: true }).isInt().withMessage('Motivo de parada deve ser um número'),
   body('notes').optional().isString().withMessage('Observações devem ser uma string')
 ], 
   ShiftMiddleware.checkShiftChange,
@@ -1394,7 +1478,15 @@ router.put('/:id/status', [
   }
 
   const { id } = req.params;
-  const { status, reason, notes } = req.body;
+  const { status, notes, downtimeReasonId } = req.body;
+  let { reason } = req.body;
+
+  // Paradas e manutenções exigem um motivo do catálogo
+  let downtimeReason = null;
+  if (downtimeReasonService.STOP_STATUSES.includes(status)) {
+    downtimeReason = await downtimeReasonService.validateStopReason(downtimeReasonId, status);
+    reason = reason || downtimeReason.name;
+  }
   
   // Mapear IDs de teste para números inteiros válidos
   const testUserIdMap = {
@@ -1496,9 +1588,15 @@ router.put('/:id/status', [
   try {
     await pool.query(
       `INSERT INTO machine_status_history (
-         machine_id, user_id, previous_status, new_status, reason, notes, created_at
-       ) VALUES ($1, $2, $3, $4, $5, $6, NOW())`,
-      [parseInt(id), userId, machine.status, status, reason, notes]
+         machine_id, user_id, previous_status, new_status, reason, notes,
+         downtime_reason_id, classified_by, classified_at, created_at
+       ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
+      [
+        parseInt(id), userId, machine.status, status, reason, notes,
+        downtimeReason ? downtimeReason.id : null,
+        downtimeReason ? userId : null,
+        downtimeReason ? new Date() : null
+      ]
     );
     console.log(`✅ Histórico de status registrado: ${machine.status} → ${status}`);
   } catch (historyError) {
@@ -1518,8 +1616,8 @@ router.put('/:id/status', [
     await deleteCache(`machines:${previousStatus}:all`);
   }
 
-  // Notificar via Socket.IO
-  req.io.emit('machine:status:changed', {
+  // Notificar via Socket.IO e webhooks
+  const statusChangeData = {
     machineId: parseInt(id),
     machineName: machine.name,
     previousStatus,
@@ -1527,8 +1625,16 @@ router.put('/:id/status', [
     user: req.user.name,
     reason,
     notes,
+    downtimeReason: downtimeReason ? {
+      id: downtimeReason.id,
+      code: downtimeReason.code,
+      name: downtimeReason.name,
+      isPlanned: downtimeReason.isPlanned
+    } : null,
     operacoesFinalizadas: finalizadas
-  });
+  };
+  req.io.emit('machine:status:changed', statusChangeData);
+  webhookService.publish('machine:status:changed', statusChangeData);
   
   // Se operações foram finalizadas automaticamente, enviar evento específico
   if (finalizadas.length > 0) {
@@ -1577,11 +1683,63 @@ router.put('/:id/status', [
       machine: updatedMachine,
       previousStatus,
       newStatus: status,
+      downtimeReason,
       operacoesFinalizadas: finalizadas
     }
   });
 }));
 
+// @desc    Classificar parada já registrada no histórico
+// @route   PUT /api/machines/:id/status-history/:historyId/classify
+// @access  Private (Operator+)
+router.put('/:id/status-history/:historyId/classify', [
+  requireOperator,
+  param('id').isInt().withMessage('ID da máquina deve ser um número'),
+  param('historyId').isInt().withMessage('ID do histórico deve ser um número'),
+  body('downtimeReasonId').isInt().withMessage('Motivo de parada é obrigatório'),
+  body('notes').optional().isString().withMessage('Observações devem ser uma string')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { id, historyId } = req.params;
+  const { downtimeReasonId, notes } = req.body;
+
+  const { history, reason } = await downtimeReasonService.classifyStop(
+    id,
+    historyId,
+    downtimeReasonId,
+    req.user.id,
+    notes
+  );
+
+  // Invalidar cache do histórico
+  await deleteCache(`machine-status-history:${id}:1:20`);
+
+  req.io.emit('machine:stop:classified', {
+    machineId: parseInt(id),
+    historyId: history.id,
+    downtimeReason: {
+      id: reason.id,
+      code: reason.code,
+      name: reason.name,
+      isPlanned: reason.isPlanned
+    },
+    user: req.user.name
+  });
+
+  res.json({
+    success: true,
+    message: 'Parada classificada com sucesso',
+    data: {
+      history,
+      downtimeReason: reason
+    }
+  });
+}));
+
 // @desc    Configurar velocidade de produção da máquina
 // @route   PUT /api/machines/:id/production-speed
 // @access  Private (Operator+)
@@ -1629,6 +1787,23 @@ router.put('/:id/production-speed', [
   );
   const updatedMachine = updatedMachineResult.rows[0];
 
+  // Histórico de velocidade usado pelo motor de produção (estratégia BPM)
+  if (Number(machine.production_speed) !== Number(productionSpeed)) {
+    await pool.query(
+      `INSERT INTO production_bmp_history (machine_id, bmp_value, previous_bmp, changed_by, changed_at)
+       VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+      [parseInt(id), productionSpeed, machine.production_speed, req.user.id]
+    );
+    await productionLedgerService.recordEvent({
+      machineId: parseInt(id),
+      type: 'SPEED_CHANGE',
+      speed: productionSpeed,
+      source: 'OPERATOR',
+      userId: req.user.id,
+      metadata: { previousSpeed: machine.production_speed }
+    });
+  }
+
   // Invalidar cache
   await deleteCache(`machine:${id}`);
   await deleteCache('machines:all:all');
@@ -1671,9 +1846,14 @@ router.get('/:id/status-history', [
 
     const [statusHistoryResult, totalResult] = await Promise.all([
       pool.query(
-        `SELECT msh.*, u.id as user_id, u.name as user_name, u.email as user_email
+        `SELECT msh.*, u.id as user_id, u.name as user_name, u.email as user_email,
+                dr.code as downtime_reason_code, dr.name as downtime_reason_name,
+                dr.is_planned as downtime_reason_is_planned,
+                drp.name as downtime_category_name
          FROM machine_status_history msh
-         JOIN users u ON msh.user_id = u.id
+         LEFT JOIN users u ON msh.user_id = u.id
+         LEFT JOIN downtime_reasons dr ON msh.downtime_reason_id = dr.id
+         LEFT JOIN downtime_reasons drp ON dr.parent_id = drp.id
          WHERE msh.machine_id = $1
          ORDER BY msh.created_at DESC
          LIMIT $2 OFFSET $3`,
@@ -1693,13 +1873,22 @@ router.get('/:id/status-history', [
       newStatus: row.new_status,
       reason: row.reason,
       notes: row.notes,
+      downtimeReason: row.downtime_reason_id ? {
+        id: row.downtime_reason_id,
+        code: row.downtime_reason_code,
+        name: row.downtime_reason_name,
+        category: row.downtime_category_name,
+        isPlanned: row.downtime_reason_is_planned
+      } : null,
+      classifiedAt: row.classified_at,
       createdAt: row.created_at,
       updatedAt: row.updated_at,
-      user: {
+      // Mudanças automáticas (sinal da máquina) não têm usuário
+      user: row.user_id ? {
         id: row.user_id,
         name: row.user_name,
         email: row.user_email
-      }
+      } : { id: null, name: 'Automático', email: null }
     }));
     
     const total = parseInt(totalResult.rows[0].count);
@@ -1947,6 +2136,27 @@ router.get('/:id/production/current-shift', authenticateToken, asyncHandler(asyn
   });
 }));
 
+// @desc    Produção do turno atual no payload canônico de 'production:update'
+// @route   GET /api/machines/:id/production/live
+// @access  Private
+router.get('/:id/production/live', authenticateToken, asyncHandler(async (req, res) => {
+  const machineId = parseInt(req.params.id);
+
+  if (isNaN(machineId)) {
+    throw new AppError('ID da máquina inválido', 400);
+  }
+
+  const payload = await productionEngine.getMachinePayload(machineId);
+  if (!payload) {
+    throw new AppError('Máquina não encontrada', 404);
+  }
+
+  res.json({
+    success: true,
+    data: payload
+  });
+}));
+
 // Endpoint para calcular produção diária
 router.get('/:id/production/daily', authenticateToken, asyncHandler(async (req, res) => {
   const { id } = req.params;
@@ -2078,15 +2288,21 @@ router.post('/:id/production/increment', [
     machineId = machineResult.rows[0].id;
   }
 
-  // Incrementar contagem e verificar limites
-  const result = await ProductionCountService.incrementProductCount(machineId, quantity);
+  // O lançamento entra no livro de eventos; turno e contagem de pop-ups são derivados dele
+  const update = await productionEngine.recordManualProduction(machineId, quantity, req.user.id);
+  if (!update) {
+    throw new AppError('Lançamento manual disponível apenas para máquinas com cálculo de produção manual', 409);
+  }
+
+  const currentCount = await ProductionCountService.getCurrentCount(machineId);
   
   res.json({
     success: true,
     message: 'Contagem de produtos incrementada com sucesso',
     data: {
       machineId,
-      currentCount: result.currentCount,
+      currentCount,
+      totalProduction: update.totalProduction,
       quantity
     }
   });
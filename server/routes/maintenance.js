@@ -0,0 +1,311 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireLeader } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const maintenanceService = require('../services/maintenanceService');
+
+const router = express.Router();
+
+// @desc    Listar planos de manutenção com consumo atual
+// @route   GET /api/maintenance/plans
+// @access  Private (Operator+)
+router.get('/plans', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('includeInactive').optional().isBoolean().withMessage('includeInactive deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const plans = await maintenanceService.getPlans({
+    machineId: req.query.machineId ? parseInt(req.query.machineId) : null,
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: plans
+  });
+}));
+
+// @desc    Cadastrar plano de manutenção
+// @route   POST /api/maintenance/plans
+// @access  Private (Leader+)
+router.post('/plans', [
+  requireLeader,
+  body('machineId').isInt().withMessage('ID da máquina é obrigatório'),
+  body('name').trim().notEmpty().withMessage('Nome é obrigatório'),
+  body('triggerType').isIn(maintenanceService.TRIGGER_TYPES).withMessage('Gatilho deve ser CALENDAR, RUN_HOURS ou UNITS'),
+  body('intervalValue').isFloat({ gt: 0 }).withMessage('Intervalo deve ser maior que zero'),
+  body('checklist').optional().isArray().withMessage('Checklist deve ser uma lista'),
+  body('estimatedMinutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Duração estimada inválida')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, name, description, triggerType, intervalValue, checklist, estimatedMinutes } = req.body;
+  const plan = await maintenanceService.createPlan({
+    machineId: parseInt(machineId),
+    name,
+    description,
+    triggerType,
+    intervalValue: parseFloat(intervalValue),
+    checklist,
+    estimatedMinutes
+  }, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Plano de manutenção cadastrado com sucesso',
+    data: plan
+  });
+}));
+
+// @desc    Atualizar plano de manutenção
+// @route   PUT /api/maintenance/plans/:id
+// @access  Private (Leader+)
+router.put('/plans/:id', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('name').optional().trim().notEmpty().withMessage('Nome não pode ser vazio'),
+  body('intervalValue').optional().isFloat({ gt: 0 }).withMessage('Intervalo deve ser maior que zero'),
+  body('checklist').optional().isArray().withMessage('Checklist deve ser uma lista'),
+  body('estimatedMinutes').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Duração estimada inválida'),
+  body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { name, description, intervalValue, checklist, estimatedMinutes, isActive } = req.body;
+  const plan = await maintenanceService.updatePlan(parseInt(req.params.id), {
+    name,
+    description,
+    intervalValue: intervalValue !== undefined ? parseFloat(intervalValue) : undefined,
+    checklist,
+    estimatedMinutes,
+    isActive
+  });
+
+  res.json({
+    success: true,
+    message: 'Plano de manutenção atualizado com sucesso',
+    data: plan
+  });
+}));
+
+// @desc    MTBF/MTTR por máquina no período (padrão: últimos 30 dias)
+// @route   GET /api/maintenance/reliability
+// @access  Private (Leader+)
+router.get('/reliability', [
+  requireLeader,
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { startTime, endTime } = maintenanceService.resolvePeriod(req.query);
+
+  const { overall, byMachine } = await maintenanceService.getReliabilityMetrics({
+    startTime,
+    endTime,
+    machineIds: req.query.machineId ? [parseInt(req.query.machineId)] : []
+  });
+
+  res.json({
+    success: true,
+    data: { startTime, endTime, overall, byMachine }
+  });
+}));
+
+// @desc    Listar ordens de serviço
+// @route   GET /api/maintenance/work-orders
+// @access  Private (Operator+)
+router.get('/work-orders', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('status').optional().isIn(maintenanceService.WORK_ORDER_STATUSES).withMessage('Status inválido'),
+  query('type').optional().isIn(maintenanceService.WORK_ORDER_TYPES).withMessage('Tipo inválido'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limite deve ser entre 1 e 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset deve ser positivo')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, status, type, limit, offset } = req.query;
+  const result = await maintenanceService.getWorkOrders({
+    machineId: machineId ? parseInt(machineId) : null,
+    status,
+    type,
+    limit: limit ? parseInt(limit) : undefined,
+    offset: offset ? parseInt(offset) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: result.items,
+    total: result.total
+  });
+}));
+
+// @desc    Obter ordem de serviço com checklist e peças
+// @route   GET /api/maintenance/work-orders/:id
+// @access  Private (Operator+)
+router.get('/work-orders/:id', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const workOrder = await maintenanceService.getWorkOrderById(parseInt(req.params.id));
+  if (!workOrder) {
+    throw new AppError('Ordem de serviço não encontrada', 404);
+  }
+
+  res.json({
+    success: true,
+    data: workOrder
+  });
+}));
+
+// @desc    Abrir ordem de serviço corretiva ou antecipar a de um plano
+// @route   POST /api/maintenance/work-orders
+// @access  Private (Leader+)
+router.post('/work-orders', [
+  requireLeader,
+  body('planId').optional({ nullable: true }).isInt().withMessage('Plano inválido'),
+  body('machineId').if((value, { req }) => !req.body.planId).isInt().withMessage('ID da máquina é obrigatório'),
+  body('title').if((value, { req }) => !req.body.planId).trim().notEmpty().withMessage('Título é obrigatório'),
+  body('type').optional().isIn(maintenanceService.WORK_ORDER_TYPES).withMessage('Tipo inválido'),
+  body('checklist').optional().isArray().withMessage('Checklist deve ser uma lista'),
+  body('assignedTo').optional({ nullable: true }).isInt().withMessage('Responsável inválido')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { planId, machineId, type, title, description, checklist, assignedTo } = req.body;
+  const workOrder = await maintenanceService.createWorkOrder({
+    planId: planId ? parseInt(planId) : null,
+    machineId: machineId ? parseInt(machineId) : null,
+    type: type || 'CORRECTIVE',
+    title,
+    description,
+    checklist,
+    assignedTo
+  }, req.user.id);
+
+  req.io.emit('maintenance:work-order-opened', { workOrder });
+
+  res.status(201).json({
+    success: true,
+    message: 'Ordem de serviço aberta com sucesso',
+    data: workOrder
+  });
+}));
+
+// @desc    Iniciar, concluir (assinatura do técnico) ou cancelar ordem de serviço
+// @route   POST /api/maintenance/work-orders/:id/status
+// @access  Private (Operator+; cancelamento Leader+)
+router.post('/work-orders/:id/status', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('status').isIn(maintenanceService.WORK_ORDER_STATUSES).withMessage('Status inválido'),
+  body('notes').optional({ nullable: true }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { status, notes } = req.body;
+  if (status === 'CANCELLED' && !['LEADER', 'MANAGER', 'ADMIN'].includes(req.user.role)) {
+    throw new AppError('Apenas líderes podem cancelar ordens de serviço', 403);
+  }
+
+  const workOrder = await maintenanceService.changeWorkOrderStatus(parseInt(req.params.id), status, req.user.id, { notes });
+
+  req.io.emit('maintenance:work-order-updated', { workOrder });
+
+  res.json({
+    success: true,
+    message: 'Status atualizado com sucesso',
+    data: workOrder
+  });
+}));
+
+// @desc    Marcar item do checklist
+// @route   PUT /api/maintenance/work-orders/:id/checklist/:itemId
+// @access  Private (Operator+)
+router.put('/work-orders/:id/checklist/:itemId', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  param('itemId').isInt().withMessage('ID do item deve ser um número'),
+  body('done').isBoolean().withMessage('done deve ser booleano'),
+  body('notes').optional({ nullable: true }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const workOrder = await maintenanceService.updateChecklistItem(
+    parseInt(req.params.id),
+    parseInt(req.params.itemId),
+    { done: req.body.done === true || req.body.done === 'true', notes: req.body.notes },
+    req.user.id
+  );
+
+  res.json({
+    success: true,
+    data: workOrder
+  });
+}));
+
+// @desc    Registrar peça utilizada
+// @route   POST /api/maintenance/work-orders/:id/parts
+// @access  Private (Operator+)
+router.post('/work-orders/:id/parts', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('description').trim().notEmpty().withMessage('Descrição da peça é obrigatória'),
+  body('partCode').optional({ nullable: true }).trim(),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantidade deve ser maior que zero'),
+  body('unitCost').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Custo unitário inválido')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { partCode, description, quantity, unitCost } = req.body;
+  const workOrder = await maintenanceService.addPart(parseInt(req.params.id), {
+    partCode,
+    description,
+    quantity: parseFloat(quantity),
+    unitCost: unitCost !== undefined && unitCost !== null ? parseFloat(unitCost) : 0
+  }, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Peça registrada com sucesso',
+    data: workOrder
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,217 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireLeader } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const nonConformanceService = require('../services/nonConformanceService');
+
+const router = express.Router();
+
+// @desc    Listar não conformidades
+// @route   GET /api/non-conformances
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('status').optional().isIn(nonConformanceService.STATUSES).withMessage('Status inválido'),
+  query('severity').optional().isIn(nonConformanceService.SEVERITIES).withMessage('Severidade inválida'),
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('lot').optional().trim(),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limite deve ser entre 1 e 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset deve ser positivo')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { status, severity, machineId, lot, overdue, limit, offset } = req.query;
+  const result = await nonConformanceService.getNonConformances({
+    status,
+    severity,
+    machineId: machineId ? parseInt(machineId) : null,
+    lot,
+    overdue: overdue === 'true',
+    limit: limit ? parseInt(limit) : undefined,
+    offset: offset ? parseInt(offset) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: result.items,
+    total: result.total
+  });
+}));
+
+// @desc    Obter não conformidade com ações, histórico e testes
+// @route   GET /api/non-conformances/:id
+// @access  Private (Operator+)
+router.get('/:id', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const nonConformance = await nonConformanceService.getNonConformanceById(parseInt(req.params.id));
+  if (!nonConformance) {
+    throw new AppError('Não conformidade não encontrada', 404);
+  }
+
+  res.json({
+    success: true,
+    data: nonConformance
+  });
+}));
+
+// @desc    Abrir não conformidade manualmente
+// @route   POST /api/non-conformances
+// @access  Private (Leader+)
+router.post('/', [
+  requireLeader,
+  body('machineId').isInt().withMessage('ID da máquina é obrigatório'),
+  body('title').trim().notEmpty().withMessage('Título é obrigatório'),
+  body('severity').optional().isIn(nonConformanceService.SEVERITIES).withMessage('Severidade inválida'),
+  body('ownerId').optional({ nullable: true }).isInt().withMessage('Responsável inválido'),
+  body('dueDate').optional({ nullable: true }).isISO8601().withMessage('Prazo inválido')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const nonConformance = await nonConformanceService.createNonConformance(req.body, req.user.id);
+
+  req.io.emit('non-conformance:opened', { nonConformance });
+
+  res.status(201).json({
+    success: true,
+    message: 'Não conformidade aberta com sucesso',
+    data: nonConformance
+  });
+}));
+
+// @desc    Atualizar contenção, causa raiz, responsável e prazo
+// @route   PUT /api/non-conformances/:id
+// @access  Private (Leader+)
+router.put('/:id', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('title').optional().trim().notEmpty().withMessage('Título não pode ser vazio'),
+  body('severity').optional().isIn(nonConformanceService.SEVERITIES).withMessage('Severidade inválida'),
+  body('holdLot').optional().isBoolean().withMessage('holdLot deve ser booleano'),
+  body('ownerId').optional({ nullable: true }).isInt().withMessage('Responsável inválido'),
+  body('dueDate').optional({ nullable: true }).isISO8601().withMessage('Prazo inválido')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { title, description, severity, containmentAction, holdLot, rootCause, ownerId, dueDate } = req.body;
+  const nonConformance = await nonConformanceService.updateNonConformance(
+    parseInt(req.params.id),
+    { title, description, severity, containmentAction, holdLot, rootCause, ownerId, dueDate },
+    req.user.id
+  );
+
+  res.json({
+    success: true,
+    message: 'Não conformidade atualizada com sucesso',
+    data: nonConformance
+  });
+}));
+
+// @desc    Mudar status (OPEN -> INVESTIGATING -> VERIFIED -> CLOSED)
+// @route   POST /api/non-conformances/:id/status
+// @access  Private (Leader+; encerramento Manager+)
+router.post('/:id/status', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('status').isIn(nonConformanceService.STATUSES).withMessage('Status inválido'),
+  body('notes').optional({ nullable: true }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { status, notes } = req.body;
+  if (status === 'CLOSED' && !['MANAGER', 'ADMIN'].includes(req.user.role)) {
+    throw new AppError('Apenas gestores podem encerrar não conformidades', 403);
+  }
+
+  const nonConformance = await nonConformanceService.changeStatus(parseInt(req.params.id), status, req.user.id, notes);
+
+  req.io.emit('non-conformance:updated', { nonConformance });
+
+  res.json({
+    success: true,
+    message: 'Status atualizado com sucesso',
+    data: nonConformance
+  });
+}));
+
+// @desc    Cadastrar ação corretiva ou preventiva
+// @route   POST /api/non-conformances/:id/actions
+// @access  Private (Leader+)
+router.post('/:id/actions', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('type').isIn(nonConformanceService.ACTION_TYPES).withMessage('Tipo deve ser CORRECTIVE ou PREVENTIVE'),
+  body('description').trim().notEmpty().withMessage('Descrição é obrigatória'),
+  body('ownerId').optional({ nullable: true }).isInt().withMessage('Responsável inválido'),
+  body('dueDate').optional({ nullable: true }).isISO8601().withMessage('Prazo inválido')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { type, description, ownerId, dueDate } = req.body;
+  const nonConformance = await nonConformanceService.addAction(
+    parseInt(req.params.id),
+    { type, description, ownerId, dueDate },
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Ação cadastrada com sucesso',
+    data: nonConformance
+  });
+}));
+
+// @desc    Atualizar ou concluir ação
+// @route   PUT /api/non-conformances/:id/actions/:actionId
+// @access  Private (Leader+)
+router.put('/:id/actions/:actionId', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  param('actionId').isInt().withMessage('ID da ação deve ser um número'),
+  body('description').optional().trim().notEmpty().withMessage('Descrição não pode ser vazia'),
+  body('ownerId').optional({ nullable: true }).isInt().withMessage('Responsável inválido'),
+  body('dueDate').optional({ nullable: true }).isISO8601().withMessage('Prazo inválido'),
+  body('status').optional().isIn(['PENDING', 'DONE']).withMessage('Status deve ser PENDING ou DONE')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { description, ownerId, dueDate, status } = req.body;
+  const nonConformance = await nonConformanceService.updateAction(
+    parseInt(req.params.id),
+    parseInt(req.params.actionId),
+    { description, ownerId, dueDate, status },
+    req.user.id
+  );
+
+  res.json({
+    success: true,
+    message: 'Ação atualizada com sucesso',
+    data: nonConformance
+  });
+}));
+
+module.exports = router;
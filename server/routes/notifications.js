@@ -1,10 +1,12 @@
 const express = require('express');
 const { body, validationResult, param, query } = require('express-validator');
 const pool = require('../config/database');
-const { requireOperator, requireLeader, requireRole } = require('../middleware/auth');
+const { requireOperator, requireLeader, requireAdmin, requireRole } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { setCache, getCache, deleteCache } = require('../config/redis');
 const NotificationService = require('../services/notificationService');
+const notificationDigestService = require('../services/notificationDigestService');
+const notificationDeliveryService = require('../services/notificationDeliveryService');
 
 const router = express.Router();
 
@@ -137,6 +139,105 @@ router.get('/test-simple', requireOperator, asyncHandler(async (req, res) => {
   });
 }));
 
+// @desc    Obter horário de silêncio e modo de resumo do usuário
+// @route   GET /api/notifications/preferences
+// @access  Private (Operator+)
+router.get('/preferences', requireOperator, asyncHandler(async (req, res) => {
+  const preferences = await notificationDigestService.getPreferences(req.user.id);
+
+  res.json({
+    success: true,
+    data: preferences
+  });
+}));
+
+// @desc    Atualizar horário de silêncio e modo de resumo do usuário
+// @route   PUT /api/notifications/preferences
+// @access  Private (Operator+)
+router.put('/preferences', [
+  body('quietHoursStart').optional({ nullable: true, checkFalsy: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Início do silêncio deve estar no formato HH:MM'),
+  body('quietHoursEnd').optional({ nullable: true, checkFalsy: true }).matches(/^([01]\d|2[0-3]):[0-5]\d$/).withMessage('Fim do silêncio deve estar no formato HH:MM'),
+  body('digestMode').isIn(notificationDigestService.DIGEST_MODES).withMessage('Modo de resumo deve ser IMMEDIATE, HOURLY ou DAILY'),
+  body('digestHour').optional().isInt({ min: 0, max: 23 }).withMessage('Hora do resumo deve ser entre 0 e 23')
+], requireOperator, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const preferences = await notificationDigestService.updatePreferences(req.user.id, {
+    quietHoursStart: req.body.quietHoursStart,
+    quietHoursEnd: req.body.quietHoursEnd,
+    digestMode: req.body.digestMode,
+    digestHour: req.body.digestHour !== undefined ? parseInt(req.body.digestHour) : undefined
+  });
+
+  res.json({
+    success: true,
+    message: 'Preferências de entrega atualizadas',
+    data: preferences
+  });
+}));
+
+// @desc    Provedor configurado em cada canal externo
+// @route   GET /api/notifications/channels
+// @access  Private (Admin)
+router.get('/channels', requireAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: notificationDeliveryService.getChannelProviders()
+  });
+}));
+
+// @desc    Histórico de envios pelos canais externos, com recibos e tentativas
+// @route   GET /api/notifications/deliveries
+// @access  Private (Admin)
+router.get('/deliveries', [
+  query('status').optional().isIn(notificationDeliveryService.DELIVERY_STATUSES).withMessage('Status de envio inválido'),
+  query('channel').optional().isIn(notificationDeliveryService.CHANNELS).withMessage('Canal inválido'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit deve ser entre 1 e 200')
+], requireAdmin, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Parâmetros inválidos', 400, errors.array());
+  }
+
+  const deliveries = await notificationDeliveryService.getDeliveries({
+    status: req.query.status,
+    channel: req.query.channel,
+    limit: req.query.limit
+  });
+
+  res.json({
+    success: true,
+    data: deliveries
+  });
+}));
+
+// @desc    Reenviar um envio com falha
+// @route   POST /api/notifications/deliveries/:id/retry
+// @access  Private (Admin)
+router.post('/deliveries/:id/retry', [
+  param('id').isInt({ min: 1 }).withMessage('ID do envio inválido')
+], requireAdmin, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const delivery = await notificationDeliveryService.retryDelivery(req.params.id, req.user, {
+    endpoint: req.originalUrl,
+    ip: req.ip,
+    userAgent: req.get('User-Agent')
+  });
+
+  res.json({
+    success: true,
+    message: delivery.status === 'failed' ? 'O reenvio falhou novamente' : 'Notificação reenviada',
+    data: delivery
+  });
+}));
+
 // @desc    Obter notificação por ID
 // @route   GET /api/notifications/:id
 // @access  Private (Operator+)
@@ -0,0 +1,83 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const onCallService = require('../services/onCallService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// @desc    Quem está de plantão agora (equipes 3x3 em turno, líderes e manutenção)
+// @route   GET /api/on-call/current
+// @access  Private
+router.get('/current', asyncHandler(async (req, res) => {
+  const onCall = await onCallService.getCurrentOnCall();
+
+  res.json({
+    success: true,
+    data: onCall
+  });
+}));
+
+// @desc    Listar plantões de manutenção vigentes e futuros
+// @route   GET /api/on-call/maintenance
+// @access  Private
+router.get('/maintenance', asyncHandler(async (req, res) => {
+  const periods = await onCallService.getMaintenanceOnCall();
+
+  res.json({
+    success: true,
+    data: periods
+  });
+}));
+
+// @desc    Cadastrar plantão de manutenção (noites, fins de semana)
+// @route   POST /api/on-call/maintenance
+// @access  Private (Manager+)
+router.post('/maintenance', requireManager, [
+  body('userId').isInt().withMessage('Usuário é obrigatório'),
+  body('startsAt').isISO8601().withMessage('Início do plantão inválido'),
+  body('endsAt').isISO8601().withMessage('Fim do plantão inválido'),
+  body('notes').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Observação deve ter até 500 caracteres')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const onCall = await onCallService.createMaintenanceOnCall(req.body, req.user, auditContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Plantão de manutenção cadastrado',
+    data: onCall
+  });
+}));
+
+// @desc    Excluir plantão de manutenção
+// @route   DELETE /api/on-call/maintenance/:id
+// @access  Private (Manager+)
+router.delete('/maintenance/:id', requireManager, [
+  param('id').isInt().withMessage('ID do plantão deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const onCall = await onCallService.deleteMaintenanceOnCall(req.params.id, req.user, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Plantão de manutenção excluído',
+    data: onCall
+  });
+}));
+
+module.exports = router;
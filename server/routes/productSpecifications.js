@@ -0,0 +1,196 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const productSpecificationService = require('../services/productSpecificationService');
+
+const router = express.Router();
+
+/**
+ * Valida os limites { packageWidth: { nominal, lowerTolerance, upperTolerance } }
+ */
+const limitsValidator = (optional = false) => {
+  const field = optional ? body('limits').optional() : body('limits');
+
+  return field
+    .isObject()
+    .withMessage('Limites devem ser um objeto')
+    .custom(limits => {
+      const dimensions = Object.keys(limits);
+      if (dimensions.length === 0) {
+        throw new Error('Informe ao menos uma dimensão');
+      }
+
+      for (const dimension of dimensions) {
+        if (!productSpecificationService.DIMENSION_KEYS.includes(dimension)) {
+          throw new Error(`Dimensão inválida: ${dimension}`);
+        }
+        const { nominal, lowerTolerance = 0, upperTolerance = 0 } = limits[dimension] || {};
+        if (typeof nominal !== 'number' || nominal < 0) {
+          throw new Error(`Valor nominal inválido para ${dimension}`);
+        }
+        if (typeof lowerTolerance !== 'number' || typeof upperTolerance !== 'number' || lowerTolerance < 0 || upperTolerance < 0) {
+          throw new Error(`Tolerâncias de ${dimension} devem ser números positivos`);
+        }
+      }
+      return true;
+    });
+};
+
+// @desc    Listar especificações de produto
+// @route   GET /api/product-specifications
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('product').optional().trim()
+], asyncHandler(async (req, res) => {
+  const { product, includeInactive } = req.query;
+  const specifications = await productSpecificationService.getSpecifications({
+    product: product || null,
+    includeInactive: includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: specifications
+  });
+}));
+
+// @desc    Resolver a especificação aplicável a um teste
+// @route   GET /api/product-specifications/resolve?machineId=&product=&lot=
+// @access  Private (Operator+)
+router.get('/resolve', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('product').optional().trim(),
+  query('lot').optional().trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, product, lot } = req.query;
+  let data;
+
+  if (product) {
+    data = {
+      product,
+      lot: lot || null,
+      specification: await productSpecificationService.findSpecification(product, lot || null)
+    };
+  } else if (machineId) {
+    // Sem produto informado, usar o produto/lote configurado na máquina
+    data = await productSpecificationService.getSpecificationForMachine(machineId);
+  } else {
+    throw new AppError('Informe o produto ou a máquina', 400);
+  }
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Obter especificação
+// @route   GET /api/product-specifications/:id
+// @access  Private (Operator+)
+router.get('/:id', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const specification = await productSpecificationService.getSpecificationById(req.params.id);
+  if (!specification) {
+    throw new AppError('Especificação não encontrada', 404);
+  }
+
+  res.json({
+    success: true,
+    data: specification
+  });
+}));
+
+// @desc    Criar especificação de produto
+// @route   POST /api/product-specifications
+// @access  Private (Manager+)
+router.post('/', [
+  requireManager,
+  body('product').trim().notEmpty().withMessage('Produto é obrigatório'),
+  body('lot').optional({ nullable: true }).trim(),
+  body('description').optional({ nullable: true }).trim(),
+  limitsValidator()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { product, lot, description, limits } = req.body;
+  const specification = await productSpecificationService.createSpecification(
+    { product, lot, description, limits },
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Especificação criada com sucesso',
+    data: specification
+  });
+}));
+
+// @desc    Atualizar especificação de produto
+// @route   PUT /api/product-specifications/:id
+// @access  Private (Manager+)
+router.put('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('product').optional().trim().notEmpty().withMessage('Produto não pode ser vazio'),
+  body('lot').optional({ nullable: true }).trim(),
+  body('description').optional({ nullable: true }).trim(),
+  body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano'),
+  limitsValidator(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { product, lot, description, limits, isActive } = req.body;
+  const specification = await productSpecificationService.updateSpecification(
+    parseInt(req.params.id),
+    { product, lot, description, limits, isActive }
+  );
+
+  res.json({
+    success: true,
+    message: 'Especificação atualizada com sucesso',
+    data: specification
+  });
+}));
+
+// @desc    Desativar especificação de produto
+// @route   DELETE /api/product-specifications/:id
+// @access  Private (Manager+)
+router.delete('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  await productSpecificationService.updateSpecification(parseInt(req.params.id), { isActive: false });
+
+  res.json({
+    success: true,
+    message: 'Especificação desativada com sucesso'
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,129 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { requireLeader, requireAdmin } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const productionLedgerService = require('../services/productionLedgerService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// @desc    Listar eventos do livro de produção
+// @route   GET /api/production-ledger
+// @access  Private (Leader+)
+router.get('/', [
+  requireLeader,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('type').optional().isIn(productionLedgerService.EVENT_TYPES).withMessage('Tipo de evento inválido'),
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limite deve ser entre 1 e 500'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset deve ser positivo')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, type, startDate, endDate, limit, offset } = req.query;
+  const result = await productionLedgerService.getEvents({
+    machineId: machineId ? parseInt(machineId) : null,
+    type,
+    startDate: startDate ? String(startDate).slice(0, 10) : null,
+    endDate: endDate ? String(endDate).slice(0, 10) : null,
+    limit: limit ? parseInt(limit) : undefined,
+    offset: offset ? parseInt(offset) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: result.items,
+    total: result.total
+  });
+}));
+
+// @desc    Lançar refugo ou correção de produção no turno
+// @route   POST /api/production-ledger/adjustments
+// @access  Private (Leader+)
+router.post('/adjustments', [
+  requireLeader,
+  body('machineId').isInt().withMessage('ID da máquina é obrigatório'),
+  body('type').isIn(productionLedgerService.ADJUSTMENT_TYPES).withMessage('Tipo deve ser SCRAP ou CORRECTION'),
+  body('quantity').isFloat().withMessage('Quantidade deve ser um número'),
+  body('reason').trim().notEmpty().withMessage('Motivo é obrigatório'),
+  body('occurredAt').optional({ nullable: true }).isISO8601().withMessage('Data do evento inválida')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, type, quantity, reason, occurredAt } = req.body;
+  const event = await productionLedgerService.recordAdjustment({
+    machineId: parseInt(machineId),
+    type,
+    quantity: parseFloat(quantity),
+    reason,
+    occurredAt: occurredAt ? new Date(occurredAt) : new Date()
+  }, req.user.id, auditContext(req));
+
+  req.io.emit('production:ledger-updated', { event });
+  if (event.completedOrder) {
+    req.io.emit('production-order:completed', { order: event.completedOrder });
+  }
+
+  res.status(201).json({
+    success: true,
+    message: type === 'SCRAP' ? 'Refugo registrado com sucesso' : 'Correção registrada com sucesso',
+    data: event
+  });
+}));
+
+// @desc    Listar execuções de replay
+// @route   GET /api/production-ledger/replays
+// @access  Private (Admin)
+router.get('/replays', requireAdmin, asyncHandler(async (req, res) => {
+  const replays = await productionLedgerService.getReplays();
+
+  res.json({
+    success: true,
+    data: replays
+  });
+}));
+
+// @desc    Reconstruir totais de turno e contadores do período a partir do livro
+// @route   POST /api/production-ledger/replay
+// @access  Private (Admin)
+router.post('/replay', [
+  requireAdmin,
+  body('startDate').isISO8601().withMessage('Data inicial inválida'),
+  body('endDate').isISO8601().withMessage('Data final inválida'),
+  body('machineId').optional({ nullable: true }).isInt().withMessage('ID da máquina deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { startDate, endDate, machineId } = req.body;
+  const replay = await productionLedgerService.replay({
+    startDate: String(startDate).slice(0, 10),
+    endDate: String(endDate).slice(0, 10),
+    machineId: machineId ? parseInt(machineId) : null
+  }, req.user.id, auditContext(req));
+
+  req.io.emit('production:ledger-replayed', { replay });
+
+  res.json({
+    success: true,
+    message: `Replay concluído: ${replay.changes.length} turno(s) corrigido(s)`,
+    data: replay
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,240 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireLeader } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const productionOrderService = require('../services/productionOrderService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// @desc    Listar ordens de produção
+// @route   GET /api/production-orders
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('status').optional().isIn(productionOrderService.ORDER_STATUSES).withMessage('Status inválido'),
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limite deve ser entre 1 e 500')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { status, machineId, search, limit } = req.query;
+  const orders = await productionOrderService.getOrders({
+    status: status || null,
+    machineId: machineId ? parseInt(machineId) : null,
+    search: search ? String(search).trim() || null : null,
+    limit: limit ? parseInt(limit) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: orders
+  });
+}));
+
+// @desc    Quadro de programação: fila de ordens por máquina
+// @route   GET /api/production-orders/board
+// @access  Private (Leader+)
+router.get('/board', requireLeader, asyncHandler(async (req, res) => {
+  const board = await productionOrderService.getBoard();
+
+  res.json({
+    success: true,
+    data: board
+  });
+}));
+
+// @desc    Fila de ordens da máquina (escolha da ordem ao iniciar operação)
+// @route   GET /api/production-orders/machine/:machineId/queue
+// @access  Private (Operator+)
+router.get('/machine/:machineId/queue', [
+  requireOperator,
+  param('machineId').isInt().withMessage('ID da máquina deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const queue = await productionOrderService.getMachineQueue(parseInt(req.params.machineId));
+
+  res.json({
+    success: true,
+    data: queue
+  });
+}));
+
+// @desc    Obter ordem de produção
+// @route   GET /api/production-orders/:id
+// @access  Private (Operator+)
+router.get('/:id', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const order = await productionOrderService.getOrderById(req.params.id);
+  if (!order) {
+    throw new AppError('Ordem de produção não encontrada', 404);
+  }
+
+  res.json({
+    success: true,
+    data: order
+  });
+}));
+
+// @desc    Criar ordem de produção
+// @route   POST /api/production-orders
+// @access  Private (Leader+)
+router.post('/', [
+  requireLeader,
+  body('orderNumber').trim().notEmpty().withMessage('Número da ordem é obrigatório'),
+  body('product').trim().notEmpty().withMessage('Produto é obrigatório'),
+  body('lot').optional({ nullable: true }).trim(),
+  body('plannedQuantity').isInt({ min: 1 }).withMessage('Quantidade planejada deve ser um número inteiro maior que zero'),
+  body('dueDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Prazo inválido'),
+  body('machineIds').optional().isArray().withMessage('Máquinas devem ser uma lista'),
+  body('machineIds.*').isInt().withMessage('ID da máquina deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { orderNumber, product, lot, plannedQuantity, dueDate, notes, machineIds } = req.body;
+  const order = await productionOrderService.createOrder({
+    orderNumber,
+    product,
+    lot: lot || null,
+    plannedQuantity: parseInt(plannedQuantity),
+    dueDate: dueDate ? String(dueDate).slice(0, 10) : null,
+    notes: notes ? String(notes).trim() || null : null,
+    machineIds: (machineIds || []).map(id => parseInt(id))
+  }, req.user.id, auditContext(req));
+
+  req.io.emit('production-order:updated', { order });
+
+  res.status(201).json({
+    success: true,
+    message: 'Ordem de produção criada com sucesso',
+    data: order
+  });
+}));
+
+// @desc    Atualizar ordem de produção e roteiro
+// @route   PUT /api/production-orders/:id
+// @access  Private (Leader+)
+router.put('/:id', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('product').optional().trim().notEmpty().withMessage('Produto não pode ser vazio'),
+  body('lot').optional({ nullable: true }).trim(),
+  body('plannedQuantity').optional().isInt({ min: 1 }).withMessage('Quantidade planejada deve ser um número inteiro maior que zero'),
+  body('dueDate').optional({ nullable: true, checkFalsy: true }).isISO8601().withMessage('Prazo inválido'),
+  body('machineIds').optional().isArray().withMessage('Máquinas devem ser uma lista'),
+  body('machineIds.*').isInt().withMessage('ID da máquina deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const fields = { ...req.body };
+  if (fields.plannedQuantity !== undefined) {
+    fields.plannedQuantity = parseInt(fields.plannedQuantity);
+  }
+  if (fields.machineIds !== undefined) {
+    fields.machineIds = fields.machineIds.map(id => parseInt(id));
+  }
+
+  const order = await productionOrderService.updateOrder(req.params.id, fields, req.user.id, auditContext(req));
+
+  req.io.emit('production-order:updated', { order });
+
+  res.json({
+    success: true,
+    message: 'Ordem de produção atualizada com sucesso',
+    data: order
+  });
+}));
+
+// @desc    Alterar status da ordem (cancelar, reabrir ou encerrar)
+// @route   PATCH /api/production-orders/:id/status
+// @access  Private (Leader+)
+router.patch('/:id/status', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('status').isIn(productionOrderService.ORDER_STATUSES).withMessage('Status inválido'),
+  body('reason').optional({ nullable: true }).isString().withMessage('Motivo inválido')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const order = await productionOrderService.setOrderStatus(
+    req.params.id,
+    req.body.status,
+    { reason: req.body.reason ? String(req.body.reason).trim() || null : null },
+    req.user.id,
+    auditContext(req)
+  );
+
+  req.io.emit('production-order:updated', { order });
+
+  res.json({
+    success: true,
+    message: `Ordem ${productionOrderService.STATUS_LABELS[order.status].toLowerCase()}`,
+    data: order
+  });
+}));
+
+// @desc    Mover ordem no quadro de programação
+// @route   PUT /api/production-orders/:id/move
+// @access  Private (Leader+)
+router.put('/:id/move', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('fromMachineId').optional({ nullable: true }).isInt().withMessage('Máquina de origem inválida'),
+  body('toMachineId').optional({ nullable: true }).isInt().withMessage('Máquina de destino inválida'),
+  body('position').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Posição deve ser um número positivo')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { fromMachineId, toMachineId, position } = req.body;
+  if (!fromMachineId && !toMachineId) {
+    throw new AppError('Informe a máquina de origem ou de destino', 400);
+  }
+
+  const order = await productionOrderService.moveOrder(req.params.id, {
+    fromMachineId: fromMachineId ? parseInt(fromMachineId) : null,
+    toMachineId: toMachineId ? parseInt(toMachineId) : null,
+    position: position !== undefined && position !== null ? parseInt(position) : null
+  }, req.user.id, auditContext(req));
+
+  req.io.emit('production-order:updated', { order });
+
+  res.json({
+    success: true,
+    message: 'Ordem reprogramada com sucesso',
+    data: order
+  });
+}));
+
+module.exports = router;
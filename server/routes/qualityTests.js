@@ -5,6 +5,12 @@ const { requireOperator, requireLeader } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { setCache, getCache, deleteCache } = require('../config/redis');
 const notificationService = require('../services/notificationService');
+const productSpecificationService = require('../services/productSpecificationService');
+const spcService = require('../services/spcService');
+const nonConformanceService = require('../services/nonConformanceService');
+const lotStatusService = require('../services/lotStatusService');
+const firstArticleService = require('../services/firstArticleService');
+const webhookService = require('../services/webhookService');
 
 const router = express.Router();
 
@@ -313,7 +319,9 @@ router.post('/', [
     .optional()
     .isBoolean()
     .withMessage('Teste de aderência deve ser boolean'),
+  // Opcional quando o produto tem especificação: a aprovação dimensional é calculada
   body('approved')
+    .optional({ nullable: true })
     .isBoolean()
     .withMessage('Aprovado deve ser boolean'),
   body('observations')
@@ -404,6 +412,19 @@ router.post('/', [
     throw new AppError('Tempo limite de 20 minutos excedido para esta operação', 400, 'OPERATION_TIMEOUT');
   }
 
+  // Avaliar medições contra a especificação do produto/lote
+  const specification = await productSpecificationService.findSpecification(testData.product, testData.lot);
+  let evaluation = null;
+
+  if (specification) {
+    evaluation = productSpecificationService.evaluateMeasurements(specification, testData);
+    testData.dimensionalCheck = evaluation.approved;
+    // Reprovação manual (ex.: inspeção visual) continua valendo
+    testData.approved = evaluation.approved && testData.approved !== false;
+  } else if (typeof testData.approved !== 'boolean') {
+    throw new AppError('Produto sem especificação cadastrada: informe a aprovação do teste', 400, 'APPROVAL_REQUIRED');
+  }
+
   // Criar teste de qualidade
   const createTestQuery = `
     INSERT INTO quality_tests (
@@ -411,9 +432,9 @@ router.post('/', [
       bottom_size, side_size, zipper_distance, facilitator_distance, ruler_test_done,
       hermeticity_test_done, visual_inspection, dimensional_check, color_consistency,
       surface_quality, adhesion_test, approved, observations, images, videos,
-      created_at, updated_at
+      specification_id, dimension_results, created_at, updated_at
     ) VALUES (
-      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, NOW(), NOW()
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21, $22, $23, $24, NOW(), NOW()
     ) RETURNING *
   `;
   
@@ -423,7 +444,9 @@ router.post('/', [
     testData.zipperDistance, testData.facilitatorDistance, testData.rulerTestDone,
     testData.hermeticityTestDone, testData.visualInspection, testData.dimensionalCheck,
     testData.colorConsistency, testData.surfaceQuality, testData.adhesionTest,
-    testData.approved, testData.observations, testData.images, testData.videos
+    testData.approved, testData.observations, testData.images, testData.videos,
+    specification ? specification.id : null,
+    evaluation ? JSON.stringify(evaluation.results) : null
   ]);
   
   const test = {
@@ -440,18 +463,33 @@ router.post('/', [
 
   // Reset do contador de produção após teste de qualidade
   const ProductionCountService = require('../services/productionCountService');
-  await ProductionCountService.resetProductionCounter(testData.machineId);
+  await ProductionCountService.resetProductionCounter(testData.machineId, req.user.id);
 
   // Invalidar cache relacionado
   await deleteCache(`machine:${testData.machineId}`);
 
   // Notificar líderes e gestores via Socket.IO
-  req.io.emit('quality-test:created', {
+  const testEventData = {
     test,
     machine: machine.name,
     operator: req.user.name,
     approved: test.approved
-  });
+  };
+  req.io.emit('quality-test:created', testEventData);
+  webhookService.publish('quality-test:created', testEventData);
+  if (!test.approved) {
+    webhookService.publish('quality-test:failed', testEventData);
+  }
+
+  // Inspeção da primeira peça pendente: teste aprovado libera a produção como boa
+  try {
+    const firstArticle = await firstArticleService.evaluateQualityTest(testResult.rows[0]);
+    if (firstArticle) {
+      req.io.emit('fai:updated', { machineId: machine.id, request: firstArticle.request });
+    }
+  } catch (faiError) {
+    console.error('Erro ao avaliar inspeção da primeira peça:', faiError);
+  }
 
   // Enviar notificações para líderes e gestores usando o notificationService
   try {
@@ -463,12 +501,16 @@ router.post('/', [
     const leadersResult = await pool.query(leadersQuery);
     const leaders = leadersResult.rows;
 
+    const toleranceNote = evaluation && !evaluation.approved
+      ? ` (fora de tolerância: ${evaluation.failed.map(result => result.label).join(', ')})`
+      : '';
+
     // Criar notificação para cada líder/gestor usando o notificationService
     for (const leader of leaders) {
       await notificationService.saveNotification({
         type: 'QUALITY_TEST',
         title: 'Teste de Qualidade Realizado',
-        message: `${req.user.name} realizou teste de qualidade na máquina ${machine.name} - ${test.approved ? 'Aprovado' : 'Reprovado'}`,
+        message: `${req.user.name} realizou teste de qualidade na máquina ${machine.name} - ${test.approved ? 'Aprovado' : 'Reprovado'}${toleranceNote}`,
         userId: leader.id,
         machineId: machine.id,
         priority: test.approved ? 'MEDIUM' : 'HIGH',
@@ -500,6 +542,46 @@ router.post('/', [
     console.error('Erro ao enviar notificação de teste de qualidade:', notificationError);
   }
 
+  // Controle estatístico: alertar tendência antes de uma caixa ser reprovada
+  try {
+    const spcAlerts = await spcService.monitorTest(test, machine);
+    if (spcAlerts.length > 0) {
+      req.io.emit('spc:violation', {
+        testId: test.id,
+        machineId: machine.id,
+        product: test.product,
+        alerts: spcAlerts
+      });
+    }
+  } catch (spcError) {
+    console.error('Erro ao avaliar controle estatístico do teste:', spcError);
+  }
+
+  // Teste reprovado abre (ou reincide em) uma não conformidade do lote
+  if (!test.approved) {
+    try {
+      const { nonConformance, created } = await nonConformanceService.openFromQualityTest(test, machine, req.user.id);
+      req.io.emit(created ? 'non-conformance:opened' : 'non-conformance:updated', { nonConformance });
+    } catch (ncError) {
+      console.error('Erro ao abrir não conformidade do teste reprovado:', ncError);
+    }
+
+    // Lote fica retido até a liberação por um líder
+    try {
+      const lotStatus = await lotStatusService.holdFromRejectedTest(test, req.user.id, {
+        ip: req.ip,
+        userAgent: req.get('User-Agent'),
+        method: req.method,
+        endpoint: req.originalUrl
+      });
+      if (lotStatus) {
+        req.io.emit('lot:status-changed', { lot: lotStatus });
+      }
+    } catch (lotError) {
+      console.error('Erro ao reter lote do teste reprovado:', lotError);
+    }
+  }
+
   // Log da ação
   const logQuery = `
     INSERT INTO system_logs (action, user_id, details, ip_address, user_agent, created_at)
@@ -601,6 +683,18 @@ router.put('/:id', [
     updatedBy: req.user.name
   });
 
+  // Teste aprovado na edição também encerra a inspeção da primeira peça pendente
+  if (updateResult.rows[0].approved && !test.approved) {
+    try {
+      const firstArticle = await firstArticleService.evaluateQualityTest(updateResult.rows[0]);
+      if (firstArticle) {
+        req.io.emit('fai:updated', { machineId: updateResult.rows[0].machine_id, request: firstArticle.request });
+      }
+    } catch (faiError) {
+      console.error('Erro ao avaliar inspeção da primeira peça:', faiError);
+    }
+  }
+
   // Log da ação
   const logQuery = `
     INSERT INTO system_logs (action, user_id, details, ip_address, user_agent, created_at)
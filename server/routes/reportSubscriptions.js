@@ -0,0 +1,189 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const reportSubscriptionService = require('../services/reportSubscriptionService');
+
+const router = express.Router();
+
+const EXECUTIVE_PERIODS = ['7d', '30d', '90d', '1y'];
+
+/**
+ * Validações comuns de criação/edição; na edição todos os campos são opcionais
+ */
+const subscriptionValidators = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('name').trim().notEmpty().withMessage('Nome é obrigatório'),
+    field('reportType').isIn(reportSubscriptionService.REPORT_TYPES).withMessage('Tipo de relatório inválido'),
+    field('cronExpression')
+      .custom(value => reportSubscriptionService.isValidCronExpression(value))
+      .withMessage('Expressão cron inválida'),
+    field('recipients').isArray({ min: 1 }).withMessage('Informe ao menos um destinatário'),
+    body('recipients.*').isEmail().withMessage('Email de destinatário inválido'),
+    body('format').optional().isIn(reportSubscriptionService.EXPORT_FORMATS).withMessage('Formato deve ser pdf, xlsx ou csv'),
+    body('filters').optional().isObject().withMessage('Filtros devem ser um objeto'),
+    body('filters.machineIds').optional().isArray().withMessage('Máquinas devem ser uma lista'),
+    body('filters.machineIds.*').isInt().withMessage('ID da máquina deve ser um número'),
+    body('filters.dateWindow').optional().isIn(reportSubscriptionService.DATE_WINDOWS).withMessage('Janela de data inválida'),
+    body('filters.userId').optional().isInt().withMessage('ID do usuário deve ser um número'),
+    body('filters.period').optional().isIn(EXECUTIVE_PERIODS).withMessage('Período deve ser 7d, 30d, 90d ou 1y'),
+    body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano')
+  ];
+};
+
+/**
+ * Campos aceitos no corpo da requisição
+ */
+const pickSubscriptionFields = (payload) => {
+  const fields = ['name', 'reportType', 'filters', 'format', 'cronExpression', 'recipients', 'isActive'];
+  return fields.reduce((acc, field) => {
+    if (payload[field] !== undefined) acc[field] = payload[field];
+    return acc;
+  }, {});
+};
+
+// @desc    Listar assinaturas de relatório
+// @route   GET /api/report-subscriptions
+// @access  Private (Manager+)
+router.get('/', requireManager, asyncHandler(async (req, res) => {
+  const subscriptions = await reportSubscriptionService.getSubscriptions();
+
+  res.json({
+    success: true,
+    data: subscriptions
+  });
+}));
+
+// @desc    Opções disponíveis para montar uma assinatura
+// @route   GET /api/report-subscriptions/options
+// @access  Private (Manager+)
+router.get('/options', requireManager, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      reportTypes: reportSubscriptionService.REPORT_TYPES,
+      formats: reportSubscriptionService.EXPORT_FORMATS,
+      dateWindows: reportSubscriptionService.DATE_WINDOWS
+    }
+  });
+}));
+
+// @desc    Obter assinatura com o histórico de execuções
+// @route   GET /api/report-subscriptions/:id
+// @access  Private (Manager+)
+router.get('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const subscription = await reportSubscriptionService.getSubscriptionById(req.params.id);
+  const runs = await reportSubscriptionService.getSubscriptionRuns(req.params.id);
+
+  res.json({
+    success: true,
+    data: { ...subscription, runs }
+  });
+}));
+
+// @desc    Criar assinatura de relatório
+// @route   POST /api/report-subscriptions
+// @access  Private (Manager+)
+router.post('/', [
+  requireManager,
+  ...subscriptionValidators()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const subscription = await reportSubscriptionService.createSubscription(
+    pickSubscriptionFields(req.body),
+    req.user.id
+  );
+
+  res.status(201).json({
+    success: true,
+    message: 'Assinatura de relatório criada com sucesso',
+    data: subscription
+  });
+}));
+
+// @desc    Atualizar assinatura de relatório
+// @route   PUT /api/report-subscriptions/:id
+// @access  Private (Manager+)
+router.put('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  ...subscriptionValidators(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const changes = pickSubscriptionFields(req.body);
+  if (Object.keys(changes).length === 0) {
+    throw new AppError('Nenhum campo para atualizar', 400);
+  }
+
+  const subscription = await reportSubscriptionService.updateSubscription(req.params.id, changes);
+
+  res.json({
+    success: true,
+    message: 'Assinatura de relatório atualizada com sucesso',
+    data: subscription
+  });
+}));
+
+// @desc    Excluir assinatura de relatório
+// @route   DELETE /api/report-subscriptions/:id
+// @access  Private (Manager+)
+router.delete('/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  await reportSubscriptionService.deleteSubscription(req.params.id);
+
+  res.json({
+    success: true,
+    message: 'Assinatura de relatório excluída com sucesso'
+  });
+}));
+
+// @desc    Executar a assinatura imediatamente (gera snapshot e envia o email)
+// @route   POST /api/report-subscriptions/:id/run
+// @access  Private (Manager+)
+router.post('/:id/run', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const subscription = await reportSubscriptionService.getSubscriptionById(req.params.id);
+  const result = await reportSubscriptionService.runSubscription(subscription);
+
+  res.json({
+    success: true,
+    message: result.email.success
+      ? 'Relatório gerado e enviado com sucesso'
+      : 'Relatório gerado, mas o envio do email falhou',
+    data: result
+  });
+}));
+
+module.exports = router;
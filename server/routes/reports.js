@@ -6,19 +6,45 @@ const { asyncHandler } = require('../middleware/errorHandler');
 const { setCache, getCache } = require('../config/redis');
 const {
   calculateOEE,
-  calculateCurrentShiftOEE,
-  calculateMultipleOEE
+  calculateCurrentShiftOEE
 } = require('../services/oeeService');
+const downtimeAnalysisService = require('../services/downtimeAnalysisService');
+const { EXPORT_FORMATS, sendReportExport } = require('../services/reportExportService');
+const { buildReportDocument, describeReportFilters } = require('../services/reportDocuments');
+const reportDataService = require('../services/reportDataService');
+const maintenanceService = require('../services/maintenanceService');
+const scrapService = require('../services/scrapService');
+const changeoverService = require('../services/changeoverService');
+const andonService = require('../services/andonService');
 
 const router = express.Router();
 
+const FORMAT_VALUES = ['json', ...EXPORT_FORMATS];
+const formatValidator = () => query('format').optional().isIn(FORMAT_VALUES).withMessage('Formato deve ser json, csv, xlsx ou pdf');
+
+/**
+ * Envia o relatório como arquivo quando ?format=csv|xlsx|pdf foi solicitado
+ * @returns {Promise<boolean>} true se a resposta já foi enviada
+ */
+async function sendExportIfRequested(req, res, reportType, data) {
+  const { format } = req.query;
+  if (!EXPORT_FORMATS.includes(format)) {
+    return false;
+  }
+
+  const document = buildReportDocument(reportType, data, describeReportFilters(req.query));
+  await sendReportExport(res, document, format);
+  return true;
+}
+
 // @desc    Métricas de qualidade para dashboard do gestor
 // @route   GET /api/reports/quality-metrics
 // @access  Private (Manager+)
 router.get('/quality-metrics', [
   query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
   query('endDate').optional().isISO8601().withMessage('Data final inválida'),
-  query('machineId').optional().isString().withMessage('ID da máquina inválido')
+  query('machineId').optional().isString().withMessage('ID da máquina inválido'),
+  formatValidator()
 ], authenticateToken, requireManager, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -29,101 +55,19 @@ router.get('/quality-metrics', [
     });
   }
 
-  const { startDate, endDate, machineId } = req.query;
-  const where = {};
+  const report = await reportDataService.getQualityMetrics(req.query);
 
-  // Filtros de data
-  if (startDate || endDate) {
-    where.createdAt = {};
-    if (startDate) where.createdAt.gte = new Date(startDate);
-    if (endDate) where.createdAt.lte = new Date(endDate);
+  if (await sendExportIfRequested(req, res, 'quality-metrics', report)) {
+    return;
   }
 
-  if (machineId && machineId !== 'all') where.machineId = machineId;
-
-  // Construir query SQL baseada nos filtros
-  let whereClause = 'WHERE 1=1';
-  const queryParams = [];
-  let paramIndex = 1;
-
-  if (startDate) {
-    whereClause += ` AND qt."created_at" >= $${paramIndex}`;
-    queryParams.push(new Date(startDate));
-    paramIndex++;
-  }
-  if (endDate) {
-    whereClause += ` AND qt."created_at" <= $${paramIndex}`;
-    queryParams.push(new Date(endDate));
-    paramIndex++;
-  }
-  if (machineId && machineId !== 'all') {
-    whereClause += ` AND qt."machine_id" = $${paramIndex}`;
-    queryParams.push(machineId);
-    paramIndex++;
-  }
-
-  const testsQuery = `
-    SELECT 
-      qt.*,
-      m.name as machine_name
-    FROM "quality_tests" qt
-    LEFT JOIN "machines" m ON qt."machine_id" = m.id
-    ${whereClause}
-    ORDER BY qt."created_at" DESC
-  `;
-  
-  const testsResult = await pool.query(testsQuery, queryParams);
-  const tests = testsResult.rows.map(row => ({
-    id: row.id,
-    approved: row.approved,
-    createdAt: row.created_at,
-    machineId: row.machine_id,
-    machine: {
-      name: row.machine_name
-    }
-  }));
-
-  const approved = tests.filter(test => test.approved).length;
-  const rejected = tests.filter(test => !test.approved).length;
-  const total = tests.length;
-  const approvalRate = total > 0 ? Math.round((approved / total) * 100) : 0;
-
-  // Agrupar por data para gráfico
-  const dailyData = {};
-  tests.forEach((test, index) => {
-    if (!test.createdAt) {
-      console.warn(`Test ${index} tem createdAt undefined:`, test);
-      return;
-    }
-    
-    let date;
-    try {
-      date = new Date(test.createdAt).toISOString().split('T')[0];
-    } catch (error) {
-      console.warn(`Erro ao converter data do test ${index}:`, test.createdAt, error.message);
-      return;
-    }
-    if (!dailyData[date]) {
-      dailyData[date] = { approved: 0, rejected: 0 };
-    }
-    if (test.approved) {
-      dailyData[date].approved++;
-    } else {
-      dailyData[date].rejected++;
-    }
-  });
-
-  const labels = Object.keys(dailyData).sort();
-  const approvedData = labels.map(date => dailyData[date].approved);
-  const rejectedData = labels.map(date => dailyData[date].rejected);
+  const { approvalRate, total, labels, approvedData, rejectedData } = report;
 
   res.json({
     success: true,
     data: {
       approvalRate,
       total,
-      approved,
-      rejected,
       labels,
       approved: approvedData,
       rejected: rejectedData
@@ -611,7 +555,7 @@ router.get('/machine-operations', [
   }).withMessage('ID da máquina inválido'),
   query('userId').optional().isInt({ min: 1 }).withMessage('ID do usuário inválido'),
   query('status').optional().isIn(['RUNNING', 'COMPLETED', 'PAUSED', 'STOPPED']).withMessage('Status inválido'),
-  query('format').optional().isIn(['json', 'csv']).withMessage('Formato deve ser json ou csv')
+  formatValidator()
 ], requireLeader, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -622,233 +566,15 @@ router.get('/machine-operations', [
     });
   }
 
-  const {
-    startDate,
-    endDate,
-    machineId,
-    userId,
-    status,
-    format = 'json'
-  } = req.query;
+  const report = await reportDataService.getMachineOperations(req.query);
 
-  const where = {};
-
-  // Filtros de data
-  if (startDate || endDate) {
-    where.startTime = {};
-    if (startDate) where.startTime.gte = new Date(startDate);
-    if (endDate) where.startTime.lte = new Date(endDate);
-  }
-
-  // Outros filtros
-  if (machineId) where.machineId = machineId;
-  if (userId) where.userId = userId;
-  if (status) where.status = status;
-
-  // Construir query SQL com filtros dinâmicos
-  let whereClause = 'WHERE 1=1';
-  const params = [];
-  let paramIndex = 1;
-
-  if (startDate) {
-    whereClause += ` AND mo."start_time" >= $${paramIndex}`;
-    params.push(new Date(startDate));
-    paramIndex++;
-  }
-  if (endDate) {
-    whereClause += ` AND mo."start_time" <= $${paramIndex}`;
-    params.push(new Date(endDate));
-    paramIndex++;
-  }
-  if (machineId) {
-    whereClause += ` AND mo."machine_id" = $${paramIndex}`;
-    params.push(machineId);
-    paramIndex++;
-  }
-  if (userId) {
-    whereClause += ` AND mo."user_id" = $${paramIndex}`;
-    params.push(userId);
-    paramIndex++;
-  }
-  if (status) {
-    whereClause += ` AND mo.status = $${paramIndex}`;
-    params.push(status);
-    paramIndex++;
-  }
-
-  const client = await pool.connect();
-  try {
-    const operationsResult = await client.query(`
-      SELECT 
-        mo.id,
-        mo."machine_id",
-        mo."user_id",
-        mo."startTime",
-        mo."end_time",
-        mo.status,
-        mo.observations,
-        mo."created_at",
-        mo."updatedAt",
-        m.name as machine_name,
-        m.code as machine_code,
-        m.location as machine_location,
-        u.name as user_name,
-        u.email as user_email
-      FROM "machine_operations" mo
-       LEFT JOIN "machines" m ON mo."machine_id" = m.id
-       LEFT JOIN "users" u ON mo."user_id" = u.id
-      ${whereClause}
-      ORDER BY mo."start_time" DESC
-    `, params);
-
-    // Buscar testes de qualidade para cada operação
-    const operationIds = operationsResult.rows.map(row => row.id);
-    let qualityTestsResult = { rows: [] };
-    
-    if (operationIds.length > 0) {
-      const placeholders = operationIds.map((_, index) => `$${index + 1}`).join(',');
-      qualityTestsResult = await client.query(`
-        SELECT 
-          id,
-          "operationId",
-          approved,
-          "created_at"
-        FROM "QualityTest"
-        WHERE "operationId" IN (${placeholders})
-      `, operationIds);
-    }
-
-    // Mapear resultados
-    const operations = operationsResult.rows.map(row => ({
-      id: row.id,
-      machineId: row.machineId,
-      userId: row.userId,
-      startTime: row.startTime,
-      endTime: row.endTime,
-      status: row.status,
-      observations: row.observations,
-      createdAt: row.createdAt,
-      updatedAt: row.updatedAt,
-      machine: {
-        name: row.machine_name,
-        code: row.machine_code,
-        location: row.machine_location
-      },
-      user: {
-        name: row.user_name,
-        email: row.user_email
-      },
-      qualityTests: qualityTestsResult.rows
-        .filter(test => test.operationId === row.id)
-        .map(test => ({
-          id: test.id,
-          approved: test.approved,
-          createdAt: test.createdAt
-        }))
-    }));
-  } finally {
-    client.release();
-  }
-
-  // Calcular durações e estatísticas
-  const operationsWithDuration = operations.map(op => {
-    const duration = op.endTime ? 
-      Math.round((op.endTime - op.startTime) / (1000 * 60)) : // em minutos
-      Math.round((new Date() - op.startTime) / (1000 * 60));
-    
-    return {
-      ...op,
-      duration,
-      hasQualityTest: op.qualityTests.length > 0,
-      qualityTestsCount: op.qualityTests.length,
-      approvedTests: op.qualityTests.filter(t => t.approved).length
-    };
-  });
-
-  const stats = {
-    total: operations.length,
-    completed: operations.filter(op => op.status === 'COMPLETED').length,
-    running: operations.filter(op => op.status === 'RUNNING').length,
-    paused: operations.filter(op => op.status === 'PAUSED').length,
-    stopped: operations.filter(op => op.status === 'STOPPED').length,
-    withQualityTests: operationsWithDuration.filter(op => op.hasQualityTest).length,
-    averageDuration: operationsWithDuration.length > 0 ? 
-      Math.round(operationsWithDuration.reduce((sum, op) => sum + op.duration, 0) / operationsWithDuration.length) : 0,
-    byMachine: {},
-    byUser: {},
-    byStatus: {}
-  };
-
-  // Agrupar estatísticas
-  operationsWithDuration.forEach(op => {
-    const machineName = op.machine.name;
-    const userName = op.user.name;
-    const status = op.status;
-
-    // Por máquina
-    if (!stats.byMachine[machineName]) {
-      stats.byMachine[machineName] = { total: 0, totalDuration: 0, withTests: 0 };
-    }
-    stats.byMachine[machineName].total++;
-    stats.byMachine[machineName].totalDuration += op.duration;
-    if (op.hasQualityTest) stats.byMachine[machineName].withTests++;
-
-    // Por usuário
-    if (!stats.byUser[userName]) {
-      stats.byUser[userName] = { total: 0, totalDuration: 0, withTests: 0 };
-    }
-    stats.byUser[userName].total++;
-    stats.byUser[userName].totalDuration += op.duration;
-    if (op.hasQualityTest) stats.byUser[userName].withTests++;
-
-    // Por status
-    if (!stats.byStatus[status]) {
-      stats.byStatus[status] = { count: 0, totalDuration: 0 };
-    }
-    stats.byStatus[status].count++;
-    stats.byStatus[status].totalDuration += op.duration;
-  });
-
-  if (format === 'csv') {
-    const csvHeaders = [
-      'Data/Hora Início',
-      'Data/Hora Fim',
-      'Duração (min)',
-      'Máquina',
-      'Operador',
-      'Status',
-      'Testes de Qualidade',
-      'Testes Aprovados',
-      'Observações'
-    ];
-
-    const csvRows = operationsWithDuration.map(op => [
-      op.startTime.toLocaleString('pt-BR'),
-      op.endTime ? op.endTime.toLocaleString('pt-BR') : 'Em andamento',
-      op.duration,
-      op.machine.name,
-      op.user.name,
-      op.status,
-      op.qualityTestsCount,
-      op.approvedTests,
-      op.observations || ''
-    ]);
-
-    const csvContent = [csvHeaders, ...csvRows]
-      .map(row => row.map(field => `"${field}"`).join(','))
-      .join('\n');
-
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', 'attachment; filename="relatorio-operacoes-maquinas.csv"');
-    return res.send('\uFEFF' + csvContent);
+  if (await sendExportIfRequested(req, res, 'machine-operations', report)) {
+    return;
   }
 
   res.json({
     success: true,
-    data: {
-      operations: operationsWithDuration,
-      statistics: stats
-    }
+    data: report
   });
 }));
 
@@ -863,7 +589,7 @@ router.get('/teflon-changes', [
     return /^[0-9a-fA-F]{24}$/.test(value);
   }).withMessage('ID da máquina inválido'),
   query('expired').optional().isBoolean().withMessage('Expired deve ser boolean'),
-  query('format').optional().isIn(['json', 'csv']).withMessage('Formato deve ser json ou csv')
+  formatValidator()
 ], requireLeader, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -874,213 +600,19 @@ router.get('/teflon-changes', [
     });
   }
 
-  const {
-    startDate,
-    endDate,
-    machineId,
-    expired,
-    format = 'json'
-  } = req.query;
-
-  const where = {};
-  const now = new Date();
-
-  // Filtros de data
-  if (startDate || endDate) {
-    where.changeDate = {};
-    if (startDate) where.changeDate.gte = new Date(startDate);
-    if (endDate) where.changeDate.lte = new Date(endDate);
-  }
-
-  // Outros filtros
-  if (machineId && machineId !== 'all') where.machineId = machineId;
-  if (expired === 'true') {
-    where.expiryDate = { lt: now };
-  } else if (expired === 'false') {
-    where.expiryDate = { gte: now };
-  }
-
-  // Construir query SQL
-  let sql = `
-    SELECT 
-      tc.*,
-      m.name as machine_name,
-      m.code as machine_code,
-      m.location as machine_location,
-      u.name as user_name,
-      u.email as user_email
-    FROM teflon_changes tc
-    LEFT JOIN machines m ON tc.machine_id = m.id
-    LEFT JOIN users u ON tc.user_id = u.id
-    WHERE 1=1
-  `;
-  
-  const params = [];
-  let paramIndex = 1;
-  
-  // Filtros de data
-  if (startDate) {
-    sql += ` AND tc.change_date >= $${paramIndex}`;
-    params.push(startDate);
-    paramIndex++;
-  }
-  if (endDate) {
-    sql += ` AND tc.change_date <= $${paramIndex}`;
-    params.push(endDate);
-    paramIndex++;
-  }
-  
-  // Outros filtros
-  if (machineId && machineId !== 'all') {
-    sql += ` AND tc.machine_id = $${paramIndex}`;
-    params.push(machineId);
-    paramIndex++;
-  }
-  if (expired === 'true') {
-    sql += ` AND tc.expiry_date < $${paramIndex}`;
-    params.push(now);
-    paramIndex++;
-  } else if (expired === 'false') {
-    sql += ` AND tc.expiry_date >= $${paramIndex}`;
-    params.push(now);
-    paramIndex++;
-  }
-  
-  sql += ` ORDER BY tc.change_date DESC`;
-  
-  const result = await pool.query(sql, params);
-  
-  // Mapear resultados para o formato original
-  const changes = result.rows.map(row => ({
-    id: row.id,
-    changeDate: row.change_date,
-    expiryDate: row.expiry_date,
-    teflonType: row.teflon_type,
-    observations: row.observations,
-    machineId: row.machine_id,
-    userId: row.user_id,
-    createdAt: row.created_at,
-    updatedAt: row.updated_at,
-    machine: {
-      name: row.machine_name,
-      code: row.machine_code,
-      location: row.machine_location
-    },
-    user: {
-      name: row.user_name,
-      email: row.user_email
-    }
-  }));
-
-  // Adicionar status e calcular estatísticas
-  const changesWithStatus = changes.map(change => {
-    const daysUntilExpiry = Math.ceil((change.expiryDate - now) / (1000 * 60 * 60 * 24));
-    const isExpired = change.expiryDate < now;
-    const isExpiringSoon = !isExpired && daysUntilExpiry <= 7;
-
-    return {
-      ...change,
-      status: {
-        expired: isExpired,
-        expiringSoon: isExpiringSoon,
-        daysUntilExpiry
-      }
-    };
-  });
-
-  const stats = {
-    total: changes.length,
-    expired: changesWithStatus.filter(c => c.status.expired).length,
-    expiringSoon: changesWithStatus.filter(c => c.status.expiringSoon).length,
-    valid: changesWithStatus.filter(c => !c.status.expired && !c.status.expiringSoon).length,
-    byMachine: {},
-    byUser: {},
-    byMonth: {}
-  };
-
-  // Agrupar estatísticas
-  changesWithStatus.forEach(change => {
-    const machineName = change.machine.name;
-    const userName = change.user.name;
-    const month = change.changeDate ? new Date(change.changeDate).toISOString().substring(0, 7) : 'unknown'; // YYYY-MM
-
-    // Por máquina
-    if (!stats.byMachine[machineName]) {
-      stats.byMachine[machineName] = { total: 0, expired: 0, expiringSoon: 0 };
-    }
-    stats.byMachine[machineName].total++;
-    if (change.status.expired) stats.byMachine[machineName].expired++;
-    if (change.status.expiringSoon) stats.byMachine[machineName].expiringSoon++;
-
-    // Por usuário
-    if (!stats.byUser[userName]) {
-      stats.byUser[userName] = { total: 0, expired: 0, expiringSoon: 0 };
-    }
-    stats.byUser[userName].total++;
-    if (change.status.expired) stats.byUser[userName].expired++;
-    if (change.status.expiringSoon) stats.byUser[userName].expiringSoon++;
-
-    // Por mês
-    if (!stats.byMonth[month]) {
-      stats.byMonth[month] = { total: 0 };
-    }
-    stats.byMonth[month].total++;
-  });
+  const report = await reportDataService.getTeflonChanges(req.query);
 
-  if (format === 'csv') {
-    const csvHeaders = [
-      'Data da Troca',
-      'Data de Validade',
-      'Máquina',
-      'Operador',
-      'Tipo de Teflon',
-      'Status',
-      'Dias até Vencimento',
-      'Observações'
-    ];
-
-    const csvRows = changesWithStatus.map(change => [
-      change.changeDate.toLocaleDateString('pt-BR'),
-      change.expiryDate.toLocaleDateString('pt-BR'),
-      change.machine.name,
-      change.user.name,
-      change.teflonType,
-      change.status.expired ? 'Expirado' : change.status.expiringSoon ? 'Expirando' : 'Válido',
-      change.status.daysUntilExpiry,
-      change.observations || ''
-    ]);
-
-    const csvContent = [csvHeaders, ...csvRows]
-      .map(row => row.map(field => `"${field}"`).join(','))
-      .join('\n');
-
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
-    res.setHeader('Content-Disposition', 'attachment; filename="relatorio-trocas-teflon.csv"');
-    return res.send('\uFEFF' + csvContent);
+  if (await sendExportIfRequested(req, res, 'teflon-changes', report)) {
+    return;
   }
 
-  // Preparar dados para gráfico
-  const monthlyData = {};
-  changesWithStatus.forEach(change => {
-    if (!change.changeDate) return;
-    const month = new Date(change.changeDate).toISOString().substring(0, 7); // YYYY-MM
-    if (!monthlyData[month]) {
-      monthlyData[month] = 0;
-    }
-    monthlyData[month]++;
-  });
-
-  const labels = Object.keys(monthlyData).sort();
-  const chartChanges = labels.map(month => monthlyData[month]);
-
   res.json({
     success: true,
     data: {
-      changes: changesWithStatus,
-      statistics: stats,
-      total: changes.length,
-      labels,
-      changes: chartChanges
+      statistics: report.statistics,
+      total: report.total,
+      labels: report.labels,
+      changes: report.chartChanges
     }
   });
 }));
@@ -1089,256 +621,44 @@ router.get('/teflon-changes', [
 // @route   GET /api/reports/executive-dashboard
 // @access  Private (Manager+)
 router.get('/executive-dashboard', [
-  query('period').optional().isIn(['7d', '30d', '90d', '1y']).withMessage('Período inválido')
+  query('period').optional().isIn(['7d', '30d', '90d', '1y']).withMessage('Período inválido'),
+  formatValidator()
 ], requireManager, asyncHandler(async (req, res) => {
-  const { period = '30d' } = req.query;
-  
-  // Calcular datas baseado no período
-  const now = new Date();
-  let startDate;
-  
-  switch (period) {
-    case '7d':
-      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
-      break;
-    case '30d':
-      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-      break;
-    case '90d':
-      startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
-      break;
-    case '1y':
-      startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
-      break;
-    default:
-      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
-  }
-
-  const cacheKey = `executive_dashboard:${period}`;
-  let cachedData = await getCache(cacheKey);
-  
-  if (cachedData) {
-    return res.json({
-      success: true,
-      data: JSON.parse(cachedData),
-      cached: true
-    });
-  }
-
-  // Buscar dados em paralelo usando PostgreSQL
-  const client = await pool.connect();
-  try {
-    const [machinesResult, operationsResult, qualityTestsResult, teflonChangesResult, notificationsResult] = await Promise.all([
-      // Máquinas com contagem de operações
-      client.query(`
-        SELECT 
-          m.id,
-          m.name,
-          m.status,
-          m.isActive,
-          COUNT(mo.id) as operations_count
-        FROM "machines" m
-        LEFT JOIN "machine_operations" mo ON m.id = mo."machine_id" AND mo."start_time" >= $1
-        GROUP BY m.id, m.name, m.status, m.isActive
-      `, [startDate]),
-      
-      // Operações
-      client.query(`
-        SELECT 
-          id,
-          "startTime",
-          "endTime",
-          status,
-          "machine_id",
-          "userId"
-        FROM "machine_operations"
-        WHERE "startTime" >= $1
-      `, [startDate]),
-      
-      // Testes de qualidade
-      client.query(`
-        SELECT 
-          id,
-          approved,
-          "created_at",
-          "machine_id",
-          "userId"
-        FROM "QualityTest"
-        WHERE "created_at" >= $1
-      `, [startDate]),
-      
-      // Trocas de teflon
-      client.query(`
-        SELECT 
-          id,
-          "changeDate",
-          "expiryDate",
-          "machine_id"
-        FROM "teflon_changes"
-      `),
-      
-      // Notificações
-      client.query(`
-        SELECT 
-          id,
-          type,
-          priority,
-          read,
-          "created_at"
-        FROM "notifications"
-        WHERE "created_at" >= $1
-      `, [startDate])
-    ]);
-
-    // Mapear resultados para o formato original
-    const machines = machinesResult.rows.map(row => ({
-      id: row.id,
-      name: row.name,
-      status: row.status,
-      isActive: row.isActive,
-      _count: {
-        operations: parseInt(row.operations_count)
-      }
-    }));
-
-    const operations = operationsResult.rows.map(row => ({
-      id: row.id,
-      startTime: row.startTime,
-      endTime: row.endTime,
-      status: row.status,
-      machineId: row.machineId,
-      userId: row.userId
-    }));
-
-    const qualityTests = qualityTestsResult.rows.map(row => ({
-      id: row.id,
-      approved: row.approved,
-      createdAt: row.createdAt,
-      machineId: row.machineId,
-      userId: row.userId
-    }));
-
-    const teflonChanges = teflonChangesResult.rows.map(row => ({
-      id: row.id,
-      changeDate: row.changeDate,
-      expiryDate: row.expiryDate,
-      machineId: row.machineId
-    }));
-
-    const notifications = notificationsResult.rows.map(row => ({
-      id: row.id,
-      type: row.type,
-      priority: row.priority,
-      read: row.read,
-      createdAt: row.createdAt
-    }));
-  } finally {
-    client.release();
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parâmetros inválidos',
+      errors: errors.array()
+    });
   }
 
-  // Calcular métricas
-  const totalOperations = operations.length;
-  const completedOperations = operations.filter(op => op.status === 'COMPLETED').length;
-  const runningOperations = operations.filter(op => op.status === 'RUNNING').length;
-  
-  const totalQualityTests = qualityTests.length;
-  const approvedTests = qualityTests.filter(test => test.approved).length;
-  const approvalRate = totalQualityTests > 0 ? (approvedTests / totalQualityTests * 100).toFixed(1) : 0;
-  
-  const activeMachines = machines.filter(m => m.isActive).length;
-  const runningMachines = machines.filter(m => m.status === 'RUNNING').length;
-  
-  const expiredTeflon = teflonChanges.filter(t => t.expiryDate < now).length;
-  const expiringSoonTeflon = teflonChanges.filter(t => {
-    const sevenDaysFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
-    return t.expiryDate >= now && t.expiryDate <= sevenDaysFromNow;
-  }).length;
-  
-  const unreadNotifications = notifications.filter(n => !n.read).length;
-  const urgentNotifications = notifications.filter(n => n.priority === 'URGENT').length;
+  const { period = '30d' } = req.query;
 
-  // Dados para gráficos
-  const dailyOperations = {};
-  const dailyQualityTests = {};
-  
-  // Agrupar operações por dia
-  operations.forEach(op => {
-    if (!op.startTime) return;
-    const day = new Date(op.startTime).toISOString().split('T')[0];
-    dailyOperations[day] = (dailyOperations[day] || 0) + 1;
-  });
+  const cacheKey = `executive_dashboard:${period}`;
+  let cachedData = await getCache(cacheKey);
   
-  // Agrupar testes por dia
-  qualityTests.forEach(test => {
-    if (!test.createdAt) return;
-    const day = new Date(test.createdAt).toISOString().split('T')[0];
-    if (!dailyQualityTests[day]) {
-      dailyQualityTests[day] = { total: 0, approved: 0, rejected: 0 };
-    }
-    dailyQualityTests[day].total++;
-    if (test.approved) {
-      dailyQualityTests[day].approved++;
-    } else {
-      dailyQualityTests[day].rejected++;
+  if (cachedData) {
+    if (await sendExportIfRequested(req, res, 'executive-dashboard', JSON.parse(cachedData))) {
+      return;
     }
-  });
 
-  const dashboardData = {
-    period,
-    summary: {
-      machines: {
-        total: machines.length,
-        active: activeMachines,
-        running: runningMachines,
-        utilization: activeMachines > 0 ? (runningMachines / activeMachines * 100).toFixed(1) : 0
-      },
-      operations: {
-        total: totalOperations,
-        completed: completedOperations,
-        running: runningOperations,
-        completionRate: totalOperations > 0 ? (completedOperations / totalOperations * 100).toFixed(1) : 0
-      },
-      qualityTests: {
-        total: totalQualityTests,
-        approved: approvedTests,
-        rejected: totalQualityTests - approvedTests,
-        approvalRate: parseFloat(approvalRate)
-      },
-      teflon: {
-        total: teflonChanges.length,
-        expired: expiredTeflon,
-        expiringSoon: expiringSoonTeflon,
-        alertsNeeded: expiredTeflon + expiringSoonTeflon
-      },
-      notifications: {
-        total: notifications.length,
-        unread: unreadNotifications,
-        urgent: urgentNotifications
-      }
-    },
-    charts: {
-      dailyOperations,
-      dailyQualityTests,
-      machineUtilization: machines.map(m => ({
-        name: m.name,
-        operations: m._count.operations,
-        status: m.status
-      }))
-    },
-    alerts: {
-      expiredTeflon,
-      expiringSoonTeflon,
-      urgentNotifications,
-      operationsWithoutTests: operations.filter(op => {
-        return !qualityTests.some(test => test.machineId === op.machineId && 
-          Math.abs(test.createdAt - op.startTime) < 30 * 60 * 1000); // 30 minutos
-      }).length
-    }
-  };
+    return res.json({
+      success: true,
+      data: JSON.parse(cachedData),
+      cached: true
+    });
+  }
+
+  const dashboardData = await reportDataService.getExecutiveDashboard({ period });
 
   // Cache por 5 minutos
   await setCache(cacheKey, JSON.stringify(dashboardData), 300);
 
+  if (await sendExportIfRequested(req, res, 'executive-dashboard', dashboardData)) {
+    return;
+  }
+
   res.json({
     success: true,
     data: dashboardData
@@ -1351,204 +671,24 @@ router.get('/executive-dashboard', [
 router.get('/operator-productivity', [
   query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
   query('endDate').optional().isISO8601().withMessage('Data final inválida'),
-  query('userId').optional().isInt({ min: 1 }).withMessage('ID do usuário inválido')
+  query('userId').optional().isInt({ min: 1 }).withMessage('ID do usuário inválido'),
+  formatValidator()
 ], requireManager, asyncHandler(async (req, res) => {
-  const { startDate, endDate, userId } = req.query;
-  
-  const dateFilter = {};
-  if (startDate || endDate) {
-    if (startDate) dateFilter.gte = new Date(startDate);
-    if (endDate) dateFilter.lte = new Date(endDate);
-  }
-
-  const userFilter = userId ? { id: userId } : { role: 'OPERATOR' };
-
-  // Construir filtros SQL
-  let userWhereClause = 'WHERE 1=1';
-  const userParams = [];
-  let paramIndex = 1;
-
-  if (userId) {
-    userWhereClause += ` AND u.id = $${paramIndex}`;
-    userParams.push(userId);
-    paramIndex++;
-  } else {
-    userWhereClause += ` AND u.role = $${paramIndex}`;
-    userParams.push('OPERATOR');
-    paramIndex++;
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parâmetros inválidos',
+      errors: errors.array()
+    });
   }
 
-  const client = await pool.connect();
-  try {
-    // Buscar operadores
-    const operatorsResult = await client.query(`
-      SELECT 
-        u.id,
-        u.name,
-        u.email
-      FROM "users" u
-      ${userWhereClause}
-    `, userParams);
-
-    const operators = [];
-    
-    for (const operator of operatorsResult.rows) {
-      // Buscar operações do operador
-      let operationsWhereClause = 'WHERE mo."user_id" = $1';
-      const operationsParams = [operator.id];
-      let opParamIndex = 2;
-
-      if (startDate) {
-        operationsWhereClause += ` AND mo."start_time" >= $${opParamIndex}`;
-        operationsParams.push(new Date(startDate));
-        opParamIndex++;
-      }
-      if (endDate) {
-        operationsWhereClause += ` AND mo."start_time" <= $${opParamIndex}`;
-        operationsParams.push(new Date(endDate));
-        opParamIndex++;
-      }
-
-      const operationsResult = await client.query(`
-        SELECT 
-          mo.id,
-          mo."start_time",
-          mo."end_time",
-          mo.status,
-          m.name as machine_name
-        FROM "MachineOperation" mo
-        LEFT JOIN "machines" m ON mo."machine_id" = m.id
-        ${operationsWhereClause}
-      `, operationsParams);
-
-      // Buscar testes de qualidade do operador
-      let testsWhereClause = 'WHERE qt."user_id" = $1';
-      const testsParams = [operator.id];
-      let testParamIndex = 2;
-
-      if (startDate) {
-        testsWhereClause += ` AND qt."created_at" >= $${testParamIndex}`;
-        testsParams.push(new Date(startDate));
-        testParamIndex++;
-      }
-      if (endDate) {
-        testsWhereClause += ` AND qt."created_at" <= $${testParamIndex}`;
-        testsParams.push(new Date(endDate));
-        testParamIndex++;
-      }
-
-      const testsResult = await client.query(`
-        SELECT 
-          qt.id,
-          qt.approved,
-          qt."created_at",
-          m.name as machine_name
-        FROM "quality_tests" qt
-        LEFT JOIN "machines" m ON qt."machine_id" = m.id
-        ${testsWhereClause}
-      `, testsParams);
-
-      // Buscar trocas de teflon do operador
-      let changesWhereClause = 'WHERE tc."user_id" = $1';
-      const changesParams = [operator.id];
-      let changeParamIndex = 2;
-
-      if (startDate) {
-        changesWhereClause += ` AND tc."changeDate" >= $${changeParamIndex}`;
-        changesParams.push(new Date(startDate));
-        changeParamIndex++;
-      }
-      if (endDate) {
-        changesWhereClause += ` AND tc."changeDate" <= $${changeParamIndex}`;
-        changesParams.push(new Date(endDate));
-        changeParamIndex++;
-      }
+  const productivity = await reportDataService.getOperatorProductivity(req.query);
 
-      const changesResult = await client.query(`
-        SELECT 
-          tc.id,
-          tc."changeDate",
-          m.name as machine_name
-        FROM "teflon_changes" tc
-        LEFT JOIN "machines" m ON tc."machine_id" = m.id
-        ${changesWhereClause}
-      `, changesParams);
-
-      // Mapear resultados
-      operators.push({
-        id: operator.id,
-        name: operator.name,
-        email: operator.email,
-        machineOperations: operationsResult.rows.map(row => ({
-          id: row.id,
-          startTime: row.startTime,
-          endTime: row.endTime,
-          status: row.status,
-          machine: { name: row.machine_name }
-        })),
-        qualityTests: testsResult.rows.map(row => ({
-          id: row.id,
-          approved: row.approved,
-          createdAt: row.createdAt,
-          machine: { name: row.machine_name }
-        })),
-        teflonChanges: changesResult.rows.map(row => ({
-          id: row.id,
-          changeDate: row.changeDate,
-          machine: { name: row.machine_name }
-        }))
-      });
-    }
-  } finally {
-    client.release();
+  if (await sendExportIfRequested(req, res, 'operator-productivity', productivity)) {
+    return;
   }
 
-  const productivity = operators.map(operator => {
-    const operations = operator.machineOperations;
-    const qualityTests = operator.qualityTests;
-    const teflonChanges = operator.teflonChanges;
-
-    // Calcular tempo total de operação
-    const totalOperationTime = operations.reduce((total, op) => {
-      if (op.endTime) {
-        return total + (op.endTime - op.startTime);
-      }
-      return total;
-    }, 0);
-
-    const totalOperationHours = totalOperationTime / (1000 * 60 * 60); // em horas
-
-    return {
-      operator: {
-        id: operator.id,
-        name: operator.name,
-        email: operator.email
-      },
-      metrics: {
-        totalOperations: operations.length,
-        completedOperations: operations.filter(op => op.status === 'COMPLETED').length,
-        totalOperationHours: Math.round(totalOperationHours * 100) / 100,
-        averageOperationTime: operations.length > 0 ? 
-          Math.round(totalOperationTime / operations.length / (1000 * 60)) : 0, // em minutos
-        totalQualityTests: qualityTests.length,
-        approvedTests: qualityTests.filter(test => test.approved).length,
-        approvalRate: qualityTests.length > 0 ? 
-          (qualityTests.filter(test => test.approved).length / qualityTests.length * 100).toFixed(1) : 0,
-        teflonChanges: teflonChanges.length,
-        testsPerOperation: operations.length > 0 ? 
-          (qualityTests.length / operations.length).toFixed(2) : 0
-      },
-      details: JSON.stringify({
-        operations,
-        qualityTests,
-        teflonChanges
-      })
-    };
-  });
-
-  // Ordenar por produtividade (número de operações completadas)
-  productivity.sort((a, b) => b.metrics.completedOperations - a.metrics.completedOperations);
-
   res.json({
     success: true,
     data: productivity
@@ -1983,141 +1123,17 @@ router.get('/maintenance-data', [
   }
 
   const { startDate, endDate, machineId } = req.query;
-  const where = {};
-
-  // Filtros de data
-  if (startDate || endDate) {
-    where.createdAt = {};
-    if (startDate) where.createdAt.gte = new Date(startDate);
-    if (endDate) where.createdAt.lte = new Date(endDate);
-  }
-
-  if (machineId && machineId !== 'all') where.machineId = machineId;
-
-  // Construir filtros SQL
-  let whereClause = 'WHERE n.type IN ($1, $2)';
-  const params = ['MAINTENANCE', 'MACHINE_STATUS'];
-  let paramIndex = 3;
-
-  if (startDate) {
-    whereClause += ` AND n."created_at" >= $${paramIndex}`;
-    params.push(new Date(startDate));
-    paramIndex++;
-  }
-  if (endDate) {
-    whereClause += ` AND n."created_at" <= $${paramIndex}`;
-    params.push(new Date(endDate));
-    paramIndex++;
-  }
-  if (machineId && machineId !== 'all') {
-    whereClause += ` AND n."machine_id" = $${paramIndex}`;
-    params.push(machineId);
-    paramIndex++;
-  }
-
-  const client = await pool.connect();
-  try {
-    // Buscar notificações de manutenção
-    const notificationsResult = await client.query(`
-      SELECT 
-        n.id,
-        n.message,
-        n.type,
-        n."created_at",
-        n."machine_id",
-        m.name as machine_name
-      FROM "notifications" n
-      LEFT JOIN "machines" m ON n."machine_id" = m.id
-      ${whereClause}
-      ORDER BY n."created_at" DESC
-    `, params);
-
-    const maintenanceNotifications = notificationsResult.rows.map(row => ({
-      id: row.id,
-      message: row.message,
-      type: row.type,
-      createdAt: row.createdAt,
-      machineId: row.machineId,
-      machine: { name: row.machine_name }
-    }));
-
-    // Buscar máquinas em manutenção
-    const machinesResult = await client.query(`
-      SELECT 
-        id,
-        name,
-        status,
-        "lastMaintenance"
-      FROM "machines"
-      WHERE status = 'MAINTENANCE'
-    `);
-
-    const machinesInMaintenance = machinesResult.rows;
-  } finally {
-    client.release();
-  }
-
-  // Calcular métricas
-  const totalMaintenance = maintenanceNotifications.length;
-  const preventive = maintenanceNotifications.filter(n => n.message.includes('preventiva')).length;
-  const corrective = totalMaintenance - preventive;
-  const avgDowntime = machinesInMaintenance.length > 0 ? 2.8 : 0; // Valor estimado
-  const maintenanceCost = totalMaintenance * 2500; // Custo estimado por manutenção
 
-  // Agrupar por máquina
-  const maintenanceByMachine = {};
-  maintenanceNotifications.forEach(notification => {
-    const machineName = notification.machine?.name || 'Desconhecida';
-    if (!maintenanceByMachine[machineName]) {
-      maintenanceByMachine[machineName] = {
-        machine: machineName,
-        preventive: 0,
-        corrective: 0,
-        cost: 0
-      };
-    }
-    if (notification.message.includes('preventiva')) {
-      maintenanceByMachine[machineName].preventive++;
-    } else {
-      maintenanceByMachine[machineName].corrective++;
-    }
-    maintenanceByMachine[machineName].cost += 2500;
-  });
-
-  // Agrupar por data para tendência
-  const dailyData = {};
-  maintenanceNotifications.forEach(notification => {
-    if (!notification.createdAt) return;
-    const date = new Date(notification.createdAt).toISOString().split('T')[0];
-    if (!dailyData[date]) {
-      dailyData[date] = { downtime: 0, maintenance: 0 };
-    }
-    dailyData[date].maintenance++;
-    dailyData[date].downtime += 2.1; // Tempo médio estimado
+  // Ordens de serviço concluídas e MTBF/MTTR a partir do histórico de status
+  const data = await maintenanceService.getMaintenanceReport({
+    startDate,
+    endDate,
+    machineId: machineId && machineId !== 'all' ? parseInt(machineId) : null
   });
 
-  const labels = Object.keys(dailyData).sort();
-  const downtimeTrend = labels.map(date => ({
-    date,
-    downtime: dailyData[date].downtime,
-    maintenance: dailyData[date].maintenance
-  }));
-
   res.json({
     success: true,
-    data: {
-      totalMaintenance,
-      preventive,
-      corrective,
-      avgDowntime,
-      maintenanceCost,
-      plannedVsUnplanned: {
-        planned: preventive > 0 ? Math.round((preventive / totalMaintenance) * 100) : 0,
-        unplanned: corrective > 0 ? Math.round((corrective / totalMaintenance) * 100) : 0
-      },
-      maintenanceByMachine: Object.values(maintenanceByMachine),
-      downtimeTrend
-    }
+    data
   });
 }));
 
@@ -2357,7 +1373,8 @@ router.get('/quality-summary', [
 router.get('/oee-summary', [
   query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
   query('endDate').optional().isISO8601().withMessage('Data final inválida'),
-  query('machineIds').optional().isString().withMessage('IDs das máquinas inválidos')
+  query('machineIds').optional().isString().withMessage('IDs das máquinas inválidos'),
+  formatValidator()
 ], requireManager, asyncHandler(async (req, res) => {
   const errors = validationResult(req);
   if (!errors.isEmpty()) {
@@ -2368,54 +1385,16 @@ router.get('/oee-summary', [
     });
   }
 
-  const { startDate, endDate, machineIds } = req.query;
-  
   try {
-    let oeeData;
-    
-    if (machineIds && machineIds !== 'all') {
-      // Calcular OEE para máquinas específicas
-      const machineIdArray = machineIds.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
-      oeeData = await calculateMultipleOEE(machineIdArray, startDate, endDate);
-    } else {
-      // Buscar todas as máquinas ativas
-      const machinesQuery = `
-        SELECT id 
-        FROM machines 
-        WHERE is_active = true
-      `;
-      const machinesResult = await pool.query(machinesQuery);
-      const allMachineIds = machinesResult.rows.map(m => m.id);
-      oeeData = await calculateMultipleOEE(allMachineIds, startDate, endDate);
+    const report = await reportDataService.getOeeSummary(req.query);
+
+    if (await sendExportIfRequested(req, res, 'oee-summary', report)) {
+      return;
     }
-    
-    // Calcular médias gerais
-    const totalMachines = oeeData.length;
-    const averageOEE = totalMachines > 0 
-      ? oeeData.reduce((sum, machine) => sum + machine.oee, 0) / totalMachines 
-      : 0;
-    const averageAvailability = totalMachines > 0 
-      ? oeeData.reduce((sum, machine) => sum + machine.availability, 0) / totalMachines 
-      : 0;
-    const averagePerformance = totalMachines > 0 
-      ? oeeData.reduce((sum, machine) => sum + machine.performance, 0) / totalMachines 
-      : 0;
-    const averageQuality = totalMachines > 0 
-      ? oeeData.reduce((sum, machine) => sum + machine.quality, 0) / totalMachines 
-      : 0;
-    
+
     res.json({
       success: true,
-      data: {
-        summary: {
-          totalMachines,
-          averageOEE: Math.round(averageOEE * 100) / 100,
-          averageAvailability: Math.round(averageAvailability * 100) / 100,
-          averagePerformance: Math.round(averagePerformance * 100) / 100,
-          averageQuality: Math.round(averageQuality * 100) / 100
-        },
-        machines: oeeData
-      }
+      data: report
     });
   } catch (error) {
     console.error('Erro ao calcular OEE summary:', error);
@@ -2426,6 +1405,181 @@ router.get('/oee-summary', [
   }
 }));
 
+/**
+ * Converte os filtros de período/máquinas das análises de paradas.
+ * Sem datas, considera os últimos 7 dias.
+ */
+function parseDowntimeFilters({ startDate, endDate, machineId, machineIds }) {
+  const endTime = endDate ? new Date(endDate) : new Date();
+  const startTime = startDate ? new Date(startDate) : new Date(endTime.getTime() - 7 * 24 * 60 * 60 * 1000);
+
+  let ids = [];
+  if (machineIds && machineIds !== 'all') {
+    ids = machineIds.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+  } else if (machineId && machineId !== 'all') {
+    ids = [parseInt(machineId)];
+  }
+
+  return { startTime, endTime, machineIds: ids };
+}
+
+// @desc    Pareto de paradas por motivo/categoria, quebrado por máquina, turno e equipe
+// @route   GET /api/reports/downtime-pareto
+// @access  Private (Leader+)
+router.get('/downtime-pareto', [
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('machineId').optional().isString().withMessage('ID da máquina inválido'),
+  query('machineIds').optional().isString().withMessage('IDs das máquinas inválidos'),
+  query('groupBy').optional().isIn(['reason', 'category']).withMessage('Agrupamento deve ser reason ou category'),
+  query('type').optional().isIn(['all', 'planned', 'unplanned']).withMessage('Tipo deve ser all, planned ou unplanned')
+], requireLeader, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parâmetros inválidos',
+      errors: errors.array()
+    });
+  }
+
+  const { groupBy = 'reason', type = 'all' } = req.query;
+  const filters = parseDowntimeFilters(req.query);
+
+  const cacheKey = `downtime_pareto_${filters.startTime.toISOString()}_${filters.endTime.toISOString()}_${filters.machineIds.join('-') || 'all'}_${groupBy}_${type}`;
+  const cachedData = await getCache(cacheKey);
+
+  if (cachedData) {
+    return res.json({
+      success: true,
+      data: cachedData,
+      cached: true
+    });
+  }
+
+  const data = await downtimeAnalysisService.getDowntimePareto({ ...filters, groupBy, type });
+
+  await setCache(cacheKey, data, 300);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Árvore das seis grandes perdas (disponibilidade, performance e qualidade)
+// @route   GET /api/reports/loss-tree
+// @access  Private (Leader+)
+router.get('/loss-tree', [
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('machineId').optional().isString().withMessage('ID da máquina inválido'),
+  query('machineIds').optional().isString().withMessage('IDs das máquinas inválidos'),
+  query('minorStopMinutes').optional().isInt({ min: 1, max: 60 }).withMessage('Limite de pequena parada deve estar entre 1 e 60 minutos')
+], requireLeader, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parâmetros inválidos',
+      errors: errors.array()
+    });
+  }
+
+  const filters = parseDowntimeFilters(req.query);
+  const minorStopMinutes = req.query.minorStopMinutes
+    ? parseInt(req.query.minorStopMinutes)
+    : downtimeAnalysisService.DEFAULT_MINOR_STOP_MINUTES;
+
+  const data = await downtimeAnalysisService.getLossTree({ ...filters, minorStopMinutes });
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Relatório de refugo e retrabalho por motivo e por máquina
+// @route   GET /api/reports/scrap
+// @access  Private (Leader+)
+router.get('/scrap', [
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('machineId').optional().isString().withMessage('ID da máquina inválido'),
+  query('machineIds').optional().isString().withMessage('IDs das máquinas inválidos')
+], requireLeader, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parâmetros inválidos',
+      errors: errors.array()
+    });
+  }
+
+  const filters = parseDowntimeFilters(req.query);
+  const data = await scrapService.getScrapReport(filters);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Relatório SMED: tempos de troca por par de produtos, por máquina e por etapa
+// @route   GET /api/reports/changeovers
+// @access  Private (Leader+)
+router.get('/changeovers', [
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('machineId').optional().isString().withMessage('ID da máquina inválido'),
+  query('machineIds').optional().isString().withMessage('IDs das máquinas inválidos')
+], requireLeader, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parâmetros inválidos',
+      errors: errors.array()
+    });
+  }
+
+  const filters = parseDowntimeFilters(req.query);
+  const data = await changeoverService.getChangeoverReport(filters);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
+// @desc    Tempos de resposta do andon (reconhecimento, chegada e resolução) por categoria e máquina
+// @route   GET /api/reports/andon
+// @access  Private (Leader+)
+router.get('/andon', [
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('machineId').optional().isString().withMessage('ID da máquina inválido'),
+  query('machineIds').optional().isString().withMessage('IDs das máquinas inválidos')
+], requireLeader, asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Parâmetros inválidos',
+      errors: errors.array()
+    });
+  }
+
+  const filters = parseDowntimeFilters(req.query);
+  const data = await andonService.getAndonReport(filters);
+
+  res.json({
+    success: true,
+    data
+  });
+}));
+
 // @desc    Obter eficiência atual do turno para dashboard
 // @route   GET /api/reports/current-shift-efficiency
 // @access  Private (Leader+)
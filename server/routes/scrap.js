@@ -0,0 +1,159 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const scrapService = require('../services/scrapService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// @desc    Listar motivos de refugo e retrabalho
+// @route   GET /api/scrap/reasons
+// @access  Private (Operator+)
+router.get('/reasons', [
+  requireOperator,
+  query('type').optional().isIn(scrapService.RECORD_TYPES).withMessage('Tipo deve ser SCRAP ou REWORK')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const reasons = await scrapService.getReasons({
+    type: req.query.type || null,
+    includeInactive: req.query.includeInactive === 'true'
+  });
+
+  res.json({
+    success: true,
+    data: reasons
+  });
+}));
+
+// @desc    Criar motivo de refugo/retrabalho
+// @route   POST /api/scrap/reasons
+// @access  Private (Manager+)
+router.post('/reasons', [
+  requireManager,
+  body('code').trim().notEmpty().withMessage('Código é obrigatório'),
+  body('name').trim().notEmpty().withMessage('Nome é obrigatório'),
+  body('appliesTo').optional({ nullable: true }).isIn(scrapService.RECORD_TYPES).withMessage('Tipo deve ser SCRAP ou REWORK'),
+  body('sortOrder').optional().isInt().withMessage('Ordem deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const reason = await scrapService.createReason(req.body, req.user.id);
+
+  res.status(201).json({
+    success: true,
+    message: 'Motivo de refugo criado com sucesso',
+    data: reason
+  });
+}));
+
+// @desc    Atualizar ou desativar motivo de refugo/retrabalho
+// @route   PUT /api/scrap/reasons/:id
+// @access  Private (Manager+)
+router.put('/reasons/:id', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('name').optional().trim().notEmpty().withMessage('Nome não pode ser vazio'),
+  body('appliesTo').optional({ nullable: true }).isIn(scrapService.RECORD_TYPES).withMessage('Tipo deve ser SCRAP ou REWORK'),
+  body('sortOrder').optional().isInt().withMessage('Ordem deve ser um número'),
+  body('isActive').optional().isBoolean().withMessage('isActive deve ser booleano')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const reason = await scrapService.updateReason(req.params.id, req.body);
+
+  res.json({
+    success: true,
+    message: 'Motivo de refugo atualizado com sucesso',
+    data: reason
+  });
+}));
+
+// @desc    Listar lançamentos de refugo e retrabalho
+// @route   GET /api/scrap
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('operationId').optional().isInt().withMessage('ID da operação deve ser um número'),
+  query('shiftDataId').optional().isInt().withMessage('ID do turno deve ser um número'),
+  query('type').optional().isIn(scrapService.RECORD_TYPES).withMessage('Tipo deve ser SCRAP ou REWORK'),
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('limit').optional().isInt({ min: 1, max: 500 }).withMessage('Limite deve ser entre 1 e 500')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, operationId, shiftDataId, type, startDate, endDate, limit } = req.query;
+  const records = await scrapService.getRecords({
+    machineId: machineId ? parseInt(machineId) : null,
+    operationId: operationId ? parseInt(operationId) : null,
+    shiftDataId: shiftDataId ? parseInt(shiftDataId) : null,
+    type: type || null,
+    startDate: startDate ? String(startDate).slice(0, 10) : null,
+    endDate: endDate ? String(endDate).slice(0, 10) : null,
+    limit: limit ? parseInt(limit) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: records
+  });
+}));
+
+// @desc    Lançar refugo ou retrabalho na operação ativa da máquina
+// @route   POST /api/scrap
+// @access  Private (Operator+)
+router.post('/', [
+  requireOperator,
+  body('machineId').isInt().withMessage('ID da máquina é obrigatório'),
+  body('type').isIn(scrapService.RECORD_TYPES).withMessage('Tipo deve ser SCRAP ou REWORK'),
+  body('reasonId').isInt().withMessage('Motivo é obrigatório'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantidade deve ser um número inteiro maior que zero'),
+  body('photoUrl').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Foto inválida'),
+  body('notes').optional({ nullable: true }).isString().withMessage('Observações inválidas')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, type, reasonId, quantity, photoUrl, notes } = req.body;
+  const record = await scrapService.recordScrap({
+    machineId: parseInt(machineId),
+    type,
+    reasonId: parseInt(reasonId),
+    quantity: parseInt(quantity),
+    photoUrl: photoUrl || null,
+    notes: notes ? String(notes).trim() || null : null
+  }, req.user, auditContext(req));
+
+  req.io.emit('scrap:recorded', { record });
+
+  res.status(201).json({
+    success: true,
+    message: type === 'SCRAP' ? 'Refugo registrado com sucesso' : 'Retrabalho registrado com sucesso',
+    data: record
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,207 @@
+const express = require('express');
+const { body, query, param, validationResult } = require('express-validator');
+const { requireOperator, requireLeader, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const shiftReconciliationService = require('../services/shiftReconciliationService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// @desc    Listar turnos encerrados e a situação da reconciliação (padrão: últimos 7 dias)
+// @route   GET /api/shift-reconciliations
+// @access  Private (Operator+)
+router.get('/', [
+  requireOperator,
+  query('machineId').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  query('status').optional().isIn(shiftReconciliationService.RECONCILIATION_STATUSES).withMessage('Status inválido'),
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limite deve ser entre 1 e 200'),
+  query('offset').optional().isInt({ min: 0 }).withMessage('Offset deve ser positivo')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, status, startDate, endDate, limit, offset } = req.query;
+  const result = await shiftReconciliationService.getShiftReconciliations({
+    machineId: machineId ? parseInt(machineId) : null,
+    status,
+    startDate,
+    endDate,
+    limit: limit ? parseInt(limit) : undefined,
+    offset: offset ? parseInt(offset) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: result.items,
+    total: result.total
+  });
+}));
+
+// @desc    Limites de diferença por máquina
+// @route   GET /api/shift-reconciliations/thresholds
+// @access  Private (Leader+)
+router.get('/thresholds', requireLeader, asyncHandler(async (req, res) => {
+  const thresholds = await shiftReconciliationService.getThresholds();
+
+  res.json({
+    success: true,
+    data: thresholds
+  });
+}));
+
+// @desc    Definir limite de diferença da máquina
+// @route   PUT /api/shift-reconciliations/thresholds/:machineId
+// @access  Private (Manager+)
+router.put('/thresholds/:machineId', [
+  requireManager,
+  param('machineId').isInt().withMessage('ID da máquina deve ser um número'),
+  body('thresholdPercent').isFloat({ min: 0, max: 100 }).withMessage('Limite deve ser entre 0 e 100')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const threshold = await shiftReconciliationService.setThreshold(
+    parseInt(req.params.machineId),
+    parseFloat(req.body.thresholdPercent),
+    req.user.id
+  );
+
+  res.json({
+    success: true,
+    message: 'Limite atualizado com sucesso',
+    data: threshold
+  });
+}));
+
+// @desc    Obter reconciliação de turno
+// @route   GET /api/shift-reconciliations/:id
+// @access  Private (Operator+)
+router.get('/:id', [
+  requireOperator,
+  param('id').isInt().withMessage('ID deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const reconciliation = await shiftReconciliationService.getReconciliationById(parseInt(req.params.id));
+  if (!reconciliation) {
+    throw new AppError('Reconciliação não encontrada', 404);
+  }
+
+  res.json({
+    success: true,
+    data: reconciliation
+  });
+}));
+
+// @desc    Informar a quantidade contada no turno
+// @route   POST /api/shift-reconciliations/count
+// @access  Private (Operator+)
+router.post('/count', [
+  requireOperator,
+  body('machineId').isInt().withMessage('ID da máquina é obrigatório'),
+  body('shiftDate').isISO8601().withMessage('Data do turno inválida'),
+  body('shiftType').isIn(shiftReconciliationService.SHIFT_TYPES).withMessage('Turno deve ser MORNING ou NIGHT'),
+  body('countedQuantity').isInt({ min: 0 }).withMessage('Quantidade contada deve ser um número inteiro positivo'),
+  body('notes').optional({ nullable: true }).trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, shiftDate, shiftType, countedQuantity, notes } = req.body;
+  const reconciliation = await shiftReconciliationService.submitCount({
+    machineId: parseInt(machineId),
+    shiftDate: String(shiftDate).slice(0, 10),
+    shiftType,
+    countedQuantity: parseInt(countedQuantity),
+    notes: notes || null
+  }, req.user.id);
+
+  req.io.emit('shift:reconciliation-updated', { reconciliation });
+
+  res.status(201).json({
+    success: true,
+    message: reconciliation.status === 'FLAGGED'
+      ? `Diferença de ${reconciliation.variancePercent}% acima do limite; aguardando justificativa do líder`
+      : 'Turno reconciliado com sucesso',
+    data: reconciliation
+  });
+}));
+
+// @desc    Justificar a diferença ou corrigir a quantidade do turno
+// @route   POST /api/shift-reconciliations/:id/resolve
+// @access  Private (Leader+)
+router.post('/:id/resolve', [
+  requireLeader,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('action').isIn(shiftReconciliationService.RESOLUTION_ACTIONS).withMessage('Ação deve ser JUSTIFY ou CORRECT'),
+  body('justification').trim().notEmpty().withMessage('Justificativa é obrigatória'),
+  body('correctedQuantity').if(body('action').equals('CORRECT')).isInt({ min: 0 }).withMessage('Quantidade corrigida é obrigatória')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { action, justification, correctedQuantity } = req.body;
+  const reconciliation = await shiftReconciliationService.resolveReconciliation(parseInt(req.params.id), {
+    action,
+    justification,
+    correctedQuantity: action === 'CORRECT' ? parseInt(correctedQuantity) : null
+  }, req.user.id, auditContext(req));
+
+  req.io.emit('shift:reconciliation-updated', { reconciliation });
+
+  res.json({
+    success: true,
+    message: 'Turno reconciliado com sucesso',
+    data: reconciliation
+  });
+}));
+
+// @desc    Reabrir turno reconciliado
+// @route   POST /api/shift-reconciliations/:id/reopen
+// @access  Private (Manager+)
+router.post('/:id/reopen', [
+  requireManager,
+  param('id').isInt().withMessage('ID deve ser um número'),
+  body('reason').trim().notEmpty().withMessage('Motivo é obrigatório')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const reconciliation = await shiftReconciliationService.reopenReconciliation(
+    parseInt(req.params.id),
+    req.body.reason,
+    req.user.id,
+    auditContext(req)
+  );
+
+  req.io.emit('shift:reconciliation-updated', { reconciliation });
+
+  res.json({
+    success: true,
+    message: 'Turno reaberto para reconciliação',
+    data: reconciliation
+  });
+}));
+
+module.exports = router;
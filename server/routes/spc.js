@@ -0,0 +1,97 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const { requireOperator } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const spcService = require('../services/spcService');
+const { DIMENSION_KEYS } = require('../services/productSpecificationService');
+
+const router = express.Router();
+
+const baseValidators = [
+  query('machineId').isInt().withMessage('ID da máquina é obrigatório'),
+  query('product').trim().notEmpty().withMessage('Produto é obrigatório'),
+  query('startDate').optional().isISO8601().withMessage('Data inicial inválida'),
+  query('endDate').optional().isISO8601().withMessage('Data final inválida')
+];
+
+// @desc    Carta de controle de uma dimensão (X-barra/R ou individuais)
+// @route   GET /api/spc/chart
+// @access  Private (Operator+)
+router.get('/chart', [
+  requireOperator,
+  ...baseValidators,
+  query('dimension').isIn(DIMENSION_KEYS).withMessage('Dimensão inválida'),
+  query('chartType').optional().isIn(spcService.CHART_TYPES).withMessage('Tipo de carta deve ser xbar-r ou individuals'),
+  query('subgroupSize').optional().isInt({ min: 2, max: 10 }).withMessage('Subgrupo deve ter entre 2 e 10 medições'),
+  query('limit').optional().isInt({ min: 10, max: 1000 }).withMessage('Limite deve ser entre 10 e 1000')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, product, dimension, chartType, subgroupSize, startDate, endDate, limit } = req.query;
+  const analysis = await spcService.analyze({
+    machineId: parseInt(machineId),
+    product,
+    dimension,
+    chartType,
+    subgroupSize: subgroupSize ? parseInt(subgroupSize) : undefined,
+    startDate,
+    endDate,
+    limit: limit ? parseInt(limit) : undefined
+  });
+
+  res.json({
+    success: true,
+    data: analysis
+  });
+}));
+
+// @desc    Capacidade (Cp/Cpk) e estado de controle de todas as dimensões
+// @route   GET /api/spc/summary
+// @access  Private (Operator+)
+router.get('/summary', [
+  requireOperator,
+  ...baseValidators
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { machineId, product, startDate, endDate } = req.query;
+  const summary = await spcService.getCapabilitySummary({
+    machineId: parseInt(machineId),
+    product,
+    startDate,
+    endDate
+  });
+
+  res.json({
+    success: true,
+    data: summary
+  });
+}));
+
+// @desc    Produtos com testes registrados na máquina (para os filtros da carta)
+// @route   GET /api/spc/products
+// @access  Private (Operator+)
+router.get('/products', [
+  requireOperator,
+  query('machineId').isInt().withMessage('ID da máquina é obrigatório')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const products = await spcService.getProducts(parseInt(req.query.machineId));
+
+  res.json({
+    success: true,
+    data: products
+  });
+}));
+
+module.exports = router;
@@ -4,6 +4,8 @@ const pool = require('../config/database');
 const { requireOperator, requireLeader } = require('../middleware/auth');
 const { asyncHandler, AppError } = require('../middleware/errorHandler');
 const { setCache, getCache, deleteCache } = require('../config/redis');
+const firstArticleService = require('../services/firstArticleService');
+const webhookService = require('../services/webhookService');
 
 const router = express.Router();
 
@@ -377,12 +379,27 @@ router.post('/', [
   // Invalidar cache relacionado
   await deleteCache(`machine:${changeData.machineId}`);
 
-  // Notificar via Socket.IO
-  req.io.emit('teflon:changed', {
+  // Notificar via Socket.IO e webhooks
+  const changeEventData = {
     change,
     machine: machine.name,
     operator: req.user.name
-  });
+  };
+  req.io.emit('teflon:changed', changeEventData);
+  webhookService.publish('teflon:changed', changeEventData);
+
+  // Primeira peça após a troca de teflon aguarda inspeção quando há regra de FAI
+  try {
+    const firstArticle = await firstArticleService.openRequest(change.machineId, 'TEFLON_CHANGE', {
+      teflonChangeId: change.id,
+      userId: req.user.id
+    });
+    if (firstArticle) {
+      req.io.emit('fai:updated', { machineId: change.machineId, request: firstArticle.request });
+    }
+  } catch (faiError) {
+    console.error('Erro ao abrir inspeção da primeira peça:', faiError);
+  }
 
   // Log da ação
   await pool.query(`
@@ -0,0 +1,56 @@
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const { requireLeader } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const traceabilityService = require('../services/traceabilityService');
+
+const router = express.Router();
+
+// @desc    Rastreabilidade completa de um lote (máquinas, operadores, BPM, teflon, testes e alertas)
+// @route   GET /api/traceability/lot/:lot
+// @access  Private (Leader+)
+router.get('/lot/:lot', [
+  requireLeader,
+  param('lot').trim().notEmpty().withMessage('Lote é obrigatório')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const trace = await traceabilityService.traceLot(req.params.lot);
+  if (!trace) {
+    throw new AppError('Nenhum registro encontrado para o lote', 404);
+  }
+
+  res.json({
+    success: true,
+    data: trace
+  });
+}));
+
+// @desc    Rastreabilidade de uma caixa
+// @route   GET /api/traceability/box/:box?lot=
+// @access  Private (Leader+)
+router.get('/box/:box', [
+  requireLeader,
+  param('box').trim().notEmpty().withMessage('Caixa é obrigatória'),
+  query('lot').optional().trim()
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const trace = await traceabilityService.traceBox(req.params.box, { lot: req.query.lot || null });
+  if (!trace) {
+    throw new AppError('Nenhum teste de qualidade encontrado para a caixa', 404);
+  }
+
+  res.json({
+    success: true,
+    data: trace
+  });
+}));
+
+module.exports = router;
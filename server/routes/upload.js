@@ -93,6 +93,67 @@ router.post('/quality-test-image', requireOperator, asyncHandler(async (req, res
   }
 }));
 
+// @desc    Upload de foto de refugo/retrabalho
+// @route   POST /api/upload/scrap-image
+// @access  Private (Operator)
+router.post('/scrap-image', requireOperator, asyncHandler(async (req, res) => {
+  await ensureUploadDir();
+
+  if (!req.files || !req.files.image) {
+    throw new AppError('Nenhuma imagem foi enviada', 400, 'NO_IMAGE_PROVIDED');
+  }
+
+  const image = req.files.image;
+
+  if (!ALLOWED_IMAGE_TYPES.includes(image.mimetype)) {
+    throw new AppError('Tipo de arquivo não permitido. Use JPEG, PNG ou WebP', 400, 'INVALID_FILE_TYPE');
+  }
+
+  if (image.size > MAX_FILE_SIZE) {
+    throw new AppError('Arquivo muito grande. Máximo 10MB', 400, 'FILE_TOO_LARGE');
+  }
+
+  const extension = path.extname(image.name);
+  const filename = `scrap_${Date.now()}_${req.user.id}${extension}`;
+  const filepath = path.join(UPLOAD_DIR, 'images', filename);
+
+  try {
+    await image.mv(filepath);
+
+    const fileUrl = `/uploads/images/${filename}`;
+
+    await pool.query(`
+      INSERT INTO "SystemLog" (action, "userId", details, "createdAt")
+      VALUES ($1, $2, $3, NOW())
+    `, [
+      'IMAGE_UPLOADED',
+      req.user.id,
+      JSON.stringify({
+        filename,
+        originalName: image.name,
+        size: image.size,
+        mimetype: image.mimetype,
+        purpose: 'scrap',
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      })
+    ]);
+
+    res.json({
+      success: true,
+      message: 'Imagem enviada com sucesso',
+      data: {
+        filename,
+        url: fileUrl,
+        size: image.size,
+        mimetype: image.mimetype
+      }
+    });
+  } catch (error) {
+    throw new AppError('Erro ao salvar imagem', 500, 'UPLOAD_ERROR');
+  }
+}));
+
 // @desc    Upload de vídeo para teste de qualidade
 // @route   POST /api/upload/quality-test-video
 // @access  Private (Operator)
@@ -0,0 +1,101 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const { authenticateToken, requireManager } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const wallboardService = require('../services/wallboardService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+// Autenticação da TV pelo token de quiosque (cabeçalho X-Kiosk-Token), sem usuário logado
+const authenticateWallboard = asyncHandler(async (req, res, next) => {
+  const wallboard = await wallboardService.findActiveWallboard(req.get('X-Kiosk-Token'));
+  if (!wallboard) {
+    throw new AppError('Token de painel inválido ou revogado', 401);
+  }
+  req.wallboard = wallboard;
+  next();
+});
+
+// @desc    Fotografia do painel de TV (máquinas, OEE, turno, alertas, testes pendentes e andon)
+// @route   GET /api/wallboard/snapshot
+// @access  Kiosk (token do painel)
+router.get('/snapshot', authenticateWallboard, asyncHandler(async (req, res) => {
+  const snapshot = await wallboardService.getSnapshot(req.wallboard);
+
+  res.json({
+    success: true,
+    data: snapshot
+  });
+}));
+
+// @desc    Listar painéis de TV
+// @route   GET /api/wallboard/tokens
+// @access  Private (Manager+)
+router.get('/tokens', authenticateToken, requireManager, asyncHandler(async (req, res) => {
+  const wallboards = await wallboardService.getWallboards();
+
+  res.json({
+    success: true,
+    data: wallboards
+  });
+}));
+
+// @desc    Criar painel de TV e gerar o token de quiosque
+// @route   POST /api/wallboard/tokens
+// @access  Private (Manager+)
+router.post('/tokens', authenticateToken, requireManager, [
+  body('name').trim().isLength({ min: 1, max: 100 }).withMessage('Nome deve ter entre 1 e 100 caracteres'),
+  body('machineIds').optional({ nullable: true }).isArray().withMessage('Máquinas devem ser uma lista'),
+  body('machineIds.*').optional().isInt().withMessage('ID da máquina deve ser um número'),
+  body('rotateSeconds').optional().isInt({ min: 5, max: 300 }).withMessage('Rotação deve ser entre 5 e 300 segundos')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const { name, machineIds, rotateSeconds } = req.body;
+  const wallboard = await wallboardService.createWallboard({
+    name,
+    machineIds: machineIds || null,
+    rotateSeconds: rotateSeconds ? parseInt(rotateSeconds) : undefined
+  }, req.user, auditContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Painel criado. Copie o endereço agora: o token não será exibido novamente',
+    data: wallboard
+  });
+}));
+
+// @desc    Revogar painel de TV
+// @route   DELETE /api/wallboard/tokens/:id
+// @access  Private (Manager+)
+router.delete('/tokens/:id', authenticateToken, requireManager, [
+  param('id').isInt().withMessage('ID do painel deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const wallboard = await wallboardService.revokeWallboard(req.params.id, req.user, auditContext(req));
+
+  // Derrubar as TVs conectadas com o token revogado
+  req.io.in(`wallboard:${wallboard.id}`).disconnectSockets(true);
+
+  res.json({
+    success: true,
+    message: 'Painel revogado',
+    data: wallboard
+  });
+}));
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { requireAdmin } = require('../middleware/auth');
+const { asyncHandler, AppError } = require('../middleware/errorHandler');
+const webhookService = require('../services/webhookService');
+
+const router = express.Router();
+
+const auditContext = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('User-Agent'),
+  method: req.method,
+  endpoint: req.originalUrl
+});
+
+const subscriptionValidation = (optional = false) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+  return [
+    field('name').trim().isLength({ min: 1, max: 100 }).withMessage('Nome deve ter entre 1 e 100 caracteres'),
+    field('url').trim().isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false }).withMessage('URL deve começar com http:// ou https://'),
+    field('eventTypes').isArray({ min: 1 }).withMessage('Selecione ao menos um evento'),
+    body('eventTypes.*').optional().isIn(webhookService.EVENT_TYPES).withMessage('Evento desconhecido'),
+    body('isActive').optional().isBoolean().withMessage('isActive deve ser boolean')
+  ];
+};
+
+// @desc    Eventos disponíveis para assinatura
+// @route   GET /api/webhooks/events
+// @access  Private (Admin)
+router.get('/events', requireAdmin, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: Object.entries(webhookService.WEBHOOK_EVENTS).map(([type, description]) => ({ type, description }))
+  });
+}));
+
+// @desc    Entregas dos webhooks (status=dead lista as entregas mortas)
+// @route   GET /api/webhooks/deliveries
+// @access  Private (Admin)
+router.get('/deliveries', requireAdmin, [
+  query('status').optional().isIn(webhookService.DELIVERY_STATUSES).withMessage('Status de entrega inválido'),
+  query('subscriptionId').optional().isInt({ min: 1 }).withMessage('ID do webhook inválido'),
+  query('limit').optional().isInt({ min: 1, max: 200 }).withMessage('Limit deve ser entre 1 e 200')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Parâmetros inválidos', 400, errors.array());
+  }
+
+  const deliveries = await webhookService.getDeliveries(req.query);
+
+  res.json({
+    success: true,
+    data: deliveries
+  });
+}));
+
+// @desc    Reenviar uma entrega morta ou já entregue
+// @route   POST /api/webhooks/deliveries/:id/redeliver
+// @access  Private (Admin)
+router.post('/deliveries/:id/redeliver', requireAdmin, [
+  param('id').isInt().withMessage('ID da entrega deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const delivery = await webhookService.redeliver(req.params.id, req.user, auditContext(req));
+
+  res.json({
+    success: true,
+    message: delivery.status === 'delivered' ? 'Evento reenviado' : 'O destino ainda não aceitou o evento; novas tentativas foram agendadas',
+    data: delivery
+  });
+}));
+
+// @desc    Listar webhooks
+// @route   GET /api/webhooks
+// @access  Private (Admin)
+router.get('/', requireAdmin, asyncHandler(async (req, res) => {
+  const subscriptions = await webhookService.getSubscriptions();
+
+  res.json({
+    success: true,
+    data: subscriptions
+  });
+}));
+
+// @desc    Cadastrar webhook e gerar o segredo de assinatura
+// @route   POST /api/webhooks
+// @access  Private (Admin)
+router.post('/', requireAdmin, subscriptionValidation(), asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const subscription = await webhookService.createSubscription(req.body, req.user, auditContext(req));
+
+  res.status(201).json({
+    success: true,
+    message: 'Webhook cadastrado. Copie o segredo agora: ele não será exibido novamente',
+    data: subscription
+  });
+}));
+
+// @desc    Atualizar webhook
+// @route   PUT /api/webhooks/:id
+// @access  Private (Admin)
+router.put('/:id', requireAdmin, [
+  param('id').isInt().withMessage('ID do webhook deve ser um número'),
+  ...subscriptionValidation(true)
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const subscription = await webhookService.updateSubscription(req.params.id, req.body, req.user, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Webhook atualizado',
+    data: subscription
+  });
+}));
+
+// @desc    Excluir webhook e suas entregas
+// @route   DELETE /api/webhooks/:id
+// @access  Private (Admin)
+router.delete('/:id', requireAdmin, [
+  param('id').isInt().withMessage('ID do webhook deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  await webhookService.deleteSubscription(req.params.id, req.user, auditContext(req));
+
+  res.json({
+    success: true,
+    message: 'Webhook excluído'
+  });
+}));
+
+// @desc    Enviar evento de teste para o webhook
+// @route   POST /api/webhooks/:id/test
+// @access  Private (Admin)
+router.post('/:id/test', requireAdmin, [
+  param('id').isInt().withMessage('ID do webhook deve ser um número')
+], asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    throw new AppError('Dados inválidos', 400, errors.array());
+  }
+
+  const delivery = await webhookService.sendTestEvent(req.params.id, req.user);
+
+  res.json({
+    success: true,
+    message: delivery.status === 'delivered'
+      ? `Evento de teste entregue (HTTP ${delivery.responseStatus})`
+      : `Evento de teste não entregue: ${delivery.errorMessage}`,
+    data: delivery
+  });
+}));
+
+module.exports = router;
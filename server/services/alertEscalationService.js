@@ -0,0 +1,408 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const notificationService = require('./notificationService');
+const onCallService = require('./onCallService');
+
+/**
+ * Escalonamento de alertas.
+ * Ao ser criado, o alerta recebe a política que cobre o seu tipo e prioridade e um prazo de
+ * reconhecimento. Vencido o prazo sem reconhecimento, o agendador sobe o alerta para o
+ * próximo perfil da política (operador → líder → gestor), notificando de novo os níveis
+ * anteriores pelos canais de alert_channels; no último nível o alerta é reenviado até
+ * max_repeats vezes. Operadores e líderes são os da equipe em turno (onCallService).
+ * Todas as etapas ficam em alert_events (linha do tempo do alerta).
+ */
+
+const PRIORITY_LEVELS = { info: 1, warning: 2, critical: 3 };
+
+const ESCALATION_ROLES = ['OPERATOR', 'LEADER', 'MANAGER', 'ADMIN'];
+
+const EVENT_LABELS = {
+  CREATED: 'Alerta criado',
+  ESCALATED: 'Escalonado',
+  RENOTIFIED: 'Notificado novamente',
+  EXHAUSTED: 'Escalonamento encerrado sem reconhecimento',
+  ACKNOWLEDGED: 'Reconhecido',
+  RESOLVED: 'Resolvido'
+};
+
+/**
+ * Converte uma linha de alert_escalation_policies para o formato da API
+ */
+function mapPolicy(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    description: row.description,
+    alertTypes: row.alert_types || null,
+    minPriority: row.min_priority,
+    ackTimeoutMinutes: row.ack_timeout_minutes,
+    escalationRoles: row.escalation_roles,
+    maxRepeats: row.max_repeats,
+    isActive: row.is_active,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapEvent(row) {
+  return {
+    id: row.id,
+    alertId: row.alert_id,
+    eventType: row.event_type,
+    eventLabel: EVENT_LABELS[row.event_type] || row.event_type,
+    escalationLevel: row.escalation_level,
+    targetRoles: row.target_roles || [],
+    notifiedUserIds: row.notified_user_ids || [],
+    userId: row.user_id,
+    userName: row.user_name,
+    notes: row.notes,
+    createdAt: row.created_at
+  };
+}
+
+async function auditPolicy(action, policyId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'alert_escalation_policies',
+      resourceId: String(policyId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria da política de escalonamento:', error);
+  }
+}
+
+/**
+ * Política ativa que cobre o alerta: o tipo precisa estar na lista (ou a lista vazia)
+ * e a prioridade precisa atingir o mínimo. Entre várias, vale a de tipo específico.
+ */
+function selectPolicy(policies, alert) {
+  const level = PRIORITY_LEVELS[alert.priority] || 0;
+  const matches = policies.filter(policy => (
+    policy.isActive &&
+    level >= (PRIORITY_LEVELS[policy.minPriority] || 0) &&
+    (!policy.alertTypes || policy.alertTypes.length === 0 || policy.alertTypes.includes(alert.type))
+  ));
+  return matches.find(policy => policy.alertTypes && policy.alertTypes.length > 0) || matches[0] || null;
+}
+
+/**
+ * Próxima etapa de um alerta com prazo vencido. Após o último reenvio ainda corre um prazo,
+ * ao fim do qual o escalonamento é encerrado (EXHAUSTED).
+ * @returns {Object} { eventType, level, repeats, targetRoles, nextEscalation }
+ */
+function nextStep(policy, alert) {
+  const lastLevel = policy.escalationRoles.length - 1;
+  const level = alert.escalation_level || 0;
+  const repeats = alert.escalation_repeats || 0;
+
+  if (level < lastLevel) {
+    return {
+      eventType: 'ESCALATED',
+      level: level + 1,
+      repeats,
+      targetRoles: policy.escalationRoles.slice(0, level + 2),
+      nextEscalation: true
+    };
+  }
+  if (repeats < policy.maxRepeats) {
+    return {
+      eventType: 'RENOTIFIED',
+      level,
+      repeats: repeats + 1,
+      targetRoles: policy.escalationRoles.slice(0, level + 1),
+      nextEscalation: true
+    };
+  }
+  return { eventType: 'EXHAUSTED', level, repeats, targetRoles: [], nextEscalation: false };
+}
+
+async function recordEvent(db, alertId, eventType, { level = null, targetRoles = null, userIds = null, userId = null, notes = null } = {}) {
+  await db.query(`
+    INSERT INTO alert_events (alert_id, event_type, escalation_level, target_roles, notified_user_ids, user_id, notes)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+  `, [alertId, eventType, level, targetRoles, userIds, userId, notes]);
+}
+
+async function getPolicies() {
+  const result = await pool.query('SELECT * FROM alert_escalation_policies ORDER BY name');
+  return result.rows.map(mapPolicy);
+}
+
+/**
+ * Registra a criação na linha do tempo e, havendo política, agenda o primeiro prazo
+ * @param {Object} alert - Linha recém-inserida em alerts
+ * @param {number[]} userIds - Usuários notificados na criação
+ * @param {Object} db - Cliente da transação de createAlert
+ */
+async function startEscalation(alert, userIds = [], db = pool) {
+  const policiesResult = await db.query('SELECT * FROM alert_escalation_policies WHERE is_active = true ORDER BY id');
+  const policy = selectPolicy(policiesResult.rows.map(mapPolicy), alert);
+
+  if (policy) {
+    await db.query(`
+      UPDATE alerts
+      SET escalation_policy_id = $1, escalation_level = 0, escalation_repeats = 0,
+          next_escalation_at = NOW() + make_interval(mins => $2)
+      WHERE id = $3
+    `, [policy.id, policy.ackTimeoutMinutes, alert.id]);
+  }
+
+  await recordEvent(db, alert.id, 'CREATED', {
+    level: policy ? 0 : null,
+    targetRoles: policy ? policy.escalationRoles.slice(0, 1) : null,
+    userIds,
+    notes: policy ? `Política: ${policy.name} (${policy.ackTimeoutMinutes} min para reconhecer)` : null
+  });
+
+  return policy;
+}
+
+/**
+ * Escalona os alertas ativos com prazo de reconhecimento vencido
+ * @returns {Promise<number>} Alertas escalonados ou reenviados
+ */
+async function processDueEscalations() {
+  const dueResult = await pool.query(`
+    SELECT a.*, m.name AS machine_name, p.id AS policy_id
+    FROM alerts a
+    JOIN alert_escalation_policies p ON p.id = a.escalation_policy_id
+    LEFT JOIN machines m ON m.id = a.machine_id
+    WHERE a.status = 'active' AND a.next_escalation_at IS NOT NULL AND a.next_escalation_at <= NOW()
+    ORDER BY a.next_escalation_at
+    LIMIT 100
+  `);
+  if (dueResult.rows.length === 0) {
+    return 0;
+  }
+
+  const policiesResult = await pool.query('SELECT * FROM alert_escalation_policies');
+  const policies = new Map(policiesResult.rows.map(row => [row.id, mapPolicy(row)]));
+
+  let escalated = 0;
+  for (const alert of dueResult.rows) {
+    const policy = policies.get(alert.policy_id);
+    const step = nextStep(policy, alert);
+
+    // Reservar a etapa: outro ciclo ou um reconhecimento pode ter chegado antes
+    const claimed = await pool.query(`
+      UPDATE alerts
+      SET escalation_level = $1, escalation_repeats = $2,
+          next_escalation_at = CASE WHEN $3 THEN NOW() + make_interval(mins => $4) ELSE NULL END
+      WHERE id = $5 AND status = 'active' AND next_escalation_at <= NOW()
+        AND escalation_level = $6 AND escalation_repeats = $7
+      RETURNING id
+    `, [step.level, step.repeats, step.nextEscalation, policy.ackTimeoutMinutes, alert.id, alert.escalation_level || 0, alert.escalation_repeats || 0]);
+    if (claimed.rows.length === 0) {
+      continue;
+    }
+
+    if (step.eventType === 'EXHAUSTED') {
+      await recordEvent(pool, alert.id, 'EXHAUSTED', { level: step.level });
+      continue;
+    }
+
+    const users = await onCallService.resolveRecipients(step.targetRoles, {
+      includeMaintenance: onCallService.isMaintenanceAlert(alert.type)
+    });
+    const userIds = users.map(user => user.id);
+    const notice = {
+      ...alert,
+      escalation_level: step.level,
+      message: `[${step.eventType === 'ESCALATED' ? 'Escalonado' : 'Sem reconhecimento'}] ${alert.message}`
+    };
+
+    for (const userId of userIds) {
+      try {
+        await notificationService.sendNotificationToUser(userId, notice, pool);
+      } catch (error) {
+        console.error(`Erro ao escalonar alerta #${alert.id} para o usuário ${userId}:`, error);
+      }
+    }
+
+    await recordEvent(pool, alert.id, step.eventType, { level: step.level, targetRoles: step.targetRoles, userIds });
+    if (notificationService.io) {
+      notificationService.io.emit('alert:escalated', {
+        alertId: alert.id,
+        machineId: alert.machine_id,
+        machineName: alert.machine_name,
+        eventType: step.eventType,
+        escalationLevel: step.level,
+        targetRole: step.targetRoles[step.targetRoles.length - 1]
+      });
+    }
+    escalated++;
+  }
+
+  return escalated;
+}
+
+/**
+ * Reconhece ou resolve o alerta e encerra o escalonamento
+ * @param {string} action - 'acknowledge' ou 'resolve'
+ */
+async function closeAlert(id, action, user, notes = null) {
+  const isResolve = action === 'resolve';
+  const result = await pool.query(`
+    UPDATE alerts
+    SET status = $1,
+        ${isResolve ? 'resolved_at = NOW(), resolved_by = $2,' : ''}
+        acknowledged_at = COALESCE(acknowledged_at, NOW()),
+        acknowledged_by = COALESCE(acknowledged_by, $2),
+        next_escalation_at = NULL
+    WHERE id = $3 AND status = ANY($4)
+    RETURNING *
+  `, [isResolve ? 'resolved' : 'acknowledged', user.id, parseInt(id), isResolve ? ['active', 'acknowledged'] : ['active']]);
+
+  if (result.rows.length === 0) {
+    const existing = await pool.query('SELECT status FROM alerts WHERE id = $1', [parseInt(id)]);
+    if (existing.rows.length === 0) {
+      throw new AppError('Alerta não encontrado', 404);
+    }
+    throw new AppError(`Alerta já está ${existing.rows[0].status === 'resolved' ? 'resolvido' : 'reconhecido'}`, 409);
+  }
+
+  const alert = result.rows[0];
+  await recordEvent(pool, alert.id, isResolve ? 'RESOLVED' : 'ACKNOWLEDGED', {
+    level: alert.escalation_level,
+    userId: user.id,
+    notes: notes ? String(notes).trim() : null
+  });
+  return alert;
+}
+
+async function getTimeline(alertId) {
+  const result = await pool.query(`
+    SELECT e.*, u.name AS user_name
+    FROM alert_events e
+    LEFT JOIN users u ON u.id = e.user_id
+    WHERE e.alert_id = $1
+    ORDER BY e.created_at, e.id
+  `, [parseInt(alertId)]);
+  return result.rows.map(mapEvent);
+}
+
+const validateRoles = (roles) => {
+  if (!Array.isArray(roles) || roles.length === 0 || roles.some(role => !ESCALATION_ROLES.includes(role))) {
+    throw new AppError(`Perfis de escalonamento devem estar entre: ${ESCALATION_ROLES.join(', ')}`, 400);
+  }
+};
+
+/**
+ * Cria uma política de escalonamento
+ * @param {Object} data - { name, description, alertTypes, minPriority, ackTimeoutMinutes, escalationRoles, maxRepeats, isActive }
+ */
+async function createPolicy(data, user, audit = {}) {
+  const roles = data.escalationRoles || ['OPERATOR', 'LEADER', 'MANAGER'];
+  validateRoles(roles);
+
+  const result = await pool.query(`
+    INSERT INTO alert_escalation_policies
+      (name, description, alert_types, min_priority, ack_timeout_minutes, escalation_roles, max_repeats, is_active, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    String(data.name).trim(),
+    data.description || null,
+    data.alertTypes && data.alertTypes.length > 0 ? data.alertTypes : null,
+    data.minPriority || 'critical',
+    data.ackTimeoutMinutes || 15,
+    roles,
+    data.maxRepeats !== undefined ? data.maxRepeats : 3,
+    data.isActive !== false,
+    user.id
+  ]);
+
+  const policy = mapPolicy(result.rows[0]);
+  await auditPolicy('ESCALATION_POLICY_CREATED', policy.id, user.id, { name: policy.name }, audit);
+  return policy;
+}
+
+async function updatePolicy(id, data, user, audit = {}) {
+  const columns = {
+    name: 'name',
+    description: 'description',
+    alertTypes: 'alert_types',
+    minPriority: 'min_priority',
+    ackTimeoutMinutes: 'ack_timeout_minutes',
+    escalationRoles: 'escalation_roles',
+    maxRepeats: 'max_repeats',
+    isActive: 'is_active'
+  };
+  if (data.escalationRoles !== undefined) {
+    validateRoles(data.escalationRoles);
+  }
+
+  const assignments = [];
+  const params = [];
+  for (const [field, column] of Object.entries(columns)) {
+    if (data[field] === undefined) continue;
+    let value = data[field];
+    if (field === 'alertTypes') value = value && value.length > 0 ? value : null;
+    if (field === 'name') value = String(value).trim();
+    params.push(value);
+    assignments.push(`${column} = $${params.length}`);
+  }
+  if (assignments.length === 0) {
+    throw new AppError('Nenhum campo para atualizar', 400);
+  }
+
+  params.push(parseInt(id));
+  const result = await pool.query(`
+    UPDATE alert_escalation_policies SET ${assignments.join(', ')}
+    WHERE id = $${params.length}
+    RETURNING *
+  `, params);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Política de escalonamento não encontrada', 404);
+  }
+
+  const policy = mapPolicy(result.rows[0]);
+  await auditPolicy('ESCALATION_POLICY_UPDATED', policy.id, user.id, { fields: Object.keys(data) }, { method: 'PUT', ...audit });
+  return policy;
+}
+
+async function deletePolicy(id, user, audit = {}) {
+  const result = await pool.query('DELETE FROM alert_escalation_policies WHERE id = $1 RETURNING *', [parseInt(id)]);
+  if (result.rows.length === 0) {
+    throw new AppError('Política de escalonamento não encontrada', 404);
+  }
+
+  // Alertas da política deixam de escalonar (escalation_policy_id vira NULL)
+  await pool.query(`
+    UPDATE alerts SET next_escalation_at = NULL
+    WHERE escalation_policy_id IS NULL AND next_escalation_at IS NOT NULL
+  `);
+
+  await auditPolicy('ESCALATION_POLICY_DELETED', id, user.id, { name: result.rows[0].name }, { method: 'DELETE', ...audit });
+  return mapPolicy(result.rows[0]);
+}
+
+module.exports = {
+  PRIORITY_LEVELS,
+  ESCALATION_ROLES,
+  EVENT_LABELS,
+  mapPolicy,
+  selectPolicy,
+  nextStep,
+  getPolicies,
+  startEscalation,
+  processDueEscalations,
+  closeAlert,
+  getTimeline,
+  createPolicy,
+  updatePolicy,
+  deletePolicy
+};
@@ -0,0 +1,364 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const notificationService = require('./notificationService');
+
+/**
+ * Chamados de andon.
+ * O operador abre um chamado por categoria para a sua máquina; o chamado é enviado em tempo
+ * real para a sala de socket da categoria (andon:<CATEGORIA>), onde estão os perfis
+ * responsáveis. O responsável reconhece, registra a chegada ao posto e resolve; os horários
+ * de cada etapa alimentam as estatísticas de tempo de resposta.
+ */
+
+// Perfis que recebem e atendem cada categoria de chamado
+const ANDON_CATEGORIES = {
+  MAINTENANCE: { label: 'Manutenção', roles: ['LEADER', 'MANAGER', 'ADMIN'] },
+  QUALITY: { label: 'Qualidade', roles: ['LEADER', 'MANAGER', 'ADMIN'] },
+  MATERIAL: { label: 'Material', roles: ['LEADER', 'MANAGER'] },
+  LEADER: { label: 'Líder', roles: ['LEADER', 'MANAGER'] }
+};
+
+const CATEGORY_CODES = Object.keys(ANDON_CATEGORIES);
+
+const ACTIVE_STATUSES = ['OPEN', 'ACKNOWLEDGED', 'ARRIVED'];
+
+const CALL_STATUSES = [...ACTIVE_STATUSES, 'RESOLVED', 'CANCELLED'];
+
+// Etapas do atendimento: status de origem aceitos, status final e colunas preenchidas
+const TRANSITIONS = {
+  acknowledge: { from: ['OPEN'], to: 'ACKNOWLEDGED', column: 'acknowledged', action: 'ANDON_ACKNOWLEDGED' },
+  arrive: { from: ['OPEN', 'ACKNOWLEDGED'], to: 'ARRIVED', column: 'arrived', action: 'ANDON_ARRIVED' },
+  resolve: { from: ACTIVE_STATUSES, to: 'RESOLVED', column: 'resolved', action: 'ANDON_RESOLVED' },
+  cancel: { from: ACTIVE_STATUSES, to: 'CANCELLED', column: 'cancelled', action: 'ANDON_CANCELLED' }
+};
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const minutesBetween = (start, end) => (start && end ? Math.max(0, (new Date(end) - new Date(start)) / (1000 * 60)) : null);
+
+/**
+ * Sala de socket que recebe os chamados da categoria
+ */
+const andonRoom = (category) => `andon:${category}`;
+
+/**
+ * Salas de andon em que um usuário do perfil deve entrar ao conectar
+ */
+const roomsForRole = (role) => CATEGORY_CODES
+  .filter(category => ANDON_CATEGORIES[category].roles.includes(role))
+  .map(andonRoom);
+
+const canRespond = (category, role) => !!ANDON_CATEGORIES[category] && ANDON_CATEGORIES[category].roles.includes(role);
+
+/**
+ * Converte uma linha de andon_calls para o formato da API
+ */
+function mapCall(row) {
+  const ackMinutes = minutesBetween(row.raised_at, row.acknowledged_at);
+  const arriveMinutes = minutesBetween(row.raised_at, row.arrived_at);
+  const resolveMinutes = minutesBetween(row.raised_at, row.resolved_at);
+
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    category: row.category,
+    categoryLabel: ANDON_CATEGORIES[row.category] ? ANDON_CATEGORIES[row.category].label : row.category,
+    status: row.status,
+    notes: row.notes,
+    raisedBy: row.raised_by,
+    raisedByName: row.raised_by_name,
+    raisedAt: row.raised_at,
+    acknowledgedBy: row.acknowledged_by,
+    acknowledgedByName: row.acknowledged_by_name,
+    acknowledgedAt: row.acknowledged_at,
+    arrivedBy: row.arrived_by,
+    arrivedByName: row.arrived_by_name,
+    arrivedAt: row.arrived_at,
+    resolvedBy: row.resolved_by,
+    resolvedByName: row.resolved_by_name,
+    resolvedAt: row.resolved_at,
+    resolution: row.resolution,
+    cancelledAt: row.cancelled_at,
+    ackMinutes: ackMinutes !== null ? round(ackMinutes) : null,
+    arriveMinutes: arriveMinutes !== null ? round(arriveMinutes) : null,
+    resolveMinutes: resolveMinutes !== null ? round(resolveMinutes) : null
+  };
+}
+
+const CALL_SELECT = `
+  SELECT a.*, m.name AS machine_name, ru.name AS raised_by_name, au.name AS acknowledged_by_name,
+         vu.name AS arrived_by_name, su.name AS resolved_by_name
+  FROM andon_calls a
+  JOIN machines m ON m.id = a.machine_id
+  LEFT JOIN users ru ON ru.id = a.raised_by
+  LEFT JOIN users au ON au.id = a.acknowledged_by
+  LEFT JOIN users vu ON vu.id = a.arrived_by
+  LEFT JOIN users su ON su.id = a.resolved_by
+`;
+
+async function auditCall(action, callId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'andon_calls',
+      resourceId: String(callId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria do chamado de andon:', error);
+  }
+}
+
+async function getCallById(id) {
+  const result = await pool.query(`${CALL_SELECT} WHERE a.id = $1`, [parseInt(id)]);
+  return result.rows[0] ? mapCall(result.rows[0]) : null;
+}
+
+/**
+ * Lista chamados; status 'ACTIVE' traz os chamados ainda em atendimento (quadro de andon)
+ */
+async function getCalls({ status = null, machineId = null, category = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status === 'ACTIVE') {
+    params.push(ACTIVE_STATUSES);
+    conditions.push(`a.status = ANY($${params.length})`);
+  } else if (status) {
+    params.push(status);
+    conditions.push(`a.status = $${params.length}`);
+  }
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`a.machine_id = $${params.length}`);
+  }
+  if (category) {
+    params.push(category);
+    conditions.push(`a.category = $${params.length}`);
+  }
+
+  params.push(limit);
+  const result = await pool.query(`
+    ${CALL_SELECT}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY a.raised_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(mapCall);
+}
+
+/**
+ * Abre um chamado de andon para a máquina e avisa os responsáveis da categoria
+ * @param {number} machineId - ID da máquina
+ * @param {string} category - MAINTENANCE, QUALITY, MATERIAL ou LEADER
+ * @param {Object} data - { notes }
+ * @param {Object} user - Usuário que abre o chamado
+ * @returns {Promise<Object>} Chamado criado
+ */
+async function raiseCall(machineId, category, { notes = null } = {}, user, audit = {}) {
+  if (!ANDON_CATEGORIES[category]) {
+    throw new AppError('Categoria de chamado inválida', 400);
+  }
+
+  const machineResult = await pool.query('SELECT id, name, is_active FROM machines WHERE id = $1', [machineId]);
+  const machine = machineResult.rows[0];
+  if (!machine || !machine.is_active) {
+    throw new AppError('Máquina não encontrada', 404);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO andon_calls (machine_id, category, notes, raised_by)
+    VALUES ($1, $2, $3, $4)
+    ON CONFLICT (machine_id, category) WHERE status IN ('OPEN', 'ACKNOWLEDGED', 'ARRIVED') DO NOTHING
+    RETURNING id
+  `, [machineId, category, notes ? String(notes).trim() : null, user.id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError(`Já existe um chamado de ${ANDON_CATEGORIES[category].label.toLowerCase()} em aberto nesta máquina`, 409);
+  }
+
+  const callId = result.rows[0].id;
+  await auditCall('ANDON_RAISED', callId, user.id, { machineId, category }, audit);
+
+  const call = await getCallById(callId);
+
+  try {
+    const responders = await notificationService.getUsersByRole(ANDON_CATEGORIES[category].roles);
+    await notificationService.createAlert({
+      machine_id: machineId,
+      type: `andon_${callId}`,
+      priority: 'critical',
+      message: `Andon de ${call.categoryLabel.toLowerCase()} na máquina ${machine.name} aberto por ${user.name}${call.notes ? `: ${call.notes}` : ''}`
+    }, responders.map(responder => responder.id));
+  } catch (error) {
+    console.error(`Erro ao notificar chamado de andon #${callId}:`, error);
+  }
+
+  return call;
+}
+
+/**
+ * Avança o atendimento do chamado (acknowledge, arrive, resolve ou cancel).
+ * A chegada e a resolução também registram o reconhecimento quando ele foi pulado.
+ * Somente os perfis da categoria (e a gestão) atendem; quem abriu o chamado também pode cancelá-lo.
+ */
+async function transitionCall(id, transition, user, { resolution = null } = {}, audit = {}) {
+  const step = TRANSITIONS[transition];
+  if (!step) {
+    throw new AppError('Ação de chamado inválida', 400);
+  }
+
+  const current = await getCallById(id);
+  if (!current) {
+    throw new AppError('Chamado não encontrado', 404);
+  }
+
+  const isManagement = ['MANAGER', 'ADMIN'].includes(user.role);
+  const allowed = transition === 'cancel'
+    ? current.raisedBy === user.id || isManagement || canRespond(current.category, user.role)
+    : isManagement || canRespond(current.category, user.role);
+  if (!allowed) {
+    throw new AppError('Sem permissão para atender este chamado', 403);
+  }
+
+  if (!step.from.includes(current.status)) {
+    throw new AppError(`Chamado já está ${current.status === 'RESOLVED' ? 'resolvido' : current.status === 'CANCELLED' ? 'cancelado' : 'em outra etapa'}`, 409);
+  }
+
+  const assignments = [`status = '${step.to}'`, `${step.column}_by = $1`, `${step.column}_at = NOW()`];
+  if (['arrive', 'resolve'].includes(transition)) {
+    assignments.push('acknowledged_by = COALESCE(acknowledged_by, $1)', 'acknowledged_at = COALESCE(acknowledged_at, NOW())');
+  }
+  const params = [user.id, current.id, step.from];
+  if (transition === 'resolve') {
+    params.push(resolution ? String(resolution).trim() : null);
+    assignments.push(`resolution = $${params.length}`);
+  }
+
+  const result = await pool.query(`
+    UPDATE andon_calls SET ${assignments.join(', ')}
+    WHERE id = $2 AND status = ANY($3)
+    RETURNING id
+  `, params);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Chamado foi atualizado por outro usuário', 409);
+  }
+
+  await auditCall(step.action, current.id, user.id, { machineId: current.machineId, category: current.category }, audit);
+  return getCallById(current.id);
+}
+
+const summarize = (values) => {
+  const valid = values.filter(value => value !== null && value !== undefined).sort((a, b) => a - b);
+  if (valid.length === 0) {
+    return { avg: null, p90: null, max: null };
+  }
+  return {
+    avg: round(valid.reduce((sum, value) => sum + value, 0) / valid.length),
+    p90: round(valid[Math.min(valid.length - 1, Math.ceil(valid.length * 0.9) - 1)]),
+    max: round(valid[valid.length - 1])
+  };
+};
+
+/**
+ * Estatísticas de tempo de resposta do andon: reconhecimento, chegada ao posto e resolução
+ * (minutos desde a abertura) no total, por categoria e por máquina
+ */
+function buildAndonReport({ startTime, endTime, calls }) {
+  const stats = (rows) => {
+    const ack = summarize(rows.map(row => minutesBetween(row.raised_at, row.acknowledged_at)));
+    const arrive = summarize(rows.map(row => minutesBetween(row.raised_at, row.arrived_at)));
+    const resolve = summarize(rows.map(row => minutesBetween(row.raised_at, row.resolved_at)));
+    return {
+      count: rows.length,
+      resolved: rows.filter(row => row.status === 'RESOLVED').length,
+      cancelled: rows.filter(row => row.status === 'CANCELLED').length,
+      active: rows.filter(row => ACTIVE_STATUSES.includes(row.status)).length,
+      avgAckMinutes: ack.avg,
+      p90AckMinutes: ack.p90,
+      avgArriveMinutes: arrive.avg,
+      p90ArriveMinutes: arrive.p90,
+      maxArriveMinutes: arrive.max,
+      avgResolveMinutes: resolve.avg,
+      maxResolveMinutes: resolve.max
+    };
+  };
+
+  const groupBy = (keyOf, labelOf) => {
+    const groups = new Map();
+    for (const row of calls) {
+      const key = keyOf(row);
+      if (!groups.has(key)) {
+        groups.set(key, { ...labelOf(row), rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    }
+    return [...groups.values()]
+      .map(({ rows, ...label }) => ({ ...label, ...stats(rows) }))
+      .sort((a, b) => b.count - a.count);
+  };
+
+  return {
+    period: { startTime, endTime },
+    totals: stats(calls),
+    byCategory: groupBy(
+      row => row.category,
+      row => ({ category: row.category, categoryLabel: ANDON_CATEGORIES[row.category] ? ANDON_CATEGORIES[row.category].label : row.category })
+    ),
+    byMachine: groupBy(
+      row => row.machine_id,
+      row => ({ machineId: row.machine_id, machineName: row.machine_name })
+    )
+  };
+}
+
+async function getAndonReport({ startTime, endTime, machineIds = [] }) {
+  const params = [startTime, endTime];
+  let machineFilter = '';
+  if (machineIds.length > 0) {
+    params.push(machineIds);
+    machineFilter = 'AND a.machine_id = ANY($3)';
+  }
+
+  const result = await pool.query(`
+    SELECT a.id, a.machine_id, m.name AS machine_name, a.category, a.status,
+           a.raised_at, a.acknowledged_at, a.arrived_at, a.resolved_at
+    FROM andon_calls a
+    JOIN machines m ON m.id = a.machine_id
+    WHERE a.raised_at >= $1 AND a.raised_at < $2 ${machineFilter}
+    ORDER BY a.raised_at
+  `, params);
+
+  return buildAndonReport({ startTime, endTime, calls: result.rows });
+}
+
+module.exports = {
+  ANDON_CATEGORIES,
+  CATEGORY_CODES,
+  ACTIVE_STATUSES,
+  CALL_STATUSES,
+  andonRoom,
+  roomsForRole,
+  canRespond,
+  mapCall,
+  getCallById,
+  getCalls,
+  raiseCall,
+  transitionCall,
+  buildAndonReport,
+  getAndonReport
+};
@@ -0,0 +1,698 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const { deleteCache } = require('../config/redis');
+const auditLogger = require('./auditLogger');
+const { CHANGEOVER_REASON_CODE } = require('./downtimeReasonService');
+const productionOrderService = require('./productionOrderService');
+
+/**
+ * Troca de produto/lote (changeover).
+ * O início do setup para a máquina com o motivo planejado de changeover no histórico de status;
+ * a liberação exige o checklist completo e um teste de primeira peça aprovado, e grava o novo
+ * produto/lote em machine_configs. A parada termina no início da próxima operação.
+ */
+
+const CHANGEOVER_STATUSES = ['IN_SETUP', 'RELEASED', 'CANCELLED'];
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const minutesBetween = (start, end) => (start && end ? Math.max(0, (new Date(end) - new Date(start)) / (1000 * 60)) : null);
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+function mapItem(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description,
+    sortOrder: row.sort_order,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapStep(row) {
+  return {
+    id: row.id,
+    itemId: row.item_id,
+    description: row.description,
+    sortOrder: row.sort_order,
+    completed: !!row.completed_at,
+    completedBy: row.completed_by,
+    completedByName: row.completed_by_name,
+    completedAt: row.completed_at
+  };
+}
+
+/**
+ * Converte uma linha de changeovers para o formato da API
+ */
+function mapChangeover(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    fromProduct: row.from_product,
+    fromLot: row.from_lot,
+    toProduct: row.to_product,
+    toLot: row.to_lot,
+    productionOrderId: row.production_order_id,
+    status: row.status,
+    statusHistoryId: row.status_history_id,
+    firstArticleTestId: row.first_article_test_id,
+    notes: row.notes,
+    startedBy: row.started_by,
+    startedByName: row.started_by_name,
+    startedAt: row.started_at,
+    releasedBy: row.released_by,
+    releasedByName: row.released_by_name,
+    releasedAt: row.released_at,
+    productionStartedAt: row.production_started_at,
+    cancelledAt: row.cancelled_at,
+    cancelReason: row.cancel_reason,
+    setupMinutes: row.released_at ? round(minutesBetween(row.started_at, row.released_at)) : null,
+    totalMinutes: row.production_started_at ? round(minutesBetween(row.started_at, row.production_started_at)) : null
+  };
+}
+
+const CHANGEOVER_SELECT = `
+  SELECT c.*, m.name AS machine_name, su.name AS started_by_name, ru.name AS released_by_name
+  FROM changeovers c
+  JOIN machines m ON m.id = c.machine_id
+  LEFT JOIN users su ON su.id = c.started_by
+  LEFT JOIN users ru ON ru.id = c.released_by
+`;
+
+async function auditChangeover(action, changeoverId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'changeovers',
+      resourceId: String(changeoverId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria do changeover:', error);
+  }
+}
+
+async function clearMachineCache(machineId, statuses = []) {
+  await deleteCache(`machine:${machineId}`);
+  await deleteCache('machines:all:all');
+  for (const status of statuses) {
+    await deleteCache(`machines:${status}:all`);
+  }
+}
+
+async function getChecklistItems({ includeInactive = false } = {}) {
+  const result = await pool.query(`
+    SELECT * FROM changeover_checklist_items
+    ${includeInactive ? '' : 'WHERE is_active = true'}
+    ORDER BY sort_order, id
+  `);
+  return result.rows.map(mapItem);
+}
+
+async function createChecklistItem({ code, description, sortOrder = 0 }, userId) {
+  const existing = await pool.query('SELECT id FROM changeover_checklist_items WHERE code = $1', [code]);
+  if (existing.rows.length > 0) {
+    throw new AppError('Já existe uma etapa com este código', 400);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO changeover_checklist_items (code, description, sort_order, created_by)
+     VALUES ($1, $2, $3, $4)
+     RETURNING *`,
+    [code, description, sortOrder, userId]
+  );
+
+  return mapItem(result.rows[0]);
+}
+
+async function updateChecklistItem(id, fields) {
+  const fieldMap = {
+    description: 'description',
+    sortOrder: 'sort_order',
+    isActive: 'is_active'
+  };
+
+  const updateFields = [];
+  const updateValues = [];
+  Object.entries(fieldMap).forEach(([key, column]) => {
+    if (fields[key] !== undefined) {
+      updateValues.push(fields[key]);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  });
+
+  if (updateFields.length === 0) {
+    throw new AppError('Nenhum campo para atualizar', 400);
+  }
+
+  updateValues.push(parseInt(id));
+  const result = await pool.query(
+    `UPDATE changeover_checklist_items SET ${updateFields.join(', ')}
+     WHERE id = $${updateValues.length}
+     RETURNING *`,
+    updateValues
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Etapa do checklist não encontrada', 404);
+  }
+
+  return mapItem(result.rows[0]);
+}
+
+/**
+ * Lista trocas
+ * @param {Object} filters - machineId, status, startDate, endDate (YYYY-MM-DD), limit
+ */
+async function getChangeovers({ machineId = null, status = null, startDate = null, endDate = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  const filters = [
+    [machineId, 'c.machine_id = $'],
+    [status, 'c.status = $'],
+    [startDate, 'DATE(c.started_at) >= $'],
+    [endDate, 'DATE(c.started_at) <= $']
+  ];
+  for (const [value, condition] of filters) {
+    if (value) {
+      params.push(value);
+      conditions.push(`${condition}${params.length}`);
+    }
+  }
+
+  params.push(limit);
+  const result = await pool.query(`
+    ${CHANGEOVER_SELECT}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY c.started_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(mapChangeover);
+}
+
+/**
+ * Troca com etapas, teste da primeira peça vinculado e testes registrados na máquina
+ * desde o início do setup (candidatos a primeira peça)
+ */
+async function getChangeoverById(id, db = pool) {
+  const result = await db.query(`${CHANGEOVER_SELECT} WHERE c.id = $1`, [parseInt(id)]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+  const changeover = mapChangeover(result.rows[0]);
+
+  const stepsResult = await db.query(`
+    SELECT s.*, u.name AS completed_by_name
+    FROM changeover_steps s
+    LEFT JOIN users u ON u.id = s.completed_by
+    WHERE s.changeover_id = $1
+    ORDER BY s.sort_order, s.id
+  `, [changeover.id]);
+  changeover.steps = stepsResult.rows.map(mapStep);
+
+  const testsResult = await db.query(`
+    SELECT qt.id, qt.product, qt.lot, qt.approved, qt.created_at, u.name AS user_name
+    FROM quality_tests qt
+    LEFT JOIN users u ON u.id = qt.user_id
+    WHERE qt.machine_id = $1 AND qt.created_at >= $2
+    ORDER BY qt.created_at DESC
+    LIMIT 20
+  `, [changeover.machineId, result.rows[0].started_at]);
+  changeover.qualityTests = testsResult.rows.map(test => ({
+    id: test.id,
+    product: test.product,
+    lot: test.lot,
+    approved: test.approved,
+    userName: test.user_name,
+    createdAt: test.created_at
+  }));
+  changeover.firstArticleTest = changeover.qualityTests.find(test => test.id === changeover.firstArticleTestId) || null;
+
+  return changeover;
+}
+
+async function getOpenChangeover(machineId, db = pool) {
+  const result = await db.query(
+    "SELECT id FROM changeovers WHERE machine_id = $1 AND status = 'IN_SETUP' LIMIT 1",
+    [machineId]
+  );
+  return result.rows[0] ? getChangeoverById(result.rows[0].id, db) : null;
+}
+
+async function getOpenChangeoverForUpdate(id, client) {
+  const result = await client.query('SELECT * FROM changeovers WHERE id = $1 FOR UPDATE', [parseInt(id)]);
+  const row = result.rows[0];
+  if (!row) {
+    throw new AppError('Changeover não encontrado', 404);
+  }
+  if (row.status !== 'IN_SETUP') {
+    throw new AppError('Changeover já foi encerrado', 409);
+  }
+  return row;
+}
+
+/**
+ * Inicia o setup: máquina parada com o motivo de changeover e checklist copiado das etapas ativas
+ * @param {Object} data - { machineId, toProduct, toLot, productionOrderId, notes }
+ */
+async function startChangeover({ machineId, toProduct = null, toLot = null, productionOrderId = null, notes = null }, user, audit = {}) {
+  const machineResult = await pool.query('SELECT id, name, status, is_active FROM machines WHERE id = $1', [machineId]);
+  const machine = machineResult.rows[0];
+  if (!machine || !machine.is_active) {
+    throw new AppError('Máquina não encontrada', 404);
+  }
+
+  const operationResult = await pool.query(
+    "SELECT id FROM machine_operations WHERE machine_id = $1 AND status = 'ACTIVE' LIMIT 1",
+    [machineId]
+  );
+  if (operationResult.rows.length > 0) {
+    throw new AppError('Encerre a operação da máquina antes de iniciar a troca', 409);
+  }
+
+  if (productionOrderId) {
+    const order = await productionOrderService.getOrderById(productionOrderId);
+    if (!order || !productionOrderService.OPEN_STATUSES.includes(order.status)) {
+      throw new AppError('Ordem de produção não encontrada ou encerrada', 404);
+    }
+    toProduct = toProduct || order.product;
+    toLot = toLot || order.lot;
+  }
+  if (!toProduct || !String(toProduct).trim()) {
+    throw new AppError('Informe o produto de destino da troca', 400);
+  }
+
+  const reasonResult = await pool.query('SELECT id, name FROM downtime_reasons WHERE code = $1', [CHANGEOVER_REASON_CODE]);
+  const reason = reasonResult.rows[0];
+  if (!reason) {
+    throw new AppError('Motivo de parada de changeover não cadastrado', 500);
+  }
+
+  const configResult = await pool.query('SELECT produto, lote FROM machine_configs WHERE machine_id = $1', [machineId]);
+  const config = configResult.rows[0] || {};
+  const description = `${config.produto || 'sem produto'} → ${toProduct}`;
+
+  const client = await pool.connect();
+  let changeoverId;
+  try {
+    await client.query('BEGIN');
+
+    const openResult = await client.query(
+      "SELECT id FROM changeovers WHERE machine_id = $1 AND status = 'IN_SETUP' FOR UPDATE",
+      [machineId]
+    );
+    if (openResult.rows.length > 0) {
+      throw new AppError('Já existe uma troca em andamento nesta máquina', 409);
+    }
+
+    await client.query("UPDATE machines SET status = 'PARADA', updated_at = NOW() WHERE id = $1", [machineId]);
+    const historyResult = await client.query(`
+      INSERT INTO machine_status_history (
+        machine_id, user_id, previous_status, new_status, reason, notes,
+        downtime_reason_id, classified_by, classified_at, created_at
+      ) VALUES ($1, $2, $3, 'PARADA', $4, $5, $6, $2, NOW(), NOW())
+      RETURNING id
+    `, [machineId, user.id, machine.status, `${reason.name}: ${description}`, notes, reason.id]);
+
+    const changeoverResult = await client.query(`
+      INSERT INTO changeovers (
+        machine_id, from_product, from_lot, to_product, to_lot, production_order_id,
+        status_history_id, notes, started_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING id
+    `, [machineId, config.produto || null, config.lote || null, String(toProduct).trim(), toLot ? String(toLot).trim() : null,
+      productionOrderId, historyResult.rows[0].id, notes, user.id]);
+    changeoverId = changeoverResult.rows[0].id;
+
+    await client.query(`
+      INSERT INTO changeover_steps (changeover_id, item_id, description, sort_order)
+      SELECT $1, id, description, sort_order
+      FROM changeover_checklist_items
+      WHERE is_active = true
+    `, [changeoverId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await clearMachineCache(machineId, [machine.status, 'PARADA']);
+  await auditChangeover('CHANGEOVER_STARTED', changeoverId, user.id, {
+    machineId,
+    fromProduct: config.produto || null,
+    toProduct,
+    toLot,
+    productionOrderId
+  }, audit);
+
+  const changeover = await getChangeoverById(changeoverId);
+  changeover.previousMachineStatus = machine.status;
+  return changeover;
+}
+
+/**
+ * Marca ou desmarca uma etapa do checklist
+ */
+async function setStepCompleted(changeoverId, stepId, completed, user) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await getOpenChangeoverForUpdate(changeoverId, client);
+
+    const result = await client.query(`
+      UPDATE changeover_steps
+      SET completed_at = CASE WHEN $1 THEN COALESCE(completed_at, NOW()) ELSE NULL END,
+          completed_by = CASE WHEN $1 THEN COALESCE(completed_by, $2) ELSE NULL END
+      WHERE id = $3 AND changeover_id = $4
+      RETURNING id
+    `, [completed, user.id, parseInt(stepId), parseInt(changeoverId)]);
+    if (result.rows.length === 0) {
+      throw new AppError('Etapa do checklist não encontrada', 404);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getChangeoverById(changeoverId);
+}
+
+/**
+ * Vincula o teste de qualidade da primeira peça do novo produto.
+ * O teste precisa ser da máquina, posterior ao início do setup e do produto/lote de destino.
+ */
+async function recordFirstArticle(changeoverId, qualityTestId, user, audit = {}) {
+  const client = await pool.connect();
+  let test;
+  try {
+    await client.query('BEGIN');
+    const changeover = await getOpenChangeoverForUpdate(changeoverId, client);
+
+    const testResult = await client.query(
+      'SELECT id, machine_id, product, lot, approved, created_at FROM quality_tests WHERE id = $1',
+      [parseInt(qualityTestId)]
+    );
+    test = testResult.rows[0];
+    if (!test || test.machine_id !== changeover.machine_id) {
+      throw new AppError('Teste de qualidade não encontrado nesta máquina', 404);
+    }
+    if (new Date(test.created_at) < new Date(changeover.started_at)) {
+      throw new AppError('O teste da primeira peça deve ser registrado depois do início da troca', 400);
+    }
+    if (!sameText(test.product, changeover.to_product) || (changeover.to_lot && !sameText(test.lot, changeover.to_lot))) {
+      throw new AppError('O teste não é do produto/lote de destino da troca', 400);
+    }
+    if (!test.approved) {
+      throw new AppError('Teste da primeira peça reprovado; ajuste a máquina e registre um novo teste', 400);
+    }
+
+    await client.query(
+      'UPDATE changeovers SET first_article_test_id = $1 WHERE id = $2',
+      [test.id, changeover.id]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditChangeover('CHANGEOVER_FIRST_ARTICLE', changeoverId, user.id, { qualityTestId: test.id }, audit);
+
+  return getChangeoverById(changeoverId);
+}
+
+/**
+ * Libera a máquina para o novo produto: checklist completo e primeira peça aprovada.
+ * O produto/lote de destino passa a ser o da máquina.
+ */
+async function releaseChangeover(changeoverId, user, audit = {}) {
+  const client = await pool.connect();
+  let changeover;
+  try {
+    await client.query('BEGIN');
+    changeover = await getOpenChangeoverForUpdate(changeoverId, client);
+
+    const pendingResult = await client.query(
+      'SELECT COUNT(*) AS pending FROM changeover_steps WHERE changeover_id = $1 AND completed_at IS NULL',
+      [changeover.id]
+    );
+    const pending = parseInt(pendingResult.rows[0].pending) || 0;
+    if (pending > 0) {
+      throw new AppError(`Conclua as ${pending} etapa(s) pendente(s) do checklist antes de liberar`, 400);
+    }
+    if (!changeover.first_article_test_id) {
+      throw new AppError('Registre o teste aprovado da primeira peça antes de liberar', 400);
+    }
+
+    await client.query(`
+      UPDATE changeovers SET status = 'RELEASED', released_by = $1, released_at = NOW()
+      WHERE id = $2
+    `, [user.id, changeover.id]);
+    await client.query(`
+      INSERT INTO machine_configs (machine_id, produto, lote, created_at, updated_at)
+      VALUES ($1, $2, $3, NOW(), NOW())
+      ON CONFLICT (machine_id) DO UPDATE SET produto = EXCLUDED.produto, lote = EXCLUDED.lote, updated_at = NOW()
+    `, [changeover.machine_id, changeover.to_product, changeover.to_lot]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await clearMachineCache(changeover.machine_id);
+  const released = await getChangeoverById(changeover.id);
+  await auditChangeover('CHANGEOVER_RELEASED', changeover.id, user.id, {
+    machineId: changeover.machine_id,
+    toProduct: changeover.to_product,
+    toLot: changeover.to_lot,
+    setupMinutes: released.setupMinutes
+  }, audit);
+
+  return released;
+}
+
+/**
+ * Cancela a troca em andamento; a configuração da máquina não é alterada
+ */
+async function cancelChangeover(changeoverId, reason, user, audit = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('Informe o motivo do cancelamento', 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const changeover = await getOpenChangeoverForUpdate(changeoverId, client);
+    await client.query(`
+      UPDATE changeovers SET status = 'CANCELLED', cancelled_by = $1, cancelled_at = NOW(), cancel_reason = $2
+      WHERE id = $3
+    `, [user.id, String(reason).trim(), changeover.id]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditChangeover('CHANGEOVER_CANCELLED', changeoverId, user.id, { reason }, audit);
+
+  return getChangeoverById(changeoverId);
+}
+
+/**
+ * Registra o início da primeira operação após a última troca liberada da máquina
+ * @returns {Promise<number|null>} ID da troca encerrada ou null
+ */
+async function markProductionStarted(machineId, startedAt = new Date(), db = pool) {
+  const result = await db.query(`
+    UPDATE changeovers SET production_started_at = $2
+    WHERE id = (
+      SELECT id FROM changeovers
+      WHERE machine_id = $1 AND status = 'RELEASED' AND production_started_at IS NULL
+      ORDER BY released_at DESC
+      LIMIT 1
+    )
+    RETURNING id
+  `, [machineId, startedAt]);
+  return result.rows[0] ? result.rows[0].id : null;
+}
+
+const summarize = (values) => {
+  const valid = values.filter(value => value !== null && value !== undefined);
+  if (valid.length === 0) {
+    return { avg: null, min: null, max: null };
+  }
+  return {
+    avg: round(valid.reduce((sum, value) => sum + value, 0) / valid.length),
+    min: round(Math.min(...valid)),
+    max: round(Math.max(...valid))
+  };
+};
+
+/**
+ * Relatório SMED: tempos de setup (início → liberação) e de troca completa
+ * (início → primeira operação) por par de produtos e por máquina, e tempo médio de cada
+ * etapa do checklist (intervalo desde a etapa anterior concluída ou do início do setup).
+ * @param {Object} data - { startTime, endTime, changeovers, steps }
+ */
+function buildChangeoverReport({ startTime, endTime, changeovers, steps }) {
+  const released = changeovers.filter(row => row.status === 'RELEASED');
+
+  const groupBy = (rows, keyOf, labelOf) => {
+    const groups = new Map();
+    for (const row of rows) {
+      const key = keyOf(row);
+      if (!groups.has(key)) {
+        groups.set(key, { ...labelOf(row), rows: [] });
+      }
+      groups.get(key).rows.push(row);
+    }
+    return [...groups.values()].map(({ rows: groupRows, ...label }) => {
+      const setup = summarize(groupRows.map(row => minutesBetween(row.started_at, row.released_at)));
+      const total = summarize(groupRows.map(row => minutesBetween(row.started_at, row.production_started_at)));
+      return {
+        ...label,
+        count: groupRows.length,
+        avgSetupMinutes: setup.avg,
+        minSetupMinutes: setup.min,
+        maxSetupMinutes: setup.max,
+        avgTotalMinutes: total.avg
+      };
+    }).sort((a, b) => b.avgSetupMinutes - a.avgSetupMinutes);
+  };
+
+  const byPair = groupBy(
+    released,
+    row => `${row.from_product || ''}|${row.to_product}`,
+    row => ({ fromProduct: row.from_product || null, toProduct: row.to_product })
+  );
+  const byMachine = groupBy(
+    released,
+    row => row.machine_id,
+    row => ({ machineId: row.machine_id, machineName: row.machine_name })
+  );
+
+  // Duração de cada etapa na ordem em que foi concluída
+  const startedAt = new Map(released.map(row => [row.id, row.started_at]));
+  const stepsByChangeover = new Map();
+  for (const step of steps) {
+    if (!startedAt.has(step.changeover_id) || !step.completed_at) continue;
+    if (!stepsByChangeover.has(step.changeover_id)) {
+      stepsByChangeover.set(step.changeover_id, []);
+    }
+    stepsByChangeover.get(step.changeover_id).push(step);
+  }
+  const stepDurations = new Map();
+  for (const [changeoverId, changeoverSteps] of stepsByChangeover) {
+    changeoverSteps.sort((a, b) => new Date(a.completed_at) - new Date(b.completed_at));
+    let previous = startedAt.get(changeoverId);
+    for (const step of changeoverSteps) {
+      if (!stepDurations.has(step.description)) {
+        stepDurations.set(step.description, []);
+      }
+      stepDurations.get(step.description).push(minutesBetween(previous, step.completed_at));
+      previous = step.completed_at;
+    }
+  }
+  const bySteps = [...stepDurations.entries()]
+    .map(([description, durations]) => ({ description, count: durations.length, avgMinutes: summarize(durations).avg }))
+    .sort((a, b) => b.avgMinutes - a.avgMinutes);
+
+  const setup = summarize(released.map(row => minutesBetween(row.started_at, row.released_at)));
+  const total = summarize(released.map(row => minutesBetween(row.started_at, row.production_started_at)));
+
+  return {
+    period: { start: startTime, end: endTime },
+    totals: {
+      changeovers: changeovers.length,
+      released: released.length,
+      cancelled: changeovers.filter(row => row.status === 'CANCELLED').length,
+      inSetup: changeovers.filter(row => row.status === 'IN_SETUP').length,
+      avgSetupMinutes: setup.avg,
+      avgTotalMinutes: total.avg,
+      totalSetupMinutes: round(released.reduce((sum, row) => sum + minutesBetween(row.started_at, row.released_at), 0))
+    },
+    byPair,
+    byMachine,
+    bySteps
+  };
+}
+
+async function getChangeoverReport({ startTime, endTime, machineIds = [] }) {
+  const params = [startTime, endTime];
+  let machineFilter = '';
+  if (machineIds.length > 0) {
+    params.push(machineIds);
+    machineFilter = 'AND c.machine_id = ANY($3)';
+  }
+
+  const changeoversResult = await pool.query(`
+    SELECT c.id, c.machine_id, m.name AS machine_name, c.from_product, c.to_product, c.status,
+           c.started_at, c.released_at, c.production_started_at
+    FROM changeovers c
+    JOIN machines m ON m.id = c.machine_id
+    WHERE c.started_at >= $1 AND c.started_at < $2 ${machineFilter}
+    ORDER BY c.started_at
+  `, params);
+
+  const stepsResult = await pool.query(`
+    SELECT s.changeover_id, s.description, s.completed_at
+    FROM changeover_steps s
+    WHERE s.changeover_id = ANY($1)
+  `, [changeoversResult.rows.map(row => row.id)]);
+
+  return buildChangeoverReport({
+    startTime,
+    endTime,
+    changeovers: changeoversResult.rows,
+    steps: stepsResult.rows
+  });
+}
+
+module.exports = {
+  CHANGEOVER_STATUSES,
+  getChecklistItems,
+  createChecklistItem,
+  updateChecklistItem,
+  getChangeovers,
+  getChangeoverById,
+  getOpenChangeover,
+  startChangeover,
+  setStepCompleted,
+  recordFirstArticle,
+  releaseChangeover,
+  cancelChangeover,
+  markProductionStarted,
+  buildChangeoverReport,
+  getChangeoverReport
+};
@@ -0,0 +1,469 @@
+const pool = require('../config/database');
+const shiftService = require('./shiftService');
+const { calculateOEE } = require('./oeeService');
+const { STOP_STATUSES } = require('./downtimeReasonService');
+const ShiftRotationService = require('./shiftRotationService');
+
+const shiftRotationService = new ShiftRotationService();
+
+// Paradas não planejadas menores que este limite contam como "pequenas paradas" (perda de performance)
+const DEFAULT_MINOR_STOP_MINUTES = 5;
+
+// Reprovações nesta janela após a máquina voltar a funcionar contam como perda de partida
+const DEFAULT_STARTUP_WINDOW_MINUTES = 30;
+
+const UNCLASSIFIED_KEY = 'UNCLASSIFIED';
+
+const SHIFT_LABELS = {
+  MORNING: 'Turno Manhã (07h-19h)',
+  NIGHT: 'Turno Noite (19h-07h)'
+};
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const minutesBetween = (start, end) => Math.max(0, (end - start) / (1000 * 60));
+
+/**
+ * Converte o histórico de status em eventos de parada recortados ao período.
+ * O histórico deve estar ordenado por máquina e data e pode conter o último
+ * registro anterior ao período (status vigente no início).
+ * A equipe é a que estava em turno no início da parada pela escala 3x3,
+ * não a do usuário que registrou o status.
+ * @param {Array} history - Linhas de machine_status_history com dados do motivo
+ * @param {Date} startTime - Início do período
+ * @param {Date} endTime - Fim do período (paradas em aberto terminam aqui)
+ * @param {Array} teams - Equipes ativas (team_code, team_name, cycle_offset_days)
+ * @returns {Array} Eventos de parada com duração em minutos
+ */
+function buildStopEvents(history, startTime, endTime, teams = []) {
+  const events = [];
+  const byMachine = new Map();
+
+  history.forEach(row => {
+    if (!byMachine.has(row.machine_id)) {
+      byMachine.set(row.machine_id, []);
+    }
+    byMachine.get(row.machine_id).push(row);
+  });
+
+  for (const rows of byMachine.values()) {
+    rows.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+    rows.forEach((row, index) => {
+      if (!STOP_STATUSES.includes(row.new_status)) return;
+
+      const next = rows[index + 1];
+      const rawStart = new Date(row.created_at);
+      const rawEnd = next ? new Date(next.created_at) : endTime;
+      const start = rawStart < startTime ? startTime : rawStart;
+      const end = rawEnd > endTime ? endTime : rawEnd;
+      const minutes = minutesBetween(start, end);
+
+      if (minutes <= 0) return;
+
+      const team = shiftRotationService.findTeamOnShift(teams, start);
+
+      events.push({
+        historyId: row.id,
+        machineId: row.machine_id,
+        machineName: row.machine_name,
+        status: row.new_status,
+        reasonId: row.downtime_reason_id || null,
+        reasonCode: row.reason_code || null,
+        reasonName: row.reason_name || null,
+        categoryCode: row.category_code || null,
+        categoryName: row.category_name || null,
+        isPlanned: row.is_planned === true,
+        lossCategory: row.loss_category || 'BREAKDOWN',
+        shiftType: shiftService.getShiftType(start),
+        teamCode: team ? team.team_code : null,
+        teamName: team ? team.team_name : null,
+        startedAt: rawStart,
+        endedAt: next ? rawEnd : null,
+        minutes
+      });
+    });
+  }
+
+  return events;
+}
+
+/**
+ * Chave e rótulo da causa de uma parada conforme o agrupamento
+ * @param {Object} event - Evento de parada
+ * @param {string} groupBy - 'reason' (motivo) ou 'category' (categoria)
+ */
+function getCause(event, groupBy) {
+  if (!event.reasonId) {
+    return { key: UNCLASSIFIED_KEY, code: null, name: 'Sem motivo classificado', category: null };
+  }
+
+  if (groupBy === 'category') {
+    return {
+      key: event.categoryCode || event.reasonCode,
+      code: event.categoryCode || event.reasonCode,
+      name: event.categoryName || event.reasonName,
+      category: null
+    };
+  }
+
+  return {
+    key: event.reasonCode,
+    code: event.reasonCode,
+    name: event.reasonName,
+    category: event.categoryName
+  };
+}
+
+/**
+ * Agrega eventos de parada em um Pareto (minutos, ocorrências e % acumulado)
+ * @param {Array} events - Eventos de parada
+ * @param {string} groupBy - 'reason' ou 'category'
+ * @returns {Object} { totalMinutes, occurrences, causes }
+ */
+function buildPareto(events, groupBy = 'reason') {
+  const causes = new Map();
+
+  events.forEach(event => {
+    const cause = getCause(event, groupBy);
+    if (!causes.has(cause.key)) {
+      causes.set(cause.key, { ...cause, isPlanned: event.isPlanned, minutes: 0, occurrences: 0 });
+    }
+    const item = causes.get(cause.key);
+    item.minutes += event.minutes;
+    item.occurrences += 1;
+  });
+
+  const totalMinutes = events.reduce((sum, event) => sum + event.minutes, 0);
+  let cumulative = 0;
+
+  const ranked = Array.from(causes.values())
+    .sort((a, b) => (b.minutes - a.minutes) || (b.occurrences - a.occurrences))
+    .map(item => {
+      const percentage = totalMinutes > 0 ? (item.minutes / totalMinutes) * 100 : 0;
+      cumulative += percentage;
+      return {
+        ...item,
+        minutes: round(item.minutes),
+        percentage: round(percentage),
+        cumulativePercentage: round(Math.min(cumulative, 100))
+      };
+    });
+
+  return {
+    totalMinutes: round(totalMinutes),
+    occurrences: events.length,
+    causes: ranked
+  };
+}
+
+/**
+ * Quebra o Pareto por máquina, turno ou equipe
+ * @param {Array} events - Eventos de parada
+ * @param {string} dimension - 'machine', 'shift' ou 'team'
+ * @param {string} groupBy - 'reason' ou 'category'
+ */
+function buildParetoBreakdown(events, dimension, groupBy = 'reason') {
+  const groups = new Map();
+
+  events.forEach(event => {
+    let key;
+    let label;
+
+    if (dimension === 'machine') {
+      key = event.machineId;
+      label = event.machineName;
+    } else if (dimension === 'shift') {
+      key = event.shiftType;
+      label = SHIFT_LABELS[event.shiftType] || event.shiftType;
+    } else {
+      key = event.teamCode || 'SEM_EQUIPE';
+      label = event.teamCode ? (event.teamName || `Equipe ${event.teamCode}`) : 'Sem equipe';
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, { key, label, events: [] });
+    }
+    groups.get(key).events.push(event);
+  });
+
+  return Array.from(groups.values())
+    .map(group => ({
+      key: group.key,
+      label: group.label,
+      ...buildPareto(group.events, groupBy)
+    }))
+    .sort((a, b) => b.totalMinutes - a.totalMinutes);
+}
+
+/**
+ * Monta a árvore das seis grandes perdas em minutos.
+ * Parte do tempo planejado calculado pelo OEE; pequenas paradas não planejadas
+ * são movidas da disponibilidade para a performance, como no TPM clássico.
+ * @param {Object} params
+ * @param {Object} params.oee - Resultado de calculateOEE (ou soma de vários)
+ * @param {Array} params.events - Eventos de parada do mesmo período
+ * @param {number} params.startupRejects - Testes reprovados na janela de partida
+ * @param {number} params.rejectedTests - Total de testes reprovados
+ * @param {number} params.minorStopMinutes - Limite de pequena parada
+ */
+function buildLossTree({ oee, events, startupRejects = 0, rejectedTests = 0, minorStopMinutes = DEFAULT_MINOR_STOP_MINUTES }) {
+  const unplanned = events.filter(event => !event.isPlanned);
+  const minorStops = unplanned.filter(event => event.minutes < minorStopMinutes);
+  const longStops = unplanned.filter(event => event.minutes >= minorStopMinutes);
+
+  const sumMinutes = (list) => list.reduce((sum, event) => sum + event.minutes, 0);
+
+  const breakdownMinutes = sumMinutes(longStops.filter(event => event.lossCategory !== 'SETUP_ADJUSTMENT'));
+  const setupMinutes = sumMinutes(longStops.filter(event => event.lossCategory === 'SETUP_ADJUSTMENT'));
+  const minorStopLossMinutes = sumMinutes(minorStops);
+
+  const runningMinutes = oee.availability.runningMinutes;
+  const performanceRatio = oee.performance.percentage / 100;
+  const qualityRatio = oee.quality.percentage / 100;
+
+  const reducedSpeedMinutes = runningMinutes * (1 - performanceRatio);
+  const netOperatingMinutes = runningMinutes - reducedSpeedMinutes;
+  const qualityLossMinutes = netOperatingMinutes * (1 - qualityRatio);
+  const startupShare = rejectedTests > 0 ? startupRejects / rejectedTests : 0;
+
+  const node = (code, name, minutes, children = [], extra = {}) => ({
+    code,
+    name,
+    minutes: round(minutes),
+    ...extra,
+    children
+  });
+
+  const availabilityNode = node('AVAILABILITY', 'Perdas de disponibilidade', breakdownMinutes + setupMinutes, [
+    node('BREAKDOWN', 'Quebras e falhas', breakdownMinutes, [], {
+      occurrences: longStops.filter(event => event.lossCategory !== 'SETUP_ADJUSTMENT').length
+    }),
+    node('SETUP_ADJUSTMENT', 'Setup e ajustes', setupMinutes, [], {
+      occurrences: longStops.filter(event => event.lossCategory === 'SETUP_ADJUSTMENT').length
+    })
+  ]);
+
+  const performanceNode = node('PERFORMANCE', 'Perdas de performance', minorStopLossMinutes + reducedSpeedMinutes, [
+    node('MINOR_STOPS', 'Pequenas paradas', minorStopLossMinutes, [], { occurrences: minorStops.length }),
+    node('REDUCED_SPEED', 'Velocidade reduzida', reducedSpeedMinutes)
+  ]);
+
+  const qualityNode = node('QUALITY', 'Perdas de qualidade', qualityLossMinutes, [
+    node('PROCESS_DEFECTS', 'Defeitos de processo', qualityLossMinutes * (1 - startupShare), [], {
+      rejectedTests: rejectedTests - startupRejects
+    }),
+    node('STARTUP_REJECTS', 'Perdas de partida', qualityLossMinutes * startupShare, [], {
+      rejectedTests: startupRejects
+    })
+  ]);
+
+  const totalLossMinutes = availabilityNode.minutes + performanceNode.minutes + qualityNode.minutes;
+  const plannedMinutes = oee.availability.plannedMinutes;
+
+  return {
+    plannedMinutes: round(plannedMinutes),
+    plannedStopMinutes: round(sumMinutes(events.filter(event => event.isPlanned))),
+    fullyProductiveMinutes: round(Math.max(0, plannedMinutes - totalLossMinutes)),
+    totalLossMinutes: round(totalLossMinutes),
+    minorStopThreshold: minorStopMinutes,
+    tree: [availabilityNode, performanceNode, qualityNode]
+  };
+}
+
+/**
+ * Busca os eventos de parada do período com motivo, categoria e equipe em turno
+ * @param {Object} filters
+ * @param {Date} filters.startTime - Início do período
+ * @param {Date} filters.endTime - Fim do período
+ * @param {Array<number>} filters.machineIds - Máquinas (vazio = todas)
+ */
+async function getStopEvents({ startTime, endTime, machineIds = [] }) {
+  const params = [startTime, endTime];
+  let machineFilter = '';
+
+  if (machineIds.length > 0) {
+    params.push(machineIds);
+    machineFilter = `AND msh.machine_id = ANY($${params.length}::int[])`;
+  }
+
+  const selectFields = `
+    msh.id, msh.machine_id, msh.new_status, msh.created_at, msh.user_id, msh.downtime_reason_id,
+    m.name AS machine_name,
+    dr.code AS reason_code, dr.name AS reason_name, dr.is_planned, dr.loss_category,
+    cat.code AS category_code, cat.name AS category_name
+  `;
+
+  const joins = `
+    JOIN machines m ON msh.machine_id = m.id
+    LEFT JOIN downtime_reasons dr ON msh.downtime_reason_id = dr.id
+    LEFT JOIN downtime_reasons cat ON dr.parent_id = cat.id
+  `;
+
+  // Status vigente no início do período + mudanças dentro do período
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT DISTINCT ON (msh.machine_id) ${selectFields}
+      FROM machine_status_history msh
+      ${joins}
+      WHERE msh.created_at < $1 ${machineFilter}
+      ORDER BY msh.machine_id, msh.created_at DESC
+    ) previous
+    UNION ALL
+    SELECT ${selectFields}
+    FROM machine_status_history msh
+    ${joins}
+    WHERE msh.created_at >= $1 AND msh.created_at <= $2 ${machineFilter}
+    ORDER BY machine_id, created_at ASC
+  `, params);
+
+  const teamsResult = await pool.query(`
+    SELECT team_code, team_name, cycle_offset_days
+    FROM shift_teams
+    WHERE is_active = true
+    ORDER BY team_code
+  `);
+
+  const effectiveEnd = endTime > new Date() ? new Date() : endTime;
+  return buildStopEvents(result.rows, startTime, effectiveEnd, teamsResult.rows);
+}
+
+/**
+ * Filtra eventos pelo tipo de parada
+ * @param {string} type - 'all', 'planned' ou 'unplanned'
+ */
+function filterByType(events, type) {
+  if (type === 'planned') return events.filter(event => event.isPlanned);
+  if (type === 'unplanned') return events.filter(event => !event.isPlanned);
+  return events;
+}
+
+/**
+ * Pareto de paradas do período, geral e quebrado por máquina, turno e equipe
+ * @param {Object} filters - startTime, endTime, machineIds, groupBy, type
+ */
+async function getDowntimePareto({ startTime, endTime, machineIds = [], groupBy = 'reason', type = 'all' }) {
+  const events = filterByType(await getStopEvents({ startTime, endTime, machineIds }), type);
+  const overall = buildPareto(events, groupBy);
+
+  return {
+    period: { startTime, endTime },
+    groupBy,
+    type,
+    ...overall,
+    unclassifiedMinutes: round(
+      events.filter(event => !event.reasonId).reduce((sum, event) => sum + event.minutes, 0)
+    ),
+    byMachine: buildParetoBreakdown(events, 'machine', groupBy),
+    byShift: buildParetoBreakdown(events, 'shift', groupBy),
+    byTeam: buildParetoBreakdown(events, 'team', groupBy)
+  };
+}
+
+/**
+ * Conta testes reprovados e quantos ocorreram logo após uma partida da máquina
+ */
+async function countRejectedTests({ startTime, endTime, machineIds, startupWindowMinutes }) {
+  const result = await pool.query(`
+    SELECT
+      COUNT(*) AS rejected_tests,
+      COUNT(*) FILTER (WHERE EXISTS (
+        SELECT 1 FROM machine_status_history msh
+        WHERE msh.machine_id = qt.machine_id
+          AND msh.new_status = 'FUNCIONANDO'
+          AND msh.created_at <= qt.test_date
+          AND msh.created_at > qt.test_date - ($4 || ' minutes')::interval
+      )) AS startup_rejects
+    FROM quality_tests qt
+    WHERE qt.approved = false
+      AND qt.test_date >= $1 AND qt.test_date <= $2
+      AND qt.machine_id = ANY($3::int[])
+  `, [startTime, endTime, machineIds, String(startupWindowMinutes)]);
+
+  const row = result.rows[0] || {};
+  return {
+    rejectedTests: parseInt(row.rejected_tests) || 0,
+    startupRejects: parseInt(row.startup_rejects) || 0
+  };
+}
+
+/**
+ * Soma os resultados de OEE de várias máquinas para montar uma única árvore.
+ * Performance e qualidade são ponderadas pelo tempo de funcionamento.
+ */
+function combineOEEResults(results) {
+  const totals = results.reduce((acc, result) => {
+    const running = result.availability.runningMinutes;
+    acc.plannedMinutes += result.availability.plannedMinutes;
+    acc.runningMinutes += running;
+    acc.performanceWeighted += result.performance.percentage * running;
+    acc.qualityWeighted += result.quality.percentage * running;
+    return acc;
+  }, { plannedMinutes: 0, runningMinutes: 0, performanceWeighted: 0, qualityWeighted: 0 });
+
+  const running = totals.runningMinutes;
+  return {
+    availability: { plannedMinutes: totals.plannedMinutes, runningMinutes: running },
+    performance: { percentage: running > 0 ? totals.performanceWeighted / running : 0 },
+    quality: { percentage: running > 0 ? totals.qualityWeighted / running : 0 }
+  };
+}
+
+/**
+ * Árvore das seis grandes perdas do período
+ * @param {Object} filters - startTime, endTime, machineIds, minorStopMinutes, startupWindowMinutes
+ */
+async function getLossTree({
+  startTime,
+  endTime,
+  machineIds = [],
+  minorStopMinutes = DEFAULT_MINOR_STOP_MINUTES,
+  startupWindowMinutes = DEFAULT_STARTUP_WINDOW_MINUTES
+}) {
+  let ids = machineIds;
+  if (ids.length === 0) {
+    const machinesResult = await pool.query('SELECT id FROM machines WHERE is_active = true ORDER BY id');
+    ids = machinesResult.rows.map(row => row.id);
+  }
+
+  const oeeResults = [];
+  for (const machineId of ids) {
+    oeeResults.push(await calculateOEE(machineId, startTime, endTime));
+  }
+
+  const events = await getStopEvents({ startTime, endTime, machineIds: ids });
+  const { rejectedTests, startupRejects } = await countRejectedTests({
+    startTime,
+    endTime,
+    machineIds: ids,
+    startupWindowMinutes
+  });
+
+  const oee = oeeResults.length === 1 ? oeeResults[0] : combineOEEResults(oeeResults);
+
+  return {
+    period: { startTime, endTime },
+    machineIds: ids,
+    oee: oeeResults.length === 1
+      ? oeeResults[0].oee
+      : round(oeeResults.reduce((sum, result) => sum + result.oee, 0) / (oeeResults.length || 1)),
+    startupWindowMinutes,
+    ...buildLossTree({ oee, events, startupRejects, rejectedTests, minorStopMinutes })
+  };
+}
+
+module.exports = {
+  DEFAULT_MINOR_STOP_MINUTES,
+  DEFAULT_STARTUP_WINDOW_MINUTES,
+  buildStopEvents,
+  buildPareto,
+  buildParetoBreakdown,
+  buildLossTree,
+  combineOEEResults,
+  getStopEvents,
+  getDowntimePareto,
+  getLossTree
+};
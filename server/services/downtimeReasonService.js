@@ -0,0 +1,258 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Status de máquina que exigem um motivo de parada classificado
+const STOP_STATUSES = ['PARADA', 'MANUTENCAO'];
+
+// Perdas de disponibilidade (seis grandes perdas) em que um motivo pode se enquadrar
+const LOSS_CATEGORIES = ['BREAKDOWN', 'SETUP_ADJUSTMENT'];
+
+// Motivo registrado apenas pelo fluxo de troca de produto/lote (changeover)
+const CHANGEOVER_REASON_CODE = 'PLN-CHANGEOVER-SETUP';
+
+/**
+ * Converte uma linha de downtime_reasons para o formato da API
+ */
+function mapReason(row) {
+  return {
+    id: row.id,
+    parentId: row.parent_id,
+    code: row.code,
+    name: row.name,
+    description: row.description,
+    isPlanned: row.is_planned,
+    lossCategory: row.loss_category || 'BREAKDOWN',
+    appliesToStatus: row.applies_to_status,
+    sortOrder: row.sort_order,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Monta a árvore categoria > motivos a partir da lista plana
+ * @param {Array} reasons - Motivos já mapeados
+ * @returns {Array} Categorias com a propriedade children
+ */
+function buildReasonTree(reasons) {
+  const byId = new Map(reasons.map(reason => [reason.id, { ...reason, children: [] }]));
+  const roots = [];
+
+  for (const reason of byId.values()) {
+    const parent = reason.parentId ? byId.get(reason.parentId) : null;
+    if (parent) {
+      parent.children.push(reason);
+    } else {
+      roots.push(reason);
+    }
+  }
+
+  const sortNodes = (nodes) => {
+    nodes.sort((a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name));
+    nodes.forEach(node => sortNodes(node.children));
+    return nodes;
+  };
+
+  return sortNodes(roots);
+}
+
+/**
+ * Lista os motivos de parada
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Incluir motivos desativados
+ * @param {string} options.status - Filtrar motivos aplicáveis ao status (PARADA/MANUTENCAO)
+ */
+async function getReasons({ includeInactive = false, status = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (!includeInactive) {
+    conditions.push('is_active = true');
+  }
+
+  if (status) {
+    params.push(status);
+    conditions.push(`(applies_to_status IS NULL OR applies_to_status = $${params.length})`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await pool.query(
+    `SELECT * FROM downtime_reasons ${whereClause} ORDER BY sort_order ASC, name ASC`,
+    params
+  );
+
+  return result.rows.map(mapReason);
+}
+
+/**
+ * Retorna o catálogo em formato de árvore
+ */
+async function getReasonTree(options = {}) {
+  const reasons = await getReasons(options);
+  return buildReasonTree(reasons);
+}
+
+/**
+ * Busca um motivo por ID, incluindo a quantidade de filhos ativos
+ */
+async function getReasonById(id) {
+  const result = await pool.query(
+    `SELECT dr.*,
+            (SELECT COUNT(*) FROM downtime_reasons c WHERE c.parent_id = dr.id AND c.is_active = true) AS active_children
+     FROM downtime_reasons dr
+     WHERE dr.id = $1`,
+    [parseInt(id)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return {
+    ...mapReason(row),
+    activeChildren: parseInt(row.active_children)
+  };
+}
+
+/**
+ * Valida o motivo informado para uma mudança de status de parada.
+ * Apenas motivos ativos, sem submotivos e aplicáveis ao status podem ser usados.
+ * @returns {Promise<Object>} Motivo validado
+ */
+async function validateStopReason(reasonId, status) {
+  if (!reasonId) {
+    throw new AppError('Selecione o motivo da parada', 400, 'DOWNTIME_REASON_REQUIRED');
+  }
+
+  const reason = await getReasonById(reasonId);
+
+  if (!reason || !reason.isActive) {
+    throw new AppError('Motivo de parada não encontrado', 404, 'DOWNTIME_REASON_NOT_FOUND');
+  }
+
+  if (reason.activeChildren > 0) {
+    throw new AppError('Selecione um motivo específico dentro da categoria', 400, 'DOWNTIME_REASON_NOT_LEAF');
+  }
+
+  if (reason.appliesToStatus && reason.appliesToStatus !== status) {
+    throw new AppError(`Motivo não se aplica ao status ${status}`, 400, 'DOWNTIME_REASON_STATUS_MISMATCH');
+  }
+
+  if (reason.code === CHANGEOVER_REASON_CODE) {
+    throw new AppError('Paradas de changeover são registradas pelo fluxo de troca', 400, 'DOWNTIME_REASON_CHANGEOVER');
+  }
+
+  return reason;
+}
+
+/**
+ * Classifica (ou reclassifica) uma parada já registrada no histórico de status
+ * @param {number} machineId - ID da máquina
+ * @param {number} historyId - ID do registro em machine_status_history
+ * @param {number} reasonId - ID do motivo de parada
+ * @param {number} userId - Usuário que está classificando
+ * @param {string} notes - Observações opcionais
+ */
+async function classifyStop(machineId, historyId, reasonId, userId, notes) {
+  const historyResult = await pool.query(
+    'SELECT * FROM machine_status_history WHERE id = $1 AND machine_id = $2',
+    [parseInt(historyId), parseInt(machineId)]
+  );
+  const history = historyResult.rows[0];
+
+  if (!history) {
+    throw new AppError('Registro de parada não encontrado', 404, 'STOP_NOT_FOUND');
+  }
+
+  if (!STOP_STATUSES.includes(history.new_status)) {
+    throw new AppError('Apenas paradas e manutenções podem ser classificadas', 400, 'NOT_A_STOP');
+  }
+
+  const reason = await validateStopReason(reasonId, history.new_status);
+
+  const updatedResult = await pool.query(
+    `UPDATE machine_status_history
+     SET downtime_reason_id = $1,
+         reason = COALESCE(reason, $2),
+         notes = COALESCE($3, notes),
+         classified_by = $4,
+         classified_at = NOW()
+     WHERE id = $5
+     RETURNING *`,
+    [reason.id, reason.name, notes || null, userId, history.id]
+  );
+
+  return {
+    history: updatedResult.rows[0],
+    reason
+  };
+}
+
+/**
+ * Lista paradas sem motivo classificado
+ * @param {Object} filters
+ * @param {number} filters.machineId - Filtrar por máquina
+ * @param {boolean} filters.openOnly - Apenas paradas ainda em andamento
+ */
+async function getUnclassifiedStops({ machineId = null, openOnly = false, limit = 50 } = {}) {
+  const conditions = [
+    `msh.new_status IN ('PARADA', 'MANUTENCAO')`,
+    'msh.downtime_reason_id IS NULL'
+  ];
+  const params = [];
+
+  if (machineId) {
+    params.push(parseInt(machineId));
+    conditions.push(`msh.machine_id = $${params.length}`);
+  }
+
+  if (openOnly) {
+    // Parada em aberto = não existe mudança de status posterior para a máquina
+    conditions.push(`NOT EXISTS (
+      SELECT 1 FROM machine_status_history nxt
+      WHERE nxt.machine_id = msh.machine_id AND nxt.created_at > msh.created_at
+    )`);
+  }
+
+  params.push(parseInt(limit));
+
+  const result = await pool.query(
+    `SELECT msh.*, m.name AS machine_name, m.code AS machine_code, u.name AS user_name
+     FROM machine_status_history msh
+     JOIN machines m ON msh.machine_id = m.id
+     LEFT JOIN users u ON msh.user_id = u.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY msh.created_at DESC
+     LIMIT $${params.length}`,
+    params
+  );
+
+  return result.rows.map(row => ({
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    machineCode: row.machine_code,
+    status: row.new_status,
+    previousStatus: row.previous_status,
+    reason: row.reason,
+    notes: row.notes,
+    userName: row.user_name,
+    createdAt: row.created_at
+  }));
+}
+
+module.exports = {
+  STOP_STATUSES,
+  LOSS_CATEGORIES,
+  CHANGEOVER_REASON_CODE,
+  mapReason,
+  buildReasonTree,
+  getReasons,
+  getReasonTree,
+  getReasonById,
+  validateStopReason,
+  classifyStop,
+  getUnclassifiedStops
+};
@@ -1,43 +1,59 @@
-const sgMail = require('@sendgrid/mail');
 const fs = require('fs').promises;
 const path = require('path');
 
+/**
+ * Emails do sistema (alertas, relatórios, assinaturas e resumos).
+ * O envio passa pelo provedor do canal email (NOTIFICATION_EMAIL_PROVIDER ou NOTIFICATION_SINK):
+ * cada destinatário vira uma linha em notification_logs, com recibo e novas tentativas.
+ */
 class EmailService {
-  constructor() {
-    this.initializeSendGrid();
-  }
-
-  initializeSendGrid() {
+  async sendEmail(to, subject, html, text = null, attachments = []) {
     try {
-      if (process.env.SENDGRID_API_KEY) {
-        sgMail.setApiKey(process.env.SENDGRID_API_KEY);
-        console.log('📧 SendGrid configurado com sucesso');
-      } else {
-        console.warn('⚠️ SENDGRID_API_KEY não encontrada nas variáveis de ambiente');
+      // Carregado sob demanda: o serviço de entrega depende do auditLogger
+      const notificationDeliveryService = require('./notificationDeliveryService');
+      const recipients = (Array.isArray(to) ? to : [to]).filter(Boolean);
+      // Anexo de relatório com snapshot: o payload de cada destinatário guarda só a referência
+      const encodedAttachments = attachments.length > 0
+        ? attachments.map(attachment => (attachment.reportId
+          ? { reportId: attachment.reportId, filename: attachment.filename, type: attachment.type }
+          : {
+            content: Buffer.isBuffer(attachment.content)
+              ? attachment.content.toString('base64')
+              : attachment.content,
+            filename: attachment.filename,
+            type: attachment.type
+          }))
+        : null;
+
+      // Todos os destinatários entram na fila antes do primeiro envio, para o arquivo do
+      // relatório só ser descartado depois do último
+      const queued = [];
+      for (const recipient of recipients) {
+        queued.push(await notificationDeliveryService.enqueue({
+          channel: 'email',
+          recipient,
+          title: subject,
+          message: text || html.replace(/<[^>]*>/g, ''), // Remove HTML tags for text version
+          html,
+          attachments: encodedAttachments
+        }));
       }
-    } catch (error) {
-      console.error('❌ Erro ao configurar SendGrid:', error.message);
-    }
-  }
+      const deliveries = await notificationDeliveryService.dispatch(queued);
 
-  async sendEmail(to, subject, html, text = null) {
-    try {
-      const msg = {
-        to: Array.isArray(to) ? to : [to],
-        from: {
-          email: process.env.EMAIL_FROM,
-          name: process.env.EMAIL_FROM_NAME || 'Zara Operação'
-        },
-        subject,
-        html,
-        text: text || html.replace(/<[^>]*>/g, '') // Remove HTML tags for text version
-      };
-
-      const result = await sgMail.send(msg);
-      console.log('📧 Email enviado com sucesso via SendGrid');
-      return { success: true, messageId: result[0].headers['x-message-id'] };
+      // Envios em 'retrying' serão repetidos pelo agendador; só 'failed' é falha definitiva
+      const failed = deliveries.filter(delivery => delivery.status === 'failed');
+      if (deliveries.length === 0 || failed.length > 0) {
+        const error = failed.length > 0
+          ? failed.map(delivery => `${delivery.recipient}: ${delivery.errorMessage}`).join('; ')
+          : 'Nenhum destinatário informado';
+        console.error('❌ Erro ao enviar email:', error);
+        return { success: false, error, deliveries };
+      }
+
+      console.log(`📧 Email registrado para ${deliveries.length} destinatário(s)`);
+      return { success: true, messageId: deliveries[0].providerMessageId, deliveries };
     } catch (error) {
-      console.error('❌ Erro ao enviar email via SendGrid:', error);
+      console.error('❌ Erro ao enviar email:', error);
       return { success: false, error: error.message };
     }
   }
@@ -202,6 +218,106 @@ class EmailService {
     }
   }
 
+  async sendSubscriptionReport(subscriptionData, file, recipients) {
+    try {
+      const subject = `📊 ${subscriptionData.name} - ${new Date().toLocaleDateString('pt-BR')}`;
+
+      const htmlContent = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center;">
+            <h1>Sistema ZARA - ${subscriptionData.title}</h1>
+          </div>
+          
+          <div style="padding: 20px; background: #f8f9fa;">
+            <h2 style="color: #764ba2;">${subscriptionData.name}</h2>
+            
+            <div style="background: white; padding: 15px; border-radius: 8px; margin: 10px 0;">
+              <p><strong>Período:</strong> ${subscriptionData.period}</p>
+              <p><strong>Gerado em:</strong> ${new Date().toLocaleString('pt-BR')}</p>
+              <p><strong>Arquivo:</strong> ${file.filename}</p>
+            </div>
+            
+            <p style="color: #6c757d; font-size: 13px;">
+              Você recebe este relatório porque está na lista de destinatários desta assinatura.
+            </p>
+            
+            <div style="text-align: center; margin-top: 20px;">
+              <a href="${process.env.FRONTEND_URL}/reports" style="background: #667eea; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Ver Relatórios</a>
+            </div>
+          </div>
+          
+          <div style="background: #343a40; color: white; padding: 10px; text-align: center; font-size: 12px;">
+            <p>Sistema ZARA - Controle de Qualidade Industrial</p>
+          </div>
+        </div>
+      `;
+
+      return await this.sendEmail(recipients, subject, htmlContent, null, [{
+        reportId: file.reportId,
+        content: file.buffer,
+        filename: file.filename,
+        type: file.contentType
+      }]);
+    } catch (error) {
+      console.error('❌ Erro ao enviar relatório da assinatura:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async sendNotificationDigest(recipient, digestData) {
+    try {
+      const { userName, notifications } = digestData;
+      const subject = `🔔 Resumo de Notificações - ${notifications.length} ${notifications.length === 1 ? 'item' : 'itens'}`;
+
+      const rows = notifications.map(notification => `
+              <tr>
+                <td style="padding: 8px; border-bottom: 1px solid #dee2e6;">
+                  <strong>${notification.title}</strong><br>
+                  <span style="color: #6c757d;">${notification.message}</span>
+                </td>
+                <td style="padding: 8px; border-bottom: 1px solid #dee2e6; text-align: center;">
+                  ${notification.occurrence_count > 1 ? `${notification.occurrence_count}×` : '1×'}
+                </td>
+                <td style="padding: 8px; border-bottom: 1px solid #dee2e6; white-space: nowrap;">
+                  ${new Date(notification.last_occurred_at || notification.created_at).toLocaleString('pt-BR')}
+                </td>
+              </tr>`).join('');
+
+      const htmlContent = `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 20px; text-align: center;">
+            <h1>Sistema ZARA - Resumo de Notificações</h1>
+          </div>
+          
+          <div style="padding: 20px; background: #f8f9fa;">
+            <p>Olá, ${userName || 'usuário'}. Estas notificações ficaram retidas pelo seu horário de silêncio ou modo de resumo:</p>
+            
+            <table style="width: 100%; background: white; border-radius: 8px; border-collapse: collapse; font-size: 14px;">
+              <tr style="background: #e9ecef;">
+                <th style="padding: 8px; text-align: left;">Notificação</th>
+                <th style="padding: 8px;">Ocorrências</th>
+                <th style="padding: 8px; text-align: left;">Última</th>
+              </tr>${rows}
+            </table>
+            
+            <div style="text-align: center; margin-top: 20px;">
+              <a href="${process.env.FRONTEND_URL}/notifications" style="background: #667eea; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Ver Notificações</a>
+            </div>
+          </div>
+          
+          <div style="background: #343a40; color: white; padding: 10px; text-align: center; font-size: 12px;">
+            <p>Sistema ZARA - Controle de Qualidade Industrial</p>
+          </div>
+        </div>
+      `;
+
+      return await this.sendEmail(recipient, subject, htmlContent);
+    } catch (error) {
+      console.error('❌ Erro ao enviar resumo de notificações:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
   async sendTestEmail(recipient) {
     try {
       const subject = '✅ Teste de Configuração SendGrid - Sistema ZARA';
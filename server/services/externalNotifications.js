@@ -1,29 +1,22 @@
-const nodemailer = require('nodemailer');
-const twilio = require('twilio');
-const axios = require('axios');
-const auditLogger = require('./auditLogger');
+const notificationDeliveryService = require('./notificationDeliveryService');
 
+/**
+ * Notificações externas avulsas (email, SMS, WhatsApp) com a formatação do Sistema ZARA.
+ * O transporte fica com o provedor configurado para cada canal (notificationDeliveryService),
+ * que registra o envio e as novas tentativas em notification_logs.
+ */
 class ExternalNotificationService {
-  constructor() {
-    // Configuração do Email (Gmail/SMTP)
-    this.emailTransporter = nodemailer.createTransport({
-      service: 'gmail',
-      auth: {
-        user: process.env.EMAIL_USER,
-        pass: process.env.EMAIL_PASSWORD
-      }
-    });
-
-    // Configuração do Twilio (SMS)
-    this.twilioClient = process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN 
-      ? twilio(process.env.TWILIO_ACCOUNT_SID, process.env.TWILIO_AUTH_TOKEN)
-      : null;
-
-    // Configuração do WhatsApp Business API
-    this.whatsappConfig = {
-      apiUrl: process.env.WHATSAPP_API_URL,
-      accessToken: process.env.WHATSAPP_ACCESS_TOKEN,
-      phoneNumberId: process.env.WHATSAPP_PHONE_NUMBER_ID
+  /**
+   * Converte o envio registrado no retorno { success, messageId, error } usado pelas rotas
+   */
+  toResult(delivery) {
+    const success = delivery.status === 'sent' || delivery.status === 'delivered';
+    return {
+      success,
+      messageId: delivery.providerMessageId,
+      deliveryId: delivery.id,
+      status: delivery.status,
+      error: success ? undefined : delivery.errorMessage
     };
   }
 
@@ -32,11 +25,6 @@ class ExternalNotificationService {
    */
   async sendEmail(to, subject, message, priority = 'MEDIUM') {
     try {
-      if (!process.env.EMAIL_USER || !process.env.EMAIL_PASSWORD) {
-        console.warn('Email credentials not configured');
-        return { success: false, error: 'Email not configured' };
-      }
-
       const priorityColors = {
         URGENT: '#dc2626',
         HIGH: '#ea580c',
@@ -90,18 +78,17 @@ class ExternalNotificationService {
         </html>
       `;
 
-      const mailOptions = {
-        from: `"Sistema ZARA" <${process.env.EMAIL_USER}>`,
-        to: to,
-        subject: `[${priorityLabels[priority]}] ${subject}`,
+      const delivery = await notificationDeliveryService.deliver({
+        channel: 'email',
+        recipient: to,
+        title: `[${priorityLabels[priority]}] ${subject}`,
+        message: `${subject}\n\n${message}\n\nPrioridade: ${priorityLabels[priority]}\nEnviado em: ${new Date().toLocaleString('pt-BR')}`,
         html: htmlContent,
-        text: `${subject}\n\n${message}\n\nPrioridade: ${priorityLabels[priority]}\nEnviado em: ${new Date().toLocaleString('pt-BR')}`
-      };
-
-      const result = await this.emailTransporter.sendMail(mailOptions);
+        priority
+      });
       
-      console.log(`Email sent successfully to ${to}`, { messageId: result.messageId });
-      return { success: true, messageId: result.messageId };
+      console.log(`Email to ${to}: ${delivery.status}`, { messageId: delivery.providerMessageId });
+      return this.toResult(delivery);
 
     } catch (error) {
       console.error('Failed to send email:', error);
@@ -114,11 +101,6 @@ class ExternalNotificationService {
    */
   async sendSMS(to, message, priority = 'MEDIUM') {
     try {
-      if (!this.twilioClient) {
-        console.warn('Twilio credentials not configured');
-        return { success: false, error: 'SMS not configured' };
-      }
-
       const priorityLabels = {
         URGENT: '🚨 URGENTE',
         HIGH: '⚠️ ALTA',
@@ -128,14 +110,15 @@ class ExternalNotificationService {
 
       const formattedMessage = `${priorityLabels[priority]}\n\n${message}\n\n- Sistema ZARA\n${new Date().toLocaleString('pt-BR')}`;
 
-      const result = await this.twilioClient.messages.create({
-        body: formattedMessage,
-        from: process.env.TWILIO_PHONE_NUMBER,
-        to: to
+      const delivery = await notificationDeliveryService.deliver({
+        channel: 'sms',
+        recipient: to,
+        message: formattedMessage,
+        priority
       });
 
-      console.log(`SMS sent successfully to ${to}`, { sid: result.sid });
-      return { success: true, sid: result.sid };
+      console.log(`SMS to ${to}: ${delivery.status}`, { sid: delivery.providerMessageId });
+      return { ...this.toResult(delivery), sid: delivery.providerMessageId };
 
     } catch (error) {
       console.error('Failed to send SMS:', error);
@@ -148,11 +131,6 @@ class ExternalNotificationService {
    */
   async sendWhatsApp(to, message, priority = 'MEDIUM') {
     try {
-      if (!this.whatsappConfig.apiUrl || !this.whatsappConfig.accessToken) {
-        console.warn('WhatsApp API not configured');
-        return { success: false, error: 'WhatsApp not configured' };
-      }
-
       const priorityEmojis = {
         URGENT: '🚨',
         HIGH: '⚠️',
@@ -169,32 +147,19 @@ class ExternalNotificationService {
 
       const formattedMessage = `${priorityEmojis[priority]} *SISTEMA ZARA*\n\n*Prioridade:* ${priorityLabels[priority]}\n\n${message}\n\n_Enviado em: ${new Date().toLocaleString('pt-BR')}_`;
 
-      const payload = {
-        messaging_product: 'whatsapp',
-        to: to.replace(/\D/g, ''), // Remove caracteres não numéricos
-        type: 'text',
-        text: {
-          body: formattedMessage
-        }
-      };
-
-      const response = await axios.post(
-        `${this.whatsappConfig.apiUrl}/${this.whatsappConfig.phoneNumberId}/messages`,
-        payload,
-        {
-          headers: {
-            'Authorization': `Bearer ${this.whatsappConfig.accessToken}`,
-            'Content-Type': 'application/json'
-          }
-        }
-      );
+      const delivery = await notificationDeliveryService.deliver({
+        channel: 'whatsapp',
+        recipient: to,
+        message: formattedMessage,
+        priority
+      });
 
-      console.log(`WhatsApp message sent successfully to ${to}`, { messageId: response.data.messages[0].id });
-      return { success: true, messageId: response.data.messages[0].id };
+      console.log(`WhatsApp message to ${to}: ${delivery.status}`, { messageId: delivery.providerMessageId });
+      return this.toResult(delivery);
 
     } catch (error) {
       console.error('Failed to send WhatsApp message:', error);
-      return { success: false, error: error.response?.data?.error?.message || error.message };
+      return { success: false, error: error.message };
     }
   }
 
@@ -240,53 +205,15 @@ class ExternalNotificationService {
   }
 
   /**
-   * Testa a conectividade dos serviços externos
+   * Testa a conectividade dos provedores configurados para os canais externos
    */
   async testConnections() {
-    const results = {
-      email: false,
-      sms: false,
-      whatsapp: false
-    };
-
-    // Testar email
-    try {
-      if (process.env.EMAIL_USER && process.env.EMAIL_PASSWORD) {
-        await this.emailTransporter.verify();
-        results.email = true;
-      }
-    } catch (error) {
-      console.error('Email connection test failed:', error);
-    }
-
-    // Testar SMS
-    try {
-      if (this.twilioClient) {
-        await this.twilioClient.api.accounts(process.env.TWILIO_ACCOUNT_SID).fetch();
-        results.sms = true;
-      }
-    } catch (error) {
-      console.error('SMS connection test failed:', error);
-    }
-
-    // Testar WhatsApp
-    try {
-      if (this.whatsappConfig.apiUrl && this.whatsappConfig.accessToken) {
-        const response = await axios.get(
-          `${this.whatsappConfig.apiUrl}/${this.whatsappConfig.phoneNumberId}`,
-          {
-            headers: {
-              'Authorization': `Bearer ${this.whatsappConfig.accessToken}`
-            }
-          }
-        );
-        results.whatsapp = response.status === 200;
-      }
-    } catch (error) {
-      console.error('WhatsApp connection test failed:', error);
-    }
-
-    return results;
+    const [email, sms, whatsapp] = await Promise.all([
+      notificationDeliveryService.verifyChannel('email'),
+      notificationDeliveryService.verifyChannel('sms'),
+      notificationDeliveryService.verifyChannel('whatsapp')
+    ]);
+    return { email, sms, whatsapp };
   }
 }
 
@@ -0,0 +1,375 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const notificationService = require('./notificationService');
+
+/**
+ * Inspeção da primeira peça (FAI).
+ * Uma regra ativa para a máquina/produto abre uma solicitação no início de operação, na primeira
+ * operação após um changeover ou na troca de teflon. Enquanto ela está pendente a produção é
+ * marcada no livro com a solicitação e não conta como peça boa (OEE e ordens de produção).
+ * O primeiro teste de qualidade aprovado da máquina depois da solicitação encerra a pendência.
+ */
+
+const TRIGGER_TYPES = ['START', 'CHANGEOVER', 'TEFLON_CHANGE'];
+
+const TRIGGER_LABELS = {
+  START: 'início de operação',
+  CHANGEOVER: 'changeover',
+  TEFLON_CHANGE: 'troca de teflon'
+};
+
+// Flag da regra que habilita cada gatilho
+const TRIGGER_COLUMNS = {
+  START: 'on_start',
+  CHANGEOVER: 'on_changeover',
+  TEFLON_CHANGE: 'on_teflon_change'
+};
+
+const sameText = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+function mapRule(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name || null,
+    product: row.product,
+    onStart: row.on_start,
+    onChangeover: row.on_changeover,
+    onTeflonChange: row.on_teflon_change,
+    deadlineMinutes: row.deadline_minutes,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Converte uma linha de fai_requests para o formato da API
+ */
+function mapRequest(row, now = new Date()) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    ruleId: row.rule_id,
+    triggerType: row.trigger_type,
+    triggerLabel: TRIGGER_LABELS[row.trigger_type],
+    product: row.product,
+    lot: row.lot,
+    operationId: row.operation_id,
+    changeoverId: row.changeover_id,
+    teflonChangeId: row.teflon_change_id,
+    status: row.status,
+    requestedAt: row.requested_at,
+    dueAt: row.due_at,
+    overdue: row.status === 'PENDING' && new Date(row.due_at) < now,
+    failedAttempts: row.failed_attempts,
+    heldQuantity: row.held_quantity !== undefined ? Math.floor(Number(row.held_quantity) || 0) : undefined,
+    passedTestId: row.passed_test_id,
+    passedAt: row.passed_at,
+    waivedBy: row.waived_by,
+    waivedAt: row.waived_at,
+    waiveReason: row.waive_reason,
+    leaderNotifiedAt: row.leader_notified_at
+  };
+}
+
+// Peças produzidas com a inspeção pendente
+const REQUEST_SELECT = `
+  SELECT r.*, m.name AS machine_name,
+         (SELECT COALESCE(SUM(e.quantity), 0) FROM production_events e
+          WHERE e.fai_request_id = r.id AND e.event_type = 'INCREMENT') AS held_quantity
+  FROM fai_requests r
+  JOIN machines m ON m.id = r.machine_id
+`;
+
+async function auditRequest(action, requestId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'fai_requests',
+      resourceId: String(requestId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria da inspeção da primeira peça:', error);
+  }
+}
+
+async function getRules() {
+  const result = await pool.query(`
+    SELECT r.*, m.name AS machine_name
+    FROM fai_rules r
+    LEFT JOIN machines m ON m.id = r.machine_id
+    ORDER BY m.name NULLS FIRST, r.product NULLS FIRST, r.id
+  `);
+  return result.rows.map(mapRule);
+}
+
+async function createRule({ machineId = null, product = null, onStart = true, onChangeover = true, onTeflonChange = true, deadlineMinutes = 15 }, userId) {
+  const result = await pool.query(`
+    INSERT INTO fai_rules (machine_id, product, on_start, on_changeover, on_teflon_change, deadline_minutes, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [machineId, product ? String(product).trim() : null, onStart, onChangeover, onTeflonChange, deadlineMinutes, userId]);
+
+  return mapRule(result.rows[0]);
+}
+
+async function updateRule(id, fields) {
+  const fieldMap = {
+    machineId: 'machine_id',
+    product: 'product',
+    onStart: 'on_start',
+    onChangeover: 'on_changeover',
+    onTeflonChange: 'on_teflon_change',
+    deadlineMinutes: 'deadline_minutes',
+    isActive: 'is_active'
+  };
+
+  const updateFields = [];
+  const updateValues = [];
+  Object.entries(fieldMap).forEach(([key, column]) => {
+    if (fields[key] !== undefined) {
+      updateValues.push(key === 'product' && fields[key] ? String(fields[key]).trim() : fields[key]);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  });
+
+  if (updateFields.length === 0) {
+    throw new AppError('Nenhum campo para atualizar', 400);
+  }
+
+  updateValues.push(parseInt(id));
+  const result = await pool.query(
+    `UPDATE fai_rules SET ${updateFields.join(', ')}
+     WHERE id = $${updateValues.length}
+     RETURNING *`,
+    updateValues
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Regra de inspeção não encontrada', 404);
+  }
+
+  return mapRule(result.rows[0]);
+}
+
+/**
+ * Regra ativa mais específica para a máquina e o produto (máquina + produto, máquina, produto, geral)
+ */
+async function findRule(machineId, product, db = pool) {
+  const result = await db.query(`
+    SELECT * FROM fai_rules
+    WHERE is_active = true
+      AND (machine_id = $1 OR machine_id IS NULL)
+      AND (product IS NULL OR LOWER(product) = LOWER($2))
+    ORDER BY (machine_id IS NOT NULL) DESC, (product IS NOT NULL) DESC, id
+    LIMIT 1
+  `, [machineId, product || '']);
+  return result.rows[0] || null;
+}
+
+async function getRequests({ machineId = null, status = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`r.machine_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`r.status = $${params.length}`);
+  }
+
+  params.push(limit);
+  const result = await pool.query(`
+    ${REQUEST_SELECT}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY r.requested_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(row => mapRequest(row));
+}
+
+/**
+ * Inspeção pendente da máquina (estado "FAI pendente") ou null
+ */
+async function getPendingRequest(machineId, db = pool) {
+  const result = await db.query(`${REQUEST_SELECT} WHERE r.machine_id = $1 AND r.status = 'PENDING' LIMIT 1`, [machineId]);
+  return result.rows[0] ? mapRequest(result.rows[0]) : null;
+}
+
+/**
+ * Abre a inspeção da primeira peça quando uma regra ativa cobre o gatilho.
+ * Uma inspeção ainda pendente na máquina é mantida: a primeira peça continua sem teste.
+ * @param {number} machineId - ID da máquina
+ * @param {string} triggerType - START, CHANGEOVER ou TEFLON_CHANGE
+ * @param {Object} context - { operationId, changeoverId, teflonChangeId, userId, now }
+ * @returns {Promise<Object|null>} { request, created } ou null quando nenhuma regra se aplica
+ */
+async function openRequest(machineId, triggerType, { operationId = null, changeoverId = null, teflonChangeId = null, userId = null, now = new Date() } = {}, db = pool) {
+  if (!TRIGGER_TYPES.includes(triggerType)) {
+    throw new AppError(`Gatilho de inspeção inválido: ${triggerType}`, 400);
+  }
+
+  const pending = await getPendingRequest(machineId, db);
+  if (pending) {
+    return { request: pending, created: false };
+  }
+
+  const configResult = await db.query('SELECT produto, lote FROM machine_configs WHERE machine_id = $1', [machineId]);
+  const config = configResult.rows[0] || {};
+
+  const rule = await findRule(machineId, config.produto, db);
+  if (!rule || !rule[TRIGGER_COLUMNS[triggerType]]) {
+    return null;
+  }
+
+  const dueAt = new Date(now.getTime() + rule.deadline_minutes * 60 * 1000);
+  const result = await db.query(`
+    INSERT INTO fai_requests (
+      machine_id, rule_id, trigger_type, product, lot, operation_id, changeover_id,
+      teflon_change_id, requested_by, requested_at, due_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (machine_id) WHERE status = 'PENDING' DO NOTHING
+    RETURNING id
+  `, [machineId, rule.id, triggerType, config.produto || null, config.lote || null, operationId, changeoverId,
+    teflonChangeId, userId, now, dueAt]);
+
+  if (result.rows.length === 0) {
+    return { request: await getPendingRequest(machineId, db), created: false };
+  }
+
+  await auditRequest('FAI_REQUESTED', result.rows[0].id, userId, { machineId, triggerType, ruleId: rule.id });
+  return { request: await getPendingRequest(machineId, db), created: true };
+}
+
+/**
+ * Avalia um teste de qualidade recém-registrado contra a inspeção pendente da máquina.
+ * Teste aprovado do produto da inspeção encerra a pendência; reprovado conta como tentativa.
+ * @param {Object} test - Linha de quality_tests
+ * @returns {Promise<Object|null>} { request, passed } ou null quando o teste não se aplica
+ */
+async function evaluateQualityTest(test, db = pool) {
+  const result = await db.query(
+    "SELECT * FROM fai_requests WHERE machine_id = $1 AND status = 'PENDING' LIMIT 1",
+    [test.machine_id]
+  );
+  const pending = result.rows[0];
+  if (!pending) {
+    return null;
+  }
+
+  if (new Date(test.created_at) < new Date(pending.requested_at)) {
+    return null;
+  }
+  if (pending.product && test.product && !sameText(pending.product, test.product)) {
+    return null;
+  }
+
+  if (!test.approved) {
+    await db.query('UPDATE fai_requests SET failed_attempts = failed_attempts + 1 WHERE id = $1', [pending.id]);
+    return { request: await getPendingRequest(test.machine_id, db), passed: false };
+  }
+
+  await db.query(`
+    UPDATE fai_requests SET status = 'PASSED', passed_test_id = $1, passed_at = $2
+    WHERE id = $3 AND status = 'PENDING'
+  `, [test.id, test.created_at, pending.id]);
+  await auditRequest('FAI_PASSED', pending.id, test.user_id, { machineId: test.machine_id, qualityTestId: test.id });
+
+  const requestResult = await db.query(`${REQUEST_SELECT} WHERE r.id = $1`, [pending.id]);
+  return { request: mapRequest(requestResult.rows[0]), passed: true };
+}
+
+/**
+ * Dispensa a inspeção pendente (ex.: operação encerrada antes da primeira peça).
+ * A produção já marcada continua fora das peças boas.
+ */
+async function waiveRequest(id, reason, userId, audit = {}) {
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('Informe o motivo da dispensa', 400);
+  }
+
+  const result = await pool.query(`
+    UPDATE fai_requests SET status = 'WAIVED', waived_by = $1, waived_at = NOW(), waive_reason = $2
+    WHERE id = $3 AND status = 'PENDING'
+    RETURNING id
+  `, [userId, String(reason).trim(), parseInt(id)]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Inspeção pendente não encontrada', 404);
+  }
+
+  await auditRequest('FAI_WAIVED', id, userId, { reason }, audit);
+
+  const requestResult = await pool.query(`${REQUEST_SELECT} WHERE r.id = $1`, [parseInt(id)]);
+  return mapRequest(requestResult.rows[0]);
+}
+
+/**
+ * Notifica líderes sobre inspeções pendentes com prazo vencido (uma vez por inspeção)
+ * @returns {Promise<number>} Quantidade de inspeções notificadas
+ */
+async function notifyOverdue(now = new Date()) {
+  const result = await pool.query(`
+    ${REQUEST_SELECT}
+    WHERE r.status = 'PENDING' AND r.due_at < $1 AND r.leader_notified_at IS NULL
+  `, [now]);
+
+  if (result.rows.length === 0) {
+    return 0;
+  }
+
+  const leaders = await notificationService.getUsersByRole(['LEADER', 'MANAGER', 'ADMIN']);
+  const leaderIds = leaders.map(user => user.id);
+  let notified = 0;
+
+  for (const row of result.rows) {
+    const request = mapRequest(row, now);
+    const minutes = Math.round((now - new Date(request.requestedAt)) / (1000 * 60));
+    try {
+      await notificationService.createAlert({
+        machine_id: request.machineId,
+        lote: request.lot,
+        type: `fai_overdue_${request.id}`,
+        priority: 'warning',
+        message: `Inspeção da primeira peça pendente há ${minutes} min na máquina ${request.machineName} (${request.triggerLabel}${request.product ? `, ${request.product}` : ''}). ${request.heldQuantity} peça(s) fora da produção boa.`
+      }, leaderIds);
+
+      await pool.query('UPDATE fai_requests SET leader_notified_at = $1 WHERE id = $2', [now, request.id]);
+      notified++;
+    } catch (error) {
+      console.error(`Erro ao notificar inspeção da primeira peça #${request.id}:`, error);
+    }
+  }
+
+  return notified;
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  TRIGGER_LABELS,
+  mapRequest,
+  getRules,
+  createRule,
+  updateRule,
+  findRule,
+  getRequests,
+  getPendingRequest,
+  openRequest,
+  evaluateQualityTest,
+  waiveRequest,
+  notifyOverdue
+};
@@ -0,0 +1,269 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+
+const LOT_STATUSES = ['RELEASED', 'ON_HOLD', 'QUARANTINED', 'SCRAPPED'];
+
+// Status que impedem iniciar operação com o lote
+const BLOCKING_STATUSES = ['ON_HOLD', 'QUARANTINED', 'SCRAPPED'];
+
+// Lote sucateado não pode ser liberado excepcionalmente
+const OVERRIDABLE_STATUSES = ['ON_HOLD', 'QUARANTINED'];
+
+// Sucateado é definitivo
+const TRANSITIONS = {
+  RELEASED: ['ON_HOLD', 'QUARANTINED', 'SCRAPPED'],
+  ON_HOLD: ['RELEASED', 'QUARANTINED', 'SCRAPPED'],
+  QUARANTINED: ['RELEASED', 'ON_HOLD', 'SCRAPPED'],
+  SCRAPPED: []
+};
+
+const STATUS_LABELS = {
+  RELEASED: 'Liberado',
+  ON_HOLD: 'Retido',
+  QUARANTINED: 'Em quarentena',
+  SCRAPPED: 'Sucateado'
+};
+
+function mapLotStatus(row) {
+  return {
+    lot: row.lot,
+    product: row.product,
+    status: row.status,
+    reason: row.reason,
+    qualityTestId: row.quality_test_id,
+    changedBy: row.changed_by,
+    changedByName: row.changed_by_name,
+    changedAt: row.changed_at
+  };
+}
+
+/**
+ * Status atual do lote; lote sem registro é considerado liberado
+ */
+async function getLotStatus(lot) {
+  const result = await pool.query(`
+    SELECT ls.*, u.name AS changed_by_name
+    FROM lot_statuses ls
+    LEFT JOIN users u ON ls.changed_by = u.id
+    WHERE ls.lot = $1
+  `, [lot]);
+
+  if (result.rows.length === 0) {
+    return { lot, product: null, status: 'RELEASED', reason: null, qualityTestId: null, changedBy: null, changedByName: null, changedAt: null };
+  }
+  return mapLotStatus(result.rows[0]);
+}
+
+/**
+ * Lista os lotes com status registrado (por padrão, apenas os não liberados)
+ */
+async function getLots({ status = null, includeReleased = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`ls.status = $${params.length}`);
+  } else if (!includeReleased) {
+    conditions.push(`ls.status <> 'RELEASED'`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await pool.query(`
+    SELECT ls.*, u.name AS changed_by_name
+    FROM lot_statuses ls
+    LEFT JOIN users u ON ls.changed_by = u.id
+    ${where}
+    ORDER BY ls.changed_at DESC
+  `, params);
+
+  return result.rows.map(mapLotStatus);
+}
+
+async function getLotHistory(lot) {
+  const result = await pool.query(`
+    SELECT h.*, u.name AS user_name, m.name AS machine_name
+    FROM lot_status_history h
+    LEFT JOIN users u ON h.user_id = u.id
+    LEFT JOIN machines m ON h.machine_id = m.id
+    WHERE h.lot = $1
+    ORDER BY h.created_at DESC
+  `, [lot]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    fromStatus: row.from_status,
+    toStatus: row.to_status,
+    source: row.source,
+    reason: row.reason,
+    qualityTestId: row.quality_test_id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    userId: row.user_id,
+    userName: row.user_name,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Registra a mudança no log de auditoria (quem, por quê e de onde)
+ * @param {Object} audit - { ip, userAgent, method, endpoint } da requisição, quando houver
+ */
+async function auditLotChange(action, { lot, fromStatus, toStatus, reason, userId, source, machineId = null, operationId = null }, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'lot_status',
+      resourceId: lot,
+      method: audit.method || 'SYSTEM',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata: { fromStatus, toStatus, reason, source, machineId, operationId }
+    });
+  } catch (error) {
+    console.error('Erro ao auditar mudança de status do lote:', error);
+  }
+}
+
+/**
+ * Altera o status do lote
+ * @param {string} lot - Lote
+ * @param {string} status - Novo status
+ * @param {Object} options - reason, userId, product, source, qualityTestId, machineId
+ * @param {Object} audit - Dados da requisição para a auditoria
+ */
+async function setLotStatus(lot, status, { reason, userId = null, product = null, source = 'MANUAL', qualityTestId = null, machineId = null }, audit = {}) {
+  if (!reason || !reason.trim()) {
+    throw new AppError('Informe o motivo da mudança de status do lote', 400);
+  }
+
+  const current = await getLotStatus(lot);
+  if (current.status === status) {
+    throw new AppError(`Lote já está ${STATUS_LABELS[status].toLowerCase()}`, 400);
+  }
+  if (!TRANSITIONS[current.status].includes(status)) {
+    throw new AppError(`Lote ${STATUS_LABELS[current.status].toLowerCase()} não pode ser alterado para ${STATUS_LABELS[status].toLowerCase()}`, 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      INSERT INTO lot_statuses (lot, product, status, reason, quality_test_id, changed_by, changed_at)
+      VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+      ON CONFLICT (lot) DO UPDATE SET
+        product = COALESCE(EXCLUDED.product, lot_statuses.product),
+        status = EXCLUDED.status,
+        reason = EXCLUDED.reason,
+        quality_test_id = EXCLUDED.quality_test_id,
+        changed_by = EXCLUDED.changed_by,
+        changed_at = CURRENT_TIMESTAMP
+    `, [lot, product, status, reason, qualityTestId, userId]);
+
+    await client.query(`
+      INSERT INTO lot_status_history (lot, from_status, to_status, source, reason, quality_test_id, machine_id, user_id)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    `, [lot, current.status, status, source, reason, qualityTestId, machineId, userId]);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditLotChange(status === 'RELEASED' ? 'LOT_RELEASE' : 'LOT_HOLD', {
+    lot, fromStatus: current.status, toStatus: status, reason, userId, source, machineId
+  }, audit);
+
+  return getLotStatus(lot);
+}
+
+/**
+ * Retém o lote de um teste reprovado
+ * Lotes já em quarentena ou sucateados não são alterados.
+ * @returns {Promise<Object|null>} Novo status, ou null se o lote já estava bloqueado
+ */
+async function holdFromRejectedTest(test, userId, audit = {}) {
+  const current = await getLotStatus(test.lot);
+  if (current.status !== 'RELEASED') {
+    return null;
+  }
+
+  return setLotStatus(test.lot, 'ON_HOLD', {
+    reason: `Teste de qualidade #${test.id} reprovado (caixa ${test.box_number})`,
+    userId,
+    product: test.product,
+    source: 'QUALITY_TEST',
+    qualityTestId: test.id,
+    machineId: test.machine_id
+  }, audit);
+}
+
+/**
+ * Registra o início de operação com lote retido autorizado por líder
+ * O status do lote não muda; fica o registro de quem autorizou, por quê e em qual operação.
+ * @param {Object} db - Cliente da transação que criou a operação
+ */
+async function recordOverride(lotStatus, { reason, userId, machineId, operationId = null }, audit = {}, db = pool) {
+  await db.query(`
+    INSERT INTO lot_status_history (lot, from_status, to_status, source, reason, machine_id, user_id)
+    VALUES ($1, $2, $2, 'OVERRIDE', $3, $4, $5)
+  `, [lotStatus.lot, lotStatus.status, reason, machineId, userId]);
+
+  await auditLotChange('LOT_HOLD_OVERRIDE', {
+    lot: lotStatus.lot, fromStatus: lotStatus.status, toStatus: lotStatus.status, reason, userId, source: 'OVERRIDE', machineId, operationId
+  }, audit);
+}
+
+/**
+ * Lote configurado na máquina e se ele bloqueia a produção
+ * @param {number} machineId - ID da máquina
+ * @param {Object} order - Ordem escolhida no início da operação ({ product, lot }); quando
+ * informada, vale o lote da ordem, que só passa para a configuração se a operação iniciar
+ * @returns {Promise<Object|null>} null quando a máquina não tem lote configurado
+ */
+async function getMachineLotStatus(machineId, order = null) {
+  let config;
+  if (order) {
+    config = { produto: order.product, lote: order.lot };
+  } else {
+    const configResult = await pool.query(
+      'SELECT produto, lote FROM machine_configs WHERE machine_id = $1',
+      [machineId]
+    );
+    config = configResult.rows[0];
+  }
+
+  if (!config || !config.lote) {
+    return null;
+  }
+
+  const lotStatus = await getLotStatus(config.lote);
+  return {
+    ...lotStatus,
+    product: lotStatus.product || config.produto,
+    blocked: BLOCKING_STATUSES.includes(lotStatus.status),
+    overridable: OVERRIDABLE_STATUSES.includes(lotStatus.status)
+  };
+}
+
+module.exports = {
+  LOT_STATUSES,
+  BLOCKING_STATUSES,
+  OVERRIDABLE_STATUSES,
+  TRANSITIONS,
+  STATUS_LABELS,
+  getLotStatus,
+  getLots,
+  getLotHistory,
+  setLotStatus,
+  holdFromRejectedTest,
+  recordOverride,
+  getMachineLotStatus
+};
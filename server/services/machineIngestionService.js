@@ -0,0 +1,382 @@
+const pool = require('../config/database');
+const { deleteCache } = require('../config/redis');
+const notificationService = require('./notificationService');
+const shiftService = require('./shiftService');
+const { createAdapter } = require('./machineSignalAdapters');
+const webhookService = require('./webhookService');
+
+// Status que o sinal da máquina nunca sobrescreve (definidos manualmente pelo líder/operador)
+const PROTECTED_STATUSES = ['MANUTENCAO', 'FORA_DE_TURNO'];
+const WATCHDOG_INTERVAL_MS = 15000;
+const SIGNAL_REASON = 'Sinal da máquina';
+
+/**
+ * Serviço de ingestão de contadores reais (CLP/MQTT/Modbus).
+ * Cada fonte ativa recebe um adaptador; as leituras alimentam a estratégia COUNTER do motor
+ * de produção e a reconciliação, e o sinal de funcionamento alterna o status da máquina entre FUNCIONANDO e PARADA.
+ */
+class MachineIngestionService {
+  constructor() {
+    this.io = null;
+    this.sources = new Map();
+    this.watchdog = null;
+  }
+
+  /**
+   * Calcula o incremento e o sinal de funcionamento de uma leitura.
+   * Um contador menor que o anterior é tratado como reset do CLP (conta a partir de zero).
+   * @param {Object} state - { lastCounter, lastCycleAt }
+   * @param {Object} signal - { counter, running, timestamp }
+   * @returns {Object} { delta, running, reset, state }
+   */
+  processSignal(state, signal) {
+    const timestamp = signal.timestamp ? new Date(signal.timestamp) : new Date();
+    const counter = signal.counter === null || signal.counter === undefined || Number.isNaN(Number(signal.counter))
+      ? null
+      : Number(signal.counter);
+
+    let delta = 0;
+    let reset = false;
+    if (counter !== null && state.lastCounter !== null && state.lastCounter !== undefined) {
+      if (counter < state.lastCounter) {
+        reset = true;
+        delta = counter;
+      } else {
+        delta = counter - state.lastCounter;
+      }
+    }
+
+    // Sinal explícito tem prioridade; sem ele, só o incremento indica funcionamento
+    let running = null;
+    if (signal.running !== null && signal.running !== undefined) {
+      running = Boolean(signal.running);
+    } else if (delta > 0) {
+      running = true;
+    }
+
+    return {
+      delta,
+      running,
+      reset,
+      state: {
+        lastCounter: counter !== null ? counter : state.lastCounter,
+        lastCycleAt: delta > 0 ? timestamp : state.lastCycleAt,
+        hasRunSignal: state.hasRunSignal || (signal.running !== null && signal.running !== undefined)
+      }
+    };
+  }
+
+  /**
+   * Verifica se a máquina está sem ciclos há mais de stopAfterSeconds.
+   * Fontes com sinal explícito de funcionamento não dependem do tempo ocioso.
+   */
+  isIdle(state, stopAfterSeconds, now = new Date()) {
+    if (state.hasRunSignal || !state.lastCycleAt) {
+      return false;
+    }
+    return (now.getTime() - new Date(state.lastCycleAt).getTime()) >= stopAfterSeconds * 1000;
+  }
+
+  /**
+   * Compara a produção medida pelo contador com a calculada (shift_data)
+   */
+  compareCounts(measured, calculated, tolerancePercent) {
+    const difference = measured - calculated;
+    const base = Math.max(measured, calculated);
+    const differencePercent = base > 0 ? Math.round((Math.abs(difference) / base) * 10000) / 100 : 0;
+
+    return {
+      measured,
+      calculated,
+      difference,
+      differencePercent,
+      withinTolerance: differencePercent <= tolerancePercent
+    };
+  }
+
+  async start(io) {
+    this.io = io;
+
+    const result = await pool.query(`
+      SELECT * FROM machine_signal_sources WHERE is_active = true
+    `);
+
+    for (const source of result.rows) {
+      this.attachSource(source);
+    }
+
+    if (!this.watchdog) {
+      this.watchdog = setInterval(() => {
+        this.checkIdleMachines().catch(error => console.error('Erro no watchdog de sinais:', error));
+      }, WATCHDOG_INTERVAL_MS);
+    }
+
+    return this.sources.size;
+  }
+
+  stop() {
+    for (const machineId of [...this.sources.keys()]) {
+      this.detachSource(machineId);
+    }
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+  }
+
+  attachSource(source) {
+    this.detachSource(source.machine_id);
+
+    try {
+      const adapter = createAdapter(source.adapter, source.config || {});
+      const entry = {
+        source,
+        adapter,
+        state: {
+          lastCounter: source.last_counter !== null && source.last_counter !== undefined ? Number(source.last_counter) : null,
+          lastCycleAt: null,
+          hasRunSignal: false
+        },
+        lastRunning: source.last_running ?? null,
+        queue: Promise.resolve()
+      };
+
+      // Leituras da mesma máquina são processadas em ordem
+      adapter.on('signal', (signal) => {
+        entry.queue = entry.queue
+          .then(() => this.handleSignal(entry, signal))
+          .catch(error => console.error(`Erro ao processar sinal da máquina ${source.machine_id}:`, error));
+      });
+      adapter.on('error', (error) => {
+        console.error(`Erro no adaptador ${source.adapter} da máquina ${source.machine_id}:`, error.message);
+      });
+
+      adapter.start();
+      this.sources.set(source.machine_id, entry);
+      console.log(`📡 Fonte de sinal ${source.adapter} conectada à máquina ${source.machine_id}`);
+    } catch (error) {
+      console.error(`Erro ao iniciar fonte de sinal da máquina ${source.machine_id}:`, error.message);
+    }
+  }
+
+  detachSource(machineId) {
+    const entry = this.sources.get(machineId);
+    if (entry) {
+      entry.adapter.stop();
+      entry.adapter.removeAllListeners();
+      this.sources.delete(machineId);
+    }
+  }
+
+  /**
+   * Recarrega a fonte de sinal de uma máquina após alteração de cadastro
+   */
+  async reloadSource(machineId) {
+    const result = await pool.query(
+      'SELECT * FROM machine_signal_sources WHERE machine_id = $1 AND is_active = true',
+      [machineId]
+    );
+
+    if (result.rows.length === 0) {
+      this.detachSource(machineId);
+      return false;
+    }
+
+    this.attachSource(result.rows[0]);
+    return true;
+  }
+
+  async handleSignal(entry, signal) {
+    const { source } = entry;
+    const machineId = source.machine_id;
+    const timestamp = signal.timestamp ? new Date(signal.timestamp) : new Date();
+    const previousRunning = entry.lastRunning ?? null;
+
+    const result = this.processSignal(entry.state, { ...signal, timestamp });
+    entry.state = result.state;
+    if (result.running !== null) {
+      entry.lastRunning = result.running;
+    }
+
+    if (result.delta > 0 || (result.running !== null && result.running !== previousRunning)) {
+      await pool.query(
+        `INSERT INTO machine_counter_readings (machine_id, source_id, raw_counter, delta, running, received_at)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [machineId, source.id, entry.state.lastCounter, result.delta, result.running, timestamp]
+      );
+    }
+
+    await pool.query(
+      `UPDATE machine_signal_sources
+       SET last_counter = $1, last_running = COALESCE($2, last_running), last_signal_at = $3
+       WHERE id = $4`,
+      [entry.state.lastCounter, result.running, timestamp, source.id]
+    );
+
+    // A produção das máquinas com estratégia COUNTER entra no livro pelo motor de produção
+    if (result.delta > 0) {
+      if (this.io) {
+        this.io.emit('machine:counter', {
+          machineId,
+          delta: result.delta,
+          counter: entry.state.lastCounter,
+          running: result.running,
+          reset: result.reset,
+          timestamp
+        });
+      }
+    }
+
+    if (source.auto_status && result.running !== null) {
+      await this.applyStatus(machineId, result.running ? 'FUNCIONANDO' : 'PARADA');
+    }
+
+    return result;
+  }
+
+  async checkIdleMachines(now = new Date()) {
+    for (const entry of this.sources.values()) {
+      const { source } = entry;
+      if (!source.auto_status || entry.lastRunning === false) {
+        continue;
+      }
+      if (this.isIdle(entry.state, source.stop_after_seconds, now)) {
+        entry.lastRunning = false;
+        await this.applyStatus(source.machine_id, 'PARADA');
+      }
+    }
+  }
+
+  /**
+   * Aplica o status vindo do sinal, sem sobrescrever manutenção ou fora de turno.
+   * Paradas automáticas ficam sem motivo classificado para o operador apontar depois.
+   * @returns {Promise<boolean>} true se o status mudou
+   */
+  async applyStatus(machineId, newStatus) {
+    const machineResult = await pool.query('SELECT id, name, status FROM machines WHERE id = $1', [machineId]);
+    const machine = machineResult.rows[0];
+    if (!machine || machine.status === newStatus || PROTECTED_STATUSES.includes(machine.status)) {
+      return false;
+    }
+
+    await pool.query('UPDATE machines SET status = $1, updated_at = NOW() WHERE id = $2', [newStatus, machineId]);
+    await pool.query(
+      `INSERT INTO machine_status_history (machine_id, user_id, previous_status, new_status, reason, created_at)
+       VALUES ($1, NULL, $2, $3, $4, NOW())`,
+      [machineId, machine.status, newStatus, SIGNAL_REASON]
+    );
+
+    await deleteCache(`machine:${machineId}`);
+    await deleteCache('machines:all:all');
+    await deleteCache(`machines:${newStatus}:all`);
+    await deleteCache(`machines:${machine.status}:all`);
+
+    const statusChangeData = {
+      machineId,
+      machineName: machine.name,
+      previousStatus: machine.status,
+      newStatus,
+      user: 'Automático',
+      reason: SIGNAL_REASON,
+      notes: null,
+      downtimeReason: null,
+      operacoesFinalizadas: []
+    };
+    if (this.io) {
+      this.io.emit('machine:status:changed', statusChangeData);
+    }
+    webhookService.publish('machine:status:changed', statusChangeData);
+
+    return true;
+  }
+
+  /**
+   * Reconcilia a produção medida pelo contador com a calculada no período
+   * @param {number} machineId - ID da máquina
+   * @param {Object} period - { startTime, endTime } (padrão: turno atual)
+   */
+  async reconcile(machineId, period = {}) {
+    const window = period.startTime && period.endTime ? period : shiftService.getCurrentShiftWindow();
+    const { startTime, endTime } = window;
+
+    const sourceResult = await pool.query(
+      'SELECT * FROM machine_signal_sources WHERE machine_id = $1',
+      [machineId]
+    );
+    const source = sourceResult.rows[0] || null;
+
+    const [measuredResult, calculatedResult] = await Promise.all([
+      pool.query(
+        `SELECT COALESCE(SUM(delta), 0) AS total
+         FROM machine_counter_readings
+         WHERE machine_id = $1 AND received_at >= $2 AND received_at < $3`,
+        [machineId, startTime, endTime]
+      ),
+      pool.query(
+        `SELECT COALESCE(SUM(total_production), 0) AS total
+         FROM shift_data
+         WHERE machine_id = $1 AND start_time < $3 AND end_time > $2`,
+        [machineId, startTime, endTime]
+      )
+    ]);
+
+    const tolerancePercent = source ? parseFloat(source.reconcile_tolerance_percent) : 5;
+
+    return {
+      machineId,
+      startTime,
+      endTime,
+      tolerancePercent,
+      source: source ? {
+        id: source.id,
+        adapter: source.adapter,
+        lastCounter: source.last_counter !== null ? Number(source.last_counter) : null,
+        lastRunning: source.last_running,
+        lastSignalAt: source.last_signal_at
+      } : null,
+      ...this.compareCounts(
+        parseInt(measuredResult.rows[0].total),
+        Math.round(parseFloat(calculatedResult.rows[0].total)),
+        tolerancePercent
+      )
+    };
+  }
+
+  /**
+   * Reconcilia o turno atual de todas as fontes ativas e alerta divergências
+   * @returns {Promise<Array>} Reconciliações fora da tolerância
+   */
+  async reconcileActiveSources() {
+    const result = await pool.query(`
+      SELECT s.machine_id, m.name AS machine_name
+      FROM machine_signal_sources s
+      JOIN machines m ON m.id = s.machine_id
+      WHERE s.is_active = true
+    `);
+
+    const drifts = [];
+    for (const row of result.rows) {
+      try {
+        const reconciliation = await this.reconcile(row.machine_id);
+        if (reconciliation.withinTolerance) {
+          continue;
+        }
+        drifts.push(reconciliation);
+
+        await notificationService.createAlert({
+          machine_id: row.machine_id,
+          type: `counter_drift_${row.machine_id}`,
+          priority: 'warning',
+          message: `Contador de ${row.machine_name} diverge da produção calculada em ` +
+            `${reconciliation.differencePercent}% (medido ${reconciliation.measured}, calculado ${reconciliation.calculated}).`
+        }, (await notificationService.getUsersByRole(['LEADER', 'MANAGER', 'ADMIN'])).map(user => user.id));
+      } catch (error) {
+        console.error(`Erro ao reconciliar contador da máquina ${row.machine_id}:`, error);
+      }
+    }
+
+    return drifts;
+  }
+}
+
+module.exports = new MachineIngestionService();
@@ -0,0 +1,275 @@
+const EventEmitter = require('events');
+
+/**
+ * Adaptadores de sinal das máquinas.
+ * Todos emitem 'signal' com { counter, running, timestamp } e 'error' em falhas de comunicação.
+ * As bibliotecas de MQTT e Modbus são opcionais e só são carregadas quando o adaptador é usado.
+ */
+
+const ADAPTER_TYPES = ['MQTT', 'MODBUS', 'SIMULATOR'];
+
+const loadOptional = (moduleName, adapter) => {
+  try {
+    return require(moduleName);
+  } catch (error) {
+    throw new Error(`Adaptador ${adapter} requer o pacote "${moduleName}" (npm install ${moduleName})`);
+  }
+};
+
+/**
+ * Interpreta o payload recebido do gateway: JSON { counter, running } ou apenas o número do contador
+ */
+const parsePayload = (payload) => {
+  const text = Buffer.isBuffer(payload) ? payload.toString('utf8') : String(payload);
+  const trimmed = text.trim();
+
+  if (/^-?\d+(\.\d+)?$/.test(trimmed)) {
+    return { counter: Number(trimmed), running: null };
+  }
+
+  const data = JSON.parse(trimmed);
+  const counter = data.counter ?? data.count ?? null;
+  const running = data.running ?? data.run ?? null;
+
+  return {
+    counter: counter === null ? null : Number(counter),
+    running: running === null ? null : Boolean(running),
+    timestamp: data.timestamp ? new Date(data.timestamp) : undefined
+  };
+};
+
+class MqttAdapter extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    if (!config.url || !config.topic) {
+      throw new Error('Adaptador MQTT requer url e topic');
+    }
+    this.config = config;
+    this.client = null;
+  }
+
+  start() {
+    const mqtt = loadOptional('mqtt', 'MQTT');
+    const { url, topic, username, password } = this.config;
+
+    this.client = mqtt.connect(url, { username, password, reconnectPeriod: 5000 });
+    this.client.on('connect', () => {
+      this.client.subscribe(topic, (error) => {
+        if (error) this.emit('error', error);
+      });
+    });
+    this.client.on('message', (receivedTopic, payload) => {
+      try {
+        const signal = parsePayload(payload);
+        this.emit('signal', { ...signal, timestamp: signal.timestamp || new Date() });
+      } catch (error) {
+        this.emit('error', new Error(`Payload inválido no tópico ${receivedTopic}: ${error.message}`));
+      }
+    });
+    this.client.on('error', (error) => this.emit('error', error));
+  }
+
+  stop() {
+    if (this.client) {
+      this.client.end(true);
+      this.client = null;
+    }
+  }
+}
+
+/**
+ * Leitura periódica de registradores via Modbus TCP.
+ * A próxima leitura só é agendada quando a anterior termina, para não sobrepor
+ * requisições em CLPs lentos; se a conexão cair, reconecta com espera crescente.
+ */
+class ModbusAdapter extends EventEmitter {
+  constructor(config = {}) {
+    super();
+    if (!config.host || config.counterRegister === undefined) {
+      throw new Error('Adaptador Modbus requer host e counterRegister');
+    }
+    this.config = {
+      port: 502,
+      unitId: 1,
+      counterWords: 1,
+      pollSeconds: 5,
+      reconnectSeconds: 5,
+      maxReconnectSeconds: 60,
+      ...config
+    };
+    this.client = null;
+    this.timer = null;
+    this.stopped = true;
+    this.reconnectAttempts = 0;
+  }
+
+  start() {
+    this.ModbusRTU = loadOptional('modbus-serial', 'MODBUS');
+    this.stopped = false;
+    this.reconnectAttempts = 0;
+    this.connect();
+  }
+
+  connect() {
+    const { host, port, unitId } = this.config;
+    const client = new this.ModbusRTU();
+    client.setTimeout(3000);
+    this.client = client;
+
+    client.connectTCP(host, { port })
+      .then(() => {
+        if (this.stopped || this.client !== client) return;
+        this.reconnectAttempts = 0;
+        client.setID(unitId);
+        this.schedulePoll();
+      })
+      .catch((error) => {
+        if (this.stopped || this.client !== client) return;
+        this.emit('error', error);
+        this.scheduleReconnect();
+      });
+  }
+
+  schedulePoll() {
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      await this.poll();
+      if (this.stopped) return;
+
+      if (this.client && this.client.isOpen) {
+        this.schedulePoll();
+      } else {
+        this.scheduleReconnect();
+      }
+    }, this.config.pollSeconds * 1000);
+  }
+
+  scheduleReconnect() {
+    const { reconnectSeconds, maxReconnectSeconds } = this.config;
+    const delay = Math.min(reconnectSeconds * Math.pow(2, this.reconnectAttempts), maxReconnectSeconds);
+    this.reconnectAttempts += 1;
+    this.closeClient();
+
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      if (!this.stopped) this.connect();
+    }, delay * 1000);
+  }
+
+  async poll() {
+    try {
+      const { counterRegister, counterWords, runCoil } = this.config;
+      const registers = await this.client.readHoldingRegisters(counterRegister, counterWords);
+      const [high, low] = registers.data;
+      // Contador de 32 bits ocupa dois registradores (palavra alta primeiro)
+      const counter = counterWords === 2 ? (high * 65536) + low : high;
+
+      let running = null;
+      if (runCoil !== undefined && runCoil !== null) {
+        const coils = await this.client.readCoils(runCoil, 1);
+        running = Boolean(coils.data[0]);
+      }
+
+      this.emit('signal', { counter, running, timestamp: new Date() });
+    } catch (error) {
+      if (!this.stopped) this.emit('error', error);
+    }
+  }
+
+  closeClient() {
+    if (this.client) {
+      this.client.close(() => {});
+      this.client = null;
+    }
+  }
+
+  stop() {
+    this.stopped = true;
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.closeClient();
+  }
+}
+
+/**
+ * Simulador local para testar a ingestão sem hardware.
+ * A cada tick a máquina pode alternar entre funcionando e parada conforme stopProbability.
+ */
+class SimulatorAdapter extends EventEmitter {
+  constructor(config = {}, random = Math.random) {
+    super();
+    this.config = {
+      cyclesPerMinute: 60,
+      tickSeconds: 5,
+      stopProbability: 0.05,
+      resumeProbability: 0.3,
+      startCounter: 0,
+      ...config
+    };
+    this.random = random;
+    this.counter = this.config.startCounter;
+    this.running = true;
+    this.remainder = 0;
+    this.timer = null;
+  }
+
+  start() {
+    this.timer = setInterval(() => this.tick(), this.config.tickSeconds * 1000);
+  }
+
+  tick() {
+    const { cyclesPerMinute, tickSeconds, stopProbability, resumeProbability } = this.config;
+
+    if (this.running && this.random() < stopProbability) {
+      this.running = false;
+    } else if (!this.running && this.random() < resumeProbability) {
+      this.running = true;
+    }
+
+    if (this.running) {
+      // Acumular fração de ciclo para não perder produção em ticks curtos
+      this.remainder += (cyclesPerMinute * tickSeconds) / 60;
+      const cycles = Math.floor(this.remainder);
+      this.remainder -= cycles;
+      this.counter += cycles;
+    }
+
+    this.emit('signal', { counter: this.counter, running: this.running, timestamp: new Date() });
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+/**
+ * Cria o adaptador correspondente à fonte de sinal
+ * @param {string} adapter - MQTT, MODBUS ou SIMULATOR
+ * @param {Object} config - Configuração do adaptador
+ */
+const createAdapter = (adapter, config = {}) => {
+  switch (adapter) {
+    case 'MQTT':
+      return new MqttAdapter(config);
+    case 'MODBUS':
+      return new ModbusAdapter(config);
+    case 'SIMULATOR':
+      return new SimulatorAdapter(config);
+    default:
+      throw new Error(`Adaptador de sinal desconhecido: ${adapter}`);
+  }
+};
+
+module.exports = {
+  ADAPTER_TYPES,
+  parsePayload,
+  MqttAdapter,
+  ModbusAdapter,
+  SimulatorAdapter,
+  createAdapter
+};
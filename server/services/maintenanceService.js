@@ -0,0 +1,828 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const notificationService = require('./notificationService');
+const { getStopEvents } = require('./downtimeAnalysisService');
+
+const TRIGGER_TYPES = ['CALENDAR', 'RUN_HOURS', 'UNITS'];
+const WORK_ORDER_TYPES = ['PREVENTIVE', 'CORRECTIVE'];
+const WORK_ORDER_STATUSES = ['OPEN', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Ordens concluídas ou canceladas não mudam mais de status
+const TRANSITIONS = {
+  OPEN: ['IN_PROGRESS', 'CANCELLED'],
+  IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: [],
+  CANCELLED: []
+};
+
+const OPEN_STATUSES = ['OPEN', 'IN_PROGRESS'];
+
+const TRIGGER_UNITS = {
+  CALENDAR: 'dias',
+  RUN_HOURS: 'horas de funcionamento',
+  UNITS: 'unidades produzidas'
+};
+
+const RUNNING_STATUS = 'FUNCIONANDO';
+
+// Período padrão do relatório de manutenção quando não há datas
+const DEFAULT_REPORT_DAYS = 30;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+function mapPlan(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    name: row.name,
+    description: row.description,
+    triggerType: row.trigger_type,
+    intervalValue: parseFloat(row.interval_value),
+    checklist: row.checklist || [],
+    estimatedMinutes: row.estimated_minutes,
+    isActive: row.is_active,
+    lastDoneAt: row.last_done_at,
+    lastDoneUnits: parseFloat(row.last_done_units || 0),
+    openWorkOrderId: row.open_work_order_id || null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapWorkOrder(row) {
+  return {
+    id: row.id,
+    planId: row.plan_id,
+    planName: row.plan_name,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    type: row.type,
+    title: row.title,
+    description: row.description,
+    status: row.status,
+    triggerSnapshot: row.trigger_snapshot,
+    assignedTo: row.assigned_to,
+    assignedToName: row.assigned_to_name,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    completedBy: row.completed_by,
+    completedByName: row.completed_by_name,
+    signoffNotes: row.signoff_notes,
+    cancelledReason: row.cancelled_reason,
+    pendingItems: row.pending_items !== undefined ? parseInt(row.pending_items) : undefined,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Minutos em FUNCIONANDO a partir do histórico de status de uma máquina
+ * O histórico pode conter o último registro anterior ao período (status vigente no início).
+ * @param {Array} history - Linhas de machine_status_history ordenadas ou não
+ * @param {Date} startTime - Início do período
+ * @param {Date} endTime - Fim do período (status em aberto termina aqui)
+ */
+function calculateRunMinutes(history, startTime, endTime) {
+  const rows = [...history].sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+  return rows.reduce((total, row, index) => {
+    if (row.new_status !== RUNNING_STATUS) return total;
+
+    const next = rows[index + 1];
+    const rawStart = new Date(row.created_at);
+    const rawEnd = next ? new Date(next.created_at) : endTime;
+    const start = rawStart < startTime ? startTime : rawStart;
+    const end = rawEnd > endTime ? endTime : rawEnd;
+
+    return total + Math.max(0, (end - start) / (1000 * 60));
+  }, 0);
+}
+
+/**
+ * Consumo do plano desde a última execução e se ele está vencido
+ * @param {Object} plan - Plano mapeado
+ * @param {Object} usage - { runHours, cumulativeUnits } da máquina
+ * @param {Date} now - Referência de tempo
+ * @returns {Object} { consumed, remaining, progress, due, unit }
+ */
+function evaluatePlan(plan, usage = {}, now = new Date()) {
+  const baseline = new Date(plan.lastDoneAt || plan.createdAt);
+  let consumed;
+
+  if (plan.triggerType === 'CALENDAR') {
+    consumed = Math.max(0, (now - baseline) / DAY);
+  } else if (plan.triggerType === 'RUN_HOURS') {
+    consumed = usage.runHours || 0;
+  } else {
+    consumed = Math.max(0, (usage.cumulativeUnits || 0) - plan.lastDoneUnits);
+  }
+
+  const progress = consumed / plan.intervalValue;
+  return {
+    consumed: round(consumed),
+    remaining: round(Math.max(0, plan.intervalValue - consumed)),
+    progress: round(progress * 100, 1),
+    due: progress >= 1,
+    unit: TRIGGER_UNITS[plan.triggerType]
+  };
+}
+
+/**
+ * Parada que conta como falha para MTBF/MTTR: não planejada e classificada como
+ * quebra/falha. Paradas sem motivo só contam quando a máquina foi para manutenção.
+ */
+function isFailure(event) {
+  if (event.isPlanned || event.lossCategory !== 'BREAKDOWN') return false;
+  return !!event.reasonId || event.status === 'MANUTENCAO';
+}
+
+/**
+ * MTBF, MTTR e disponibilidade
+ * @param {Object} data - { runMinutes, failures, repairMinutes }
+ * @returns {Object} Valores em horas; null quando não houve falhas
+ */
+function calculateReliability({ runMinutes, failures, repairMinutes }) {
+  const uptimeAndRepair = runMinutes + repairMinutes;
+  return {
+    runHours: round(runMinutes / 60),
+    failures,
+    repairHours: round(repairMinutes / 60),
+    mtbfHours: failures > 0 ? round(runMinutes / 60 / failures) : null,
+    mttrHours: failures > 0 ? round(repairMinutes / 60 / failures) : null,
+    availability: uptimeAndRepair > 0 ? round((runMinutes / uptimeAndRepair) * 100, 1) : null
+  };
+}
+
+/**
+ * Valida a transição de status da ordem de serviço
+ * A conclusão exige checklist completo e a assinatura do técnico.
+ */
+function validateWorkOrderTransition(workOrder, nextStatus, { notes } = {}) {
+  if (!TRANSITIONS[workOrder.status].includes(nextStatus)) {
+    throw new AppError(`Transição de ${workOrder.status} para ${nextStatus} não permitida`, 400);
+  }
+
+  if (nextStatus === 'COMPLETED') {
+    const pending = (workOrder.checklist || []).filter(item => !item.done);
+    if (pending.length > 0) {
+      throw new AppError(`Conclua os ${pending.length} itens pendentes do checklist antes de encerrar a ordem`, 400);
+    }
+    if (!notes || !notes.trim()) {
+      throw new AppError('A assinatura do técnico exige o registro do serviço executado', 400);
+    }
+  }
+
+  if (nextStatus === 'CANCELLED' && (!notes || !notes.trim())) {
+    throw new AppError('Informe o motivo do cancelamento', 400);
+  }
+}
+
+/**
+ * Histórico de status das máquinas no período, incluindo o status vigente no início
+ */
+async function getStatusHistory({ startTime, endTime, machineIds = [] }) {
+  const params = [startTime, endTime];
+  let machineFilter = '';
+
+  if (machineIds.length > 0) {
+    params.push(machineIds);
+    machineFilter = `AND machine_id = ANY($${params.length}::int[])`;
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT DISTINCT ON (machine_id) machine_id, new_status, created_at
+      FROM machine_status_history
+      WHERE created_at < $1 ${machineFilter}
+      ORDER BY machine_id, created_at DESC
+    ) previous
+    UNION ALL
+    SELECT machine_id, new_status, created_at
+    FROM machine_status_history
+    WHERE created_at >= $1 AND created_at <= $2 ${machineFilter}
+    ORDER BY machine_id, created_at ASC
+  `, params);
+
+  return result.rows;
+}
+
+/**
+ * Minutos em FUNCIONANDO por máquina no período
+ * @returns {Promise<Map<number, number>>}
+ */
+async function getRunMinutesByMachine({ startTime, endTime, machineIds = [] }) {
+  const history = await getStatusHistory({ startTime, endTime, machineIds });
+  const effectiveEnd = endTime > new Date() ? new Date() : endTime;
+  const byMachine = new Map();
+
+  history.forEach(row => {
+    if (!byMachine.has(row.machine_id)) {
+      byMachine.set(row.machine_id, []);
+    }
+    byMachine.get(row.machine_id).push(row);
+  });
+
+  const minutes = new Map();
+  for (const [machineId, rows] of byMachine) {
+    minutes.set(machineId, calculateRunMinutes(rows, startTime, effectiveEnd));
+  }
+  return minutes;
+}
+
+/**
+ * Total produzido pela máquina em todos os turnos registrados
+ */
+async function getCumulativeUnits(machineId, db = pool) {
+  const result = await db.query(
+    'SELECT COALESCE(SUM(total_production), 0) AS total FROM shift_data WHERE machine_id = $1',
+    [machineId]
+  );
+  return parseFloat(result.rows[0].total);
+}
+
+/**
+ * Consumo da máquina necessário para avaliar o plano
+ */
+async function getPlanUsage(plan, now = new Date()) {
+  if (plan.triggerType === 'RUN_HOURS') {
+    const startTime = new Date(plan.lastDoneAt || plan.createdAt);
+    const minutes = await getRunMinutesByMachine({ startTime, endTime: now, machineIds: [plan.machineId] });
+    return { runHours: (minutes.get(plan.machineId) || 0) / 60 };
+  }
+  if (plan.triggerType === 'UNITS') {
+    return { cumulativeUnits: await getCumulativeUnits(plan.machineId) };
+  }
+  return {};
+}
+
+const selectPlan = `
+  SELECT p.*, m.name AS machine_name,
+    (SELECT wo.id FROM maintenance_work_orders wo
+     WHERE wo.plan_id = p.id AND wo.status IN ('OPEN', 'IN_PROGRESS')
+     ORDER BY wo.created_at DESC LIMIT 1) AS open_work_order_id
+  FROM maintenance_plans p
+  JOIN machines m ON p.machine_id = m.id
+`;
+
+/**
+ * Lista planos com o consumo atual de cada um
+ */
+async function getPlans({ machineId = null, includeInactive = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`p.machine_id = $${params.length}`);
+  }
+  if (!includeInactive) {
+    conditions.push('p.is_active = true');
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await pool.query(`${selectPlan} ${where} ORDER BY m.name, p.name`, params);
+  const now = new Date();
+
+  return Promise.all(result.rows.map(async row => {
+    const plan = mapPlan(row);
+    return { ...plan, status: evaluatePlan(plan, await getPlanUsage(plan, now), now) };
+  }));
+}
+
+async function getPlanById(id) {
+  const result = await pool.query(`${selectPlan} WHERE p.id = $1`, [id]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const plan = mapPlan(result.rows[0]);
+  return { ...plan, status: evaluatePlan(plan, await getPlanUsage(plan)) };
+}
+
+function normalizeChecklist(checklist = []) {
+  return checklist.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Cadastra um plano de manutenção
+ * Planos por unidades partem do total produzido atual da máquina.
+ */
+async function createPlan({ machineId, name, description, triggerType, intervalValue, checklist, estimatedMinutes }, userId) {
+  const machineResult = await pool.query('SELECT id FROM machines WHERE id = $1', [machineId]);
+  if (machineResult.rows.length === 0) {
+    throw new AppError('Máquina não encontrada', 404);
+  }
+
+  const lastDoneUnits = triggerType === 'UNITS' ? await getCumulativeUnits(machineId) : 0;
+  const result = await pool.query(`
+    INSERT INTO maintenance_plans (
+      machine_id, name, description, trigger_type, interval_value, checklist,
+      estimated_minutes, last_done_units, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING id
+  `, [
+    machineId, name, description || null, triggerType, intervalValue,
+    JSON.stringify(normalizeChecklist(checklist)), estimatedMinutes || null, lastDoneUnits, userId
+  ]);
+
+  return getPlanById(result.rows[0].id);
+}
+
+const PLAN_FIELDS = {
+  name: 'name',
+  description: 'description',
+  intervalValue: 'interval_value',
+  checklist: 'checklist',
+  estimatedMinutes: 'estimated_minutes',
+  isActive: 'is_active'
+};
+
+/**
+ * Atualiza um plano; o tipo de gatilho não muda para não invalidar o consumo
+ */
+async function updatePlan(id, changes) {
+  const current = await getPlanById(id);
+  if (!current) {
+    throw new AppError('Plano de manutenção não encontrado', 404);
+  }
+
+  const sets = [];
+  const params = [];
+  Object.entries(PLAN_FIELDS).forEach(([field, column]) => {
+    if (changes[field] === undefined) return;
+    const value = field === 'checklist' ? JSON.stringify(normalizeChecklist(changes[field])) : changes[field];
+    params.push(value);
+    sets.push(`${column} = $${params.length}`);
+  });
+
+  if (sets.length === 0) {
+    return current;
+  }
+
+  params.push(id);
+  await pool.query(`UPDATE maintenance_plans SET ${sets.join(', ')} WHERE id = $${params.length}`, params);
+  return getPlanById(id);
+}
+
+const selectWorkOrder = `
+  SELECT wo.*, m.name AS machine_name, p.name AS plan_name,
+    assignee.name AS assigned_to_name, completer.name AS completed_by_name,
+    (SELECT COUNT(*) FROM maintenance_work_order_checklist c
+     WHERE c.work_order_id = wo.id AND c.done = false) AS pending_items
+  FROM maintenance_work_orders wo
+  JOIN machines m ON wo.machine_id = m.id
+  LEFT JOIN maintenance_plans p ON wo.plan_id = p.id
+  LEFT JOIN users assignee ON wo.assigned_to = assignee.id
+  LEFT JOIN users completer ON wo.completed_by = completer.id
+`;
+
+async function getWorkOrders({ machineId, status, type, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`wo.machine_id = $${params.length}`);
+  }
+  if (status) {
+    params.push(status);
+    conditions.push(`wo.status = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`wo.type = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const [itemsResult, countResult] = await Promise.all([
+    pool.query(`
+      ${selectWorkOrder}
+      ${where}
+      ORDER BY CASE WHEN wo.status IN ('OPEN', 'IN_PROGRESS') THEN 0 ELSE 1 END, wo.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `, [...params, limit, offset]),
+    pool.query(`SELECT COUNT(*) AS total FROM maintenance_work_orders wo ${where}`, params)
+  ]);
+
+  return {
+    items: itemsResult.rows.map(mapWorkOrder),
+    total: parseInt(countResult.rows[0].total)
+  };
+}
+
+async function getWorkOrderById(id) {
+  const result = await pool.query(`${selectWorkOrder} WHERE wo.id = $1`, [id]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const [checklistResult, partsResult] = await Promise.all([
+    pool.query(`
+      SELECT c.*, u.name AS done_by_name
+      FROM maintenance_work_order_checklist c
+      LEFT JOIN users u ON c.done_by = u.id
+      WHERE c.work_order_id = $1
+      ORDER BY c.sort_order, c.id
+    `, [id]),
+    pool.query(`
+      SELECT p.*, u.name AS created_by_name
+      FROM maintenance_work_order_parts p
+      LEFT JOIN users u ON p.created_by = u.id
+      WHERE p.work_order_id = $1
+      ORDER BY p.created_at
+    `, [id])
+  ]);
+
+  const parts = partsResult.rows.map(row => ({
+    id: row.id,
+    partCode: row.part_code,
+    description: row.description,
+    quantity: parseFloat(row.quantity),
+    unitCost: parseFloat(row.unit_cost || 0),
+    totalCost: round(parseFloat(row.quantity) * parseFloat(row.unit_cost || 0)),
+    createdByName: row.created_by_name,
+    createdAt: row.created_at
+  }));
+
+  return {
+    ...mapWorkOrder(result.rows[0]),
+    checklist: checklistResult.rows.map(row => ({
+      id: row.id,
+      item: row.item,
+      done: row.done,
+      notes: row.notes,
+      doneByName: row.done_by_name,
+      doneAt: row.done_at
+    })),
+    parts,
+    partsCost: round(parts.reduce((sum, part) => sum + part.totalCost, 0))
+  };
+}
+
+/**
+ * Abre uma ordem de serviço com o checklist informado
+ * @param {Object} db - pool ou cliente de transação
+ */
+async function insertWorkOrder(db, { planId = null, machineId, type, title, description = null, checklist = [], assignedTo = null, triggerSnapshot = null }, userId) {
+  const result = await db.query(`
+    INSERT INTO maintenance_work_orders (plan_id, machine_id, type, title, description, trigger_snapshot, assigned_to, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [planId, machineId, type, title, description, triggerSnapshot ? JSON.stringify(triggerSnapshot) : null, assignedTo, userId]);
+  const workOrderId = result.rows[0].id;
+
+  const items = normalizeChecklist(checklist);
+  for (let index = 0; index < items.length; index++) {
+    await db.query(
+      'INSERT INTO maintenance_work_order_checklist (work_order_id, item, sort_order) VALUES ($1, $2, $3)',
+      [workOrderId, items[index], index]
+    );
+  }
+
+  return workOrderId;
+}
+
+/**
+ * Abre uma ordem de serviço manualmente (corretiva ou preventiva antecipada de um plano)
+ */
+async function createWorkOrder({ machineId, planId, type, title, description, checklist, assignedTo }, userId) {
+  let plan = null;
+  if (planId) {
+    plan = await getPlanById(planId);
+    if (!plan) {
+      throw new AppError('Plano de manutenção não encontrado', 404);
+    }
+    if (plan.openWorkOrderId) {
+      throw new AppError(`O plano já possui a ordem de serviço #${plan.openWorkOrderId} em aberto`, 400);
+    }
+  }
+
+  const client = await pool.connect();
+  let workOrderId;
+  try {
+    await client.query('BEGIN');
+    workOrderId = await insertWorkOrder(client, {
+      planId: plan ? plan.id : null,
+      machineId: plan ? plan.machineId : machineId,
+      type: plan ? 'PREVENTIVE' : type,
+      title: title || (plan && plan.name),
+      description: description || (plan && plan.description),
+      checklist: checklist && checklist.length > 0 ? checklist : (plan ? plan.checklist : []),
+      assignedTo,
+      triggerSnapshot: plan ? plan.status : null
+    }, userId);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getWorkOrderById(workOrderId);
+}
+
+/**
+ * Muda o status da ordem de serviço
+ * A conclusão registra a assinatura do técnico e reinicia o consumo do plano.
+ * @param {Object} options - notes: serviço executado (conclusão) ou motivo (cancelamento)
+ */
+async function changeWorkOrderStatus(id, nextStatus, userId, { notes = null } = {}) {
+  const current = await getWorkOrderById(id);
+  if (!current) {
+    throw new AppError('Ordem de serviço não encontrada', 404);
+  }
+
+  validateWorkOrderTransition(current, nextStatus, { notes });
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (nextStatus === 'IN_PROGRESS') {
+      await client.query(
+        'UPDATE maintenance_work_orders SET status = $1, started_at = CURRENT_TIMESTAMP, assigned_to = COALESCE(assigned_to, $2) WHERE id = $3',
+        [nextStatus, userId, id]
+      );
+    } else if (nextStatus === 'COMPLETED') {
+      await client.query(
+        'UPDATE maintenance_work_orders SET status = $1, completed_at = CURRENT_TIMESTAMP, completed_by = $2, signoff_notes = $3 WHERE id = $4',
+        [nextStatus, userId, notes.trim(), id]
+      );
+
+      if (current.planId) {
+        const units = await getCumulativeUnits(current.machineId, client);
+        await client.query(
+          'UPDATE maintenance_plans SET last_done_at = CURRENT_TIMESTAMP, last_done_units = $1 WHERE id = $2',
+          [units, current.planId]
+        );
+      }
+    } else {
+      await client.query(
+        'UPDATE maintenance_work_orders SET status = $1, cancelled_reason = $2 WHERE id = $3',
+        [nextStatus, notes.trim(), id]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getWorkOrderById(id);
+}
+
+async function getEditableWorkOrder(id) {
+  const current = await getWorkOrderById(id);
+  if (!current) {
+    throw new AppError('Ordem de serviço não encontrada', 404);
+  }
+  if (!OPEN_STATUSES.includes(current.status)) {
+    throw new AppError('Ordem de serviço encerrada não pode ser alterada', 400);
+  }
+  return current;
+}
+
+/**
+ * Marca ou desmarca um item do checklist
+ */
+async function updateChecklistItem(workOrderId, itemId, { done, notes }, userId) {
+  const current = await getEditableWorkOrder(workOrderId);
+  if (!current.checklist.some(item => item.id === itemId)) {
+    throw new AppError('Item do checklist não encontrado', 404);
+  }
+
+  await pool.query(`
+    UPDATE maintenance_work_order_checklist
+    SET done = $1,
+        notes = COALESCE($2, notes),
+        done_by = CASE WHEN $1 THEN $3::int ELSE NULL END,
+        done_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+    WHERE id = $4 AND work_order_id = $5
+  `, [done, notes === undefined ? null : notes, userId, itemId, workOrderId]);
+
+  return getWorkOrderById(workOrderId);
+}
+
+/**
+ * Registra uma peça utilizada na ordem de serviço
+ */
+async function addPart(workOrderId, { partCode, description, quantity, unitCost }, userId) {
+  await getEditableWorkOrder(workOrderId);
+
+  await pool.query(`
+    INSERT INTO maintenance_work_order_parts (work_order_id, part_code, description, quantity, unit_cost, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [workOrderId, partCode || null, description, quantity, unitCost || 0, userId]);
+
+  return getWorkOrderById(workOrderId);
+}
+
+/**
+ * Gera as ordens de serviço dos planos vencidos e avisa líderes e gestores
+ * Planos com ordem em aberto não geram outra até a conclusão.
+ * @returns {Promise<Array>} Ordens geradas
+ */
+async function generateDueWorkOrders() {
+  const plans = (await getPlans()).filter(plan => !plan.openWorkOrderId && plan.status.due);
+  const generated = [];
+
+  for (const plan of plans) {
+    try {
+      const workOrder = await createWorkOrder({ planId: plan.id }, null);
+      generated.push(workOrder);
+
+      await notificationService.createAlert({
+        machine_id: plan.machineId,
+        type: `maintenance_due_${plan.id}`,
+        priority: 'warning',
+        message: `Manutenção preventiva "${plan.name}" vencida em ${plan.machineName} ` +
+          `(${plan.status.consumed} de ${plan.intervalValue} ${plan.status.unit}). Ordem de serviço #${workOrder.id} aberta.`
+      }, (await notificationService.getUsersByRole(['LEADER', 'MANAGER', 'ADMIN'])).map(user => user.id));
+    } catch (error) {
+      console.error(`Erro ao gerar ordem de serviço do plano #${plan.id}:`, error);
+    }
+  }
+
+  return generated;
+}
+
+/**
+ * MTBF/MTTR por máquina e geral no período
+ * O tempo de reparo é a duração das paradas classificadas como falha.
+ */
+async function getReliabilityMetrics({ startTime, endTime, machineIds = [] }) {
+  const [runMinutes, events] = await Promise.all([
+    getRunMinutesByMachine({ startTime, endTime, machineIds }),
+    getStopEvents({ startTime, endTime, machineIds })
+  ]);
+
+  const failures = events.filter(isFailure);
+  const machines = new Map();
+  const ensure = (machineId, machineName = null) => {
+    if (!machines.has(machineId)) {
+      machines.set(machineId, { machineId, machineName, runMinutes: 0, failures: 0, repairMinutes: 0 });
+    }
+    const entry = machines.get(machineId);
+    entry.machineName = entry.machineName || machineName;
+    return entry;
+  };
+
+  runMinutes.forEach((minutes, machineId) => {
+    ensure(machineId).runMinutes = minutes;
+  });
+  failures.forEach(event => {
+    const entry = ensure(event.machineId, event.machineName);
+    entry.failures++;
+    entry.repairMinutes += event.minutes;
+  });
+
+  const byMachine = [...machines.values()].map(entry => ({
+    machineId: entry.machineId,
+    machineName: entry.machineName,
+    ...calculateReliability(entry)
+  }));
+
+  const totals = [...machines.values()].reduce((sum, entry) => ({
+    runMinutes: sum.runMinutes + entry.runMinutes,
+    failures: sum.failures + entry.failures,
+    repairMinutes: sum.repairMinutes + entry.repairMinutes
+  }), { runMinutes: 0, failures: 0, repairMinutes: 0 });
+
+  return { overall: calculateReliability(totals), byMachine, failures };
+}
+
+/**
+ * Período do relatório; sem datas, os últimos DEFAULT_REPORT_DAYS dias
+ */
+function resolvePeriod({ startDate, endDate } = {}) {
+  const endTime = endDate ? new Date(endDate) : new Date();
+  const startTime = startDate ? new Date(startDate) : new Date(endTime.getTime() - DEFAULT_REPORT_DAYS * DAY);
+  return { startTime, endTime };
+}
+
+/**
+ * Dados do relatório de manutenção: ordens de serviço, custo de peças e MTBF/MTTR
+ */
+async function getMaintenanceReport({ startDate, endDate, machineId } = {}) {
+  const { startTime, endTime } = resolvePeriod({ startDate, endDate });
+  const machineIds = machineId ? [machineId] : [];
+
+  const params = [startTime, endTime];
+  let machineFilter = '';
+  if (machineId) {
+    params.push(machineId);
+    machineFilter = `AND wo.machine_id = $${params.length}`;
+  }
+
+  const [workOrdersResult, reliability] = await Promise.all([
+    pool.query(`
+      SELECT wo.id, wo.machine_id, wo.type, wo.completed_at, m.name AS machine_name,
+        COALESCE((SELECT SUM(p.quantity * p.unit_cost) FROM maintenance_work_order_parts p WHERE p.work_order_id = wo.id), 0) AS parts_cost
+      FROM maintenance_work_orders wo
+      JOIN machines m ON wo.machine_id = m.id
+      WHERE wo.status = 'COMPLETED' AND wo.completed_at >= $1 AND wo.completed_at <= $2 ${machineFilter}
+    `, params),
+    getReliabilityMetrics({ startTime, endTime, machineIds })
+  ]);
+
+  const workOrders = workOrdersResult.rows;
+  const preventive = workOrders.filter(row => row.type === 'PREVENTIVE').length;
+  const corrective = workOrders.length - preventive;
+  const maintenanceCost = workOrders.reduce((sum, row) => sum + parseFloat(row.parts_cost), 0);
+
+  const byMachine = new Map();
+  const ensureMachine = (id, name) => {
+    if (!byMachine.has(id)) {
+      byMachine.set(id, { machineId: id, machine: name, preventive: 0, corrective: 0, cost: 0, mtbfHours: null, mttrHours: null, failures: 0 });
+    }
+    return byMachine.get(id);
+  };
+
+  workOrders.forEach(row => {
+    const entry = ensureMachine(row.machine_id, row.machine_name);
+    entry[row.type === 'PREVENTIVE' ? 'preventive' : 'corrective']++;
+    entry.cost = round(entry.cost + parseFloat(row.parts_cost));
+  });
+  // Máquinas sem falhas nem ordens concluídas ficam fora da lista
+  reliability.byMachine.forEach(metrics => {
+    if (metrics.failures === 0 && !byMachine.has(metrics.machineId)) return;
+    const entry = ensureMachine(metrics.machineId, metrics.machineName);
+    entry.mtbfHours = metrics.mtbfHours;
+    entry.mttrHours = metrics.mttrHours;
+    entry.failures = metrics.failures;
+  });
+
+  // Horas de falha e ordens concluídas por dia
+  const daily = {};
+  const ensureDay = (date) => {
+    if (!daily[date]) daily[date] = { downtime: 0, maintenance: 0 };
+    return daily[date];
+  };
+  reliability.failures.forEach(event => {
+    ensureDay(new Date(event.startedAt).toISOString().split('T')[0]).downtime += event.minutes / 60;
+  });
+  workOrders.forEach(row => {
+    ensureDay(new Date(row.completed_at).toISOString().split('T')[0]).maintenance++;
+  });
+
+  const total = workOrders.length;
+  return {
+    totalMaintenance: total,
+    preventive,
+    corrective,
+    avgDowntime: reliability.overall.mttrHours || 0,
+    maintenanceCost: round(maintenanceCost),
+    mtbf: reliability.overall.mtbfHours,
+    mttr: reliability.overall.mttrHours,
+    availability: reliability.overall.availability,
+    failures: reliability.overall.failures,
+    runHours: reliability.overall.runHours,
+    plannedVsUnplanned: {
+      planned: total > 0 ? Math.round((preventive / total) * 100) : 0,
+      unplanned: total > 0 ? Math.round((corrective / total) * 100) : 0
+    },
+    maintenanceByMachine: [...byMachine.values()],
+    downtimeTrend: Object.keys(daily).sort().map(date => ({
+      date,
+      downtime: round(daily[date].downtime),
+      maintenance: daily[date].maintenance
+    }))
+  };
+}
+
+module.exports = {
+  TRIGGER_TYPES,
+  WORK_ORDER_TYPES,
+  WORK_ORDER_STATUSES,
+  TRANSITIONS,
+  calculateRunMinutes,
+  evaluatePlan,
+  isFailure,
+  calculateReliability,
+  validateWorkOrderTransition,
+  resolvePeriod,
+  getRunMinutesByMachine,
+  getPlans,
+  getPlanById,
+  createPlan,
+  updatePlan,
+  getWorkOrders,
+  getWorkOrderById,
+  createWorkOrder,
+  changeWorkOrderStatus,
+  updateChecklistItem,
+  addPart,
+  generateDueWorkOrders,
+  getReliabilityMetrics,
+  getMaintenanceReport
+};
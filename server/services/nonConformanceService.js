@@ -0,0 +1,633 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const notificationService = require('./notificationService');
+
+const SEVERITIES = ['MINOR', 'MAJOR', 'CRITICAL'];
+const STATUSES = ['OPEN', 'INVESTIGATING', 'VERIFIED', 'CLOSED'];
+const ACTION_TYPES = ['CORRECTIVE', 'PREVENTIVE'];
+
+// Transições permitidas; VERIFIED pode voltar para INVESTIGATING se a verificação falhar
+const TRANSITIONS = {
+  OPEN: ['INVESTIGATING'],
+  INVESTIGATING: ['VERIFIED'],
+  VERIFIED: ['CLOSED', 'INVESTIGATING'],
+  CLOSED: []
+};
+
+// Prazo da investigação em dias por severidade
+const DUE_DAYS = {
+  CRITICAL: 1,
+  MAJOR: 3,
+  MINOR: 7
+};
+
+// Após este atraso a escalação sobe para a gerência
+const MANAGEMENT_ESCALATION_HOURS = 48;
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+function mapNonConformance(row) {
+  return {
+    id: row.id,
+    qualityTestId: row.quality_test_id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    product: row.product,
+    lot: row.lot,
+    boxNumber: row.box_number,
+    title: row.title,
+    description: row.description,
+    severity: row.severity,
+    status: row.status,
+    containmentAction: row.containment_action,
+    holdLot: row.hold_lot,
+    rootCause: row.root_cause,
+    ownerId: row.owner_id,
+    ownerName: row.owner_name,
+    dueDate: row.due_date,
+    overdue: row.status !== 'CLOSED' && !!row.due_date && new Date(row.due_date) < new Date(),
+    escalationLevel: row.escalation_level,
+    openedBy: row.opened_by,
+    openedByName: row.opened_by_name,
+    verifiedAt: row.verified_at,
+    closedAt: row.closed_at,
+    pendingActions: row.pending_actions !== undefined ? parseInt(row.pending_actions) : undefined,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapAction(row) {
+  return {
+    id: row.id,
+    type: row.action_type,
+    description: row.description,
+    ownerId: row.owner_id,
+    ownerName: row.owner_name,
+    dueDate: row.due_date,
+    status: row.status,
+    overdue: row.status === 'PENDING' && !!row.due_date && new Date(row.due_date) < new Date(),
+    completedBy: row.completed_by_name,
+    completedAt: row.completed_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Prazo da investigação a partir da severidade
+ */
+function calculateDueDate(severity, from = new Date()) {
+  return new Date(from.getTime() + (DUE_DAYS[severity] || DUE_DAYS.MAJOR) * DAY);
+}
+
+/**
+ * Descrição padrão a partir do teste reprovado
+ * Usa as dimensões fora de tolerância quando o teste tem especificação.
+ */
+function describeRejectedTest(test) {
+  const failed = Array.isArray(test.dimension_results)
+    ? test.dimension_results.filter(result => !result.passed)
+    : [];
+
+  const details = failed.map(result => (
+    result.value === null
+      ? `${result.label}: não medido`
+      : `${result.label}: ${result.value} ${result.unit} (limites ${result.min} - ${result.max})`
+  ));
+
+  return [
+    `Teste de qualidade #${test.id} reprovado - produto ${test.product}, lote ${test.lot}, caixa ${test.box_number}.`,
+    ...details,
+    test.observations ? `Observações do operador: ${test.observations}` : null
+  ].filter(Boolean).join('\n');
+}
+
+/**
+ * Valida uma mudança de status
+ * @param {Object} nonConformance - Não conformidade mapeada, com `actions`
+ * @param {string} nextStatus - Status desejado
+ */
+function validateTransition(nonConformance, nextStatus) {
+  if (!TRANSITIONS[nonConformance.status].includes(nextStatus)) {
+    throw new AppError(`Transição de ${nonConformance.status} para ${nextStatus} não permitida`, 400);
+  }
+
+  if (nextStatus === 'VERIFIED') {
+    if (!nonConformance.rootCause) {
+      throw new AppError('Informe a causa raiz antes de verificar a não conformidade', 400);
+    }
+    if (!nonConformance.actions.some(action => action.type === 'CORRECTIVE')) {
+      throw new AppError('Cadastre ao menos uma ação corretiva antes de verificar', 400);
+    }
+    if (nonConformance.actions.some(action => action.status !== 'DONE')) {
+      throw new AppError('Todas as ações devem estar concluídas antes da verificação', 400);
+    }
+  }
+}
+
+async function addHistory(db, nonConformanceId, { fromStatus = null, toStatus = null, notes = null, userId = null }) {
+  await db.query(`
+    INSERT INTO non_conformance_history (non_conformance_id, from_status, to_status, notes, user_id)
+    VALUES ($1, $2, $3, $4, $5)
+  `, [nonConformanceId, fromStatus, toStatus, notes, userId]);
+}
+
+const selectNonConformance = `
+  SELECT nc.*, m.name AS machine_name, owner.name AS owner_name, opener.name AS opened_by_name,
+         (SELECT COUNT(*) FROM non_conformance_actions a
+          WHERE a.non_conformance_id = nc.id AND a.status = 'PENDING') AS pending_actions
+  FROM non_conformances nc
+  LEFT JOIN machines m ON nc.machine_id = m.id
+  LEFT JOIN users owner ON nc.owner_id = owner.id
+  LEFT JOIN users opener ON nc.opened_by = opener.id
+`;
+
+/**
+ * Lista as não conformidades
+ * @param {Object} filters - status, severity, machineId, lot, overdue, limit, offset
+ */
+async function getNonConformances({ status, severity, machineId, lot, overdue, limit = 50, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`nc.status = $${params.length}`);
+  }
+  if (severity) {
+    params.push(severity);
+    conditions.push(`nc.severity = $${params.length}`);
+  }
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`nc.machine_id = $${params.length}`);
+  }
+  if (lot) {
+    params.push(lot);
+    conditions.push(`nc.lot = $${params.length}`);
+  }
+  if (overdue) {
+    conditions.push(`nc.status <> 'CLOSED' AND nc.due_date < NOW()`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const countResult = await pool.query(`SELECT COUNT(*) FROM non_conformances nc ${where}`, params);
+
+  params.push(limit, offset);
+  const result = await pool.query(`
+    ${selectNonConformance}
+    ${where}
+    ORDER BY CASE WHEN nc.status = 'CLOSED' THEN 1 ELSE 0 END, nc.due_date NULLS LAST, nc.created_at DESC
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+
+  return {
+    items: result.rows.map(mapNonConformance),
+    total: parseInt(countResult.rows[0].count)
+  };
+}
+
+/**
+ * Não conformidade com ações, histórico e testes vinculados
+ */
+async function getNonConformanceById(id) {
+  const result = await pool.query(`${selectNonConformance} WHERE nc.id = $1`, [id]);
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const [actionsResult, historyResult, testsResult] = await Promise.all([
+    pool.query(`
+      SELECT a.*, owner.name AS owner_name, completer.name AS completed_by_name
+      FROM non_conformance_actions a
+      LEFT JOIN users owner ON a.owner_id = owner.id
+      LEFT JOIN users completer ON a.completed_by = completer.id
+      WHERE a.non_conformance_id = $1
+      ORDER BY a.created_at
+    `, [id]),
+    pool.query(`
+      SELECT h.*, u.name AS user_name
+      FROM non_conformance_history h
+      LEFT JOIN users u ON h.user_id = u.id
+      WHERE h.non_conformance_id = $1
+      ORDER BY h.created_at
+    `, [id]),
+    pool.query(`
+      SELECT qt.id, qt.box_number, qt.approved, qt.observations, qt.created_at, u.name AS user_name
+      FROM quality_tests qt
+      LEFT JOIN users u ON qt.user_id = u.id
+      WHERE qt.non_conformance_id = $1
+      ORDER BY qt.created_at
+    `, [id])
+  ]);
+
+  return {
+    ...mapNonConformance(result.rows[0]),
+    actions: actionsResult.rows.map(mapAction),
+    history: historyResult.rows.map(row => ({
+      id: row.id,
+      fromStatus: row.from_status,
+      toStatus: row.to_status,
+      notes: row.notes,
+      userName: row.user_name,
+      createdAt: row.created_at
+    })),
+    qualityTests: testsResult.rows.map(row => ({
+      id: row.id,
+      boxNumber: row.box_number,
+      approved: row.approved,
+      observations: row.observations,
+      userName: row.user_name,
+      createdAt: row.created_at
+    }))
+  };
+}
+
+/**
+ * Abre (ou atualiza) a não conformidade de um teste reprovado
+ * Uma nova reprovação no mesmo lote e máquina com NC em aberto é registrada como
+ * reincidência na NC existente, que passa a ser crítica.
+ * @param {Object} test - Linha de quality_tests recém-criada
+ * @param {Object} machine - Máquina do teste
+ * @param {number} userId - Usuário que registrou o teste
+ * @returns {Promise<Object>} { nonConformance, created }
+ */
+async function openFromQualityTest(test, machine, userId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existingResult = await client.query(`
+      SELECT id, severity, status FROM non_conformances
+      WHERE machine_id = $1 AND lot = $2 AND status <> 'CLOSED'
+      ORDER BY created_at DESC
+      LIMIT 1
+      FOR UPDATE
+    `, [test.machine_id, test.lot]);
+
+    let nonConformanceId;
+    let created = false;
+
+    if (existingResult.rows.length > 0) {
+      const existing = existingResult.rows[0];
+      nonConformanceId = existing.id;
+
+      if (existing.severity !== 'CRITICAL') {
+        await client.query(
+          `UPDATE non_conformances SET severity = 'CRITICAL', due_date = LEAST(due_date, $2) WHERE id = $1`,
+          [nonConformanceId, calculateDueDate('CRITICAL')]
+        );
+      }
+      await addHistory(client, nonConformanceId, {
+        notes: `Reincidência: caixa ${test.box_number} reprovada no teste #${test.id}`,
+        userId
+      });
+    } else {
+      const severity = 'MAJOR';
+      const insertResult = await client.query(`
+        INSERT INTO non_conformances (
+          quality_test_id, machine_id, product, lot, box_number, title, description,
+          severity, containment_action, hold_lot, due_date, opened_by
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true, $10, $11)
+        RETURNING id
+      `, [
+        test.id, test.machine_id, test.product, test.lot, test.box_number,
+        `Teste reprovado - ${machine.name} - lote ${test.lot}`,
+        describeRejectedTest(test),
+        severity,
+        `Segregar o lote ${test.lot} a partir da caixa ${test.box_number} até a disposição da qualidade`,
+        calculateDueDate(severity),
+        userId
+      ]);
+
+      nonConformanceId = insertResult.rows[0].id;
+      created = true;
+      await addHistory(client, nonConformanceId, {
+        toStatus: 'OPEN',
+        notes: `Aberta automaticamente pelo teste #${test.id}`,
+        userId
+      });
+    }
+
+    await client.query('UPDATE quality_tests SET non_conformance_id = $1 WHERE id = $2', [nonConformanceId, test.id]);
+    await client.query('COMMIT');
+
+    return { nonConformance: await getNonConformanceById(nonConformanceId), created };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Abre uma não conformidade manualmente (sem teste de origem)
+ */
+async function createNonConformance(data, userId) {
+  const severity = data.severity || 'MAJOR';
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO non_conformances (
+        machine_id, product, lot, box_number, title, description, severity,
+        containment_action, hold_lot, owner_id, due_date, opened_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+      RETURNING id
+    `, [
+      data.machineId, data.product || null, data.lot || null, data.boxNumber || null,
+      data.title, data.description || null, severity,
+      data.containmentAction || null, data.holdLot !== false && !!data.lot,
+      data.ownerId || null, data.dueDate || calculateDueDate(severity), userId
+    ]);
+
+    await addHistory(client, result.rows[0].id, { toStatus: 'OPEN', notes: 'Aberta manualmente', userId });
+    await client.query('COMMIT');
+
+    return getNonConformanceById(result.rows[0].id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Campos editáveis (API => coluna) e nomes usados no histórico
+const EDITABLE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  severity: 'severity',
+  containmentAction: 'containment_action',
+  holdLot: 'hold_lot',
+  rootCause: 'root_cause',
+  ownerId: 'owner_id',
+  dueDate: 'due_date'
+};
+
+const FIELD_LABELS = {
+  title: 'título',
+  description: 'descrição',
+  severity: 'severidade',
+  containmentAction: 'contenção',
+  holdLot: 'segregação do lote',
+  rootCause: 'causa raiz',
+  ownerId: 'responsável',
+  dueDate: 'prazo'
+};
+
+function isFieldChanged(next, current) {
+  if (next === undefined) return false;
+  if (next instanceof Date || current instanceof Date) {
+    return new Date(next || 0).getTime() !== new Date(current || 0).getTime();
+  }
+  return (next === '' ? null : next) !== (current === undefined ? null : current);
+}
+
+/**
+ * Atualiza os dados da investigação (não altera o status)
+ */
+async function updateNonConformance(id, changes, userId) {
+  const current = await getNonConformanceById(id);
+  if (!current) {
+    throw new AppError('Não conformidade não encontrada', 404);
+  }
+  if (current.status === 'CLOSED') {
+    throw new AppError('Não conformidade encerrada não pode ser alterada', 400);
+  }
+
+  const changed = Object.keys(EDITABLE_FIELDS).filter(key => isFieldChanged(changes[key], current[key]));
+  if (changed.length === 0) {
+    return current;
+  }
+
+  const params = changed.map(key => changes[key]);
+  const sets = changed.map((key, index) => `${EDITABLE_FIELDS[key]} = $${index + 1}`);
+
+  // Novo responsável ou prazo reinicia a escalação
+  if (changed.includes('ownerId') || changed.includes('dueDate')) {
+    sets.push('escalation_level = 0', 'escalated_at = NULL');
+  }
+
+  params.push(id);
+  await pool.query(`UPDATE non_conformances SET ${sets.join(', ')} WHERE id = $${params.length}`, params);
+  await addHistory(pool, id, {
+    notes: `Atualizado: ${changed.map(key => FIELD_LABELS[key]).join(', ')}`,
+    userId
+  });
+
+  return getNonConformanceById(id);
+}
+
+/**
+ * Move a não conformidade no fluxo OPEN -> INVESTIGATING -> VERIFIED -> CLOSED
+ */
+async function changeStatus(id, nextStatus, userId, notes = null) {
+  const current = await getNonConformanceById(id);
+  if (!current) {
+    throw new AppError('Não conformidade não encontrada', 404);
+  }
+
+  validateTransition(current, nextStatus);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const sets = ['status = $1'];
+    if (nextStatus === 'VERIFIED') {
+      sets.push('verified_by = $3', 'verified_at = CURRENT_TIMESTAMP');
+    } else if (nextStatus === 'CLOSED') {
+      sets.push('closed_by = $3', 'closed_at = CURRENT_TIMESTAMP');
+    }
+
+    await client.query(
+      `UPDATE non_conformances SET ${sets.join(', ')} WHERE id = $2`,
+      sets.length > 1 ? [nextStatus, id, userId] : [nextStatus, id]
+    );
+    await addHistory(client, id, { fromStatus: current.status, toStatus: nextStatus, notes, userId });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return getNonConformanceById(id);
+}
+
+/**
+ * Cadastra uma ação corretiva ou preventiva
+ */
+async function addAction(nonConformanceId, { type, description, ownerId, dueDate }, userId) {
+  const current = await getNonConformanceById(nonConformanceId);
+  if (!current) {
+    throw new AppError('Não conformidade não encontrada', 404);
+  }
+  if (['VERIFIED', 'CLOSED'].includes(current.status)) {
+    throw new AppError('Não é possível incluir ações em não conformidade verificada ou encerrada', 400);
+  }
+
+  await pool.query(`
+    INSERT INTO non_conformance_actions (non_conformance_id, action_type, description, owner_id, due_date, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [nonConformanceId, type, description, ownerId || null, dueDate || null, userId]);
+
+  return getNonConformanceById(nonConformanceId);
+}
+
+/**
+ * Atualiza uma ação (descrição, responsável, prazo ou conclusão)
+ */
+async function updateAction(nonConformanceId, actionId, { description, ownerId, dueDate, status }, userId) {
+  const result = await pool.query(
+    'SELECT * FROM non_conformance_actions WHERE id = $1 AND non_conformance_id = $2',
+    [actionId, nonConformanceId]
+  );
+  const action = result.rows[0];
+  if (!action) {
+    throw new AppError('Ação não encontrada', 404);
+  }
+
+  const completed = status === 'DONE' && action.status !== 'DONE';
+  const reopened = status === 'PENDING' && action.status === 'DONE';
+
+  await pool.query(`
+    UPDATE non_conformance_actions
+    SET description = $1, owner_id = $2, due_date = $3, status = $4,
+        completed_by = $5, completed_at = $6,
+        escalation_level = CASE WHEN $7::boolean THEN 0 ELSE escalation_level END
+    WHERE id = $8
+  `, [
+    description !== undefined ? description : action.description,
+    ownerId !== undefined ? ownerId : action.owner_id,
+    dueDate !== undefined ? dueDate : action.due_date,
+    status || action.status,
+    completed ? userId : (reopened ? null : action.completed_by),
+    completed ? new Date() : (reopened ? null : action.completed_at),
+    ownerId !== undefined || dueDate !== undefined,
+    actionId
+  ]);
+
+  return getNonConformanceById(nonConformanceId);
+}
+
+/**
+ * Nível de escalação para um item vencido
+ * 1 = vencido (responsável e líderes), 2 = vencido há mais de 48h (gerência)
+ */
+function escalationLevelFor(dueDate, now = new Date()) {
+  const overdueMs = now - new Date(dueDate);
+  if (overdueMs <= 0) return 0;
+  return overdueMs > MANAGEMENT_ESCALATION_HOURS * HOUR ? 2 : 1;
+}
+
+async function escalationRecipients(level, ownerId) {
+  const roles = level >= 2 ? ['MANAGER', 'ADMIN'] : ['LEADER', 'MANAGER', 'ADMIN'];
+  const users = await notificationService.getUsersByRole(roles);
+  const ids = users.map(user => user.id);
+
+  if (ownerId && !ids.includes(ownerId)) {
+    ids.push(ownerId);
+  }
+  return ids;
+}
+
+/**
+ * Escala não conformidades e ações vencidas via notificationService
+ * Cada item só é escalado uma vez por nível.
+ * @returns {Promise<number>} Quantidade de itens escalados
+ */
+async function escalateOverdue(now = new Date()) {
+  let escalated = 0;
+
+  const ncResult = await pool.query(`
+    SELECT nc.*, m.name AS machine_name
+    FROM non_conformances nc
+    LEFT JOIN machines m ON nc.machine_id = m.id
+    WHERE nc.status <> 'CLOSED' AND nc.due_date < $1 AND nc.escalation_level < 2
+  `, [now]);
+
+  for (const row of ncResult.rows) {
+    const level = escalationLevelFor(row.due_date, now);
+    if (level <= row.escalation_level) continue;
+
+    try {
+      await notificationService.createAlert({
+        machine_id: row.machine_id,
+        lote: row.lot,
+        caixa: row.box_number,
+        type: `nc_overdue_${row.id}`,
+        priority: level >= 2 ? 'critical' : 'warning',
+        message: `Não conformidade #${row.id} (${row.severity}) vencida: ${row.title}. Status ${row.status}.`
+      }, await escalationRecipients(level, row.owner_id));
+
+      await pool.query(
+        'UPDATE non_conformances SET escalation_level = $1, escalated_at = $2 WHERE id = $3',
+        [level, now, row.id]
+      );
+      escalated++;
+    } catch (error) {
+      console.error(`Erro ao escalar não conformidade #${row.id}:`, error);
+    }
+  }
+
+  const actionResult = await pool.query(`
+    SELECT a.*, nc.machine_id, nc.lot, nc.box_number, nc.title AS nc_title
+    FROM non_conformance_actions a
+    JOIN non_conformances nc ON a.non_conformance_id = nc.id
+    WHERE a.status = 'PENDING' AND a.due_date < $1 AND a.escalation_level < 2 AND nc.status <> 'CLOSED'
+  `, [now]);
+
+  for (const row of actionResult.rows) {
+    const level = escalationLevelFor(row.due_date, now);
+    if (level <= row.escalation_level) continue;
+
+    const typeLabel = row.action_type === 'CORRECTIVE' ? 'corretiva' : 'preventiva';
+    try {
+      await notificationService.createAlert({
+        machine_id: row.machine_id,
+        lote: row.lot,
+        caixa: row.box_number,
+        type: `capa_overdue_${row.id}`,
+        priority: level >= 2 ? 'critical' : 'warning',
+        message: `Ação ${typeLabel} vencida na NC #${row.non_conformance_id} (${row.nc_title}): ${row.description}`
+      }, await escalationRecipients(level, row.owner_id));
+
+      await pool.query(
+        'UPDATE non_conformance_actions SET escalation_level = $1, escalated_at = $2 WHERE id = $3',
+        [level, now, row.id]
+      );
+      escalated++;
+    } catch (error) {
+      console.error(`Erro ao escalar ação #${row.id}:`, error);
+    }
+  }
+
+  return escalated;
+}
+
+module.exports = {
+  SEVERITIES,
+  STATUSES,
+  ACTION_TYPES,
+  TRANSITIONS,
+  calculateDueDate,
+  describeRejectedTest,
+  validateTransition,
+  escalationLevelFor,
+  getNonConformances,
+  getNonConformanceById,
+  openFromQualityTest,
+  createNonConformance,
+  updateNonConformance,
+  changeStatus,
+  addAction,
+  updateAction,
+  escalateOverdue
+};
@@ -0,0 +1,472 @@
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Provedores dos canais de notificação.
+ * Todos expõem send(delivery) com delivery = { recipient, title, message, html, priority, metadata }
+ * e devolvem o recibo { providerMessageId, delivered, response }. delivered indica que o destino
+ * confirmou a entrega na própria resposta (webhooks, Telegram, sinks); nos demais o provedor apenas
+ * aceitou a mensagem. Falhas lançam erro com retryable = false quando não adianta tentar de novo
+ * (credencial ausente, destinatário inválido).
+ * As bibliotecas de SMTP, Twilio e Firebase só são carregadas quando o provedor é usado.
+ */
+
+const PROVIDER_TYPES = ['SMTP', 'SENDGRID', 'TWILIO', 'WHATSAPP', 'FIREBASE', 'WEBHOOK', 'TEAMS', 'SLACK', 'TELEGRAM', 'FILE', 'CONSOLE'];
+
+const HTTP_TIMEOUT_MS = 10000;
+
+const PRIORITY_COLORS = {
+  URGENT: 'DC2626',
+  HIGH: 'EA580C',
+  critical: 'DC2626',
+  warning: 'F59E0B',
+  MEDIUM: '2563EB',
+  LOW: '6B7280',
+  info: '10B981'
+};
+
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
+
+/**
+ * Erro de uma chamada HTTP: sem resposta, 429 ou 5xx podem ser repetidos
+ */
+const httpError = (error, provider) => {
+  const status = error.response?.status;
+  const detail = error.response?.data ? JSON.stringify(error.response.data) : error.message;
+  const wrapped = new Error(`${provider}: ${status ? `HTTP ${status} - ` : ''}${detail}`);
+  wrapped.retryable = !status || status === 429 || status >= 500;
+  return wrapped;
+};
+
+const postJson = async (provider, url, body, headers = {}) => {
+  try {
+    return await axios.post(url, body, {
+      headers: { 'Content-Type': 'application/json', ...headers },
+      timeout: HTTP_TIMEOUT_MS
+    });
+  } catch (error) {
+    throw httpError(error, provider);
+  }
+};
+
+const plainText = (delivery) => (delivery.title ? `${delivery.title}\n\n${delivery.message}` : delivery.message);
+
+class SmtpProvider {
+  constructor(config = {}) {
+    if (!config.host && !config.service) {
+      throw new Error('Provedor SMTP requer host ou service');
+    }
+    this.config = config;
+    this.transporter = null;
+  }
+
+  getTransporter() {
+    if (!this.transporter) {
+      const nodemailer = require('nodemailer');
+      const { host, port, secure, service, user, pass } = this.config;
+      this.transporter = nodemailer.createTransport({
+        host,
+        port: port ? Number(port) : undefined,
+        secure: Boolean(secure),
+        service,
+        auth: user ? { user, pass } : undefined
+      });
+    }
+    return this.transporter;
+  }
+
+  async send(delivery) {
+    if (!delivery.recipient) {
+      throw permanentError('SMTP: destinatário sem email');
+    }
+
+    const info = await this.getTransporter().sendMail({
+      from: this.config.from,
+      to: delivery.recipient,
+      subject: delivery.title,
+      html: delivery.html,
+      text: delivery.message,
+      attachments: (delivery.attachments || []).map(attachment => ({
+        filename: attachment.filename,
+        content: attachment.content,
+        encoding: 'base64',
+        contentType: attachment.type
+      }))
+    });
+    return { providerMessageId: info.messageId, delivered: false, response: { accepted: info.accepted } };
+  }
+
+  async verify() {
+    await this.getTransporter().verify();
+    return true;
+  }
+}
+
+/**
+ * Email pelo SendGrid (conta usada nos relatórios antes dos provedores de canal)
+ */
+class SendGridProvider {
+  constructor(config = {}) {
+    if (!config.apiKey) {
+      throw new Error('Provedor SendGrid requer SENDGRID_API_KEY');
+    }
+    this.config = config;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = require('@sendgrid/mail');
+      this.client.setApiKey(this.config.apiKey);
+    }
+    return this.client;
+  }
+
+  async send(delivery) {
+    if (!delivery.recipient) {
+      throw permanentError('SendGrid: destinatário sem email');
+    }
+
+    const msg = {
+      to: delivery.recipient,
+      from: { email: this.config.from, name: this.config.fromName },
+      subject: delivery.title,
+      html: delivery.html || delivery.message,
+      text: delivery.message
+    };
+    if (delivery.attachments?.length > 0) {
+      msg.attachments = delivery.attachments.map(attachment => ({
+        content: attachment.content,
+        filename: attachment.filename,
+        type: attachment.type,
+        disposition: 'attachment'
+      }));
+    }
+
+    try {
+      const [response] = await this.getClient().send(msg);
+      return { providerMessageId: response.headers['x-message-id'], delivered: false, response: { statusCode: response.statusCode } };
+    } catch (error) {
+      // Mesma regra de httpError: sem resposta, 429 ou 5xx podem ser repetidos
+      const status = typeof error.code === 'number' ? error.code : null;
+      const wrapped = new Error(`SendGrid: ${status ? `HTTP ${status} - ` : ''}${error.message}`);
+      wrapped.retryable = !status || status === 429 || status >= 500;
+      throw wrapped;
+    }
+  }
+}
+
+class TwilioProvider {
+  constructor(config = {}) {
+    if (!config.accountSid || !config.authToken || !config.from) {
+      throw new Error('Provedor Twilio requer accountSid, authToken e from');
+    }
+    this.config = config;
+    this.client = null;
+  }
+
+  getClient() {
+    if (!this.client) {
+      const twilio = require('twilio');
+      this.client = twilio(this.config.accountSid, this.config.authToken);
+    }
+    return this.client;
+  }
+
+  async send(delivery) {
+    if (!delivery.recipient) {
+      throw permanentError('Twilio: destinatário sem telefone');
+    }
+
+    try {
+      const result = await this.getClient().messages.create({
+        body: plainText(delivery),
+        from: this.config.from,
+        to: delivery.recipient
+      });
+      return { providerMessageId: result.sid, delivered: false, response: { status: result.status } };
+    } catch (error) {
+      // Erros 4xx do Twilio (número inválido, bloqueado) não mudam com novas tentativas
+      const wrapped = new Error(`Twilio: ${error.message}`);
+      wrapped.retryable = !error.status || error.status === 429 || error.status >= 500;
+      throw wrapped;
+    }
+  }
+
+  async verify() {
+    await this.getClient().api.accounts(this.config.accountSid).fetch();
+    return true;
+  }
+}
+
+/**
+ * WhatsApp Business (Meta Cloud API)
+ */
+class WhatsAppProvider {
+  constructor(config = {}) {
+    if (!config.accessToken || !config.phoneNumberId) {
+      throw new Error('Provedor WhatsApp requer accessToken e phoneNumberId');
+    }
+    this.config = { apiUrl: 'https://graph.facebook.com/v18.0', ...config };
+  }
+
+  async send(delivery) {
+    if (!delivery.recipient) {
+      throw permanentError('WhatsApp: destinatário sem telefone');
+    }
+
+    const { apiUrl, phoneNumberId, accessToken } = this.config;
+    const response = await postJson('WhatsApp', `${apiUrl}/${phoneNumberId}/messages`, {
+      messaging_product: 'whatsapp',
+      to: String(delivery.recipient).replace(/\D/g, ''),
+      type: 'text',
+      text: { body: plainText(delivery) }
+    }, { Authorization: `Bearer ${accessToken}` });
+
+    return { providerMessageId: response.data.messages?.[0]?.id || null, delivered: false, response: response.data };
+  }
+
+  async verify() {
+    const { apiUrl, phoneNumberId, accessToken } = this.config;
+    const response = await axios.get(`${apiUrl}/${phoneNumberId}`, {
+      headers: { Authorization: `Bearer ${accessToken}` },
+      timeout: HTTP_TIMEOUT_MS
+    });
+    return response.status === 200;
+  }
+}
+
+/**
+ * Push pelo Firebase (pushService); o destinatário é o ID do usuário
+ */
+class FirebaseProvider {
+  async send(delivery) {
+    const pushService = require('./pushService');
+    const result = await pushService.sendToUser(delivery.recipient, {
+      title: delivery.title,
+      body: delivery.message
+    });
+    if (!result || !result.success) {
+      throw permanentError(`Firebase: ${result?.error || 'push não enviado'}`);
+    }
+    return { providerMessageId: null, delivered: false, response: result };
+  }
+}
+
+/**
+ * Webhook genérico: POST com o JSON da notificação
+ */
+class WebhookProvider {
+  constructor(config = {}) {
+    if (!config.url) {
+      throw new Error('Provedor de webhook requer url');
+    }
+    this.config = config;
+  }
+
+  async send(delivery) {
+    const response = await postJson('Webhook', this.config.url, {
+      title: delivery.title,
+      message: delivery.message,
+      priority: delivery.priority,
+      recipient: delivery.recipient,
+      metadata: delivery.metadata || null,
+      sentAt: new Date().toISOString()
+    }, this.config.headers);
+
+    return {
+      providerMessageId: response.headers?.['x-request-id'] || null,
+      delivered: true,
+      response: { status: response.status }
+    };
+  }
+}
+
+/**
+ * Webhooks de entrada de chat: Microsoft Teams (MessageCard) ou Slack (text)
+ */
+class ChatWebhookProvider {
+  constructor(config = {}) {
+    if (!config.url) {
+      throw new Error(`Provedor ${config.format} requer url do webhook de entrada`);
+    }
+    this.config = config;
+  }
+
+  buildPayload(delivery) {
+    if (this.config.format === 'TEAMS') {
+      return {
+        '@type': 'MessageCard',
+        '@context': 'http://schema.org/extensions',
+        themeColor: PRIORITY_COLORS[delivery.priority] || PRIORITY_COLORS.MEDIUM,
+        summary: delivery.title,
+        title: delivery.title,
+        text: String(delivery.message).replace(/\n/g, '<br>')
+      };
+    }
+    return { text: delivery.title ? `*${delivery.title}*\n${delivery.message}` : delivery.message };
+  }
+
+  async send(delivery) {
+    const response = await postJson(this.config.format, this.config.url, this.buildPayload(delivery));
+    return { providerMessageId: null, delivered: true, response: { status: response.status } };
+  }
+}
+
+/**
+ * Bot do Telegram; o destinatário é o chat_id (ou o chat padrão do bot)
+ */
+class TelegramProvider {
+  constructor(config = {}) {
+    if (!config.botToken) {
+      throw new Error('Provedor Telegram requer botToken');
+    }
+    this.config = config;
+  }
+
+  async send(delivery) {
+    const chatId = delivery.recipient || this.config.chatId;
+    if (!chatId) {
+      throw permanentError('Telegram: chat_id não informado');
+    }
+
+    const response = await postJson('Telegram', `https://api.telegram.org/bot${this.config.botToken}/sendMessage`, {
+      chat_id: chatId,
+      text: plainText(delivery)
+    });
+    return { providerMessageId: String(response.data.result?.message_id ?? ''), delivered: true, response: { ok: response.data.ok } };
+  }
+}
+
+/**
+ * Sink de arquivo: uma linha JSON por envio, para desenvolvimento e CI
+ */
+class FileSinkProvider {
+  constructor(config = {}) {
+    this.filePath = config.path || path.join(__dirname, '..', 'logs', 'notifications.jsonl');
+  }
+
+  async send(delivery, channel) {
+    const providerMessageId = `file-${crypto.randomUUID()}`;
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.appendFile(this.filePath, JSON.stringify({
+      id: providerMessageId,
+      channel,
+      ...delivery,
+      // Só o nome dos anexos: o conteúdo fica no payload de notification_logs
+      attachments: delivery.attachments ? delivery.attachments.map(attachment => attachment.filename) : undefined,
+      sentAt: new Date().toISOString()
+    }) + '\n');
+    return { providerMessageId, delivered: true, response: { path: this.filePath } };
+  }
+}
+
+class ConsoleSinkProvider {
+  async send(delivery, channel) {
+    const providerMessageId = `console-${crypto.randomUUID()}`;
+    console.log(`📨 [${channel || 'notificação'} → ${delivery.recipient || 'todos'}] ${delivery.title || ''}\n${delivery.message}`);
+    return { providerMessageId, delivered: true, response: null };
+  }
+}
+
+const createProvider = (provider, config = {}) => {
+  switch (provider) {
+    case 'SMTP':
+      return new SmtpProvider(config);
+    case 'SENDGRID':
+      return new SendGridProvider(config);
+    case 'TWILIO':
+      return new TwilioProvider(config);
+    case 'WHATSAPP':
+      return new WhatsAppProvider(config);
+    case 'FIREBASE':
+      return new FirebaseProvider(config);
+    case 'WEBHOOK':
+      return new WebhookProvider(config);
+    case 'TEAMS':
+    case 'SLACK':
+      return new ChatWebhookProvider({ ...config, format: provider });
+    case 'TELEGRAM':
+      return new TelegramProvider(config);
+    case 'FILE':
+      return new FileSinkProvider(config);
+    case 'CONSOLE':
+      return new ConsoleSinkProvider(config);
+    default:
+      throw new Error(`Provedor de notificação desconhecido: ${provider}`);
+  }
+};
+
+/**
+ * Configuração de cada provedor a partir das variáveis de ambiente
+ */
+const configFromEnv = (provider, env = process.env) => {
+  switch (provider) {
+    case 'SMTP':
+      return {
+        host: env.SMTP_HOST,
+        port: env.SMTP_PORT,
+        secure: env.SMTP_SECURE === 'true',
+        // Sem SMTP_HOST, mantém a conta Gmail configurada em EMAIL_USER
+        service: env.SMTP_HOST ? undefined : (env.SMTP_SERVICE || (env.EMAIL_USER ? 'gmail' : undefined)),
+        user: env.SMTP_USER || env.EMAIL_USER,
+        pass: env.SMTP_PASS || env.EMAIL_PASSWORD,
+        from: env.EMAIL_FROM || env.SMTP_USER || env.EMAIL_USER
+      };
+    case 'SENDGRID':
+      return {
+        apiKey: env.SENDGRID_API_KEY,
+        from: env.EMAIL_FROM,
+        fromName: env.EMAIL_FROM_NAME || 'Zara Operação'
+      };
+    case 'TWILIO':
+      return {
+        accountSid: env.TWILIO_ACCOUNT_SID,
+        authToken: env.TWILIO_AUTH_TOKEN,
+        from: env.TWILIO_PHONE_NUMBER
+      };
+    case 'WHATSAPP':
+      return {
+        apiUrl: env.WHATSAPP_API_URL || undefined,
+        accessToken: env.WHATSAPP_ACCESS_TOKEN || env.WHATSAPP_TOKEN,
+        phoneNumberId: env.WHATSAPP_PHONE_NUMBER_ID || env.WHATSAPP_PHONE_ID
+      };
+    case 'WEBHOOK':
+      return {
+        url: env.NOTIFICATION_WEBHOOK_URL,
+        headers: env.NOTIFICATION_WEBHOOK_TOKEN ? { Authorization: `Bearer ${env.NOTIFICATION_WEBHOOK_TOKEN}` } : {}
+      };
+    case 'TEAMS':
+      return { url: env.TEAMS_WEBHOOK_URL };
+    case 'SLACK':
+      return { url: env.SLACK_WEBHOOK_URL };
+    case 'TELEGRAM':
+      return { botToken: env.TELEGRAM_BOT_TOKEN, chatId: env.TELEGRAM_CHAT_ID };
+    case 'FILE':
+      return { path: env.NOTIFICATION_SINK_PATH };
+    default:
+      return {};
+  }
+};
+
+module.exports = {
+  PROVIDER_TYPES,
+  SmtpProvider,
+  SendGridProvider,
+  TwilioProvider,
+  WhatsAppProvider,
+  FirebaseProvider,
+  WebhookProvider,
+  ChatWebhookProvider,
+  TelegramProvider,
+  FileSinkProvider,
+  ConsoleSinkProvider,
+  createProvider,
+  configFromEnv
+};
@@ -0,0 +1,444 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const notificationChannels = require('./notificationChannels');
+
+/**
+ * Entrega das notificações externas pelos provedores de canal.
+ * Cada envio vira uma linha em notification_logs com o provedor usado, o recibo devolvido
+ * (ID da mensagem, resposta) e as tentativas. Falhas temporárias ficam em 'retrying' com
+ * next_retry_at calculado por backoff exponencial e são repetidas pelo agendador até
+ * max_attempts; falhas permanentes ou tentativas esgotadas terminam em 'failed'.
+ * Dentro de uma transação (alertas), o envio é apenas enfileirado como 'pending' com enqueue e
+ * feito por dispatch depois do COMMIT: as chamadas aos provedores não seguram a transação e um
+ * ROLLBACK não apaga recibos de mensagens já enviadas. Se o dispatch não acontecer, o agendador
+ * envia a linha quando next_retry_at vencer.
+ * O provedor de cada canal vem de NOTIFICATION_<CANAL>_PROVIDER; NOTIFICATION_SINK=FILE ou
+ * CONSOLE desvia todos os canais para o sink local (desenvolvimento e CI sem credenciais).
+ */
+
+const CHANNELS = ['email', 'sms', 'whatsapp', 'push', 'chat'];
+
+const DELIVERY_STATUSES = ['pending', 'sent', 'delivered', 'retrying', 'failed'];
+
+// Provedor de cada canal quando NOTIFICATION_<CANAL>_PROVIDER não está definido
+const DEFAULT_PROVIDERS = {
+  email: 'SMTP',
+  sms: 'TWILIO',
+  whatsapp: 'WHATSAPP',
+  push: 'FIREBASE',
+  chat: null
+};
+
+const RETRY_BASE_SECONDS = 60;
+const RETRY_MAX_SECONDS = 60 * 60;
+const RETRY_BATCH_SIZE = 50;
+// Prazo para o dispatch após o COMMIT antes de o agendador assumir o envio enfileirado
+const QUEUE_GRACE_SECONDS = 60;
+
+const maxAttempts = () => parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+
+// Instâncias por tipo de provedor (guardam transportes e clientes já criados)
+const providers = new Map();
+
+function mapDelivery(row) {
+  return {
+    id: row.id,
+    alertId: row.alert_id,
+    userId: row.user_id,
+    userName: row.user_name,
+    channel: row.channel,
+    provider: row.provider,
+    recipient: row.recipient,
+    title: row.payload?.title || null,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextRetryAt: row.next_retry_at,
+    lastAttemptAt: row.last_attempt_at,
+    providerMessageId: row.provider_message_id,
+    receipt: row.receipt,
+    errorMessage: row.error_message,
+    sentAt: row.sent_at,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Espera antes da próxima tentativa: 1, 2, 4, 8... minutos, no máximo 1 hora
+ */
+function retryDelaySeconds(attempts) {
+  return Math.min(RETRY_BASE_SECONDS * 2 ** Math.max(attempts - 1, 0), RETRY_MAX_SECONDS);
+}
+
+/**
+ * Tipo de provedor configurado para o canal (null quando o canal está desligado)
+ */
+function providerFor(channel, env = process.env) {
+  if (env.NOTIFICATION_SINK) {
+    return env.NOTIFICATION_SINK.toUpperCase();
+  }
+  const configured = env[`NOTIFICATION_${channel.toUpperCase()}_PROVIDER`];
+  if (configured) {
+    return configured.toUpperCase();
+  }
+  // Instalações que já enviavam os emails do sistema pelo SendGrid continuam nele
+  if (channel === 'email' && env.SENDGRID_API_KEY) {
+    return 'SENDGRID';
+  }
+  return DEFAULT_PROVIDERS[channel] || null;
+}
+
+function getProvider(type) {
+  if (!providers.has(type)) {
+    providers.set(type, notificationChannels.createProvider(type, notificationChannels.configFromEnv(type)));
+  }
+  return providers.get(type);
+}
+
+/**
+ * Descarta as instâncias em cache (após mudar a configuração dos provedores)
+ */
+function resetProviders() {
+  providers.clear();
+}
+
+async function auditDelivery(action, deliveryId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'notification_logs',
+      resourceId: String(deliveryId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria da entrega de notificação:', error);
+  }
+}
+
+/**
+ * Conteúdo dos anexos do envio. Arquivos de relatório ficam uma única vez no snapshot
+ * (reports.file_content) e o payload guarda só { reportId, filename, type }
+ */
+async function loadAttachments(attachments) {
+  if (!attachments) {
+    return attachments;
+  }
+
+  return Promise.all(attachments.map(async attachment => {
+    if (!attachment.reportId || attachment.content) {
+      return attachment;
+    }
+    const result = await pool.query('SELECT file_content FROM reports WHERE id = $1', [attachment.reportId]);
+    const content = result.rows[0]?.file_content;
+    if (!content) {
+      const error = new Error(`Arquivo do relatório ${attachment.reportId} não está mais disponível`);
+      error.retryable = false;
+      throw error;
+    }
+    return { ...attachment, content: content.toString('base64') };
+  }));
+}
+
+/**
+ * Descarta o arquivo dos snapshots cujos envios já foram todos concluídos
+ */
+async function releaseReportFiles(reportIds) {
+  if (reportIds.length === 0) {
+    return;
+  }
+
+  await pool.query(`
+    UPDATE reports r
+    SET file_content = NULL
+    WHERE r.id = ANY($1) AND r.file_content IS NOT NULL
+      AND NOT EXISTS (
+        SELECT 1 FROM notification_logs nl
+        WHERE nl.payload->'attachments' @> jsonb_build_array(jsonb_build_object('reportId', r.id))
+          AND nl.status NOT IN ('sent', 'delivered')
+      )
+  `, [reportIds]);
+}
+
+/**
+ * Executa uma tentativa de envio e grava o recibo ou o erro na linha do log
+ */
+async function attemptDelivery(row, db = pool) {
+  try {
+    const provider = getProvider(row.provider);
+    const attachments = await loadAttachments(row.payload?.attachments);
+    const receipt = await provider.send({ recipient: row.recipient, ...row.payload, attachments }, row.channel);
+    const status = receipt.delivered ? 'delivered' : 'sent';
+
+    // Enviado: o conteúdo de anexos avulsos sai do payload, fica só a referência
+    const stored = row.payload?.attachments;
+    const payload = stored && stored.some(attachment => attachment.content)
+      ? { ...row.payload, attachments: stored.map(({ content, ...reference }) => reference) }
+      : null;
+
+    const result = await db.query(`
+      UPDATE notification_logs
+      SET status = $2, attempts = attempts + 1, last_attempt_at = NOW(), sent_at = NOW(),
+          delivered_at = CASE WHEN $2 = 'delivered' THEN NOW() ELSE NULL END,
+          provider_message_id = $3, receipt = $4, error_message = NULL, next_retry_at = NULL,
+          payload = COALESCE($5, payload)
+      WHERE id = $1
+      RETURNING *
+    `, [row.id, status, receipt.providerMessageId || null, JSON.stringify(receipt.response ?? null), payload ? JSON.stringify(payload) : null]);
+
+    const reportIds = (stored || []).map(attachment => attachment.reportId).filter(Boolean);
+    await releaseReportFiles(reportIds);
+    return result.rows[0];
+  } catch (error) {
+    const attempts = row.attempts + 1;
+    const retry = error.retryable !== false && attempts < row.max_attempts;
+    const nextRetryAt = retry ? new Date(Date.now() + retryDelaySeconds(attempts) * 1000) : null;
+
+    console.error(`❌ Falha no envio ${row.id} (${row.channel}/${row.provider}, tentativa ${attempts}):`, error.message);
+    const result = await db.query(`
+      UPDATE notification_logs
+      SET status = $2, attempts = $3, last_attempt_at = NOW(), error_message = $4, next_retry_at = $5
+      WHERE id = $1
+      RETURNING *
+    `, [row.id, retry ? 'retrying' : 'failed', attempts, error.message, nextRetryAt]);
+    return result.rows[0];
+  }
+}
+
+/**
+ * Registra um envio em notification_logs como 'pending', sem chamar o provedor
+ * @param {Object} delivery - { channel, recipient, title, message, html, priority, metadata, alertId, userId }
+ * @param {Object} db - Conexão (a transação do alerta, quando houver)
+ * @returns {Promise<Object>} Linha do log ('failed' quando o canal não tem provedor)
+ */
+async function enqueue(delivery, db = pool) {
+  if (!CHANNELS.includes(delivery.channel)) {
+    throw new AppError(`Canal de notificação inválido: ${delivery.channel}`, 400);
+  }
+
+  const provider = providerFor(delivery.channel);
+  const payload = {
+    title: delivery.title || null,
+    message: delivery.message,
+    html: delivery.html || null,
+    // Anexos: { reportId, filename, type } (arquivo no snapshot do relatório) ou { filename, type, content }
+    // em base64, mantido até o envio para as novas tentativas
+    attachments: delivery.attachments || null,
+    priority: delivery.priority || null,
+    metadata: delivery.metadata || null
+  };
+
+  const inserted = await db.query(`
+    INSERT INTO notification_logs (alert_id, user_id, channel, provider, recipient, payload, status, max_attempts, next_retry_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    delivery.alertId || null,
+    delivery.userId || null,
+    delivery.channel,
+    provider,
+    delivery.recipient ? String(delivery.recipient) : null,
+    JSON.stringify(payload),
+    provider ? 'pending' : 'failed',
+    maxAttempts(),
+    provider ? new Date(Date.now() + QUEUE_GRACE_SECONDS * 1000) : null
+  ]);
+
+  if (!provider) {
+    const result = await db.query(
+      'UPDATE notification_logs SET error_message = $2 WHERE id = $1 RETURNING *',
+      [inserted.rows[0].id, `Canal ${delivery.channel} sem provedor configurado`]
+    );
+    return result.rows[0];
+  }
+
+  return inserted.rows[0];
+}
+
+/**
+ * Envia as linhas enfileiradas por enqueue (depois do COMMIT da transação que as gravou)
+ * @param {Object[]} rows - Linhas devolvidas por enqueue
+ * @returns {Promise<Object[]>} Envios concluídos (status sent, delivered, retrying ou failed)
+ */
+async function dispatch(rows) {
+  const ids = rows.filter(row => row.status === 'pending').map(row => row.id);
+  const deliveries = rows.filter(row => row.status !== 'pending').map(mapDelivery);
+  if (ids.length === 0) {
+    return deliveries;
+  }
+
+  // Reivindica as linhas ainda na fila, para não disputar o envio com o agendador
+  const claimed = await pool.query(`
+    UPDATE notification_logs
+    SET next_retry_at = NULL
+    WHERE id = ANY($1) AND status = 'pending' AND next_retry_at IS NOT NULL
+    RETURNING *
+  `, [ids]);
+
+  for (const row of claimed.rows) {
+    deliveries.push(mapDelivery(await attemptDelivery(row)));
+  }
+  return deliveries;
+}
+
+/**
+ * Envia uma notificação por um canal, registrando o envio em notification_logs.
+ * Fora de transação; dentro de uma, use enqueue e dispatch após o COMMIT.
+ * @param {Object} delivery - { channel, recipient, title, message, html, attachments, priority, metadata, alertId, userId }
+ * @returns {Promise<Object>} Envio registrado (status sent, delivered, retrying ou failed)
+ */
+async function deliver(delivery) {
+  const [result] = await dispatch([await enqueue(delivery)]);
+  return result;
+}
+
+/**
+ * Repete os envios com nova tentativa vencida
+ * @returns {Promise<number>} Envios concluídos nesta rodada
+ */
+async function retryDueDeliveries(now = new Date()) {
+  // Reivindica o lote para que duas instâncias não repitam o mesmo envio
+  const claimed = await pool.query(`
+    UPDATE notification_logs
+    SET status = 'pending', next_retry_at = NULL
+    WHERE id IN (
+      SELECT id FROM notification_logs
+      WHERE status IN ('retrying', 'pending') AND next_retry_at <= $1
+      ORDER BY next_retry_at
+      LIMIT ${RETRY_BATCH_SIZE}
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *
+  `, [now]);
+
+  let completed = 0;
+  for (const row of claimed.rows) {
+    const result = await attemptDelivery(row);
+    if (result.status === 'sent' || result.status === 'delivered') {
+      completed++;
+    }
+  }
+  return completed;
+}
+
+/**
+ * Reenvia manualmente um envio que falhou, mesmo com as tentativas esgotadas
+ */
+async function retryDelivery(id, user, audit = {}) {
+  const result = await pool.query('SELECT * FROM notification_logs WHERE id = $1', [parseInt(id)]);
+  const row = result.rows[0];
+  if (!row) {
+    throw new AppError('Envio não encontrado', 404);
+  }
+  if (!['failed', 'retrying'].includes(row.status)) {
+    throw new AppError('Apenas envios com falha podem ser reenviados', 400);
+  }
+  if (!row.provider) {
+    throw new AppError(`Canal ${row.channel} sem provedor configurado`, 400);
+  }
+
+  // Uma tentativa extra além do limite já alcançado
+  const reopened = await pool.query(`
+    UPDATE notification_logs
+    SET status = 'pending', next_retry_at = NULL, max_attempts = GREATEST(max_attempts, attempts + 1)
+    WHERE id = $1
+    RETURNING *
+  `, [row.id]);
+
+  const delivery = mapDelivery(await attemptDelivery(reopened.rows[0]));
+  await auditDelivery('NOTIFICATION_DELIVERY_RETRIED', row.id, user.id, {
+    channel: row.channel,
+    provider: row.provider,
+    status: delivery.status
+  }, audit);
+  return delivery;
+}
+
+/**
+ * Histórico de envios com filtros
+ * @param {Object} filters - { status, channel, limit }
+ */
+async function getDeliveries(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`nl.status = $${params.length}`);
+  }
+  if (filters.channel) {
+    params.push(filters.channel);
+    conditions.push(`nl.channel = $${params.length}`);
+  }
+  params.push(Math.min(parseInt(filters.limit) || 50, 200));
+
+  const result = await pool.query(`
+    SELECT nl.*, u.name AS user_name
+    FROM notification_logs nl
+    LEFT JOIN users u ON u.id = nl.user_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY nl.created_at DESC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows.map(mapDelivery);
+}
+
+/**
+ * Provedor configurado em cada canal e se a configuração está completa
+ */
+function getChannelProviders() {
+  return CHANNELS.map(channel => {
+    const provider = providerFor(channel);
+    if (!provider) {
+      return { channel, provider: null, configured: false, error: 'Canal desligado' };
+    }
+    try {
+      getProvider(provider);
+      return { channel, provider, configured: true, error: null };
+    } catch (error) {
+      return { channel, provider, configured: false, error: error.message };
+    }
+  });
+}
+
+/**
+ * Testa a conexão do provedor do canal (quando o provedor oferece verificação)
+ */
+async function verifyChannel(channel) {
+  const provider = providerFor(channel);
+  if (!provider) {
+    return false;
+  }
+  try {
+    const instance = getProvider(provider);
+    return typeof instance.verify === 'function' ? await instance.verify() : true;
+  } catch (error) {
+    console.error(`Teste do canal ${channel} (${provider}) falhou:`, error.message);
+    return false;
+  }
+}
+
+module.exports = {
+  CHANNELS,
+  DELIVERY_STATUSES,
+  DEFAULT_PROVIDERS,
+  retryDelaySeconds,
+  providerFor,
+  resetProviders,
+  enqueue,
+  dispatch,
+  deliver,
+  retryDueDeliveries,
+  retryDelivery,
+  getDeliveries,
+  getChannelProviders,
+  verifyChannel
+};
@@ -0,0 +1,242 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const emailService = require('./emailService');
+
+/**
+ * Entrega das notificações: deduplicação, horário de silêncio e resumos.
+ * Uma notificação com dedup_key representa uma condição de origem: enquanto estiver aberta
+ * (não lida), a mesma condição só incrementa o contador de ocorrências. Dentro do horário de
+ * silêncio do usuário, ou com o modo de resumo horário/diário, a notificação fica retida (HELD)
+ * e o agendador a entrega junto com as demais num único email de resumo. Prioridades altas
+ * ignoram o silêncio e o resumo.
+ */
+
+const DIGEST_MODES = ['IMMEDIATE', 'HOURLY', 'DAILY'];
+
+// Prioridades entregues na hora mesmo no horário de silêncio
+const BYPASS_PRIORITIES = ['HIGH', 'URGENT', 'critical'];
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const DEFAULT_PREFERENCES = {
+  quietHoursStart: null,
+  quietHoursEnd: null,
+  digestMode: 'IMMEDIATE',
+  digestHour: 7,
+  lastDigestAt: null
+};
+
+// 'HH:MM' ou 'HH:MM:SS' → minutos do dia
+const toMinutes = (time) => {
+  const [hours, minutes] = String(time).split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Colunas TIME voltam do banco como 'HH:MM:SS'; a API trabalha com 'HH:MM'
+const formatTime = (time) => (time ? String(time).slice(0, 5) : null);
+
+function mapPreferences(row) {
+  if (!row) {
+    return { ...DEFAULT_PREFERENCES };
+  }
+  return {
+    quietHoursStart: formatTime(row.quiet_hours_start),
+    quietHoursEnd: formatTime(row.quiet_hours_end),
+    digestMode: row.digest_mode || 'IMMEDIATE',
+    digestHour: row.digest_hour !== null && row.digest_hour !== undefined ? row.digest_hour : 7,
+    lastDigestAt: row.last_digest_at || null
+  };
+}
+
+/**
+ * Indica se o instante cai no horário de silêncio (a janela pode virar a meia-noite, ex.: 22:00–06:00)
+ */
+function isQuietTime(preferences, now = new Date()) {
+  if (!preferences.quietHoursStart || !preferences.quietHoursEnd) {
+    return false;
+  }
+  const start = toMinutes(preferences.quietHoursStart);
+  const end = toMinutes(preferences.quietHoursEnd);
+  const current = now.getHours() * 60 + now.getMinutes();
+
+  if (start === end) {
+    return false;
+  }
+  return start < end
+    ? current >= start && current < end
+    : current >= start || current < end;
+}
+
+/**
+ * Indica se a notificação deve ficar retida para o resumo
+ */
+function shouldHold(preferences, priority, now = new Date()) {
+  if (BYPASS_PRIORITIES.includes(priority)) {
+    return false;
+  }
+  return preferences.digestMode !== 'IMMEDIATE' || isQuietTime(preferences, now);
+}
+
+/**
+ * Indica se o resumo do usuário deve sair agora. No modo imediato, as notificações retidas
+ * pelo silêncio saem assim que o horário de silêncio termina.
+ */
+function isDigestDue(preferences, now = new Date()) {
+  if (isQuietTime(preferences, now)) {
+    return false;
+  }
+
+  const lastDigestAt = preferences.lastDigestAt ? new Date(preferences.lastDigestAt) : null;
+  switch (preferences.digestMode) {
+    case 'HOURLY':
+      return !lastDigestAt || now - lastDigestAt >= HOUR_MS;
+    case 'DAILY': {
+      const todayAtHour = new Date(now.getFullYear(), now.getMonth(), now.getDate(), preferences.digestHour);
+      return now >= todayAtHour && (!lastDigestAt || lastDigestAt < todayAtHour);
+    }
+    default:
+      return true;
+  }
+}
+
+async function getPreferences(userId) {
+  const result = await pool.query('SELECT * FROM notification_preferences WHERE user_id = $1', [userId]);
+  return mapPreferences(result.rows[0]);
+}
+
+/**
+ * Atualiza o horário de silêncio e o modo de resumo do usuário
+ * @param {Object} data - { quietHoursStart, quietHoursEnd, digestMode, digestHour }
+ */
+async function updatePreferences(userId, data) {
+  const quietHoursStart = data.quietHoursStart || null;
+  const quietHoursEnd = data.quietHoursEnd || null;
+  if (Boolean(quietHoursStart) !== Boolean(quietHoursEnd)) {
+    throw new AppError('Informe o início e o fim do horário de silêncio', 400);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO notification_preferences (user_id, quiet_hours_start, quiet_hours_end, digest_mode, digest_hour)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (user_id) DO UPDATE
+    SET quiet_hours_start = EXCLUDED.quiet_hours_start,
+        quiet_hours_end = EXCLUDED.quiet_hours_end,
+        digest_mode = EXCLUDED.digest_mode,
+        digest_hour = EXCLUDED.digest_hour
+    RETURNING *
+  `, [userId, quietHoursStart, quietHoursEnd, data.digestMode || 'IMMEDIATE', data.digestHour !== undefined ? data.digestHour : 7]);
+
+  return mapPreferences(result.rows[0]);
+}
+
+/**
+ * Decide a entrega de uma notificação para o usuário
+ * @returns {Promise<boolean>} true quando a notificação deve ficar retida
+ */
+async function isHeldFor(userId, priority, now = new Date()) {
+  if (!userId) {
+    return false;
+  }
+  return shouldHold(await getPreferences(userId), priority, now);
+}
+
+/**
+ * Grava a notificação. Com dedupKey e uma notificação aberta da mesma condição, só incrementa
+ * o contador de ocorrências e atualiza o texto.
+ * @param {Object} data - { userId, machineId, testId, changeId, type, title, message, priority, channels, metadata, dedupKey }
+ * @param {boolean} held - Reter para o resumo
+ * @returns {Promise<Object>} Linha gravada em notifications
+ */
+async function storeNotification(data, held = false) {
+  const params = [
+    data.userId || null,
+    data.machineId || null,
+    data.testId || null,
+    data.changeId || null,
+    data.title || data.message,
+    data.message,
+    data.type || 'info',
+    data.priority || 'MEDIUM',
+    JSON.stringify(Array.isArray(data.channels) ? data.channels : ['SYSTEM']),
+    data.metadata ? JSON.stringify(data.metadata) : null,
+    data.dedupKey || null,
+    held ? 'HELD' : 'SENT'
+  ];
+
+  const result = await pool.query(`
+    INSERT INTO notifications
+      (user_id, machine_id, test_id, change_id, title, message, type, priority, channels, metadata, dedup_key, delivery_status, last_occurred_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+    ${data.dedupKey ? `
+    ON CONFLICT ((COALESCE(user_id, 0)), dedup_key) WHERE dedup_key IS NOT NULL AND read = false
+    DO UPDATE SET occurrence_count = notifications.occurrence_count + 1,
+                  last_occurred_at = NOW(),
+                  title = EXCLUDED.title,
+                  message = EXCLUDED.message,
+                  priority = EXCLUDED.priority,
+                  metadata = EXCLUDED.metadata,
+                  updated_at = NOW()` : ''}
+    RETURNING *
+  `, params);
+
+  return result.rows[0];
+}
+
+/**
+ * Envia os resumos devidos: cada usuário com notificações retidas recebe um único email
+ * @returns {Promise<number>} Resumos enviados
+ */
+async function sendDigests(now = new Date()) {
+  const usersResult = await pool.query(`
+    SELECT u.id, u.name, u.email, p.*
+    FROM users u
+    LEFT JOIN notification_preferences p ON p.user_id = u.id
+    WHERE u.id IN (SELECT user_id FROM notifications WHERE delivery_status = 'HELD')
+  `);
+
+  let sent = 0;
+  for (const user of usersResult.rows) {
+    if (!isDigestDue(mapPreferences(user.digest_mode ? user : null), now)) {
+      continue;
+    }
+
+    const claimed = await pool.query(`
+      UPDATE notifications
+      SET delivery_status = 'SENT', digested_at = NOW()
+      WHERE user_id = $1 AND delivery_status = 'HELD'
+      RETURNING *
+    `, [user.id]);
+
+    await pool.query(`
+      INSERT INTO notification_preferences (user_id, last_digest_at)
+      VALUES ($1, NOW())
+      ON CONFLICT (user_id) DO UPDATE SET last_digest_at = NOW()
+    `, [user.id]);
+
+    if (claimed.rows.length === 0 || !user.email) {
+      continue;
+    }
+
+    const notifications = claimed.rows.sort((a, b) => new Date(b.last_occurred_at) - new Date(a.last_occurred_at));
+    const result = await emailService.sendNotificationDigest(user.email, { userName: user.name, notifications });
+    if (result.success) {
+      sent++;
+    }
+  }
+
+  return sent;
+}
+
+module.exports = {
+  DIGEST_MODES,
+  BYPASS_PRIORITIES,
+  mapPreferences,
+  isQuietTime,
+  shouldHold,
+  isDigestDue,
+  getPreferences,
+  updatePreferences,
+  isHeldFor,
+  storeNotification,
+  sendDigests
+};
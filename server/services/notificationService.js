@@ -1,19 +1,9 @@
 const emailService = require('./emailService');
 const pushService = require('./pushService');
 const { pool, query } = require('../config/postgresql');
-const nodemailer = require('nodemailer');
-const fetch = require('node-fetch');
-
-// Configuração do email
-const emailTransporter = nodemailer.createTransport({
-  host: process.env.SMTP_HOST,
-  port: process.env.SMTP_PORT,
-  secure: false,
-  auth: {
-    user: process.env.SMTP_USER,
-    pass: process.env.SMTP_PASS
-  }
-});
+const notificationDigestService = require('./notificationDigestService');
+const notificationDeliveryService = require('./notificationDeliveryService');
+const webhookService = require('./webhookService');
 
 class NotificationService {
   constructor() {
@@ -110,28 +100,37 @@ class NotificationService {
       
       console.log('🔄 Dados preparados para o Prisma:', JSON.stringify(notificationData, null, 2));
       
-      const insertQuery = `
-        INSERT INTO notifications (user_id, title, message, type, created_at)
-        VALUES ($1, $2, $3, $4, NOW())
-        RETURNING *
-      `;
-      
-      const result = await query(insertQuery, [
-        notificationData.userId,
-        notificationData.title || notificationData.message, // usa message como title se não fornecido
-        notificationData.message,
-        notificationData.type || 'info'
-      ]);
+      // Horário de silêncio e modo de resumo do destinatário; a mesma condição (dedupKey) reaproveita a notificação aberta
+      const held = await notificationDigestService.isHeldFor(notificationData.userId, notificationData.priority);
+      const row = await notificationDigestService.storeNotification({ ...data, priority: notificationData.priority }, held);
       
       const notification = {
-        id: result.rows[0].id,
-        userId: result.rows[0].user_id,
-        message: result.rows[0].message,
-        createdAt: result.rows[0].created_at
+        id: row.id,
+        userId: row.user_id,
+        title: row.title,
+        message: row.message,
+        type: row.type,
+        occurrenceCount: row.occurrence_count,
+        createdAt: row.created_at,
+        lastOccurredAt: row.last_occurred_at
       };
 
       console.log('✅ Notificação salva com sucesso - ID:', notification.id);
       
+      if (held) {
+        console.log('🔕 Notificação retida para o resumo do usuário', notificationData.userId);
+        return notification;
+      }
+      
+      // Repetição de uma notificação aberta: atualizar o contador em vez de notificar de novo
+      if (notification.occurrenceCount > 1) {
+        if (this.io) {
+          const room = data.userId ? this.io.to(`user:${data.userId}`) : this.io;
+          room.emit('notification-updated', notification);
+        }
+        return notification;
+      }
+      
       // Emitir evento WebSocket para notificação em tempo real
       if (this.io) {
         console.log('📡 Emitindo notificação via WebSocket...');
@@ -275,8 +274,8 @@ class NotificationService {
       
       console.log('🏭 Dados da máquina encontrada:', JSON.stringify(machine, null, 2));
       
-      // Buscar usuários que devem receber a notificação
-      const targetUsers = await this.getUsersByRole(['LEADER', 'MANAGER', 'ADMIN']);
+      // Buscar usuários que devem receber a notificação (líderes apenas da equipe em turno)
+      const targetUsers = await require('./onCallService').resolveRecipients(['LEADER', 'MANAGER', 'ADMIN']);
       console.log(`📋 Criando notificações para ${targetUsers.length} usuários`);
       targetUsers.forEach(user => {
         console.log(`   - ${user.name} (${user.role}) - ID: ${user.id}`);
@@ -571,6 +570,7 @@ class NotificationService {
         machineId: machine.id,
         changeId: teflonData.id,
         priority: urgencyLevel,
+        dedupKey: `teflon-expiry:${teflonData.id}`,
         channels: ['EMAIL', 'PUSH', 'SYSTEM'],
         metadata: {
           machineName: machine.name,
@@ -699,6 +699,16 @@ class NotificationService {
    * NOVOS MÉTODOS PARA SISTEMA DE ALERTAS PROFISSIONAL
    */
 
+  /**
+   * Converte a prioridade dos casos específicos (LOW, MEDIUM, HIGH, URGENT) para a escala
+   * da tabela alerts (info, warning, critical)
+   */
+  normalizeAlertPriority(priority) {
+    const mapping = { LOW: 'info', MEDIUM: 'warning', HIGH: 'critical', URGENT: 'critical' };
+    const value = String(priority || 'info');
+    return mapping[value.toUpperCase()] || (this.priorities[value.toLowerCase()] ? value.toLowerCase() : 'info');
+  }
+
   /**
    * Cria um novo alerta no sistema
    * @param {Object} alertData - Dados do alerta
@@ -706,11 +716,14 @@ class NotificationService {
    * @param {string} alertData.lote - Lote relacionado
    * @param {string} alertData.caixa - Caixa relacionada
    * @param {string} alertData.type - Tipo do alerta (teste, teflon, parada)
-   * @param {string} alertData.priority - Prioridade (info, warning, critical)
+   * @param {string} alertData.priority - Prioridade (info, warning, critical ou LOW, MEDIUM, HIGH, URGENT)
+   * @param {string} alertData.title - Título do alerta (padrão: o tipo)
    * @param {string} alertData.message - Mensagem do alerta
+   * @param {Object} alertData.metadata - Dados adicionais do alerta
    * @param {number[]} userIds - IDs dos usuários para notificar
    */
   async createAlert(alertData, userIds = []) {
+    const priority = this.normalizeAlertPriority(alertData.priority);
     const client = await pool.connect();
     
     try {
@@ -725,9 +738,10 @@ class NotificationService {
         // Para casos específicos, verificar por tipo específico e máquina
         duplicateQuery = `
           SELECT id FROM alerts 
-          WHERE machine_id = $1 
+          WHERE machine_id IS NOT DISTINCT FROM $1 
             AND type = $2 
             AND message LIKE $3
+            AND status != 'resolved'
             AND created_at > NOW() - INTERVAL '2 hours'
           ORDER BY created_at DESC 
           LIMIT 1
@@ -737,33 +751,63 @@ class NotificationService {
         // Para alertas gerais, usar critérios padrão
         duplicateQuery = `
           SELECT id FROM alerts 
-          WHERE machine_id = $1 
+          WHERE machine_id IS NOT DISTINCT FROM $1 
             AND type = $2 
             AND priority = $3 
+            AND status != 'resolved'
             AND created_at > NOW() - INTERVAL '24 hours'
           ORDER BY created_at DESC 
           LIMIT 1
         `;
-        duplicateParams = [alertData.machine_id, alertData.type, alertData.priority];
+        duplicateParams = [alertData.machine_id, alertData.type, priority];
       }
       
       const duplicateCheck = await client.query(duplicateQuery, duplicateParams);
       
       if (duplicateCheck.rows.length > 0) {
-        console.log('⚠️ Alerta duplicado detectado, ignorando...', {
+        console.log('⚠️ Alerta duplicado detectado, registrando nova ocorrência...', {
           type: alertData.type,
           machine_id: alertData.machine_id
         });
-        await client.query('ROLLBACK');
-        return { success: false, reason: 'duplicate', existingAlertId: duplicateCheck.rows[0].id };
+        
+        // Repetição da mesma condição: agrupar no alerta existente em vez de notificar de novo
+        const occurrence = await client.query(`
+          UPDATE alerts
+          SET occurrence_count = occurrence_count + 1, last_occurred_at = NOW()
+          WHERE id = $1
+          RETURNING occurrence_count
+        `, [duplicateCheck.rows[0].id]);
+        await client.query('COMMIT');
+        
+        if (this.io) {
+          this.io.emit('alert:occurrence', {
+            alertId: duplicateCheck.rows[0].id,
+            occurrenceCount: occurrence.rows[0].occurrence_count
+          });
+        }
+        return {
+          success: false,
+          reason: 'duplicate',
+          existingAlertId: duplicateCheck.rows[0].id,
+          occurrenceCount: occurrence.rows[0].occurrence_count
+        };
       }
       
       // Inserir novo alerta
       const alertResult = await client.query(`
-        INSERT INTO alerts (machine_id, lote, caixa, type, priority, message)
-        VALUES ($1, $2, $3, $4, $5, $6)
+        INSERT INTO alerts (machine_id, lote, caixa, type, priority, title, message, metadata)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
         RETURNING *
-      `, [alertData.machine_id, alertData.lote, alertData.caixa, alertData.type, alertData.priority, alertData.message]);
+      `, [
+        alertData.machine_id,
+        alertData.lote,
+        alertData.caixa,
+        alertData.type,
+        priority,
+        alertData.title || alertData.type,
+        alertData.message,
+        alertData.metadata ? JSON.stringify(alertData.metadata) : null
+      ]);
       
       const alert = alertResult.rows[0];
       
@@ -773,13 +817,36 @@ class NotificationService {
         userIds = usersResult.rows.map(row => row.id);
       }
       
-      // Enviar notificações para cada usuário
+      // Enviar notificações para cada usuário; os envios externos só saem depois do COMMIT
+      const pendingDeliveries = [];
       for (const userId of userIds) {
-        await this.sendNotificationToUser(userId, alert, client);
+        await this.sendNotificationToUser(userId, alert, client, pendingDeliveries);
       }
       
+      // Alertas críticos também vão para o canal de chat da equipe (Teams, Slack, Telegram), quando configurado
+      if (priority === 'critical' && notificationDeliveryService.providerFor('chat')) {
+        pendingDeliveries.push(await notificationDeliveryService.enqueue({
+          channel: 'chat',
+          alertId: alert.id,
+          title: alert.title,
+          message: alert.message,
+          priority
+        }, client));
+      }
+
+      // Linha do tempo e prazo de reconhecimento da política de escalonamento
+      // (require tardio: o serviço de escalonamento depende deste serviço)
+      const alertEscalationService = require('./alertEscalationService');
+      await alertEscalationService.startEscalation(alert, userIds, client);
+      
       await client.query('COMMIT');
       
+      // Chamadas aos provedores fora da transação; falhas ficam para o agendador de novas tentativas
+      notificationDeliveryService.dispatch(pendingDeliveries).catch(error => {
+        console.error(`❌ Erro ao enviar notificações externas do alerta ${alert.id}:`, error);
+      });
+      webhookService.publish('alert:created', { alert, notifiedUsers: userIds.length });
+      
       console.log(`✅ Alerta criado e enviado para ${userIds.length} usuários`);
       return { success: true, alert, notifiedUsers: userIds.length };
       
@@ -794,8 +861,10 @@ class NotificationService {
   
   /**
    * Envia notificação para um usuário específico
+   * @param {Array} pendingDeliveries - Quando informado, os envios externos são apenas enfileirados
+   *   nesta lista, para o chamador despachar após o COMMIT da sua transação
    */
-  async sendNotificationToUser(userId, alert, client) {
+  async sendNotificationToUser(userId, alert, client, pendingDeliveries = null) {
     try {
       // Buscar preferências do usuário
       const prefsResult = await client.query(`
@@ -822,38 +891,63 @@ class NotificationService {
         return;
       }
       
-      const notificationPromises = [];
-      
-      // Email
-      if (userPrefs.email && userPrefs.email) {
-        notificationPromises.push(this.sendAlertEmail(userPrefs.email, alert));
+      // Horário de silêncio ou modo de resumo: sem email/SMS/WhatsApp agora, o alerta segue no resumo
+      if (await notificationDigestService.isHeldFor(userId, alert.priority)) {
+        await notificationDigestService.storeNotification({
+          userId,
+          machineId: alert.machine_id,
+          type: alert.type,
+          title: alert.title || alert.type,
+          message: alert.message,
+          priority: alert.priority,
+          channels: ['EMAIL'],
+          metadata: { alertId: alert.id },
+          dedupKey: `alert:${alert.type}:${alert.machine_id}`
+        }, true);
+        console.log(`🔕 Alerta ${alert.id} retido para o resumo do usuário ${userId}`);
+        
+        if (this.io) {
+          this.io.to(`user:${userId}`).emit('new-alert', {
+            ...alert,
+            priorityConfig: this.priorities[alert.priority],
+            timestamp: new Date().toISOString()
+          });
+        }
+        return;
       }
       
-      // SMS
+      // Um envio por canal habilitado, registrado em notification_logs com recibo e novas tentativas
+      const { subject, html } = this.formatAlertEmail(alert);
+      const text = this.formatAlertText(alert);
+      const deliveries = [];
+      
+      if (userPrefs.email) {
+        deliveries.push({ channel: 'email', recipient: userPrefs.email, title: subject, message: alert.message, html });
+      }
       if (userPrefs.sms && userPrefs.phone) {
-        notificationPromises.push(this.sendAlertSMS(userPrefs.phone, alert));
+        deliveries.push({ channel: 'sms', recipient: userPrefs.phone, message: text });
       }
-      
-      // WhatsApp
       if (userPrefs.whatsapp && userPrefs.phone) {
-        notificationPromises.push(this.sendAlertWhatsApp(userPrefs.phone, alert));
+        deliveries.push({ channel: 'whatsapp', recipient: userPrefs.phone, message: text });
       }
       
-      // Executar envios em paralelo
-      const results = await Promise.allSettled(notificationPromises);
-      
-      // Registrar log de notificação
-      const channels = [];
-      if (userPrefs.email) channels.push('email');
-      if (userPrefs.sms) channels.push('sms');
-      if (userPrefs.whatsapp) channels.push('whatsapp');
-      
-      await client.query(`
-        INSERT INTO notification_logs (alert_id, user_id, channels, status, sent_at)
-        VALUES ($1, $2, $3, $4, NOW())
-      `, [alert.id, userId, JSON.stringify(channels), 'sent']);
+      const queued = [];
+      for (const delivery of deliveries) {
+        queued.push(await notificationDeliveryService.enqueue({
+          ...delivery,
+          alertId: alert.id,
+          userId,
+          priority: alert.priority
+        }, client));
+      }
+      if (pendingDeliveries) {
+        pendingDeliveries.push(...queued);
+      } else {
+        await notificationDeliveryService.dispatch(queued);
+      }
       
-      console.log(`📤 Notificação enviada para usuário ${userId} via ${channels.join(', ')}`);
+      const channels = deliveries.map(delivery => delivery.channel);
+      console.log(`📤 Notificação enviada para usuário ${userId} via ${channels.join(', ') || 'nenhum canal externo'}`);
       
       // Emitir via WebSocket se disponível
       if (this.io) {
@@ -867,23 +961,13 @@ class NotificationService {
       
     } catch (error) {
       console.error(`❌ Erro ao enviar notificação para usuário ${userId}:`, error);
-      
-      // Registrar erro no log
-      await client.query(`
-        INSERT INTO notification_logs (alert_id, user_id, channels, status, error_message, sent_at)
-        VALUES ($1, $2, $3, $4, $5, NOW())
-      `, [alert.id, userId, '[]', 'failed', error.message]);
     }
   }
   
   /**
-   * Envia email de alerta
+   * Assunto e HTML do email de alerta
    */
-  async sendAlertEmail(email, alert) {
-    if (!process.env.SMTP_USER || !process.env.SMTP_PASS) {
-      throw new Error('Configurações de email não encontradas');
-    }
-    
+  formatAlertEmail(alert) {
     const priorityConfig = this.priorities[alert.priority];
     const subject = `🚨 Alerta ${alert.priority.toUpperCase()} - Máquina ${alert.machine_id}`;
     
@@ -913,34 +997,14 @@ class NotificationService {
       </div>
     `;
     
-    await emailTransporter.sendMail({
-      from: process.env.EMAIL_FROM,
-      to: email,
-      subject,
-      html
-    });
+    return { subject, html };
   }
   
   /**
-   * Envia SMS de alerta
+   * Texto do alerta para SMS, WhatsApp e chat
    */
-  async sendAlertSMS(phone, alert) {
-    // Implementação futura com Twilio ou Zenvia
-    console.log(`📱 SMS seria enviado para ${phone}: ${alert.message}`);
-  }
-  
-  /**
-   * Envia WhatsApp via Meta Cloud API
-   */
-  async sendAlertWhatsApp(phone, alert) {
-    const token = process.env.WHATSAPP_TOKEN;
-    const phoneNumberId = process.env.WHATSAPP_PHONE_ID;
-    
-    if (!token || !phoneNumberId) {
-      throw new Error('Configurações do WhatsApp não encontradas');
-    }
-    
-    const message = `🚨 *Alerta ZARA*\n\n` +
+  formatAlertText(alert) {
+    return `🚨 *Alerta ZARA*\n\n` +
       `*Máquina:* ${alert.machine_id}\n` +
       `*Tipo:* ${alert.type}\n` +
       `*Prioridade:* ${alert.priority}\n` +
@@ -948,32 +1012,13 @@ class NotificationService {
       `*Caixa:* ${alert.caixa || 'N/A'}\n\n` +
       `*Mensagem:* ${alert.message}\n\n` +
       `_${new Date(alert.created_at).toLocaleString('pt-BR')}_`;
-    
-    const response = await fetch(`https://graph.facebook.com/v17.0/${phoneNumberId}/messages`, {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${token}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        messaging_product: 'whatsapp',
-        to: phone,
-        type: 'text',
-        text: { body: message }
-      })
-    });
-    
-    if (!response.ok) {
-      const error = await response.text();
-      throw new Error(`Erro no WhatsApp: ${error}`);
-    }
   }
   
   /**
    * Busca alertas com filtros
    */
   async getAlerts(filters = {}) {
-    const { machine_id, lote, type, priority, start_date, end_date, limit = 50, offset = 0 } = filters;
+    const { machine_id, lote, type, priority, status, start_date, end_date, limit = 50, offset = 0 } = filters;
     
     let query = 'SELECT * FROM alerts WHERE 1=1';
     const params = [];
@@ -999,6 +1044,11 @@ class NotificationService {
       params.push(priority);
     }
     
+    if (status) {
+      query += ` AND status = $${++paramCount}`;
+      params.push(status);
+    }
+    
     if (start_date) {
       query += ` AND created_at >= $${++paramCount}`;
       params.push(start_date);
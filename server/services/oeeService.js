@@ -1,5 +1,7 @@
 const db = require('../config/database');
 const { pool } = db;
+const productionLedgerService = require('./productionLedgerService');
+const scrapService = require('./scrapService');
 
 /**
  * Calcula OEE (Overall Equipment Effectiveness) usando a fórmula:
@@ -19,13 +21,6 @@ async function calculateOEE(machineId, startTime, endTime) {
       WHERE m.id = $1
     `;
     
-    const statusHistoryQuery = `
-      SELECT sh.new_status, sh.created_at
-      FROM machine_status_history sh
-      WHERE sh.machine_id = $1 AND sh.created_at >= $2 AND sh.created_at <= $3
-      ORDER BY sh.created_at ASC
-    `;
-    
     const machineResult = await db.query(machineQuery, [machineId]);
     
     if (machineResult.rows.length === 0) {
@@ -41,11 +36,7 @@ async function calculateOEE(machineId, startTime, endTime) {
       targetProduction: machineResult.rows[0].target_production
     };
     
-    const statusHistoryResult = await db.query(statusHistoryQuery, [machineId, startTime, endTime]);
-    machine.statusHistory = statusHistoryResult.rows.map(row => ({
-       newStatus: row.new_status,
-       createdAt: row.created_at
-     }));
+    machine.statusHistory = await getStatusHistory(machineId, startTime, endTime);
 
     // Calcular tempo total do período em minutos
     const totalMinutes = Math.floor((endTime - startTime) / (1000 * 60));
@@ -64,6 +55,7 @@ async function calculateOEE(machineId, startTime, endTime) {
 
     return {
       machineId,
+      machineName: machine.name,
       period: { startTime, endTime },
       totalMinutes,
       oee: Math.round(oee * 100) / 100,
@@ -72,6 +64,8 @@ async function calculateOEE(machineId, startTime, endTime) {
         runningMinutes: availability.runningMinutes,
         plannedMinutes: availability.plannedMinutes,
         downtimeMinutes: availability.downtimeMinutes,
+        plannedStopMinutes: availability.plannedStopMinutes,
+        unplannedStopMinutes: availability.unplannedStopMinutes,
         breakdown: availability.breakdown
       },
       performance: {
@@ -85,6 +79,9 @@ async function calculateOEE(machineId, startTime, endTime) {
         goodParts: quality.goodParts,
         totalParts: quality.totalParts,
         defectiveParts: quality.defectiveParts,
+        scrapParts: quality.scrapParts,
+        reworkParts: quality.reworkParts,
+        faiHeldParts: quality.faiHeldParts,
         testsRequired: quality.testsRequired,
         testsPassed: quality.testsPassed
       },
@@ -97,9 +94,48 @@ async function calculateOEE(machineId, startTime, endTime) {
   }
 }
 
+/**
+ * Mudanças de status da máquina no período, incluindo a última anterior ao início.
+ * Uma parada que começou antes do período (setup, troca de produto) entra recortada no
+ * início, com a sua classificação de planejada, em vez de virar parada não planejada.
+ */
+async function getStatusHistory(machineId, startTime, endTime) {
+  const result = await db.query(`
+    SELECT new_status, created_at, downtime_reason_id, is_planned
+    FROM (
+      (
+        SELECT sh.new_status, sh.created_at, sh.downtime_reason_id, dr.is_planned
+        FROM machine_status_history sh
+        LEFT JOIN downtime_reasons dr ON sh.downtime_reason_id = dr.id
+        WHERE sh.machine_id = $1 AND sh.created_at < $2
+        ORDER BY sh.created_at DESC
+        LIMIT 1
+      )
+      UNION ALL
+      (
+        SELECT sh.new_status, sh.created_at, sh.downtime_reason_id, dr.is_planned
+        FROM machine_status_history sh
+        LEFT JOIN downtime_reasons dr ON sh.downtime_reason_id = dr.id
+        WHERE sh.machine_id = $1 AND sh.created_at >= $2 AND sh.created_at <= $3
+      )
+    ) history
+    ORDER BY created_at ASC
+  `, [machineId, startTime, endTime]);
+
+  return result.rows.map(row => ({
+    newStatus: row.new_status,
+    createdAt: new Date(row.created_at) < startTime ? startTime : row.created_at,
+    downtimeReasonId: row.downtime_reason_id,
+    isPlanned: row.is_planned === true
+  }));
+}
+
 /**
  * Calcula a Disponibilidade da máquina
  * Disponibilidade = Tempo de Funcionamento / Tempo Total Planejado
+ *
+ * Paradas classificadas com motivo planejado (refeição, setup, preventiva)
+ * são descontadas do tempo planejado em vez de contarem como indisponibilidade.
  */
 async function calculateAvailability(machine, startTime, endTime, totalMinutes) {
   const statusBreakdown = {
@@ -108,15 +144,32 @@ async function calculateAvailability(machine, startTime, endTime, totalMinutes)
     MANUTENCAO: 0,
     FORA_DE_TURNO: 0
   };
+  let plannedStopMinutes = 0;
+  let unplannedStopMinutes = 0;
+
+  // Acumular minutos de um trecho no status correspondente
+  const addMinutes = (status, isPlanned, minutes) => {
+    if (minutes <= 0) return;
+    statusBreakdown[status] = (statusBreakdown[status] || 0) + minutes;
+
+    if (status === 'PARADA' || status === 'MANUTENCAO') {
+      if (isPlanned) {
+        plannedStopMinutes += minutes;
+      } else {
+        unplannedStopMinutes += minutes;
+      }
+    }
+  };
 
   // Se não há histórico de status, usar status atual
   if (!machine.statusHistory || machine.statusHistory.length === 0) {
     const currentStatus = machine.status || 'PARADA';
-    statusBreakdown[currentStatus] = totalMinutes;
+    addMinutes(currentStatus, false, totalMinutes);
   } else {
     // Processar histórico de status
     // Obter status inicial: primeiro status do histórico ou status atual da máquina
     let currentStatus = machine.status || 'PARADA';
+    let currentIsPlanned = false;
     
     // Se há histórico, verificar se há um status anterior ao período
     if (machine.statusHistory.length > 0) {
@@ -136,6 +189,7 @@ async function calculateAvailability(machine, startTime, endTime, totalMinutes)
           
           if (changeTime <= startTime) {
             currentStatus = change.newStatus;
+            currentIsPlanned = !!change.isPlanned;
           } else {
             break;
           }
@@ -152,12 +206,11 @@ async function calculateAvailability(machine, startTime, endTime, totalMinutes)
       if (changeTime >= startTime && changeTime <= endTime) {
         if (changeTime > currentTime) {
           const minutes = Math.floor((changeTime - currentTime) / (1000 * 60));
-          if (minutes > 0) {
-            statusBreakdown[currentStatus] += minutes;
-          }
+          addMinutes(currentStatus, currentIsPlanned, minutes);
         }
         
         currentStatus = statusChange.newStatus;
+        currentIsPlanned = !!statusChange.isPlanned;
         currentTime = changeTime;
       }
     }
@@ -165,15 +218,14 @@ async function calculateAvailability(machine, startTime, endTime, totalMinutes)
     // Adicionar tempo restante até o fim do período
     if (currentTime < endTime) {
       const minutes = Math.floor((endTime - currentTime) / (1000 * 60));
-      if (minutes > 0) {
-        statusBreakdown[currentStatus] += minutes;
-      }
+      addMinutes(currentStatus, currentIsPlanned, minutes);
     }
   }
 
   const runningMinutes = statusBreakdown.FUNCIONANDO;
-  const plannedMinutes = totalMinutes - statusBreakdown.FORA_DE_TURNO; // Excluir tempo fora de turno
-  const downtimeMinutes = statusBreakdown.PARADA + statusBreakdown.MANUTENCAO;
+  // Excluir tempo fora de turno e paradas planejadas
+  const plannedMinutes = totalMinutes - statusBreakdown.FORA_DE_TURNO - plannedStopMinutes;
+  const downtimeMinutes = unplannedStopMinutes;
   
   const availability = plannedMinutes > 0 ? (runningMinutes / plannedMinutes) * 100 : 0;
 
@@ -182,6 +234,8 @@ async function calculateAvailability(machine, startTime, endTime, totalMinutes)
     runningMinutes,
     plannedMinutes,
     downtimeMinutes,
+    plannedStopMinutes,
+    unplannedStopMinutes,
     breakdown: Object.entries(statusBreakdown)
       .filter(([status, minutes]) => minutes > 0)
       .map(([status, minutes]) => ({
@@ -197,17 +251,8 @@ async function calculateAvailability(machine, startTime, endTime, totalMinutes)
  * Performance = Produção Real / Produção Teórica
  */
 async function calculatePerformance(machine, startTime, endTime, runningMinutes) {
-  // Buscar produção real do banco de dados
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  
-  const shiftDataResult = await db.query(
-    'SELECT * FROM shift_data WHERE machine_id = $1 AND shift_date = $2 LIMIT 1',
-    [machine.id, today]
-  );
-  const shiftData = shiftDataResult.rows[0] || null;
-
-  const actualProduction = shiftData ? shiftData.total_production : 0;
+  // Produção real do período a partir do livro de eventos (incrementos e correções)
+  const { produced: actualProduction } = await productionLedgerService.getProducedQuantity(machine.id, startTime, endTime);
   const productionSpeed = machine.productionSpeed || 0;
   const theoreticalProduction = runningMinutes * productionSpeed;
   
@@ -222,7 +267,8 @@ async function calculatePerformance(machine, startTime, endTime, runningMinutes)
 }
 
 /**
- * Calcula a qualidade baseada nos testes de qualidade realizados e configurações
+ * Calcula a qualidade a partir do rendimento de peças (produzidas − refugo − retrabalho −
+ * produzidas com a primeira peça pendente) e das penalidades dos testes de qualidade realizados e pendentes
  * @param {Object} machine - Dados da máquina
  * @param {Date} startTime - Início do período
  * @param {Date} endTime - Fim do período
@@ -230,6 +276,18 @@ async function calculatePerformance(machine, startTime, endTime, runningMinutes)
  */
 async function calculateQuality(machine, startTime, endTime) {
   try {
+    // Rendimento de peças: refugo vem do livro de produção, retrabalho dos lançamentos na máquina
+    const { produced, scrap, held = 0 } = await productionLedgerService.getProducedQuantity(machine.id, startTime, endTime);
+    const rework = await scrapService.getReworkQuantity(machine.id, startTime, endTime);
+    const totalParts = Math.max(0, Math.floor(produced));
+    const scrapParts = Math.floor(scrap);
+    const reworkParts = Math.floor(rework);
+    // Peças produzidas antes da aprovação da primeira peça não contam como boas
+    const faiHeldParts = Math.floor(held);
+    const defectiveParts = Math.min(totalParts, scrapParts + reworkParts + faiHeldParts);
+    const goodParts = totalParts - defectiveParts;
+    const partsYield = totalParts > 0 ? (goodParts / totalParts) * 100 : null;
+
     // Buscar testes de qualidade do período
     const qualityTestsResult = await db.query(`
       SELECT qt.*, qtc.is_required as config_is_required, qtc.test_frequency as config_test_frequency
@@ -266,7 +324,7 @@ async function calculateQuality(machine, startTime, endTime) {
     const requiredTests = qualityTests.filter(test => test.isRequired || test.config?.isRequired);
     const optionalTests = qualityTests.filter(test => !test.isRequired && !test.config?.isRequired);
 
-    let qualityScore = 100;
+    let qualityScore = partsYield !== null ? partsYield : 100;
     let penalties = [];
     let details = {
       totalTests: qualityTests.length,
@@ -278,12 +336,15 @@ async function calculateQuality(machine, startTime, endTime) {
     };
 
     if (qualityTests.length === 0 && activeConfigs.length === 0) {
-      // Se não há testes nem configurações, assumir qualidade padrão
+      // Sem testes nem configurações: rendimento de peças ou qualidade padrão
       return {
-        percentage: 95.0,
-        goodParts: 0,
-        totalParts: 0,
-        defectiveParts: 0,
+        percentage: partsYield !== null ? Math.round(partsYield * 10) / 10 : 95.0,
+        goodParts,
+        totalParts,
+        defectiveParts,
+        scrapParts,
+        reworkParts,
+        faiHeldParts,
         testsRequired: 0,
         testsPassed: 0,
         details,
@@ -368,9 +429,12 @@ async function calculateQuality(machine, startTime, endTime) {
     
     return {
       percentage: Math.round(qualityScore * 10) / 10,
-      goodParts: approvedTests.length,
-      totalParts: qualityTests.length,
-      defectiveParts: rejectedTests.length,
+      goodParts,
+      totalParts,
+      defectiveParts,
+      scrapParts,
+      reworkParts,
+      faiHeldParts,
       testsRequired: activeConfigs.reduce((sum, config) => {
         if (!config.isRequired) return sum;
         const today = new Date();
@@ -390,6 +454,9 @@ async function calculateQuality(machine, startTime, endTime) {
       goodParts: 0,
       totalParts: 0,
       defectiveParts: 0,
+      scrapParts: 0,
+      reworkParts: 0,
+      faiHeldParts: 0,
       testsRequired: 0,
       testsPassed: 0,
       details: { totalTests: 0, requiredTests: 0, optionalTests: 0, approvedTests: 0, rejectedTests: 0, pendingRequiredTests: 0 },
@@ -482,6 +549,7 @@ module.exports = {
   calculateOEE,
   calculateCurrentShiftOEE,
   calculateMultipleOEE,
+  getStatusHistory,
   calculateAvailability,
   calculatePerformance,
   calculateQuality,
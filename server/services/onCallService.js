@@ -0,0 +1,270 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const notificationService = require('./notificationService');
+const ShiftRotationService = require('./shiftRotationService');
+
+/**
+ * Plantão dos alertas.
+ * Os perfis do chão de fábrica (operador e líder) são resolvidos pela escala 3x3: recebem os
+ * alertas apenas os membros das equipes em turno no momento, e os líderes são os membros com
+ * shift_team_members.is_leader. Gestores e administradores não entram na escala e continuam
+ * recebendo pelo perfil. Nos períodos cadastrados em maintenance_on_call (noites, fins de
+ * semana), o plantonista de manutenção também recebe os alertas de manutenção.
+ * Sem nenhuma equipe com membros cadastrada, o roteamento volta a ser por perfil.
+ */
+
+const shiftRotationService = new ShiftRotationService();
+
+// Perfis resolvidos pela escala das equipes em turno
+const SHIFT_ROLES = ['OPERATOR', 'LEADER'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Alertas que também vão para o plantonista de manutenção (teflon, preventivas)
+const isMaintenanceAlert = (type) => /teflon|maintenance/i.test(type || '');
+
+function mapOnCall(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    userName: row.user_name,
+    userRole: row.user_role,
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    notes: row.notes,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    createdAt: row.created_at
+  };
+}
+
+async function auditOnCall(action, onCallId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'maintenance_on_call',
+      resourceId: String(onCallId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria do plantão:', error);
+  }
+}
+
+function uniqueUsers(users) {
+  const byId = new Map();
+  for (const user of users) {
+    if (user.id && !byId.has(user.id)) {
+      byId.set(user.id, { id: user.id, name: user.name, email: user.email, role: user.role });
+    }
+  }
+  return [...byId.values()];
+}
+
+/**
+ * Indica se a escala calculada para a data cobre o instante informado
+ */
+function coversInstant(teamShift, now) {
+  if (!teamShift.isWorkDay || !teamShift.shiftTimes) {
+    return false;
+  }
+  const { startTime, endTime } = teamShift.shiftTimes;
+  return now >= startTime && now < endTime;
+}
+
+/**
+ * Equipes 3x3 em turno no instante informado. O turno noturno começa no dia anterior,
+ * por isso a escala de ontem também é verificada.
+ * @returns {Promise<Object>} { hasTeams, teams: [{ teamCode, teamName, currentShift, shiftTimes, members }] }
+ */
+async function getOnShiftTeams(now = new Date()) {
+  const teamsResult = await pool.query(`
+    SELECT st.team_code, st.team_name,
+           COUNT(stm.id) FILTER (WHERE stm.is_active = true) AS member_count
+    FROM shift_teams st
+    LEFT JOIN shift_team_members stm ON stm.team_id = st.id
+    WHERE st.is_active = true
+    GROUP BY st.id
+    ORDER BY st.team_code
+  `);
+
+  const hasTeams = teamsResult.rows.some(row => parseInt(row.member_count) > 0);
+  const teams = [];
+
+  for (const row of teamsResult.rows) {
+    if (parseInt(row.member_count) === 0) {
+      continue;
+    }
+
+    let teamShift = await shiftRotationService.getTeamActiveShift(row.team_code, now);
+    if (!coversInstant(teamShift, now)) {
+      teamShift = await shiftRotationService.getTeamActiveShift(row.team_code, new Date(now.getTime() - DAY_MS));
+    }
+    if (!coversInstant(teamShift, now)) {
+      continue;
+    }
+
+    teams.push({
+      teamCode: row.team_code,
+      teamName: row.team_name,
+      currentShift: teamShift.currentShift,
+      shiftTimes: teamShift.shiftTimes,
+      members: teamShift.members.map(member => ({
+        id: member.userId,
+        name: member.user?.name,
+        email: member.user?.email,
+        role: member.user?.role,
+        isLeader: member.isLeader === true
+      }))
+    });
+  }
+
+  return { hasTeams, teams };
+}
+
+/**
+ * Plantonistas de manutenção com período vigente no instante informado
+ */
+async function getActiveMaintenanceOnCall(now = new Date()) {
+  const result = await pool.query(`
+    SELECT u.id, u.name, u.email, u.role
+    FROM maintenance_on_call oc
+    JOIN users u ON u.id = oc.user_id
+    WHERE oc.starts_at <= $1 AND oc.ends_at > $1 AND u.is_active = true
+    ORDER BY oc.starts_at
+  `, [now]);
+  return result.rows;
+}
+
+/**
+ * Destinatários de um alerta para os perfis informados, respeitando a escala em turno
+ * @param {string[]} roles - Perfis alvo (OPERATOR, LEADER, MANAGER, ADMIN)
+ * @param {Object} options - { now, includeMaintenance }
+ * @returns {Promise<Array>} Usuários [{ id, name, email, role }] sem repetição
+ */
+async function resolveRecipients(roles, { now = new Date(), includeMaintenance = false } = {}) {
+  const { hasTeams, teams } = await getOnShiftTeams(now);
+
+  // Sem equipes cadastradas, não há escala para respeitar
+  if (!hasTeams) {
+    const users = await notificationService.getUsersByRole(roles);
+    if (includeMaintenance) {
+      users.push(...await getActiveMaintenanceOnCall(now));
+    }
+    return uniqueUsers(users);
+  }
+
+  const users = [];
+  const members = teams.flatMap(team => team.members);
+  if (roles.includes('OPERATOR')) {
+    users.push(...members);
+  } else if (roles.includes('LEADER')) {
+    users.push(...members.filter(member => member.isLeader));
+  }
+
+  const officeRoles = roles.filter(role => !SHIFT_ROLES.includes(role));
+  if (officeRoles.length > 0) {
+    users.push(...await notificationService.getUsersByRole(officeRoles));
+  }
+  if (includeMaintenance) {
+    users.push(...await getActiveMaintenanceOnCall(now));
+  }
+
+  return uniqueUsers(users);
+}
+
+/**
+ * Quem está de plantão agora: equipes em turno com seus líderes e a manutenção
+ */
+async function getCurrentOnCall(now = new Date()) {
+  const [{ hasTeams, teams }, maintenance] = await Promise.all([
+    getOnShiftTeams(now),
+    getActiveMaintenanceOnCall(now)
+  ]);
+
+  return {
+    checkedAt: now,
+    hasTeams,
+    teams: teams.map(team => ({
+      ...team,
+      leaders: team.members.filter(member => member.isLeader)
+    })),
+    maintenance
+  };
+}
+
+/**
+ * Plantões de manutenção vigentes e futuros
+ */
+async function getMaintenanceOnCall() {
+  const result = await pool.query(`
+    SELECT oc.*, u.name AS user_name, u.role AS user_role, c.name AS created_by_name
+    FROM maintenance_on_call oc
+    JOIN users u ON u.id = oc.user_id
+    LEFT JOIN users c ON c.id = oc.created_by
+    WHERE oc.ends_at > NOW()
+    ORDER BY oc.starts_at
+  `);
+  return result.rows.map(mapOnCall);
+}
+
+/**
+ * Cadastra um período de plantão de manutenção
+ * @param {Object} data - { userId, startsAt, endsAt, notes }
+ */
+async function createMaintenanceOnCall(data, user, audit = {}) {
+  const startsAt = new Date(data.startsAt);
+  const endsAt = new Date(data.endsAt);
+  if (isNaN(startsAt) || isNaN(endsAt) || endsAt <= startsAt) {
+    throw new AppError('O fim do plantão deve ser posterior ao início', 400);
+  }
+
+  const userResult = await pool.query('SELECT id, name FROM users WHERE id = $1 AND is_active = true', [parseInt(data.userId)]);
+  if (userResult.rows.length === 0) {
+    throw new AppError('Usuário não encontrado ou inativo', 404);
+  }
+
+  const result = await pool.query(`
+    INSERT INTO maintenance_on_call (user_id, starts_at, ends_at, notes, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [userResult.rows[0].id, startsAt, endsAt, data.notes ? String(data.notes).trim() : null, user.id]);
+
+  const onCall = mapOnCall({ ...result.rows[0], user_name: userResult.rows[0].name });
+  await auditOnCall('MAINTENANCE_ON_CALL_CREATED', onCall.id, user.id, {
+    userId: onCall.userId,
+    startsAt,
+    endsAt
+  }, audit);
+  return onCall;
+}
+
+async function deleteMaintenanceOnCall(id, user, audit = {}) {
+  const result = await pool.query('DELETE FROM maintenance_on_call WHERE id = $1 RETURNING *', [parseInt(id)]);
+  if (result.rows.length === 0) {
+    throw new AppError('Plantão não encontrado', 404);
+  }
+
+  await auditOnCall('MAINTENANCE_ON_CALL_DELETED', id, user.id, { userId: result.rows[0].user_id }, { method: 'DELETE', ...audit });
+  return mapOnCall(result.rows[0]);
+}
+
+module.exports = {
+  SHIFT_ROLES,
+  isMaintenanceAlert,
+  getOnShiftTeams,
+  getActiveMaintenanceOnCall,
+  resolveRecipients,
+  getCurrentOnCall,
+  getMaintenanceOnCall,
+  createMaintenanceOnCall,
+  deleteMaintenanceOnCall
+};
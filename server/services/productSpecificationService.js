@@ -0,0 +1,280 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+
+// Dimensões medidas no teste de qualidade (campo da API => coluna em quality_tests)
+const DIMENSIONS = {
+  packageWidth: { column: 'package_width', label: 'Largura da Embalagem' },
+  bottomSize: { column: 'bottom_size', label: 'Tamanho do Fundo' },
+  sideSize: { column: 'side_size', label: 'Tamanho Lateral' },
+  zipperDistance: { column: 'zipper_distance', label: 'Distância do Zíper' },
+  facilitatorDistance: { column: 'facilitator_distance', label: 'Distância do Facilitador' }
+};
+
+const DIMENSION_KEYS = Object.keys(DIMENSIONS);
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Converte uma linha de limite para o formato da API, já com mínimo e máximo
+ */
+function mapLimit(row) {
+  const nominal = parseFloat(row.nominal);
+  const lowerTolerance = parseFloat(row.lower_tolerance);
+  const upperTolerance = parseFloat(row.upper_tolerance);
+
+  return {
+    dimension: row.dimension,
+    label: DIMENSIONS[row.dimension]?.label || row.dimension,
+    nominal,
+    lowerTolerance,
+    upperTolerance,
+    min: round(nominal - lowerTolerance),
+    max: round(nominal + upperTolerance),
+    unit: row.unit || 'mm'
+  };
+}
+
+/**
+ * Converte uma especificação e seus limites para o formato da API
+ * `limits` é indexado pela dimensão (packageWidth, bottomSize, ...)
+ */
+function mapSpecification(row, limitRows = []) {
+  return {
+    id: row.id,
+    product: row.product,
+    lot: row.lot,
+    description: row.description,
+    isActive: row.is_active,
+    limits: limitRows.reduce((acc, limit) => {
+      acc[limit.dimension] = mapLimit(limit);
+      return acc;
+    }, {}),
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+async function loadSpecifications(whereClause, params) {
+  const specsResult = await pool.query(`
+    SELECT * FROM product_specifications
+    ${whereClause}
+    ORDER BY product, lot NULLS FIRST
+  `, params);
+
+  if (specsResult.rows.length === 0) {
+    return [];
+  }
+
+  const ids = specsResult.rows.map(row => row.id);
+  const limitsResult = await pool.query(
+    'SELECT * FROM product_specification_limits WHERE specification_id = ANY($1)',
+    [ids]
+  );
+
+  return specsResult.rows.map(row =>
+    mapSpecification(row, limitsResult.rows.filter(limit => limit.specification_id === row.id))
+  );
+}
+
+/**
+ * Lista as especificações
+ * @param {Object} options
+ * @param {string} options.product - Filtrar por produto
+ * @param {boolean} options.includeInactive - Incluir especificações desativadas
+ */
+async function getSpecifications({ product = null, includeInactive = false } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (!includeInactive) {
+    conditions.push('is_active = true');
+  }
+
+  if (product) {
+    params.push(product);
+    conditions.push(`product = $${params.length}`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  return loadSpecifications(where, params);
+}
+
+async function getSpecificationById(id) {
+  const [specification] = await loadSpecifications('WHERE id = $1', [id]);
+  return specification || null;
+}
+
+/**
+ * Busca a especificação ativa de um produto/lote
+ * A especificação do lote tem prioridade sobre a especificação geral do produto.
+ */
+async function findSpecification(product, lot = null) {
+  if (!product) {
+    return null;
+  }
+
+  const specifications = await loadSpecifications(
+    'WHERE is_active = true AND product = $1 AND (lot IS NULL OR lot = $2)',
+    [product, lot || '']
+  );
+
+  return specifications.find(spec => spec.lot && spec.lot === lot)
+    || specifications.find(spec => !spec.lot)
+    || null;
+}
+
+/**
+ * Busca a especificação do produto/lote configurado na máquina (machine_configs)
+ * @returns {Promise<Object>} { product, lot, specification }
+ */
+async function getSpecificationForMachine(machineId) {
+  const configResult = await pool.query(
+    'SELECT produto, lote FROM machine_configs WHERE machine_id = $1',
+    [machineId]
+  );
+  const config = configResult.rows[0];
+
+  if (!config || !config.produto) {
+    return { product: null, lot: null, specification: null };
+  }
+
+  return {
+    product: config.produto,
+    lot: config.lote,
+    specification: await findSpecification(config.produto, config.lote)
+  };
+}
+
+/**
+ * Avalia as medições contra os limites da especificação
+ * Dimensões sem limite cadastrado não entram na avaliação.
+ * @param {Object} specification - Especificação mapeada
+ * @param {Object} measurements - { packageWidth, bottomSize, ... }
+ * @returns {Object} { approved, results, failed }
+ */
+function evaluateMeasurements(specification, measurements = {}) {
+  const results = Object.values(specification.limits).map(limit => {
+    const value = parseFloat(measurements[limit.dimension]);
+    const measured = !isNaN(value);
+    const passed = measured && value >= limit.min && value <= limit.max;
+
+    return {
+      dimension: limit.dimension,
+      label: limit.label,
+      value: measured ? value : null,
+      nominal: limit.nominal,
+      min: limit.min,
+      max: limit.max,
+      unit: limit.unit,
+      deviation: measured ? round(value - limit.nominal) : null,
+      passed
+    };
+  });
+
+  const failed = results.filter(result => !result.passed);
+
+  return {
+    approved: failed.length === 0,
+    results,
+    failed
+  };
+}
+
+async function saveLimits(client, specificationId, limits) {
+  await client.query('DELETE FROM product_specification_limits WHERE specification_id = $1', [specificationId]);
+
+  for (const [dimension, limit] of Object.entries(limits)) {
+    await client.query(`
+      INSERT INTO product_specification_limits (specification_id, dimension, nominal, lower_tolerance, upper_tolerance, unit)
+      VALUES ($1, $2, $3, $4, $5, $6)
+    `, [specificationId, dimension, limit.nominal, limit.lowerTolerance || 0, limit.upperTolerance || 0, limit.unit || 'mm']);
+  }
+}
+
+async function ensureUnique(product, lot, excludeId = null) {
+  const result = await pool.query(`
+    SELECT id FROM product_specifications
+    WHERE product = $1 AND COALESCE(lot, '') = $2 AND ($3::integer IS NULL OR id <> $3)
+  `, [product, lot || '', excludeId]);
+
+  if (result.rows.length > 0) {
+    throw new AppError('Já existe uma especificação para este produto/lote', 400);
+  }
+}
+
+async function createSpecification({ product, lot, description, limits }, userId) {
+  await ensureUnique(product, lot);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await client.query(`
+      INSERT INTO product_specifications (product, lot, description, created_by)
+      VALUES ($1, $2, $3, $4)
+      RETURNING id
+    `, [product, lot || null, description || null, userId]);
+
+    await saveLimits(client, result.rows[0].id, limits);
+    await client.query('COMMIT');
+
+    return getSpecificationById(result.rows[0].id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+async function updateSpecification(id, { product, lot, description, limits, isActive }) {
+  const current = await getSpecificationById(id);
+  if (!current) {
+    throw new AppError('Especificação não encontrada', 404);
+  }
+
+  const nextProduct = product !== undefined ? product : current.product;
+  const nextLot = lot !== undefined ? lot : current.lot;
+  await ensureUnique(nextProduct, nextLot, id);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`
+      UPDATE product_specifications
+      SET product = $1, lot = $2, description = $3, is_active = $4
+      WHERE id = $5
+    `, [
+      nextProduct,
+      nextLot || null,
+      description !== undefined ? description : current.description,
+      isActive !== undefined ? isActive : current.isActive,
+      id
+    ]);
+
+    if (limits) {
+      await saveLimits(client, id, limits);
+    }
+    await client.query('COMMIT');
+
+    return getSpecificationById(id);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  DIMENSIONS,
+  DIMENSION_KEYS,
+  mapSpecification,
+  getSpecifications,
+  getSpecificationById,
+  findSpecification,
+  getSpecificationForMachine,
+  evaluateMeasurements,
+  createSpecification,
+  updateSpecification
+};
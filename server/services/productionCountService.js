@@ -1,68 +1,56 @@
 const pool = require('../config/database');
 const NotificationService = require('./notificationService');
+const productionLedgerService = require('./productionLedgerService');
 
 /**
  * Serviço para contagem de produtos e verificação de limites
  */
 class ProductionCountService {
   /**
-   * Incrementa a contagem de produtos para uma máquina
+   * Atualiza a contagem de produtos do dia a partir do livro de eventos
+   * (incrementos desde a última zeragem) e verifica os limites de pop-up e alerta
    * @param {number} machineId - ID da máquina
-   * @param {number} quantity - Quantidade produzida (padrão: 1)
    */
-  static async incrementProductCount(machineId, quantity = 1) {
+  static async refreshProductCount(machineId) {
     try {
       // Buscar configurações de produção da máquina
       const configQuery = `
         SELECT mc.production, m.name as machine_name, m.code as machine_code
-        FROM machine_configurations mc
+        FROM machine_configs mc
         JOIN machines m ON mc.machine_id = m.id
         WHERE mc.machine_id = $1
       `;
       const configResult = await pool.query(configQuery, [machineId]);
       
       if (configResult.rows.length === 0) {
-        console.log(`Máquina ${machineId} não possui configurações de produção`);
         return;
       }
       
       const config = configResult.rows[0];
-      const productionConfig = config.production || {};
+      const productionConfig = typeof config.production === 'string'
+        ? JSON.parse(config.production || '{}')
+        : (config.production || {});
       
       // Se não há configurações de produção, não fazer nada
       if (!productionConfig.enablePopups && !productionConfig.enableAlerts) {
         return;
       }
       
-      // Buscar ou criar contador de produção atual
-      const counterQuery = `
-        SELECT * FROM production_counters 
-        WHERE machine_id = $1 AND DATE(created_at) = CURRENT_DATE
-        ORDER BY created_at DESC LIMIT 1
-      `;
-      const counterResult = await pool.query(counterQuery, [machineId]);
+      const currentCount = await productionLedgerService.getPopupCount(machineId);
       
-      let currentCount = 0;
-      let counterId = null;
+      // Projeção do dia em production_counters (consultada pelas telas)
+      const counterResult = await pool.query(
+        'UPDATE production_counters SET count = $1, updated_at = NOW() WHERE machine_id = $2 AND DATE(created_at) = CURRENT_DATE RETURNING id',
+        [currentCount, machineId]
+      );
       
-      if (counterResult.rows.length > 0) {
-        const counter = counterResult.rows[0];
-        currentCount = counter.count + quantity;
-        counterId = counter.id;
-        
-        // Atualizar contador existente
-        await pool.query(
-          'UPDATE production_counters SET count = $1, updated_at = NOW() WHERE id = $2',
-          [currentCount, counterId]
-        );
-      } else {
-        // Criar novo contador para hoje
+      let counterId = counterResult.rows[0]?.id || null;
+      if (!counterId) {
         const insertResult = await pool.query(
           `INSERT INTO production_counters (machine_id, count, created_at, updated_at) 
            VALUES ($1, $2, NOW(), NOW()) RETURNING id`,
-          [machineId, quantity]
+          [machineId, currentCount]
         );
-        currentCount = quantity;
         counterId = insertResult.rows[0].id;
       }
       
@@ -75,7 +63,7 @@ class ProductionCountService {
       return { currentCount, counterId };
       
     } catch (error) {
-      console.error('Erro ao incrementar contagem de produtos:', error);
+      console.error('Erro ao atualizar contagem de produtos:', error);
       throw error;
     }
   }
@@ -281,9 +269,19 @@ class ProductionCountService {
   
   /**
    * Reseta o contador de produção (usado após teste de qualidade)
+   * @param {number} machineId - ID da máquina
+   * @param {number} userId - Usuário que realizou o teste
    */
-  static async resetProductionCounter(machineId) {
+  static async resetProductionCounter(machineId, userId = null) {
     try {
+      // A zeragem fica no livro para que o replay reconstrua a mesma contagem
+      await productionLedgerService.recordEvent({
+        machineId,
+        type: 'COUNTER_RESET',
+        source: 'QUALITY_TEST',
+        userId
+      });
+      
       await pool.query(
         'UPDATE production_counters SET count = 0, updated_at = NOW() WHERE machine_id = $1 AND DATE(created_at) = CURRENT_DATE',
         [machineId]
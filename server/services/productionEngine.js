@@ -0,0 +1,449 @@
+const pool = require('../config/database');
+const shiftService = require('./shiftService');
+const { checkProductionAlertsService } = require('../middleware/productionAlertMiddleware');
+const { resolveStrategyName, getStrategy } = require('./productionStrategies');
+const productionLedgerService = require('./productionLedgerService');
+const ProductionCountService = require('./productionCountService');
+
+const DEFAULT_INTERVAL_MS = 30000;
+const MS_PER_MINUTE = 60 * 1000;
+// Após a troca de turno, o final do turno anterior ainda é fechado por este período
+const SETTLE_PREVIOUS_SHIFT_MS = 60 * MS_PER_MINUTE;
+
+const MACHINES_QUERY = `
+  SELECT m.id, m.name, m.status, m.production_speed, m.target_production,
+         mc.production AS production_config,
+         o.user_id AS operator_id, u.name AS operator_name, o.start_time AS operation_start,
+         o.production_order_id, fai.id AS fai_request_id
+  FROM machines m
+  LEFT JOIN machine_configs mc ON mc.machine_id = m.id
+  LEFT JOIN LATERAL (
+    SELECT mo.user_id, mo.start_time, mo.production_order_id
+    FROM machine_operations mo
+    WHERE mo.machine_id = m.id AND mo.status IN ('ACTIVE', 'RUNNING') AND mo.end_time IS NULL
+    ORDER BY mo.start_time DESC
+    LIMIT 1
+  ) o ON true
+  LEFT JOIN users u ON u.id = o.user_id
+  LEFT JOIN fai_requests fai ON fai.machine_id = m.id AND fai.status = 'PENDING'
+  WHERE m.is_active = true
+`;
+
+const formatDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * Motor único de produção em tempo real.
+ * A cada ciclo registra no livro de eventos a produção calculada pela estratégia da máquina
+ * (BPM, contador ou manual), acumula em shift_data o total e o tempo parado e emite o
+ * payload canônico 'production:update'.
+ * Todo cálculo usa o instante recebido, o que permite testes com relógio falso.
+ */
+class ProductionEngine {
+  constructor() {
+    this.io = null;
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Inicia o ciclo de cálculo (primeira execução imediata)
+   * @param {Object} io - Instância do Socket.IO
+   * @param {Object} options - { intervalMs }
+   */
+  start(io, { intervalMs = DEFAULT_INTERVAL_MS } = {}) {
+    if (this.timer) {
+      return Promise.resolve([]);
+    }
+
+    this.io = io;
+    this.timer = setInterval(() => this.tick(), intervalMs);
+    return this.tick();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Calcula a produção de todas as máquinas ativas até o instante informado
+   * @returns {Array} Payloads emitidos
+   */
+  async tick(now = new Date()) {
+    if (this.ticking) {
+      return [];
+    }
+
+    this.ticking = true;
+    const updates = [];
+    try {
+      const result = await pool.query(MACHINES_QUERY);
+      for (const machine of result.rows) {
+        try {
+          const update = await this.updateMachine(machine, now);
+          if (update) {
+            updates.push(update);
+          }
+        } catch (error) {
+          console.error(`❌ Erro ao calcular produção da máquina ${machine.name}:`, error);
+        }
+      }
+    } catch (error) {
+      console.error('❌ Erro no ciclo do motor de produção:', error);
+    } finally {
+      this.ticking = false;
+    }
+
+    return updates;
+  }
+
+  /**
+   * Atualiza o turno atual da máquina, fechando antes o final do turno anterior
+   * (o trecho entre o último ciclo e a troca de turno)
+   */
+  async updateMachine(machine, now) {
+    const window = shiftService.getCurrentShiftWindow(now);
+    const isRunning = machine.status === 'FUNCIONANDO';
+
+    if (now - window.startTime < SETTLE_PREVIOUS_SHIFT_MS) {
+      const previousWindow = shiftService.getCurrentShiftWindow(new Date(window.startTime.getTime() - 1));
+      await this.accumulate(machine, previousWindow, now, { create: false, notify: false });
+    }
+
+    // Máquina parada sem registro no turno não tem o que contabilizar
+    return this.accumulate(machine, window, now, { create: isRunning, notify: true });
+  }
+
+  /**
+   * Acumula produção e parada desde o último cálculo, limitado à janela do turno
+   */
+  async accumulate(machine, window, now, { create, notify }) {
+    const strategy = resolveStrategyName(machine.production_config);
+    const isRunning = machine.status === 'FUNCIONANDO';
+
+    const shiftData = await this.getShiftData(machine, window, strategy, { create, now });
+    if (!shiftData || shiftData.is_locked) {
+      return null;
+    }
+
+    const lastCalculated = shiftData.production_calculated_at || shiftData.updated_at || window.startTime;
+    const from = new Date(Math.max(new Date(lastCalculated).getTime(), window.startTime.getTime()));
+    const to = new Date(Math.min(now.getTime(), window.endTime.getTime()));
+    if (to <= from) {
+      return null;
+    }
+
+    const { increment, speed } = await getStrategy(strategy).calculate({
+      machine,
+      shiftData,
+      from,
+      to,
+      isRunning,
+      db: pool
+    });
+    const downtimeIncrement = isRunning ? 0 : (to - from) / MS_PER_MINUTE;
+    const efficiency = this.calculateEfficiency(window, (Number(shiftData.downtime) || 0) + downtimeIncrement);
+
+    const updated = await this.applyProduction(shiftData, increment, {
+      machine,
+      strategy,
+      speed,
+      occurredAt: to,
+      metadata: { from: from.toISOString() },
+      sql: `
+        UPDATE shift_data
+        SET total_production = COALESCE(total_production, 0) + $1,
+            downtime = COALESCE(downtime, 0) + $3,
+            efficiency = $4,
+            last_known_speed = $5,
+            production_strategy = $6,
+            production_calculated_at = $7,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_locked IS NOT TRUE
+        RETURNING *
+      `,
+      params: [downtimeIncrement, efficiency, speed, strategy, to]
+    });
+    if (!updated) {
+      return null;
+    }
+
+    const payload = this.buildPayload(machine, updated, window, { strategy, increment, speed, now: to });
+    if (increment > 0) {
+      await ProductionCountService.refreshProductCount(machine.id);
+    }
+    if (!notify) {
+      return payload;
+    }
+    this.emit(payload);
+
+    if (increment > 0) {
+      await checkProductionAlertsService(machine.id, payload.totalProduction);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Registra produção lançada pelo operador em máquinas com estratégia MANUAL
+   * @returns {Object|null} Payload emitido, ou null se a máquina não usa a estratégia manual
+   */
+  async recordManualProduction(machineId, quantity, userId = null, now = new Date()) {
+    const machineResult = await pool.query(`${MACHINES_QUERY} AND m.id = $1`, [machineId]);
+    const machine = machineResult.rows[0];
+    if (!machine) {
+      return null;
+    }
+
+    const strategy = resolveStrategyName(machine.production_config);
+    if (strategy !== 'MANUAL') {
+      return null;
+    }
+
+    const window = shiftService.getCurrentShiftWindow(now);
+    const shiftData = await this.getShiftData(machine, window, strategy, { create: true, now });
+    if (!shiftData || shiftData.is_locked) {
+      return null;
+    }
+
+    const updated = await this.applyProduction(shiftData, quantity, {
+      machine,
+      strategy,
+      speed: null,
+      occurredAt: now,
+      userId,
+      sql: `
+        UPDATE shift_data
+        SET total_production = COALESCE(total_production, 0) + $1,
+            production_strategy = $3,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2 AND is_locked IS NOT TRUE
+        RETURNING *
+      `,
+      params: [strategy]
+    });
+    if (!updated) {
+      return null;
+    }
+    await ProductionCountService.refreshProductCount(machine.id);
+
+    const payload = this.buildPayload(machine, updated, window, {
+      strategy,
+      increment: quantity,
+      speed: Number(updated.last_known_speed) || 0,
+      now
+    });
+    this.emit(payload);
+    await checkProductionAlertsService(machine.id, payload.totalProduction);
+
+    return payload;
+  }
+
+  /**
+   * Atualiza o registro do turno e grava o incremento no livro na mesma transação,
+   * marcado com a ordem de produção da operação. A conclusão da ordem é avisada após o COMMIT.
+   * O SQL recebe $1 = incremento, $2 = id do registro e os demais parâmetros em seguida.
+   * @returns {Object|null} Registro atualizado, ou null se o turno foi travado no meio do caminho
+   */
+  async applyProduction(shiftData, increment, { machine, strategy, speed, occurredAt, userId = null, metadata = {}, sql, params }) {
+    const client = await pool.connect();
+    let completedOrder = null;
+    let updated;
+    try {
+      await client.query('BEGIN');
+
+      const updateResult = await client.query(sql, [increment, shiftData.id, ...params]);
+      updated = updateResult.rows[0] || null;
+
+      if (updated && increment > 0) {
+        const event = await productionLedgerService.recordEvent({
+          machineId: machine.id,
+          type: 'INCREMENT',
+          quantity: increment,
+          speed,
+          source: strategy,
+          shiftDataId: updated.id,
+          operatorId: updated.operator_id,
+          productionOrderId: machine.production_order_id || null,
+          faiRequestId: machine.fai_request_id || null,
+          userId,
+          metadata,
+          occurredAt
+        }, client);
+        completedOrder = event.completedOrder || null;
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    if (completedOrder && this.io) {
+      this.io.emit('production-order:completed', { machineId: machine.id, order: completedOrder });
+    }
+    return updated;
+  }
+
+  /**
+   * Registro do turno da máquina: o do operador em operação ou, sem operação, o último calculado.
+   * Um novo operador no meio do turno continua a partir do último cálculo do registro anterior.
+   */
+  async getShiftData(machine, window, strategy, { create, now }) {
+    const shiftDate = formatDate(window.shiftDate);
+    const existingResult = await pool.query(`
+      SELECT * FROM shift_data
+      WHERE machine_id = $1 AND DATE(shift_date) = $2 AND shift_type = $3
+      ORDER BY production_calculated_at DESC NULLS LAST, id DESC
+    `, [machine.id, shiftDate, window.shiftType]);
+    const rows = existingResult.rows;
+
+    const current = machine.operator_id
+      ? rows.find(row => row.operator_id === machine.operator_id)
+      : rows[0];
+    if (current) {
+      return current;
+    }
+    if (!create) {
+      return null;
+    }
+
+    let operatorId = machine.operator_id;
+    if (!operatorId) {
+      const operatorResult = await pool.query(
+        'SELECT id FROM users WHERE role = $1 AND is_active = true ORDER BY id LIMIT 1',
+        ['OPERATOR']
+      );
+      operatorId = operatorResult.rows[0]?.id;
+    }
+    if (!operatorId) {
+      return null;
+    }
+
+    const previous = rows[0]?.production_calculated_at;
+    const calculatedFrom = previous
+      ? new Date(Math.max(new Date(previous).getTime(), window.startTime.getTime()))
+      : now;
+
+    const insertResult = await pool.query(`
+      INSERT INTO shift_data (
+        machine_id, operator_id, shift_date, shift_type, start_time, end_time,
+        total_production, target_production, efficiency, downtime,
+        last_known_speed, production_strategy, production_calculated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, 0, $7, 0, 0, $8, $9, $10)
+      ON CONFLICT (machine_id, operator_id, shift_date, shift_type)
+      DO UPDATE SET production_strategy = EXCLUDED.production_strategy
+      RETURNING *
+    `, [
+      machine.id,
+      operatorId,
+      window.shiftDate,
+      window.shiftType,
+      window.startTime,
+      window.endTime,
+      Number(machine.target_production) || 0,
+      Number(machine.production_speed) || 0,
+      strategy,
+      calculatedFrom
+    ]);
+
+    return insertResult.rows[0] || null;
+  }
+
+  /**
+   * Eficiência do turno: tempo do turno descontado o tempo parado
+   */
+  calculateEfficiency(window, downtimeMinutes) {
+    const shiftMinutes = (window.endTime - window.startTime) / MS_PER_MINUTE;
+    if (shiftMinutes <= 0) {
+      return 0;
+    }
+    return Math.max(0, Math.round(((shiftMinutes - downtimeMinutes) / shiftMinutes) * 100));
+  }
+
+  /**
+   * Payload canônico de 'production:update' (o mesmo número para todas as telas)
+   */
+  buildPayload(machine, shiftData, window, { strategy, increment, speed, now }) {
+    const operatorId = shiftData.operator_id || machine.operator_id || null;
+    return {
+      machineId: machine.id,
+      machineName: machine.name,
+      shiftDataId: shiftData.id || null,
+      shiftDate: formatDate(window.shiftDate),
+      shiftType: window.shiftType,
+      operatorId,
+      operatorName: operatorId && operatorId === machine.operator_id ? machine.operator_name : null,
+      strategy,
+      status: machine.status,
+      totalProduction: Math.floor(Number(shiftData.total_production) || 0),
+      targetProduction: Number(shiftData.target_production) || Number(machine.target_production) || 0,
+      increment: Math.round(increment * 100) / 100,
+      productionSpeed: speed,
+      downtimeMinutes: Math.round((Number(shiftData.downtime) || 0) * 10) / 10,
+      efficiency: Number(shiftData.efficiency) || 0,
+      shiftStart: window.startTime.toISOString(),
+      shiftEnd: window.endTime.toISOString(),
+      operationDuration: machine.operation_start
+        ? Math.max(0, Math.floor((now - new Date(machine.operation_start)) / MS_PER_MINUTE))
+        : null,
+      lastUpdate: now.toISOString()
+    };
+  }
+
+  /**
+   * Payload canônico da máquina com o que já foi calculado no turno, sem calcular produção nova.
+   * Usado na carga inicial das telas e após mudanças de status e de operação.
+   * @returns {Object|null} Payload, ou null se a máquina não existe ou está inativa
+   */
+  async getMachinePayload(machineId, now = new Date()) {
+    const machineResult = await pool.query(`${MACHINES_QUERY} AND m.id = $1`, [machineId]);
+    const machine = machineResult.rows[0];
+    if (!machine) {
+      return null;
+    }
+
+    const strategy = resolveStrategyName(machine.production_config);
+    const window = shiftService.getCurrentShiftWindow(now);
+    const shiftData = await this.getShiftData(machine, window, strategy, { create: false, now });
+
+    return this.buildPayload(machine, shiftData || {}, window, {
+      strategy,
+      increment: 0,
+      speed: Number(shiftData?.last_known_speed) || Number(machine.production_speed) || 0,
+      now
+    });
+  }
+
+  /**
+   * Emite o payload canônico da máquina fora do ciclo (status alterado, operação iniciada).
+   * Nunca lança erro: quem chama é o fluxo da operação.
+   */
+  async publishMachine(machineId, now = new Date()) {
+    try {
+      const payload = await this.getMachinePayload(machineId, now);
+      if (payload) {
+        this.emit(payload);
+      }
+      return payload;
+    } catch (error) {
+      console.error(`❌ Erro ao publicar a produção da máquina ${machineId}:`, error);
+      return null;
+    }
+  }
+
+  emit(payload) {
+    if (this.io) {
+      this.io.emit('production:update', payload);
+    }
+  }
+}
+
+module.exports = new ProductionEngine();
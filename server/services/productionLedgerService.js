@@ -0,0 +1,581 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const shiftService = require('./shiftService');
+const productionOrderService = require('./productionOrderService');
+
+/**
+ * Livro de eventos de produção (somente inclusão).
+ * Os totais de turno (shift_data.total_production), a produção real do OEE e a contagem
+ * dos pop-ups de teste (production_counters) e o progresso das ordens de produção são
+ * projeções destes eventos: atualizadas junto com cada evento e reconstruídas pelo replay.
+ */
+
+const EVENT_TYPES = ['SPEED_CHANGE', 'START', 'STOP', 'INCREMENT', 'SCRAP', 'CORRECTION', 'COUNTER_RESET'];
+
+// Eventos lançados manualmente pelo líder
+const ADJUSTMENT_TYPES = ['SCRAP', 'CORRECTION'];
+
+// Eventos que compõem o total produzido do turno
+const PRODUCTION_TYPES = ['INCREMENT', 'CORRECTION'];
+
+const MAX_REPLAY_DAYS = 31;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals = 3) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const toDateKey = (value) => {
+  const date = value instanceof Date ? value : new Date(value);
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+};
+
+function mapEvent(row) {
+  return {
+    id: Number(row.id),
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    type: row.event_type,
+    quantity: toNumber(row.quantity),
+    speed: toNumber(row.speed),
+    source: row.source,
+    shiftDataId: row.shift_data_id,
+    operatorId: row.operator_id,
+    productionOrderId: row.production_order_id,
+    faiRequestId: row.fai_request_id,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    reason: row.reason,
+    metadata: row.metadata || {},
+    occurredAt: row.occurred_at,
+    createdAt: row.created_at
+  };
+}
+
+function mapReplay(row) {
+  return {
+    id: row.id,
+    startDate: toDateKey(row.start_date),
+    endDate: toDateKey(row.end_date),
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    status: row.status,
+    shiftsRebuilt: row.shifts_rebuilt,
+    shiftsSkipped: row.shifts_skipped,
+    countersRebuilt: row.counters_rebuilt,
+    changes: row.changes || [],
+    errorMessage: row.error_message,
+    requestedBy: row.requested_by,
+    requestedByName: row.requested_by_name,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at
+  };
+}
+
+/**
+ * Registra um evento no livro. Eventos marcados com a ordem de produção somam no progresso
+ * da ordem; se ela atingir o planejado, o evento retornado traz a ordem em completedOrder.
+ * Produção com a inspeção da primeira peça pendente (faiRequestId) não soma na ordem.
+ * @param {Object} event - { machineId, type, quantity, speed, source, shiftDataId, operatorId, productionOrderId, faiRequestId, userId, reason, metadata, occurredAt }
+ * @param {Object} db - Pool ou cliente da transação em andamento
+ */
+async function recordEvent({
+  machineId,
+  type,
+  quantity = null,
+  speed = null,
+  source,
+  shiftDataId = null,
+  operatorId = null,
+  productionOrderId = null,
+  faiRequestId = null,
+  userId = null,
+  reason = null,
+  metadata = {},
+  occurredAt = new Date()
+}, db = pool) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new AppError(`Tipo de evento de produção inválido: ${type}`, 400);
+  }
+
+  const result = await db.query(`
+    INSERT INTO production_events (
+      machine_id, event_type, quantity, speed, source, shift_data_id,
+      operator_id, created_by, reason, metadata, occurred_at, production_order_id, fai_request_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    RETURNING *
+  `, [machineId, type, quantity, speed, source, shiftDataId, operatorId, userId, reason, JSON.stringify(metadata), occurredAt, productionOrderId, faiRequestId]);
+
+  const event = mapEvent(result.rows[0]);
+  if (productionOrderId && !faiRequestId) {
+    const progress = await productionOrderService.applyProgress(productionOrderId, { type, quantity, occurredAt }, db);
+    if (progress && progress.completed) {
+      event.completedOrder = progress.order;
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Totais por registro de turno a partir dos eventos
+ * @param {Array} events - Linhas de production_events
+ * @returns {Map} shift_data_id → { produced, corrections, scrap, totalProduction }
+ */
+function summarizeShiftEvents(events) {
+  const totals = new Map();
+
+  for (const event of events) {
+    if (!event.shift_data_id) {
+      continue;
+    }
+    if (!totals.has(event.shift_data_id)) {
+      totals.set(event.shift_data_id, { produced: 0, corrections: 0, scrap: 0, totalProduction: 0 });
+    }
+
+    const summary = totals.get(event.shift_data_id);
+    const quantity = Number(event.quantity) || 0;
+    if (event.event_type === 'INCREMENT') {
+      summary.produced += quantity;
+    } else if (event.event_type === 'CORRECTION') {
+      summary.corrections += quantity;
+    } else if (event.event_type === 'SCRAP') {
+      summary.scrap += quantity;
+    }
+  }
+
+  for (const summary of totals.values()) {
+    summary.produced = round(summary.produced);
+    summary.corrections = round(summary.corrections);
+    summary.scrap = round(summary.scrap);
+    summary.totalProduction = round(summary.produced + summary.corrections);
+  }
+
+  return totals;
+}
+
+/**
+ * Contagem dos pop-ups de teste por máquina e dia: incrementos desde a última zeragem do dia
+ * @param {Array} events - Eventos INCREMENT e COUNTER_RESET ordenados por occurred_at
+ * @returns {Map} "machineId|YYYY-MM-DD" → contagem (peças inteiras)
+ */
+function buildPopupCounts(events) {
+  const counts = new Map();
+
+  for (const event of events) {
+    const key = `${event.machine_id}|${toDateKey(event.occurred_at)}`;
+    const current = counts.get(key) || 0;
+    if (event.event_type === 'COUNTER_RESET') {
+      counts.set(key, 0);
+    } else if (event.event_type === 'INCREMENT') {
+      counts.set(key, current + (Number(event.quantity) || 0));
+    }
+  }
+
+  for (const [key, value] of counts) {
+    counts.set(key, Math.floor(round(value)));
+  }
+
+  return counts;
+}
+
+/**
+ * Produção (incrementos e correções), refugo e peças produzidas com a inspeção da primeira
+ * peça pendente (held) da máquina no período
+ */
+async function getProducedQuantity(machineId, startTime, endTime, db = pool) {
+  const result = await db.query(`
+    SELECT COALESCE(SUM(quantity) FILTER (WHERE event_type = ANY($4)), 0) AS produced,
+           COALESCE(SUM(quantity) FILTER (WHERE event_type = 'SCRAP'), 0) AS scrap,
+           COALESCE(SUM(quantity) FILTER (WHERE event_type = 'INCREMENT' AND fai_request_id IS NOT NULL), 0) AS held
+    FROM production_events
+    WHERE machine_id = $1 AND occurred_at >= $2 AND occurred_at < $3
+  `, [machineId, startTime, endTime, PRODUCTION_TYPES]);
+
+  return {
+    produced: round(Number(result.rows[0]?.produced) || 0),
+    scrap: round(Number(result.rows[0]?.scrap) || 0),
+    held: round(Number(result.rows[0]?.held) || 0)
+  };
+}
+
+/**
+ * Contagem atual dos pop-ups de teste (incrementos do dia desde a última zeragem)
+ */
+async function getPopupCount(machineId, now = new Date(), db = pool) {
+  const dayStart = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const result = await db.query(`
+    SELECT COALESCE(SUM(quantity), 0) AS total
+    FROM production_events
+    WHERE machine_id = $1 AND event_type = 'INCREMENT' AND occurred_at <= $3
+      AND occurred_at > COALESCE((
+        SELECT MAX(occurred_at) FROM production_events
+        WHERE machine_id = $1 AND event_type = 'COUNTER_RESET' AND occurred_at >= $2 AND occurred_at <= $3
+      ), $2 - INTERVAL '1 microsecond')
+  `, [machineId, dayStart, now]);
+
+  return Math.floor(round(Number(result.rows[0]?.total) || 0));
+}
+
+/**
+ * Eventos do livro com filtros e paginação
+ */
+async function getEvents({ machineId = null, type = null, startDate = null, endDate = null, limit = 100, offset = 0 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`e.machine_id = $${params.length}`);
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`e.event_type = $${params.length}`);
+  }
+  if (startDate) {
+    params.push(startDate);
+    conditions.push(`e.occurred_at >= $${params.length}::date`);
+  }
+  if (endDate) {
+    params.push(endDate);
+    conditions.push(`e.occurred_at < $${params.length}::date + 1`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*) AS total FROM production_events e ${where}`, params);
+
+  const result = await pool.query(`
+    SELECT e.*, m.name AS machine_name, u.name AS created_by_name
+    FROM production_events e
+    JOIN machines m ON m.id = e.machine_id
+    LEFT JOIN users u ON u.id = e.created_by
+    ${where}
+    ORDER BY e.occurred_at DESC, e.id DESC
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+  `, [...params, limit, offset]);
+
+  return {
+    items: result.rows.map(mapEvent),
+    total: parseInt(countResult.rows[0].total)
+  };
+}
+
+async function auditLedger(action, resourceId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'production_ledger',
+      resourceId: String(resourceId),
+      method: audit.method || 'SYSTEM',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria do livro de produção:', error);
+  }
+}
+
+/**
+ * Trava (FOR UPDATE) o registro de turno da máquina que recebe um ajuste.
+ * Deve ser chamada dentro de uma transação.
+ * @param {Object} window - Janela do turno ({ shiftDate, shiftType })
+ * @param {Object} client - Cliente da transação em andamento
+ */
+async function lockShiftForAdjustment(machineId, window, client) {
+  const shiftResult = await client.query(`
+    SELECT * FROM shift_data
+    WHERE machine_id = $1 AND DATE(shift_date) = $2 AND shift_type = $3
+    ORDER BY production_calculated_at DESC NULLS LAST, id DESC
+    LIMIT 1
+    FOR UPDATE
+  `, [machineId, toDateKey(window.shiftDate), window.shiftType]);
+  const shiftData = shiftResult.rows[0];
+
+  if (!shiftData) {
+    throw new AppError('Nenhum registro de produção da máquina no turno informado', 404);
+  }
+  if (shiftData.is_locked) {
+    throw new AppError('Turno reconciliado; reabra a reconciliação antes de lançar ajustes', 409);
+  }
+
+  return shiftData;
+}
+
+/**
+ * Lança refugo ou correção no turno da máquina no instante informado.
+ * A correção é somada ao total do turno; o refugo fica registrado sem alterar o total produzido.
+ */
+async function recordAdjustment({ machineId, type, quantity, reason, occurredAt = new Date() }, userId, audit = {}) {
+  if (!ADJUSTMENT_TYPES.includes(type)) {
+    throw new AppError('Tipo deve ser SCRAP ou CORRECTION', 400);
+  }
+  if (type === 'SCRAP' && !(quantity > 0)) {
+    throw new AppError('Quantidade de refugo deve ser maior que zero', 400);
+  }
+  if (type === 'CORRECTION' && !quantity) {
+    throw new AppError('Quantidade da correção não pode ser zero', 400);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new AppError('Motivo é obrigatório', 400);
+  }
+  if (occurredAt > new Date()) {
+    throw new AppError('Data do evento não pode estar no futuro', 400);
+  }
+
+  const window = shiftService.getCurrentShiftWindow(occurredAt);
+  const client = await pool.connect();
+  let event;
+  try {
+    await client.query('BEGIN');
+
+    const shiftData = await lockShiftForAdjustment(machineId, window, client);
+    if (type === 'CORRECTION' && (Number(shiftData.total_production) || 0) + quantity < 0) {
+      throw new AppError('Correção deixaria a produção do turno negativa', 400);
+    }
+    const productionOrderId = await productionOrderService.getOrderIdAt(machineId, occurredAt, client);
+
+    event = await recordEvent({
+      machineId,
+      type,
+      quantity,
+      source: 'LEADER',
+      shiftDataId: shiftData.id,
+      operatorId: shiftData.operator_id,
+      productionOrderId,
+      userId,
+      reason: String(reason).trim(),
+      occurredAt
+    }, client);
+
+    if (type === 'CORRECTION') {
+      await client.query(
+        'UPDATE shift_data SET total_production = COALESCE(total_production, 0) + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [quantity, shiftData.id]
+      );
+    } else {
+      await client.query(
+        'UPDATE shift_data SET scrap_quantity = COALESCE(scrap_quantity, 0) + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [quantity, shiftData.id]
+      );
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditLedger('PRODUCTION_EVENT_RECORDED', event.id, userId, {
+    machineId,
+    type,
+    quantity,
+    shiftDataId: event.shiftDataId,
+    shiftDate: toDateKey(window.shiftDate),
+    shiftType: window.shiftType
+  }, audit);
+
+  return event;
+}
+
+/**
+ * Reconstrói os agregados do período a partir do livro: total de cada registro de turno
+ * não reconciliado e a contagem diária dos pop-ups de teste.
+ * Turnos reconciliados (travados) são mantidos e contados como ignorados.
+ */
+async function replay({ startDate, endDate, machineId = null }, userId, audit = {}) {
+  const start = new Date(`${startDate}T00:00:00`);
+  const end = new Date(`${endDate}T00:00:00`);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime()) || end < start) {
+    throw new AppError('Período inválido', 400);
+  }
+  if ((end - start) / DAY + 1 > MAX_REPLAY_DAYS) {
+    throw new AppError(`Período máximo do replay é de ${MAX_REPLAY_DAYS} dias`, 400);
+  }
+
+  const replayResult = await pool.query(`
+    INSERT INTO production_ledger_replays (start_date, end_date, machine_id, requested_by)
+    VALUES ($1, $2, $3, $4)
+    RETURNING id
+  `, [startDate, endDate, machineId, userId]);
+  const replayId = replayResult.rows[0].id;
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    const machineFilter = machineId ? 'AND machine_id = $3' : '';
+    const rangeParams = machineId ? [startDate, endDate, machineId] : [startDate, endDate];
+
+    const shiftsResult = await client.query(`
+      SELECT id, machine_id, shift_date, shift_type, total_production, scrap_quantity, is_locked
+      FROM shift_data
+      WHERE DATE(shift_date) BETWEEN $1 AND $2 ${machineFilter}
+      ORDER BY shift_date, machine_id, id
+      FOR UPDATE
+    `, rangeParams);
+    const shifts = shiftsResult.rows;
+
+    const shiftEventsResult = await client.query(`
+      SELECT shift_data_id, event_type, quantity
+      FROM production_events
+      WHERE shift_data_id = ANY($1) AND event_type IN ('INCREMENT', 'CORRECTION', 'SCRAP')
+    `, [shifts.map(shift => shift.id)]);
+    const totals = summarizeShiftEvents(shiftEventsResult.rows);
+
+    const changes = [];
+    let shiftsRebuilt = 0;
+    let shiftsSkipped = 0;
+    for (const shift of shifts) {
+      // Turno sem nenhum evento no livro não tem de onde ser reconstruído: o total registrado fica
+      const summary = totals.get(shift.id);
+      if (shift.is_locked || !summary) {
+        shiftsSkipped++;
+        continue;
+      }
+
+      const previous = Number(shift.total_production) || 0;
+      const rebuilt = summary.totalProduction;
+      const previousScrap = Number(shift.scrap_quantity) || 0;
+      const rebuiltScrap = summary.scrap;
+      shiftsRebuilt++;
+      if (Math.abs(rebuilt - previous) >= 0.001 || Math.abs(rebuiltScrap - previousScrap) >= 0.001) {
+        await client.query(
+          'UPDATE shift_data SET total_production = $1, scrap_quantity = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+          [rebuilt, rebuiltScrap, shift.id]
+        );
+        changes.push({
+          shiftDataId: shift.id,
+          machineId: shift.machine_id,
+          shiftDate: toDateKey(shift.shift_date),
+          shiftType: shift.shift_type,
+          previous: round(previous),
+          rebuilt,
+          previousScrap: round(previousScrap),
+          rebuiltScrap
+        });
+      }
+    }
+
+    const counterEventsResult = await client.query(`
+      SELECT machine_id, event_type, quantity, occurred_at
+      FROM production_events
+      WHERE event_type IN ('INCREMENT', 'COUNTER_RESET')
+        AND occurred_at >= $1::date AND occurred_at < $2::date + 1 ${machineFilter}
+      ORDER BY occurred_at ASC, id ASC
+    `, rangeParams);
+    // Contadores dos pop-ups: regrava só os dias de máquina com eventos no livro
+    const counts = buildPopupCounts(counterEventsResult.rows);
+
+    for (const [key, count] of counts) {
+      const [counterMachineId, day] = key.split('|');
+      const updated = await client.query(
+        'UPDATE production_counters SET count = $1, updated_at = NOW() WHERE machine_id = $2 AND DATE(created_at) = $3 RETURNING id',
+        [count, parseInt(counterMachineId), day]
+      );
+      if (updated.rows.length === 0 && count > 0) {
+        await client.query(
+          'INSERT INTO production_counters (machine_id, count, created_at, updated_at) VALUES ($1, $2, $3::date, NOW())',
+          [parseInt(counterMachineId), count, day]
+        );
+      }
+    }
+
+    // Ordens com eventos no período: progresso recalculado com todos os eventos da ordem
+    const ordersResult = await client.query(`
+      SELECT DISTINCT production_order_id
+      FROM production_events
+      WHERE production_order_id IS NOT NULL
+        AND occurred_at >= $1::date AND occurred_at < $2::date + 1 ${machineFilter}
+    `, rangeParams);
+    await productionOrderService.rebuildProgress(ordersResult.rows.map(row => row.production_order_id), client);
+
+    await client.query(`
+      UPDATE production_ledger_replays
+      SET status = 'COMPLETED', shifts_rebuilt = $1, shifts_skipped = $2, counters_rebuilt = $3,
+          changes = $4, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `, [shiftsRebuilt, shiftsSkipped, counts.size, JSON.stringify(changes), replayId]);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await pool.query(`
+      UPDATE production_ledger_replays
+      SET status = 'FAILED', error_message = $1, finished_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+    `, [error.message, replayId]);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const replayRun = await getReplayById(replayId);
+
+  await auditLedger('PRODUCTION_LEDGER_REPLAYED', replayId, userId, {
+    startDate,
+    endDate,
+    machineId,
+    shiftsRebuilt: replayRun.shiftsRebuilt,
+    shiftsSkipped: replayRun.shiftsSkipped,
+    changedShifts: replayRun.changes.length
+  }, audit);
+
+  return replayRun;
+}
+
+async function getReplayById(id) {
+  const result = await pool.query(`
+    SELECT r.*, m.name AS machine_name, u.name AS requested_by_name
+    FROM production_ledger_replays r
+    LEFT JOIN machines m ON m.id = r.machine_id
+    LEFT JOIN users u ON u.id = r.requested_by
+    WHERE r.id = $1
+  `, [id]);
+
+  return result.rows[0] ? mapReplay(result.rows[0]) : null;
+}
+
+async function getReplays(limit = 20) {
+  const result = await pool.query(`
+    SELECT r.*, m.name AS machine_name, u.name AS requested_by_name
+    FROM production_ledger_replays r
+    LEFT JOIN machines m ON m.id = r.machine_id
+    LEFT JOIN users u ON u.id = r.requested_by
+    ORDER BY r.started_at DESC
+    LIMIT $1
+  `, [limit]);
+
+  return result.rows.map(mapReplay);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  ADJUSTMENT_TYPES,
+  MAX_REPLAY_DAYS,
+  recordEvent,
+  summarizeShiftEvents,
+  buildPopupCounts,
+  getProducedQuantity,
+  getPopupCount,
+  getEvents,
+  lockShiftForAdjustment,
+  recordAdjustment,
+  replay,
+  getReplayById,
+  getReplays
+};
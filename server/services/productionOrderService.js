@@ -0,0 +1,575 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+
+/**
+ * Ordens de produção com roteiro por máquina.
+ * O progresso (produzido e refugo) é projeção dos eventos do livro de produção marcados com a
+ * ordem: atualizado na mesma transação de cada evento e reconstruído pelo replay do livro.
+ */
+
+const ORDER_STATUSES = ['PLANNED', 'IN_PROGRESS', 'COMPLETED', 'CANCELLED'];
+
+// Ordens que ainda aparecem na fila das máquinas
+const OPEN_STATUSES = ['PLANNED', 'IN_PROGRESS'];
+
+// Mudanças manuais de status; a conclusão ao atingir o planejado é automática
+const TRANSITIONS = {
+  PLANNED: ['IN_PROGRESS', 'CANCELLED'],
+  IN_PROGRESS: ['COMPLETED', 'CANCELLED'],
+  COMPLETED: ['IN_PROGRESS'],
+  CANCELLED: ['PLANNED']
+};
+
+const STATUS_LABELS = {
+  PLANNED: 'Planejada',
+  IN_PROGRESS: 'Em produção',
+  COMPLETED: 'Concluída',
+  CANCELLED: 'Cancelada'
+};
+
+// Eventos do livro que movem o progresso da ordem
+const PROGRESS_EVENT_TYPES = ['INCREMENT', 'CORRECTION', 'SCRAP'];
+
+const round = (value, decimals = 3) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Peças boas da ordem: produzido menos refugo
+ */
+function goodQuantity(order) {
+  return round((Number(order.produced_quantity) || 0) - (Number(order.scrap_quantity) || 0));
+}
+
+/**
+ * Converte uma linha de production_orders para o formato da API
+ */
+function mapOrder(row) {
+  const good = goodQuantity(row);
+  return {
+    id: row.id,
+    orderNumber: row.order_number,
+    product: row.product,
+    lot: row.lot,
+    plannedQuantity: row.planned_quantity,
+    producedQuantity: Number(row.produced_quantity) || 0,
+    scrapQuantity: Number(row.scrap_quantity) || 0,
+    goodQuantity: good,
+    progress: row.planned_quantity > 0 ? Math.min(100, Math.round((good / row.planned_quantity) * 1000) / 10) : 0,
+    dueDate: row.due_date,
+    status: row.status,
+    notes: row.notes,
+    machines: row.machines || [],
+    sequence: row.sequence,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    startedAt: row.started_at,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+// Máquinas do roteiro agregadas na própria linha da ordem
+const ORDER_SELECT = `
+  SELECT o.*, u.name AS created_by_name,
+         COALESCE((
+           SELECT json_agg(json_build_object('machineId', m.id, 'machineName', m.name, 'sequence', pom.sequence) ORDER BY m.name)
+           FROM production_order_machines pom
+           JOIN machines m ON m.id = pom.machine_id
+           WHERE pom.order_id = o.id
+         ), '[]'::json) AS machines
+  FROM production_orders o
+  LEFT JOIN users u ON u.id = o.created_by
+`;
+
+async function auditOrder(action, orderId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'production_orders',
+      resourceId: String(orderId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria da ordem de produção:', error);
+  }
+}
+
+/**
+ * Lista ordens de produção
+ * @param {Object} filters - status, machineId, search, limit
+ */
+async function getOrders({ status = null, machineId = null, search = null, limit = 200 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (status) {
+    params.push(status);
+    conditions.push(`o.status = $${params.length}`);
+  }
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`EXISTS (SELECT 1 FROM production_order_machines pom WHERE pom.order_id = o.id AND pom.machine_id = $${params.length})`);
+  }
+  if (search) {
+    params.push(`%${search}%`);
+    conditions.push(`(o.order_number ILIKE $${params.length} OR o.product ILIKE $${params.length} OR o.lot ILIKE $${params.length})`);
+  }
+
+  params.push(limit);
+  const result = await pool.query(`
+    ${ORDER_SELECT}
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY o.due_date ASC NULLS LAST, o.created_at DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(mapOrder);
+}
+
+async function getOrderById(id, db = pool) {
+  const result = await db.query(`${ORDER_SELECT} WHERE o.id = $1`, [parseInt(id)]);
+  return result.rows[0] ? mapOrder(result.rows[0]) : null;
+}
+
+/**
+ * Fila da máquina: ordens abertas atribuídas a ela, na sequência definida no quadro
+ */
+async function getMachineQueue(machineId, db = pool) {
+  const result = await db.query(`
+    SELECT o.*, pom.sequence
+    FROM production_order_machines pom
+    JOIN production_orders o ON o.id = pom.order_id
+    WHERE pom.machine_id = $1 AND o.status = ANY($2)
+    ORDER BY pom.sequence ASC, o.due_date ASC NULLS LAST, o.id ASC
+  `, [machineId, OPEN_STATUSES]);
+
+  return result.rows.map(mapOrder);
+}
+
+/**
+ * Dados do quadro de programação: fila de cada máquina ativa e ordens abertas sem máquina
+ */
+async function getBoard() {
+  const machinesResult = await pool.query(`
+    SELECT m.id, m.name, m.status, mo.production_order_id AS current_order_id
+    FROM machines m
+    LEFT JOIN LATERAL (
+      SELECT production_order_id
+      FROM machine_operations
+      WHERE machine_id = m.id AND status = 'ACTIVE'
+      ORDER BY start_time DESC
+      LIMIT 1
+    ) mo ON true
+    WHERE m.is_active = true
+    ORDER BY m.name
+  `);
+
+  const queueResult = await pool.query(`
+    SELECT o.*, pom.machine_id, pom.sequence
+    FROM production_order_machines pom
+    JOIN production_orders o ON o.id = pom.order_id
+    WHERE o.status = ANY($1)
+    ORDER BY pom.machine_id, pom.sequence ASC, o.due_date ASC NULLS LAST, o.id ASC
+  `, [OPEN_STATUSES]);
+
+  const unassignedResult = await pool.query(`
+    SELECT o.*
+    FROM production_orders o
+    WHERE o.status = ANY($1)
+      AND NOT EXISTS (SELECT 1 FROM production_order_machines pom WHERE pom.order_id = o.id)
+    ORDER BY o.due_date ASC NULLS LAST, o.created_at ASC
+  `, [OPEN_STATUSES]);
+
+  const queues = new Map();
+  for (const row of queueResult.rows) {
+    if (!queues.has(row.machine_id)) {
+      queues.set(row.machine_id, []);
+    }
+    queues.get(row.machine_id).push(mapOrder(row));
+  }
+
+  return {
+    machines: machinesResult.rows.map(machine => ({
+      id: machine.id,
+      name: machine.name,
+      status: machine.status,
+      currentOrderId: machine.current_order_id,
+      queue: queues.get(machine.id) || []
+    })),
+    unassigned: unassignedResult.rows.map(mapOrder)
+  };
+}
+
+/**
+ * Reescreve a sequência da fila da máquina, inserindo a ordem na posição informada
+ * @param {number|null} orderId - Ordem a inserir (null apenas recompacta a fila)
+ */
+async function resequenceQueue(machineId, orderId, position, client) {
+  const queueResult = await client.query(`
+    SELECT pom.order_id
+    FROM production_order_machines pom
+    JOIN production_orders o ON o.id = pom.order_id
+    WHERE pom.machine_id = $1 AND o.status = ANY($2)
+    ORDER BY pom.sequence ASC, o.id ASC
+  `, [machineId, OPEN_STATUSES]);
+
+  const orderIds = queueResult.rows.map(row => row.order_id).filter(id => id !== orderId);
+  if (orderId) {
+    const index = position === null || position === undefined
+      ? orderIds.length
+      : Math.max(0, Math.min(position, orderIds.length));
+    orderIds.splice(index, 0, orderId);
+  }
+
+  for (let index = 0; index < orderIds.length; index++) {
+    await client.query(
+      'UPDATE production_order_machines SET sequence = $1 WHERE order_id = $2 AND machine_id = $3',
+      [index + 1, orderIds[index], machineId]
+    );
+  }
+}
+
+/**
+ * Cria a ordem e a coloca no fim da fila de cada máquina do roteiro
+ * @param {Object} data - { orderNumber, product, lot, plannedQuantity, dueDate, notes, machineIds }
+ */
+async function createOrder({ orderNumber, product, lot = null, plannedQuantity, dueDate = null, notes = null, machineIds = [] }, userId, audit = {}) {
+  const existing = await pool.query('SELECT id FROM production_orders WHERE order_number = $1', [orderNumber]);
+  if (existing.rows.length > 0) {
+    throw new AppError('Já existe uma ordem de produção com este número', 400);
+  }
+
+  const client = await pool.connect();
+  let orderId;
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(`
+      INSERT INTO production_orders (order_number, product, lot, planned_quantity, due_date, notes, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [orderNumber, product, lot || null, plannedQuantity, dueDate || null, notes || null, userId]);
+    orderId = result.rows[0].id;
+
+    for (const machineId of [...new Set(machineIds)]) {
+      await client.query(`
+        INSERT INTO production_order_machines (order_id, machine_id, sequence)
+        SELECT $1, $2, COALESCE(MAX(sequence), 0) + 1 FROM production_order_machines WHERE machine_id = $2
+      `, [orderId, machineId]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditOrder('PRODUCTION_ORDER_CREATED', orderId, userId, { orderNumber, product, lot, plannedQuantity, machineIds }, audit);
+
+  return getOrderById(orderId);
+}
+
+/**
+ * Atualiza dados da ordem. Ordens concluídas ou canceladas não são editáveis.
+ * machineIds substitui o roteiro: máquinas novas entram no fim da fila.
+ */
+async function updateOrder(id, fields, userId, audit = {}) {
+  const order = await getOrderById(id);
+  if (!order) {
+    throw new AppError('Ordem de produção não encontrada', 404);
+  }
+  if (!OPEN_STATUSES.includes(order.status)) {
+    throw new AppError(`Ordem ${STATUS_LABELS[order.status].toLowerCase()} não pode ser alterada`, 400);
+  }
+
+  const fieldMap = {
+    product: 'product',
+    lot: 'lot',
+    plannedQuantity: 'planned_quantity',
+    dueDate: 'due_date',
+    notes: 'notes'
+  };
+
+  const updateFields = [];
+  const updateValues = [];
+  Object.entries(fieldMap).forEach(([key, column]) => {
+    if (fields[key] !== undefined) {
+      updateValues.push(fields[key] === '' ? null : fields[key]);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  });
+
+  if (updateFields.length === 0 && !Array.isArray(fields.machineIds)) {
+    throw new AppError('Nenhum campo para atualizar', 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (updateFields.length > 0) {
+      updateValues.push(order.id);
+      await client.query(
+        `UPDATE production_orders SET ${updateFields.join(', ')} WHERE id = $${updateValues.length}`,
+        updateValues
+      );
+    }
+
+    if (Array.isArray(fields.machineIds)) {
+      const machineIds = [...new Set(fields.machineIds.map(Number))];
+      const current = order.machines.map(machine => machine.machineId);
+      const removed = current.filter(machineId => !machineIds.includes(machineId));
+
+      if (removed.length > 0) {
+        await client.query(
+          'DELETE FROM production_order_machines WHERE order_id = $1 AND machine_id = ANY($2)',
+          [order.id, removed]
+        );
+        for (const machineId of removed) {
+          await resequenceQueue(machineId, null, null, client);
+        }
+      }
+      for (const machineId of machineIds.filter(machineId => !current.includes(machineId))) {
+        await client.query(`
+          INSERT INTO production_order_machines (order_id, machine_id, sequence)
+          SELECT $1, $2, COALESCE(MAX(sequence), 0) + 1 FROM production_order_machines WHERE machine_id = $2
+        `, [order.id, machineId]);
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditOrder('PRODUCTION_ORDER_UPDATED', order.id, userId, { fields: Object.keys(fields) }, { method: 'PUT', ...audit });
+
+  return getOrderById(order.id);
+}
+
+/**
+ * Muda o status da ordem manualmente (cancelar, reabrir ou encerrar antes do planejado)
+ */
+async function setOrderStatus(id, status, { reason = null } = {}, userId, audit = {}) {
+  const order = await getOrderById(id);
+  if (!order) {
+    throw new AppError('Ordem de produção não encontrada', 404);
+  }
+  if (!TRANSITIONS[order.status].includes(status)) {
+    throw new AppError(`Ordem ${STATUS_LABELS[order.status].toLowerCase()} não pode ser alterada para ${STATUS_LABELS[status].toLowerCase()}`, 400);
+  }
+
+  const result = await pool.query(`
+    UPDATE production_orders
+    SET status = $1,
+        started_at = CASE WHEN $1 = 'IN_PROGRESS' THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+        completed_at = CASE WHEN $1 = 'COMPLETED' THEN CURRENT_TIMESTAMP WHEN $1 = 'IN_PROGRESS' THEN NULL ELSE completed_at END
+    WHERE id = $2 AND status = $3
+    RETURNING id
+  `, [status, order.id, order.status]);
+  if (result.rows.length === 0) {
+    throw new AppError('Ordem de produção alterada por outro usuário; recarregue e tente novamente', 409);
+  }
+
+  await auditOrder('PRODUCTION_ORDER_STATUS_CHANGED', order.id, userId, { from: order.status, to: status, reason }, { method: 'PATCH', ...audit });
+
+  return getOrderById(order.id);
+}
+
+/**
+ * Move a ordem no quadro: entre máquinas ou para outra posição na mesma fila.
+ * fromMachineId nulo atribui uma ordem sem máquina; toMachineId nulo remove a ordem da máquina.
+ */
+async function moveOrder(orderId, { fromMachineId = null, toMachineId = null, position = null }, userId, audit = {}) {
+  const order = await getOrderById(orderId);
+  if (!order) {
+    throw new AppError('Ordem de produção não encontrada', 404);
+  }
+  if (!OPEN_STATUSES.includes(order.status)) {
+    throw new AppError(`Ordem ${STATUS_LABELS[order.status].toLowerCase()} não pode ser reprogramada`, 400);
+  }
+
+  const assigned = order.machines.map(machine => machine.machineId);
+  if (fromMachineId && !assigned.includes(fromMachineId)) {
+    throw new AppError('Ordem não está na fila da máquina de origem', 400);
+  }
+  if (toMachineId && toMachineId !== fromMachineId && assigned.includes(toMachineId)) {
+    throw new AppError('Ordem já está na fila da máquina de destino', 409);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    if (fromMachineId && fromMachineId !== toMachineId) {
+      // A ordem em produção não sai da máquina enquanto a operação estiver ativa
+      const runningResult = await client.query(
+        "SELECT id FROM machine_operations WHERE machine_id = $1 AND production_order_id = $2 AND status = 'ACTIVE' LIMIT 1",
+        [fromMachineId, order.id]
+      );
+      if (runningResult.rows.length > 0) {
+        throw new AppError('Ordem em produção nesta máquina; encerre a operação antes de movê-la', 409);
+      }
+
+      await client.query(
+        'DELETE FROM production_order_machines WHERE order_id = $1 AND machine_id = $2',
+        [order.id, fromMachineId]
+      );
+      await resequenceQueue(fromMachineId, null, null, client);
+    }
+
+    if (toMachineId) {
+      if (toMachineId !== fromMachineId) {
+        await client.query(
+          'INSERT INTO production_order_machines (order_id, machine_id, sequence) VALUES ($1, $2, 0)',
+          [order.id, toMachineId]
+        );
+      }
+      await resequenceQueue(toMachineId, order.id, position, client);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditOrder('PRODUCTION_ORDER_MOVED', order.id, userId, { fromMachineId, toMachineId, position }, { method: 'PUT', ...audit });
+
+  return getOrderById(order.id);
+}
+
+/**
+ * Marca a ordem como em produção ao iniciar uma operação com ela
+ */
+async function startOrder(orderId, db = pool) {
+  const result = await db.query(`
+    UPDATE production_orders
+    SET status = 'IN_PROGRESS', started_at = COALESCE(started_at, CURRENT_TIMESTAMP)
+    WHERE id = $1 AND status = ANY($2)
+    RETURNING *
+  `, [orderId, OPEN_STATUSES]);
+
+  return result.rows[0] ? mapOrder(result.rows[0]) : null;
+}
+
+/**
+ * Ordem da operação da máquina no instante informado (lançamentos retroativos do líder)
+ */
+async function getOrderIdAt(machineId, at, db = pool) {
+  const result = await db.query(`
+    SELECT production_order_id
+    FROM machine_operations
+    WHERE machine_id = $1 AND start_time <= $2 AND (end_time IS NULL OR end_time >= $2)
+    ORDER BY start_time DESC
+    LIMIT 1
+  `, [machineId, at]);
+
+  return result.rows[0]?.production_order_id || null;
+}
+
+/**
+ * Soma um evento do livro ao progresso da ordem e conclui a ordem em produção
+ * quando as peças boas atingem o planejado. Roda na transação do evento.
+ * @returns {Object|null} { order, completed } ou null se a ordem não existe
+ */
+async function applyProgress(orderId, { type, quantity, occurredAt = new Date() }, db = pool) {
+  if (!PROGRESS_EVENT_TYPES.includes(type)) {
+    return null;
+  }
+
+  const produced = type === 'SCRAP' ? 0 : Number(quantity) || 0;
+  const scrap = type === 'SCRAP' ? Number(quantity) || 0 : 0;
+  const result = await db.query(`
+    UPDATE production_orders
+    SET produced_quantity = produced_quantity + $1, scrap_quantity = scrap_quantity + $2
+    WHERE id = $3
+    RETURNING *
+  `, [produced, scrap, orderId]);
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  if (row.status !== 'IN_PROGRESS' || goodQuantity(row) < row.planned_quantity) {
+    return { order: mapOrder(row), completed: false };
+  }
+
+  const completedResult = await db.query(`
+    UPDATE production_orders SET status = 'COMPLETED', completed_at = $2
+    WHERE id = $1 AND status = 'IN_PROGRESS'
+    RETURNING *
+  `, [orderId, occurredAt]);
+
+  return completedResult.rows[0]
+    ? { order: mapOrder(completedResult.rows[0]), completed: true }
+    : { order: mapOrder(row), completed: false };
+}
+
+/**
+ * Recalcula produzido e refugo das ordens a partir de todos os seus eventos no livro.
+ * O status não é revertido: a conclusão registrada continua valendo.
+ * @returns {number} Ordens recalculadas
+ */
+async function rebuildProgress(orderIds, db = pool) {
+  if (!orderIds || orderIds.length === 0) {
+    return 0;
+  }
+
+  const result = await db.query(`
+    SELECT o.id,
+           COALESCE(SUM(e.quantity) FILTER (WHERE e.event_type IN ('INCREMENT', 'CORRECTION') AND e.fai_request_id IS NULL), 0) AS produced,
+           COALESCE(SUM(e.quantity) FILTER (WHERE e.event_type = 'SCRAP'), 0) AS scrap
+    FROM production_orders o
+    LEFT JOIN production_events e ON e.production_order_id = o.id
+    WHERE o.id = ANY($1)
+    GROUP BY o.id
+  `, [orderIds]);
+
+  for (const row of result.rows) {
+    await db.query(
+      'UPDATE production_orders SET produced_quantity = $1, scrap_quantity = $2 WHERE id = $3',
+      [round(Number(row.produced) || 0), round(Number(row.scrap) || 0), row.id]
+    );
+  }
+
+  return result.rows.length;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  OPEN_STATUSES,
+  TRANSITIONS,
+  STATUS_LABELS,
+  goodQuantity,
+  getOrders,
+  getOrderById,
+  getMachineQueue,
+  getBoard,
+  createOrder,
+  updateOrder,
+  setOrderStatus,
+  moveOrder,
+  startOrder,
+  getOrderIdAt,
+  applyProgress,
+  rebuildProgress
+};
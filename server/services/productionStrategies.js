@@ -0,0 +1,148 @@
+/**
+ * Estratégias de cálculo de produção do motor em tempo real.
+ * Cada estratégia recebe o intervalo (from, to] e devolve { increment, speed }:
+ * quantas peças foram produzidas no intervalo e a velocidade (peças/min) a registrar no turno.
+ * A estratégia é escolhida por máquina em machine_configs.production.strategy.
+ */
+
+const PRODUCTION_STRATEGIES = ['BPM', 'COUNTER', 'MANUAL'];
+const DEFAULT_STRATEGY = 'BPM';
+
+const MS_PER_MINUTE = 60 * 1000;
+
+/**
+ * Integra a velocidade ao longo do intervalo, trecho a trecho.
+ * Cada mudança vale a partir do seu instante; antes da primeira vale initialSpeed.
+ * @param {number} initialSpeed - Velocidade em vigor no início do intervalo (peças/min)
+ * @param {Array} changes - [{ speed, at }] ordenadas por at
+ * @param {Date} from - Início do intervalo
+ * @param {Date} to - Fim do intervalo
+ * @returns {number} Peças produzidas (fracionário; o motor acumula sem arredondar)
+ */
+const integrateSpeed = (initialSpeed, changes, from, to) => {
+  const end = new Date(to).getTime();
+  let cursor = new Date(from).getTime();
+  let speed = Number(initialSpeed) || 0;
+  let total = 0;
+
+  if (end <= cursor) {
+    return 0;
+  }
+
+  for (const change of changes) {
+    const at = new Date(change.at).getTime();
+    if (at <= cursor) {
+      speed = Number(change.speed) || 0;
+      continue;
+    }
+    if (at >= end) {
+      break;
+    }
+    total += speed * (at - cursor) / MS_PER_MINUTE;
+    cursor = at;
+    speed = Number(change.speed) || 0;
+  }
+
+  total += speed * (end - cursor) / MS_PER_MINUTE;
+  return Math.max(0, total);
+};
+
+/**
+ * Produção pelo BPM configurado, considerando as mudanças registradas em
+ * production_bmp_history dentro do intervalo. Máquina parada não produz.
+ */
+const bpmStrategy = {
+  name: 'BPM',
+  async calculate({ machine, shiftData, from, to, isRunning, db }) {
+    const currentSpeed = Number(machine.production_speed) || 0;
+    if (!isRunning) {
+      return { increment: 0, speed: currentSpeed };
+    }
+
+    const initialSpeed = shiftData.last_known_speed !== null && shiftData.last_known_speed !== undefined
+      ? Number(shiftData.last_known_speed)
+      : currentSpeed;
+
+    const historyResult = await db.query(`
+      SELECT bmp_value, changed_at
+      FROM production_bmp_history
+      WHERE machine_id = $1 AND changed_at > $2 AND changed_at <= $3
+      ORDER BY changed_at ASC
+    `, [machine.id, from, to]);
+
+    const changes = historyResult.rows.map(row => ({ speed: Number(row.bmp_value), at: row.changed_at }));
+
+    // Sem histórico no intervalo, a velocidade nova só vale para os próximos períodos
+    return {
+      increment: integrateSpeed(initialSpeed, changes, from, to),
+      speed: currentSpeed
+    };
+  }
+};
+
+/**
+ * Produção pelos incrementos lidos do CLP (machine_counter_readings).
+ * Conta os ciclos recebidos mesmo que o status ainda não tenha mudado.
+ */
+const counterStrategy = {
+  name: 'COUNTER',
+  async calculate({ machine, from, to, db }) {
+    const readingsResult = await db.query(`
+      SELECT COALESCE(SUM(delta), 0) AS total
+      FROM machine_counter_readings
+      WHERE machine_id = $1 AND received_at > $2 AND received_at <= $3
+    `, [machine.id, from, to]);
+
+    const increment = Number(readingsResult.rows[0]?.total) || 0;
+    const minutes = (new Date(to).getTime() - new Date(from).getTime()) / MS_PER_MINUTE;
+
+    return {
+      increment,
+      speed: minutes > 0 ? Math.round(increment / minutes) : 0
+    };
+  }
+};
+
+/**
+ * Produção lançada pelo operador (POST /api/machines/:id/production/increment).
+ * O relógio não gera produção; os lançamentos entram por recordManualProduction.
+ */
+const manualStrategy = {
+  name: 'MANUAL',
+  async calculate({ machine }) {
+    return { increment: 0, speed: Number(machine.production_speed) || 0 };
+  }
+};
+
+const STRATEGIES = {
+  BPM: bpmStrategy,
+  COUNTER: counterStrategy,
+  MANUAL: manualStrategy
+};
+
+/**
+ * Nome da estratégia configurada (machine_configs.production, JSON em texto ou objeto)
+ */
+const resolveStrategyName = (productionConfig) => {
+  let config = productionConfig;
+  if (typeof config === 'string') {
+    try {
+      config = JSON.parse(config);
+    } catch (error) {
+      config = null;
+    }
+  }
+
+  const name = config && typeof config.strategy === 'string' ? config.strategy.toUpperCase() : null;
+  return PRODUCTION_STRATEGIES.includes(name) ? name : DEFAULT_STRATEGY;
+};
+
+const getStrategy = (name) => STRATEGIES[name] || STRATEGIES[DEFAULT_STRATEGY];
+
+module.exports = {
+  PRODUCTION_STRATEGIES,
+  DEFAULT_STRATEGY,
+  integrateSpeed,
+  resolveStrategyName,
+  getStrategy
+};
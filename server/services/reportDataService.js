@@ -0,0 +1,1010 @@
+const pool = require('../config/database');
+const { calculateMultipleOEE } = require('./oeeService');
+
+// calculateOEE retorna cada pilar como { percentage }; aceitar também valores numéricos
+const percentageOf = (value) => (value && typeof value === 'object' ? value.percentage : value) || 0;
+
+/**
+ * Dados dos relatórios exportáveis.
+ * Usado pelas rotas de /api/reports e pelas assinaturas de relatórios agendadas,
+ * para que o arquivo enviado por e-mail seja o mesmo baixado pelo usuário.
+ */
+
+/**
+ * Métricas de qualidade (aprovação de testes por dia)
+ * @param {Object} filters - startDate, endDate, machineId
+ */
+async function getQualityMetrics({ startDate, endDate, machineId } = {}) {
+  const where = {};
+
+  // Filtros de data
+  if (startDate || endDate) {
+    where.createdAt = {};
+    if (startDate) where.createdAt.gte = new Date(startDate);
+    if (endDate) where.createdAt.lte = new Date(endDate);
+  }
+
+  if (machineId && machineId !== 'all') where.machineId = machineId;
+
+  // Construir query SQL baseada nos filtros
+  let whereClause = 'WHERE 1=1';
+  const queryParams = [];
+  let paramIndex = 1;
+
+  if (startDate) {
+    whereClause += ` AND qt."created_at" >= $${paramIndex}`;
+    queryParams.push(new Date(startDate));
+    paramIndex++;
+  }
+  if (endDate) {
+    whereClause += ` AND qt."created_at" <= $${paramIndex}`;
+    queryParams.push(new Date(endDate));
+    paramIndex++;
+  }
+  if (machineId && machineId !== 'all') {
+    whereClause += ` AND qt."machine_id" = $${paramIndex}`;
+    queryParams.push(machineId);
+    paramIndex++;
+  }
+
+  const testsQuery = `
+    SELECT
+      qt.*,
+      m.name as machine_name
+    FROM "quality_tests" qt
+    LEFT JOIN "machines" m ON qt."machine_id" = m.id
+    ${whereClause}
+    ORDER BY qt."created_at" DESC
+  `;
+
+  const testsResult = await pool.query(testsQuery, queryParams);
+  const tests = testsResult.rows.map(row => ({
+    id: row.id,
+    approved: row.approved,
+    createdAt: row.created_at,
+    machineId: row.machine_id,
+    machine: {
+      name: row.machine_name
+    }
+  }));
+
+  const approved = tests.filter(test => test.approved).length;
+  const rejected = tests.filter(test => !test.approved).length;
+  const total = tests.length;
+  const approvalRate = total > 0 ? Math.round((approved / total) * 100) : 0;
+
+  // Agrupar por data para gráfico
+  const dailyData = {};
+  tests.forEach((test, index) => {
+    if (!test.createdAt) {
+      console.warn(`Test ${index} tem createdAt undefined:`, test);
+      return;
+    }
+
+    let date;
+    try {
+      date = new Date(test.createdAt).toISOString().split('T')[0];
+    } catch (error) {
+      console.warn(`Erro ao converter data do test ${index}:`, test.createdAt, error.message);
+      return;
+    }
+    if (!dailyData[date]) {
+      dailyData[date] = { approved: 0, rejected: 0 };
+    }
+    if (test.approved) {
+      dailyData[date].approved++;
+    } else {
+      dailyData[date].rejected++;
+    }
+  });
+
+  const labels = Object.keys(dailyData).sort();
+  const approvedData = labels.map(date => dailyData[date].approved);
+  const rejectedData = labels.map(date => dailyData[date].rejected);
+
+  return {
+    approvalRate,
+    total,
+    approved,
+    rejected,
+    labels,
+    approvedData,
+    rejectedData,
+    daily: labels.map(date => ({ date, ...dailyData[date] })),
+    tests
+  };
+}
+
+/**
+ * Operações de máquinas com duração e estatísticas
+ * @param {Object} filters - startDate, endDate, machineId, userId, status
+ */
+async function getMachineOperations({ startDate, endDate, machineId, userId, status } = {}) {
+  const where = {};
+
+  // Filtros de data
+  if (startDate || endDate) {
+    where.startTime = {};
+    if (startDate) where.startTime.gte = new Date(startDate);
+    if (endDate) where.startTime.lte = new Date(endDate);
+  }
+
+  // Outros filtros
+  if (machineId) where.machineId = machineId;
+  if (userId) where.userId = userId;
+  if (status) where.status = status;
+
+  // Construir query SQL com filtros dinâmicos
+  let whereClause = 'WHERE 1=1';
+  const params = [];
+  let paramIndex = 1;
+
+  if (startDate) {
+    whereClause += ` AND mo."start_time" >= $${paramIndex}`;
+    params.push(new Date(startDate));
+    paramIndex++;
+  }
+  if (endDate) {
+    whereClause += ` AND mo."start_time" <= $${paramIndex}`;
+    params.push(new Date(endDate));
+    paramIndex++;
+  }
+  if (machineId) {
+    whereClause += ` AND mo."machine_id" = $${paramIndex}`;
+    params.push(machineId);
+    paramIndex++;
+  }
+  if (userId) {
+    whereClause += ` AND mo."user_id" = $${paramIndex}`;
+    params.push(userId);
+    paramIndex++;
+  }
+  if (status) {
+    whereClause += ` AND mo.status = $${paramIndex}`;
+    params.push(status);
+    paramIndex++;
+  }
+
+  let operations;
+
+  const client = await pool.connect();
+  try {
+    const operationsResult = await client.query(`
+      SELECT
+        mo.id,
+        mo."machine_id",
+        mo."user_id",
+        mo."startTime",
+        mo."end_time",
+        mo.status,
+        mo.observations,
+        mo."created_at",
+        mo."updatedAt",
+        m.name as machine_name,
+        m.code as machine_code,
+        m.location as machine_location,
+        u.name as user_name,
+        u.email as user_email
+      FROM "machine_operations" mo
+       LEFT JOIN "machines" m ON mo."machine_id" = m.id
+       LEFT JOIN "users" u ON mo."user_id" = u.id
+      ${whereClause}
+      ORDER BY mo."start_time" DESC
+    `, params);
+
+    // Buscar testes de qualidade para cada operação
+    const operationIds = operationsResult.rows.map(row => row.id);
+    let qualityTestsResult = { rows: [] };
+
+    if (operationIds.length > 0) {
+      const placeholders = operationIds.map((_, index) => `$${index + 1}`).join(',');
+      qualityTestsResult = await client.query(`
+        SELECT
+          id,
+          "operationId",
+          approved,
+          "created_at"
+        FROM "QualityTest"
+        WHERE "operationId" IN (${placeholders})
+      `, operationIds);
+    }
+
+    // Mapear resultados
+    operations = operationsResult.rows.map(row => ({
+      id: row.id,
+      machineId: row.machineId,
+      userId: row.userId,
+      startTime: row.startTime,
+      endTime: row.endTime,
+      status: row.status,
+      observations: row.observations,
+      createdAt: row.createdAt,
+      updatedAt: row.updatedAt,
+      machine: {
+        name: row.machine_name,
+        code: row.machine_code,
+        location: row.machine_location
+      },
+      user: {
+        name: row.user_name,
+        email: row.user_email
+      },
+      qualityTests: qualityTestsResult.rows
+        .filter(test => test.operationId === row.id)
+        .map(test => ({
+          id: test.id,
+          approved: test.approved,
+          createdAt: test.createdAt
+        }))
+    }));
+  } finally {
+    client.release();
+  }
+
+  // Calcular durações e estatísticas
+  const operationsWithDuration = operations.map(op => {
+    const duration = op.endTime ?
+      Math.round((op.endTime - op.startTime) / (1000 * 60)) : // em minutos
+      Math.round((new Date() - op.startTime) / (1000 * 60));
+
+    return {
+      ...op,
+      duration,
+      hasQualityTest: op.qualityTests.length > 0,
+      qualityTestsCount: op.qualityTests.length,
+      approvedTests: op.qualityTests.filter(t => t.approved).length
+    };
+  });
+
+  const stats = {
+    total: operations.length,
+    completed: operations.filter(op => op.status === 'COMPLETED').length,
+    running: operations.filter(op => op.status === 'RUNNING').length,
+    paused: operations.filter(op => op.status === 'PAUSED').length,
+    stopped: operations.filter(op => op.status === 'STOPPED').length,
+    withQualityTests: operationsWithDuration.filter(op => op.hasQualityTest).length,
+    averageDuration: operationsWithDuration.length > 0 ?
+      Math.round(operationsWithDuration.reduce((sum, op) => sum + op.duration, 0) / operationsWithDuration.length) : 0,
+    byMachine: {},
+    byUser: {},
+    byStatus: {}
+  };
+
+  // Agrupar estatísticas
+  operationsWithDuration.forEach(op => {
+    const machineName = op.machine.name;
+    const userName = op.user.name;
+    const status = op.status;
+
+    // Por máquina
+    if (!stats.byMachine[machineName]) {
+      stats.byMachine[machineName] = { total: 0, totalDuration: 0, withTests: 0 };
+    }
+    stats.byMachine[machineName].total++;
+    stats.byMachine[machineName].totalDuration += op.duration;
+    if (op.hasQualityTest) stats.byMachine[machineName].withTests++;
+
+    // Por usuário
+    if (!stats.byUser[userName]) {
+      stats.byUser[userName] = { total: 0, totalDuration: 0, withTests: 0 };
+    }
+    stats.byUser[userName].total++;
+    stats.byUser[userName].totalDuration += op.duration;
+    if (op.hasQualityTest) stats.byUser[userName].withTests++;
+
+    // Por status
+    if (!stats.byStatus[status]) {
+      stats.byStatus[status] = { count: 0, totalDuration: 0 };
+    }
+    stats.byStatus[status].count++;
+    stats.byStatus[status].totalDuration += op.duration;
+  });
+
+  return {
+    operations: operationsWithDuration,
+    statistics: stats
+  };
+}
+
+/**
+ * Trocas de teflon com status de validade e estatísticas
+ * @param {Object} filters - startDate, endDate, machineId, expired
+ */
+async function getTeflonChanges({ startDate, endDate, machineId, expired } = {}) {
+  const where = {};
+  const now = new Date();
+
+  // Filtros de data
+  if (startDate || endDate) {
+    where.changeDate = {};
+    if (startDate) where.changeDate.gte = new Date(startDate);
+    if (endDate) where.changeDate.lte = new Date(endDate);
+  }
+
+  // Outros filtros
+  if (machineId && machineId !== 'all') where.machineId = machineId;
+  if (expired === 'true') {
+    where.expiryDate = { lt: now };
+  } else if (expired === 'false') {
+    where.expiryDate = { gte: now };
+  }
+
+  // Construir query SQL
+  let sql = `
+    SELECT
+      tc.*,
+      m.name as machine_name,
+      m.code as machine_code,
+      m.location as machine_location,
+      u.name as user_name,
+      u.email as user_email
+    FROM teflon_changes tc
+    LEFT JOIN machines m ON tc.machine_id = m.id
+    LEFT JOIN users u ON tc.user_id = u.id
+    WHERE 1=1
+  `;
+
+  const params = [];
+  let paramIndex = 1;
+
+  // Filtros de data
+  if (startDate) {
+    sql += ` AND tc.change_date >= $${paramIndex}`;
+    params.push(startDate);
+    paramIndex++;
+  }
+  if (endDate) {
+    sql += ` AND tc.change_date <= $${paramIndex}`;
+    params.push(endDate);
+    paramIndex++;
+  }
+
+  // Outros filtros
+  if (machineId && machineId !== 'all') {
+    sql += ` AND tc.machine_id = $${paramIndex}`;
+    params.push(machineId);
+    paramIndex++;
+  }
+  if (expired === 'true') {
+    sql += ` AND tc.expiry_date < $${paramIndex}`;
+    params.push(now);
+    paramIndex++;
+  } else if (expired === 'false') {
+    sql += ` AND tc.expiry_date >= $${paramIndex}`;
+    params.push(now);
+    paramIndex++;
+  }
+
+  sql += ` ORDER BY tc.change_date DESC`;
+
+  const result = await pool.query(sql, params);
+
+  // Mapear resultados para o formato original
+  const changes = result.rows.map(row => ({
+    id: row.id,
+    changeDate: row.change_date,
+    expiryDate: row.expiry_date,
+    teflonType: row.teflon_type,
+    observations: row.observations,
+    machineId: row.machine_id,
+    userId: row.user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    machine: {
+      name: row.machine_name,
+      code: row.machine_code,
+      location: row.machine_location
+    },
+    user: {
+      name: row.user_name,
+      email: row.user_email
+    }
+  }));
+
+  // Adicionar status e calcular estatísticas
+  const changesWithStatus = changes.map(change => {
+    const daysUntilExpiry = Math.ceil((change.expiryDate - now) / (1000 * 60 * 60 * 24));
+    const isExpired = change.expiryDate < now;
+    const isExpiringSoon = !isExpired && daysUntilExpiry <= 7;
+
+    return {
+      ...change,
+      status: {
+        expired: isExpired,
+        expiringSoon: isExpiringSoon,
+        daysUntilExpiry
+      }
+    };
+  });
+
+  const stats = {
+    total: changes.length,
+    expired: changesWithStatus.filter(c => c.status.expired).length,
+    expiringSoon: changesWithStatus.filter(c => c.status.expiringSoon).length,
+    valid: changesWithStatus.filter(c => !c.status.expired && !c.status.expiringSoon).length,
+    byMachine: {},
+    byUser: {},
+    byMonth: {}
+  };
+
+  // Agrupar estatísticas
+  changesWithStatus.forEach(change => {
+    const machineName = change.machine.name;
+    const userName = change.user.name;
+    const month = change.changeDate ? new Date(change.changeDate).toISOString().substring(0, 7) : 'unknown'; // YYYY-MM
+
+    // Por máquina
+    if (!stats.byMachine[machineName]) {
+      stats.byMachine[machineName] = { total: 0, expired: 0, expiringSoon: 0 };
+    }
+    stats.byMachine[machineName].total++;
+    if (change.status.expired) stats.byMachine[machineName].expired++;
+    if (change.status.expiringSoon) stats.byMachine[machineName].expiringSoon++;
+
+    // Por usuário
+    if (!stats.byUser[userName]) {
+      stats.byUser[userName] = { total: 0, expired: 0, expiringSoon: 0 };
+    }
+    stats.byUser[userName].total++;
+    if (change.status.expired) stats.byUser[userName].expired++;
+    if (change.status.expiringSoon) stats.byUser[userName].expiringSoon++;
+
+    // Por mês
+    if (!stats.byMonth[month]) {
+      stats.byMonth[month] = { total: 0 };
+    }
+    stats.byMonth[month].total++;
+  });
+
+  // Preparar dados para gráfico
+  const monthlyData = {};
+  changesWithStatus.forEach(change => {
+    if (!change.changeDate) return;
+    const month = new Date(change.changeDate).toISOString().substring(0, 7); // YYYY-MM
+    if (!monthlyData[month]) {
+      monthlyData[month] = 0;
+    }
+    monthlyData[month]++;
+  });
+
+  const labels = Object.keys(monthlyData).sort();
+  const chartChanges = labels.map(month => monthlyData[month]);
+
+  return {
+    changes: changesWithStatus,
+    statistics: stats,
+    total: changes.length,
+    labels,
+    chartChanges
+  };
+}
+
+/**
+ * Dashboard executivo consolidado
+ * @param {Object} filters - period (7d, 30d, 90d, 1y)
+ */
+async function getExecutiveDashboard({ period = '30d' } = {}) {
+  // Calcular datas baseado no período
+  const now = new Date();
+  let startDate;
+
+  switch (period) {
+    case '7d':
+      startDate = new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000);
+      break;
+    case '30d':
+      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+      break;
+    case '90d':
+      startDate = new Date(now.getTime() - 90 * 24 * 60 * 60 * 1000);
+      break;
+    case '1y':
+      startDate = new Date(now.getTime() - 365 * 24 * 60 * 60 * 1000);
+      break;
+    default:
+      startDate = new Date(now.getTime() - 30 * 24 * 60 * 60 * 1000);
+  }
+
+
+  // Buscar dados em paralelo usando PostgreSQL
+  let machines, operations, qualityTests, teflonChanges, notifications;
+
+  const client = await pool.connect();
+  try {
+    const [machinesResult, operationsResult, qualityTestsResult, teflonChangesResult, notificationsResult] = await Promise.all([
+      // Máquinas com contagem de operações
+      client.query(`
+        SELECT
+          m.id,
+          m.name,
+          m.status,
+          m.isActive,
+          COUNT(mo.id) as operations_count
+        FROM "machines" m
+        LEFT JOIN "machine_operations" mo ON m.id = mo."machine_id" AND mo."start_time" >= $1
+        GROUP BY m.id, m.name, m.status, m.isActive
+      `, [startDate]),
+
+      // Operações
+      client.query(`
+        SELECT
+          id,
+          "startTime",
+          "endTime",
+          status,
+          "machine_id",
+          "userId"
+        FROM "machine_operations"
+        WHERE "startTime" >= $1
+      `, [startDate]),
+
+      // Testes de qualidade
+      client.query(`
+        SELECT
+          id,
+          approved,
+          "created_at",
+          "machine_id",
+          "userId"
+        FROM "QualityTest"
+        WHERE "created_at" >= $1
+      `, [startDate]),
+
+      // Trocas de teflon
+      client.query(`
+        SELECT
+          id,
+          "changeDate",
+          "expiryDate",
+          "machine_id"
+        FROM "teflon_changes"
+      `),
+
+      // Notificações
+      client.query(`
+        SELECT
+          id,
+          type,
+          priority,
+          read,
+          "created_at"
+        FROM "notifications"
+        WHERE "created_at" >= $1
+      `, [startDate])
+    ]);
+
+    // Mapear resultados para o formato original
+    machines = machinesResult.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      status: row.status,
+      isActive: row.isActive,
+      _count: {
+        operations: parseInt(row.operations_count)
+      }
+    }));
+
+    operations = operationsResult.rows.map(row => ({
+      id: row.id,
+      startTime: row.startTime,
+      endTime: row.endTime,
+      status: row.status,
+      machineId: row.machineId,
+      userId: row.userId
+    }));
+
+    qualityTests = qualityTestsResult.rows.map(row => ({
+      id: row.id,
+      approved: row.approved,
+      createdAt: row.createdAt,
+      machineId: row.machineId,
+      userId: row.userId
+    }));
+
+    teflonChanges = teflonChangesResult.rows.map(row => ({
+      id: row.id,
+      changeDate: row.changeDate,
+      expiryDate: row.expiryDate,
+      machineId: row.machineId
+    }));
+
+    notifications = notificationsResult.rows.map(row => ({
+      id: row.id,
+      type: row.type,
+      priority: row.priority,
+      read: row.read,
+      createdAt: row.createdAt
+    }));
+  } finally {
+    client.release();
+  }
+
+  // Calcular métricas
+  const totalOperations = operations.length;
+  const completedOperations = operations.filter(op => op.status === 'COMPLETED').length;
+  const runningOperations = operations.filter(op => op.status === 'RUNNING').length;
+
+  const totalQualityTests = qualityTests.length;
+  const approvedTests = qualityTests.filter(test => test.approved).length;
+  const approvalRate = totalQualityTests > 0 ? (approvedTests / totalQualityTests * 100).toFixed(1) : 0;
+
+  const activeMachines = machines.filter(m => m.isActive).length;
+  const runningMachines = machines.filter(m => m.status === 'RUNNING').length;
+
+  const expiredTeflon = teflonChanges.filter(t => t.expiryDate < now).length;
+  const expiringSoonTeflon = teflonChanges.filter(t => {
+    const sevenDaysFromNow = new Date(now.getTime() + 7 * 24 * 60 * 60 * 1000);
+    return t.expiryDate >= now && t.expiryDate <= sevenDaysFromNow;
+  }).length;
+
+  const unreadNotifications = notifications.filter(n => !n.read).length;
+  const urgentNotifications = notifications.filter(n => n.priority === 'URGENT').length;
+
+  // Dados para gráficos
+  const dailyOperations = {};
+  const dailyQualityTests = {};
+
+  // Agrupar operações por dia
+  operations.forEach(op => {
+    if (!op.startTime) return;
+    const day = new Date(op.startTime).toISOString().split('T')[0];
+    dailyOperations[day] = (dailyOperations[day] || 0) + 1;
+  });
+
+  // Agrupar testes por dia
+  qualityTests.forEach(test => {
+    if (!test.createdAt) return;
+    const day = new Date(test.createdAt).toISOString().split('T')[0];
+    if (!dailyQualityTests[day]) {
+      dailyQualityTests[day] = { total: 0, approved: 0, rejected: 0 };
+    }
+    dailyQualityTests[day].total++;
+    if (test.approved) {
+      dailyQualityTests[day].approved++;
+    } else {
+      dailyQualityTests[day].rejected++;
+    }
+  });
+
+  const dashboardData = {
+    period,
+    summary: {
+      machines: {
+        total: machines.length,
+        active: activeMachines,
+        running: runningMachines,
+        utilization: activeMachines > 0 ? (runningMachines / activeMachines * 100).toFixed(1) : 0
+      },
+      operations: {
+        total: totalOperations,
+        completed: completedOperations,
+        running: runningOperations,
+        completionRate: totalOperations > 0 ? (completedOperations / totalOperations * 100).toFixed(1) : 0
+      },
+      qualityTests: {
+        total: totalQualityTests,
+        approved: approvedTests,
+        rejected: totalQualityTests - approvedTests,
+        approvalRate: parseFloat(approvalRate)
+      },
+      teflon: {
+        total: teflonChanges.length,
+        expired: expiredTeflon,
+        expiringSoon: expiringSoonTeflon,
+        alertsNeeded: expiredTeflon + expiringSoonTeflon
+      },
+      notifications: {
+        total: notifications.length,
+        unread: unreadNotifications,
+        urgent: urgentNotifications
+      }
+    },
+    charts: {
+      dailyOperations,
+      dailyQualityTests,
+      machineUtilization: machines.map(m => ({
+        name: m.name,
+        operations: m._count.operations,
+        status: m.status
+      }))
+    },
+    alerts: {
+      expiredTeflon,
+      expiringSoonTeflon,
+      urgentNotifications,
+      operationsWithoutTests: operations.filter(op => {
+        return !qualityTests.some(test => test.machineId === op.machineId &&
+          Math.abs(test.createdAt - op.startTime) < 30 * 60 * 1000); // 30 minutos
+      }).length
+    }
+  };
+
+  return dashboardData;
+}
+
+/**
+ * Produtividade por operador
+ * @param {Object} filters - startDate, endDate, userId
+ */
+async function getOperatorProductivity({ startDate, endDate, userId } = {}) {
+  const dateFilter = {};
+  if (startDate || endDate) {
+    if (startDate) dateFilter.gte = new Date(startDate);
+    if (endDate) dateFilter.lte = new Date(endDate);
+  }
+
+  const userFilter = userId ? { id: userId } : { role: 'OPERATOR' };
+
+  // Construir filtros SQL
+  let userWhereClause = 'WHERE 1=1';
+  const userParams = [];
+  let paramIndex = 1;
+
+  if (userId) {
+    userWhereClause += ` AND u.id = $${paramIndex}`;
+    userParams.push(userId);
+    paramIndex++;
+  } else {
+    userWhereClause += ` AND u.role = $${paramIndex}`;
+    userParams.push('OPERATOR');
+    paramIndex++;
+  }
+
+  const operators = [];
+
+  const client = await pool.connect();
+  try {
+    // Buscar operadores
+    const operatorsResult = await client.query(`
+      SELECT
+        u.id,
+        u.name,
+        u.email
+      FROM "users" u
+      ${userWhereClause}
+    `, userParams);
+
+    for (const operator of operatorsResult.rows) {
+      // Buscar operações do operador
+      let operationsWhereClause = 'WHERE mo."user_id" = $1';
+      const operationsParams = [operator.id];
+      let opParamIndex = 2;
+
+      if (startDate) {
+        operationsWhereClause += ` AND mo."start_time" >= $${opParamIndex}`;
+        operationsParams.push(new Date(startDate));
+        opParamIndex++;
+      }
+      if (endDate) {
+        operationsWhereClause += ` AND mo."start_time" <= $${opParamIndex}`;
+        operationsParams.push(new Date(endDate));
+        opParamIndex++;
+      }
+
+      const operationsResult = await client.query(`
+        SELECT
+          mo.id,
+          mo."start_time",
+          mo."end_time",
+          mo.status,
+          m.name as machine_name
+        FROM "MachineOperation" mo
+        LEFT JOIN "machines" m ON mo."machine_id" = m.id
+        ${operationsWhereClause}
+      `, operationsParams);
+
+      // Buscar testes de qualidade do operador
+      let testsWhereClause = 'WHERE qt."user_id" = $1';
+      const testsParams = [operator.id];
+      let testParamIndex = 2;
+
+      if (startDate) {
+        testsWhereClause += ` AND qt."created_at" >= $${testParamIndex}`;
+        testsParams.push(new Date(startDate));
+        testParamIndex++;
+      }
+      if (endDate) {
+        testsWhereClause += ` AND qt."created_at" <= $${testParamIndex}`;
+        testsParams.push(new Date(endDate));
+        testParamIndex++;
+      }
+
+      const testsResult = await client.query(`
+        SELECT
+          qt.id,
+          qt.approved,
+          qt."created_at",
+          m.name as machine_name
+        FROM "quality_tests" qt
+        LEFT JOIN "machines" m ON qt."machine_id" = m.id
+        ${testsWhereClause}
+      `, testsParams);
+
+      // Buscar trocas de teflon do operador
+      let changesWhereClause = 'WHERE tc."user_id" = $1';
+      const changesParams = [operator.id];
+      let changeParamIndex = 2;
+
+      if (startDate) {
+        changesWhereClause += ` AND tc."changeDate" >= $${changeParamIndex}`;
+        changesParams.push(new Date(startDate));
+        changeParamIndex++;
+      }
+      if (endDate) {
+        changesWhereClause += ` AND tc."changeDate" <= $${changeParamIndex}`;
+        changesParams.push(new Date(endDate));
+        changeParamIndex++;
+      }
+
+      const changesResult = await client.query(`
+        SELECT
+          tc.id,
+          tc."changeDate",
+          m.name as machine_name
+        FROM "teflon_changes" tc
+        LEFT JOIN "machines" m ON tc."machine_id" = m.id
+        ${changesWhereClause}
+      `, changesParams);
+
+      // Mapear resultados
+      operators.push({
+        id: operator.id,
+        name: operator.name,
+        email: operator.email,
+        machineOperations: operationsResult.rows.map(row => ({
+          id: row.id,
+          startTime: row.startTime,
+          endTime: row.endTime,
+          status: row.status,
+          machine: { name: row.machine_name }
+        })),
+        qualityTests: testsResult.rows.map(row => ({
+          id: row.id,
+          approved: row.approved,
+          createdAt: row.createdAt,
+          machine: { name: row.machine_name }
+        })),
+        teflonChanges: changesResult.rows.map(row => ({
+          id: row.id,
+          changeDate: row.changeDate,
+          machine: { name: row.machine_name }
+        }))
+      });
+    }
+  } finally {
+    client.release();
+  }
+
+  const productivity = operators.map(operator => {
+    const operations = operator.machineOperations;
+    const qualityTests = operator.qualityTests;
+    const teflonChanges = operator.teflonChanges;
+
+    // Calcular tempo total de operação
+    const totalOperationTime = operations.reduce((total, op) => {
+      if (op.endTime) {
+        return total + (op.endTime - op.startTime);
+      }
+      return total;
+    }, 0);
+
+    const totalOperationHours = totalOperationTime / (1000 * 60 * 60); // em horas
+
+    return {
+      operator: {
+        id: operator.id,
+        name: operator.name,
+        email: operator.email
+      },
+      metrics: {
+        totalOperations: operations.length,
+        completedOperations: operations.filter(op => op.status === 'COMPLETED').length,
+        totalOperationHours: Math.round(totalOperationHours * 100) / 100,
+        averageOperationTime: operations.length > 0 ?
+          Math.round(totalOperationTime / operations.length / (1000 * 60)) : 0, // em minutos
+        totalQualityTests: qualityTests.length,
+        approvedTests: qualityTests.filter(test => test.approved).length,
+        approvalRate: qualityTests.length > 0 ?
+          (qualityTests.filter(test => test.approved).length / qualityTests.length * 100).toFixed(1) : 0,
+        teflonChanges: teflonChanges.length,
+        testsPerOperation: operations.length > 0 ?
+          (qualityTests.length / operations.length).toFixed(2) : 0
+      },
+      details: JSON.stringify({
+        operations,
+        qualityTests,
+        teflonChanges
+      })
+    };
+  });
+
+  // Ordenar por produtividade (número de operações completadas)
+  productivity.sort((a, b) => b.metrics.completedOperations - a.metrics.completedOperations);
+
+  return productivity;
+}
+
+/**
+ * Resumo de OEE das máquinas
+ * @param {Object} filters - startDate, endDate, machineIds (lista separada por vírgula ou 'all')
+ */
+async function getOeeSummary({ startDate, endDate, machineIds } = {}) {
+  let oeeData;
+  const startTime = startDate ? new Date(startDate) : undefined;
+  const endTime = endDate ? new Date(endDate) : undefined;
+
+  if (machineIds && machineIds !== 'all') {
+    // Calcular OEE para máquinas específicas
+    const machineIdArray = machineIds.split(',').map(id => parseInt(id.trim())).filter(id => !isNaN(id));
+    oeeData = await calculateMultipleOEE(machineIdArray, startTime, endTime);
+  } else {
+    // Buscar todas as máquinas ativas
+    const machinesQuery = `
+      SELECT id
+      FROM machines
+      WHERE is_active = true
+    `;
+    const machinesResult = await pool.query(machinesQuery);
+    const allMachineIds = machinesResult.rows.map(m => m.id);
+    oeeData = await calculateMultipleOEE(allMachineIds, startTime, endTime);
+  }
+
+  // Calcular médias gerais
+  const totalMachines = oeeData.length;
+  const averageOEE = totalMachines > 0
+    ? oeeData.reduce((sum, machine) => sum + machine.oee, 0) / totalMachines
+    : 0;
+  const averageAvailability = totalMachines > 0
+    ? oeeData.reduce((sum, machine) => sum + percentageOf(machine.availability), 0) / totalMachines
+    : 0;
+  const averagePerformance = totalMachines > 0
+    ? oeeData.reduce((sum, machine) => sum + percentageOf(machine.performance), 0) / totalMachines
+    : 0;
+  const averageQuality = totalMachines > 0
+    ? oeeData.reduce((sum, machine) => sum + percentageOf(machine.quality), 0) / totalMachines
+    : 0;
+
+  return {
+    summary: {
+      totalMachines,
+      averageOEE: Math.round(averageOEE * 100) / 100,
+      averageAvailability: Math.round(averageAvailability * 100) / 100,
+      averagePerformance: Math.round(averagePerformance * 100) / 100,
+      averageQuality: Math.round(averageQuality * 100) / 100
+    },
+    machines: oeeData
+  };
+}
+
+// Geradores de dados por tipo de relatório (mesmas chaves de reportDocuments)
+const REPORT_DATA = {
+  'quality-metrics': getQualityMetrics,
+  'machine-operations': getMachineOperations,
+  'teflon-changes': getTeflonChanges,
+  'executive-dashboard': getExecutiveDashboard,
+  'operator-productivity': getOperatorProductivity,
+  'oee-summary': getOeeSummary
+};
+
+/**
+ * Gera os dados de um relatório pelo tipo
+ * @param {string} reportType - Chave do relatório (ex.: 'oee-summary')
+ * @param {Object} filters - Filtros aceitos pelo relatório
+ */
+async function getReportData(reportType, filters = {}) {
+  const generator = REPORT_DATA[reportType];
+  if (!generator) {
+    throw new Error(`Relatório desconhecido: ${reportType}`);
+  }
+  return generator(filters);
+}
+
+module.exports = {
+  getQualityMetrics,
+  getMachineOperations,
+  getTeflonChanges,
+  getExecutiveDashboard,
+  getOperatorProductivity,
+  getOeeSummary,
+  getReportData
+};
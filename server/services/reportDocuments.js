@@ -0,0 +1,321 @@
+/**
+ * Documentos de exportação dos relatórios.
+ * Cada builder converte os dados de um relatório em { title, summary, tables }
+ * para ser renderizado em CSV, XLSX ou PDF pelo reportExportService.
+ */
+
+const OPERATION_STATUS_LABELS = {
+  RUNNING: 'Em execução',
+  COMPLETED: 'Concluída',
+  PAUSED: 'Pausada',
+  STOPPED: 'Parada'
+};
+
+const percentageOf = (value) => (value && typeof value === 'object' ? value.percentage : value) || 0;
+
+/**
+ * Converte um objeto { chave: { ... } } em linhas de tabela
+ */
+const groupRows = (groups = {}, keyName = 'name') =>
+  Object.entries(groups).map(([key, values]) => ({ [keyName]: key, ...values }));
+
+function qualityMetrics(data, filters = []) {
+  return {
+    title: 'Métricas de Qualidade',
+    filename: 'metricas-qualidade',
+    filters,
+    summary: [
+      { label: 'Total de testes', value: data.total },
+      { label: 'Aprovados', value: data.approved },
+      { label: 'Reprovados', value: data.rejected },
+      { label: 'Taxa de aprovação', value: data.approvalRate, type: 'percent' }
+    ],
+    tables: [
+      {
+        title: 'Testes por dia',
+        columns: [
+          { key: 'date', label: 'Data' },
+          { key: 'approved', label: 'Aprovados' },
+          { key: 'rejected', label: 'Reprovados' }
+        ],
+        rows: data.daily
+      },
+      {
+        title: 'Testes de qualidade',
+        columns: [
+          { key: 'createdAt', label: 'Data/Hora', type: 'datetime' },
+          { key: 'machine.name', label: 'Máquina' },
+          { key: 'approved', label: 'Resultado', value: row => (row.approved ? 'Aprovado' : 'Reprovado') }
+        ],
+        rows: data.tests
+      }
+    ]
+  };
+}
+
+function machineOperations(data, filters = []) {
+  const { operations, statistics } = data;
+
+  return {
+    title: 'Operações de Máquinas',
+    filename: 'operacoes-maquinas',
+    orientation: 'landscape',
+    filters,
+    summary: [
+      { label: 'Total de operações', value: statistics.total },
+      { label: 'Concluídas', value: statistics.completed },
+      { label: 'Em execução', value: statistics.running },
+      { label: 'Com teste de qualidade', value: statistics.withQualityTests },
+      { label: 'Duração média (min)', value: statistics.averageDuration }
+    ],
+    tables: [
+      {
+        title: 'Operações',
+        columns: [
+          { key: 'startTime', label: 'Data/Hora Início', type: 'datetime' },
+          { key: 'endTime', label: 'Data/Hora Fim', type: 'datetime', empty: 'Em andamento' },
+          { key: 'duration', label: 'Duração (min)' },
+          { key: 'machine.name', label: 'Máquina' },
+          { key: 'user.name', label: 'Operador' },
+          { key: 'status', label: 'Status', value: row => OPERATION_STATUS_LABELS[row.status] || row.status },
+          { key: 'qualityTestsCount', label: 'Testes de Qualidade' },
+          { key: 'approvedTests', label: 'Testes Aprovados' },
+          { key: 'observations', label: 'Observações' }
+        ],
+        rows: operations
+      },
+      {
+        title: 'Por máquina',
+        columns: [
+          { key: 'name', label: 'Máquina' },
+          { key: 'total', label: 'Operações' },
+          { key: 'totalDuration', label: 'Duração total (min)' },
+          { key: 'withTests', label: 'Com testes' }
+        ],
+        rows: groupRows(statistics.byMachine)
+      }
+    ]
+  };
+}
+
+function teflonChanges(data, filters = []) {
+  const { changes, statistics } = data;
+
+  return {
+    title: 'Trocas de Teflon',
+    filename: 'trocas-teflon',
+    orientation: 'landscape',
+    filters,
+    summary: [
+      { label: 'Total de trocas', value: statistics.total },
+      { label: 'Válidas', value: statistics.valid },
+      { label: 'Expirando', value: statistics.expiringSoon },
+      { label: 'Expiradas', value: statistics.expired }
+    ],
+    tables: [
+      {
+        title: 'Trocas',
+        columns: [
+          { key: 'changeDate', label: 'Data da Troca', type: 'date' },
+          { key: 'expiryDate', label: 'Data de Validade', type: 'date' },
+          { key: 'machine.name', label: 'Máquina' },
+          { key: 'user.name', label: 'Operador' },
+          { key: 'teflonType', label: 'Tipo de Teflon' },
+          {
+            key: 'status',
+            label: 'Status',
+            value: row => (row.status.expired ? 'Expirado' : row.status.expiringSoon ? 'Expirando' : 'Válido')
+          },
+          { key: 'status.daysUntilExpiry', label: 'Dias até Vencimento' },
+          { key: 'observations', label: 'Observações' }
+        ],
+        rows: changes
+      },
+      {
+        title: 'Por máquina',
+        columns: [
+          { key: 'name', label: 'Máquina' },
+          { key: 'total', label: 'Trocas' },
+          { key: 'expired', label: 'Expiradas' },
+          { key: 'expiringSoon', label: 'Expirando' }
+        ],
+        rows: groupRows(statistics.byMachine)
+      }
+    ]
+  };
+}
+
+function executiveDashboard(data, filters = []) {
+  const { summary, charts, alerts } = data;
+
+  const dailyQualityTests = charts.dailyQualityTests || {};
+  const dailyOperations = charts.dailyOperations || {};
+  const days = Array.from(new Set([...Object.keys(dailyOperations), ...Object.keys(dailyQualityTests)])).sort();
+
+  return {
+    title: 'Dashboard Executivo',
+    filename: 'dashboard-executivo',
+    filters,
+    summary: [
+      { label: 'Utilização de máquinas', value: summary.machines.utilization, type: 'percent' },
+      { label: 'Operações', value: summary.operations.total },
+      { label: 'Taxa de conclusão', value: summary.operations.completionRate, type: 'percent' },
+      { label: 'Testes de qualidade', value: summary.qualityTests.total },
+      { label: 'Taxa de aprovação', value: summary.qualityTests.approvalRate, type: 'percent' },
+      { label: 'Teflon expirado', value: alerts.expiredTeflon },
+      { label: 'Teflon expirando', value: alerts.expiringSoonTeflon },
+      { label: 'Operações sem teste', value: alerts.operationsWithoutTests }
+    ],
+    tables: [
+      {
+        title: 'Evolução diária',
+        columns: [
+          { key: 'day', label: 'Data' },
+          { key: 'operations', label: 'Operações' },
+          { key: 'tests', label: 'Testes' },
+          { key: 'approved', label: 'Aprovados' },
+          { key: 'rejected', label: 'Reprovados' }
+        ],
+        rows: days.map(day => ({
+          day,
+          operations: dailyOperations[day] || 0,
+          tests: dailyQualityTests[day]?.total || 0,
+          approved: dailyQualityTests[day]?.approved || 0,
+          rejected: dailyQualityTests[day]?.rejected || 0
+        }))
+      },
+      {
+        title: 'Utilização por máquina',
+        columns: [
+          { key: 'name', label: 'Máquina' },
+          { key: 'status', label: 'Status' },
+          { key: 'operations', label: 'Operações' }
+        ],
+        rows: charts.machineUtilization || []
+      }
+    ]
+  };
+}
+
+function operatorProductivity(data, filters = []) {
+  const totals = data.reduce((acc, item) => {
+    acc.operations += item.metrics.totalOperations;
+    acc.hours += item.metrics.totalOperationHours;
+    acc.tests += item.metrics.totalQualityTests;
+    return acc;
+  }, { operations: 0, hours: 0, tests: 0 });
+
+  return {
+    title: 'Produtividade por Operador',
+    filename: 'produtividade-operadores',
+    orientation: 'landscape',
+    filters,
+    summary: [
+      { label: 'Operadores', value: data.length },
+      { label: 'Operações', value: totals.operations },
+      { label: 'Horas de operação', value: Math.round(totals.hours * 100) / 100 },
+      { label: 'Testes de qualidade', value: totals.tests }
+    ],
+    tables: [
+      {
+        title: 'Operadores',
+        columns: [
+          { key: 'operator.name', label: 'Operador' },
+          { key: 'operator.email', label: 'E-mail' },
+          { key: 'metrics.totalOperations', label: 'Operações' },
+          { key: 'metrics.completedOperations', label: 'Concluídas' },
+          { key: 'metrics.totalOperationHours', label: 'Horas' },
+          { key: 'metrics.averageOperationTime', label: 'Tempo médio (min)' },
+          { key: 'metrics.totalQualityTests', label: 'Testes' },
+          { key: 'metrics.approvalRate', label: 'Aprovação', type: 'percent' },
+          { key: 'metrics.teflonChanges', label: 'Trocas de Teflon' }
+        ],
+        rows: data
+      }
+    ]
+  };
+}
+
+function oeeSummary(data, filters = []) {
+  const { summary, machines } = data;
+
+  return {
+    title: 'Resumo de OEE',
+    filename: 'resumo-oee',
+    filters,
+    summary: [
+      { label: 'Máquinas', value: summary.totalMachines },
+      { label: 'OEE médio', value: summary.averageOEE, type: 'percent' },
+      { label: 'Disponibilidade', value: summary.averageAvailability, type: 'percent' },
+      { label: 'Performance', value: summary.averagePerformance, type: 'percent' },
+      { label: 'Qualidade', value: summary.averageQuality, type: 'percent' }
+    ],
+    tables: [
+      {
+        title: 'OEE por máquina',
+        columns: [
+          { key: 'machineName', label: 'Máquina', value: row => row.machineName || `Máquina ${row.machineId}` },
+          { key: 'oee', label: 'OEE', type: 'percent' },
+          { key: 'availability', label: 'Disponibilidade', type: 'percent', value: row => percentageOf(row.availability) },
+          { key: 'performance', label: 'Performance', type: 'percent', value: row => percentageOf(row.performance) },
+          { key: 'quality', label: 'Qualidade', type: 'percent', value: row => percentageOf(row.quality) },
+          { key: 'classification.level', label: 'Classificação' }
+        ],
+        rows: machines
+      }
+    ]
+  };
+}
+
+const REPORT_DOCUMENTS = {
+  'quality-metrics': qualityMetrics,
+  'machine-operations': machineOperations,
+  'teflon-changes': teflonChanges,
+  'executive-dashboard': executiveDashboard,
+  'operator-productivity': operatorProductivity,
+  'oee-summary': oeeSummary
+};
+
+/**
+ * Descreve os filtros aplicados para o cabeçalho do documento
+ * @param {Object} filters - Filtros do relatório (query string ou assinatura)
+ * @returns {Array} [{ label, value }]
+ */
+function describeReportFilters({ startDate, endDate, machineId, machineIds, userId, status, period }) {
+  const filters = [];
+  const formatDate = (date) => new Date(date).toLocaleDateString('pt-BR', { timeZone: 'America/Sao_Paulo' });
+
+  if (period) filters.push({ label: 'Período', value: period });
+  if (startDate || endDate) {
+    filters.push({
+      label: 'Período',
+      value: `${startDate ? formatDate(startDate) : 'início'} a ${endDate ? formatDate(endDate) : 'hoje'}`
+    });
+  }
+  if (machineId && machineId !== 'all') filters.push({ label: 'Máquina', value: machineId });
+  if (machineIds && machineIds !== 'all') filters.push({ label: 'Máquinas', value: machineIds });
+  if (userId) filters.push({ label: 'Usuário', value: userId });
+  if (status) filters.push({ label: 'Status', value: status });
+
+  return filters;
+}
+
+/**
+ * Monta o documento de exportação de um relatório
+ * @param {string} reportType - Chave do relatório (ex.: 'oee-summary')
+ * @param {Object} data - Dados do relatório
+ * @param {Array} filters - Filtros aplicados [{ label, value }]
+ */
+function buildReportDocument(reportType, data, filters = []) {
+  const builder = REPORT_DOCUMENTS[reportType];
+  if (!builder) {
+    throw new Error(`Relatório sem layout de exportação: ${reportType}`);
+  }
+  return builder(data, filters);
+}
+
+module.exports = {
+  REPORT_TYPES: Object.keys(REPORT_DOCUMENTS),
+  describeReportFilters,
+  buildReportDocument
+};
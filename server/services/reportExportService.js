@@ -0,0 +1,342 @@
+// Formatos de exportação suportados pelos relatórios (além de json)
+const EXPORT_FORMATS = ['csv', 'xlsx', 'pdf'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  pdf: 'application/pdf'
+};
+
+const TIMEZONE = 'America/Sao_Paulo';
+
+/**
+ * Formata um valor de célula conforme o tipo da coluna
+ * @param {*} value - Valor bruto
+ * @param {string} type - 'date', 'datetime', 'percent', 'boolean' ou undefined
+ */
+function formatValue(value, type) {
+  if (value === null || value === undefined || value === '') return '';
+
+  switch (type) {
+    case 'date':
+      return new Date(value).toLocaleDateString('pt-BR', { timeZone: TIMEZONE });
+    case 'datetime':
+      return new Date(value).toLocaleString('pt-BR', { timeZone: TIMEZONE });
+    case 'percent':
+      return `${Math.round(parseFloat(value) * 100) / 100}%`;
+    case 'boolean':
+      return value ? 'Sim' : 'Não';
+    default:
+      return value;
+  }
+}
+
+/**
+ * Resolve o valor de uma coluna (chave simples, caminho "a.b" ou função)
+ */
+function getCellValue(row, column) {
+  if (typeof column.value === 'function') {
+    return column.value(row);
+  }
+  return column.key.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), row);
+}
+
+/**
+ * Converte uma tabela do documento em matriz de strings já formatadas
+ * Colunas podem definir `empty` como texto para valores ausentes.
+ */
+function tableToMatrix(table) {
+  const header = table.columns.map(column => column.label);
+  const rows = table.rows.map(row =>
+    table.columns.map(column => {
+      const value = getCellValue(row, column);
+      if ((value === null || value === undefined) && column.empty) {
+        return column.empty;
+      }
+      return formatValue(value, column.type);
+    })
+  );
+  return [header, ...rows];
+}
+
+const slugify = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/(^-|-$)/g, '');
+
+/**
+ * Nome do arquivo exportado: relatorio-<titulo>-<data>.<ext>
+ */
+function buildFilename(document, format, generatedAt = new Date()) {
+  const date = generatedAt.toISOString().split('T')[0];
+  return `relatorio-${slugify(document.filename || document.title)}-${date}.${format}`;
+}
+
+// Início de célula que o Excel executa como fórmula; textos digitados pelos operadores
+// (observações, lotes, justificativas) com esse início ganham um apóstrofo na frente
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+// Números simples, inclusive negativos e percentuais, continuam numéricos
+const PLAIN_NUMBER = /^[-+]?\d+([.,]\d+)?%?$/;
+
+const escapeCSV = (value) => {
+  let text = String(value);
+  if (typeof value !== 'number' && FORMULA_PREFIX.test(text) && !PLAIN_NUMBER.test(text)) {
+    text = `'${text}`;
+  }
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Gera CSV (separador vírgula, com BOM para abrir corretamente no Excel)
+ * Resumo e tabelas são separados por uma linha em branco.
+ */
+function toCSV(document) {
+  const blocks = [];
+
+  if (document.summary && document.summary.length > 0 && document.tables.length !== 1) {
+    blocks.push([
+      ['Indicador', 'Valor'],
+      ...document.summary.map(item => [item.label, formatValue(item.value, item.type)])
+    ]);
+  }
+
+  document.tables.forEach(table => {
+    const matrix = tableToMatrix(table);
+    if (document.tables.length > 1) {
+      matrix.unshift([table.title]);
+    }
+    blocks.push(matrix);
+  });
+
+  const content = blocks
+    .map(block => block.map(row => row.map(escapeCSV).join(',')).join('\n'))
+    .join('\n\n');
+
+  return Buffer.from('\uFEFF' + content, 'utf8');
+}
+
+/**
+ * Gera planilha XLSX com uma aba de resumo e uma aba por tabela
+ */
+async function toXLSX(document) {
+  // Carregado sob demanda, como o puppeteer: só as exportações em XLSX precisam dele
+  const ExcelJS = require('exceljs');
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Sistema ZARA';
+  workbook.created = document.generatedAt || new Date();
+  const usedNames = new Set();
+
+  const sheetName = (title) => {
+    // Excel limita nomes de abas a 31 caracteres sem []:*?/\
+    const base = title.replace(/[[\]:*?/\\]/g, ' ').substring(0, 28).trim() || 'Dados';
+    let name = base;
+    let counter = 2;
+    while (usedNames.has(name)) {
+      name = `${base} ${counter++}`;
+    }
+    usedNames.add(name);
+    return name;
+  };
+
+  const summaryRows = [
+    [document.title],
+    [`Gerado em: ${formatValue(document.generatedAt || new Date(), 'datetime')}`],
+    ...(document.filters || []).map(filter => [filter.label, formatValue(filter.value)]),
+    [],
+    ['Indicador', 'Valor'],
+    ...(document.summary || []).map(item => [item.label, formatValue(item.value, item.type)])
+  ];
+  workbook.addWorksheet(sheetName('Resumo')).addRows(summaryRows);
+
+  document.tables.forEach(table => {
+    const sheet = workbook.addWorksheet(sheetName(table.title));
+    sheet.addRows(tableToMatrix(table));
+    sheet.columns.forEach((column, index) => {
+      column.width = Math.max(table.columns[index].label.length + 2, 14);
+    });
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+const escapeHTML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+/**
+ * Monta o HTML com o layout da marca usado na renderização do PDF
+ */
+function renderHTML(document) {
+  const generatedAt = formatValue(document.generatedAt || new Date(), 'datetime');
+
+  const filters = (document.filters || [])
+    .map(filter => `<span class="filter"><strong>${escapeHTML(filter.label)}:</strong> ${escapeHTML(formatValue(filter.value))}</span>`)
+    .join('');
+
+  const summary = (document.summary || [])
+    .map(item => `
+      <div class="card">
+        <div class="card-label">${escapeHTML(item.label)}</div>
+        <div class="card-value">${escapeHTML(formatValue(item.value, item.type))}</div>
+      </div>`)
+    .join('');
+
+  const tables = document.tables.map(table => {
+    const [header, ...rows] = tableToMatrix(table);
+    const body = rows.length > 0
+      ? rows.map(row => `<tr>${row.map(cell => `<td>${escapeHTML(cell)}</td>`).join('')}</tr>`).join('')
+      : `<tr><td class="empty" colspan="${header.length}">Nenhum registro no período</td></tr>`;
+
+    return `
+      <section>
+        <h2>${escapeHTML(table.title)}</h2>
+        <table>
+          <thead><tr>${header.map(cell => `<th>${escapeHTML(cell)}</th>`).join('')}</tr></thead>
+          <tbody>${body}</tbody>
+        </table>
+      </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHTML(document.title)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: Arial, Helvetica, sans-serif; color: #212529; margin: 0; font-size: 11px; }
+    header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 18px 24px; }
+    header .brand { font-size: 12px; letter-spacing: 2px; text-transform: uppercase; opacity: 0.85; }
+    header h1 { margin: 4px 0 0; font-size: 20px; }
+    header .subtitle { margin-top: 4px; font-size: 12px; opacity: 0.9; }
+    .meta { padding: 10px 24px; background: #f1f3f5; border-bottom: 1px solid #dee2e6; }
+    .meta .filter { margin-right: 16px; }
+    main { padding: 16px 24px; }
+    .cards { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 16px; }
+    .card { border: 1px solid #dee2e6; border-left: 4px solid #667eea; border-radius: 4px; padding: 8px 12px; min-width: 140px; }
+    .card-label { color: #6c757d; font-size: 10px; text-transform: uppercase; }
+    .card-value { font-size: 16px; font-weight: bold; margin-top: 2px; }
+    section { margin-bottom: 18px; page-break-inside: auto; }
+    h2 { font-size: 14px; color: #764ba2; border-bottom: 2px solid #667eea; padding-bottom: 4px; }
+    table { width: 100%; border-collapse: collapse; }
+    thead { display: table-header-group; }
+    tr { page-break-inside: avoid; }
+    th { background: #343a40; color: white; text-align: left; padding: 6px; font-size: 10px; }
+    td { padding: 5px 6px; border-bottom: 1px solid #e9ecef; }
+    tbody tr:nth-child(even) td { background: #f8f9fa; }
+    td.empty { text-align: center; color: #6c757d; padding: 12px; }
+  </style>
+</head>
+<body>
+  <header>
+    <div class="brand">Sistema ZARA</div>
+    <h1>${escapeHTML(document.title)}</h1>
+    ${document.subtitle ? `<div class="subtitle">${escapeHTML(document.subtitle)}</div>` : ''}
+  </header>
+  <div class="meta">
+    <span class="filter"><strong>Gerado em:</strong> ${escapeHTML(generatedAt)}</span>
+    ${filters}
+  </div>
+  <main>
+    ${summary ? `<div class="cards">${summary}</div>` : ''}
+    ${tables}
+  </main>
+</body>
+</html>`;
+}
+
+/**
+ * Renderiza o PDF no servidor com puppeteer
+ */
+async function toPDF(document) {
+  // Carregado sob demanda: o Chromium só é necessário quando há exportação em PDF
+  const puppeteer = require('puppeteer');
+  const browser = await puppeteer.launch({
+    headless: true,
+    args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-dev-shm-usage']
+  });
+
+  try {
+    const page = await browser.newPage();
+    await page.setContent(renderHTML(document), { waitUntil: 'domcontentloaded' });
+
+    const pdf = await page.pdf({
+      format: 'A4',
+      landscape: document.orientation === 'landscape',
+      printBackground: true,
+      margin: { top: '10mm', bottom: '16mm', left: '8mm', right: '8mm' },
+      displayHeaderFooter: true,
+      headerTemplate: '<div></div>',
+      footerTemplate: `
+        <div style="width: 100%; font-size: 8px; color: #6c757d; padding: 0 8mm; display: flex; justify-content: space-between;">
+          <span>Sistema ZARA - Controle de Qualidade Industrial</span>
+          <span>Página <span class="pageNumber"></span> de <span class="totalPages"></span></span>
+        </div>`
+    });
+
+    return Buffer.from(pdf);
+  } finally {
+    await browser.close();
+  }
+}
+
+/**
+ * Exporta um documento de relatório no formato solicitado
+ * @param {Object} document - { title, subtitle, filters, summary, tables, orientation }
+ * @param {string} format - csv, xlsx ou pdf
+ * @returns {Promise<Object>} { buffer, contentType, filename }
+ */
+async function exportReport(document, format) {
+  const generatedAt = new Date();
+  const doc = { ...document, generatedAt };
+
+  let buffer;
+  switch (format) {
+    case 'csv':
+      buffer = toCSV(doc);
+      break;
+    case 'xlsx':
+      buffer = await toXLSX(doc);
+      break;
+    case 'pdf':
+      buffer = await toPDF(doc);
+      break;
+    default:
+      throw new Error(`Formato de exportação não suportado: ${format}`);
+  }
+
+  return {
+    buffer,
+    contentType: CONTENT_TYPES[format],
+    filename: buildFilename(doc, format, generatedAt)
+  };
+}
+
+/**
+ * Envia o relatório exportado como download
+ */
+async function sendReportExport(res, document, format) {
+  const { buffer, contentType, filename } = await exportReport(document, format);
+
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  res.setHeader('Content-Length', buffer.length);
+  return res.send(buffer);
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  formatValue,
+  tableToMatrix,
+  buildFilename,
+  toCSV,
+  toXLSX,
+  renderHTML,
+  toPDF,
+  exportReport,
+  sendReportExport
+};
@@ -0,0 +1,334 @@
+const cron = require('cron');
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const shiftService = require('./shiftService');
+const schedulerService = require('./schedulerService');
+const emailService = require('./emailService');
+const reportDataService = require('./reportDataService');
+const { REPORT_TYPES, buildReportDocument, describeReportFilters } = require('./reportDocuments');
+const { EXPORT_FORMATS, exportReport } = require('./reportExportService');
+
+// Janelas de data resolvidas no momento de cada execução
+const DATE_WINDOWS = [
+  'PREVIOUS_SHIFT',
+  'CURRENT_SHIFT',
+  'LAST_24_HOURS',
+  'YESTERDAY',
+  'LAST_7_DAYS',
+  'LAST_30_DAYS',
+  'PREVIOUS_MONTH'
+];
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+/**
+ * Converte uma linha de report_subscriptions para o formato da API
+ */
+function mapSubscription(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    reportType: row.report_type,
+    filters: row.filters || {},
+    format: row.format,
+    cronExpression: row.cron_expression,
+    recipients: row.recipients || [],
+    isActive: row.is_active,
+    lastRunAt: row.last_run_at,
+    lastStatus: row.last_status,
+    lastError: row.last_error,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Início e fim do turno em andamento em uma data
+ * O turno noturno iniciado no dia anterior termina às 07:00 do dia informado.
+ */
+function getCurrentShiftTimes(now) {
+  const shiftType = shiftService.getShiftType(now);
+  if (shiftType === 'NIGHT' && now.getHours() < 7) {
+    const previousDay = new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1);
+    return shiftService.getShiftTimes(previousDay, 'NIGHT');
+  }
+  return shiftService.getShiftTimes(now, shiftType);
+}
+
+/**
+ * Resolve uma janela de data relativa para um intervalo absoluto
+ * @param {string} dateWindow - Uma das DATE_WINDOWS
+ * @param {Date} now - Momento da execução
+ * @returns {Object} { startDate, endDate }
+ */
+function resolveDateWindow(dateWindow, now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+
+  switch (dateWindow) {
+    case 'PREVIOUS_SHIFT': {
+      const { startTime } = getCurrentShiftTimes(now);
+      return { startDate: new Date(startTime.getTime() - 12 * HOUR), endDate: startTime };
+    }
+    case 'CURRENT_SHIFT': {
+      const { startTime } = getCurrentShiftTimes(now);
+      return { startDate: startTime, endDate: now };
+    }
+    case 'LAST_24_HOURS':
+      return { startDate: new Date(now.getTime() - DAY), endDate: now };
+    case 'YESTERDAY':
+      return {
+        startDate: new Date(now.getFullYear(), now.getMonth(), now.getDate() - 1),
+        endDate: startOfToday
+      };
+    case 'LAST_7_DAYS':
+      return { startDate: new Date(now.getTime() - 7 * DAY), endDate: now };
+    case 'LAST_30_DAYS':
+      return { startDate: new Date(now.getTime() - 30 * DAY), endDate: now };
+    case 'PREVIOUS_MONTH':
+      return {
+        startDate: new Date(now.getFullYear(), now.getMonth() - 1, 1),
+        endDate: new Date(now.getFullYear(), now.getMonth(), 1)
+      };
+    default:
+      throw new Error(`Janela de data desconhecida: ${dateWindow}`);
+  }
+}
+
+/**
+ * Converte os filtros da assinatura nos filtros aceitos pelos relatórios
+ * @param {Object} filters - { machineIds, dateWindow, userId, status, period }
+ * @param {Date} now - Momento da execução
+ */
+function buildReportFilters(filters = {}, now = new Date()) {
+  const { startDate, endDate } = resolveDateWindow(filters.dateWindow || 'LAST_24_HOURS', now);
+  const machineIds = filters.machineIds || [];
+
+  return {
+    startDate: startDate.toISOString(),
+    endDate: endDate.toISOString(),
+    // Relatórios por máquina única usam machineId; o resumo de OEE aceita a lista
+    machineId: machineIds.length === 1 ? String(machineIds[0]) : undefined,
+    machineIds: machineIds.length > 0 ? machineIds.join(',') : undefined,
+    userId: filters.userId,
+    status: filters.status,
+    period: filters.period
+  };
+}
+
+/**
+ * Verifica se a expressão cron é válida
+ */
+function isValidCronExpression(expression) {
+  try {
+    new cron.CronTime(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+const jobName = (id) => `report-subscription-${id}`;
+
+/**
+ * Lista as assinaturas de relatório
+ * @param {Object} options
+ * @param {boolean} options.activeOnly - Apenas assinaturas ativas
+ */
+async function getSubscriptions({ activeOnly = false } = {}) {
+  const result = await pool.query(`
+    SELECT rs.*, u.name AS created_by_name
+    FROM report_subscriptions rs
+    LEFT JOIN users u ON rs.created_by = u.id
+    ${activeOnly ? 'WHERE rs.is_active = true' : ''}
+    ORDER BY rs.name
+  `);
+
+  return result.rows.map(mapSubscription);
+}
+
+async function getSubscriptionById(id) {
+  const result = await pool.query(`
+    SELECT rs.*, u.name AS created_by_name
+    FROM report_subscriptions rs
+    LEFT JOIN users u ON rs.created_by = u.id
+    WHERE rs.id = $1
+  `, [id]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Assinatura de relatório não encontrada', 404);
+  }
+
+  return mapSubscription(result.rows[0]);
+}
+
+/**
+ * Gera o relatório da assinatura, grava o snapshot em reports e envia por email
+ * @param {Object} subscription - Assinatura já mapeada
+ * @returns {Promise<Object>} { reportId, filename, email }
+ */
+async function runSubscription(subscription) {
+  const now = new Date();
+
+  try {
+    const filters = buildReportFilters(subscription.filters, now);
+    const data = await reportDataService.getReportData(subscription.reportType, filters);
+    const document = buildReportDocument(subscription.reportType, data, describeReportFilters(filters));
+    document.subtitle = subscription.name;
+
+    const file = await exportReport(document, subscription.format);
+    const period = `${new Date(filters.startDate).toLocaleString('pt-BR')} a ${new Date(filters.endDate).toLocaleString('pt-BR')}`;
+
+    // O arquivo fica no snapshot até o último destinatário receber o email
+    const snapshotResult = await pool.query(`
+      INSERT INTO reports (type, period, data, generated_at, subscription_id, format, file_content)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [
+      subscription.reportType,
+      period,
+      JSON.stringify({ filters, data }),
+      now,
+      subscription.id,
+      subscription.format,
+      file.buffer
+    ]);
+
+    const email = await emailService.sendSubscriptionReport(
+      { name: subscription.name, title: document.title, period },
+      { ...file, reportId: snapshotResult.rows[0].id },
+      subscription.recipients
+    );
+
+    const lastError = email.success ? null : `Falha no envio do email: ${email.error}`;
+    await pool.query(`
+      UPDATE report_subscriptions
+      SET last_run_at = $1, last_status = $2, last_error = $3
+      WHERE id = $4
+    `, [now, email.success ? 'SUCCESS' : 'FAILED', lastError, subscription.id]);
+
+    return { reportId: snapshotResult.rows[0].id, filename: file.filename, email };
+  } catch (error) {
+    await pool.query(`
+      UPDATE report_subscriptions
+      SET last_run_at = $1, last_status = 'FAILED', last_error = $2
+      WHERE id = $3
+    `, [now, error.message, subscription.id]);
+    throw error;
+  }
+}
+
+/**
+ * Agenda (ou remove da agenda) a execução de uma assinatura
+ */
+function scheduleSubscription(subscription) {
+  if (!subscription.isActive) {
+    schedulerService.stopJob(jobName(subscription.id));
+    return;
+  }
+
+  schedulerService.scheduleJob(jobName(subscription.id), subscription.cronExpression, async () => {
+    console.log(`📊 Executando assinatura de relatório '${subscription.name}'...`);
+    try {
+      // Recarregar para usar filtros e destinatários atualizados
+      const current = await getSubscriptionById(subscription.id);
+      await runSubscription(current);
+    } catch (error) {
+      console.error(`❌ Erro na assinatura de relatório '${subscription.name}':`, error.message);
+    }
+  });
+}
+
+/**
+ * Agenda todas as assinaturas ativas (inicialização do servidor)
+ */
+async function scheduleActiveSubscriptions() {
+  const subscriptions = await getSubscriptions({ activeOnly: true });
+  subscriptions.forEach(scheduleSubscription);
+  return subscriptions.length;
+}
+
+async function createSubscription({ name, reportType, filters = {}, format = 'pdf', cronExpression, recipients, isActive = true }, userId) {
+  const result = await pool.query(`
+    INSERT INTO report_subscriptions (name, report_type, filters, format, cron_expression, recipients, is_active, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [name, reportType, JSON.stringify(filters), format, cronExpression, recipients, isActive, userId]);
+
+  const subscription = await getSubscriptionById(result.rows[0].id);
+  scheduleSubscription(subscription);
+  return subscription;
+}
+
+async function updateSubscription(id, changes) {
+  const current = await getSubscriptionById(id);
+  const merged = { ...current, ...changes };
+
+  await pool.query(`
+    UPDATE report_subscriptions
+    SET name = $1, report_type = $2, filters = $3, format = $4,
+        cron_expression = $5, recipients = $6, is_active = $7
+    WHERE id = $8
+  `, [
+    merged.name,
+    merged.reportType,
+    JSON.stringify(merged.filters),
+    merged.format,
+    merged.cronExpression,
+    merged.recipients,
+    merged.isActive,
+    id
+  ]);
+
+  const subscription = await getSubscriptionById(id);
+  scheduleSubscription(subscription);
+  return subscription;
+}
+
+async function deleteSubscription(id) {
+  const result = await pool.query('DELETE FROM report_subscriptions WHERE id = $1 RETURNING id', [id]);
+  if (result.rows.length === 0) {
+    throw new AppError('Assinatura de relatório não encontrada', 404);
+  }
+  schedulerService.stopJob(jobName(id));
+}
+
+/**
+ * Histórico de snapshots gerados por uma assinatura
+ */
+async function getSubscriptionRuns(id, limit = 20) {
+  const result = await pool.query(`
+    SELECT id, type, period, format, generated_at
+    FROM reports
+    WHERE subscription_id = $1
+    ORDER BY generated_at DESC
+    LIMIT $2
+  `, [id, limit]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    reportType: row.type,
+    period: row.period,
+    format: row.format,
+    generatedAt: row.generated_at
+  }));
+}
+
+module.exports = {
+  REPORT_TYPES,
+  EXPORT_FORMATS,
+  DATE_WINDOWS,
+  resolveDateWindow,
+  buildReportFilters,
+  isValidCronExpression,
+  getSubscriptions,
+  getSubscriptionById,
+  getSubscriptionRuns,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  runSubscription,
+  scheduleActiveSubscriptions
+};
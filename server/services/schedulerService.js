@@ -1,6 +1,14 @@
 const cron = require('cron');
 const notificationService = require('./notificationService');
 const shiftService = require('./shiftService');
+const nonConformanceService = require('./nonConformanceService');
+const maintenanceService = require('./maintenanceService');
+const machineIngestionService = require('./machineIngestionService');
+const firstArticleService = require('./firstArticleService');
+const alertEscalationService = require('./alertEscalationService');
+const notificationDigestService = require('./notificationDigestService');
+const notificationDeliveryService = require('./notificationDeliveryService');
+const webhookService = require('./webhookService');
 const pool = require('../config/database');
 
 class SchedulerService {
@@ -48,11 +56,59 @@ class SchedulerService {
       await this.updateShiftData();
     });
 
+    // Escalação de não conformidades e ações vencidas - a cada hora
+    this.scheduleJob('non-conformance-overdue', '5 * * * *', async () => {
+      console.log('🚨 Verificando não conformidades vencidas...');
+      await this.escalateOverdueNonConformances();
+    });
+
+    // Ordens de serviço dos planos de manutenção vencidos - a cada hora
+    this.scheduleJob('maintenance-plans', '15 * * * *', async () => {
+      console.log('🛠️ Verificando planos de manutenção vencidos...');
+      await this.generateMaintenanceWorkOrders();
+    });
+
+    // Reconciliação dos contadores reais com a produção calculada - a cada hora
+    this.scheduleJob('counter-reconciliation', '25 * * * *', async () => {
+      console.log('📡 Reconciliando contadores das máquinas...');
+      await this.reconcileMachineCounters();
+    });
+
+    // Inspeções da primeira peça com prazo vencido - a cada minuto
+    this.scheduleJob('fai-overdue', '* * * * *', async () => {
+      await this.notifyOverdueFirstArticles();
+    });
+
+    // Resumos de notificações retidas (silêncio/resumo horário ou diário) - a cada 15 minutos
+    this.scheduleJob('notification-digest', '*/15 * * * *', async () => {
+      await this.sendNotificationDigests();
+    });
+
+    // Novas tentativas dos envios externos que falharam (backoff exponencial) - a cada minuto
+    this.scheduleJob('notification-delivery-retry', '* * * * *', async () => {
+      await this.retryNotificationDeliveries();
+    });
+
+    // Novas tentativas das entregas de webhooks com falha temporária - a cada minuto
+    this.scheduleJob('webhook-retry', '* * * * *', async () => {
+      await this.retryWebhookDeliveries();
+    });
+
+    // Alertas não reconhecidos dentro do prazo da política - a cada minuto
+    this.scheduleJob('alert-escalation', '* * * * *', async () => {
+      await this.escalateAlerts();
+    });
+
     console.log(`✅ ${this.jobs.size} tarefas agendadas inicializadas`);
   }
 
   scheduleJob(name, cronPattern, task) {
     try {
+      // Reagendar uma tarefa existente substitui a anterior
+      if (this.jobs.has(name)) {
+        this.stopJob(name);
+      }
+
       const job = new cron.CronJob(cronPattern, task, null, true, 'America/Sao_Paulo');
       this.jobs.set(name, job);
       console.log(`⏰ Tarefa '${name}' agendada: ${cronPattern}`);
@@ -200,31 +256,22 @@ class SchedulerService {
 
       console.log(`🔧 Encontradas ${inactiveMachines.length} máquinas inativas`);
 
+      // A chave de deduplicação mantém uma única notificação aberta por máquina
       for (const machine of inactiveMachines) {
-        // Verificar se já foi enviada notificação recentemente
-        const recentNotificationResult = await pool.query(
-          `SELECT * FROM "Notification" 
-           WHERE type = $1 AND "machineId" = $2 AND "createdAt" >= $3 
-           ORDER BY "createdAt" DESC LIMIT 1`,
-          ['MACHINE_INACTIVE', machine.id, twoHoursAgo]
-        );
-        const recentNotification = recentNotificationResult.rows[0];
-
-        if (!recentNotification) {
-          await notificationService.saveNotification({
-            type: 'MACHINE_INACTIVE',
-            title: 'Máquina Inativa Detectada',
-            message: `${machine.name} não registra atividade há mais de 2 horas`,
-            machineId: machine.id,
-            priority: 'MEDIUM',
-            channels: ['SYSTEM'],
-            metadata: {
-              machineName: machine.name,
-              location: machine.location,
-              lastActivity: twoHoursAgo.toISOString()
-            }
-          });
-        }
+        await notificationService.saveNotification({
+          type: 'MACHINE_INACTIVE',
+          title: 'Máquina Inativa Detectada',
+          message: `${machine.name} não registra atividade há mais de 2 horas`,
+          machineId: machine.id,
+          priority: 'MEDIUM',
+          channels: ['SYSTEM'],
+          dedupKey: `machine-inactive:${machine.id}`,
+          metadata: {
+            machineName: machine.name,
+            location: machine.location,
+            lastActivity: twoHoursAgo.toISOString()
+          }
+        });
       }
 
       return { success: true, inactiveMachines: inactiveMachines.length };
@@ -385,6 +432,104 @@ class SchedulerService {
     }
   }
 
+  async escalateOverdueNonConformances() {
+    try {
+      const escalated = await nonConformanceService.escalateOverdue();
+      console.log(`✅ ${escalated} itens de não conformidade escalados`);
+      return escalated;
+    } catch (error) {
+      console.error('❌ Erro ao escalar não conformidades:', error);
+      return 0;
+    }
+  }
+
+  async generateMaintenanceWorkOrders() {
+    try {
+      const workOrders = await maintenanceService.generateDueWorkOrders();
+      console.log(`✅ ${workOrders.length} ordens de serviço preventivas geradas`);
+      return workOrders.length;
+    } catch (error) {
+      console.error('❌ Erro ao gerar ordens de serviço preventivas:', error);
+      return 0;
+    }
+  }
+
+  async reconcileMachineCounters() {
+    try {
+      const drifts = await machineIngestionService.reconcileActiveSources();
+      console.log(`✅ Reconciliação de contadores concluída (${drifts.length} divergências)`);
+      return drifts.length;
+    } catch (error) {
+      console.error('❌ Erro ao reconciliar contadores das máquinas:', error);
+      return 0;
+    }
+  }
+
+  async notifyOverdueFirstArticles() {
+    try {
+      const notified = await firstArticleService.notifyOverdue();
+      if (notified > 0) {
+        console.log(`✅ ${notified} inspeções da primeira peça vencidas notificadas`);
+      }
+      return notified;
+    } catch (error) {
+      console.error('❌ Erro ao notificar inspeções da primeira peça vencidas:', error);
+      return 0;
+    }
+  }
+
+  async escalateAlerts() {
+    try {
+      const escalated = await alertEscalationService.processDueEscalations();
+      if (escalated > 0) {
+        console.log(`✅ ${escalated} alertas não reconhecidos escalonados`);
+      }
+      return escalated;
+    } catch (error) {
+      console.error('❌ Erro ao escalonar alertas:', error);
+      return 0;
+    }
+  }
+
+  async sendNotificationDigests() {
+    try {
+      const sent = await notificationDigestService.sendDigests();
+      if (sent > 0) {
+        console.log(`✅ ${sent} resumos de notificações enviados`);
+      }
+      return sent;
+    } catch (error) {
+      console.error('❌ Erro ao enviar resumos de notificações:', error);
+      return 0;
+    }
+  }
+
+  async retryNotificationDeliveries() {
+    try {
+      const delivered = await notificationDeliveryService.retryDueDeliveries();
+      if (delivered > 0) {
+        console.log(`✅ ${delivered} notificações reenviadas após falha`);
+      }
+      return delivered;
+    } catch (error) {
+      console.error('❌ Erro ao repetir envios de notificações:', error);
+      return 0;
+    }
+  }
+
+  async retryWebhookDeliveries() {
+    try {
+      const delivered = await webhookService.retryDueDeliveries();
+      if (delivered > 0) {
+        console.log(`✅ ${delivered} entregas de webhooks concluídas após falha`);
+      }
+      return delivered;
+    } catch (error) {
+      console.error('❌ Erro ao repetir entregas de webhooks:', error);
+      return 0;
+    }
+  }
+
   stopAll() {
     console.log('⏹️ Parando todas as tarefas agendadas...');
     for (const [name, job] of this.jobs) {
@@ -0,0 +1,445 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const shiftService = require('./shiftService');
+const productionLedgerService = require('./productionLedgerService');
+
+// Tipos de lançamento: refugo (peça perdida) e retrabalho (peça recuperada fora do fluxo normal)
+const RECORD_TYPES = ['SCRAP', 'REWORK'];
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Converte uma linha de scrap_reasons para o formato da API
+ */
+function mapReason(row) {
+  return {
+    id: row.id,
+    code: row.code,
+    name: row.name,
+    description: row.description,
+    appliesTo: row.applies_to,
+    sortOrder: row.sort_order,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function mapRecord(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    operationId: row.operation_id,
+    shiftDataId: row.shift_data_id,
+    type: row.record_type,
+    reasonId: row.reason_id,
+    reasonCode: row.reason_code,
+    reasonName: row.reason_name,
+    quantity: row.quantity,
+    photoUrl: row.photo_url,
+    notes: row.notes,
+    productionEventId: row.production_event_id ? Number(row.production_event_id) : null,
+    recordedBy: row.recorded_by,
+    recordedByName: row.recorded_by_name,
+    recordedAt: row.recorded_at
+  };
+}
+
+/**
+ * Lista os motivos de refugo/retrabalho
+ * @param {Object} options
+ * @param {boolean} options.includeInactive - Incluir motivos desativados
+ * @param {string} options.type - Filtrar motivos aplicáveis ao tipo (SCRAP/REWORK)
+ */
+async function getReasons({ includeInactive = false, type = null } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (!includeInactive) {
+    conditions.push('is_active = true');
+  }
+  if (type) {
+    params.push(type);
+    conditions.push(`(applies_to IS NULL OR applies_to = $${params.length})`);
+  }
+
+  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  const result = await pool.query(
+    `SELECT * FROM scrap_reasons ${whereClause} ORDER BY sort_order ASC, name ASC`,
+    params
+  );
+
+  return result.rows.map(mapReason);
+}
+
+async function getReasonById(id) {
+  const result = await pool.query('SELECT * FROM scrap_reasons WHERE id = $1', [parseInt(id)]);
+  return result.rows[0] ? mapReason(result.rows[0]) : null;
+}
+
+async function createReason({ code, name, description, appliesTo, sortOrder = 0 }, userId) {
+  const existing = await pool.query('SELECT id FROM scrap_reasons WHERE code = $1', [code]);
+  if (existing.rows.length > 0) {
+    throw new AppError('Já existe um motivo com este código', 400);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO scrap_reasons (code, name, description, applies_to, sort_order, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [code, name, description || null, appliesTo || null, sortOrder, userId]
+  );
+
+  return mapReason(result.rows[0]);
+}
+
+async function updateReason(id, fields) {
+  const fieldMap = {
+    name: 'name',
+    description: 'description',
+    appliesTo: 'applies_to',
+    sortOrder: 'sort_order',
+    isActive: 'is_active'
+  };
+
+  const updateFields = [];
+  const updateValues = [];
+  Object.entries(fieldMap).forEach(([key, column]) => {
+    if (fields[key] !== undefined) {
+      updateValues.push(fields[key]);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  });
+
+  if (updateFields.length === 0) {
+    throw new AppError('Nenhum campo para atualizar', 400);
+  }
+
+  updateValues.push(parseInt(id));
+  const result = await pool.query(
+    `UPDATE scrap_reasons SET ${updateFields.join(', ')}
+     WHERE id = $${updateValues.length}
+     RETURNING *`,
+    updateValues
+  );
+
+  if (result.rows.length === 0) {
+    throw new AppError('Motivo de refugo não encontrado', 404);
+  }
+
+  return mapReason(result.rows[0]);
+}
+
+/**
+ * Lança refugo ou retrabalho na operação ativa da máquina.
+ * Refugo vira um evento SCRAP no livro de produção; ambos somam nos totais do turno.
+ * @param {Object} data - { machineId, type, reasonId, quantity, photoUrl, notes }
+ * @param {Object} user - Usuário autenticado ({ id, role })
+ */
+async function recordScrap({ machineId, type, reasonId, quantity, photoUrl = null, notes = null }, user, audit = {}) {
+  if (!RECORD_TYPES.includes(type)) {
+    throw new AppError('Tipo deve ser SCRAP ou REWORK', 400);
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new AppError('Quantidade deve ser um número inteiro maior que zero', 400);
+  }
+
+  const reason = await getReasonById(reasonId);
+  if (!reason || !reason.isActive) {
+    throw new AppError('Motivo de refugo não encontrado', 404);
+  }
+  if (reason.appliesTo && reason.appliesTo !== type) {
+    throw new AppError(`Motivo não se aplica a ${type === 'SCRAP' ? 'refugo' : 'retrabalho'}`, 400);
+  }
+
+  const operationResult = await pool.query(
+    "SELECT id, user_id, production_order_id FROM machine_operations WHERE machine_id = $1 AND status = 'ACTIVE' ORDER BY start_time DESC LIMIT 1",
+    [machineId]
+  );
+  const operation = operationResult.rows[0];
+  if (!operation) {
+    throw new AppError('Nenhuma operação ativa na máquina', 409);
+  }
+  // Operadores lançam apenas na própria operação; líderes e acima em qualquer máquina
+  if (user.role === 'OPERATOR' && operation.user_id !== user.id) {
+    throw new AppError('Apenas o operador da máquina pode lançar refugo nesta operação', 403);
+  }
+
+  const now = new Date();
+  const window = shiftService.getCurrentShiftWindow(now);
+  const client = await pool.connect();
+  let record;
+  try {
+    await client.query('BEGIN');
+
+    const shiftData = await productionLedgerService.lockShiftForAdjustment(machineId, window, client);
+
+    let event = null;
+    if (type === 'SCRAP') {
+      event = await productionLedgerService.recordEvent({
+        machineId,
+        type: 'SCRAP',
+        quantity,
+        source: user.role === 'OPERATOR' ? 'OPERATOR' : 'LEADER',
+        shiftDataId: shiftData.id,
+        operatorId: operation.user_id,
+        productionOrderId: operation.production_order_id,
+        userId: user.id,
+        reason: reason.name,
+        metadata: { scrapReasonCode: reason.code, operationId: operation.id },
+        occurredAt: now
+      }, client);
+    }
+
+    const column = type === 'SCRAP' ? 'scrap_quantity' : 'rework_quantity';
+    await client.query(
+      `UPDATE shift_data SET ${column} = COALESCE(${column}, 0) + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+      [quantity, shiftData.id]
+    );
+
+    const result = await client.query(`
+      INSERT INTO scrap_records (
+        machine_id, operation_id, shift_data_id, record_type, reason_id, quantity,
+        photo_url, notes, production_event_id, recorded_by, recorded_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      RETURNING *
+    `, [machineId, operation.id, shiftData.id, type, reason.id, quantity, photoUrl, notes, event ? event.id : null, user.id, now]);
+
+    await client.query('COMMIT');
+    record = { ...mapRecord(result.rows[0]), reasonCode: reason.code, reasonName: reason.name };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  try {
+    await auditLogger.logDataAccess({
+      action: 'SCRAP_RECORDED',
+      userId: user.id,
+      resource: 'scrap_records',
+      resourceId: String(record.id),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 201,
+      metadata: { machineId, type, quantity, reasonCode: reason.code, shiftDataId: record.shiftDataId }
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria do refugo:', error);
+  }
+
+  return record;
+}
+
+/**
+ * Lista lançamentos de refugo/retrabalho
+ * @param {Object} filters - machineId, operationId, shiftDataId, type, startDate, endDate, limit
+ */
+async function getRecords({ machineId = null, operationId = null, shiftDataId = null, type = null, startDate = null, endDate = null, limit = 100 } = {}) {
+  const conditions = [];
+  const params = [];
+
+  const filters = [
+    [machineId, 's.machine_id = $'],
+    [operationId, 's.operation_id = $'],
+    [shiftDataId, 's.shift_data_id = $'],
+    [type, 's.record_type = $']
+  ];
+  filters.forEach(([value, condition]) => {
+    if (value) {
+      params.push(value);
+      conditions.push(`${condition}${params.length}`);
+    }
+  });
+  if (startDate) {
+    params.push(startDate);
+    conditions.push(`s.recorded_at >= $${params.length}::date`);
+  }
+  if (endDate) {
+    params.push(endDate);
+    conditions.push(`s.recorded_at < $${params.length}::date + 1`);
+  }
+
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+  params.push(limit);
+
+  const result = await pool.query(`
+    SELECT s.*, m.name AS machine_name, r.code AS reason_code, r.name AS reason_name, u.name AS recorded_by_name
+    FROM scrap_records s
+    JOIN machines m ON m.id = s.machine_id
+    JOIN scrap_reasons r ON r.id = s.reason_id
+    LEFT JOIN users u ON u.id = s.recorded_by
+    ${where}
+    ORDER BY s.recorded_at DESC, s.id DESC
+    LIMIT $${params.length}
+  `, params);
+
+  return result.rows.map(mapRecord);
+}
+
+/**
+ * Peças retrabalhadas da máquina no período (o refugo vem do livro de produção)
+ */
+async function getReworkQuantity(machineId, startTime, endTime) {
+  const result = await pool.query(`
+    SELECT COALESCE(SUM(quantity), 0) AS rework
+    FROM scrap_records
+    WHERE machine_id = $1 AND record_type = 'REWORK' AND recorded_at > $2 AND recorded_at <= $3
+  `, [machineId, startTime, endTime]);
+
+  return Number(result.rows[0].rework) || 0;
+}
+
+/**
+ * Ordena os motivos por quantidade e calcula participação e acumulado (Pareto)
+ * @param {Array} rows - { type, code, name, quantity, occurrences }
+ */
+function buildReasonPareto(rows) {
+  const total = rows.reduce((sum, row) => sum + row.quantity, 0);
+  let cumulative = 0;
+
+  return rows
+    .slice()
+    .sort((a, b) => (b.quantity - a.quantity) || (b.occurrences - a.occurrences))
+    .map(row => {
+      const percentage = total > 0 ? (row.quantity / total) * 100 : 0;
+      cumulative += percentage;
+      return {
+        ...row,
+        percentage: round(percentage),
+        cumulativePercentage: round(Math.min(cumulative, 100))
+      };
+    });
+}
+
+/**
+ * Relatório de refugo e retrabalho do período, geral, por motivo e por máquina.
+ * Refugo sem lançamento na máquina (ajuste do líder no livro) aparece como motivo próprio.
+ * @param {Object} filters - startTime, endTime, machineIds
+ */
+async function getScrapReport({ startTime, endTime, machineIds = [] }) {
+  const machineFilter = machineIds.length > 0 ? 'AND e.machine_id = ANY($3::int[])' : '';
+  const recordFilter = machineIds.length > 0 ? 'AND s.machine_id = ANY($3::int[])' : '';
+  const params = machineIds.length > 0 ? [startTime, endTime, machineIds] : [startTime, endTime];
+
+  const productionResult = await pool.query(`
+    SELECT e.machine_id, m.name AS machine_name,
+           COALESCE(SUM(e.quantity) FILTER (WHERE e.event_type IN ('INCREMENT', 'CORRECTION')), 0) AS produced,
+           COALESCE(SUM(e.quantity) FILTER (WHERE e.event_type = 'SCRAP'), 0) AS scrap
+    FROM production_events e
+    JOIN machines m ON m.id = e.machine_id
+    WHERE e.event_type IN ('INCREMENT', 'CORRECTION', 'SCRAP')
+      AND e.occurred_at > $1 AND e.occurred_at <= $2 ${machineFilter}
+    GROUP BY e.machine_id, m.name
+  `, params);
+
+  const reworkResult = await pool.query(`
+    SELECT s.machine_id, m.name AS machine_name, SUM(s.quantity) AS rework
+    FROM scrap_records s
+    JOIN machines m ON m.id = s.machine_id
+    WHERE s.record_type = 'REWORK' AND s.recorded_at > $1 AND s.recorded_at <= $2 ${recordFilter}
+    GROUP BY s.machine_id, m.name
+  `, params);
+
+  const reasonsResult = await pool.query(`
+    SELECT 'SCRAP' AS type, COALESCE(r.code, 'AJUSTE-LIDER') AS code, COALESCE(r.name, 'Ajuste do líder') AS name,
+           SUM(e.quantity) AS quantity, COUNT(*) AS occurrences
+    FROM production_events e
+    LEFT JOIN scrap_records s ON s.production_event_id = e.id
+    LEFT JOIN scrap_reasons r ON r.id = s.reason_id
+    WHERE e.event_type = 'SCRAP' AND e.occurred_at > $1 AND e.occurred_at <= $2 ${machineFilter}
+    GROUP BY r.code, r.name
+    UNION ALL
+    SELECT 'REWORK' AS type, r.code, r.name, SUM(s.quantity) AS quantity, COUNT(*) AS occurrences
+    FROM scrap_records s
+    JOIN scrap_reasons r ON r.id = s.reason_id
+    WHERE s.record_type = 'REWORK' AND s.recorded_at > $1 AND s.recorded_at <= $2 ${recordFilter}
+    GROUP BY r.code, r.name
+  `, params);
+
+  return buildScrapReport({
+    startTime,
+    endTime,
+    production: productionResult.rows,
+    rework: reworkResult.rows,
+    reasons: reasonsResult.rows
+  });
+}
+
+/**
+ * Monta o relatório a partir das agregações do banco
+ */
+function buildScrapReport({ startTime, endTime, production, rework, reasons }) {
+  const machines = new Map();
+  const machineEntry = (row) => {
+    if (!machines.has(row.machine_id)) {
+      machines.set(row.machine_id, { machineId: row.machine_id, machineName: row.machine_name, produced: 0, scrap: 0, rework: 0 });
+    }
+    return machines.get(row.machine_id);
+  };
+
+  production.forEach(row => {
+    const entry = machineEntry(row);
+    entry.produced = Number(row.produced) || 0;
+    entry.scrap = Number(row.scrap) || 0;
+  });
+  rework.forEach(row => {
+    machineEntry(row).rework = Number(row.rework) || 0;
+  });
+
+  const withRates = (entry) => ({
+    ...entry,
+    produced: round(entry.produced),
+    scrap: round(entry.scrap),
+    scrapRate: entry.produced > 0 ? round((entry.scrap / entry.produced) * 100) : 0,
+    reworkRate: entry.produced > 0 ? round((entry.rework / entry.produced) * 100) : 0
+  });
+
+  const byMachine = Array.from(machines.values())
+    .map(withRates)
+    .sort((a, b) => b.scrap - a.scrap);
+
+  const totals = withRates(byMachine.reduce((acc, entry) => ({
+    produced: acc.produced + entry.produced,
+    scrap: acc.scrap + entry.scrap,
+    rework: acc.rework + entry.rework
+  }), { produced: 0, scrap: 0, rework: 0 }));
+
+  const reasonRows = reasons.map(row => ({
+    type: row.type,
+    code: row.code,
+    name: row.name,
+    quantity: Number(row.quantity) || 0,
+    occurrences: parseInt(row.occurrences) || 0
+  }));
+
+  return {
+    period: { startTime, endTime },
+    totals,
+    scrapByReason: buildReasonPareto(reasonRows.filter(row => row.type === 'SCRAP')),
+    reworkByReason: buildReasonPareto(reasonRows.filter(row => row.type === 'REWORK')),
+    byMachine
+  };
+}
+
+module.exports = {
+  RECORD_TYPES,
+  getReasons,
+  getReasonById,
+  createReason,
+  updateReason,
+  recordScrap,
+  getRecords,
+  getReworkQuantity,
+  buildScrapReport,
+  getScrapReport
+};
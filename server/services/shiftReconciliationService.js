@@ -0,0 +1,589 @@
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const notificationService = require('./notificationService');
+const productionLedgerService = require('./productionLedgerService');
+const productionOrderService = require('./productionOrderService');
+
+const SHIFT_TYPES = ['MORNING', 'NIGHT'];
+const RESOLUTION_ACTIONS = ['JUSTIFY', 'CORRECT'];
+
+// PENDING: turno encerrado sem contagem (não existe registro em shift_reconciliations)
+const RECONCILIATION_STATUSES = ['PENDING', 'FLAGGED', 'RECONCILED'];
+
+// Período padrão da listagem quando não há datas
+const DEFAULT_LIST_DAYS = 7;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const round = (value, decimals = 2) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const toNumber = (value) => (value === null || value === undefined ? null : Number(value));
+
+const getDefaultThreshold = () => {
+  const value = parseFloat(process.env.SHIFT_RECONCILIATION_THRESHOLD_PERCENT);
+  return Number.isFinite(value) ? value : 5;
+};
+
+// Data do turno como YYYY-MM-DD (shift_date é gravado à meia-noite do dia do turno)
+const toDateKey = (value) => {
+  if (value instanceof Date) {
+    const month = String(value.getMonth() + 1).padStart(2, '0');
+    const day = String(value.getDate()).padStart(2, '0');
+    return `${value.getFullYear()}-${month}-${day}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+/**
+ * Diferença entre a quantidade contada e a teórica.
+ * O percentual é relativo à produção teórica; sem produção teórica, qualquer contagem é 100%.
+ * @returns {Object} { variance, variancePercent, flagged }
+ */
+function calculateVariance(theoretical, counted, thresholdPercent) {
+  const variance = round(counted - theoretical);
+  let variancePercent = 0;
+  if (theoretical > 0) {
+    variancePercent = round((variance / theoretical) * 100);
+  } else if (counted > 0) {
+    variancePercent = 100;
+  }
+
+  return {
+    variance,
+    variancePercent,
+    flagged: Math.abs(variancePercent) > thresholdPercent
+  };
+}
+
+/**
+ * Valida a justificativa ou correção do líder
+ */
+function validateResolution(reconciliation, { action, justification, correctedQuantity }) {
+  if (reconciliation.status !== 'FLAGGED') {
+    throw new AppError('Apenas turnos com diferença acima do limite precisam de justificativa', 400);
+  }
+  if (!RESOLUTION_ACTIONS.includes(action)) {
+    throw new AppError('Ação deve ser JUSTIFY ou CORRECT', 400);
+  }
+  if (!justification || !justification.trim()) {
+    throw new AppError('Justificativa é obrigatória', 400);
+  }
+  if (action === 'CORRECT' && (!Number.isInteger(correctedQuantity) || correctedQuantity < 0)) {
+    throw new AppError('Quantidade corrigida deve ser um número inteiro positivo', 400);
+  }
+}
+
+function mapReconciliation(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    shiftDate: toDateKey(row.shift_date),
+    shiftType: row.shift_type,
+    theoreticalQuantity: toNumber(row.theoretical_quantity),
+    measuredQuantity: toNumber(row.measured_quantity),
+    countedQuantity: toNumber(row.counted_quantity),
+    countNotes: row.count_notes,
+    countedBy: row.counted_by ? { id: row.counted_by, name: row.counted_by_name } : null,
+    countedAt: row.counted_at,
+    variance: toNumber(row.variance),
+    variancePercent: toNumber(row.variance_percent),
+    thresholdPercent: toNumber(row.threshold_percent),
+    status: row.status,
+    resolution: row.resolution,
+    justification: row.justification,
+    reconciledQuantity: toNumber(row.reconciled_quantity),
+    reconciledBy: row.reconciled_by ? { id: row.reconciled_by, name: row.reconciled_by_name } : null,
+    reconciledAt: row.reconciled_at,
+    reopenedAt: row.reopened_at,
+    reopenReason: row.reopen_reason
+  };
+}
+
+async function auditReconciliation(action, reconciliation, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'shift_reconciliation',
+      resourceId: String(reconciliation.id),
+      method: audit.method || 'SYSTEM',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata: {
+        machineId: reconciliation.machineId,
+        shiftDate: reconciliation.shiftDate,
+        shiftType: reconciliation.shiftType,
+        ...metadata
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao auditar reconciliação de turno:', error);
+  }
+}
+
+/**
+ * Limite de diferença da máquina (ou o padrão do sistema)
+ */
+async function getThreshold(machineId, db = pool) {
+  const result = await db.query(
+    'SELECT threshold_percent FROM shift_reconciliation_thresholds WHERE machine_id = $1',
+    [machineId]
+  );
+  return result.rows.length > 0 ? parseFloat(result.rows[0].threshold_percent) : getDefaultThreshold();
+}
+
+async function getThresholds() {
+  const result = await pool.query(`
+    SELECT m.id AS machine_id, m.name AS machine_name, t.threshold_percent, t.updated_at
+    FROM machines m
+    LEFT JOIN shift_reconciliation_thresholds t ON t.machine_id = m.id
+    ORDER BY m.name
+  `);
+
+  const defaultThreshold = getDefaultThreshold();
+  return {
+    defaultThreshold,
+    machines: result.rows.map(row => ({
+      machineId: row.machine_id,
+      machineName: row.machine_name,
+      thresholdPercent: row.threshold_percent !== null ? parseFloat(row.threshold_percent) : defaultThreshold,
+      isDefault: row.threshold_percent === null,
+      updatedAt: row.updated_at
+    }))
+  };
+}
+
+async function setThreshold(machineId, thresholdPercent, userId) {
+  await pool.query(`
+    INSERT INTO shift_reconciliation_thresholds (machine_id, threshold_percent, updated_by, updated_at)
+    VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+    ON CONFLICT (machine_id)
+    DO UPDATE SET threshold_percent = EXCLUDED.threshold_percent, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+  `, [machineId, thresholdPercent, userId]);
+
+  return { machineId, thresholdPercent };
+}
+
+/**
+ * Totais de shift_data da máquina no turno (soma dos registros de todos os operadores)
+ */
+async function getShiftAggregate(machineId, shiftDate, shiftType, db = pool) {
+  const result = await db.query(`
+    SELECT
+      MIN(start_time) AS start_time,
+      MAX(end_time) AS end_time,
+      COALESCE(SUM(total_production), 0) AS theoretical_quantity,
+      COUNT(*) AS records
+    FROM shift_data
+    WHERE machine_id = $1 AND DATE(shift_date) = $2 AND shift_type = $3
+  `, [machineId, shiftDate, shiftType]);
+
+  const row = result.rows[0];
+  if (!row || parseInt(row.records) === 0) {
+    return null;
+  }
+
+  return {
+    startTime: row.start_time,
+    endTime: row.end_time,
+    theoreticalQuantity: round(parseFloat(row.theoretical_quantity))
+  };
+}
+
+// Ciclos do contador real da máquina no turno; null quando a máquina não tem fonte de sinal
+async function getMeasuredQuantity(machineId, startTime, endTime, db = pool) {
+  const result = await db.query(`
+    SELECT COUNT(*) AS readings, COALESCE(SUM(delta), 0) AS total
+    FROM machine_counter_readings
+    WHERE machine_id = $1 AND received_at >= $2 AND received_at < $3
+  `, [machineId, startTime, endTime]);
+
+  return parseInt(result.rows[0].readings) > 0 ? parseInt(result.rows[0].total) : null;
+}
+
+async function setShiftLock(client, { machineId, shiftDate, shiftType }, locked) {
+  await client.query(`
+    UPDATE shift_data
+    SET is_locked = $1, locked_at = CASE WHEN $1 THEN CURRENT_TIMESTAMP ELSE NULL END
+    WHERE machine_id = $2 AND DATE(shift_date) = $3 AND shift_type = $4
+  `, [locked, machineId, shiftDate, shiftType]);
+}
+
+/**
+ * Leva a quantidade corrigida ao registro do turno: um evento CORRECTION no livro de produção
+ * com a diferença para o total teórico, somado ao shift_data mais recente do turno. Assim
+ * dashboards, OEE, relatórios e o progresso da ordem passam a usar o número corrigido.
+ * Deve ser chamada dentro da transação, antes de travar o turno.
+ */
+async function applyCorrection(client, reconciliation, correctedQuantity, userId, justification) {
+  const shiftResult = await client.query(`
+    SELECT * FROM shift_data
+    WHERE machine_id = $1 AND DATE(shift_date) = $2 AND shift_type = $3
+    ORDER BY production_calculated_at DESC NULLS LAST, id DESC
+    FOR UPDATE
+  `, [reconciliation.machineId, reconciliation.shiftDate, reconciliation.shiftType]);
+
+  if (shiftResult.rows.length === 0) {
+    throw new AppError('Nenhum registro de produção da máquina no turno informado', 404);
+  }
+
+  const currentTotal = shiftResult.rows.reduce((sum, row) => sum + (Number(row.total_production) || 0), 0);
+  const difference = round(correctedQuantity - currentTotal);
+  if (difference === 0) {
+    return null;
+  }
+
+  // O ajuste entra no fim do turno, na ordem de produção que estava na máquina
+  const shiftData = shiftResult.rows[0];
+  const occurredAt = shiftData.end_time
+    ? new Date(new Date(shiftData.end_time).getTime() - 1000)
+    : new Date(shiftData.start_time);
+  const productionOrderId = await productionOrderService.getOrderIdAt(reconciliation.machineId, occurredAt, client);
+
+  const event = await productionLedgerService.recordEvent({
+    machineId: reconciliation.machineId,
+    type: 'CORRECTION',
+    quantity: difference,
+    source: 'LEADER',
+    shiftDataId: shiftData.id,
+    operatorId: shiftData.operator_id,
+    productionOrderId,
+    userId,
+    reason: `Reconciliação do turno: ${justification}`,
+    metadata: { reconciliationId: reconciliation.id },
+    occurredAt
+  }, client);
+
+  await client.query(
+    'UPDATE shift_data SET total_production = COALESCE(total_production, 0) + $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+    [difference, shiftData.id]
+  );
+
+  return event;
+}
+
+async function getReconciliationById(id) {
+  const result = await pool.query(`
+    SELECT sr.*, m.name AS machine_name, cu.name AS counted_by_name, ru.name AS reconciled_by_name
+    FROM shift_reconciliations sr
+    JOIN machines m ON m.id = sr.machine_id
+    LEFT JOIN users cu ON cu.id = sr.counted_by
+    LEFT JOIN users ru ON ru.id = sr.reconciled_by
+    WHERE sr.id = $1
+  `, [id]);
+
+  return result.rows.length > 0 ? mapReconciliation(result.rows[0]) : null;
+}
+
+/**
+ * Lista os turnos encerrados com a situação da reconciliação
+ * @param {Object} filters - { machineId, status, startDate, endDate, limit, offset }
+ */
+async function getShiftReconciliations({ machineId = null, status = null, startDate = null, endDate = null, limit = 50, offset = 0 } = {}) {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - DEFAULT_LIST_DAYS * DAY);
+
+  const params = [toDateKey(start), toDateKey(end)];
+  const conditions = ['DATE(sd.shift_date) BETWEEN $1 AND $2'];
+  const having = ['MAX(sd.end_time) <= NOW()'];
+
+  if (machineId) {
+    params.push(machineId);
+    conditions.push(`sd.machine_id = $${params.length}`);
+  }
+  if (status === 'PENDING') {
+    having.push('sr.id IS NULL');
+  } else if (status) {
+    params.push(status);
+    having.push(`sr.status = $${params.length}`);
+  }
+
+  params.push(limit, offset);
+
+  const result = await pool.query(`
+    SELECT
+      sd.machine_id,
+      m.name AS machine_name,
+      DATE(sd.shift_date) AS shift_date,
+      sd.shift_type,
+      MIN(sd.start_time) AS start_time,
+      MAX(sd.end_time) AS end_time,
+      COALESCE(SUM(sd.total_production), 0) AS current_theoretical,
+      BOOL_AND(COALESCE(sd.is_locked, false)) AS is_locked,
+      sr.id,
+      sr.theoretical_quantity,
+      sr.measured_quantity,
+      sr.counted_quantity,
+      sr.variance,
+      sr.variance_percent,
+      sr.threshold_percent,
+      sr.status,
+      sr.resolution,
+      sr.reconciled_quantity,
+      sr.reconciled_at,
+      COUNT(*) OVER() AS total_count
+    FROM shift_data sd
+    JOIN machines m ON m.id = sd.machine_id
+    LEFT JOIN shift_reconciliations sr
+      ON sr.machine_id = sd.machine_id AND sr.shift_date = DATE(sd.shift_date) AND sr.shift_type = sd.shift_type
+    WHERE ${conditions.join(' AND ')}
+    GROUP BY sd.machine_id, m.name, DATE(sd.shift_date), sd.shift_type, sr.id
+    HAVING ${having.join(' AND ')}
+    ORDER BY DATE(sd.shift_date) DESC, sd.shift_type DESC, m.name
+    LIMIT $${params.length - 1} OFFSET $${params.length}
+  `, params);
+
+  return {
+    total: result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0,
+    items: result.rows.map(row => ({
+      id: row.id,
+      machineId: row.machine_id,
+      machineName: row.machine_name,
+      shiftDate: toDateKey(row.shift_date),
+      shiftType: row.shift_type,
+      startTime: row.start_time,
+      endTime: row.end_time,
+      theoreticalQuantity: row.id ? toNumber(row.theoretical_quantity) : round(parseFloat(row.current_theoretical)),
+      measuredQuantity: toNumber(row.measured_quantity),
+      countedQuantity: toNumber(row.counted_quantity),
+      variance: toNumber(row.variance),
+      variancePercent: toNumber(row.variance_percent),
+      thresholdPercent: toNumber(row.threshold_percent),
+      status: row.status || 'PENDING',
+      resolution: row.resolution,
+      reconciledQuantity: toNumber(row.reconciled_quantity),
+      reconciledAt: row.reconciled_at,
+      isLocked: row.is_locked
+    }))
+  };
+}
+
+/**
+ * Registra a contagem do turno. Dentro do limite o turno é reconciliado e travado
+ * automaticamente; acima do limite fica sinalizado aguardando o líder.
+ * @param {Object} data - { machineId, shiftDate, shiftType, countedQuantity, notes }
+ * @param {number} userId - Usuário que contou
+ */
+async function submitCount({ machineId, shiftDate, shiftType, countedQuantity, notes = null }, userId, now = new Date()) {
+  const shiftKey = { machineId, shiftDate: toDateKey(shiftDate), shiftType };
+
+  const client = await pool.connect();
+  let reconciliationId;
+  let flagged;
+  try {
+    await client.query('BEGIN');
+
+    const shift = await getShiftAggregate(machineId, shiftKey.shiftDate, shiftType, client);
+    if (!shift) {
+      throw new AppError('Turno não encontrado para a máquina', 404);
+    }
+    if (new Date(shift.endTime) > now) {
+      throw new AppError('O turno ainda está em andamento', 400);
+    }
+
+    const existing = await client.query(
+      'SELECT id, status FROM shift_reconciliations WHERE machine_id = $1 AND shift_date = $2 AND shift_type = $3 FOR UPDATE',
+      [machineId, shiftKey.shiftDate, shiftType]
+    );
+    if (existing.rows[0] && existing.rows[0].status === 'RECONCILED') {
+      throw new AppError('Turno já reconciliado', 409);
+    }
+
+    const thresholdPercent = await getThreshold(machineId, client);
+    const measuredQuantity = await getMeasuredQuantity(machineId, shift.startTime, shift.endTime, client);
+    const variance = calculateVariance(shift.theoreticalQuantity, countedQuantity, thresholdPercent);
+    flagged = variance.flagged;
+
+    const result = await client.query(`
+      INSERT INTO shift_reconciliations (
+        machine_id, shift_date, shift_type, theoretical_quantity, measured_quantity,
+        counted_quantity, count_notes, counted_by, counted_at,
+        variance, variance_percent, threshold_percent, status,
+        resolution, reconciled_quantity, reconciled_by, reconciled_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, $9, $10, $11, $12, $13, $14, $15, $16)
+      ON CONFLICT (machine_id, shift_date, shift_type)
+      DO UPDATE SET
+        theoretical_quantity = EXCLUDED.theoretical_quantity,
+        measured_quantity = EXCLUDED.measured_quantity,
+        counted_quantity = EXCLUDED.counted_quantity,
+        count_notes = EXCLUDED.count_notes,
+        counted_by = EXCLUDED.counted_by,
+        counted_at = CURRENT_TIMESTAMP,
+        variance = EXCLUDED.variance,
+        variance_percent = EXCLUDED.variance_percent,
+        threshold_percent = EXCLUDED.threshold_percent,
+        status = EXCLUDED.status,
+        resolution = EXCLUDED.resolution,
+        justification = NULL,
+        reconciled_quantity = EXCLUDED.reconciled_quantity,
+        reconciled_by = EXCLUDED.reconciled_by,
+        reconciled_at = EXCLUDED.reconciled_at
+      RETURNING id
+    `, [
+      machineId, shiftKey.shiftDate, shiftType, shift.theoreticalQuantity, measuredQuantity,
+      countedQuantity, notes, userId,
+      variance.variance, variance.variancePercent, thresholdPercent,
+      flagged ? 'FLAGGED' : 'RECONCILED',
+      flagged ? null : 'AUTO',
+      flagged ? null : countedQuantity,
+      flagged ? null : userId,
+      flagged ? null : now
+    ]);
+    reconciliationId = result.rows[0].id;
+
+    if (!flagged) {
+      await setShiftLock(client, shiftKey, true);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const reconciliation = await getReconciliationById(reconciliationId);
+
+  if (flagged) {
+    try {
+      const leaders = await notificationService.getUsersByRole(['LEADER', 'MANAGER', 'ADMIN']);
+      await notificationService.createAlert({
+        machine_id: machineId,
+        type: `shift_reconciliation_${reconciliationId}`,
+        priority: 'warning',
+        message: `Produção do turno ${reconciliation.shiftDate} (${shiftType}) em ${reconciliation.machineName} ` +
+          `diverge ${reconciliation.variancePercent}% da teórica (contado ${countedQuantity}, teórico ${reconciliation.theoreticalQuantity}). ` +
+          'Justifique ou corrija a contagem.'
+      }, leaders.map(user => user.id));
+    } catch (error) {
+      console.error('Erro ao alertar divergência de produção do turno:', error);
+    }
+  }
+
+  return reconciliation;
+}
+
+/**
+ * Justifica a diferença (aceita a contagem) ou corrige a quantidade, travando o turno.
+ * A correção é aplicada ao total do turno pelo livro de produção (applyCorrection)
+ * @param {number} id - ID da reconciliação
+ * @param {Object} resolution - { action, justification, correctedQuantity }
+ */
+async function resolveReconciliation(id, { action, justification, correctedQuantity = null }, userId, audit = {}) {
+  const current = await getReconciliationById(id);
+  if (!current) {
+    throw new AppError('Reconciliação não encontrada', 404);
+  }
+
+  validateResolution(current, { action, justification, correctedQuantity });
+
+  const reconciledQuantity = action === 'CORRECT' ? correctedQuantity : current.countedQuantity;
+
+  let correction = null;
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE shift_reconciliations
+      SET status = 'RECONCILED', resolution = $1, justification = $2, reconciled_quantity = $3,
+          reconciled_by = $4, reconciled_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+    `, [action === 'CORRECT' ? 'CORRECTED' : 'JUSTIFIED', justification.trim(), reconciledQuantity, userId, id]);
+
+    if (action === 'CORRECT') {
+      correction = await applyCorrection(client, current, correctedQuantity, userId, justification.trim());
+    }
+
+    await setShiftLock(client, current, true);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditReconciliation('SHIFT_RECONCILIATION_RESOLVED', current, userId, {
+    action,
+    justification: justification.trim(),
+    countedQuantity: current.countedQuantity,
+    reconciledQuantity,
+    correctionEventId: correction ? correction.id : null
+  }, audit);
+
+  return getReconciliationById(id);
+}
+
+/**
+ * Reabre um turno reconciliado, destravando os registros para nova contagem ou justificativa
+ */
+async function reopenReconciliation(id, reason, userId, audit = {}) {
+  const current = await getReconciliationById(id);
+  if (!current) {
+    throw new AppError('Reconciliação não encontrada', 404);
+  }
+  if (current.status !== 'RECONCILED') {
+    throw new AppError('Apenas turnos reconciliados podem ser reabertos', 400);
+  }
+  if (!reason || !reason.trim()) {
+    throw new AppError('Motivo da reabertura é obrigatório', 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+
+    await client.query(`
+      UPDATE shift_reconciliations
+      SET status = 'FLAGGED', resolution = NULL, justification = NULL, reconciled_quantity = NULL,
+          reconciled_by = NULL, reconciled_at = NULL,
+          reopened_by = $1, reopened_at = CURRENT_TIMESTAMP, reopen_reason = $2
+      WHERE id = $3
+    `, [userId, reason.trim(), id]);
+
+    await setShiftLock(client, current, false);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await auditReconciliation('SHIFT_RECONCILIATION_REOPENED', current, userId, {
+    reason: reason.trim(),
+    previousResolution: current.resolution,
+    previousQuantity: current.reconciledQuantity
+  }, audit);
+
+  return getReconciliationById(id);
+}
+
+module.exports = {
+  SHIFT_TYPES,
+  RESOLUTION_ACTIONS,
+  RECONCILIATION_STATUSES,
+  calculateVariance,
+  validateResolution,
+  getThreshold,
+  getThresholds,
+  setThreshold,
+  getShiftAggregate,
+  getShiftReconciliations,
+  getReconciliationById,
+  submitCount,
+  resolveReconciliation,
+  reopenReconciliation
+};
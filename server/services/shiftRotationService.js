@@ -3,15 +3,16 @@ const pool = require('../config/database');
 class ShiftRotationService {
   constructor() {
     // Sistema 3x3: 3 dias trabalhando, 3 dias de folga
-    // 4 escalas: 2 diurnas (7-19h) e 2 noturnas (19-7h)
+    // Cada equipe alterna 3 dias diurnos (7-19h) e 3 noites (19-7h), com 3 dias de folga entre eles.
+    // Com as equipes defasadas em 3 dias, cada horário tem exatamente uma equipe em turno.
     this.SHIFT_SCHEDULE = {
-      SHIFT_1: { start: 7, end: 19, type: 'DAY' },    // Primeira escala diurna
-      SHIFT_2: { start: 19, end: 7, type: 'NIGHT' }, // Primeira escala noturna
-      SHIFT_3: { start: 7, end: 19, type: 'DAY' },   // Segunda escala diurna
-      SHIFT_4: { start: 19, end: 7, type: 'NIGHT' }  // Segunda escala noturna
+      SHIFT_1: { start: 7, end: 19, type: 'DAY' },    // Escala diurna
+      SHIFT_2: { start: 19, end: 7, type: 'NIGHT' }, // Escala noturna
+      SHIFT_3: { start: 7, end: 19, type: 'DAY' },   // Legado: turnos gravados no modelo de 4 escalas
+      SHIFT_4: { start: 19, end: 7, type: 'NIGHT' }  // Legado: turnos gravados no modelo de 4 escalas
     };
     
-    this.ROTATION_CYCLE_DAYS = 12; // 4 escalas × 3 dias = 12 dias por ciclo completo
+    this.ROTATION_CYCLE_DAYS = 12; // 3 dias + 3 folgas + 3 noites + 3 folgas
     this.WORK_DAYS = 3;
     this.REST_DAYS = 3;
   }
@@ -67,16 +68,15 @@ class ShiftRotationService {
   /**
    * Determina qual escala está ativa no momento
    * @param {Date} date - Data para verificar
-   * @returns {string} SHIFT_1, SHIFT_2, SHIFT_3, SHIFT_4 ou REST
+   * @param {number} offsetDays - Defasagem da equipe no ciclo
+   * @returns {string} SHIFT_1 (diurna), SHIFT_2 (noturna) ou REST
    */
-  getCurrentShift(date = new Date()) {
-    const cycleDay = this.getCycleDayNumber(date);
+  getCurrentShift(date = new Date(), offsetDays = 0) {
+    const cycleDay = this.getCycleDayNumber(date, offsetDays);
     
-    // Dias 1-3: SHIFT_1, Dias 4-6: SHIFT_2, Dias 7-9: SHIFT_3, Dias 10-12: SHIFT_4
+    // Dias 1-3: SHIFT_1, Dias 4-6: folga, Dias 7-9: SHIFT_2, Dias 10-12: folga
     if (cycleDay >= 1 && cycleDay <= 3) return 'SHIFT_1';
-    if (cycleDay >= 4 && cycleDay <= 6) return 'SHIFT_2';
-    if (cycleDay >= 7 && cycleDay <= 9) return 'SHIFT_3';
-    if (cycleDay >= 10 && cycleDay <= 12) return 'SHIFT_4';
+    if (cycleDay >= 7 && cycleDay <= 9) return 'SHIFT_2';
     
     return 'REST';
   }
@@ -84,15 +84,17 @@ class ShiftRotationService {
   /**
    * Calcula o dia do ciclo (1-12) baseado na data
    * @param {Date} date - Data para calcular
+   * @param {number} offsetDays - Defasagem da equipe no ciclo (shift_teams.cycle_offset_days)
    * @returns {number} Dia do ciclo (1-12)
    */
-  getCycleDayNumber(date) {
-    // Usar 1º de janeiro de 2024 como referência para o ciclo
-    const referenceDate = new Date('2024-01-01');
-    const diffTime = Math.abs(date - referenceDate);
-    const diffDays = Math.floor(diffTime / (1000 * 60 * 60 * 24));
+  getCycleDayNumber(date, offsetDays = 0) {
+    // Usar 1º de janeiro de 2024 como referência para o ciclo, contando dias do calendário local
+    // (o mesmo de getShiftTimes); datas anteriores à referência seguem o ciclo sem espelhar
+    const referenceDay = Date.UTC(2024, 0, 1);
+    const day = Date.UTC(date.getFullYear(), date.getMonth(), date.getDate());
+    const diffDays = Math.round((day - referenceDay) / (1000 * 60 * 60 * 24)) + offsetDays;
     
-    return (diffDays % this.ROTATION_CYCLE_DAYS) + 1;
+    return (((diffDays % this.ROTATION_CYCLE_DAYS) + this.ROTATION_CYCLE_DAYS) % this.ROTATION_CYCLE_DAYS) + 1;
   }
 
   /**
@@ -108,12 +110,12 @@ class ShiftRotationService {
                 json_agg(
                   json_build_object(
                     'id', stm.id,
-                    'teamId', stm."teamId",
-                    'userId', stm."userId",
-                    'isLeader', stm."isLeader",
-                    'isActive', stm.isActive,
-                    'createdAt', stm."createdAt",
-                    'updatedAt', stm."updatedAt",
+                    'teamId', stm.team_id,
+                    'userId', stm.user_id,
+                    'isLeader', COALESCE(stm.is_leader, false),
+                    'isActive', stm.is_active,
+                    'createdAt', stm.created_at,
+                    'updatedAt', stm.updated_at,
                     'user', json_build_object(
                       'id', u.id,
                       'name', u.name,
@@ -138,8 +140,9 @@ class ShiftRotationService {
         throw new Error(`Equipe ${teamCode} não encontrada`);
       }
 
-      const currentShift = this.getCurrentShift(date);
-      const cycleDay = this.getCycleDayNumber(date);
+      const offsetDays = team.cycle_offset_days || 0;
+      const currentShift = this.getCurrentShift(date, offsetDays);
+      const cycleDay = this.getCycleDayNumber(date, offsetDays);
       const isWorkDay = currentShift !== 'REST';
       
       let shiftTimes = null;
@@ -154,7 +157,7 @@ class ShiftRotationService {
         isWorkDay,
         shiftTimes,
         members: team.members.filter(m => m.isActive),
-        rotationCycle: team.currentCycle
+        rotationCycle: team.current_cycle
       };
     } catch (error) {
       console.error('Erro ao obter escala ativa da equipe:', error);
@@ -162,10 +165,28 @@ class ShiftRotationService {
     }
   }
 
+  /**
+   * Encontra a equipe em turno em um instante. O turno noturno começa no dia
+   * anterior, por isso a escala de ontem também é verificada.
+   * @param {Array} teams - Linhas de shift_teams com team_code e cycle_offset_days
+   * @param {Date} instant - Instante a verificar
+   * @returns {Object|null} Equipe em turno ou null
+   */
+  findTeamOnShift(teams, instant) {
+    const previousDay = new Date(instant.getFullYear(), instant.getMonth(), instant.getDate() - 1);
+
+    return teams.find(team => [instant, previousDay].some(date => {
+      const shift = this.getCurrentShift(date, team.cycle_offset_days || 0);
+      if (shift === 'REST') return false;
+      const { startTime, endTime } = this.getShiftTimes(date, shift);
+      return instant >= startTime && instant < endTime;
+    })) || null;
+  }
+
   /**
    * Calcula os horários de início e fim da escala
    * @param {Date} date - Data de referência
-   * @param {string} shiftType - Tipo da escala (SHIFT_1, SHIFT_2, SHIFT_3, SHIFT_4)
+   * @param {string} shiftType - Tipo da escala (SHIFT_1, SHIFT_2 ou os legados SHIFT_3, SHIFT_4)
    * @returns {Object} { startTime, endTime }
    */
   getShiftTimes(date, shiftType) {
@@ -208,7 +229,7 @@ class ShiftRotationService {
 
       const { startTime, endTime } = teamShift.shiftTimes;
       const shiftDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
-      const cycleDay = this.getCycleDayNumber(now);
+      const cycleDay = teamShift.cycleDay;
 
       // Verificar se já existe dados para este turno
       let shiftDataResult = await pool.query(
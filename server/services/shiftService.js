@@ -39,6 +39,21 @@ class ShiftService {
     }
   }
 
+  /**
+   * Janela do turno em andamento. Após a meia-noite o turno noturno
+   * ainda pertence ao dia em que começou.
+   * @param {Date} now - Momento de referência
+   * @returns {Object} { shiftType, shiftDate, startTime, endTime }
+   */
+  getCurrentShiftWindow(now = new Date()) {
+    const shiftType = this.getShiftType(now);
+    const shiftDate = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    if (shiftType === 'NIGHT' && now.getHours() < 7) {
+      shiftDate.setDate(shiftDate.getDate() - 1);
+    }
+    return { shiftType, shiftDate, ...this.getShiftTimes(shiftDate, shiftType) };
+  }
+
   /**
    * Cria ou atualiza dados do turno atual
    * @param {number} machineId - ID da máquina
@@ -65,27 +80,21 @@ class ShiftService {
 
       if (shiftData) {
         // Atualizar dados existentes
-        // Usar o maior valor entre produção atual e nova para evitar regressão
-        const currentProduction = shiftData.totalProduction || 0;
-        const newProduction = productionData.totalProduction || 0;
-        const finalProduction = Math.max(currentProduction, newProduction);
-        
+        // A produção do turno é derivada do livro de eventos (motor de produção) e não é sobrescrita aqui
         const updateShiftQuery = `
           UPDATE shift_data SET 
-            total_production = $1,
-            efficiency = $2,
-            downtime = $3,
-            quality_tests = $4,
-            approved_tests = $5,
-            rejected_tests = $6,
-            production_data = $7,
-            updated_at = $8
-          WHERE id = $9
+            efficiency = $1,
+            downtime = $2,
+            quality_tests = $3,
+            approved_tests = $4,
+            rejected_tests = $5,
+            production_data = $6,
+            updated_at = $7
+          WHERE id = $8
           RETURNING *
         `;
         
         const updateResult = await db.query(updateShiftQuery, [
-          finalProduction,
           productionData.efficiency || shiftData.efficiency,
           productionData.downtime || shiftData.downtime,
           productionData.qualityTests || shiftData.quality_tests,
@@ -97,11 +106,6 @@ class ShiftService {
         ]);
         
         shiftData = updateResult.rows[0];
-        
-        // Log para debug
-        if (finalProduction !== currentProduction) {
-          console.log(`🔄 Produção atualizada: ${currentProduction} → ${finalProduction} peças`);
-        }
       } else {
         // Criar novos dados de turno
         const createShiftQuery = `
@@ -120,7 +124,7 @@ class ShiftService {
           shiftDate,
           startTime,
           endTime,
-          productionData.totalProduction || 0,
+          0, // produção começa zerada e cresce pelos eventos do livro
           productionData.targetProduction || 0,
           productionData.efficiency || 0,
           productionData.downtime || 0,
@@ -0,0 +1,382 @@
+const pool = require('../config/database');
+const notificationService = require('./notificationService');
+const productSpecificationService = require('./productSpecificationService');
+
+const { DIMENSIONS } = productSpecificationService;
+
+// Constantes de cartas de controle por tamanho de subgrupo (n = 2..10)
+const CONTROL_CONSTANTS = {
+  2: { A2: 1.880, D3: 0, D4: 3.267, d2: 1.128 },
+  3: { A2: 1.023, D3: 0, D4: 2.574, d2: 1.693 },
+  4: { A2: 0.729, D3: 0, D4: 2.282, d2: 2.059 },
+  5: { A2: 0.577, D3: 0, D4: 2.114, d2: 2.326 },
+  6: { A2: 0.483, D3: 0, D4: 2.004, d2: 2.534 },
+  7: { A2: 0.419, D3: 0.076, D4: 1.924, d2: 2.704 },
+  8: { A2: 0.373, D3: 0.136, D4: 1.864, d2: 2.847 },
+  9: { A2: 0.337, D3: 0.184, D4: 1.816, d2: 2.970 },
+  10: { A2: 0.308, D3: 0.223, D4: 1.777, d2: 3.078 }
+};
+
+const CHART_TYPES = ['xbar-r', 'individuals'];
+
+// Regras de Western Electric / Nelson
+const RULES = {
+  1: 'Ponto além de 3σ',
+  2: '9 pontos seguidos do mesmo lado da média',
+  3: '6 pontos seguidos crescendo ou decrescendo',
+  4: '14 pontos seguidos alternando para cima e para baixo',
+  5: '2 de 3 pontos além de 2σ do mesmo lado',
+  6: '4 de 5 pontos além de 1σ do mesmo lado',
+  7: '15 pontos seguidos dentro de 1σ',
+  8: '8 pontos seguidos fora de 1σ (ambos os lados)'
+};
+
+// Quantidade de medições recentes avaliadas após cada teste
+const MONITOR_WINDOW = 30;
+
+// Mínimo de medições para os limites de controle serem confiáveis o bastante para alertar
+const MIN_MONITOR_SAMPLES = 10;
+
+const round = (value, digits = 4) => {
+  if (value === null || value === undefined || !isFinite(value)) return null;
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+};
+
+const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+const standardDeviation = (values) => {
+  if (values.length < 2) return 0;
+  const avg = mean(values);
+  return Math.sqrt(values.reduce((sum, value) => sum + Math.pow(value - avg, 2), 0) / (values.length - 1));
+};
+
+/**
+ * Carta de individuais e amplitude móvel (I-MR)
+ * @param {Array<number>} values - Medições em ordem cronológica
+ */
+function individualsChart(values) {
+  const movingRanges = values.slice(1).map((value, index) => Math.abs(value - values[index]));
+  const center = mean(values);
+  const mrBar = movingRanges.length > 0 ? mean(movingRanges) : 0;
+  const sigma = mrBar / CONTROL_CONSTANTS[2].d2;
+
+  return {
+    type: 'individuals',
+    center: round(center),
+    ucl: round(center + 3 * sigma),
+    lcl: round(center - 3 * sigma),
+    sigma: round(sigma),
+    points: values.map(value => round(value)),
+    movingRange: {
+      center: round(mrBar),
+      ucl: round(CONTROL_CONSTANTS[2].D4 * mrBar),
+      lcl: 0,
+      points: [null, ...movingRanges.map(range => round(range))]
+    }
+  };
+}
+
+/**
+ * Carta X-barra/R com subgrupos consecutivos de tamanho fixo
+ * Medições que não completam o último subgrupo ficam de fora.
+ * @param {Array<number>} values - Medições em ordem cronológica
+ * @param {number} subgroupSize - Tamanho do subgrupo (2 a 10)
+ */
+function xbarRChart(values, subgroupSize = 5) {
+  const constants = CONTROL_CONSTANTS[subgroupSize];
+  if (!constants) {
+    throw new Error(`Tamanho de subgrupo não suportado: ${subgroupSize}`);
+  }
+
+  const subgroups = [];
+  for (let start = 0; start + subgroupSize <= values.length; start += subgroupSize) {
+    const group = values.slice(start, start + subgroupSize);
+    subgroups.push({ mean: mean(group), range: Math.max(...group) - Math.min(...group) });
+  }
+
+  if (subgroups.length === 0) {
+    return { type: 'xbar-r', subgroupSize, center: null, ucl: null, lcl: null, sigma: null, points: [], range: null };
+  }
+
+  const center = mean(subgroups.map(group => group.mean));
+  const rBar = mean(subgroups.map(group => group.range));
+
+  return {
+    type: 'xbar-r',
+    subgroupSize,
+    center: round(center),
+    ucl: round(center + constants.A2 * rBar),
+    lcl: round(center - constants.A2 * rBar),
+    // Desvio padrão das médias dos subgrupos, usado nas regras de zona
+    sigma: round((constants.A2 * rBar) / 3),
+    points: subgroups.map(group => round(group.mean)),
+    range: {
+      center: round(rBar),
+      ucl: round(constants.D4 * rBar),
+      lcl: round(constants.D3 * rBar),
+      points: subgroups.map(group => round(group.range))
+    },
+    withinSigma: round(rBar / constants.d2)
+  };
+}
+
+/**
+ * Índices de capacidade contra os limites de especificação
+ * @param {Array<number>} values - Medições
+ * @param {Object} limit - { min, max } da especificação
+ * @param {number} withinSigma - Desvio padrão de curto prazo (da carta de controle)
+ */
+function capability(values, limit, withinSigma) {
+  if (!limit || values.length < 2) {
+    return null;
+  }
+
+  const avg = mean(values);
+  const overallSigma = standardDeviation(values);
+  const index = (sigma) => (sigma > 0
+    ? {
+      cp: round((limit.max - limit.min) / (6 * sigma), 3),
+      cpk: round(Math.min(limit.max - avg, avg - limit.min) / (3 * sigma), 3)
+    }
+    : { cp: null, cpk: null });
+
+  const within = index(withinSigma);
+  const overall = index(overallSigma);
+
+  return {
+    lsl: limit.min,
+    usl: limit.max,
+    nominal: limit.nominal,
+    mean: round(avg),
+    cp: within.cp,
+    cpk: within.cpk,
+    pp: overall.cp,
+    ppk: overall.cpk,
+    outOfSpec: values.filter(value => value < limit.min || value > limit.max).length
+  };
+}
+
+/**
+ * Detecta violações das regras de Western Electric / Nelson
+ * Cada violação aponta o índice do ponto que completou o padrão.
+ * @param {Array<number>} points - Pontos plotados na carta
+ * @param {number} center - Linha central
+ * @param {number} sigma - Desvio padrão usado nas zonas
+ * @returns {Array} [{ rule, index, description }]
+ */
+function detectRuleViolations(points, center, sigma) {
+  const violations = [];
+  if (!sigma || sigma <= 0 || points.length === 0) {
+    return violations;
+  }
+
+  const z = points.map(value => (value - center) / sigma);
+  const add = (rule, index) => violations.push({ rule, index, description: RULES[rule] });
+  const sameSide = (window) => window.every(value => value > 0) || window.every(value => value < 0);
+
+  z.forEach((value, i) => {
+    // Regra 1
+    if (Math.abs(value) > 3) add(1, i);
+
+    // Regra 2
+    if (i >= 8 && sameSide(z.slice(i - 8, i + 1))) add(2, i);
+
+    // Regra 3
+    if (i >= 5) {
+      const window = points.slice(i - 5, i + 1);
+      const diffs = window.slice(1).map((current, k) => current - window[k]);
+      if (diffs.every(diff => diff > 0) || diffs.every(diff => diff < 0)) add(3, i);
+    }
+
+    // Regra 4
+    if (i >= 13) {
+      const window = points.slice(i - 13, i + 1);
+      const diffs = window.slice(1).map((current, k) => current - window[k]);
+      if (diffs.every((diff, k) => diff !== 0 && (k === 0 || Math.sign(diff) !== Math.sign(diffs[k - 1])))) add(4, i);
+    }
+
+    // Regra 5
+    if (i >= 2) {
+      const window = z.slice(i - 2, i + 1);
+      if (window.filter(v => v > 2).length >= 2 || window.filter(v => v < -2).length >= 2) add(5, i);
+    }
+
+    // Regra 6
+    if (i >= 4) {
+      const window = z.slice(i - 4, i + 1);
+      if (window.filter(v => v > 1).length >= 4 || window.filter(v => v < -1).length >= 4) add(6, i);
+    }
+
+    // Regra 7
+    if (i >= 14 && z.slice(i - 14, i + 1).every(v => Math.abs(v) < 1)) add(7, i);
+
+    // Regra 8
+    if (i >= 7 && z.slice(i - 7, i + 1).every(v => Math.abs(v) > 1)) add(8, i);
+  });
+
+  return violations;
+}
+
+/**
+ * Medições de uma dimensão em ordem cronológica
+ * Valores zerados são ignorados (campo não medido).
+ */
+async function getMeasurements({ machineId, product, dimension, startDate, endDate, limit = 200 }) {
+  const column = DIMENSIONS[dimension].column;
+  const conditions = ['machine_id = $1', 'product = $2', `${column} > 0`];
+  const params = [machineId, product];
+
+  if (startDate) {
+    params.push(startDate);
+    conditions.push(`created_at >= $${params.length}`);
+  }
+  if (endDate) {
+    params.push(endDate);
+    conditions.push(`created_at <= $${params.length}`);
+  }
+  params.push(limit);
+
+  const result = await pool.query(`
+    SELECT * FROM (
+      SELECT id, lot, box_number, ${column} AS value, created_at
+      FROM quality_tests
+      WHERE ${conditions.join(' AND ')}
+      ORDER BY created_at DESC
+      LIMIT $${params.length}
+    ) recent
+    ORDER BY created_at ASC
+  `, params);
+
+  return result.rows.map(row => ({
+    testId: row.id,
+    lot: row.lot,
+    boxNumber: row.box_number,
+    value: parseFloat(row.value),
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Produtos testados na máquina, do mais recente para o mais antigo
+ */
+async function getProducts(machineId) {
+  const result = await pool.query(`
+    SELECT product, COUNT(*) AS tests, MAX(created_at) AS last_test_at
+    FROM quality_tests
+    WHERE machine_id = $1
+    GROUP BY product
+    ORDER BY MAX(created_at) DESC
+  `, [machineId]);
+
+  return result.rows.map(row => ({
+    product: row.product,
+    tests: parseInt(row.tests),
+    lastTestAt: row.last_test_at
+  }));
+}
+
+/**
+ * Carta de controle, capacidade e violações de uma dimensão por máquina e produto
+ * @param {Object} options - machineId, product, dimension, chartType, subgroupSize, startDate, endDate, limit
+ */
+async function analyze({ machineId, product, dimension, chartType = 'individuals', subgroupSize = 5, startDate, endDate, limit }) {
+  const measurements = await getMeasurements({ machineId, product, dimension, startDate, endDate, limit });
+  const values = measurements.map(measurement => measurement.value);
+  const specification = await productSpecificationService.findSpecification(product);
+  const specLimit = specification ? specification.limits[dimension] || null : null;
+
+  const chart = chartType === 'xbar-r'
+    ? xbarRChart(values, subgroupSize)
+    : individualsChart(values);
+  const withinSigma = chartType === 'xbar-r' ? chart.withinSigma : chart.sigma;
+
+  return {
+    machineId: parseInt(machineId),
+    product,
+    dimension,
+    label: DIMENSIONS[dimension].label,
+    specification: specLimit,
+    measurements,
+    chart,
+    capability: capability(values, specLimit, withinSigma),
+    violations: detectRuleViolations(chart.points, chart.center, chart.sigma)
+  };
+}
+
+/**
+ * Resumo de capacidade de todas as dimensões de um produto na máquina
+ */
+async function getCapabilitySummary({ machineId, product, startDate, endDate }) {
+  const summary = [];
+
+  for (const dimension of Object.keys(DIMENSIONS)) {
+    const analysis = await analyze({ machineId, product, dimension, startDate, endDate });
+    const lastIndex = analysis.chart.points.length - 1;
+
+    summary.push({
+      dimension,
+      label: analysis.label,
+      samples: analysis.measurements.length,
+      mean: analysis.chart.center,
+      capability: analysis.capability,
+      violations: analysis.violations.length,
+      inControl: !analysis.violations.some(violation => violation.index === lastIndex)
+    });
+  }
+
+  return summary;
+}
+
+/**
+ * Avalia as cartas após um novo teste e gera alertas para violações no último ponto
+ * @param {Object} test - Linha de quality_tests recém-criada
+ * @param {Object} machine - Máquina do teste
+ * @returns {Promise<Array>} Violações que geraram alerta
+ */
+async function monitorTest(test, machine) {
+  const alerts = [];
+
+  for (const dimension of Object.keys(DIMENSIONS)) {
+    const analysis = await analyze({
+      machineId: test.machine_id,
+      product: test.product,
+      dimension,
+      limit: MONITOR_WINDOW
+    });
+
+    if (analysis.measurements.length < MIN_MONITOR_SAMPLES) continue;
+
+    const lastIndex = analysis.chart.points.length - 1;
+    const violations = analysis.violations.filter(violation => violation.index === lastIndex);
+    if (violations.length === 0) continue;
+
+    const rules = violations.map(violation => `Regra ${violation.rule}: ${violation.description}`).join('; ');
+    await notificationService.createAlert({
+      machine_id: test.machine_id,
+      lote: test.lot,
+      caixa: test.box_number,
+      type: `spc_${dimension}`,
+      priority: violations.some(violation => violation.rule === 1) ? 'critical' : 'warning',
+      message: `CEP - ${analysis.label} fora de controle na ${machine.name} (${test.product}): ${rules}`
+    });
+
+    alerts.push({ dimension, violations });
+  }
+
+  return alerts;
+}
+
+module.exports = {
+  CHART_TYPES,
+  CONTROL_CONSTANTS,
+  RULES,
+  individualsChart,
+  xbarRChart,
+  capability,
+  detectRuleViolations,
+  getProducts,
+  analyze,
+  getCapabilitySummary,
+  monitorTest
+};
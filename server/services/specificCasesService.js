@@ -1,6 +1,7 @@
 const pool = require('../config/database');
 const notificationService = require('./notificationService');
 const externalNotificationService = require('./externalNotifications');
+const onCallService = require('./onCallService');
 
 class SpecificCasesService {
   constructor() {
@@ -9,6 +10,13 @@ class SpecificCasesService {
       TEFLON_CHANGE: 'teflon_change',
       VALIDITY_CHECK: 'validity_check'
     };
+
+    // Perfis que recebem cada caso; operadores e líderes são os da equipe em turno
+    this.caseRoles = {
+      quality_test: ['OPERATOR', 'LEADER'],
+      teflon_change: ['LEADER'],
+      validity_check: ['LEADER']
+    };
   }
 
   // Verificar testes de qualidade pendentes
@@ -137,7 +145,8 @@ class SpecificCasesService {
       };
 
       // Criar alerta no sistema
-      const alert = await notificationService.createAlert(alertData);
+      const recipients = await this.getOnCallUsers(alertData.type);
+      const alert = await notificationService.createAlert(alertData, recipients.map(user => user.id));
 
       // Enviar notificações externas se necessário
       if (priority === 'HIGH' || priority === 'URGENT') {
@@ -179,7 +188,8 @@ class SpecificCasesService {
       };
 
       // Criar alerta no sistema
-      const alert = await notificationService.createAlert(alertData);
+      const recipients = await this.getOnCallUsers(alertData.type);
+      const alert = await notificationService.createAlert(alertData, recipients.map(user => user.id));
 
       // Enviar notificações externas se necessário
       if (priority === 'HIGH' || priority === 'URGENT') {
@@ -221,7 +231,8 @@ class SpecificCasesService {
       };
 
       // Criar alerta no sistema
-      const alert = await notificationService.createAlert(alertData);
+      const recipients = await this.getOnCallUsers(alertData.type);
+      const alert = await notificationService.createAlert(alertData, recipients.map(user => user.id));
 
       // Enviar notificações externas se necessário
       if (priority === 'HIGH' || priority === 'URGENT') {
@@ -317,35 +328,39 @@ class SpecificCasesService {
     }
   }
 
-  // Obter usuários para notificação baseado no tipo de caso
+  // Usuários de plantão para o tipo de caso: equipe e líder em turno e, nos casos de
+  // manutenção, o plantonista de manutenção
+  async getOnCallUsers(caseType) {
+    try {
+      const users = await onCallService.resolveRecipients(this.caseRoles[caseType] || ['LEADER'], {
+        includeMaintenance: onCallService.isMaintenanceAlert(caseType)
+      });
+      // Ninguém em turno: os gestores recebem (createAlert sem destinatários avisaria todos os usuários)
+      return users.length > 0 ? users : await onCallService.resolveRecipients(['MANAGER', 'ADMIN']);
+    } catch (error) {
+      console.error('Erro ao obter usuários de plantão:', error);
+      return [];
+    }
+  }
+
+  // Obter usuários para notificação externa (SMS/WhatsApp) baseado no tipo de caso
   async getUsersForNotification(caseType, priority) {
     try {
-      let roleCondition = '';
-      
-      switch (caseType) {
-        case 'quality_test':
-          roleCondition = "(role = 'quality_manager' OR role = 'supervisor' OR role = 'admin')";
-          break;
-        case 'teflon_change':
-          roleCondition = "(role = 'maintenance' OR role = 'supervisor' OR role = 'admin')";
-          break;
-        case 'validity_check':
-          roleCondition = "(role = 'inventory_manager' OR role = 'supervisor' OR role = 'admin')";
-          break;
-        default:
-          roleCondition = "role = 'admin'";
+      const onCallUsers = await this.getOnCallUsers(caseType);
+      if (onCallUsers.length === 0) {
+        return [];
       }
 
       const query = `
         SELECT u.*, up.external_notifications_enabled
         FROM users u
         LEFT JOIN user_preferences up ON u.id = up.user_id
-        WHERE u.active = true 
-          AND ${roleCondition}
+        WHERE u.id = ANY($1)
+          AND u.is_active = true
           AND (up.external_notifications_enabled IS NULL OR up.external_notifications_enabled = true)
       `;
       
-      const result = await pool.query(query);
+      const result = await pool.query(query, [onCallUsers.map(user => user.id)]);
       return result.rows;
     } catch (error) {
       console.error('Erro ao obter usuários para notificação:', error);
@@ -0,0 +1,400 @@
+const pool = require('../config/database');
+
+/**
+ * Converte as colunas de mídia (texto JSON) de quality_tests em array
+ */
+function parseMedia(value) {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+}
+
+function mapQualityTest(row) {
+  return {
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    userId: row.user_id,
+    userName: row.user_name,
+    product: row.product,
+    lot: row.lot,
+    boxNumber: row.box_number,
+    approved: row.approved,
+    measurements: {
+      packageWidth: row.package_width,
+      bottomSize: row.bottom_size,
+      sideSize: row.side_size,
+      zipperDistance: row.zipper_distance,
+      facilitatorDistance: row.facilitator_distance
+    },
+    dimensionResults: row.dimension_results || null,
+    observations: row.observations,
+    images: parseMedia(row.images),
+    videos: parseMedia(row.videos),
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Janela de produção de cada máquina a partir das evidências encontradas
+ * A janela vai do primeiro ao último teste; se a máquina ainda está configurada
+ * com o lote, a janela fica aberta até agora.
+ * @param {Array} tests - Testes mapeados
+ * @param {Array} currentConfigs - Linhas de machine_configs com o lote configurado
+ * @param {Date} now - Data de referência para janelas abertas
+ */
+function buildMachineWindows(tests, currentConfigs = [], now = new Date()) {
+  const windows = new Map();
+
+  for (const test of tests) {
+    const time = new Date(test.createdAt);
+    const window = windows.get(test.machineId);
+
+    if (!window) {
+      windows.set(test.machineId, {
+        machineId: test.machineId,
+        machineName: test.machineName,
+        start: time,
+        end: time,
+        inProduction: false
+      });
+    } else {
+      if (time < window.start) window.start = time;
+      if (time > window.end) window.end = time;
+    }
+  }
+
+  for (const config of currentConfigs) {
+    const window = windows.get(config.machine_id);
+    const configuredAt = config.updated_at ? new Date(config.updated_at) : now;
+
+    if (!window) {
+      windows.set(config.machine_id, {
+        machineId: config.machine_id,
+        machineName: config.machine_name,
+        start: configuredAt,
+        end: now,
+        inProduction: true
+      });
+    } else {
+      if (configuredAt < window.start) window.start = configuredAt;
+      window.end = now;
+      window.inProduction = true;
+    }
+  }
+
+  return [...windows.values()].sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Operações da máquina que cobrem a janela, com a equipe do operador na época
+ */
+async function getOperations(window) {
+  const result = await pool.query(`
+    SELECT mo.id, mo.user_id, mo.start_time, mo.end_time, mo.status,
+           u.name AS user_name, u.role AS user_role,
+           team.team_code, team.team_name
+    FROM machine_operations mo
+    JOIN users u ON mo.user_id = u.id
+    LEFT JOIN LATERAL (
+      SELECT st.team_code, st.team_name
+      FROM shift_team_members stm
+      JOIN shift_teams st ON stm.team_id = st.id
+      WHERE stm.user_id = mo.user_id
+        AND stm.joined_at <= mo.start_time
+        AND (stm.left_at IS NULL OR stm.left_at >= mo.start_time)
+      ORDER BY stm.joined_at DESC
+      LIMIT 1
+    ) team ON true
+    WHERE mo.machine_id = $1
+      AND mo.start_time <= $3
+      AND (mo.end_time IS NULL OR mo.end_time >= $2)
+    ORDER BY mo.start_time
+  `, [window.machineId, window.start, window.end]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    userId: row.user_id,
+    userName: row.user_name,
+    userRole: row.user_role,
+    teamCode: row.team_code,
+    teamName: row.team_name,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    status: row.status
+  }));
+}
+
+/**
+ * Velocidade (BPM) vigente no início da janela e alterações durante ela
+ */
+async function getBpmHistory(window) {
+  const result = await pool.query(`
+    (
+      SELECT h.*, u.name AS changed_by_name
+      FROM production_bmp_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.machine_id = $1 AND h.changed_at < $2
+      ORDER BY h.changed_at DESC
+      LIMIT 1
+    )
+    UNION ALL
+    (
+      SELECT h.*, u.name AS changed_by_name
+      FROM production_bmp_history h
+      LEFT JOIN users u ON h.changed_by = u.id
+      WHERE h.machine_id = $1 AND h.changed_at >= $2 AND h.changed_at <= $3
+    )
+    ORDER BY changed_at
+  `, [window.machineId, window.start, window.end]);
+
+  return result.rows.map(row => ({
+    bpm: parseFloat(row.bmp_value),
+    previousBpm: row.previous_bmp !== null ? parseFloat(row.previous_bmp) : null,
+    changedBy: row.changed_by_name,
+    changedAt: row.changed_at,
+    shiftType: row.shift_type,
+    teamGroup: row.team_group,
+    notes: row.notes
+  }));
+}
+
+/**
+ * Teflon instalado no início da janela e trocas feitas durante ela
+ */
+async function getTeflonChanges(window) {
+  const result = await pool.query(`
+    (
+      SELECT tc.*, u.name AS user_name
+      FROM teflon_changes tc
+      LEFT JOIN users u ON tc.user_id = u.id
+      WHERE tc.machine_id = $1 AND tc.change_date < $2
+      ORDER BY tc.change_date DESC
+      LIMIT 1
+    )
+    UNION ALL
+    (
+      SELECT tc.*, u.name AS user_name
+      FROM teflon_changes tc
+      LEFT JOIN users u ON tc.user_id = u.id
+      WHERE tc.machine_id = $1 AND tc.change_date >= $2 AND tc.change_date <= $3
+    )
+    ORDER BY change_date
+  `, [window.machineId, window.start, window.end]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    teflonType: row.teflon_type,
+    changeDate: row.change_date,
+    expiryDate: row.expiry_date,
+    // Teflon vencido durante a janela é um ponto de atenção em reclamações
+    expiredDuringWindow: new Date(row.expiry_date) <= window.end,
+    changedBy: row.user_name,
+    observations: row.observations,
+    photos: parseMedia(row.photos)
+  }));
+}
+
+/**
+ * Alertas do lote/caixa e alertas das máquinas durante as janelas
+ */
+async function getAlerts({ lot = null, box = null }, windows) {
+  const conditions = [];
+  const params = [];
+
+  if (lot) {
+    params.push(lot);
+    conditions.push(`a.lote = $${params.length}`);
+  }
+  if (box) {
+    params.push(box);
+    conditions.push(`a.caixa = $${params.length}`);
+  }
+
+  const identifierCondition = conditions.length > 0 ? `(${conditions.join(' AND ')})` : 'false';
+  const windowConditions = windows.map(window => {
+    params.push(window.machineId, window.start, window.end);
+    return `(a.machine_id = $${params.length - 2} AND a.created_at BETWEEN $${params.length - 1} AND $${params.length})`;
+  });
+
+  const result = await pool.query(`
+    SELECT a.id, a.machine_id, a.lote, a.caixa, a.type, a.priority, a.message, a.status,
+           a.created_at, a.resolved_at, m.name AS machine_name
+    FROM alerts a
+    LEFT JOIN machines m ON a.machine_id = m.id
+    WHERE ${[identifierCondition, ...windowConditions].join(' OR ')}
+    ORDER BY a.created_at
+  `, params);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    machineId: row.machine_id,
+    machineName: row.machine_name,
+    lot: row.lote,
+    box: row.caixa,
+    type: row.type,
+    priority: row.priority,
+    message: row.message,
+    status: row.status,
+    createdAt: row.created_at,
+    resolvedAt: row.resolved_at
+  }));
+}
+
+/**
+ * Operadores envolvidos (operações e testes), sem repetição
+ */
+function collectOperators(machines, tests) {
+  const operators = new Map();
+
+  const addOperator = (id, name, activity, team = {}) => {
+    if (!id) return;
+    const operator = operators.get(id) || { id, name, teams: [], activities: [] };
+
+    if (team.code && !operator.teams.some(existing => existing.code === team.code)) {
+      operator.teams.push(team);
+    }
+    if (!operator.activities.includes(activity)) {
+      operator.activities.push(activity);
+    }
+    operators.set(id, operator);
+  };
+
+  for (const machine of machines) {
+    for (const operation of machine.operations) {
+      addOperator(operation.userId, operation.userName, 'OPERATION', { code: operation.teamCode, name: operation.teamName });
+    }
+  }
+  for (const test of tests) {
+    addOperator(test.userId, test.userName, 'QUALITY_TEST');
+  }
+
+  return [...operators.values()];
+}
+
+/**
+ * Monta o histórico completo a partir dos testes e das janelas das máquinas
+ */
+async function buildTrace({ lot = null, box = null }, tests, windows) {
+  const machines = [];
+
+  for (const window of windows) {
+    const [operations, bpmHistory, teflon] = await Promise.all([
+      getOperations(window),
+      getBpmHistory(window),
+      getTeflonChanges(window)
+    ]);
+
+    machines.push({
+      ...window,
+      qualityTests: tests.filter(test => test.machineId === window.machineId).length,
+      operations,
+      bpmHistory,
+      teflon
+    });
+  }
+
+  const alerts = await getAlerts({ lot, box }, windows);
+  const rejected = tests.filter(test => !test.approved);
+
+  return {
+    summary: {
+      products: [...new Set(tests.map(test => test.product))],
+      lots: [...new Set(tests.map(test => test.lot))],
+      boxes: [...new Set(tests.map(test => test.boxNumber))],
+      machines: machines.length,
+      qualityTests: tests.length,
+      approvedTests: tests.length - rejected.length,
+      rejectedTests: rejected.length,
+      alerts: alerts.length,
+      firstSeen: windows.length > 0 ? windows[0].start : null,
+      lastSeen: windows.length > 0 ? new Date(Math.max(...windows.map(window => window.end))) : null
+    },
+    machines,
+    operators: collectOperators(machines, tests),
+    qualityTests: tests,
+    alerts
+  };
+}
+
+async function getQualityTests(conditions, params) {
+  const result = await pool.query(`
+    SELECT qt.*, m.name AS machine_name, u.name AS user_name
+    FROM quality_tests qt
+    JOIN machines m ON qt.machine_id = m.id
+    LEFT JOIN users u ON qt.user_id = u.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY qt.created_at
+  `, params);
+
+  return result.rows.map(mapQualityTest);
+}
+
+/**
+ * Rastreabilidade completa de um lote
+ * @param {string} lot - Número do lote
+ * @returns {Promise<Object|null>} null quando não há registro do lote
+ */
+async function traceLot(lot) {
+  const tests = await getQualityTests(['qt.lot = $1'], [lot]);
+
+  // Máquinas ainda produzindo o lote (lote configurado em machine_configs)
+  const configsResult = await pool.query(`
+    SELECT mc.machine_id, mc.produto, mc.updated_at, m.name AS machine_name
+    FROM machine_configs mc
+    JOIN machines m ON mc.machine_id = m.id
+    WHERE mc.lote = $1
+  `, [lot]);
+
+  if (tests.length === 0 && configsResult.rows.length === 0) {
+    return null;
+  }
+
+  const windows = buildMachineWindows(tests, configsResult.rows);
+  const trace = await buildTrace({ lot }, tests, windows);
+
+  return { lot, ...trace };
+}
+
+/**
+ * Rastreabilidade de uma caixa
+ * Caixas são numeradas por lote; sem o lote, todas as caixas com o número são retornadas.
+ * @param {string} box - Número da caixa
+ * @param {Object} options
+ * @param {string} options.lot - Lote da caixa (opcional)
+ * @returns {Promise<Object|null>} null quando a caixa não foi testada
+ */
+async function traceBox(box, { lot = null } = {}) {
+  const conditions = ['qt.box_number = $1'];
+  const params = [box];
+
+  if (lot) {
+    params.push(lot);
+    conditions.push(`qt.lot = $${params.length}`);
+  }
+
+  const tests = await getQualityTests(conditions, params);
+  if (tests.length === 0) {
+    return null;
+  }
+
+  // A janela de uma caixa é o momento dos seus testes
+  const windows = buildMachineWindows(tests);
+  const trace = await buildTrace({ lot, box }, tests, windows);
+
+  return { box, lot, ...trace };
+}
+
+module.exports = {
+  parseMedia,
+  buildMachineWindows,
+  collectOperators,
+  traceLot,
+  traceBox
+};
@@ -0,0 +1,349 @@
+const crypto = require('crypto');
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const shiftService = require('./shiftService');
+const { calculateMultipleOEE } = require('./oeeService');
+const andonService = require('./andonService');
+const firstArticleService = require('./firstArticleService');
+const { checkPendingTests } = require('../middleware/qualityTestMiddleware');
+
+/**
+ * Painéis de TV (wallboard) do chão de fábrica.
+ * Cada TV usa um token de quiosque próprio, sem login de usuário: o token dá acesso somente
+ * à fotografia do painel (status das máquinas, OEE do turno, progresso contra a meta,
+ * alertas abertos, testes de qualidade pendentes e chamados de andon) e a uma conexão de
+ * socket somente leitura. Só o hash SHA-256 do token fica no banco.
+ */
+
+const DEFAULT_ROTATE_SECONDS = 20;
+const ALERT_LIMIT = 20;
+// Uso do token registrado no máximo uma vez por minuto
+const LAST_USED_THROTTLE = '1 minute';
+
+const PRIORITY_ORDER = { critical: 0, warning: 1, info: 2 };
+
+const round = (value, decimals = 1) => {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Converte uma linha de wallboard_tokens para o formato da API (nunca inclui o hash)
+ */
+function mapWallboard(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    tokenPrefix: row.token_prefix,
+    machineIds: row.machine_ids || null,
+    rotateSeconds: row.rotate_seconds,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+async function auditWallboard(action, wallboardId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'wallboard_tokens',
+      resourceId: String(wallboardId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria do painel de TV:', error);
+  }
+}
+
+async function getWallboards({ includeRevoked = false } = {}) {
+  const result = await pool.query(`
+    SELECT w.*, u.name AS created_by_name
+    FROM wallboard_tokens w
+    LEFT JOIN users u ON u.id = w.created_by
+    ${includeRevoked ? '' : 'WHERE w.revoked_at IS NULL'}
+    ORDER BY w.created_at DESC
+  `);
+  return result.rows.map(mapWallboard);
+}
+
+/**
+ * Cria o token de quiosque de uma TV.
+ * O token em texto só é devolvido aqui; depois disso apenas o prefixo identifica a TV.
+ * @param {Object} data - { name, machineIds, rotateSeconds }
+ * @param {Object} user - Gestor que cria o painel
+ * @returns {Promise<Object>} Painel criado com o campo token
+ */
+async function createWallboard({ name, machineIds = null, rotateSeconds = DEFAULT_ROTATE_SECONDS }, user, audit = {}) {
+  const token = crypto.randomBytes(24).toString('hex');
+  const ids = Array.isArray(machineIds) && machineIds.length > 0 ? machineIds.map(id => parseInt(id)) : null;
+
+  const result = await pool.query(`
+    INSERT INTO wallboard_tokens (name, token_hash, token_prefix, machine_ids, rotate_seconds, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *
+  `, [String(name).trim(), hashToken(token), token.slice(0, 8), ids, rotateSeconds, user.id]);
+
+  const wallboard = mapWallboard(result.rows[0]);
+  await auditWallboard('WALLBOARD_CREATED', wallboard.id, user.id, { name: wallboard.name, machineIds: ids }, audit);
+
+  return { ...wallboard, token };
+}
+
+async function revokeWallboard(id, user, audit = {}) {
+  const result = await pool.query(`
+    UPDATE wallboard_tokens SET revoked_at = NOW(), revoked_by = $1
+    WHERE id = $2 AND revoked_at IS NULL
+    RETURNING *
+  `, [user.id, parseInt(id)]);
+
+  if (result.rows.length === 0) {
+    throw new AppError('Painel não encontrado ou já revogado', 404);
+  }
+
+  const wallboard = mapWallboard(result.rows[0]);
+  await auditWallboard('WALLBOARD_REVOKED', wallboard.id, user.id, { name: wallboard.name }, audit);
+  return wallboard;
+}
+
+/**
+ * Painel ativo do token de quiosque, ou null se o token não existe ou foi revogado
+ */
+async function findActiveWallboard(token) {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT * FROM wallboard_tokens WHERE token_hash = $1 AND revoked_at IS NULL',
+    [hashToken(token)]
+  );
+  const row = result.rows[0];
+  if (!row) {
+    return null;
+  }
+
+  try {
+    await pool.query(`
+      UPDATE wallboard_tokens SET last_used_at = NOW()
+      WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < NOW() - INTERVAL '${LAST_USED_THROTTLE}')
+    `, [row.id]);
+  } catch (error) {
+    console.error('Erro ao registrar uso do painel de TV:', error);
+  }
+
+  return mapWallboard(row);
+}
+
+/**
+ * Progresso de cada máquina no turno contra a meta.
+ * A meta vem de shift_data (ou da máquina, se o turno ainda não tem registro) e o esperado
+ * até agora é proporcional ao tempo decorrido do turno.
+ * @param {Object} window - Turno atual ({ startTime, endTime })
+ * @param {Date} now - Momento da fotografia
+ * @param {Array} machines - Linhas de machines (id, name, target_production)
+ * @param {Array} shiftRows - Produção agregada do turno por máquina (machine_id, total_production, target_production)
+ */
+function buildShiftProgress({ window, now, machines, shiftRows }) {
+  const duration = window.endTime - window.startTime;
+  const elapsedFraction = duration > 0 ? Math.min(1, Math.max(0, (now - window.startTime) / duration)) : 0;
+  const byMachine = new Map(shiftRows.map(row => [row.machine_id, row]));
+
+  const rows = machines.map(machine => {
+    const shift = byMachine.get(machine.id);
+    const produced = shift ? Number(shift.total_production) || 0 : 0;
+    const target = (shift && Number(shift.target_production)) || Number(machine.target_production) || 0;
+    const expected = Math.round(target * elapsedFraction);
+    return {
+      machineId: machine.id,
+      machineName: machine.name,
+      produced,
+      target,
+      expected,
+      progressPercent: target > 0 ? round((produced / target) * 100) : null,
+      onPace: target > 0 ? produced >= expected : null
+    };
+  });
+
+  const produced = rows.reduce((sum, row) => sum + row.produced, 0);
+  const target = rows.reduce((sum, row) => sum + row.target, 0);
+  const expected = rows.reduce((sum, row) => sum + row.expected, 0);
+
+  return {
+    shiftType: window.shiftType,
+    shiftDate: window.shiftDate,
+    startTime: window.startTime,
+    endTime: window.endTime,
+    elapsedPercent: round(elapsedFraction * 100),
+    totals: {
+      produced,
+      target,
+      expected,
+      progressPercent: target > 0 ? round((produced / target) * 100) : null,
+      onPace: target > 0 ? produced >= expected : null
+    },
+    machines: rows
+  };
+}
+
+/**
+ * Testes de qualidade vencidos (por tempo ou por produção) e inspeções de primeira peça
+ * pendentes nas máquinas do painel
+ */
+async function getPendingQualityTests(machines, machineIds) {
+  const names = new Map(machines.map(machine => [machine.id, machine.name]));
+  const configResult = await pool.query(`
+    SELECT * FROM quality_test_configs
+    WHERE is_active = true AND is_required = true AND machine_id = ANY($1)
+  `, [machineIds]);
+
+  const pending = [];
+  for (const config of configResult.rows) {
+    const tests = await checkPendingTests(config.machine_id, config);
+    tests.forEach(test => pending.push({
+      type: test.type,
+      machineId: config.machine_id,
+      machineName: names.get(config.machine_id),
+      configId: config.id,
+      description: config.test_name || config.test_description || null,
+      reason: test.reason
+    }));
+  }
+
+  const firstArticles = await firstArticleService.getRequests({ status: 'PENDING' });
+  firstArticles
+    .filter(request => names.has(request.machineId))
+    .forEach(request => pending.push({
+      type: 'FIRST_ARTICLE',
+      machineId: request.machineId,
+      machineName: request.machineName,
+      requestId: request.id,
+      description: `Primeira peça (${request.triggerLabel || request.triggerType})`,
+      reason: request.overdue ? 'Inspeção atrasada' : 'Aguardando inspeção',
+      overdue: request.overdue,
+      dueAt: request.dueAt
+    }));
+
+  return pending;
+}
+
+/**
+ * Fotografia completa do painel de TV
+ * @param {Object} wallboard - Painel autenticado pelo token de quiosque
+ * @param {Date} now - Momento da fotografia
+ */
+async function getSnapshot(wallboard, now = new Date()) {
+  const window = shiftService.getCurrentShiftWindow(now);
+  const filterIds = wallboard.machineIds && wallboard.machineIds.length > 0 ? wallboard.machineIds : null;
+
+  const machineResult = await pool.query(`
+    SELECT m.id, m.name, m.code, m.status, m.target_production, u.name AS operator_name
+    FROM machines m
+    LEFT JOIN LATERAL (
+      SELECT mo.user_id
+      FROM machine_operations mo
+      WHERE mo.machine_id = m.id AND mo.status IN ('ACTIVE', 'RUNNING') AND mo.end_time IS NULL
+      ORDER BY mo.start_time DESC
+      LIMIT 1
+    ) o ON true
+    LEFT JOIN users u ON u.id = o.user_id
+    WHERE m.is_active = true ${filterIds ? 'AND m.id = ANY($1)' : ''}
+    ORDER BY m.name
+  `, filterIds ? [filterIds] : []);
+  const machines = machineResult.rows;
+  const machineIds = machines.map(machine => machine.id);
+
+  if (machineIds.length === 0) {
+    return {
+      wallboard: { id: wallboard.id, name: wallboard.name, rotateSeconds: wallboard.rotateSeconds },
+      generatedAt: now,
+      machines: [],
+      shift: buildShiftProgress({ window, now, machines: [], shiftRows: [] }),
+      alerts: [],
+      pendingQualityTests: [],
+      andonCalls: []
+    };
+  }
+
+  const [oeeResults, shiftResult, alertResult, pendingQualityTests, andonCalls] = await Promise.all([
+    calculateMultipleOEE(machineIds, window.startTime, now),
+    pool.query(`
+      SELECT machine_id, SUM(total_production) AS total_production, MAX(target_production) AS target_production
+      FROM shift_data
+      WHERE shift_date = $1 AND shift_type = $2 AND machine_id = ANY($3)
+      GROUP BY machine_id
+    `, [window.shiftDate, window.shiftType, machineIds]),
+    pool.query(`
+      SELECT a.id, a.machine_id, m.name AS machine_name, a.type, a.priority, a.title, a.message, a.created_at
+      FROM alerts a
+      LEFT JOIN machines m ON m.id = a.machine_id
+      WHERE a.status = 'active' AND a.machine_id = ANY($1)
+      ORDER BY a.created_at DESC
+      LIMIT $2
+    `, [machineIds, ALERT_LIMIT]),
+    getPendingQualityTests(machines, machineIds),
+    andonService.getCalls({ status: 'ACTIVE' })
+  ]);
+
+  const oeeByMachine = new Map(oeeResults.map(result => [result.machineId, result]));
+
+  return {
+    wallboard: { id: wallboard.id, name: wallboard.name, rotateSeconds: wallboard.rotateSeconds },
+    generatedAt: now,
+    machines: machines.map(machine => {
+      const oee = oeeByMachine.get(machine.id);
+      return {
+        id: machine.id,
+        name: machine.name,
+        code: machine.code,
+        status: machine.status,
+        operatorName: machine.operator_name || null,
+        oee: oee ? {
+          oee: oee.oee,
+          availability: oee.availability ? oee.availability.percentage : 0,
+          performance: oee.performance ? oee.performance.percentage : 0,
+          quality: oee.quality ? oee.quality.percentage : 0
+        } : null
+      };
+    }),
+    shift: buildShiftProgress({ window, now, machines, shiftRows: shiftResult.rows }),
+    alerts: alertResult.rows
+      .map(row => ({
+        id: row.id,
+        machineId: row.machine_id,
+        machineName: row.machine_name,
+        type: row.type,
+        priority: row.priority,
+        title: row.title,
+        message: row.message,
+        createdAt: row.created_at
+      }))
+      .sort((a, b) => (PRIORITY_ORDER[a.priority] ?? 3) - (PRIORITY_ORDER[b.priority] ?? 3)),
+    pendingQualityTests,
+    andonCalls: andonCalls.filter(call => machineIds.includes(call.machineId))
+  };
+}
+
+module.exports = {
+  DEFAULT_ROTATE_SECONDS,
+  hashToken,
+  mapWallboard,
+  getWallboards,
+  createWallboard,
+  revokeWallboard,
+  findActiveWallboard,
+  buildShiftProgress,
+  getSnapshot
+};
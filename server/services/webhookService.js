@@ -0,0 +1,423 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const pool = require('../config/database');
+const { AppError } = require('../middleware/errorHandler');
+const auditLogger = require('./auditLogger');
+const { retryDelaySeconds } = require('./notificationDeliveryService');
+
+/**
+ * Webhooks de saída para sistemas externos (ERP, BI).
+ * Os eventos publicados são os mesmos da camada de socket; cada assinatura ativa para o tipo
+ * do evento recebe um POST JSON { id, event, occurredAt, data } assinado com HMAC-SHA256 do
+ * segredo da assinatura sobre "<timestamp>.<corpo>" (cabeçalhos X-Zara-Timestamp e
+ * X-Zara-Signature). Falhas temporárias são repetidas com backoff exponencial; esgotadas as
+ * tentativas, ou com erro permanente do destino, a entrega vai para a lista de mortas (dead)
+ * e pode ser reenviada pelo administrador.
+ */
+
+const WEBHOOK_EVENTS = {
+  'machine:status:changed': 'Mudança de status da máquina',
+  'operation:started': 'Operação iniciada',
+  'operation:ended': 'Operação finalizada',
+  'quality-test:created': 'Teste de qualidade registrado',
+  'quality-test:failed': 'Teste de qualidade reprovado',
+  'teflon:changed': 'Troca de teflon registrada',
+  'alert:created': 'Alerta de produção'
+};
+
+const EVENT_TYPES = Object.keys(WEBHOOK_EVENTS);
+
+// Evento enviado pelo botão de teste da assinatura
+const TEST_EVENT = 'webhook:test';
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'retrying', 'dead'];
+
+const HTTP_TIMEOUT_MS = 10000;
+const RESPONSE_BODY_LIMIT = 1000;
+const RETRY_BATCH_SIZE = 50;
+
+const maxAttempts = () => parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+
+/**
+ * Assinatura HMAC-SHA256 enviada em X-Zara-Signature
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+function mapSubscription(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    url: row.url,
+    eventTypes: row.event_types || [],
+    isActive: row.is_active,
+    createdBy: row.created_by,
+    createdByName: row.created_by_name,
+    deadCount: row.dead_count !== undefined ? parseInt(row.dead_count) : undefined,
+    lastDeliveryAt: row.last_delivery_at || null,
+    createdAt: row.created_at
+  };
+}
+
+function mapDelivery(row) {
+  return {
+    id: row.id,
+    subscriptionId: row.subscription_id,
+    subscriptionName: row.subscription_name,
+    eventId: row.event_id,
+    eventType: row.event_type,
+    payload: row.payload,
+    status: row.status,
+    attempts: row.attempts,
+    maxAttempts: row.max_attempts,
+    nextRetryAt: row.next_retry_at,
+    lastAttemptAt: row.last_attempt_at,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    errorMessage: row.error_message,
+    deliveredAt: row.delivered_at,
+    createdAt: row.created_at
+  };
+}
+
+async function auditWebhook(action, subscriptionId, userId, metadata, audit = {}) {
+  try {
+    await auditLogger.logDataAccess({
+      action,
+      userId,
+      resource: 'webhook_subscriptions',
+      resourceId: String(subscriptionId),
+      method: audit.method || 'POST',
+      endpoint: audit.endpoint || null,
+      ip: audit.ip || null,
+      userAgent: audit.userAgent || null,
+      success: true,
+      responseCode: 200,
+      metadata
+    });
+  } catch (error) {
+    console.error('Erro ao registrar auditoria do webhook:', error);
+  }
+}
+
+function validateEventTypes(eventTypes) {
+  if (!Array.isArray(eventTypes) || eventTypes.length === 0) {
+    throw new AppError('Selecione ao menos um evento', 400);
+  }
+  const unknown = eventTypes.filter(type => !EVENT_TYPES.includes(type));
+  if (unknown.length > 0) {
+    throw new AppError(`Eventos desconhecidos: ${unknown.join(', ')}`, 400);
+  }
+}
+
+async function getSubscriptions() {
+  const result = await pool.query(`
+    SELECT ws.*, u.name AS created_by_name,
+           (SELECT COUNT(*) FROM webhook_deliveries d WHERE d.subscription_id = ws.id AND d.status = 'dead') AS dead_count,
+           (SELECT MAX(d.delivered_at) FROM webhook_deliveries d WHERE d.subscription_id = ws.id) AS last_delivery_at
+    FROM webhook_subscriptions ws
+    LEFT JOIN users u ON u.id = ws.created_by
+    ORDER BY ws.name
+  `);
+  return result.rows.map(mapSubscription);
+}
+
+/**
+ * Cadastra uma assinatura e gera o segredo de assinatura, devolvido apenas nesta resposta
+ * @param {Object} data - { name, url, eventTypes }
+ */
+async function createSubscription(data, user, audit = {}) {
+  validateEventTypes(data.eventTypes);
+
+  const secret = crypto.randomBytes(32).toString('hex');
+  const result = await pool.query(`
+    INSERT INTO webhook_subscriptions (name, url, secret, event_types, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [String(data.name).trim(), String(data.url).trim(), secret, data.eventTypes, user.id]);
+
+  const subscription = mapSubscription(result.rows[0]);
+  await auditWebhook('WEBHOOK_SUBSCRIPTION_CREATED', subscription.id, user.id, {
+    url: subscription.url,
+    eventTypes: subscription.eventTypes
+  }, audit);
+  return { ...subscription, secret };
+}
+
+/**
+ * Atualiza nome, URL, eventos ou ativação da assinatura (o segredo não muda)
+ */
+async function updateSubscription(id, data, user, audit = {}) {
+  if (data.eventTypes !== undefined) {
+    validateEventTypes(data.eventTypes);
+  }
+
+  const result = await pool.query(`
+    UPDATE webhook_subscriptions
+    SET name = COALESCE($2, name),
+        url = COALESCE($3, url),
+        event_types = COALESCE($4, event_types),
+        is_active = COALESCE($5, is_active)
+    WHERE id = $1
+    RETURNING *
+  `, [
+    parseInt(id),
+    data.name !== undefined ? String(data.name).trim() : null,
+    data.url !== undefined ? String(data.url).trim() : null,
+    data.eventTypes !== undefined ? data.eventTypes : null,
+    data.isActive !== undefined ? Boolean(data.isActive) : null
+  ]);
+  if (result.rows.length === 0) {
+    throw new AppError('Webhook não encontrado', 404);
+  }
+
+  const subscription = mapSubscription(result.rows[0]);
+  await auditWebhook('WEBHOOK_SUBSCRIPTION_UPDATED', subscription.id, user.id, data, { method: 'PUT', ...audit });
+  return subscription;
+}
+
+async function deleteSubscription(id, user, audit = {}) {
+  const result = await pool.query('DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING *', [parseInt(id)]);
+  if (result.rows.length === 0) {
+    throw new AppError('Webhook não encontrado', 404);
+  }
+
+  await auditWebhook('WEBHOOK_SUBSCRIPTION_DELETED', id, user.id, { url: result.rows[0].url }, { method: 'DELETE', ...audit });
+  return mapSubscription(result.rows[0]);
+}
+
+/**
+ * Faz uma tentativa de entrega e grava a resposta do destino
+ */
+async function attemptDelivery(delivery, subscription) {
+  const body = JSON.stringify(delivery.payload);
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  try {
+    const response = await axios.post(subscription.url, body, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Zara-Webhooks/1.0',
+        'X-Zara-Event': delivery.event_type,
+        'X-Zara-Event-Id': delivery.event_id,
+        'X-Zara-Delivery': String(delivery.id),
+        'X-Zara-Timestamp': String(timestamp),
+        'X-Zara-Signature': signPayload(subscription.secret, timestamp, body)
+      },
+      timeout: HTTP_TIMEOUT_MS
+    });
+
+    const result = await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = attempts + 1, last_attempt_at = NOW(), delivered_at = NOW(),
+          response_status = $2, response_body = $3, error_message = NULL, next_retry_at = NULL
+      WHERE id = $1
+      RETURNING *
+    `, [delivery.id, response.status, String(typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '')).slice(0, RESPONSE_BODY_LIMIT)]);
+    return result.rows[0];
+  } catch (error) {
+    const status = error.response?.status || null;
+    const attempts = delivery.attempts + 1;
+    // Sem resposta, timeout (408), limite de taxa (429) e erros 5xx podem passar numa nova tentativa
+    const retryable = !status || status === 408 || status === 429 || status >= 500;
+    const retry = retryable && attempts < delivery.max_attempts;
+    const responseBody = error.response?.data !== undefined
+      ? String(typeof error.response.data === 'string' ? error.response.data : JSON.stringify(error.response.data)).slice(0, RESPONSE_BODY_LIMIT)
+      : null;
+
+    console.error(`❌ Webhook ${delivery.id} (${delivery.event_type} → ${subscription.url}, tentativa ${attempts}):`, error.message);
+    const result = await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = $2, attempts = $3, last_attempt_at = NOW(), response_status = $4, response_body = $5,
+          error_message = $6, next_retry_at = $7
+      WHERE id = $1
+      RETURNING *
+    `, [
+      delivery.id,
+      retry ? 'retrying' : 'dead',
+      attempts,
+      status,
+      responseBody,
+      error.message,
+      retry ? new Date(Date.now() + retryDelaySeconds(attempts) * 1000) : null
+    ]);
+    return result.rows[0];
+  }
+}
+
+async function queueDelivery(subscription, eventId, eventType, payload) {
+  const result = await pool.query(`
+    INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload, max_attempts)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [subscription.id, eventId, eventType, JSON.stringify(payload), maxAttempts()]);
+  return { ...result.rows[0], payload };
+}
+
+/**
+ * Publica um evento para as assinaturas ativas. Nunca lança erro: quem publica é o fluxo de
+ * produção, que não pode falhar por causa de um sistema externo.
+ * @param {string} eventType - Um dos WEBHOOK_EVENTS
+ * @param {Object} data - Mesmo conteúdo emitido pelo socket
+ * @returns {Promise<number>} Entregas criadas
+ */
+async function publish(eventType, data) {
+  try {
+    const subscriptions = await pool.query(
+      'SELECT * FROM webhook_subscriptions WHERE is_active = true AND $1 = ANY(event_types)',
+      [eventType]
+    );
+    if (subscriptions.rows.length === 0) {
+      return 0;
+    }
+
+    const eventId = crypto.randomUUID();
+    const payload = { id: eventId, event: eventType, occurredAt: new Date().toISOString(), data };
+
+    for (const subscription of subscriptions.rows) {
+      const delivery = await queueDelivery(subscription, eventId, eventType, payload);
+      await attemptDelivery(delivery, subscription);
+    }
+    return subscriptions.rows.length;
+  } catch (error) {
+    console.error(`Erro ao publicar o evento ${eventType} nos webhooks:`, error);
+    return 0;
+  }
+}
+
+/**
+ * Envia o evento de teste para uma assinatura (ativa ou não)
+ */
+async function sendTestEvent(id, user) {
+  const result = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [parseInt(id)]);
+  const subscription = result.rows[0];
+  if (!subscription) {
+    throw new AppError('Webhook não encontrado', 404);
+  }
+
+  const eventId = crypto.randomUUID();
+  const payload = {
+    id: eventId,
+    event: TEST_EVENT,
+    occurredAt: new Date().toISOString(),
+    data: { message: 'Evento de teste do Sistema ZARA', requestedBy: user.name || user.id }
+  };
+  const delivery = await queueDelivery(subscription, eventId, TEST_EVENT, payload);
+  return mapDelivery(await attemptDelivery({ ...delivery, max_attempts: 1 }, subscription));
+}
+
+/**
+ * Repete as entregas com nova tentativa vencida
+ * @returns {Promise<number>} Entregas concluídas nesta rodada
+ */
+async function retryDueDeliveries(now = new Date()) {
+  const claimed = await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', next_retry_at = NULL
+    WHERE id IN (
+      SELECT d.id FROM webhook_deliveries d
+      JOIN webhook_subscriptions ws ON ws.id = d.subscription_id
+      WHERE d.status = 'retrying' AND d.next_retry_at <= $1 AND ws.is_active = true
+      ORDER BY d.next_retry_at
+      LIMIT ${RETRY_BATCH_SIZE}
+      FOR UPDATE OF d SKIP LOCKED
+    )
+    RETURNING *
+  `, [now]);
+  if (claimed.rows.length === 0) {
+    return 0;
+  }
+
+  const subscriptionIds = [...new Set(claimed.rows.map(row => row.subscription_id))];
+  const subscriptions = await pool.query('SELECT * FROM webhook_subscriptions WHERE id = ANY($1)', [subscriptionIds]);
+  const byId = new Map(subscriptions.rows.map(row => [row.id, row]));
+
+  let delivered = 0;
+  for (const row of claimed.rows) {
+    const result = await attemptDelivery(row, byId.get(row.subscription_id));
+    if (result.status === 'delivered') {
+      delivered++;
+    }
+  }
+  return delivered;
+}
+
+/**
+ * Histórico de entregas; com status 'dead' é a lista de entregas mortas
+ * @param {Object} filters - { status, subscriptionId, limit }
+ */
+async function getDeliveries(filters = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (filters.status) {
+    params.push(filters.status);
+    conditions.push(`d.status = $${params.length}`);
+  }
+  if (filters.subscriptionId) {
+    params.push(parseInt(filters.subscriptionId));
+    conditions.push(`d.subscription_id = $${params.length}`);
+  }
+  params.push(Math.min(parseInt(filters.limit) || 50, 200));
+
+  const result = await pool.query(`
+    SELECT d.*, ws.name AS subscription_name
+    FROM webhook_deliveries d
+    JOIN webhook_subscriptions ws ON ws.id = d.subscription_id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY d.created_at DESC
+    LIMIT $${params.length}
+  `, params);
+  return result.rows.map(mapDelivery);
+}
+
+/**
+ * Reenvia uma entrega morta (ou já entregue) com o mesmo evento e um novo ciclo de tentativas
+ */
+async function redeliver(id, user, audit = {}) {
+  const result = await pool.query(`
+    SELECT d.*, row_to_json(ws) AS subscription
+    FROM webhook_deliveries d
+    JOIN webhook_subscriptions ws ON ws.id = d.subscription_id
+    WHERE d.id = $1
+  `, [parseInt(id)]);
+  const row = result.rows[0];
+  if (!row) {
+    throw new AppError('Entrega não encontrada', 404);
+  }
+  if (!['dead', 'delivered'].includes(row.status)) {
+    throw new AppError('A entrega ainda está em andamento', 400);
+  }
+
+  const reset = await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = 'pending', attempts = 0, max_attempts = $2, next_retry_at = NULL
+    WHERE id = $1
+    RETURNING *
+  `, [row.id, maxAttempts()]);
+
+  const delivery = mapDelivery(await attemptDelivery(reset.rows[0], row.subscription));
+  await auditWebhook('WEBHOOK_REDELIVERED', row.subscription_id, user.id, {
+    deliveryId: row.id,
+    eventType: row.event_type,
+    status: delivery.status
+  }, audit);
+  return delivery;
+}
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  EVENT_TYPES,
+  TEST_EVENT,
+  DELIVERY_STATUSES,
+  signPayload,
+  getSubscriptions,
+  createSubscription,
+  updateSubscription,
+  deleteSubscription,
+  publish,
+  sendTestEvent,
+  retryDueDeliveries,
+  getDeliveries,
+  redeliver
+};
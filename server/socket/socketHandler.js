@@ -2,6 +2,10 @@ const jwt = require('jsonwebtoken');
 const pool = require('../config/database');
 const { publishEvent } = require('../config/redis');
 const notificationService = require('../services/notificationService');
+const andonService = require('../services/andonService');
+const wallboardService = require('../services/wallboardService');
+const webhookService = require('../services/webhookService');
+const productionEngine = require('../services/productionEngine');
 
 // Armazenar conexões ativas
 const activeConnections = new Map();
@@ -14,6 +18,17 @@ const authenticateSocket = async (socket, next) => {
     console.log('🔐 [WebSocket] Headers disponíveis:', Object.keys(socket.handshake.headers));
     console.log('🔐 [WebSocket] Auth disponível:', Object.keys(socket.handshake.auth || {}));
     
+    // Painel de TV: token de quiosque, sem usuário; a conexão é somente leitura
+    if (socket.handshake.auth.kioskToken) {
+      const wallboard = await wallboardService.findActiveWallboard(socket.handshake.auth.kioskToken);
+      if (!wallboard) {
+        return next(new Error('Token de painel inválido ou revogado'));
+      }
+      socket.wallboard = wallboard;
+      console.log('✅ [WebSocket] Painel de TV autenticado:', { id: wallboard.id, name: wallboard.name });
+      return next();
+    }
+
     const token = socket.handshake.auth.token || socket.handshake.headers.authorization?.replace('Bearer ', '');
     
     console.log('🔐 [WebSocket] Token extraído:', token ? 'Presente' : 'Ausente');
@@ -90,6 +105,9 @@ const joinRoleRooms = (socket) => {
     socket.join('management');
   }
   
+  // Salas de andon das categorias que o perfil atende
+  andonService.roomsForRole(role).forEach(room => socket.join(room));
+
   // Sala pessoal do usuário
   socket.join(`user:${socket.user.id}`);
 };
@@ -122,6 +140,17 @@ const socketHandler = (io) => {
   io.use(authenticateSocket);
 
   io.on('connection', (socket) => {
+    // Painéis de TV só recebem os eventos globais; nenhum evento do cliente é tratado
+    if (socket.wallboard) {
+      socket.join('wallboard');
+      socket.join(`wallboard:${socket.wallboard.id}`);
+      socket.emit('connection:established', {
+        wallboard: { id: socket.wallboard.id, name: socket.wallboard.name },
+        timestamp: new Date()
+      });
+      return;
+    }
+
     const { user } = socket;
     console.log(`Usuário conectado: ${user.name} (${user.email}) - Socket: ${socket.id}`);
 
@@ -202,15 +231,17 @@ const socketHandler = (io) => {
         const machine = machineResult.rows[0];
         machine.operations = machine.operations || [];
 
-        // Notificar todos os usuários
-        io.emit('machine:status:changed', {
+        // Notificar todos os usuários e os webhooks
+        const statusChangeData = {
           machineId,
           machineName: machine.name,
           status,
           updatedBy: user.name,
           timestamp: new Date(),
           currentOperation: machine.operations[0] || null
-        });
+        };
+        io.emit('machine:status:changed', statusChangeData);
+        webhookService.publish('machine:status:changed', statusChangeData);
 
         // Publicar no Redis para outros serviços
         await publishEvent('machine:status:changed', {
@@ -220,14 +251,8 @@ const socketHandler = (io) => {
           timestamp: new Date()
         });
 
-        // Broadcast atualização de produção em tempo real
-        if (status === 'FUNCIONANDO' || status === 'PARADA' || status === 'MANUTENCAO') {
-          io.emit('production:update', {
-            machineId,
-            status,
-            timestamp: new Date()
-          });
-        }
+        // Broadcast da produção em tempo real com o payload canônico do motor
+        productionEngine.publishMachine(machineId);
 
       } catch (error) {
         socket.emit('error', { message: 'Erro ao atualizar status da máquina' });
@@ -265,29 +290,29 @@ const socketHandler = (io) => {
         );
 
         // Notificar todos sobre mudança de status
-        io.emit('machine:status:changed', {
+        const statusChangeData = {
           machineId,
           machineName: machine.name,
           status: 'FUNCIONANDO',
           updatedBy: user.name,
           timestamp: new Date()
-        });
+        };
+        io.emit('machine:status:changed', statusChangeData);
+        webhookService.publish('machine:status:changed', statusChangeData);
 
-        // Emitir evento de atualização de produção
-        io.emit('production:update', {
-          machineId,
-          status: 'FUNCIONANDO',
-          timestamp: new Date()
-        });
+        // Emitir a produção do turno com o payload canônico do motor
+        productionEngine.publishMachine(machineId);
 
         // Notificar liderança sobre operação iniciada
-        socket.to('leadership').emit('operation:started', {
+        const operationData = {
           machineId,
           machineName: machine.name,
           operatorId: user.id,
           operatorName: user.name,
           timestamp: new Date()
-        });
+        };
+        socket.to('leadership').emit('operation:started', operationData);
+        webhookService.publish('operation:started', operationData);
 
       } catch (error) {
         socket.emit('error', { message: 'Erro ao processar início de operação' });
@@ -0,0 +1,198 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/notificationService', () => ({
+  sendNotificationToUser: jest.fn(),
+  io: null
+}));
+jest.mock('../services/onCallService', () => ({
+  resolveRecipients: jest.fn(),
+  isMaintenanceAlert: jest.fn(type => type === 'teflon_change')
+}));
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const onCallService = require('../services/onCallService');
+const {
+  selectPolicy,
+  nextStep,
+  startEscalation,
+  processDueEscalations,
+  closeAlert,
+  createPolicy
+} = require('../services/alertEscalationService');
+
+const policyRow = {
+  id: 1,
+  name: 'Alertas críticos',
+  alert_types: null,
+  min_priority: 'critical',
+  ack_timeout_minutes: 15,
+  escalation_roles: ['OPERATOR', 'LEADER', 'MANAGER'],
+  max_repeats: 2,
+  is_active: true
+};
+
+const policy = {
+  id: 1,
+  name: 'Alertas críticos',
+  alertTypes: null,
+  minPriority: 'critical',
+  ackTimeoutMinutes: 15,
+  escalationRoles: ['OPERATOR', 'LEADER', 'MANAGER'],
+  maxRepeats: 2,
+  isActive: true
+};
+
+const leader = { id: 2, name: 'Bruno', role: 'LEADER' };
+
+// Consultas respondidas pelo primeiro trecho de SQL encontrado
+const mockQueries = (handlers = {}) => {
+  pool.query.mockImplementation((sql) => {
+    const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+    const response = key ? handlers[key] : { rows: [] };
+    return Promise.resolve(typeof response === 'function' ? response() : response);
+  });
+};
+
+const eventTypes = () => pool.query.mock.calls
+  .filter(([sql]) => sql.includes('INSERT INTO alert_events'))
+  .map(([, params]) => params[1]);
+
+describe('Alert Escalation Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('selectPolicy', () => {
+    test('should ignore alerts below the minimum priority', () => {
+      expect(selectPolicy([policy], { priority: 'warning', type: 'teflon_change' })).toBeNull();
+      expect(selectPolicy([policy], { priority: 'critical', type: 'teflon_change' })).toBe(policy);
+    });
+
+    test('should prefer the policy specific to the alert type', () => {
+      const teflon = { ...policy, id: 2, alertTypes: ['teflon_change'], ackTimeoutMinutes: 5 };
+      const inactive = { ...policy, id: 3, alertTypes: ['teflon_change'], isActive: false };
+
+      expect(selectPolicy([policy, inactive, teflon], { priority: 'critical', type: 'teflon_change' })).toBe(teflon);
+      expect(selectPolicy([policy, teflon], { priority: 'critical', type: 'quality_test' })).toBe(policy);
+    });
+  });
+
+  describe('nextStep', () => {
+    test('should escalate operator → leader → manager and then re-notify until exhausted', () => {
+      expect(nextStep(policy, { escalation_level: 0, escalation_repeats: 0 })).toEqual({
+        eventType: 'ESCALATED', level: 1, repeats: 0, targetRoles: ['OPERATOR', 'LEADER'], nextEscalation: true
+      });
+      expect(nextStep(policy, { escalation_level: 1, escalation_repeats: 0 }).targetRoles).toEqual(['OPERATOR', 'LEADER', 'MANAGER']);
+      expect(nextStep(policy, { escalation_level: 2, escalation_repeats: 1 })).toMatchObject({ eventType: 'RENOTIFIED', repeats: 2, nextEscalation: true });
+      expect(nextStep(policy, { escalation_level: 2, escalation_repeats: 2 })).toMatchObject({ eventType: 'EXHAUSTED', nextEscalation: false });
+    });
+  });
+
+  describe('startEscalation', () => {
+    test('should schedule the first deadline and record the creation', async () => {
+      mockQueries({ 'FROM alert_escalation_policies': { rows: [policyRow] } });
+
+      const selected = await startEscalation({ id: 10, priority: 'critical', type: 'quality_test' }, [5, 6]);
+
+      expect(selected.id).toBe(1);
+      const update = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE alerts'));
+      expect(update[1]).toEqual([1, 15, 10]);
+      expect(eventTypes()).toEqual(['CREATED']);
+    });
+
+    test('should only record the creation when no policy covers the alert', async () => {
+      mockQueries({ 'FROM alert_escalation_policies': { rows: [policyRow] } });
+
+      expect(await startEscalation({ id: 11, priority: 'info', type: 'quality_test' })).toBeNull();
+      expect(pool.query.mock.calls.some(([sql]) => sql.includes('UPDATE alerts'))).toBe(false);
+      expect(eventTypes()).toEqual(['CREATED']);
+    });
+  });
+
+  describe('processDueEscalations', () => {
+    const dueAlert = { id: 10, machine_id: 4, type: 'teflon_change', machine_name: 'Máquina 4', message: 'Teflon vencido', policy_id: 1, escalation_level: 0, escalation_repeats: 0 };
+
+    test('should notify the next role across its channels and record the escalation', async () => {
+      mockQueries({
+        'JOIN alert_escalation_policies': { rows: [dueAlert] },
+        'SELECT * FROM alert_escalation_policies': { rows: [policyRow] },
+        'UPDATE alerts': { rows: [{ id: 10 }] }
+      });
+      onCallService.resolveRecipients.mockResolvedValue([{ id: 1 }, leader]);
+      notificationService.sendNotificationToUser
+        .mockRejectedValueOnce(new Error('SMTP fora'))
+        .mockResolvedValueOnce();
+
+      expect(await processDueEscalations()).toBe(1);
+      // Operador e líder da equipe em turno, além do plantão de manutenção
+      expect(onCallService.resolveRecipients).toHaveBeenCalledWith(['OPERATOR', 'LEADER'], { includeMaintenance: true });
+      // Falha em um canal não impede a notificação dos demais
+      expect(notificationService.sendNotificationToUser).toHaveBeenCalledTimes(2);
+      expect(notificationService.sendNotificationToUser.mock.calls[1][1].message).toBe('[Escalonado] Teflon vencido');
+      expect(eventTypes()).toEqual(['ESCALATED']);
+    });
+
+    test('should skip alerts acknowledged before the claim', async () => {
+      mockQueries({
+        'JOIN alert_escalation_policies': { rows: [dueAlert] },
+        'SELECT * FROM alert_escalation_policies': { rows: [policyRow] },
+        'UPDATE alerts': { rows: [] }
+      });
+
+      expect(await processDueEscalations()).toBe(0);
+      expect(onCallService.resolveRecipients).not.toHaveBeenCalled();
+      expect(eventTypes()).toEqual([]);
+    });
+
+    test('should close the escalation without notifying when repeats are exhausted', async () => {
+      mockQueries({
+        'JOIN alert_escalation_policies': { rows: [{ ...dueAlert, escalation_level: 2, escalation_repeats: 2 }] },
+        'SELECT * FROM alert_escalation_policies': { rows: [policyRow] },
+        'UPDATE alerts': { rows: [{ id: 10 }] }
+      });
+
+      expect(await processDueEscalations()).toBe(0);
+      const claim = pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE alerts'));
+      expect(claim[1][2]).toBe(false);
+      expect(notificationService.sendNotificationToUser).not.toHaveBeenCalled();
+      expect(eventTypes()).toEqual(['EXHAUSTED']);
+    });
+  });
+
+  describe('closeAlert', () => {
+    test('should acknowledge the alert and record who did it', async () => {
+      mockQueries({ 'UPDATE alerts': { rows: [{ id: 10, status: 'acknowledged', escalation_level: 1 }] } });
+
+      const alert = await closeAlert('10', 'acknowledge', leader, ' Troca agendada ');
+
+      expect(alert.status).toBe('acknowledged');
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO alert_events'));
+      expect(insert[1]).toEqual([10, 'ACKNOWLEDGED', 1, null, null, 2, 'Troca agendada']);
+    });
+
+    test('should reject alerts already closed or missing', async () => {
+      mockQueries({ 'SELECT status FROM alerts': { rows: [{ status: 'resolved' }] } });
+      await expect(closeAlert('10', 'acknowledge', leader)).rejects.toMatchObject({ statusCode: 409 });
+
+      mockQueries({});
+      await expect(closeAlert('99', 'resolve', leader)).rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('createPolicy', () => {
+    test('should reject unknown roles in the escalation sequence', async () => {
+      await expect(createPolicy({ name: 'X', escalationRoles: ['OPERATOR', 'DIRECTOR'] }, leader))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,158 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ getUsersByRole: jest.fn(), createAlert: jest.fn() }));
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const {
+  roomsForRole,
+  raiseCall,
+  transitionCall,
+  buildAndonReport
+} = require('../services/andonService');
+
+const raisedAt = new Date(2024, 2, 1, 8);
+const at = (minutes) => new Date(raisedAt.getTime() + minutes * 60 * 1000);
+
+const callRow = (overrides = {}) => ({
+  id: 12,
+  machine_id: 4,
+  machine_name: 'Máquina 04',
+  category: 'MAINTENANCE',
+  status: 'OPEN',
+  notes: 'Vazamento na solda',
+  raised_by: 7,
+  raised_by_name: 'Ana',
+  raised_at: raisedAt,
+  acknowledged_at: null,
+  arrived_at: null,
+  resolved_at: null,
+  ...overrides
+});
+
+const operator = { id: 7, name: 'Ana', role: 'OPERATOR' };
+const leader = { id: 2, name: 'Bruno', role: 'LEADER' };
+
+// Consultas respondidas pelo primeiro trecho de SQL encontrado
+const mockQueries = (handlers = {}) => {
+  pool.query.mockImplementation((sql) => {
+    const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+    const response = key ? handlers[key] : { rows: [] };
+    return Promise.resolve(typeof response === 'function' ? response() : response);
+  });
+};
+
+describe('Andon Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('should route each role to the andon rooms it answers', () => {
+    expect(roomsForRole('OPERATOR')).toEqual([]);
+    expect(roomsForRole('LEADER')).toEqual(['andon:MAINTENANCE', 'andon:QUALITY', 'andon:MATERIAL', 'andon:LEADER']);
+    expect(roomsForRole('ADMIN')).toEqual(['andon:MAINTENANCE', 'andon:QUALITY']);
+  });
+
+  describe('raiseCall', () => {
+    test('should open the call and alert the responders of the category', async () => {
+      mockQueries({
+        'FROM machines WHERE id': { rows: [{ id: 4, name: 'Máquina 04', is_active: true }] },
+        'INSERT INTO andon_calls': { rows: [{ id: 12 }] },
+        'WHERE a.id = $1': { rows: [callRow()] }
+      });
+      notificationService.getUsersByRole.mockResolvedValue([{ id: 2 }, { id: 3 }]);
+
+      const call = await raiseCall(4, 'MAINTENANCE', { notes: ' Vazamento na solda ' }, operator);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO andon_calls'), [4, 'MAINTENANCE', 'Vazamento na solda', 7]);
+      expect(notificationService.getUsersByRole).toHaveBeenCalledWith(['LEADER', 'MANAGER', 'ADMIN']);
+      expect(notificationService.createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        machine_id: 4,
+        type: 'andon_12',
+        priority: 'critical'
+      }), [2, 3]);
+      expect(call).toEqual(expect.objectContaining({ id: 12, categoryLabel: 'Manutenção', status: 'OPEN' }));
+    });
+
+    test('should reject a second active call of the same category on the machine', async () => {
+      mockQueries({ 'FROM machines WHERE id': { rows: [{ id: 4, name: 'Máquina 04', is_active: true }] } });
+
+      await expect(raiseCall(4, 'MAINTENANCE', {}, operator)).rejects.toMatchObject({ statusCode: 409 });
+      expect(notificationService.createAlert).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('transitionCall', () => {
+    test('should record the arrival and the skipped acknowledgement', async () => {
+      let updated = false;
+      mockQueries({
+        'UPDATE andon_calls': () => { updated = true; return { rows: [{ id: 12 }] }; },
+        'WHERE a.id = $1': () => ({ rows: [updated ? callRow({ status: 'ARRIVED', acknowledged_at: at(4), arrived_at: at(4) }) : callRow()] })
+      });
+
+      const call = await transitionCall(12, 'arrive', leader);
+
+      const [sql, params] = pool.query.mock.calls.find(([text]) => text.includes('UPDATE andon_calls'));
+      expect(sql).toContain("status = 'ARRIVED'");
+      expect(sql).toContain('acknowledged_at = COALESCE(acknowledged_at, NOW())');
+      expect(params).toEqual([2, 12, ['OPEN', 'ACKNOWLEDGED']]);
+      expect(call).toEqual(expect.objectContaining({ status: 'ARRIVED', ackMinutes: 4, arriveMinutes: 4 }));
+    });
+
+    test('should only let responders of the category answer the call', async () => {
+      mockQueries({ 'WHERE a.id = $1': { rows: [callRow()] } });
+
+      await expect(transitionCall(12, 'acknowledge', { id: 9, role: 'OPERATOR' })).rejects.toMatchObject({ statusCode: 403 });
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE andon_calls'), expect.anything());
+    });
+
+    test('should let the operator cancel the call they raised', async () => {
+      mockQueries({
+        'UPDATE andon_calls': { rows: [{ id: 12 }] },
+        'WHERE a.id = $1': { rows: [callRow()] }
+      });
+
+      await transitionCall(12, 'cancel', operator);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining("status = 'CANCELLED'"), [7, 12, ['OPEN', 'ACKNOWLEDGED', 'ARRIVED']]);
+    });
+
+    test('should not reopen a resolved call', async () => {
+      mockQueries({ 'WHERE a.id = $1': { rows: [callRow({ status: 'RESOLVED', resolved_at: at(30) })] } });
+
+      await expect(transitionCall(12, 'acknowledge', leader)).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+
+  describe('buildAndonReport', () => {
+    test('should summarize response times by category and machine', () => {
+      const calls = [
+        callRow({ id: 1, status: 'RESOLVED', acknowledged_at: at(2), arrived_at: at(6), resolved_at: at(30) }),
+        callRow({ id: 2, status: 'RESOLVED', acknowledged_at: at(4), arrived_at: at(10), resolved_at: at(20) }),
+        callRow({ id: 3, machine_id: 5, machine_name: 'Máquina 05', category: 'MATERIAL', status: 'OPEN' })
+      ];
+
+      const report = buildAndonReport({ startTime: at(-60), endTime: at(60), calls });
+
+      expect(report.totals).toEqual(expect.objectContaining({
+        count: 3,
+        resolved: 2,
+        active: 1,
+        avgAckMinutes: 3,
+        avgArriveMinutes: 8,
+        maxArriveMinutes: 10,
+        avgResolveMinutes: 25
+      }));
+      expect(report.byCategory[0]).toEqual(expect.objectContaining({ category: 'MAINTENANCE', categoryLabel: 'Manutenção', count: 2, p90ArriveMinutes: 10 }));
+      expect(report.byMachine.map(row => [row.machineName, row.count])).toEqual([['Máquina 04', 2], ['Máquina 05', 1]]);
+    });
+  });
+});
@@ -0,0 +1,219 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../config/redis', () => ({ deleteCache: jest.fn() }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+
+const pool = require('../config/database');
+const auditLogger = require('../services/auditLogger');
+const {
+  startChangeover,
+  recordFirstArticle,
+  releaseChangeover,
+  buildChangeoverReport
+} = require('../services/changeoverService');
+
+const startedAt = new Date(2024, 2, 1, 8);
+const at = (minutes) => new Date(startedAt.getTime() + minutes * 60 * 1000);
+
+const changeoverRow = (overrides = {}) => ({
+  id: 7,
+  machine_id: 4,
+  machine_name: 'Máquina 04',
+  from_product: 'Saco 30x40',
+  from_lot: 'L-01',
+  to_product: 'Saco 40x60',
+  to_lot: 'L-02',
+  status: 'IN_SETUP',
+  first_article_test_id: null,
+  started_at: startedAt,
+  ...overrides
+});
+
+// Cliente que responde por trecho do SQL
+const mockDb = (handlers = {}) => ({
+  query: jest.fn((sql) => {
+    const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+    const response = key ? handlers[key] : { rows: [] };
+    return Promise.resolve(typeof response === 'function' ? response() : response);
+  }),
+  release: jest.fn()
+});
+
+describe('Changeover Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('startChangeover', () => {
+    test('should stop the machine with the changeover reason and copy the checklist', async () => {
+      const db = mockDb({
+        'FROM machines WHERE id': { rows: [{ id: 4, name: 'Máquina 04', status: 'FUNCIONANDO', is_active: true }] },
+        'FROM downtime_reasons': { rows: [{ id: 31, name: 'Setup de changeover' }] },
+        'FROM machine_configs': { rows: [{ produto: 'Saco 30x40', lote: 'L-01' }] },
+        'FROM changeovers c': { rows: [changeoverRow()] }
+      });
+      pool.query.mockImplementation(db.query);
+      const client = mockDb({
+        'INSERT INTO machine_status_history': { rows: [{ id: 900 }] },
+        'INSERT INTO changeovers': { rows: [{ id: 7 }] }
+      });
+      pool.connect.mockResolvedValue(client);
+
+      const changeover = await startChangeover({ machineId: 4, toProduct: 'Saco 40x60', toLot: 'L-02' }, { id: 3 });
+
+      const historyCall = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO machine_status_history'));
+      expect(historyCall[1]).toEqual([4, 3, 'FUNCIONANDO', 'Setup de changeover: Saco 30x40 → Saco 40x60', null, 31]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO changeovers'),
+        [4, 'Saco 30x40', 'L-01', 'Saco 40x60', 'L-02', null, 900, null, 3]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO changeover_steps'), [7]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({ action: 'CHANGEOVER_STARTED' }));
+      expect(changeover).toEqual(expect.objectContaining({ id: 7, previousMachineStatus: 'FUNCIONANDO' }));
+    });
+
+    test('should refuse while the machine is in operation', async () => {
+      pool.query.mockImplementation(mockDb({
+        'FROM machines WHERE id': { rows: [{ id: 4, status: 'FUNCIONANDO', is_active: true }] },
+        'FROM machine_operations': { rows: [{ id: 55 }] }
+      }).query);
+
+      await expect(startChangeover({ machineId: 4, toProduct: 'Saco 40x60' }, { id: 3 }))
+        .rejects.toThrow('Encerre a operação');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('recordFirstArticle', () => {
+    const testRow = (overrides = {}) => ({
+      id: 80, machine_id: 4, product: 'saco 40x60', lot: 'L-02', approved: true, created_at: at(30), ...overrides
+    });
+
+    test('should link an approved test of the target product', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+      const client = mockDb({
+        'FROM changeovers WHERE id': { rows: [changeoverRow()] },
+        'FROM quality_tests': { rows: [testRow()] }
+      });
+      pool.connect.mockResolvedValue(client);
+
+      await recordFirstArticle(7, 80, { id: 3 });
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET first_article_test_id'), [80, 7]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    test.each([
+      ['a rejected test', { approved: false }, 'reprovado'],
+      ['a test from before the setup', { created_at: at(-5) }, 'depois do início'],
+      ['a test of another product', { product: 'Saco 30x40' }, 'produto/lote de destino'],
+      ['a test from another machine', { machine_id: 5 }, 'não encontrado']
+    ])('should refuse %s', async (_, overrides, message) => {
+      const client = mockDb({
+        'FROM changeovers WHERE id': { rows: [changeoverRow()] },
+        'FROM quality_tests': { rows: [testRow(overrides)] }
+      });
+      pool.connect.mockResolvedValue(client);
+
+      await expect(recordFirstArticle(7, 80, { id: 3 })).rejects.toThrow(message);
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('releaseChangeover', () => {
+    test('should require the whole checklist', async () => {
+      const client = mockDb({
+        'FROM changeovers WHERE id': { rows: [changeoverRow({ first_article_test_id: 80 })] },
+        'FROM changeover_steps': { rows: [{ pending: '2' }] }
+      });
+      pool.connect.mockResolvedValue(client);
+
+      await expect(releaseChangeover(7, { id: 3 })).rejects.toThrow('2 etapa(s) pendente(s)');
+    });
+
+    test('should require the first article test', async () => {
+      const client = mockDb({
+        'FROM changeovers WHERE id': { rows: [changeoverRow()] },
+        'FROM changeover_steps': { rows: [{ pending: '0' }] }
+      });
+      pool.connect.mockResolvedValue(client);
+
+      await expect(releaseChangeover(7, { id: 3 })).rejects.toThrow('primeira peça');
+    });
+
+    test('should release and configure the machine for the new product', async () => {
+      pool.query.mockResolvedValue({ rows: [changeoverRow({ status: 'RELEASED', released_at: at(42) })] });
+      const client = mockDb({
+        'FROM changeovers WHERE id': { rows: [changeoverRow({ first_article_test_id: 80 })] },
+        'FROM changeover_steps': { rows: [{ pending: '0' }] }
+      });
+      pool.connect.mockResolvedValue(client);
+
+      const changeover = await releaseChangeover(7, { id: 3 });
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO machine_configs'), [4, 'Saco 40x60', 'L-02']);
+      expect(changeover.setupMinutes).toBe(42);
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'CHANGEOVER_RELEASED',
+        metadata: expect.objectContaining({ setupMinutes: 42 })
+      }));
+    });
+
+    test('should refuse a changeover that is no longer open', async () => {
+      pool.connect.mockResolvedValue(mockDb({
+        'FROM changeovers WHERE id': { rows: [changeoverRow({ status: 'RELEASED' })] }
+      }));
+
+      await expect(releaseChangeover(7, { id: 3 })).rejects.toThrow('já foi encerrado');
+    });
+  });
+
+  describe('buildChangeoverReport', () => {
+    const changeovers = [
+      changeoverRow({ id: 1, status: 'RELEASED', released_at: at(30), production_started_at: at(40) }),
+      changeoverRow({ id: 2, status: 'RELEASED', started_at: at(600), released_at: at(650), production_started_at: at(660) }),
+      changeoverRow({ id: 3, status: 'RELEASED', machine_id: 5, machine_name: 'Máquina 05', from_product: 'Saco 40x60', to_product: 'Saco 30x40', released_at: at(15) }),
+      changeoverRow({ id: 4, status: 'CANCELLED' })
+    ];
+    const steps = [
+      { changeover_id: 1, description: 'Limpeza', completed_at: at(10) },
+      { changeover_id: 1, description: 'Ferramental', completed_at: at(25) },
+      { changeover_id: 2, description: 'Limpeza', completed_at: at(620) },
+      { changeover_id: 4, description: 'Limpeza', completed_at: at(5) }
+    ];
+
+    test('should group setup times by product pair, machine and step', () => {
+      const report = buildChangeoverReport({ startTime: startedAt, endTime: at(1440), changeovers, steps });
+
+      expect(report.totals).toEqual(expect.objectContaining({
+        changeovers: 4,
+        released: 3,
+        cancelled: 1,
+        avgSetupMinutes: 31.7,
+        totalSetupMinutes: 95
+      }));
+      expect(report.byPair[0]).toEqual(expect.objectContaining({
+        fromProduct: 'Saco 30x40',
+        toProduct: 'Saco 40x60',
+        count: 2,
+        avgSetupMinutes: 40,
+        minSetupMinutes: 30,
+        maxSetupMinutes: 50,
+        avgTotalMinutes: 50
+      }));
+      expect(report.byPair[1]).toEqual(expect.objectContaining({ toProduct: 'Saco 30x40', avgSetupMinutes: 15, avgTotalMinutes: null }));
+      expect(report.byMachine.map(machine => machine.machineId)).toEqual([4, 5]);
+      expect(report.bySteps).toEqual([
+        { description: 'Limpeza', count: 2, avgMinutes: 15 },
+        { description: 'Ferramental', count: 1, avgMinutes: 15 }
+      ]);
+    });
+  });
+});
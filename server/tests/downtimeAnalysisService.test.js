@@ -0,0 +1,171 @@
+const {
+  buildStopEvents,
+  buildPareto,
+  buildParetoBreakdown,
+  buildLossTree
+} = require('../services/downtimeAnalysisService');
+
+// Mock dependencies
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  pool: {}
+}));
+jest.mock('../middleware/errorHandler', () => ({ AppError: class AppError extends Error {} }));
+// oeeService carrega o livro de produção, que carrega o auditLogger e seus timers
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+
+describe('Downtime Analysis Service Tests', () => {
+  const startTime = new Date('2024-01-10T07:00:00');
+  const endTime = new Date('2024-01-10T23:00:00');
+  const at = (time) => new Date(`2024-01-10T${time}:00`);
+
+  const row = (overrides) => ({
+    machine_id: 1,
+    machine_name: 'Máquina 01',
+    downtime_reason_id: null,
+    is_planned: false,
+    ...overrides
+  });
+
+  const failure = {
+    downtime_reason_id: 10,
+    reason_code: 'NPL-MECANICA-SOLDA',
+    reason_name: 'Falha na solda',
+    category_code: 'NPL-MECANICA',
+    category_name: 'Falha mecânica',
+    loss_category: 'BREAKDOWN'
+  };
+
+  const setup = {
+    downtime_reason_id: 20,
+    reason_code: 'PLN-SETUP-PRODUTO',
+    reason_name: 'Troca de produto',
+    category_code: 'PLN-SETUP',
+    category_name: 'Setup e troca de produto',
+    loss_category: 'SETUP_ADJUSTMENT',
+    is_planned: true
+  };
+
+  describe('buildStopEvents', () => {
+    test('should clip stops to the period and close open stops at the end', () => {
+      const history = [
+        row({ id: 1, new_status: 'PARADA', created_at: at('06:00'), ...failure }),
+        row({ id: 2, new_status: 'FUNCIONANDO', created_at: at('08:00') }),
+        row({ id: 3, new_status: 'MANUTENCAO', created_at: at('22:00'), ...failure })
+      ];
+
+      const events = buildStopEvents(history, startTime, endTime);
+
+      expect(events).toHaveLength(2);
+      expect(events[0]).toMatchObject({ historyId: 1, minutes: 60, shiftType: 'MORNING' });
+      expect(events[1]).toMatchObject({ historyId: 3, minutes: 60, shiftType: 'NIGHT', endedAt: null });
+    });
+
+    test('should ignore running and off-shift periods', () => {
+      const history = [
+        row({ id: 1, new_status: 'FUNCIONANDO', created_at: at('07:00') }),
+        row({ id: 2, new_status: 'FORA_DE_TURNO', created_at: at('19:00') })
+      ];
+
+      expect(buildStopEvents(history, startTime, endTime)).toEqual([]);
+    });
+
+    test('should attribute each stop to the 3x3 team on shift, not to the user who recorded it', () => {
+      // Defasagens de add_on_call_rotation.sql: em 10/01/2024 a equipe B faz o dia e a D a noite;
+      // a madrugada ainda pertence à noite iniciada em 09/01 pela equipe A
+      const teams = [
+        { team_code: 'A', team_name: 'Equipe A', cycle_offset_days: 0 },
+        { team_code: 'B', team_name: 'Equipe B', cycle_offset_days: 3 },
+        { team_code: 'C', team_name: 'Equipe C', cycle_offset_days: 6 },
+        { team_code: 'D', team_name: 'Equipe D', cycle_offset_days: 9 }
+      ];
+      const history = [
+        row({ id: 1, new_status: 'PARADA', created_at: at('03:00'), user_id: 7, ...failure }),
+        row({ id: 2, new_status: 'FUNCIONANDO', created_at: at('03:30'), user_id: 7 }),
+        row({ id: 3, new_status: 'PARADA', created_at: at('08:00'), user_id: 7, ...failure }),
+        row({ id: 4, new_status: 'FUNCIONANDO', created_at: at('09:00'), user_id: 7 }),
+        row({ id: 5, new_status: 'PARADA', created_at: at('20:00'), user_id: 7, ...setup }),
+        row({ id: 6, new_status: 'FUNCIONANDO', created_at: at('20:10'), user_id: 7 })
+      ];
+
+      const events = buildStopEvents(history, at('00:00'), endTime, teams);
+
+      expect(events.map(event => event.teamCode)).toEqual(['A', 'B', 'D']);
+      expect(buildParetoBreakdown(events, 'team').map(group => [group.label, group.totalMinutes])).toEqual([
+        ['Equipe B', 60],
+        ['Equipe A', 30],
+        ['Equipe D', 10]
+      ]);
+    });
+  });
+
+  describe('buildPareto', () => {
+    const events = buildStopEvents([
+      row({ id: 1, new_status: 'PARADA', created_at: at('08:00'), ...failure }),
+      row({ id: 2, new_status: 'FUNCIONANDO', created_at: at('09:00') }),
+      row({ id: 3, new_status: 'PARADA', created_at: at('10:00'), ...setup }),
+      row({ id: 4, new_status: 'FUNCIONANDO', created_at: at('10:30') }),
+      row({ id: 5, new_status: 'PARADA', created_at: at('20:00') }),
+      row({ id: 6, new_status: 'FUNCIONANDO', created_at: at('20:10') }),
+      row({ id: 7, machine_id: 2, machine_name: 'Máquina 02', new_status: 'PARADA', created_at: at('12:00'), ...failure }),
+      row({ id: 8, machine_id: 2, machine_name: 'Máquina 02', new_status: 'FUNCIONANDO', created_at: at('12:30') })
+    ], startTime, endTime);
+
+    test('should rank causes by minutes with cumulative percentage', () => {
+      const pareto = buildPareto(events);
+
+      expect(pareto.totalMinutes).toBe(130);
+      expect(pareto.occurrences).toBe(4);
+      expect(pareto.causes.map(cause => cause.key)).toEqual([
+        'NPL-MECANICA-SOLDA',
+        'PLN-SETUP-PRODUTO',
+        'UNCLASSIFIED'
+      ]);
+      expect(pareto.causes[0]).toMatchObject({ minutes: 90, occurrences: 2 });
+      expect(pareto.causes[2].cumulativePercentage).toBe(100);
+    });
+
+    test('should group by category when requested', () => {
+      const pareto = buildPareto(events, 'category');
+
+      expect(pareto.causes[0]).toMatchObject({ key: 'NPL-MECANICA', name: 'Falha mecânica' });
+    });
+
+    test('should break down by machine and shift', () => {
+      const byMachine = buildParetoBreakdown(events, 'machine');
+      const byShift = buildParetoBreakdown(events, 'shift');
+
+      expect(byMachine.map(group => [group.key, group.totalMinutes])).toEqual([[1, 100], [2, 30]]);
+      expect(byShift.map(group => [group.key, group.totalMinutes])).toEqual([['MORNING', 120], ['NIGHT', 10]]);
+    });
+  });
+
+  describe('buildLossTree', () => {
+    test('should split losses into the six big losses', () => {
+      const events = buildStopEvents([
+        row({ id: 1, new_status: 'PARADA', created_at: at('08:00'), ...failure }),
+        row({ id: 2, new_status: 'FUNCIONANDO', created_at: at('09:00') }),
+        row({ id: 3, new_status: 'PARADA', created_at: at('10:00'), ...failure }),
+        row({ id: 4, new_status: 'FUNCIONANDO', created_at: at('10:03') }),
+        row({ id: 5, new_status: 'PARADA', created_at: at('11:00'), ...setup, is_planned: false }),
+        row({ id: 6, new_status: 'FUNCIONANDO', created_at: at('11:20') })
+      ], startTime, endTime);
+
+      const oee = {
+        availability: { plannedMinutes: 600, runningMinutes: 500 },
+        performance: { percentage: 90 },
+        quality: { percentage: 80 }
+      };
+
+      const result = buildLossTree({ oee, events, rejectedTests: 4, startupRejects: 1 });
+      const [availability, performance, quality] = result.tree;
+
+      expect(availability.children.map(child => child.minutes)).toEqual([60, 20]);
+      expect(performance.children[0]).toMatchObject({ code: 'MINOR_STOPS', minutes: 3, occurrences: 1 });
+      expect(performance.children[1]).toMatchObject({ code: 'REDUCED_SPEED', minutes: 50 });
+      expect(quality.minutes).toBe(90);
+      expect(quality.children.map(child => child.minutes)).toEqual([67.5, 22.5]);
+      expect(result.totalLossMinutes).toBe(223);
+    });
+  });
+});
@@ -0,0 +1,146 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ getUsersByRole: jest.fn(), createAlert: jest.fn() }));
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const {
+  openRequest,
+  evaluateQualityTest,
+  notifyOverdue
+} = require('../services/firstArticleService');
+
+const requestedAt = new Date(2024, 2, 1, 8);
+const at = (minutes) => new Date(requestedAt.getTime() + minutes * 60 * 1000);
+
+const requestRow = (overrides = {}) => ({
+  id: 80,
+  machine_id: 4,
+  machine_name: 'Máquina 04',
+  trigger_type: 'START',
+  product: 'Saco 40x60',
+  lot: 'L-02',
+  status: 'PENDING',
+  requested_at: requestedAt,
+  due_at: at(15),
+  failed_attempts: 0,
+  held_quantity: '120',
+  ...overrides
+});
+
+const ruleRow = (overrides = {}) => ({
+  id: 3, machine_id: 4, product: null, on_start: true, on_changeover: true, on_teflon_change: false, deadline_minutes: 15, ...overrides
+});
+
+// Consultas respondidas pelo primeiro trecho de SQL encontrado
+const mockQueries = (handlers = {}) => {
+  pool.query.mockImplementation((sql) => {
+    const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+    const response = key ? handlers[key] : { rows: [] };
+    return Promise.resolve(typeof response === 'function' ? response() : response);
+  });
+};
+
+describe('First Article Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('openRequest', () => {
+    test('should open a pending inspection due after the rule deadline', async () => {
+      let opened = false;
+      mockQueries({
+        'INSERT INTO fai_requests': () => { opened = true; return { rows: [{ id: 80 }] }; },
+        "r.status = 'PENDING'": () => ({ rows: opened ? [requestRow()] : [] }),
+        'FROM machine_configs': { rows: [{ produto: 'Saco 40x60', lote: 'L-02' }] },
+        'FROM fai_rules': { rows: [ruleRow()] }
+      });
+
+      const result = await openRequest(4, 'START', { operationId: 55, userId: 7, now: requestedAt });
+
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO fai_requests'));
+      expect(insert[1]).toEqual([4, 3, 'START', 'Saco 40x60', 'L-02', 55, null, null, 7, requestedAt, at(15)]);
+      expect(result.created).toBe(true);
+      expect(result.request).toEqual(expect.objectContaining({ id: 80, status: 'PENDING', heldQuantity: 120 }));
+    });
+
+    test('should skip triggers disabled by the rule', async () => {
+      mockQueries({
+        'FROM machine_configs': { rows: [{ produto: 'Saco 40x60' }] },
+        'FROM fai_rules': { rows: [ruleRow()] }
+      });
+
+      expect(await openRequest(4, 'TEFLON_CHANGE')).toBeNull();
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO fai_requests'), expect.anything());
+    });
+
+    test('should keep the inspection that is still pending', async () => {
+      mockQueries({ "r.status = 'PENDING'": { rows: [requestRow()] } });
+
+      const result = await openRequest(4, 'CHANGEOVER');
+
+      expect(result).toEqual({ request: expect.objectContaining({ id: 80 }), created: false });
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('evaluateQualityTest', () => {
+    const testRow = (overrides = {}) => ({
+      id: 200, machine_id: 4, user_id: 7, product: 'saco 40x60', approved: true, created_at: at(10), ...overrides
+    });
+
+    test('should pass the inspection with an approved test of the product', async () => {
+      mockQueries({
+        'SELECT * FROM fai_requests': { rows: [requestRow()] },
+        'WHERE r.id = $1': { rows: [requestRow({ status: 'PASSED', passed_test_id: 200 })] }
+      });
+
+      const result = await evaluateQualityTest(testRow());
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'PASSED'"), [200, at(10), 80]);
+      expect(result).toEqual({ request: expect.objectContaining({ status: 'PASSED', passedTestId: 200 }), passed: true });
+    });
+
+    test('should count a rejected test as a failed attempt', async () => {
+      mockQueries({ 'fai_requests': { rows: [requestRow()] } });
+
+      const result = await evaluateQualityTest(testRow({ approved: false }));
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('failed_attempts = failed_attempts + 1'), [80]);
+      expect(result.passed).toBe(false);
+    });
+
+    test.each([
+      ['tests from before the request', { created_at: at(-5) }],
+      ['tests of another product', { product: 'Saco 30x40' }]
+    ])('should ignore %s', async (_, overrides) => {
+      mockQueries({ 'SELECT * FROM fai_requests': { rows: [requestRow()] } });
+
+      expect(await evaluateQualityTest(testRow(overrides))).toBeNull();
+      expect(pool.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('notifyOverdue', () => {
+    test('should alert the leaders once per overdue inspection', async () => {
+      mockQueries({ "r.status = 'PENDING' AND r.due_at < $1": { rows: [requestRow()] } });
+      notificationService.getUsersByRole.mockResolvedValue([{ id: 2 }, { id: 9 }]);
+
+      expect(await notifyOverdue(at(20))).toBe(1);
+      expect(notificationService.createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        machine_id: 4,
+        type: 'fai_overdue_80',
+        message: expect.stringContaining('pendente há 20 min')
+      }), [2, 9]);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('SET leader_notified_at'), [at(20), 80]);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({ AppError: class AppError extends Error {} }));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/firstArticleService', () => ({}));
+
+const pool = require('../config/database');
+const auditLogger = require('../services/auditLogger');
+const {
+  setLotStatus,
+  holdFromRejectedTest,
+  recordOverride,
+  getMachineLotStatus
+} = require('../services/lotStatusService');
+const { requireReleasedLot } = require('../middleware/qualityTestMiddleware');
+
+const lotRow = (status) => ({ lot: 'L100', product: 'Produto A', status, reason: 'motivo', changed_at: new Date() });
+
+describe('Lot Status Service Tests', () => {
+  let client;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    pool.connect.mockResolvedValue(client);
+  });
+
+  describe('setLotStatus', () => {
+    test('should require a reason', async () => {
+      await expect(setLotStatus('L100', 'ON_HOLD', { reason: '  ', userId: 1 }))
+        .rejects.toThrow('Informe o motivo da mudança de status do lote');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should not allow releasing a scrapped lot', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [lotRow('SCRAPPED')] });
+
+      await expect(setLotStatus('L100', 'RELEASED', { reason: 'Retrabalhado', userId: 1 }))
+        .rejects.toThrow('Lote sucateado não pode ser alterado para liberado');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should record history and audit who released the lot and why', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [lotRow('ON_HOLD')] })
+        .mockResolvedValueOnce({ rows: [lotRow('RELEASED')] });
+
+      const result = await setLotStatus('L100', 'RELEASED', { reason: 'Reteste aprovado', userId: 7 }, {
+        ip: '10.0.0.5', method: 'PUT', endpoint: '/api/lots/L100/status'
+      });
+
+      expect(result.status).toBe('RELEASED');
+      const historyCall = client.query.mock.calls.find(([sql]) => sql.includes('lot_status_history'));
+      expect(historyCall[1]).toEqual(['L100', 'ON_HOLD', 'RELEASED', 'MANUAL', 'Reteste aprovado', null, null, 7]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'LOT_RELEASE',
+        userId: 7,
+        resourceId: 'L100',
+        ip: '10.0.0.5',
+        metadata: expect.objectContaining({ fromStatus: 'ON_HOLD', toStatus: 'RELEASED', reason: 'Reteste aprovado' })
+      }));
+    });
+
+    test('should roll back and skip the audit when the update fails', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('INSERT INTO lot_statuses')) throw new Error('falha');
+        return { rows: [] };
+      });
+
+      await expect(setLotStatus('L100', 'ON_HOLD', { reason: 'Suspeita', userId: 1 })).rejects.toThrow('falha');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+      expect(auditLogger.logDataAccess).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('holdFromRejectedTest', () => {
+    const qualityTest = { id: 42, lot: 'L100', box_number: 'C3', product: 'Produto A', machine_id: 2 };
+
+    test('should hold a released lot', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [lotRow('ON_HOLD')] });
+
+      const result = await holdFromRejectedTest(qualityTest, 5);
+
+      expect(result.status).toBe('ON_HOLD');
+      const historyCall = client.query.mock.calls.find(([sql]) => sql.includes('lot_status_history'));
+      expect(historyCall[1]).toEqual(['L100', 'RELEASED', 'ON_HOLD', 'QUALITY_TEST', 'Teste de qualidade #42 reprovado (caixa C3)', 42, 2, 5]);
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({ action: 'LOT_HOLD' }));
+    });
+
+    test('should leave an already blocked lot untouched', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [lotRow('QUARANTINED')] });
+
+      const result = await holdFromRejectedTest(qualityTest, 5);
+
+      expect(result).toBeNull();
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getMachineLotStatus', () => {
+    test('should return null when the machine has no lot configured', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [{ produto: 'Produto A', lote: null }] });
+
+      expect(await getMachineLotStatus(1)).toBeNull();
+    });
+
+    test('should flag held lots as blocked and overridable', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ produto: 'Produto A', lote: 'L100' }] })
+        .mockResolvedValueOnce({ rows: [lotRow('ON_HOLD')] });
+
+      const result = await getMachineLotStatus(1);
+
+      expect(result).toEqual(expect.objectContaining({ lot: 'L100', blocked: true, overridable: true }));
+    });
+
+    test('should not allow overriding a scrapped lot', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ produto: 'Produto A', lote: 'L100' }] })
+        .mockResolvedValueOnce({ rows: [lotRow('SCRAPPED')] });
+
+      const result = await getMachineLotStatus(1);
+
+      expect(result).toEqual(expect.objectContaining({ blocked: true, overridable: false }));
+    });
+
+    test('should treat lots without status as released', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ produto: 'Produto A', lote: 'L200' }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await getMachineLotStatus(1);
+
+      expect(result).toEqual(expect.objectContaining({ status: 'RELEASED', product: 'Produto A', blocked: false }));
+    });
+
+    test('should check the lot of the chosen production order instead of the machine config', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [lotRow('QUARANTINED')] });
+
+      const result = await getMachineLotStatus(1, { product: 'Saco 30x40', lot: 'L300' });
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('machine_configs'), expect.anything());
+      expect(result).toEqual(expect.objectContaining({ blocked: true }));
+    });
+  });
+
+  describe('recordOverride', () => {
+    test('should keep the status and audit the leader override', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [] });
+
+      await recordOverride({ lot: 'L100', status: 'ON_HOLD' }, { reason: 'Liberação da qualidade por telefone', userId: 3, machineId: 2 });
+
+      expect(pool.query.mock.calls[0][1]).toEqual(['L100', 'ON_HOLD', 'Liberação da qualidade por telefone', 2, 3]);
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'LOT_HOLD_OVERRIDE',
+        userId: 3,
+        metadata: expect.objectContaining({ source: 'OVERRIDE', machineId: 2 })
+      }));
+    });
+
+    test('should write the override in the transaction that created the operation', async () => {
+      await recordOverride(
+        { lot: 'L100', status: 'QUARANTINED' },
+        { reason: 'Liberação da qualidade por telefone', userId: 3, machineId: 2, operationId: 55 },
+        {},
+        client
+      );
+
+      expect(pool.query).not.toHaveBeenCalled();
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('lot_status_history'), expect.any(Array));
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        metadata: expect.objectContaining({ operationId: 55 })
+      }));
+    });
+  });
+
+  describe('requireReleasedLot', () => {
+    test('should not start production when the lot status cannot be checked', async () => {
+      const error = new Error('connection terminated');
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockRejectedValueOnce(error);
+      const next = jest.fn();
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await requireReleasedLot({ params: { id: '2' }, body: {} }, {}, next);
+
+      expect(next).toHaveBeenCalledWith(error);
+      console.error.mockRestore();
+    });
+
+    test('should only pass the leader override on, leaving the record to the operation start', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 2 }] })
+        .mockResolvedValueOnce({ rows: [{ produto: 'Produto A', lote: 'L100' }] })
+        .mockResolvedValueOnce({ rows: [lotRow('ON_HOLD')] });
+      const req = {
+        params: { id: '2' },
+        body: { overrideLotHold: true, overrideReason: ' Liberação da qualidade por telefone ' },
+        user: { id: 3, role: 'LEADER' }
+      };
+      const next = jest.fn();
+
+      await requireReleasedLot(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.lotOverride).toEqual(expect.objectContaining({
+        reason: 'Liberação da qualidade por telefone',
+        userId: 3,
+        machineId: 2,
+        lotStatus: expect.objectContaining({ lot: 'L100', status: 'ON_HOLD' })
+      }));
+      expect(pool.query).toHaveBeenCalledTimes(3);
+      expect(auditLogger.logDataAccess).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,279 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../config/redis', () => ({ deleteCache: jest.fn() }));
+jest.mock('../services/notificationService', () => ({
+  createAlert: jest.fn(),
+  getUsersByRole: jest.fn()
+}));
+jest.mock('../services/webhookService', () => ({ publish: jest.fn() }));
+jest.mock('modbus-serial', () => jest.fn());
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const machineIngestionService = require('../services/machineIngestionService');
+const ModbusRTU = require('modbus-serial');
+const { parsePayload, SimulatorAdapter, ModbusAdapter, createAdapter } = require('../services/machineSignalAdapters');
+
+const at = (time) => new Date(`2024-03-01T${time}Z`);
+const emptyState = { lastCounter: null, lastCycleAt: null, hasRunSignal: false };
+
+describe('Machine Ingestion Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('processSignal', () => {
+    test('should use the first reading only as the counter baseline', () => {
+      const result = machineIngestionService.processSignal(emptyState, { counter: 1500, running: null, timestamp: at('08:00:00') });
+
+      expect(result.delta).toBe(0);
+      expect(result.running).toBeNull();
+      expect(result.state.lastCounter).toBe(1500);
+    });
+
+    test('should count the increment and infer running from it', () => {
+      const state = { ...emptyState, lastCounter: 1500 };
+      const result = machineIngestionService.processSignal(state, { counter: 1512, running: null, timestamp: at('08:00:05') });
+
+      expect(result.delta).toBe(12);
+      expect(result.running).toBe(true);
+      expect(result.state.lastCycleAt).toEqual(at('08:00:05'));
+    });
+
+    test('should treat a lower counter as a PLC reset', () => {
+      const state = { ...emptyState, lastCounter: 65530 };
+      const result = machineIngestionService.processSignal(state, { counter: 4, running: null });
+
+      expect(result.reset).toBe(true);
+      expect(result.delta).toBe(4);
+    });
+
+    test('should give priority to the explicit run signal', () => {
+      const state = { ...emptyState, lastCounter: 100 };
+      const result = machineIngestionService.processSignal(state, { counter: 105, running: false });
+
+      expect(result.delta).toBe(5);
+      expect(result.running).toBe(false);
+      expect(result.state.hasRunSignal).toBe(true);
+    });
+  });
+
+  describe('isIdle', () => {
+    test('should flag machines without cycles after the stop threshold', () => {
+      const state = { ...emptyState, lastCycleAt: at('08:00:00') };
+
+      expect(machineIngestionService.isIdle(state, 120, at('08:01:59'))).toBe(false);
+      expect(machineIngestionService.isIdle(state, 120, at('08:02:00'))).toBe(true);
+    });
+
+    test('should not use idle time when the source sends a run signal', () => {
+      const state = { ...emptyState, lastCycleAt: at('08:00:00'), hasRunSignal: true };
+
+      expect(machineIngestionService.isIdle(state, 120, at('09:00:00'))).toBe(false);
+    });
+  });
+
+  describe('compareCounts', () => {
+    test('should compute the drift against the larger count', () => {
+      const result = machineIngestionService.compareCounts(950, 1000, 5);
+
+      expect(result.difference).toBe(-50);
+      expect(result.differencePercent).toBe(5);
+      expect(result.withinTolerance).toBe(true);
+    });
+
+    test('should flag drift above the tolerance', () => {
+      expect(machineIngestionService.compareCounts(800, 1000, 5).withinTolerance).toBe(false);
+      expect(machineIngestionService.compareCounts(0, 0, 5).withinTolerance).toBe(true);
+    });
+  });
+
+  describe('adapters', () => {
+    test('should parse JSON and plain numeric payloads', () => {
+      expect(parsePayload(Buffer.from('{"counter": 42, "running": 1}'))).toEqual({ counter: 42, running: true, timestamp: undefined });
+      expect(parsePayload('1337')).toEqual({ counter: 1337, running: null });
+    });
+
+    test('should validate the adapter configuration', () => {
+      expect(() => createAdapter('MQTT', { url: 'mqtt://localhost' })).toThrow('url e topic');
+      expect(() => createAdapter('MODBUS', { host: '10.0.0.5' })).toThrow('counterRegister');
+      expect(() => createAdapter('OPC', {})).toThrow('desconhecido');
+    });
+
+    test('simulator should emit cycles and stops on its interval', () => {
+      jest.useFakeTimers();
+      const random = jest.fn()
+        .mockReturnValueOnce(0.9) // segue funcionando
+        .mockReturnValueOnce(0.01) // para
+        .mockReturnValueOnce(0.9); // continua parada
+
+      const simulator = new SimulatorAdapter({ cyclesPerMinute: 30, tickSeconds: 5 }, random);
+      const signals = [];
+      simulator.on('signal', signal => signals.push(signal));
+      simulator.start();
+
+      jest.advanceTimersByTime(15000);
+      simulator.stop();
+      jest.useRealTimers();
+
+      // 30 ciclos/min em ticks de 5s = 2,5 ciclos por tick (fração acumulada)
+      expect(signals.map(signal => [signal.counter, signal.running])).toEqual([
+        [2, true],
+        [2, false],
+        [2, false]
+      ]);
+    });
+
+    describe('modbus', () => {
+      // Cada conexão cria um cliente novo; connectTCP resolve ou rejeita conforme a fila
+      const mockClients = (connections, readHoldingRegisters) => {
+        const clients = [];
+        ModbusRTU.mockImplementation(() => {
+          const client = {
+            isOpen: false,
+            setTimeout: jest.fn(),
+            setID: jest.fn(),
+            close: jest.fn(),
+            readHoldingRegisters,
+            connectTCP: jest.fn(() => {
+              const ok = connections.shift();
+              client.isOpen = ok;
+              return ok ? Promise.resolve() : Promise.reject(new Error('ECONNREFUSED'));
+            })
+          };
+          clients.push(client);
+          return client;
+        });
+        return clients;
+      };
+
+      afterEach(() => {
+        jest.useRealTimers();
+      });
+
+      test('should reconnect with growing backoff after the connection fails', async () => {
+        jest.useFakeTimers();
+        const clients = mockClients([false, false, true], jest.fn().mockResolvedValue({ data: [7] }));
+        const adapter = new ModbusAdapter({ host: '10.0.0.5', counterRegister: 0, pollSeconds: 5, reconnectSeconds: 5 });
+        const errors = [];
+        const signals = [];
+        adapter.on('error', error => errors.push(error.message));
+        adapter.on('signal', signal => signals.push(signal.counter));
+
+        adapter.start();
+        await jest.advanceTimersByTimeAsync(4999);
+        expect(clients).toHaveLength(1);
+
+        // 5s após a primeira falha, 10s após a segunda
+        await jest.advanceTimersByTimeAsync(1);
+        expect(clients).toHaveLength(2);
+        await jest.advanceTimersByTimeAsync(9999);
+        expect(clients).toHaveLength(2);
+        await jest.advanceTimersByTimeAsync(1);
+        expect(clients).toHaveLength(3);
+
+        await jest.advanceTimersByTimeAsync(5000);
+        adapter.stop();
+
+        expect(errors).toEqual(['ECONNREFUSED', 'ECONNREFUSED']);
+        expect(clients[0].close).toHaveBeenCalled();
+        expect(signals).toEqual([7]);
+      });
+
+      test('should not start a new poll while the previous read is pending', async () => {
+        jest.useFakeTimers();
+        let finishRead;
+        const readHoldingRegisters = jest.fn(() => new Promise(resolve => {
+          finishRead = () => resolve({ data: [1] });
+        }));
+        mockClients([true], readHoldingRegisters);
+        const adapter = new ModbusAdapter({ host: '10.0.0.5', counterRegister: 0, pollSeconds: 5 });
+        adapter.on('signal', () => {});
+
+        adapter.start();
+        await jest.advanceTimersByTimeAsync(30000);
+        expect(readHoldingRegisters).toHaveBeenCalledTimes(1);
+
+        finishRead();
+        await jest.advanceTimersByTimeAsync(5000);
+        adapter.stop();
+
+        expect(readHoldingRegisters).toHaveBeenCalledTimes(2);
+      });
+    });
+  });
+
+  describe('handleSignal', () => {
+    const buildEntry = (overrides = {}) => ({
+      source: { id: 3, machine_id: 7, auto_status: true, stop_after_seconds: 120, ...overrides },
+      state: { ...emptyState, lastCounter: 100 },
+      lastRunning: null
+    });
+
+    test('should record the reading and start the machine', async () => {
+      const io = { emit: jest.fn() };
+      machineIngestionService.io = io;
+      pool.query.mockImplementation((sql) => {
+        if (sql.includes('FROM machines')) {
+          return Promise.resolve({ rows: [{ id: 7, name: 'Máquina 07', status: 'PARADA' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      const entry = buildEntry();
+      await machineIngestionService.handleSignal(entry, { counter: 110, running: null, timestamp: at('08:00:00') });
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO machine_counter_readings'), [7, 3, 110, 10, true, at('08:00:00')]);
+      expect(pool.query).toHaveBeenCalledWith('UPDATE machines SET status = $1, updated_at = NOW() WHERE id = $2', ['FUNCIONANDO', 7]);
+      expect(io.emit).toHaveBeenCalledWith('machine:counter', expect.objectContaining({ machineId: 7, delta: 10 }));
+      expect(io.emit).toHaveBeenCalledWith('machine:status:changed', expect.objectContaining({
+        previousStatus: 'PARADA',
+        newStatus: 'FUNCIONANDO',
+        user: 'Automático'
+      }));
+      expect(entry.state.lastCounter).toBe(110);
+    });
+
+    test('should never override maintenance status', async () => {
+      machineIngestionService.io = { emit: jest.fn() };
+      pool.query.mockImplementation((sql) => {
+        if (sql.includes('FROM machines')) {
+          return Promise.resolve({ rows: [{ id: 7, name: 'Máquina 07', status: 'MANUTENCAO' }] });
+        }
+        return Promise.resolve({ rows: [] });
+      });
+
+      await machineIngestionService.handleSignal(buildEntry(), { counter: 110, running: null });
+
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE machines SET status'), expect.anything());
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO machine_counter_readings'), expect.anything());
+    });
+
+    test('should not change status when auto status is disabled', async () => {
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await machineIngestionService.handleSignal(buildEntry({ auto_status: false }), { counter: 100, running: false });
+
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('FROM machines'), expect.anything());
+    });
+  });
+
+  describe('reconcileActiveSources', () => {
+    test('should alert leaders when the counter drifts beyond tolerance', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ machine_id: 7, machine_name: 'Máquina 07' }] })
+        .mockResolvedValueOnce({ rows: [{ id: 3, adapter: 'MQTT', reconcile_tolerance_percent: '5', last_counter: '110' }] })
+        .mockResolvedValueOnce({ rows: [{ total: '800' }] })
+        .mockResolvedValueOnce({ rows: [{ total: 1000 }] });
+      notificationService.getUsersByRole.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const drifts = await machineIngestionService.reconcileActiveSources();
+
+      expect(drifts).toHaveLength(1);
+      expect(drifts[0]).toMatchObject({ measured: 800, calculated: 1000, differencePercent: 20, withinTolerance: false });
+      expect(notificationService.createAlert).toHaveBeenCalledWith(
+        expect.objectContaining({ machine_id: 7, type: 'counter_drift_7' }),
+        [1, 2]
+      );
+    });
+  });
+});
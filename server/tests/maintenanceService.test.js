@@ -0,0 +1,185 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({ AppError: class AppError extends Error {} }));
+jest.mock('../services/notificationService', () => ({
+  createAlert: jest.fn(),
+  getUsersByRole: jest.fn()
+}));
+jest.mock('../services/downtimeAnalysisService', () => ({ getStopEvents: jest.fn() }));
+
+const pool = require('../config/database');
+const { getStopEvents } = require('../services/downtimeAnalysisService');
+const {
+  calculateRunMinutes,
+  evaluatePlan,
+  isFailure,
+  calculateReliability,
+  validateWorkOrderTransition,
+  changeWorkOrderStatus,
+  getReliabilityMetrics
+} = require('../services/maintenanceService');
+
+const at = (time) => new Date(`2024-03-01T${time}:00Z`);
+
+describe('Maintenance Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateRunMinutes', () => {
+    test('should sum FUNCIONANDO intervals clipped to the period', () => {
+      const history = [
+        { new_status: 'FUNCIONANDO', created_at: at('07:00') },
+        { new_status: 'PARADA', created_at: at('09:00') },
+        { new_status: 'FUNCIONANDO', created_at: at('09:30') }
+      ];
+
+      // 08:00-09:00 + 09:30-10:00
+      expect(calculateRunMinutes(history, at('08:00'), at('10:00'))).toBe(90);
+    });
+
+    test('should ignore stop and maintenance statuses', () => {
+      const history = [
+        { new_status: 'MANUTENCAO', created_at: at('08:00') },
+        { new_status: 'PARADA', created_at: at('09:00') }
+      ];
+
+      expect(calculateRunMinutes(history, at('08:00'), at('10:00'))).toBe(0);
+    });
+  });
+
+  describe('evaluatePlan', () => {
+    const basePlan = { intervalValue: 100, lastDoneAt: '2024-03-01T00:00:00Z', createdAt: '2024-01-01T00:00:00Z', lastDoneUnits: 5000 };
+
+    test('should count calendar days since the last execution', () => {
+      const status = evaluatePlan({ ...basePlan, triggerType: 'CALENDAR', intervalValue: 7 }, {}, new Date('2024-03-08T12:00:00Z'));
+
+      expect(status.consumed).toBe(7.5);
+      expect(status.remaining).toBe(0);
+      expect(status.due).toBe(true);
+      expect(status.unit).toBe('dias');
+    });
+
+    test('should use run hours since the last execution', () => {
+      const status = evaluatePlan({ ...basePlan, triggerType: 'RUN_HOURS' }, { runHours: 40 });
+
+      expect(status.progress).toBe(40);
+      expect(status.remaining).toBe(60);
+      expect(status.due).toBe(false);
+    });
+
+    test('should subtract the units produced up to the last execution', () => {
+      const status = evaluatePlan({ ...basePlan, triggerType: 'UNITS' }, { cumulativeUnits: 5120 });
+
+      expect(status.consumed).toBe(120);
+      expect(status.due).toBe(true);
+    });
+  });
+
+  describe('isFailure', () => {
+    test('should only count unplanned breakdowns', () => {
+      expect(isFailure({ isPlanned: false, lossCategory: 'BREAKDOWN', reasonId: 3, status: 'PARADA' })).toBe(true);
+      expect(isFailure({ isPlanned: true, lossCategory: 'BREAKDOWN', reasonId: 4, status: 'MANUTENCAO' })).toBe(false);
+      expect(isFailure({ isPlanned: false, lossCategory: 'SETUP_ADJUSTMENT', reasonId: 5, status: 'PARADA' })).toBe(false);
+    });
+
+    test('should count unclassified stops only when the machine went to maintenance', () => {
+      expect(isFailure({ isPlanned: false, lossCategory: 'BREAKDOWN', reasonId: null, status: 'MANUTENCAO' })).toBe(true);
+      expect(isFailure({ isPlanned: false, lossCategory: 'BREAKDOWN', reasonId: null, status: 'PARADA' })).toBe(false);
+    });
+  });
+
+  describe('calculateReliability', () => {
+    test('should calculate MTBF, MTTR and availability in hours', () => {
+      const result = calculateReliability({ runMinutes: 6000, failures: 4, repairMinutes: 240 });
+
+      expect(result.mtbfHours).toBe(25);
+      expect(result.mttrHours).toBe(1);
+      expect(result.availability).toBe(96.2);
+    });
+
+    test('should leave MTBF and MTTR empty without failures', () => {
+      const result = calculateReliability({ runMinutes: 600, failures: 0, repairMinutes: 0 });
+
+      expect(result.mtbfHours).toBeNull();
+      expect(result.mttrHours).toBeNull();
+      expect(result.availability).toBe(100);
+    });
+  });
+
+  describe('validateWorkOrderTransition', () => {
+    test('should require the whole checklist before completion', () => {
+      const workOrder = { status: 'IN_PROGRESS', checklist: [{ done: true }, { done: false }] };
+
+      expect(() => validateWorkOrderTransition(workOrder, 'COMPLETED', { notes: 'Feito' }))
+        .toThrow('Conclua os 1 itens pendentes do checklist antes de encerrar a ordem');
+    });
+
+    test('should require the technician sign-off notes', () => {
+      const workOrder = { status: 'IN_PROGRESS', checklist: [{ done: true }] };
+
+      expect(() => validateWorkOrderTransition(workOrder, 'COMPLETED', { notes: ' ' }))
+        .toThrow('A assinatura do técnico exige o registro do serviço executado');
+    });
+
+    test('should not reopen completed work orders', () => {
+      expect(() => validateWorkOrderTransition({ status: 'COMPLETED', checklist: [] }, 'IN_PROGRESS'))
+        .toThrow('Transição de COMPLETED para IN_PROGRESS não permitida');
+    });
+  });
+
+  describe('changeWorkOrderStatus', () => {
+    test('should sign off and restart the plan counters on completion', async () => {
+      const workOrderRow = { id: 9, plan_id: 3, machine_id: 2, type: 'PREVENTIVE', status: 'IN_PROGRESS' };
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM maintenance_work_orders wo')) return { rows: [workOrderRow] };
+        if (sql.includes('maintenance_work_order_checklist')) return { rows: [{ id: 1, item: 'Lubrificar', done: true }] };
+        return { rows: [] };
+      });
+      const client = {
+        query: jest.fn(async (sql) => (sql.includes('SUM(total_production)') ? { rows: [{ total: '15230' }] } : { rows: [] })),
+        release: jest.fn()
+      };
+      pool.connect.mockResolvedValue(client);
+
+      await changeWorkOrderStatus(9, 'COMPLETED', 7, { notes: 'Rolamentos lubrificados' });
+
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('completed_by = $2'),
+        ['COMPLETED', 7, 'Rolamentos lubrificados', 9]
+      );
+      expect(client.query).toHaveBeenCalledWith(
+        expect.stringContaining('UPDATE maintenance_plans SET last_done_at'),
+        [15230, 3]
+      );
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+  });
+
+  describe('getReliabilityMetrics', () => {
+    test('should combine run time with failure stops per machine', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          { machine_id: 1, new_status: 'FUNCIONANDO', created_at: at('00:00') },
+          { machine_id: 1, new_status: 'MANUTENCAO', created_at: at('10:00') },
+          { machine_id: 1, new_status: 'FUNCIONANDO', created_at: at('11:00') }
+        ]
+      });
+      getStopEvents.mockResolvedValue([
+        { machineId: 1, machineName: 'Máquina 1', isPlanned: false, lossCategory: 'BREAKDOWN', reasonId: 3, status: 'MANUTENCAO', minutes: 60 },
+        { machineId: 1, machineName: 'Máquina 1', isPlanned: true, lossCategory: 'BREAKDOWN', reasonId: 8, status: 'PARADA', minutes: 30 }
+      ]);
+
+      const result = await getReliabilityMetrics({ startTime: at('00:00'), endTime: at('21:00') });
+
+      expect(result.byMachine).toHaveLength(1);
+      expect(result.byMachine[0]).toEqual(expect.objectContaining({
+        machineName: 'Máquina 1',
+        runHours: 20,
+        failures: 1,
+        mtbfHours: 20,
+        mttrHours: 1
+      }));
+      expect(result.overall.failures).toBe(1);
+    });
+  });
+});
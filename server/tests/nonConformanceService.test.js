@@ -0,0 +1,193 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({ AppError: class AppError extends Error {} }));
+jest.mock('../services/notificationService', () => ({
+  createAlert: jest.fn(),
+  getUsersByRole: jest.fn()
+}));
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const {
+  calculateDueDate,
+  describeRejectedTest,
+  validateTransition,
+  escalationLevelFor,
+  openFromQualityTest,
+  escalateOverdue
+} = require('../services/nonConformanceService');
+
+const HOUR = 60 * 60 * 1000;
+
+describe('Non Conformance Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('calculateDueDate', () => {
+    test('should give less time to more severe non-conformances', () => {
+      const from = new Date('2024-03-01T08:00:00Z');
+
+      expect(calculateDueDate('CRITICAL', from).toISOString()).toBe('2024-03-02T08:00:00.000Z');
+      expect(calculateDueDate('MAJOR', from).toISOString()).toBe('2024-03-04T08:00:00.000Z');
+      expect(calculateDueDate('MINOR', from).toISOString()).toBe('2024-03-08T08:00:00.000Z');
+    });
+  });
+
+  describe('describeRejectedTest', () => {
+    test('should list the dimensions out of tolerance', () => {
+      const description = describeRejectedTest({
+        id: 12,
+        product: 'Produto A',
+        lot: 'L1',
+        box_number: '7',
+        observations: 'Solda fraca',
+        dimension_results: [
+          { label: 'Largura da Embalagem', value: 203.5, unit: 'mm', min: 198, max: 202, passed: false },
+          { label: 'Tamanho do Fundo', value: 80, unit: 'mm', min: 79, max: 81, passed: true },
+          { label: 'Tamanho Lateral', value: null, unit: 'mm', min: 49, max: 51, passed: false }
+        ]
+      });
+
+      expect(description).toContain('Teste de qualidade #12 reprovado');
+      expect(description).toContain('Largura da Embalagem: 203.5 mm (limites 198 - 202)');
+      expect(description).toContain('Tamanho Lateral: não medido');
+      expect(description).not.toContain('Tamanho do Fundo');
+      expect(description).toContain('Observações do operador: Solda fraca');
+    });
+  });
+
+  describe('validateTransition', () => {
+    const base = { status: 'INVESTIGATING', rootCause: 'Resistência gasta', actions: [] };
+
+    test('should reject transitions outside the workflow', () => {
+      expect(() => validateTransition({ ...base, status: 'OPEN' }, 'CLOSED')).toThrow('não permitida');
+      expect(() => validateTransition({ ...base, status: 'CLOSED' }, 'OPEN')).toThrow('não permitida');
+    });
+
+    test('should require root cause and completed corrective actions to verify', () => {
+      expect(() => validateTransition({ ...base, rootCause: null }, 'VERIFIED')).toThrow('causa raiz');
+      expect(() => validateTransition(base, 'VERIFIED')).toThrow('ação corretiva');
+      expect(() => validateTransition({
+        ...base,
+        actions: [{ type: 'CORRECTIVE', status: 'DONE' }, { type: 'PREVENTIVE', status: 'PENDING' }]
+      }, 'VERIFIED')).toThrow('concluídas');
+
+      expect(() => validateTransition({
+        ...base,
+        actions: [{ type: 'CORRECTIVE', status: 'DONE' }]
+      }, 'VERIFIED')).not.toThrow();
+    });
+
+    test('should allow reopening the investigation after a failed verification', () => {
+      expect(() => validateTransition({ ...base, status: 'VERIFIED' }, 'INVESTIGATING')).not.toThrow();
+    });
+  });
+
+  describe('escalationLevelFor', () => {
+    const now = new Date('2024-03-05T12:00:00Z');
+
+    test('should escalate to management after 48 hours overdue', () => {
+      expect(escalationLevelFor(new Date(now.getTime() + HOUR), now)).toBe(0);
+      expect(escalationLevelFor(new Date(now.getTime() - HOUR), now)).toBe(1);
+      expect(escalationLevelFor(new Date(now.getTime() - 49 * HOUR), now)).toBe(2);
+    });
+  });
+
+  describe('openFromQualityTest', () => {
+    let client;
+    const qualityTest = { id: 30, machine_id: 2, product: 'Produto A', lot: 'L1', box_number: '9', dimension_results: null };
+    const machine = { name: 'Máquina 02' };
+
+    beforeEach(() => {
+      client = { query: jest.fn(), release: jest.fn() };
+      pool.connect.mockResolvedValue(client);
+      // getNonConformanceById ao final
+      pool.query.mockResolvedValue({ rows: [{ id: 5, status: 'OPEN', severity: 'MAJOR' }] });
+    });
+
+    test('should open a new non-conformance with lot containment', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FOR UPDATE')) return { rows: [] };
+        if (sql.includes('INSERT INTO non_conformances')) return { rows: [{ id: 5 }] };
+        return { rows: [] };
+      });
+
+      const { created } = await openFromQualityTest(qualityTest, machine, 1);
+
+      expect(created).toBe(true);
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO non_conformances'));
+      expect(insert[1]).toEqual(expect.arrayContaining([
+        'Teste reprovado - Máquina 02 - lote L1',
+        'MAJOR',
+        'Segregar o lote L1 a partir da caixa 9 até a disposição da qualidade'
+      ]));
+      expect(client.query).toHaveBeenCalledWith('UPDATE quality_tests SET non_conformance_id = $1 WHERE id = $2', [5, 30]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+    });
+
+    test('should register a recurrence on the open non-conformance and make it critical', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FOR UPDATE')) return { rows: [{ id: 5, severity: 'MAJOR', status: 'INVESTIGATING' }] };
+        return { rows: [] };
+      });
+
+      const { created } = await openFromQualityTest(qualityTest, machine, 1);
+
+      expect(created).toBe(false);
+      expect(client.query.mock.calls.some(([sql]) => sql.includes('INSERT INTO non_conformances ('))).toBe(false);
+      expect(client.query.mock.calls.some(([sql]) => sql.includes("severity = 'CRITICAL'"))).toBe(true);
+      const history = client.query.mock.calls.find(([sql]) => sql.includes('non_conformance_history'));
+      expect(history[1][3]).toBe('Reincidência: caixa 9 reprovada no teste #30');
+    });
+
+    test('should roll back when something fails', async () => {
+      client.query.mockImplementation(async (sql) => {
+        if (sql.includes('FOR UPDATE')) throw new Error('falha');
+        return { rows: [] };
+      });
+
+      await expect(openFromQualityTest(qualityTest, machine, 1)).rejects.toThrow('falha');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('escalateOverdue', () => {
+    test('should alert leaders and owner once per escalation level', async () => {
+      const now = new Date('2024-03-05T12:00:00Z');
+      notificationService.getUsersByRole.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM non_conformances nc')) {
+          return {
+            rows: [
+              { id: 8, machine_id: 2, lot: 'L1', box_number: '9', severity: 'MAJOR', status: 'OPEN', title: 'Teste reprovado', owner_id: 7, due_date: new Date(now.getTime() - HOUR), escalation_level: 0 },
+              { id: 9, machine_id: 2, lot: 'L2', severity: 'MINOR', status: 'INVESTIGATING', title: 'Já escalada', owner_id: null, due_date: new Date(now.getTime() - 2 * HOUR), escalation_level: 1 }
+            ]
+          };
+        }
+        if (sql.includes('FROM non_conformance_actions a')) {
+          return {
+            rows: [
+              { id: 3, non_conformance_id: 8, nc_title: 'Teste reprovado', action_type: 'CORRECTIVE', description: 'Trocar resistência', machine_id: 2, lot: 'L1', owner_id: 7, due_date: new Date(now.getTime() - 50 * HOUR), escalation_level: 1 }
+            ]
+          };
+        }
+        return { rows: [] };
+      });
+
+      const escalated = await escalateOverdue(now);
+
+      expect(escalated).toBe(2);
+      expect(notificationService.createAlert).toHaveBeenCalledTimes(2);
+      expect(notificationService.createAlert).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'nc_overdue_8', priority: 'warning' }),
+        [1, 2, 7]
+      );
+      expect(notificationService.createAlert).toHaveBeenCalledWith(
+        expect.objectContaining({ type: 'capa_overdue_3', priority: 'critical' }),
+        [1, 2, 7]
+      );
+      expect(notificationService.getUsersByRole).toHaveBeenCalledWith(['MANAGER', 'ADMIN']);
+    });
+  });
+});
@@ -0,0 +1,346 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('axios', () => ({ post: jest.fn(), get: jest.fn() }));
+jest.mock('@sendgrid/mail', () => ({ setApiKey: jest.fn(), send: jest.fn() }));
+
+const axios = require('axios');
+const sgMail = require('@sendgrid/mail');
+const pool = require('../config/database');
+const emailService = require('../services/emailService');
+const { createProvider } = require('../services/notificationChannels');
+const {
+  retryDelaySeconds,
+  providerFor,
+  resetProviders,
+  enqueue,
+  dispatch,
+  deliver,
+  retryDueDeliveries,
+  retryDelivery
+} = require('../services/notificationDeliveryService');
+
+const ENV_KEYS = ['NOTIFICATION_SINK', 'NOTIFICATION_EMAIL_PROVIDER', 'NOTIFICATION_CHAT_PROVIDER', 'NOTIFICATION_WEBHOOK_URL', 'SLACK_WEBHOOK_URL', 'NOTIFICATION_MAX_ATTEMPTS', 'SENDGRID_API_KEY'];
+
+const logRow = (overrides = {}) => ({
+  id: 1,
+  alert_id: 10,
+  user_id: 5,
+  channel: 'email',
+  provider: 'WEBHOOK',
+  recipient: 'ana@zara.com',
+  payload: { title: 'Teflon vencido', message: 'Trocar o teflon da máquina 3', priority: 'critical' },
+  status: 'pending',
+  attempts: 0,
+  max_attempts: 5,
+  ...overrides
+});
+
+// As linhas do log acompanham os INSERTs e os UPDATEs, como no banco
+const mockLog = (row = logRow()) => {
+  const rows = new Map([[row.id, row]]);
+  let current = row;
+  let inserts = 0;
+  const update = (id, changes) => {
+    current = { ...rows.get(id), ...changes };
+    rows.set(id, current);
+    return Promise.resolve({ rows: [current] });
+  };
+
+  pool.query.mockImplementation((sql, params) => {
+    if (sql.includes('INSERT INTO notification_logs')) {
+      const id = row.id + inserts++;
+      rows.set(id, { ...row, id });
+      return update(id, { channel: params[2], provider: params[3], recipient: params[4], payload: JSON.parse(params[5]), status: params[6], next_retry_at: params[8] });
+    }
+    if (sql.includes('SELECT file_content FROM reports')) {
+      return Promise.resolve({ rows: [{ file_content: Buffer.from('pdf') }] });
+    }
+    if (sql.includes('WHERE id = ANY($1)')) {
+      const claimed = params[0].filter(id => rows.get(id)?.next_retry_at);
+      claimed.forEach(id => update(id, { next_retry_at: null }));
+      return Promise.resolve({ rows: claimed.map(id => rows.get(id)) });
+    }
+    if (sql.includes("SET status = 'pending'")) {
+      return update(current.id, { status: 'pending' });
+    }
+    if (sql.includes('provider_message_id = $3')) {
+      return update(params[0], { status: params[1], attempts: rows.get(params[0]).attempts + 1, provider_message_id: params[2] });
+    }
+    if (sql.includes('error_message = $4')) {
+      return update(params[0], { status: params[1], attempts: params[2], error_message: params[3], next_retry_at: params[4] });
+    }
+    if (sql.includes('SET error_message = $2')) {
+      return update(params[0], { error_message: params[1] });
+    }
+    return Promise.resolve({ rows: [current] });
+  });
+};
+
+const httpFailure = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { error: 'falha' } }
+});
+
+describe('notificationDeliveryService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ENV_KEYS.forEach(key => delete process.env[key]);
+    process.env.NOTIFICATION_EMAIL_PROVIDER = 'WEBHOOK';
+    process.env.NOTIFICATION_WEBHOOK_URL = 'https://hooks.zara.local/notificacoes';
+    resetProviders();
+  });
+
+  afterAll(() => {
+    ENV_KEYS.forEach(key => delete process.env[key]);
+  });
+
+  describe('retryDelaySeconds', () => {
+    it('dobra a espera a cada tentativa até o limite de 1 hora', () => {
+      expect([1, 2, 3, 4].map(retryDelaySeconds)).toEqual([60, 120, 240, 480]);
+      expect(retryDelaySeconds(10)).toBe(3600);
+    });
+  });
+
+  describe('providerFor', () => {
+    it('usa o provedor padrão do canal, a variável do canal ou o sink', () => {
+      expect(providerFor('sms', {})).toBe('TWILIO');
+      expect(providerFor('chat', {})).toBeNull();
+      expect(providerFor('chat', { NOTIFICATION_CHAT_PROVIDER: 'teams' })).toBe('TEAMS');
+      expect(providerFor('sms', { NOTIFICATION_SINK: 'file' })).toBe('FILE');
+    });
+
+    it('mantém o email no SendGrid quando só a chave do SendGrid está configurada', () => {
+      expect(providerFor('email', {})).toBe('SMTP');
+      expect(providerFor('email', { SENDGRID_API_KEY: 'SG.chave' })).toBe('SENDGRID');
+      expect(providerFor('email', { SENDGRID_API_KEY: 'SG.chave', NOTIFICATION_EMAIL_PROVIDER: 'smtp' })).toBe('SMTP');
+    });
+  });
+
+  describe('deliver', () => {
+    it('registra o recibo quando o destino confirma a entrega', async () => {
+      mockLog();
+      axios.post.mockResolvedValue({ status: 200, headers: { 'x-request-id': 'req-42' }, data: {} });
+
+      const delivery = await deliver({ channel: 'email', recipient: 'ana@zara.com', title: 'Teflon vencido', message: 'Trocar', alertId: 10, userId: 5 });
+
+      expect(axios.post).toHaveBeenCalledWith('https://hooks.zara.local/notificacoes', expect.objectContaining({ title: 'Teflon vencido' }), expect.any(Object));
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.providerMessageId).toBe('req-42');
+      expect(delivery.attempts).toBe(1);
+    });
+
+    it('agenda nova tentativa com backoff em falha temporária', async () => {
+      mockLog();
+      axios.post.mockRejectedValue(httpFailure(503));
+
+      const before = Date.now();
+      const delivery = await deliver({ channel: 'email', recipient: 'ana@zara.com', message: 'Trocar' });
+
+      expect(delivery.status).toBe('retrying');
+      expect(delivery.errorMessage).toContain('HTTP 503');
+      expect(delivery.nextRetryAt.getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+    });
+
+    it('não repete falhas permanentes do destino', async () => {
+      mockLog();
+      axios.post.mockRejectedValue(httpFailure(400));
+
+      const delivery = await deliver({ channel: 'email', recipient: 'ana@zara.com', message: 'Trocar' });
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.nextRetryAt).toBeNull();
+    });
+
+    it('registra como falha o canal sem provedor configurado', async () => {
+      mockLog(logRow({ channel: 'chat', provider: null }));
+
+      const delivery = await deliver({ channel: 'chat', message: 'Limite de produção excedido' });
+
+      expect(delivery.status).toBe('failed');
+      expect(delivery.errorMessage).toBe('Canal chat sem provedor configurado');
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('desvia todos os canais para o sink local em desenvolvimento', async () => {
+      process.env.NOTIFICATION_SINK = 'CONSOLE';
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+      mockLog();
+
+      const delivery = await deliver({ channel: 'sms', recipient: '+5511999999999', message: 'Teste de qualidade atrasado' });
+
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.providerMessageId).toMatch(/^console-/);
+      expect(log).toHaveBeenCalledWith(expect.stringContaining('Teste de qualidade atrasado'));
+      log.mockRestore();
+    });
+  });
+
+  describe('enqueue e dispatch', () => {
+    it('enfileira sem chamar o provedor e envia só no dispatch', async () => {
+      mockLog();
+      axios.post.mockResolvedValue({ status: 200, headers: { 'x-request-id': 'req-9' }, data: {} });
+      const client = { query: pool.query };
+
+      const row = await enqueue({ channel: 'email', recipient: 'ana@zara.com', message: 'Trocar', alertId: 10, userId: 5 }, client);
+
+      expect(row.status).toBe('pending');
+      expect(row.next_retry_at.getTime()).toBeGreaterThan(Date.now());
+      expect(axios.post).not.toHaveBeenCalled();
+
+      const [delivery] = await dispatch([row]);
+
+      expect(axios.post).toHaveBeenCalledTimes(1);
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.providerMessageId).toBe('req-9');
+    });
+
+    it('não envia de novo uma linha que o agendador já assumiu', async () => {
+      mockLog();
+      const row = await enqueue({ channel: 'email', recipient: 'ana@zara.com', message: 'Trocar' });
+      pool.query.mockImplementationOnce(() => Promise.resolve({ rows: [] }));
+
+      const deliveries = await dispatch([row]);
+
+      expect(deliveries).toEqual([]);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retryDueDeliveries', () => {
+    it('encerra como falha quando as tentativas se esgotam', async () => {
+      mockLog(logRow({ attempts: 4, status: 'retrying' }));
+      pool.query.mockImplementationOnce(() => Promise.resolve({ rows: [logRow({ attempts: 4 })] }));
+      axios.post.mockRejectedValue(httpFailure(502));
+
+      const delivered = await retryDueDeliveries();
+
+      expect(delivered).toBe(0);
+      const failure = pool.query.mock.calls.find(([sql]) => sql.includes('error_message = $4'));
+      expect(failure[1]).toEqual([1, 'failed', 5, expect.stringContaining('HTTP 502'), null]);
+    });
+  });
+
+  describe('retryDelivery', () => {
+    it('só reenvia envios com falha', async () => {
+      mockLog(logRow({ status: 'delivered', attempts: 1 }));
+
+      await expect(retryDelivery(1, { id: 2 })).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    it('reenvia um envio com tentativas esgotadas', async () => {
+      mockLog(logRow({ status: 'failed', attempts: 5 }));
+      axios.post.mockResolvedValue({ status: 200, headers: {}, data: {} });
+
+      const delivery = await retryDelivery(1, { id: 2 });
+
+      expect(delivery.status).toBe('delivered');
+      const reopen = pool.query.mock.calls.find(([sql]) => sql.includes('GREATEST(max_attempts, attempts + 1)'));
+      expect(reopen).toBeDefined();
+    });
+  });
+
+  describe('emailService', () => {
+    it('envia os emails do sistema pelo provedor do canal, com um recibo por destinatário', async () => {
+      mockLog();
+      axios.post.mockResolvedValue({ status: 200, headers: { 'x-request-id': 'req-7' }, data: {} });
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await emailService.sendEmail(['ana@zara.com', 'beto@zara.com'], 'Relatório diário', '<p>OEE 82%</p>', null, [
+        { content: Buffer.from('pdf'), filename: 'relatorio.pdf', type: 'application/pdf' }
+      ]);
+      log.mockRestore();
+
+      expect(result.success).toBe(true);
+      expect(result.deliveries).toHaveLength(2);
+      expect(sgMail.send).not.toHaveBeenCalled();
+      const inserts = pool.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO notification_logs'));
+      expect(inserts.map(([, params]) => [params[2], params[3], params[4]])).toEqual([
+        ['email', 'WEBHOOK', 'ana@zara.com'],
+        ['email', 'WEBHOOK', 'beto@zara.com']
+      ]);
+      expect(JSON.parse(inserts[0][1][5])).toMatchObject({
+        title: 'Relatório diário',
+        message: 'OEE 82%',
+        attachments: [{ filename: 'relatorio.pdf', type: 'application/pdf', content: Buffer.from('pdf').toString('base64') }]
+      });
+
+      // Depois do envio, o payload guarda só a referência do anexo
+      const sent = pool.query.mock.calls.filter(([sql]) => sql.includes('provider_message_id = $3'));
+      expect(JSON.parse(sent[0][1][4]).attachments).toEqual([{ filename: 'relatorio.pdf', type: 'application/pdf' }]);
+    });
+
+    it('anexa o arquivo do snapshot do relatório sem copiá-lo para o log', async () => {
+      process.env.NOTIFICATION_EMAIL_PROVIDER = 'SENDGRID';
+      process.env.SENDGRID_API_KEY = 'SG.teste';
+      mockLog();
+      sgMail.send.mockResolvedValue([{ statusCode: 202, headers: { 'x-message-id': 'sg-1' } }]);
+      const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+      const result = await emailService.sendEmail('ana@zara.com', 'OEE semanal', '<p>Relatório</p>', null, [
+        { reportId: 42, content: Buffer.from('pdf'), filename: 'relatorio.pdf', type: 'application/pdf' }
+      ]);
+      log.mockRestore();
+
+      expect(result.success).toBe(true);
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO notification_logs'));
+      expect(JSON.parse(insert[1][5]).attachments).toEqual([{ reportId: 42, filename: 'relatorio.pdf', type: 'application/pdf' }]);
+      expect(sgMail.send).toHaveBeenCalledWith(expect.objectContaining({
+        attachments: [expect.objectContaining({ filename: 'relatorio.pdf', content: Buffer.from('pdf').toString('base64') })]
+      }));
+      const release = pool.query.mock.calls.find(([sql]) => sql.includes('SET file_content = NULL'));
+      expect(release[1]).toEqual([[42]]);
+    });
+
+    it('informa a falha quando o envio termina sem nova tentativa', async () => {
+      mockLog();
+      axios.post.mockRejectedValue(httpFailure(400));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await emailService.sendEmail('ana@zara.com', 'Relatório diário', '<p>OEE 82%</p>');
+      console.error.mockRestore();
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('HTTP 400');
+    });
+
+    it('usa o SendGrid quando configurado, repetindo só as falhas temporárias', async () => {
+      process.env.NOTIFICATION_EMAIL_PROVIDER = 'SENDGRID';
+      process.env.SENDGRID_API_KEY = 'SG.teste';
+      mockLog();
+      sgMail.send.mockRejectedValue(Object.assign(new Error('Service Unavailable'), { code: 503 }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await emailService.sendEmail('ana@zara.com', 'Relatório diário', '<p>OEE 82%</p>');
+      console.error.mockRestore();
+
+      expect(sgMail.setApiKey).toHaveBeenCalledWith('SG.teste');
+      expect(sgMail.send).toHaveBeenCalledWith(expect.objectContaining({ to: 'ana@zara.com', subject: 'Relatório diário' }));
+      expect(result.success).toBe(true);
+      expect(result.deliveries[0].status).toBe('retrying');
+    });
+  });
+
+  describe('provedores de chat', () => {
+    it('monta o cartão do Teams e o texto do Slack', async () => {
+      axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+      const delivery = { title: 'Limite excedido', message: 'Máquina 3\nLote 42', priority: 'critical' };
+
+      await createProvider('TEAMS', { url: 'https://teams.local/hook' }).send(delivery);
+      await createProvider('SLACK', { url: 'https://slack.local/hook' }).send(delivery);
+
+      expect(axios.post.mock.calls[0][1]).toMatchObject({ '@type': 'MessageCard', themeColor: 'DC2626', text: 'Máquina 3<br>Lote 42' });
+      expect(axios.post.mock.calls[1][1]).toEqual({ text: '*Limite excedido*\nMáquina 3\nLote 42' });
+    });
+
+    it('exige a url do webhook de entrada', () => {
+      expect(() => createProvider('SLACK', {})).toThrow('requer url');
+    });
+  });
+});
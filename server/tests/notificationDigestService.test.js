@@ -0,0 +1,149 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/emailService', () => ({ sendNotificationDigest: jest.fn() }));
+
+const pool = require('../config/database');
+const emailService = require('../services/emailService');
+const {
+  isQuietTime,
+  shouldHold,
+  isDigestDue,
+  updatePreferences,
+  storeNotification,
+  sendDigests
+} = require('../services/notificationDigestService');
+
+// Consultas respondidas pelo primeiro trecho de SQL encontrado
+const mockQueries = (handlers = {}) => {
+  pool.query.mockImplementation((sql) => {
+    const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+    const response = key ? handlers[key] : { rows: [] };
+    return Promise.resolve(typeof response === 'function' ? response() : response);
+  });
+};
+
+const at = (hours, minutes = 0) => new Date(2024, 2, 5, hours, minutes);
+
+const nightQuiet = { quietHoursStart: '22:00', quietHoursEnd: '06:00', digestMode: 'IMMEDIATE', digestHour: 7, lastDigestAt: null };
+
+describe('notificationDigestService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('isQuietTime', () => {
+    it('considera a janela que vira a meia-noite', () => {
+      expect(isQuietTime(nightQuiet, at(23))).toBe(true);
+      expect(isQuietTime(nightQuiet, at(3))).toBe(true);
+      expect(isQuietTime(nightQuiet, at(6))).toBe(false);
+      expect(isQuietTime(nightQuiet, at(14))).toBe(false);
+    });
+
+    it('sem janela configurada nunca é silêncio', () => {
+      expect(isQuietTime({ ...nightQuiet, quietHoursStart: null, quietHoursEnd: null }, at(23))).toBe(false);
+    });
+  });
+
+  describe('shouldHold', () => {
+    it('retém no silêncio, mas entrega prioridades altas na hora', () => {
+      expect(shouldHold(nightQuiet, 'MEDIUM', at(23))).toBe(true);
+      expect(shouldHold(nightQuiet, 'HIGH', at(23))).toBe(false);
+      expect(shouldHold(nightQuiet, 'critical', at(23))).toBe(false);
+      expect(shouldHold(nightQuiet, 'MEDIUM', at(14))).toBe(false);
+    });
+
+    it('retém tudo que não é urgente no modo de resumo', () => {
+      expect(shouldHold({ ...nightQuiet, digestMode: 'HOURLY' }, 'LOW', at(14))).toBe(true);
+    });
+  });
+
+  describe('isDigestDue', () => {
+    it('modo imediato libera as retidas quando o silêncio termina', () => {
+      expect(isDigestDue(nightQuiet, at(3))).toBe(false);
+      expect(isDigestDue(nightQuiet, at(6, 15))).toBe(true);
+    });
+
+    it('modo horário espera uma hora desde o último resumo', () => {
+      const hourly = { ...nightQuiet, digestMode: 'HOURLY', lastDigestAt: at(13, 30) };
+      expect(isDigestDue(hourly, at(14))).toBe(false);
+      expect(isDigestDue(hourly, at(14, 30))).toBe(true);
+    });
+
+    it('modo diário envia uma vez a partir da hora escolhida', () => {
+      const daily = { ...nightQuiet, digestMode: 'DAILY', digestHour: 7 };
+      expect(isDigestDue(daily, at(6, 45))).toBe(false);
+      expect(isDigestDue({ ...daily, lastDigestAt: new Date(2024, 2, 4, 7) }, at(7, 15))).toBe(true);
+      expect(isDigestDue({ ...daily, lastDigestAt: at(7, 15) }, at(9))).toBe(false);
+    });
+  });
+
+  describe('updatePreferences', () => {
+    it('exige início e fim do horário de silêncio', async () => {
+      await expect(updatePreferences(1, { quietHoursStart: '22:00', digestMode: 'IMMEDIATE' }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('storeNotification', () => {
+    it('agrupa as ocorrências da mesma condição pela chave de deduplicação', async () => {
+      mockQueries({ 'INSERT INTO notifications': { rows: [{ id: 7, occurrence_count: 3 }] } });
+
+      const stored = await storeNotification({ userId: 1, title: 'Máquina inativa', message: 'Sem atividade', dedupKey: 'machine-inactive:4' });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('ON CONFLICT');
+      expect(params).toContain('machine-inactive:4');
+      expect(params).toContain('SENT');
+      expect(stored.occurrence_count).toBe(3);
+    });
+
+    it('sem chave grava sempre uma nova notificação', async () => {
+      mockQueries({ 'INSERT INTO notifications': { rows: [{ id: 8 }] } });
+
+      await storeNotification({ userId: 1, message: 'Aviso' }, true);
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).not.toContain('ON CONFLICT');
+      expect(params).toContain('HELD');
+    });
+  });
+
+  describe('sendDigests', () => {
+    it('envia um único email por usuário devido e ignora os demais', async () => {
+      mockQueries({
+        'FROM users u': {
+          rows: [
+            { id: 1, name: 'Ana', email: 'ana@zara.com', digest_mode: 'HOURLY', digest_hour: 7, last_digest_at: null },
+            { id: 2, name: 'Beto', email: 'beto@zara.com', digest_mode: 'DAILY', digest_hour: 18, last_digest_at: null }
+          ]
+        },
+        'UPDATE notifications': {
+          rows: [
+            { id: 10, title: 'Teflon vencido', last_occurred_at: at(9) },
+            { id: 11, title: 'Máquina inativa', last_occurred_at: at(13) }
+          ]
+        }
+      });
+      emailService.sendNotificationDigest.mockResolvedValue({ success: true });
+
+      const sent = await sendDigests(at(14));
+
+      expect(sent).toBe(1);
+      expect(emailService.sendNotificationDigest).toHaveBeenCalledTimes(1);
+      const [recipient, digest] = emailService.sendNotificationDigest.mock.calls[0];
+      expect(recipient).toBe('ana@zara.com');
+      expect(digest.notifications.map(notification => notification.id)).toEqual([11, 10]);
+      const claims = pool.query.mock.calls.filter(([sql]) => sql.includes('UPDATE notifications'));
+      expect(claims).toHaveLength(1);
+      expect(claims[0][1]).toEqual([1]);
+    });
+  });
+});
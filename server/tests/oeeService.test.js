@@ -0,0 +1,172 @@
+const { getStatusHistory, calculateAvailability, calculateQuality } = require('../services/oeeService');
+const db = require('../config/database');
+const productionLedgerService = require('../services/productionLedgerService');
+const scrapService = require('../services/scrapService');
+
+// Mock dependencies
+jest.mock('../config/database', () => ({
+  query: jest.fn(),
+  pool: {}
+}));
+jest.mock('../services/productionLedgerService', () => ({ getProducedQuantity: jest.fn() }));
+jest.mock('../services/scrapService', () => ({ getReworkQuantity: jest.fn() }));
+
+describe('OEE Service Tests', () => {
+  const startTime = new Date('2024-01-10T07:00:00');
+  const endTime = new Date('2024-01-10T11:00:00'); // 240 minutos
+  const at = (time) => new Date(`2024-01-10T${time}:00`);
+
+  describe('getStatusHistory', () => {
+    test('should clamp a planned stop that began before the window and keep it planned', async () => {
+      db.query.mockResolvedValueOnce({ rows: [
+        { new_status: 'PARADA', created_at: at('06:30'), downtime_reason_id: 3, is_planned: true },
+        { new_status: 'FUNCIONANDO', created_at: at('08:00'), downtime_reason_id: null, is_planned: null }
+      ] });
+
+      const statusHistory = await getStatusHistory(1, startTime, endTime);
+
+      expect(db.query.mock.calls[0][0]).toContain('sh.created_at < $2');
+      expect(statusHistory[0]).toEqual({ newStatus: 'PARADA', createdAt: startTime, downtimeReasonId: 3, isPlanned: true });
+
+      const result = await calculateAvailability({ status: 'FUNCIONANDO', statusHistory }, startTime, endTime, 240);
+
+      expect(result.plannedStopMinutes).toBe(60);
+      expect(result.unplannedStopMinutes).toBe(0);
+      expect(result.runningMinutes).toBe(180);
+      expect(result.percentage).toBe(100);
+    });
+  });
+
+  describe('calculateAvailability', () => {
+    test('should use current status when there is no history', async () => {
+      const machine = { status: 'FUNCIONANDO', statusHistory: [] };
+
+      const result = await calculateAvailability(machine, startTime, endTime, 240);
+
+      expect(result.percentage).toBe(100);
+      expect(result.runningMinutes).toBe(240);
+      expect(result.plannedStopMinutes).toBe(0);
+      expect(result.unplannedStopMinutes).toBe(0);
+    });
+
+    test('should not penalize availability for planned stops', async () => {
+      const machine = {
+        status: 'FUNCIONANDO',
+        statusHistory: [
+          { newStatus: 'FUNCIONANDO', createdAt: at('07:00'), isPlanned: false },
+          { newStatus: 'PARADA', createdAt: at('09:00'), isPlanned: true },
+          { newStatus: 'FUNCIONANDO', createdAt: at('10:00'), isPlanned: false }
+        ]
+      };
+
+      const result = await calculateAvailability(machine, startTime, endTime, 240);
+
+      expect(result.runningMinutes).toBe(180);
+      expect(result.plannedStopMinutes).toBe(60);
+      expect(result.unplannedStopMinutes).toBe(0);
+      expect(result.plannedMinutes).toBe(180);
+      expect(result.downtimeMinutes).toBe(0);
+      expect(result.percentage).toBe(100);
+    });
+
+    test('should count unplanned stops as downtime', async () => {
+      const machine = {
+        status: 'FUNCIONANDO',
+        statusHistory: [
+          { newStatus: 'FUNCIONANDO', createdAt: at('07:00'), isPlanned: false },
+          { newStatus: 'PARADA', createdAt: at('08:00'), isPlanned: true },
+          { newStatus: 'FUNCIONANDO', createdAt: at('08:30'), isPlanned: false },
+          { newStatus: 'MANUTENCAO', createdAt: at('09:30'), isPlanned: false },
+          { newStatus: 'FUNCIONANDO', createdAt: at('10:00'), isPlanned: false }
+        ]
+      };
+
+      const result = await calculateAvailability(machine, startTime, endTime, 240);
+
+      expect(result.runningMinutes).toBe(180);
+      expect(result.plannedStopMinutes).toBe(30);
+      expect(result.unplannedStopMinutes).toBe(30);
+      expect(result.plannedMinutes).toBe(210);
+      expect(result.downtimeMinutes).toBe(30);
+      expect(result.percentage).toBeCloseTo((180 / 210) * 100, 5);
+    });
+
+    test('should exclude off-shift time from planned time', async () => {
+      const machine = {
+        status: 'FORA_DE_TURNO',
+        statusHistory: [
+          { newStatus: 'FUNCIONANDO', createdAt: at('07:00'), isPlanned: false },
+          { newStatus: 'FORA_DE_TURNO', createdAt: at('09:00'), isPlanned: false }
+        ]
+      };
+
+      const result = await calculateAvailability(machine, startTime, endTime, 240);
+
+      expect(result.plannedMinutes).toBe(120);
+      expect(result.percentage).toBe(100);
+      expect(result.breakdown).toEqual(expect.arrayContaining([
+        expect.objectContaining({ status: 'FORA_DE_TURNO', minutes: 120 })
+      ]));
+    });
+  });
+
+  describe('calculateQuality', () => {
+    const machine = { id: 4 };
+
+    beforeEach(() => {
+      db.query.mockResolvedValue({ rows: [] });
+    });
+
+    test('should use the parts yield net of scrap and rework', async () => {
+      productionLedgerService.getProducedQuantity.mockResolvedValue({ produced: 1000.6, scrap: 30 });
+      scrapService.getReworkQuantity.mockResolvedValue(20);
+
+      const result = await calculateQuality(machine, startTime, endTime);
+
+      expect(result.percentage).toBe(95);
+      expect(result.totalParts).toBe(1000);
+      expect(result.goodParts).toBe(950);
+      expect(result.defectiveParts).toBe(50);
+      expect(result.scrapParts).toBe(30);
+      expect(result.reworkParts).toBe(20);
+    });
+
+    test('should not count parts produced before the first article as good', async () => {
+      productionLedgerService.getProducedQuantity.mockResolvedValue({ produced: 1000, scrap: 30, held: 70 });
+      scrapService.getReworkQuantity.mockResolvedValue(0);
+
+      const result = await calculateQuality(machine, startTime, endTime);
+
+      expect(result.percentage).toBe(90);
+      expect(result.goodParts).toBe(900);
+      expect(result.faiHeldParts).toBe(70);
+    });
+
+    test('should subtract failed test penalties from the yield', async () => {
+      productionLedgerService.getProducedQuantity.mockResolvedValue({ produced: 200, scrap: 10 });
+      scrapService.getReworkQuantity.mockResolvedValue(0);
+      db.query
+        .mockResolvedValueOnce({ rows: [
+          { id: 1, machine_id: 4, approved: true, is_required: false, config_is_required: null },
+          { id: 2, machine_id: 4, approved: false, is_required: false, config_is_required: null }
+        ] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const result = await calculateQuality(machine, startTime, endTime);
+
+      // 95% de rendimento menos 5% (1 de 2 testes opcionais reprovado)
+      expect(result.percentage).toBe(90);
+      expect(result.testsPassed).toBe(1);
+    });
+
+    test('should keep the default quality without production or tests', async () => {
+      productionLedgerService.getProducedQuantity.mockResolvedValue({ produced: 0, scrap: 0 });
+      scrapService.getReworkQuantity.mockResolvedValue(0);
+
+      const result = await calculateQuality(machine, startTime, endTime);
+
+      expect(result.percentage).toBe(95);
+      expect(result.totalParts).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ getUsersByRole: jest.fn() }));
+jest.mock('../services/shiftRotationService', () => {
+  const getTeamActiveShift = jest.fn();
+  const ShiftRotationService = jest.fn(() => ({ getTeamActiveShift }));
+  ShiftRotationService.getTeamActiveShift = getTeamActiveShift;
+  return ShiftRotationService;
+});
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const { getTeamActiveShift } = require('../services/shiftRotationService');
+const {
+  isMaintenanceAlert,
+  getOnShiftTeams,
+  resolveRecipients,
+  createMaintenanceOnCall
+} = require('../services/onCallService');
+
+// 02:00 de 05/03: o turno noturno em curso começou às 19:00 do dia anterior
+const now = new Date(2024, 2, 5, 2);
+
+const member = (userId, name, isLeader = false) => ({
+  userId,
+  isLeader,
+  isActive: true,
+  user: { id: userId, name, email: `${name.toLowerCase()}@zara.com`, role: isLeader ? 'LEADER' : 'OPERATOR' }
+});
+
+const teamMembers = {
+  A: [member(1, 'Ana', true), member(2, 'Beto')],
+  B: [member(3, 'Caio', true), member(4, 'Davi')]
+};
+
+const nightShift = {
+  isWorkDay: true,
+  currentShift: 'SHIFT_2',
+  shiftTimes: { startTime: new Date(2024, 2, 4, 19), endTime: new Date(2024, 2, 5, 7) }
+};
+const dayShift = {
+  isWorkDay: true,
+  currentShift: 'SHIFT_1',
+  shiftTimes: { startTime: new Date(2024, 2, 5, 7), endTime: new Date(2024, 2, 5, 19) }
+};
+
+// Equipe A no turno noturno iniciado ontem; equipe B só entra às 07:00
+const mockRotation = () => {
+  getTeamActiveShift.mockImplementation((teamCode, date) => {
+    const isToday = date.getDate() === now.getDate();
+    const shift = teamCode === 'A'
+      ? (isToday ? { ...nightShift, shiftTimes: { startTime: new Date(2024, 2, 5, 19), endTime: new Date(2024, 2, 6, 7) } } : nightShift)
+      : (isToday ? dayShift : { isWorkDay: false, currentShift: 'REST', shiftTimes: null });
+    return Promise.resolve({ teamCode, ...shift, members: teamMembers[teamCode] });
+  });
+};
+
+// Consultas respondidas pelo primeiro trecho de SQL encontrado
+const mockQueries = (handlers = {}) => {
+  pool.query.mockImplementation((sql) => {
+    const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+    const response = key ? handlers[key] : { rows: [] };
+    return Promise.resolve(typeof response === 'function' ? response() : response);
+  });
+};
+
+const teamRows = {
+  rows: [
+    { team_code: 'A', team_name: 'Equipe Alpha', member_count: '2' },
+    { team_code: 'B', team_name: 'Equipe Beta', member_count: '2' },
+    { team_code: 'C', team_name: 'Equipe Charlie', member_count: '0' }
+  ]
+};
+
+describe('On-Call Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockRotation();
+  });
+
+  describe('getOnShiftTeams', () => {
+    test('should find the night team that started its shift the day before', async () => {
+      mockQueries({ 'FROM shift_teams': teamRows });
+
+      const { hasTeams, teams } = await getOnShiftTeams(now);
+
+      expect(hasTeams).toBe(true);
+      expect(teams.map(team => team.teamCode)).toEqual(['A']);
+      expect(teams[0].members.find(item => item.isLeader).name).toBe('Ana');
+      // Equipe sem membros não é consultada na escala
+      expect(getTeamActiveShift.mock.calls.map(([teamCode]) => teamCode)).not.toContain('C');
+    });
+  });
+
+  describe('resolveRecipients', () => {
+    test('should page only the team on shift and its leader', async () => {
+      mockQueries({ 'FROM shift_teams': teamRows });
+
+      const operators = await resolveRecipients(['OPERATOR', 'LEADER'], { now });
+      expect(operators.map(user => user.id)).toEqual([1, 2]);
+
+      const leaders = await resolveRecipients(['LEADER'], { now });
+      expect(leaders.map(user => user.name)).toEqual(['Ana']);
+      expect(notificationService.getUsersByRole).not.toHaveBeenCalled();
+    });
+
+    test('should keep managers by role and add the maintenance on-call without duplicates', async () => {
+      mockQueries({
+        'FROM shift_teams': teamRows,
+        'FROM maintenance_on_call': { rows: [{ id: 9, name: 'Ivo', role: 'OPERATOR' }, { id: 1, name: 'Ana', role: 'LEADER' }] }
+      });
+      notificationService.getUsersByRole.mockResolvedValue([{ id: 7, name: 'Gil', role: 'MANAGER' }]);
+
+      const users = await resolveRecipients(['LEADER', 'MANAGER'], { now, includeMaintenance: true });
+
+      expect(notificationService.getUsersByRole).toHaveBeenCalledWith(['MANAGER']);
+      expect(users.map(user => user.id)).toEqual([1, 7, 9]);
+    });
+
+    test('should fall back to roles when no shift team is registered', async () => {
+      mockQueries({ 'FROM shift_teams': { rows: [{ team_code: 'A', team_name: 'Equipe Alpha', member_count: '0' }] } });
+      notificationService.getUsersByRole.mockResolvedValue([{ id: 5, name: 'Eva', role: 'LEADER' }]);
+
+      const users = await resolveRecipients(['LEADER'], { now });
+
+      expect(notificationService.getUsersByRole).toHaveBeenCalledWith(['LEADER']);
+      expect(users.map(user => user.id)).toEqual([5]);
+    });
+  });
+
+  describe('maintenance on-call', () => {
+    test('should recognize maintenance alerts', () => {
+      expect(isMaintenanceAlert('teflon_change')).toBe(true);
+      expect(isMaintenanceAlert('maintenance_due_4')).toBe(true);
+      expect(isMaintenanceAlert('quality_test')).toBe(false);
+    });
+
+    test('should reject periods that end before they start', async () => {
+      await expect(createMaintenanceOnCall({
+        userId: 9,
+        startsAt: '2024-03-09T19:00:00',
+        endsAt: '2024-03-09T07:00:00'
+      }, { id: 7 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should create the period for an active user', async () => {
+      mockQueries({
+        'FROM users': { rows: [{ id: 9, name: 'Ivo' }] },
+        'INSERT INTO maintenance_on_call': { rows: [{ id: 3, user_id: 9, starts_at: '2024-03-08T19:00:00', ends_at: '2024-03-11T07:00:00', notes: 'Fim de semana' }] }
+      });
+
+      const onCall = await createMaintenanceOnCall({
+        userId: 9,
+        startsAt: '2024-03-08T19:00:00',
+        endsAt: '2024-03-11T07:00:00',
+        notes: ' Fim de semana '
+      }, { id: 7 });
+
+      expect(onCall).toMatchObject({ id: 3, userId: 9, userName: 'Ivo' });
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO maintenance_on_call'));
+      expect(insert[1][3]).toBe('Fim de semana');
+      expect(insert[1][4]).toBe(7);
+    });
+  });
+});
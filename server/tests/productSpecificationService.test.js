@@ -0,0 +1,75 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({ AppError: class AppError extends Error {} }));
+
+const pool = require('../config/database');
+const {
+  mapSpecification,
+  evaluateMeasurements,
+  findSpecification
+} = require('../services/productSpecificationService');
+
+describe('Product Specification Service Tests', () => {
+  const specification = mapSpecification({ id: 1, product: 'Saco 20x30', lot: null, is_active: true }, [
+    { dimension: 'packageWidth', nominal: 200, lower_tolerance: 1, upper_tolerance: 2, unit: 'mm' },
+    { dimension: 'zipperDistance', nominal: 15, lower_tolerance: 0.5, upper_tolerance: 0.5, unit: 'mm' }
+  ]);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('mapSpecification', () => {
+    test('should compute limits from nominal and tolerances', () => {
+      expect(specification.limits.packageWidth).toMatchObject({ min: 199, max: 202, label: 'Largura da Embalagem' });
+      expect(specification.limits.zipperDistance).toMatchObject({ min: 14.5, max: 15.5 });
+    });
+  });
+
+  describe('evaluateMeasurements', () => {
+    test('should approve measurements inside the tolerance band, limits included', () => {
+      const evaluation = evaluateMeasurements(specification, { packageWidth: 202, zipperDistance: '14.5', bottomSize: 999 });
+
+      expect(evaluation.approved).toBe(true);
+      expect(evaluation.results).toHaveLength(2);
+      expect(evaluation.results[0]).toMatchObject({ dimension: 'packageWidth', deviation: 2, passed: true });
+    });
+
+    test('should fail each dimension outside its limits', () => {
+      const evaluation = evaluateMeasurements(specification, { packageWidth: 198.9, zipperDistance: 15.2 });
+
+      expect(evaluation.approved).toBe(false);
+      expect(evaluation.failed.map(result => result.dimension)).toEqual(['packageWidth']);
+      expect(evaluation.failed[0].deviation).toBe(-1.1);
+    });
+
+    test('should fail dimensions that were not measured', () => {
+      const evaluation = evaluateMeasurements(specification, { packageWidth: 200 });
+
+      expect(evaluation.approved).toBe(false);
+      expect(evaluation.failed[0]).toMatchObject({ dimension: 'zipperDistance', value: null });
+    });
+  });
+
+  describe('findSpecification', () => {
+    test('should prefer the lot specification over the product specification', async () => {
+      pool.query
+        .mockResolvedValueOnce({
+          rows: [
+            { id: 1, product: 'Saco 20x30', lot: null, is_active: true },
+            { id: 2, product: 'Saco 20x30', lot: 'L-10', is_active: true }
+          ]
+        })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const found = await findSpecification('Saco 20x30', 'L-10');
+
+      expect(found.id).toBe(2);
+      expect(pool.query.mock.calls[0][1]).toEqual(['Saco 20x30', 'L-10']);
+    });
+
+    test('should return null without product', async () => {
+      expect(await findSpecification('')).toBeNull();
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
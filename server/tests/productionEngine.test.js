@@ -0,0 +1,346 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../middleware/productionAlertMiddleware', () => ({ checkProductionAlertsService: jest.fn() }));
+jest.mock('../services/productionCountService', () => ({ refreshProductCount: jest.fn() }));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+
+const pool = require('../config/database');
+const { checkProductionAlertsService } = require('../middleware/productionAlertMiddleware');
+const ProductionCountService = require('../services/productionCountService');
+const productionEngine = require('../services/productionEngine');
+const { integrateSpeed, resolveStrategyName, getStrategy } = require('../services/productionStrategies');
+
+// Horário local (os turnos seguem o relógio da fábrica)
+const at = (hours, minutes = 0, day = 1) => new Date(2024, 2, day, hours, minutes);
+
+const machineRow = (overrides = {}) => ({
+  id: 4,
+  name: 'Máquina 04',
+  status: 'FUNCIONANDO',
+  production_speed: 60,
+  target_production: 40000,
+  production_config: null,
+  operator_id: 7,
+  operator_name: 'Ana',
+  operation_start: at(7),
+  ...overrides
+});
+
+const shiftRow = (overrides = {}) => ({
+  id: 31,
+  machine_id: 4,
+  operator_id: 7,
+  shift_type: 'MORNING',
+  total_production: 1000,
+  downtime: 0,
+  efficiency: 100,
+  last_known_speed: 60,
+  is_locked: false,
+  production_calculated_at: at(8),
+  ...overrides
+});
+
+// Responde por trecho do SQL; o UPDATE devolve o registro com os incrementos aplicados
+const mockQueries = ({ machines = [machineRow()], shifts = [shiftRow()], speedHistory = [], counterTotal = 0, users = [{ id: 2 }] } = {}) => {
+  pool.query.mockImplementation((sql, params = []) => {
+    if (sql.includes('FROM machines m')) {
+      return Promise.resolve({ rows: machines });
+    }
+    if (sql.includes('FROM production_bmp_history')) {
+      return Promise.resolve({ rows: speedHistory });
+    }
+    if (sql.includes('FROM machine_counter_readings')) {
+      return Promise.resolve({ rows: [{ total: String(counterTotal) }] });
+    }
+    if (sql.includes('SELECT * FROM shift_data')) {
+      return Promise.resolve({ rows: shifts.filter(row => row.shift_type === params[2]) });
+    }
+    if (sql.includes('FROM users')) {
+      return Promise.resolve({ rows: users });
+    }
+    if (sql.includes('INSERT INTO shift_data')) {
+      return Promise.resolve({ rows: [shiftRow({ id: 32, operator_id: params[1], total_production: 0, production_calculated_at: params[9] })] });
+    }
+    if (sql.includes('UPDATE shift_data')) {
+      const current = shifts.find(row => row.id === params[1]) || shifts[0];
+      if (sql.includes('downtime = COALESCE')) {
+        return Promise.resolve({ rows: [{ ...current, total_production: current.total_production + params[0], downtime: current.downtime + params[2], efficiency: params[3] }] });
+      }
+      return Promise.resolve({ rows: [{ ...current, total_production: current.total_production + params[0] }] });
+    }
+    if (sql.includes('INSERT INTO production_events')) {
+      return Promise.resolve({ rows: [{ id: 500, machine_id: params[0], event_type: params[1], quantity: params[2], shift_data_id: params[5] }] });
+    }
+    return Promise.resolve({ rows: [] });
+  });
+  // Transações usam o mesmo roteamento de consultas
+  pool.connect.mockResolvedValue({ query: pool.query, release: jest.fn() });
+};
+
+// [incremento, id do registro, ...demais parâmetros]
+const shiftUpdateParams = () => pool.query.mock.calls.find(([sql]) => sql.includes('UPDATE shift_data'))?.[1];
+const ledgerInsert = () => pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO production_events'))?.[1];
+
+describe('Production Engine Tests', () => {
+  const io = { emit: jest.fn() };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    productionEngine.io = io;
+  });
+
+  afterEach(() => {
+    productionEngine.stop();
+    jest.useRealTimers();
+  });
+
+  describe('integrateSpeed', () => {
+    test('should integrate each speed over its own stretch of the interval', () => {
+      const changes = [{ speed: 120, at: at(8, 5) }];
+
+      expect(integrateSpeed(60, [], at(8), at(8, 10))).toBe(600);
+      expect(integrateSpeed(60, changes, at(8), at(8, 10))).toBe(900);
+    });
+
+    test('should ignore changes outside the interval and empty intervals', () => {
+      expect(integrateSpeed(60, [{ speed: 10, at: at(7, 50) }], at(8), at(8, 1))).toBe(10);
+      expect(integrateSpeed(60, [{ speed: 10, at: at(9) }], at(8), at(8, 1))).toBe(60);
+      expect(integrateSpeed(60, [], at(8, 1), at(8))).toBe(0);
+    });
+  });
+
+  describe('strategies', () => {
+    test('should default to BPM for missing or unknown configuration', () => {
+      expect(resolveStrategyName(null)).toBe('BPM');
+      expect(resolveStrategyName('{"strategy":"counter"}')).toBe('COUNTER');
+      expect(resolveStrategyName({ strategy: 'OUTRA' })).toBe('BPM');
+      expect(resolveStrategyName('inválido')).toBe('BPM');
+    });
+
+    test('should not produce by BPM while the machine is stopped', async () => {
+      const result = await getStrategy('BPM').calculate({
+        machine: machineRow(), shiftData: shiftRow(), from: at(8), to: at(8, 10), isRunning: false, db: pool
+      });
+
+      expect(result).toEqual({ increment: 0, speed: 60 });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    test('should keep the previous speed when the change has no history', async () => {
+      mockQueries();
+      const result = await getStrategy('BPM').calculate({
+        machine: machineRow({ production_speed: 90 }), shiftData: shiftRow(), from: at(8), to: at(8, 10), isRunning: true, db: pool
+      });
+
+      expect(result).toEqual({ increment: 600, speed: 90 });
+    });
+
+    test('should sum the counter readings of the interval', async () => {
+      mockQueries({ counterTotal: 250 });
+      const result = await getStrategy('COUNTER').calculate({ machine: machineRow(), from: at(8), to: at(8, 10), db: pool });
+
+      expect(result).toEqual({ increment: 250, speed: 25 });
+    });
+
+    test('should never produce by the clock in manual mode', async () => {
+      const result = await getStrategy('MANUAL').calculate({ machine: machineRow(), from: at(8), to: at(9), db: pool });
+
+      expect(result.increment).toBe(0);
+    });
+  });
+
+  describe('tick', () => {
+    test('should emit the canonical payload on every interval of the fake clock', async () => {
+      jest.useFakeTimers();
+      jest.setSystemTime(at(8, 10));
+      mockQueries({ speedHistory: [{ bmp_value: '120.00', changed_at: at(8, 5) }] });
+
+      await productionEngine.start(io, { intervalMs: 30000 });
+
+      expect(shiftUpdateParams()).toEqual([900, 31, 0, 100, 60, 'BPM', at(8, 10)]);
+      expect(ledgerInsert()).toEqual([4, 'INCREMENT', 900, 60, 'BPM', 31, 7, null, null, JSON.stringify({ from: at(8).toISOString() }), at(8, 10), null, null]);
+      expect(pool.query).toHaveBeenCalledWith('COMMIT');
+      expect(ProductionCountService.refreshProductCount).toHaveBeenCalledWith(4);
+      expect(io.emit).toHaveBeenCalledWith('production:update', {
+        machineId: 4,
+        machineName: 'Máquina 04',
+        shiftDataId: 31,
+        shiftDate: '2024-03-01',
+        shiftType: 'MORNING',
+        operatorId: 7,
+        operatorName: 'Ana',
+        strategy: 'BPM',
+        status: 'FUNCIONANDO',
+        totalProduction: 1900,
+        targetProduction: 40000,
+        increment: 900,
+        productionSpeed: 60,
+        downtimeMinutes: 0,
+        efficiency: 100,
+        shiftStart: at(7).toISOString(),
+        shiftEnd: at(19).toISOString(),
+        operationDuration: 70,
+        lastUpdate: at(8, 10).toISOString()
+      });
+      expect(checkProductionAlertsService).toHaveBeenCalledWith(4, 1900);
+
+      io.emit.mockClear();
+      await jest.advanceTimersByTimeAsync(30000);
+
+      expect(io.emit).toHaveBeenCalledTimes(1);
+      expect(io.emit.mock.calls[0][1].lastUpdate).toBe(new Date(at(8, 10).getTime() + 30000).toISOString());
+    });
+
+    test('should accumulate downtime for a stopped machine', async () => {
+      mockQueries({ machines: [machineRow({ status: 'PARADA' })] });
+
+      const [update] = await productionEngine.tick(at(8, 12));
+
+      // 12 minutos parados em um turno de 720 minutos
+      expect(shiftUpdateParams().slice(0, 4)).toEqual([0, 31, 12, 98]);
+      expect(ledgerInsert()).toBeUndefined();
+      expect(update).toMatchObject({ totalProduction: 1000, downtimeMinutes: 12, efficiency: 98 });
+      expect(checkProductionAlertsService).not.toHaveBeenCalled();
+    });
+
+    test('should close the end of the previous shift after the shift change', async () => {
+      mockQueries({ shifts: [shiftRow({ production_calculated_at: new Date(at(18, 59).getTime() + 45000) })] });
+
+      const updates = await productionEngine.tick(new Date(at(19).getTime() + 30000));
+
+      // Só os 15 segundos até as 19h contam no turno da manhã; o turno da noite começa a contar agora
+      expect(shiftUpdateParams()).toEqual([15, 31, 0, 100, 60, 'BPM', at(19)]);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO shift_data'), expect.arrayContaining(['NIGHT']));
+      expect(updates).toEqual([]);
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+
+    test('should use the night shift of the previous day after midnight', async () => {
+      mockQueries({ shifts: [shiftRow({ shift_type: 'NIGHT', production_calculated_at: at(1, 0, 2) })] });
+
+      const [update] = await productionEngine.tick(at(1, 1, 2));
+
+      const shiftQuery = pool.query.mock.calls.find(([sql]) => sql.includes('SELECT * FROM shift_data'));
+      expect(shiftQuery[1]).toEqual([4, '2024-03-01', 'NIGHT']);
+      expect(update).toMatchObject({ shiftDate: '2024-03-01', shiftType: 'NIGHT', increment: 60 });
+    });
+
+    test('should skip locked shifts', async () => {
+      mockQueries({ shifts: [shiftRow({ is_locked: true })] });
+
+      const updates = await productionEngine.tick(at(8, 10));
+
+      expect(updates).toEqual([]);
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+
+    test('should continue from the previous record when the operator changes', async () => {
+      mockQueries({ machines: [machineRow({ operator_id: 9, operator_name: 'Bruno' })] });
+
+      await productionEngine.tick(at(8, 10));
+
+      const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO shift_data'));
+      expect(insert[1][1]).toBe(9);
+      expect(insert[1][9]).toEqual(at(8));
+    });
+
+    test('should not create records for stopped machines', async () => {
+      mockQueries({ machines: [machineRow({ status: 'PARADA' })], shifts: [] });
+
+      const updates = await productionEngine.tick(at(8, 10));
+
+      expect(updates).toEqual([]);
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO shift_data'), expect.anything());
+    });
+
+    test('should roll production up to the order and announce its completion', async () => {
+      mockQueries({ machines: [machineRow({ production_order_id: 12 })] });
+      const routeQuery = pool.query.getMockImplementation();
+      const orderRow = { id: 12, order_number: 'OP-12', planned_quantity: 1000, produced_quantity: '1100', scrap_quantity: '50', status: 'IN_PROGRESS' };
+      pool.query.mockImplementation((sql, params) => {
+        if (sql.includes('SET produced_quantity = produced_quantity + $1')) {
+          return Promise.resolve({ rows: [orderRow] });
+        }
+        if (sql.includes("SET status = 'COMPLETED'")) {
+          return Promise.resolve({ rows: [{ ...orderRow, status: 'COMPLETED', completed_at: params[1] }] });
+        }
+        return routeQuery(sql, params);
+      });
+
+      await productionEngine.tick(at(8, 10));
+
+      expect(ledgerInsert()[11]).toBe(12);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE production_orders'), [600, 0, 12]);
+      expect(io.emit).toHaveBeenCalledWith('production-order:completed', {
+        machineId: 4,
+        order: expect.objectContaining({ id: 12, status: 'COMPLETED', goodQuantity: 1050 })
+      });
+    });
+
+    test('should hold production out of the order while the first article is pending', async () => {
+      mockQueries({ machines: [machineRow({ production_order_id: 12, fai_request_id: 80 })] });
+
+      await productionEngine.tick(at(8, 10));
+
+      expect(ledgerInsert().slice(11)).toEqual([12, 80]);
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE production_orders'), expect.anything());
+      expect(io.emit).toHaveBeenCalledWith('production:update', expect.objectContaining({ machineId: 4 }));
+    });
+  });
+
+  describe('recordManualProduction', () => {
+    test('should add the quantity to the shift of manual machines', async () => {
+      mockQueries({ machines: [machineRow({ production_config: '{"strategy":"MANUAL"}' })] });
+
+      const update = await productionEngine.recordManualProduction(4, 25, 7, at(9));
+
+      expect(shiftUpdateParams()).toEqual([25, 31, 'MANUAL']);
+      expect(ledgerInsert()).toEqual(expect.arrayContaining(['INCREMENT', 25, 'MANUAL', 31]));
+      expect(update).toMatchObject({ strategy: 'MANUAL', totalProduction: 1025, increment: 25 });
+      expect(io.emit).toHaveBeenCalledWith('production:update', expect.objectContaining({ machineId: 4, totalProduction: 1025 }));
+    });
+
+    test('should ignore machines calculated by BPM or counter', async () => {
+      mockQueries();
+
+      expect(await productionEngine.recordManualProduction(4, 25, 7, at(9))).toBeNull();
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('publishMachine', () => {
+    test('should emit the stored shift total without calculating new production', async () => {
+      mockQueries({ machines: [machineRow({ status: 'PARADA' })] });
+
+      const payload = await productionEngine.publishMachine(4, at(9));
+
+      expect(shiftUpdateParams()).toBeUndefined();
+      expect(payload).toMatchObject({ machineId: 4, status: 'PARADA', totalProduction: 1000, increment: 0, productionSpeed: 60, targetProduction: 40000 });
+      expect(io.emit).toHaveBeenCalledWith('production:update', payload);
+    });
+
+    test('should publish zero production before the first calculation of the shift', async () => {
+      mockQueries({ shifts: [] });
+
+      const payload = await productionEngine.publishMachine(4, at(8));
+
+      expect(payload).toMatchObject({ shiftDataId: null, operatorId: 7, operatorName: 'Ana', totalProduction: 0, status: 'FUNCIONANDO' });
+    });
+
+    test('should never throw to the operation flow', async () => {
+      pool.query.mockRejectedValue(new Error('connection terminated'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await expect(productionEngine.publishMachine(4, at(9))).resolves.toBeNull();
+      expect(io.emit).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
+  });
+});
@@ -0,0 +1,222 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+
+const pool = require('../config/database');
+const auditLogger = require('../services/auditLogger');
+const {
+  summarizeShiftEvents,
+  buildPopupCounts,
+  recordAdjustment,
+  replay
+} = require('../services/productionLedgerService');
+
+const at = (hours, minutes = 0, day = 1) => new Date(2024, 2, day, hours, minutes);
+
+// Cliente de transação que responde por trecho do SQL
+const mockClient = (handlers = {}) => {
+  const client = {
+    query: jest.fn((sql) => {
+      const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+      const handler = key ? handlers[key] : { rows: [] };
+      return handler instanceof Error ? Promise.reject(handler) : Promise.resolve(handler);
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Production Ledger Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('summarizeShiftEvents', () => {
+    test('should add increments and corrections and keep scrap apart', () => {
+      const totals = summarizeShiftEvents([
+        { shift_data_id: 31, event_type: 'INCREMENT', quantity: '600.500' },
+        { shift_data_id: 31, event_type: 'INCREMENT', quantity: '399.500' },
+        { shift_data_id: 31, event_type: 'CORRECTION', quantity: '-50' },
+        { shift_data_id: 31, event_type: 'SCRAP', quantity: '12' },
+        { shift_data_id: 32, event_type: 'INCREMENT', quantity: '10' },
+        { shift_data_id: null, event_type: 'INCREMENT', quantity: '99' }
+      ]);
+
+      expect(totals.get(31)).toEqual({ produced: 1000, corrections: -50, scrap: 12, totalProduction: 950 });
+      expect(totals.get(32).totalProduction).toBe(10);
+      expect(totals.size).toBe(2);
+    });
+  });
+
+  describe('buildPopupCounts', () => {
+    test('should count whole pieces per day since the last reset', () => {
+      const counts = buildPopupCounts([
+        { machine_id: 4, event_type: 'INCREMENT', quantity: '40.5', occurred_at: at(8) },
+        { machine_id: 4, event_type: 'COUNTER_RESET', quantity: null, occurred_at: at(9) },
+        { machine_id: 4, event_type: 'INCREMENT', quantity: '30.7', occurred_at: at(10) },
+        { machine_id: 4, event_type: 'INCREMENT', quantity: '5', occurred_at: at(8, 0, 2) },
+        { machine_id: 5, event_type: 'INCREMENT', quantity: '7', occurred_at: at(8) }
+      ]);
+
+      expect(counts.get('4|2024-03-01')).toBe(30);
+      expect(counts.get('4|2024-03-02')).toBe(5);
+      expect(counts.get('5|2024-03-01')).toBe(7);
+    });
+  });
+
+  describe('recordAdjustment', () => {
+    const shiftRow = { id: 31, operator_id: 7, total_production: 1000, is_locked: false };
+
+    test('should record a correction and apply it to the shift total', async () => {
+      const client = mockClient({
+        'FROM shift_data': { rows: [shiftRow] },
+        'INSERT INTO production_events': { rows: [{ id: 90, machine_id: 4, event_type: 'CORRECTION', quantity: '-40', shift_data_id: 31 }] }
+      });
+
+      const event = await recordAdjustment(
+        { machineId: 4, type: 'CORRECTION', quantity: -40, reason: 'Contagem dobrada no CLP', occurredAt: at(10) },
+        2
+      );
+
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO production_events'));
+      expect(insert[1].slice(0, 8)).toEqual([4, 'CORRECTION', -40, null, 'LEADER', 31, 7, 2]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET total_production = COALESCE(total_production, 0) + $1'), [-40, 31]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'PRODUCTION_EVENT_RECORDED',
+        metadata: expect.objectContaining({ shiftDate: '2024-03-01', shiftType: 'MORNING' })
+      }));
+      expect(event.quantity).toBe(-40);
+    });
+
+    test('should record scrap without changing the shift total', async () => {
+      const client = mockClient({
+        'FROM shift_data': { rows: [shiftRow] },
+        'INSERT INTO production_events': { rows: [{ id: 91, event_type: 'SCRAP', quantity: '15' }] }
+      });
+
+      await recordAdjustment({ machineId: 4, type: 'SCRAP', quantity: 15, reason: 'Rebarba', occurredAt: at(10) }, 2);
+
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('total_production'), expect.anything());
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET scrap_quantity = COALESCE(scrap_quantity, 0) + $1'), [15, 31]);
+    });
+
+    test('should refuse adjustments on reconciled shifts', async () => {
+      const client = mockClient({ 'FROM shift_data': { rows: [{ ...shiftRow, is_locked: true }] } });
+
+      await expect(recordAdjustment(
+        { machineId: 4, type: 'CORRECTION', quantity: 10, reason: 'Ajuste', occurredAt: at(10) },
+        2
+      )).rejects.toThrow('reabra a reconciliação');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should not let a correction turn the shift total negative', async () => {
+      mockClient({ 'FROM shift_data': { rows: [shiftRow] } });
+
+      await expect(recordAdjustment(
+        { machineId: 4, type: 'CORRECTION', quantity: -1500, reason: 'Ajuste', occurredAt: at(10) },
+        2
+      )).rejects.toThrow('negativa');
+    });
+  });
+
+  describe('replay', () => {
+    const replayRow = {
+      id: 5,
+      start_date: at(0),
+      end_date: at(0, 0, 2),
+      status: 'COMPLETED',
+      shifts_rebuilt: 1,
+      shifts_skipped: 1,
+      counters_rebuilt: 1,
+      changes: [{ shiftDataId: 31, previous: 1200, rebuilt: 950 }]
+    };
+
+    test('should rebuild unlocked shifts and popup counters from the ledger', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [replayRow] });
+      const client = mockClient({
+        'FROM shift_data': {
+          rows: [
+            { id: 31, machine_id: 4, shift_date: at(0), shift_type: 'MORNING', total_production: 1200, scrap_quantity: 0, is_locked: false },
+            { id: 33, machine_id: 4, shift_date: at(0), shift_type: 'NIGHT', total_production: 800, is_locked: true }
+          ]
+        },
+        'WHERE shift_data_id = ANY': {
+          rows: [
+            { shift_data_id: 31, event_type: 'INCREMENT', quantity: '1000' },
+            { shift_data_id: 31, event_type: 'CORRECTION', quantity: '-50' },
+            { shift_data_id: 31, event_type: 'SCRAP', quantity: '20' },
+            { shift_data_id: 33, event_type: 'INCREMENT', quantity: '500' }
+          ]
+        },
+        "event_type IN ('INCREMENT', 'COUNTER_RESET')": {
+          rows: [{ machine_id: 4, event_type: 'INCREMENT', quantity: '1000', occurred_at: at(10) }]
+        },
+        'UPDATE production_counters SET count = $1': { rows: [] }
+      });
+
+      const result = await replay({ startDate: '2024-03-01', endDate: '2024-03-02', machineId: 4 }, 1);
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET total_production = $1, scrap_quantity = $2'), [950, 20, 31]);
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('SET total_production = $1'), [500, 0, 33]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO production_counters'), [4, 1000, '2024-03-01']);
+
+      const completion = client.query.mock.calls.find(([sql]) => sql.includes("SET status = 'COMPLETED'"));
+      expect(completion[1].slice(0, 3)).toEqual([1, 1, 1]);
+      expect(JSON.parse(completion[1][3])).toEqual([
+        { shiftDataId: 31, machineId: 4, shiftDate: '2024-03-01', shiftType: 'MORNING', previous: 1200, rebuilt: 950, previousScrap: 0, rebuiltScrap: 20 }
+      ]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({ action: 'PRODUCTION_LEDGER_REPLAYED' }));
+      expect(result.shiftsSkipped).toBe(1);
+    });
+
+    test('should keep the recorded total of shifts without ledger events', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+        .mockResolvedValueOnce({ rows: [{ ...replayRow, shifts_rebuilt: 0, changes: [] }] });
+      const client = mockClient({
+        'FROM shift_data': {
+          rows: [{ id: 12, machine_id: 4, shift_date: at(0), shift_type: 'MORNING', total_production: 4300, scrap_quantity: 0, is_locked: false }]
+        },
+        'WHERE shift_data_id = ANY': { rows: [] },
+        "event_type IN ('INCREMENT', 'COUNTER_RESET')": { rows: [] }
+      });
+
+      await replay({ startDate: '2024-03-01', endDate: '2024-03-01', machineId: 4 }, 1);
+
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('SET total_production'), expect.anything());
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('UPDATE production_counters'), expect.anything());
+      const completion = client.query.mock.calls.find(([sql]) => sql.includes("SET status = 'COMPLETED'"));
+      expect(completion[1].slice(0, 3)).toEqual([0, 1, 0]);
+    });
+
+    test('should mark the replay as failed and roll back on errors', async () => {
+      pool.query.mockResolvedValue({ rows: [{ id: 5 }] });
+      const client = mockClient({ 'FROM shift_data': new Error('deadlock detected') });
+
+      await expect(replay({ startDate: '2024-03-01', endDate: '2024-03-01' }, 1)).rejects.toThrow('deadlock');
+
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'FAILED'"), ['deadlock detected', 5]);
+    });
+
+    test('should limit the replay period', async () => {
+      await expect(replay({ startDate: '2024-01-01', endDate: '2024-03-01' }, 1)).rejects.toThrow('Período máximo');
+      await expect(replay({ startDate: '2024-03-02', endDate: '2024-03-01' }, 1)).rejects.toThrow('Período inválido');
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+});
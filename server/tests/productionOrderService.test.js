@@ -0,0 +1,178 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+
+const pool = require('../config/database');
+const auditLogger = require('../services/auditLogger');
+const {
+  applyProgress,
+  rebuildProgress,
+  moveOrder,
+  setOrderStatus,
+  createOrder
+} = require('../services/productionOrderService');
+const { selectProductionOrder } = require('../middleware/productionOrderMiddleware');
+
+const orderRow = (overrides = {}) => ({
+  id: 12,
+  order_number: 'OP-0012',
+  product: 'Saco 30x40',
+  lot: 'L-2024-03',
+  planned_quantity: 1000,
+  produced_quantity: '0',
+  scrap_quantity: '0',
+  status: 'IN_PROGRESS',
+  machines: [{ machineId: 4, machineName: 'Máquina 04', sequence: 1 }],
+  ...overrides
+});
+
+// Cliente que responde por trecho do SQL
+const mockDb = (handlers = {}) => {
+  const db = {
+    query: jest.fn((sql) => {
+      const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+      const response = key ? handlers[key] : { rows: [] };
+      return Promise.resolve(typeof response === 'function' ? response() : response);
+    }),
+    release: jest.fn()
+  };
+  return db;
+};
+
+describe('Production Order Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('applyProgress', () => {
+    test('should complete the order when good parts reach the planned quantity', async () => {
+      const occurredAt = new Date(2024, 2, 1, 10);
+      const db = mockDb({
+        'SET produced_quantity = produced_quantity + $1': { rows: [orderRow({ produced_quantity: '1020', scrap_quantity: '20' })] },
+        "SET status = 'COMPLETED'": { rows: [orderRow({ produced_quantity: '1020', scrap_quantity: '20', status: 'COMPLETED', completed_at: occurredAt })] }
+      });
+
+      const progress = await applyProgress(12, { type: 'INCREMENT', quantity: 120, occurredAt }, db);
+
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('UPDATE production_orders'), [120, 0, 12]);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'COMPLETED'"), [12, occurredAt]);
+      expect(progress.completed).toBe(true);
+      expect(progress.order).toEqual(expect.objectContaining({ goodQuantity: 1000, progress: 100, status: 'COMPLETED' }));
+    });
+
+    test('should count scrap against the good parts without completing', async () => {
+      const db = mockDb({
+        'SET produced_quantity = produced_quantity + $1': { rows: [orderRow({ produced_quantity: '1000', scrap_quantity: '15' })] }
+      });
+
+      const progress = await applyProgress(12, { type: 'SCRAP', quantity: 15 }, db);
+
+      expect(db.query).toHaveBeenCalledWith(expect.any(String), [0, 15, 12]);
+      expect(db.query).toHaveBeenCalledTimes(1);
+      expect(progress).toEqual({ order: expect.objectContaining({ goodQuantity: 985, progress: 98.5 }), completed: false });
+    });
+
+    test('should only complete orders in production and ignore other events', async () => {
+      const db = mockDb({
+        'SET produced_quantity = produced_quantity + $1': { rows: [orderRow({ produced_quantity: '1500', status: 'PLANNED' })] }
+      });
+
+      expect((await applyProgress(12, { type: 'INCREMENT', quantity: 500 }, db)).completed).toBe(false);
+      expect(await applyProgress(12, { type: 'SPEED_CHANGE', quantity: null }, db)).toBeNull();
+      expect(db.query).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('rebuildProgress', () => {
+    test('should rewrite the totals from the order events', async () => {
+      const db = mockDb({
+        'FROM production_orders o': { rows: [{ id: 12, produced: '980.5', scrap: '12' }, { id: 13, produced: '0', scrap: '0' }] }
+      });
+
+      expect(await rebuildProgress([12, 13], db)).toBe(2);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET produced_quantity = $1'), [980.5, 12, 12]);
+      expect(db.query).toHaveBeenCalledWith(expect.stringContaining('SET produced_quantity = $1'), [0, 0, 13]);
+      expect(await rebuildProgress([], db)).toBe(0);
+    });
+  });
+
+  describe('moveOrder', () => {
+    test('should move the order to the requested position of the target queue', async () => {
+      pool.query.mockResolvedValue({ rows: [orderRow()] });
+      const client = mockDb({
+        'SELECT pom.order_id': () => ({ rows: client.query.mock.calls.filter(([sql]) => sql.includes('SELECT pom.order_id')).length === 1 ? [] : [{ order_id: 20 }, { order_id: 12 }, { order_id: 21 }] })
+      });
+      pool.connect.mockResolvedValue(client);
+
+      await moveOrder(12, { fromMachineId: 4, toMachineId: 5, position: 0 }, 2);
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('DELETE FROM production_order_machines'), [12, 4]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO production_order_machines'), [12, 5]);
+      const sequences = client.query.mock.calls
+        .filter(([sql]) => sql.includes('SET sequence = $1'))
+        .map(([, params]) => params);
+      expect(sequences).toEqual([[1, 12, 5], [2, 20, 5], [3, 21, 5]]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({ action: 'PRODUCTION_ORDER_MOVED' }));
+    });
+
+    test('should keep the order on the machine while it is in production', async () => {
+      pool.query.mockResolvedValue({ rows: [orderRow()] });
+      const client = mockDb({ 'FROM machine_operations': { rows: [{ id: 55 }] } });
+      pool.connect.mockResolvedValue(client);
+
+      await expect(moveOrder(12, { fromMachineId: 4, toMachineId: 5 }, 2)).rejects.toThrow('encerre a operação');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should refuse a machine that already has the order in its queue', async () => {
+      pool.query.mockResolvedValue({ rows: [orderRow({ machines: [{ machineId: 4 }, { machineId: 5 }] })] });
+
+      await expect(moveOrder(12, { fromMachineId: 4, toMachineId: 5 }, 2)).rejects.toThrow('já está na fila');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('setOrderStatus', () => {
+    test('should follow the allowed transitions', async () => {
+      pool.query.mockResolvedValue({ rows: [orderRow({ status: 'CANCELLED' })] });
+
+      await expect(setOrderStatus(12, 'COMPLETED', {}, 2)).rejects.toThrow('Ordem cancelada não pode ser alterada para concluída');
+    });
+  });
+
+  describe('createOrder', () => {
+    test('should reject duplicated order numbers', async () => {
+      pool.query.mockResolvedValue({ rows: [{ id: 12 }] });
+
+      await expect(createOrder({ orderNumber: 'OP-0012', product: 'Saco 30x40', plannedQuantity: 100 }, 2))
+        .rejects.toThrow('Já existe uma ordem');
+      expect(pool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('selectProductionOrder', () => {
+    test('should attach the chosen order without changing the machine configuration', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+        .mockResolvedValueOnce({ rows: [] })
+        .mockResolvedValueOnce({ rows: [orderRow({ status: 'RELEASED' })] });
+      const req = { params: { id: '4' }, body: { productionOrderId: 12 } };
+      const next = jest.fn();
+
+      await selectProductionOrder(req, {}, next);
+
+      expect(next).toHaveBeenCalledWith();
+      expect(req.productionOrder).toEqual(expect.objectContaining({ id: 12, product: 'Saco 30x40' }));
+      expect(pool.query).not.toHaveBeenCalledWith(expect.stringContaining('machine_configs'), expect.anything());
+    });
+  });
+});
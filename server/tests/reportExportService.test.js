@@ -0,0 +1,146 @@
+// O exceljs lê as constantes do fs ao carregar; o mock global de tests/setup.js não as tem
+jest.unmock('fs');
+
+const ExcelJS = require('exceljs');
+const {
+  toCSV,
+  toXLSX,
+  renderHTML,
+  buildFilename,
+  exportReport
+} = require('../services/reportExportService');
+const { buildReportDocument, REPORT_TYPES } = require('../services/reportDocuments');
+
+describe('Report Export Service Tests', () => {
+  const document = {
+    title: 'Trocas de Teflon',
+    filename: 'trocas-teflon',
+    filters: [{ label: 'Máquina', value: 'Máquina 01' }],
+    summary: [
+      { label: 'Total', value: 2 },
+      { label: 'Aprovação', value: 87.456, type: 'percent' }
+    ],
+    tables: [
+      {
+        title: 'Trocas',
+        columns: [
+          { key: 'machine.name', label: 'Máquina' },
+          { key: 'observations', label: 'Observações' },
+          { key: 'endTime', label: 'Fim', type: 'datetime', empty: 'Em andamento' }
+        ],
+        rows: [
+          { machine: { name: 'Máquina 01' }, observations: 'Teflon "novo", lote 12', endTime: null },
+          { machine: { name: 'Máquina 02' }, observations: '<b>ok</b>', endTime: null }
+        ]
+      }
+    ]
+  };
+
+  describe('toCSV', () => {
+    test('should write a BOM, headers and escaped quotes', () => {
+      const csv = toCSV(document).toString('utf8');
+
+      expect(csv.charCodeAt(0)).toBe(0xFEFF);
+      expect(csv).toContain('"Máquina","Observações","Fim"');
+      expect(csv).toContain('"Teflon ""novo"", lote 12"');
+      expect(csv).toContain('"Em andamento"');
+    });
+
+    test('should neutralize formulas in text cells and keep plain numbers', () => {
+      const csv = toCSV({
+        title: 'Paradas',
+        tables: [{
+          title: 'Paradas',
+          columns: [{ key: 'notes', label: 'Observações' }, { key: 'variance', label: 'Diferença' }],
+          rows: [
+            { notes: '=HYPERLINK("http://x","clique")', variance: -10 },
+            { notes: '+5+cmd|\' /C calc\'!A0', variance: '-12,5' },
+            { notes: '@SUM(A1:A2)', variance: '-3.5%' },
+            { notes: '\t=1+1', variance: 7 },
+            { notes: '-2+3', variance: '+4' }
+          ]
+        }]
+      }).toString('utf8');
+
+      expect(csv).toContain('"\'=HYPERLINK(""http://x"",""clique"")","-10"');
+      expect(csv).toContain('"\'+5+cmd|\' /C calc\'!A0","-12,5"');
+      expect(csv).toContain('"\'@SUM(A1:A2)","-3.5%"');
+      expect(csv).toContain('"\'\t=1+1","7"');
+      expect(csv).toContain('"\'-2+3","+4"');
+    });
+  });
+
+  describe('toXLSX', () => {
+    test('should create a summary sheet and one sheet per table', async () => {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(await toXLSX(document));
+
+      expect(workbook.worksheets.map(sheet => sheet.name)).toEqual(['Resumo', 'Trocas']);
+      const sheet = workbook.getWorksheet('Trocas');
+      expect(sheet.getRow(1).values.slice(1)).toEqual(['Máquina', 'Observações', 'Fim']);
+      expect(sheet.getCell('A2').value).toBe('Máquina 01');
+    });
+  });
+
+  describe('renderHTML', () => {
+    test('should render the branded layout and escape content', () => {
+      const html = renderHTML(document);
+
+      expect(html).toContain('Sistema ZARA');
+      expect(html).toContain('<h1>Trocas de Teflon</h1>');
+      expect(html).toContain('87.46%');
+      expect(html).toContain('&lt;b&gt;ok&lt;/b&gt;');
+      expect(html).not.toContain('<b>ok</b>');
+    });
+  });
+
+  describe('exportReport', () => {
+    test('should name files by report and date', async () => {
+      const result = await exportReport(document, 'csv');
+
+      expect(result.contentType).toBe('text/csv; charset=utf-8');
+      expect(result.filename).toMatch(/^relatorio-trocas-teflon-\d{4}-\d{2}-\d{2}\.csv$/);
+      expect(buildFilename({ title: 'Resumo de OEE' }, 'pdf', new Date('2024-01-10T12:00:00Z')))
+        .toBe('relatorio-resumo-de-oee-2024-01-10.pdf');
+    });
+
+    test('should reject unknown formats', async () => {
+      await expect(exportReport(document, 'doc')).rejects.toThrow('Formato de exportação não suportado');
+    });
+  });
+
+  describe('buildReportDocument', () => {
+    test('should provide a layout for every exportable report', () => {
+      expect(REPORT_TYPES).toEqual(expect.arrayContaining([
+        'quality-metrics',
+        'machine-operations',
+        'teflon-changes',
+        'executive-dashboard',
+        'operator-productivity',
+        'oee-summary'
+      ]));
+    });
+
+    test('should map OEE results into a machine table', () => {
+      const doc = buildReportDocument('oee-summary', {
+        summary: { totalMachines: 1, averageOEE: 72.5, averageAvailability: 90, averagePerformance: 85, averageQuality: 95 },
+        machines: [{
+          machineId: 1,
+          machineName: 'Máquina 01',
+          oee: 72.5,
+          availability: { percentage: 90 },
+          performance: { percentage: 85 },
+          quality: { percentage: 95 },
+          classification: { level: 'BOM' }
+        }]
+      });
+
+      const csv = toCSV(doc).toString('utf8');
+      expect(csv).toContain('"Máquina 01","72.5%","90%","85%","95%","BOM"');
+    });
+
+    test('should fail for reports without export layout', () => {
+      expect(() => buildReportDocument('unknown', {})).toThrow('Relatório sem layout de exportação');
+    });
+  });
+});
@@ -0,0 +1,124 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({ AppError: class AppError extends Error {} }));
+jest.mock('../services/schedulerService', () => ({ scheduleJob: jest.fn(), stopJob: jest.fn() }));
+jest.mock('../services/emailService', () => ({ sendSubscriptionReport: jest.fn() }));
+jest.mock('../services/reportDataService', () => ({ getReportData: jest.fn() }));
+
+const pool = require('../config/database');
+const emailService = require('../services/emailService');
+const reportDataService = require('../services/reportDataService');
+const {
+  resolveDateWindow,
+  buildReportFilters,
+  isValidCronExpression,
+  runSubscription
+} = require('../services/reportSubscriptionService');
+
+describe('Report Subscription Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('resolveDateWindow', () => {
+    test('should resolve the previous shift during the morning shift', () => {
+      const now = new Date(2024, 0, 10, 10, 30);
+      const { startDate, endDate } = resolveDateWindow('PREVIOUS_SHIFT', now);
+
+      expect(startDate).toEqual(new Date(2024, 0, 9, 19, 0));
+      expect(endDate).toEqual(new Date(2024, 0, 10, 7, 0));
+    });
+
+    test('should resolve the previous shift after midnight', () => {
+      const now = new Date(2024, 0, 10, 3, 0);
+      const { startDate, endDate } = resolveDateWindow('PREVIOUS_SHIFT', now);
+
+      expect(startDate).toEqual(new Date(2024, 0, 9, 7, 0));
+      expect(endDate).toEqual(new Date(2024, 0, 9, 19, 0));
+    });
+
+    test('should resolve calendar windows', () => {
+      const now = new Date(2024, 2, 15, 8, 0);
+
+      expect(resolveDateWindow('YESTERDAY', now)).toEqual({
+        startDate: new Date(2024, 2, 14),
+        endDate: new Date(2024, 2, 15)
+      });
+      expect(resolveDateWindow('PREVIOUS_MONTH', now)).toEqual({
+        startDate: new Date(2024, 1, 1),
+        endDate: new Date(2024, 2, 1)
+      });
+      expect(resolveDateWindow('LAST_7_DAYS', now).startDate)
+        .toEqual(new Date(now.getTime() - 7 * 24 * 60 * 60 * 1000));
+    });
+
+    test('should reject unknown windows', () => {
+      expect(() => resolveDateWindow('NEXT_WEEK')).toThrow('Janela de data desconhecida');
+    });
+  });
+
+  describe('buildReportFilters', () => {
+    test('should map machines to single and list filters', () => {
+      const now = new Date(2024, 0, 10, 10, 30);
+
+      expect(buildReportFilters({ machineIds: [3], dateWindow: 'LAST_24_HOURS' }, now)).toMatchObject({
+        machineId: '3',
+        machineIds: '3',
+        endDate: now.toISOString()
+      });
+      expect(buildReportFilters({ machineIds: [1, 2] }, now)).toMatchObject({
+        machineId: undefined,
+        machineIds: '1,2'
+      });
+    });
+  });
+
+  describe('isValidCronExpression', () => {
+    test('should validate cron expressions', () => {
+      expect(isValidCronExpression('0 7 * * 1')).toBe(true);
+      expect(isValidCronExpression('todo dia')).toBe(false);
+    });
+  });
+
+  describe('runSubscription', () => {
+    const subscription = {
+      id: 5,
+      name: 'OEE semanal',
+      reportType: 'oee-summary',
+      filters: { dateWindow: 'LAST_7_DAYS' },
+      format: 'csv',
+      recipients: ['gestor@zara.com']
+    };
+
+    test('should store a snapshot and email the exported file', async () => {
+      reportDataService.getReportData.mockResolvedValue({
+        summary: { totalMachines: 0, averageOEE: 0, averageAvailability: 0, averagePerformance: 0, averageQuality: 0 },
+        machines: []
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ id: 42 }] }).mockResolvedValueOnce({ rows: [] });
+      emailService.sendSubscriptionReport.mockResolvedValue({ success: true });
+
+      const result = await runSubscription(subscription);
+
+      expect(result.reportId).toBe(42);
+      expect(pool.query.mock.calls[0][0]).toContain('INSERT INTO reports');
+      expect(pool.query.mock.calls[0][1]).toEqual(expect.arrayContaining(['oee-summary', 5, 'csv']));
+      expect(Buffer.isBuffer(pool.query.mock.calls[0][1][6])).toBe(true);
+      expect(pool.query.mock.calls[1][1]).toEqual(expect.arrayContaining(['SUCCESS', 5]));
+
+      const [, file, recipients] = emailService.sendSubscriptionReport.mock.calls[0];
+      expect(file.filename).toMatch(/^relatorio-resumo-oee-.*\.csv$/);
+      expect(Buffer.isBuffer(file.buffer)).toBe(true);
+      expect(file.reportId).toBe(42);
+      expect(recipients).toEqual(['gestor@zara.com']);
+    });
+
+    test('should record failures on the subscription', async () => {
+      reportDataService.getReportData.mockRejectedValue(new Error('banco indisponível'));
+      pool.query.mockResolvedValue({ rows: [] });
+
+      await expect(runSubscription(subscription)).rejects.toThrow('banco indisponível');
+      expect(pool.query.mock.calls[0][0]).toContain("last_status = 'FAILED'");
+      expect(pool.query.mock.calls[0][1]).toEqual(expect.arrayContaining(['banco indisponível', 5]));
+    });
+  });
+});
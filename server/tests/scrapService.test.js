@@ -0,0 +1,140 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+
+const pool = require('../config/database');
+const auditLogger = require('../services/auditLogger');
+const { recordScrap, buildScrapReport } = require('../services/scrapService');
+
+const operator = { id: 7, role: 'OPERATOR' };
+const reasonRow = { id: 3, code: 'SCR-SOLDA', name: 'Solda aberta ou fraca', applies_to: null, is_active: true };
+const shiftRow = { id: 31, operator_id: 7, total_production: 1000, is_locked: false };
+
+// Consultas fora da transação: motivo e operação ativa
+const mockLookups = ({ reason = reasonRow, operation = { id: 55, user_id: 7 } } = {}) => {
+  pool.query.mockImplementation((sql) => {
+    if (sql.includes('FROM scrap_reasons')) return Promise.resolve({ rows: reason ? [reason] : [] });
+    if (sql.includes('FROM machine_operations')) return Promise.resolve({ rows: operation ? [operation] : [] });
+    return Promise.resolve({ rows: [] });
+  });
+};
+
+// Cliente de transação que responde por trecho do SQL
+const mockClient = (handlers = {}) => {
+  const client = {
+    query: jest.fn((sql) => {
+      const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+      return Promise.resolve(key ? handlers[key] : { rows: [] });
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Scrap Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('recordScrap', () => {
+    test('should record scrap in the ledger and in the shift totals', async () => {
+      mockLookups();
+      const client = mockClient({
+        'FROM shift_data': { rows: [shiftRow] },
+        'INSERT INTO production_events': { rows: [{ id: 90, event_type: 'SCRAP', quantity: '12' }] },
+        'INSERT INTO scrap_records': { rows: [{ id: 4, machine_id: 2, record_type: 'SCRAP', quantity: 12, shift_data_id: 31, production_event_id: '90' }] }
+      });
+
+      const record = await recordScrap({ machineId: 2, type: 'SCRAP', reasonId: 3, quantity: 12 }, operator);
+
+      const ledgerInsert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO production_events'));
+      expect(ledgerInsert[1].slice(0, 9)).toEqual([2, 'SCRAP', 12, null, 'OPERATOR', 31, 7, 7, 'Solda aberta ou fraca']);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET scrap_quantity = COALESCE(scrap_quantity, 0) + $1'), [12, 31]);
+      const recordInsert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO scrap_records'));
+      expect(recordInsert[1].slice(0, 9)).toEqual([2, 55, 31, 'SCRAP', 3, 12, null, null, 90]);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({ action: 'SCRAP_RECORDED' }));
+      expect(record).toEqual(expect.objectContaining({ id: 4, productionEventId: 90, reasonCode: 'SCR-SOLDA' }));
+    });
+
+    test('should keep rework out of the ledger', async () => {
+      mockLookups();
+      const client = mockClient({
+        'FROM shift_data': { rows: [shiftRow] },
+        'INSERT INTO scrap_records': { rows: [{ id: 5, record_type: 'REWORK', quantity: 8 }] }
+      });
+
+      await recordScrap({ machineId: 2, type: 'REWORK', reasonId: 3, quantity: 8 }, operator);
+
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO production_events'), expect.anything());
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET rework_quantity = COALESCE(rework_quantity, 0) + $1'), [8, 31]);
+    });
+
+    test('should only let the machine operator record on the operation', async () => {
+      mockLookups({ operation: { id: 55, user_id: 9 } });
+
+      await expect(recordScrap({ machineId: 2, type: 'SCRAP', reasonId: 3, quantity: 1 }, operator))
+        .rejects.toThrow('Apenas o operador');
+      expect(pool.connect).not.toHaveBeenCalled();
+
+      mockClient({
+        'FROM shift_data': { rows: [shiftRow] },
+        'INSERT INTO production_events': { rows: [{ id: 91 }] },
+        'INSERT INTO scrap_records': { rows: [{ id: 6 }] }
+      });
+      await expect(recordScrap({ machineId: 2, type: 'SCRAP', reasonId: 3, quantity: 1 }, { id: 2, role: 'LEADER' }))
+        .resolves.toEqual(expect.objectContaining({ id: 6 }));
+    });
+
+    test('should reject reasons that do not apply to the record type', async () => {
+      mockLookups({ reason: { ...reasonRow, applies_to: 'REWORK' } });
+
+      await expect(recordScrap({ machineId: 2, type: 'SCRAP', reasonId: 3, quantity: 1 }, operator))
+        .rejects.toThrow('Motivo não se aplica a refugo');
+    });
+
+    test('should refuse records on reconciled shifts', async () => {
+      mockLookups();
+      const client = mockClient({ 'FROM shift_data': { rows: [{ ...shiftRow, is_locked: true }] } });
+
+      await expect(recordScrap({ machineId: 2, type: 'SCRAP', reasonId: 3, quantity: 1 }, operator))
+        .rejects.toThrow('reabra a reconciliação');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('buildScrapReport', () => {
+    test('should compute rates per machine and rank reasons', () => {
+      const report = buildScrapReport({
+        startTime: new Date(2024, 2, 1),
+        endTime: new Date(2024, 2, 2),
+        production: [
+          { machine_id: 1, machine_name: 'Máquina 01', produced: '1000', scrap: '50' },
+          { machine_id: 2, machine_name: 'Máquina 02', produced: '500', scrap: '5' }
+        ],
+        rework: [{ machine_id: 2, machine_name: 'Máquina 02', rework: '10' }],
+        reasons: [
+          { type: 'SCRAP', code: 'SCR-CORTE', name: 'Corte fora de medida', quantity: '15', occurrences: '2' },
+          { type: 'SCRAP', code: 'SCR-SOLDA', name: 'Solda aberta ou fraca', quantity: '40', occurrences: '3' },
+          { type: 'REWORK', code: 'RWK-RESSOLDA', name: 'Ressolda manual', quantity: '10', occurrences: '1' }
+        ]
+      });
+
+      expect(report.totals).toEqual({ produced: 1500, scrap: 55, rework: 10, scrapRate: 3.67, reworkRate: 0.67 });
+      expect(report.byMachine[0]).toEqual(expect.objectContaining({ machineId: 1, scrapRate: 5, reworkRate: 0 }));
+      expect(report.byMachine[1]).toEqual(expect.objectContaining({ machineId: 2, rework: 10, reworkRate: 2 }));
+      expect(report.scrapByReason.map(reason => reason.code)).toEqual(['SCR-SOLDA', 'SCR-CORTE']);
+      expect(report.scrapByReason[1].cumulativePercentage).toBe(100);
+      expect(report.reworkByReason).toHaveLength(1);
+    });
+  });
+});
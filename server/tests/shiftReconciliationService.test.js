@@ -0,0 +1,272 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/notificationService', () => ({
+  createAlert: jest.fn(),
+  getUsersByRole: jest.fn()
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/productionLedgerService', () => ({ recordEvent: jest.fn() }));
+jest.mock('../services/productionOrderService', () => ({ getOrderIdAt: jest.fn() }));
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const auditLogger = require('../services/auditLogger');
+const productionLedgerService = require('../services/productionLedgerService');
+const productionOrderService = require('../services/productionOrderService');
+const {
+  calculateVariance,
+  validateResolution,
+  submitCount,
+  resolveReconciliation,
+  reopenReconciliation
+} = require('../services/shiftReconciliationService');
+
+const reconciliationRow = (overrides = {}) => ({
+  id: 9,
+  machine_id: 4,
+  machine_name: 'Máquina 04',
+  shift_date: '2024-03-01',
+  shift_type: 'MORNING',
+  theoretical_quantity: '1000.00',
+  measured_quantity: null,
+  counted_quantity: 900,
+  variance: '-100.00',
+  variance_percent: '-10.00',
+  threshold_percent: '5.00',
+  status: 'FLAGGED',
+  resolution: null,
+  reconciled_quantity: null,
+  ...overrides
+});
+
+// Cliente de transação que responde por trecho do SQL
+const mockClient = (handlers = {}) => {
+  const client = {
+    query: jest.fn((sql) => {
+      const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+      return Promise.resolve(key ? handlers[key] : { rows: [] });
+    }),
+    release: jest.fn()
+  };
+  pool.connect.mockResolvedValue(client);
+  return client;
+};
+
+describe('Shift Reconciliation Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.SHIFT_RECONCILIATION_THRESHOLD_PERCENT;
+  });
+
+  describe('calculateVariance', () => {
+    test('should compute the signed variance relative to the theoretical production', () => {
+      expect(calculateVariance(1000, 960, 5)).toEqual({ variance: -40, variancePercent: -4, flagged: false });
+      expect(calculateVariance(1000, 1080, 5)).toEqual({ variance: 80, variancePercent: 8, flagged: true });
+    });
+
+    test('should flag any count when there is no theoretical production', () => {
+      expect(calculateVariance(0, 50, 5)).toMatchObject({ variancePercent: 100, flagged: true });
+      expect(calculateVariance(0, 0, 5)).toMatchObject({ variancePercent: 0, flagged: false });
+    });
+  });
+
+  describe('validateResolution', () => {
+    const flagged = { status: 'FLAGGED' };
+
+    test('should require a flagged shift and a justification', () => {
+      expect(() => validateResolution({ status: 'RECONCILED' }, { action: 'JUSTIFY', justification: 'x' })).toThrow('acima do limite');
+      expect(() => validateResolution(flagged, { action: 'JUSTIFY', justification: '  ' })).toThrow('Justificativa');
+    });
+
+    test('should require a corrected quantity when correcting', () => {
+      expect(() => validateResolution(flagged, { action: 'CORRECT', justification: 'Recontagem', correctedQuantity: null })).toThrow('corrigida');
+      expect(() => validateResolution(flagged, { action: 'CORRECT', justification: 'Recontagem', correctedQuantity: 950 })).not.toThrow();
+    });
+  });
+
+  describe('submitCount', () => {
+    const shiftAggregate = {
+      rows: [{ start_time: '2024-03-01T07:00:00', end_time: '2024-03-01T19:00:00', theoretical_quantity: '1000', records: '2' }]
+    };
+
+    test('should auto reconcile and lock the shift within the threshold', async () => {
+      const client = mockClient({
+        'FROM shift_data': shiftAggregate,
+        'FROM shift_reconciliations WHERE': { rows: [] },
+        'FROM shift_reconciliation_thresholds': { rows: [] },
+        'FROM machine_counter_readings': { rows: [{ readings: '0', total: '0' }] },
+        'INSERT INTO shift_reconciliations': { rows: [{ id: 9 }] }
+      });
+      pool.query.mockResolvedValue({
+        rows: [reconciliationRow({ counted_quantity: 980, status: 'RECONCILED', resolution: 'AUTO', reconciled_quantity: 980 })]
+      });
+
+      const result = await submitCount(
+        { machineId: 4, shiftDate: '2024-03-01', shiftType: 'MORNING', countedQuantity: 980 },
+        7,
+        new Date('2024-03-01T19:30:00')
+      );
+
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO shift_reconciliations'));
+      expect(insert[1]).toEqual(expect.arrayContaining(['RECONCILED', 'AUTO', 980]));
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET is_locked = $1'), [true, 4, '2024-03-01', 'MORNING']);
+      expect(client.query).toHaveBeenCalledWith('COMMIT');
+      expect(result.status).toBe('RECONCILED');
+      expect(notificationService.createAlert).not.toHaveBeenCalled();
+    });
+
+    test('should flag the shift and alert leaders above the threshold', async () => {
+      process.env.SHIFT_RECONCILIATION_THRESHOLD_PERCENT = '3';
+      const client = mockClient({
+        'FROM shift_data': shiftAggregate,
+        'FROM shift_reconciliations WHERE': { rows: [] },
+        'FROM shift_reconciliation_thresholds': { rows: [] },
+        'FROM machine_counter_readings': { rows: [{ readings: '12', total: '905' }] },
+        'INSERT INTO shift_reconciliations': { rows: [{ id: 9 }] }
+      });
+      pool.query.mockResolvedValue({ rows: [reconciliationRow({ measured_quantity: 905 })] });
+      notificationService.getUsersByRole.mockResolvedValue([{ id: 1 }]);
+
+      const result = await submitCount(
+        { machineId: 4, shiftDate: '2024-03-01', shiftType: 'MORNING', countedQuantity: 900 },
+        7,
+        new Date('2024-03-01T19:30:00')
+      );
+
+      const insert = client.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO shift_reconciliations'));
+      // teórico, medido pelo contador e contado
+      expect(insert[1].slice(3, 6)).toEqual([1000, 905, 900]);
+      expect(insert[1]).toContain('FLAGGED');
+      expect(insert[1][10]).toBe(3);
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('SET is_locked'), expect.anything());
+      expect(notificationService.createAlert).toHaveBeenCalledWith(
+        expect.objectContaining({ machine_id: 4, type: 'shift_reconciliation_9' }),
+        [1]
+      );
+      expect(result.measuredQuantity).toBe(905);
+    });
+
+    test('should reject counts for shifts still in progress', async () => {
+      const client = mockClient({ 'FROM shift_data': shiftAggregate });
+
+      await expect(submitCount(
+        { machineId: 4, shiftDate: '2024-03-01', shiftType: 'MORNING', countedQuantity: 900 },
+        7,
+        new Date('2024-03-01T15:00:00')
+      )).rejects.toThrow('em andamento');
+      expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should not accept a new count for a reconciled shift', async () => {
+      mockClient({
+        'FROM shift_data': shiftAggregate,
+        'FROM shift_reconciliations WHERE': { rows: [{ id: 9, status: 'RECONCILED' }] }
+      });
+
+      await expect(submitCount(
+        { machineId: 4, shiftDate: '2024-03-01', shiftType: 'MORNING', countedQuantity: 900 },
+        7,
+        new Date('2024-03-01T19:30:00')
+      )).rejects.toThrow('já reconciliado');
+    });
+  });
+
+  describe('resolveReconciliation', () => {
+    test('should store the corrected quantity, lock the shift and audit it', async () => {
+      pool.query
+        .mockResolvedValueOnce({ rows: [reconciliationRow()] })
+        .mockResolvedValueOnce({ rows: [reconciliationRow({ status: 'RECONCILED', resolution: 'CORRECTED', reconciled_quantity: 990 })] });
+      productionLedgerService.recordEvent.mockResolvedValue({ id: 77 });
+      const client = mockClient({ 'FROM shift_data': { rows: [{ id: 31, total_production: '1000', operator_id: 7, end_time: '2024-03-01T19:00:00Z' }] } });
+
+      const result = await resolveReconciliation(9, { action: 'CORRECT', justification: 'Caixa não lançada', correctedQuantity: 990 }, 2);
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'RECONCILED'"), ['CORRECTED', 'Caixa não lançada', 990, 2, 9]);
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET is_locked = $1'), [true, 4, '2024-03-01', 'MORNING']);
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'SHIFT_RECONCILIATION_RESOLVED',
+        resource: 'shift_reconciliation',
+        metadata: expect.objectContaining({ countedQuantity: 900, reconciledQuantity: 990, correctionEventId: 77 })
+      }));
+      expect(result.reconciledQuantity).toBe(990);
+    });
+
+    test('should apply the correction to the shift total through the ledger before locking', async () => {
+      pool.query.mockResolvedValue({ rows: [reconciliationRow()] });
+      productionLedgerService.recordEvent.mockResolvedValue({ id: 77 });
+      productionOrderService.getOrderIdAt.mockResolvedValue(12);
+      const client = mockClient({
+        'FROM shift_data': {
+          rows: [
+            { id: 31, total_production: '600', operator_id: 7, end_time: '2024-03-01T19:00:00Z' },
+            { id: 30, total_production: '400', operator_id: 8, end_time: '2024-03-01T19:00:00Z' }
+          ]
+        }
+      });
+
+      await resolveReconciliation(9, { action: 'CORRECT', justification: 'Caixa não lançada', correctedQuantity: 990 }, 2);
+
+      expect(productionLedgerService.recordEvent).toHaveBeenCalledWith(expect.objectContaining({
+        machineId: 4,
+        type: 'CORRECTION',
+        quantity: -10,
+        shiftDataId: 31,
+        productionOrderId: 12,
+        userId: 2
+      }), client);
+
+      const sqls = client.query.mock.calls.map(([sql]) => sql);
+      const totalUpdate = sqls.findIndex(sql => sql.includes('SET total_production = COALESCE(total_production, 0) + $1'));
+      const lock = sqls.findIndex(sql => sql.includes('SET is_locked = $1'));
+      expect(totalUpdate).toBeGreaterThan(-1);
+      expect(client.query.mock.calls[totalUpdate][1]).toEqual([-10, 31]);
+      expect(totalUpdate).toBeLessThan(lock);
+    });
+
+    test('should not write a correction event when the shift total already matches', async () => {
+      pool.query.mockResolvedValue({ rows: [reconciliationRow()] });
+      const client = mockClient({ 'FROM shift_data': { rows: [{ id: 31, total_production: '1000', end_time: '2024-03-01T19:00:00Z' }] } });
+
+      await resolveReconciliation(9, { action: 'CORRECT', justification: 'Contagem confirmada', correctedQuantity: 1000 }, 2);
+
+      expect(productionLedgerService.recordEvent).not.toHaveBeenCalled();
+      expect(client.query).not.toHaveBeenCalledWith(expect.stringContaining('SET total_production'), expect.anything());
+    });
+
+    test('should accept the counted quantity when justified', async () => {
+      pool.query.mockResolvedValue({ rows: [reconciliationRow()] });
+      const client = mockClient();
+
+      await resolveReconciliation(9, { action: 'JUSTIFY', justification: 'Perda na troca de bobina' }, 2);
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining("SET status = 'RECONCILED'"), ['JUSTIFIED', 'Perda na troca de bobina', 900, 2, 9]);
+      expect(productionLedgerService.recordEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reopenReconciliation', () => {
+    test('should unlock a reconciled shift', async () => {
+      pool.query.mockResolvedValue({ rows: [reconciliationRow({ status: 'RECONCILED', resolution: 'AUTO', reconciled_quantity: 900 })] });
+      const client = mockClient();
+
+      await reopenReconciliation(9, 'Contagem de caixas errada', 3);
+
+      expect(client.query).toHaveBeenCalledWith(expect.stringContaining('SET is_locked = $1'), [false, 4, '2024-03-01', 'MORNING']);
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({ action: 'SHIFT_RECONCILIATION_REOPENED' }));
+    });
+
+    test('should only reopen reconciled shifts', async () => {
+      pool.query.mockResolvedValue({ rows: [reconciliationRow()] });
+
+      await expect(reopenReconciliation(9, 'Motivo', 3)).rejects.toThrow('Apenas turnos reconciliados');
+    });
+  });
+});
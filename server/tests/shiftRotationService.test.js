@@ -0,0 +1,107 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/notificationService', () => ({ getUsersByRole: jest.fn() }));
+
+const pool = require('../config/database');
+const ShiftRotationService = require('../services/shiftRotationService');
+const { getOnShiftTeams } = require('../services/onCallService');
+
+const shiftRotationService = new ShiftRotationService();
+
+// Defasagens gravadas pela migração add_on_call_rotation.sql
+const OFFSETS = { A: 0, B: 3, C: 6, D: 9 };
+
+const mockTeams = () => {
+  pool.query.mockImplementation(async (sql, params) => {
+    if (sql.includes('member_count')) {
+      return { rows: Object.keys(OFFSETS).map(code => ({ team_code: code, team_name: `Equipe ${code}`, member_count: '1' })) };
+    }
+    const code = params[0];
+    return {
+      rows: [{
+        team_code: code,
+        cycle_offset_days: OFFSETS[code],
+        current_cycle: 1,
+        members: [{ id: code.charCodeAt(0), userId: code.charCodeAt(0), isLeader: true, isActive: true, user: { id: code.charCodeAt(0), name: code } }]
+      }]
+    };
+  });
+};
+
+describe('shiftRotationService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  test('cada equipe trabalha 3 dias, folga 3, trabalha 3 noites e folga 3', () => {
+    const start = new Date(2026, 9, 1, 12);
+    const shifts = Array.from({ length: 12 }, (_, i) => (
+      shiftRotationService.getCurrentShift(new Date(2026, 9, 1 + i, 12), 0)
+    ));
+
+    const firstDay = shiftRotationService.getCycleDayNumber(start, 0);
+    const expected = ['SHIFT_1', 'SHIFT_1', 'SHIFT_1', 'REST', 'REST', 'REST', 'SHIFT_2', 'SHIFT_2', 'SHIFT_2', 'REST', 'REST', 'REST'];
+    const rotated = [...expected.slice(firstDay - 1), ...expected.slice(0, firstDay - 1)];
+    expect(shifts).toEqual(rotated);
+  });
+
+  test('datas anteriores à referência seguem o mesmo ciclo', () => {
+    expect(shiftRotationService.getCycleDayNumber(new Date(2024, 0, 1), 0)).toBe(1);
+    expect(shiftRotationService.getCycleDayNumber(new Date(2023, 11, 31), 0)).toBe(12);
+    expect(shiftRotationService.getCycleDayNumber(new Date(2023, 11, 20), 0)).toBe(1);
+  });
+
+  test('em cada dia uma equipe cobre o turno diurno e outra o noturno', () => {
+    for (let i = 0; i < 24; i++) {
+      const date = new Date(2026, 9, 19 + i, 12);
+      const shifts = Object.values(OFFSETS).map(offset => shiftRotationService.getCurrentShift(date, offset));
+
+      expect(shifts.filter(shift => shift === 'SHIFT_1')).toHaveLength(1);
+      expect(shifts.filter(shift => shift === 'SHIFT_2')).toHaveLength(1);
+      expect(shifts.filter(shift => shift === 'REST')).toHaveLength(2);
+    }
+  });
+
+  test('exatamente uma equipe está em turno a cada instante', async () => {
+    mockTeams();
+
+    // 19/10/2026, de hora em hora ao longo de um ciclo completo, incluindo as madrugadas
+    for (let hour = 0; hour < 12 * 24; hour++) {
+      const now = new Date(2026, 9, 19, hour, 30);
+      const { teams } = await getOnShiftTeams(now);
+
+      expect(teams).toHaveLength(1);
+      const { startTime, endTime } = teams[0].shiftTimes;
+      expect(now >= startTime && now < endTime).toBe(true);
+    }
+  });
+
+  test('a noite iniciada no último dia de trabalho continua até as 07:00 do dia de folga', async () => {
+    mockTeams();
+
+    // Encontra o último dia noturno da equipe A e verifica a madrugada seguinte
+    let lastNight = new Date(2026, 9, 19, 12);
+    while (shiftRotationService.getCycleDayNumber(lastNight, OFFSETS.A) !== 9) {
+      lastNight = new Date(lastNight.getFullYear(), lastNight.getMonth(), lastNight.getDate() + 1, 12);
+    }
+    const dawn = new Date(lastNight.getFullYear(), lastNight.getMonth(), lastNight.getDate() + 1, 3);
+
+    expect(shiftRotationService.getCurrentShift(dawn, OFFSETS.A)).toBe('REST');
+    const { teams } = await getOnShiftTeams(dawn);
+    expect(teams.map(team => team.teamCode)).toEqual(['A']);
+    expect(teams[0].currentShift).toBe('SHIFT_2');
+  });
+});
@@ -0,0 +1,168 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({ AppError: class AppError extends Error {} }));
+jest.mock('../services/notificationService', () => ({ createAlert: jest.fn() }));
+
+const pool = require('../config/database');
+const notificationService = require('../services/notificationService');
+const {
+  individualsChart,
+  xbarRChart,
+  capability,
+  detectRuleViolations,
+  monitorTest
+} = require('../services/spcService');
+
+const rulesAt = (violations, index) => violations
+  .filter(violation => violation.index === index)
+  .map(violation => violation.rule);
+
+describe('SPC Service Tests', () => {
+  describe('individualsChart', () => {
+    test('should compute limits from the average moving range', () => {
+      const chart = individualsChart([10, 12, 11, 13, 12]);
+
+      // MR = [2, 1, 2, 1] => MR-barra 1.5, sigma = 1.5 / 1.128
+      expect(chart.center).toBe(11.6);
+      expect(chart.movingRange.center).toBe(1.5);
+      expect(chart.ucl).toBeCloseTo(11.6 + 3 * (1.5 / 1.128), 3);
+      expect(chart.lcl).toBeCloseTo(11.6 - 3 * (1.5 / 1.128), 3);
+      expect(chart.movingRange.ucl).toBeCloseTo(3.267 * 1.5, 3);
+      expect(chart.movingRange.points[0]).toBeNull();
+    });
+  });
+
+  describe('xbarRChart', () => {
+    test('should group consecutive measurements and ignore the incomplete subgroup', () => {
+      const chart = xbarRChart([10, 11, 12, 10, 12, 14, 99], 3);
+
+      expect(chart.points).toEqual([11, 12]);
+      expect(chart.range.points).toEqual([2, 4]);
+      expect(chart.center).toBe(11.5);
+      expect(chart.ucl).toBeCloseTo(11.5 + 1.023 * 3, 3);
+      expect(chart.range.ucl).toBeCloseTo(2.574 * 3, 3);
+      expect(chart.withinSigma).toBeCloseTo(3 / 1.693, 3);
+    });
+
+    test('should reject unsupported subgroup sizes', () => {
+      expect(() => xbarRChart([1, 2, 3], 11)).toThrow('Tamanho de subgrupo não suportado');
+    });
+  });
+
+  describe('capability', () => {
+    test('should compute Cp and Cpk against the specification', () => {
+      const result = capability([199, 200, 201], { min: 197, max: 203, nominal: 200 }, 1);
+
+      expect(result.cp).toBe(1);
+      expect(result.cpk).toBe(1);
+      expect(result.outOfSpec).toBe(0);
+    });
+
+    test('should penalize an off-center process in Cpk only', () => {
+      const result = capability([201, 202, 203], { min: 197, max: 203, nominal: 200 }, 1);
+
+      expect(result.cp).toBe(1);
+      expect(result.cpk).toBe(0.333);
+    });
+
+    test('should return null without specification', () => {
+      expect(capability([1, 2, 3], null, 1)).toBeNull();
+    });
+  });
+
+  describe('detectRuleViolations', () => {
+    test('should flag a point beyond 3 sigma', () => {
+      const violations = detectRuleViolations([0, 0.5, -0.5, 3.5], 0, 1);
+      expect(rulesAt(violations, 3)).toContain(1);
+    });
+
+    test('should flag a run of 9 points on the same side', () => {
+      const points = [0.2, 0.4, 0.3, 0.5, 0.1, 0.6, 0.3, 0.2, 0.4];
+      expect(rulesAt(detectRuleViolations(points, 0, 1), 8)).toContain(2);
+    });
+
+    test('should flag a trend of 6 increasing points', () => {
+      const points = [-0.5, -0.3, -0.1, 0.1, 0.3, 0.5];
+      expect(rulesAt(detectRuleViolations(points, 0, 1), 5)).toContain(3);
+    });
+
+    test('should flag 2 of 3 points beyond 2 sigma on the same side', () => {
+      const points = [2.5, 0, 2.2];
+      expect(rulesAt(detectRuleViolations(points, 0, 1), 2)).toContain(5);
+    });
+
+    test('should flag 4 of 5 points beyond 1 sigma on the same side', () => {
+      const points = [1.5, 1.2, 0.2, 1.8, 1.1];
+      expect(rulesAt(detectRuleViolations(points, 0, 1), 4)).toContain(6);
+    });
+
+    test('should flag alternating points and stratification', () => {
+      const alternating = Array.from({ length: 14 }, (_, i) => (i % 2 === 0 ? 0.5 : -0.5));
+      const violations = detectRuleViolations(alternating, 0, 1);
+      expect(rulesAt(violations, 13)).toContain(4);
+
+      const hugging = Array.from({ length: 15 }, (_, i) => (i % 2 === 0 ? 0.1 : -0.1));
+      expect(rulesAt(detectRuleViolations(hugging, 0, 1), 14)).toContain(7);
+    });
+
+    test('should flag 8 points outside 1 sigma on both sides', () => {
+      const points = [1.5, -1.5, 1.2, -1.3, 1.4, -1.1, 1.6, -1.2];
+      expect(rulesAt(detectRuleViolations(points, 0, 1), 7)).toContain(8);
+    });
+
+    test('should not flag a stable process', () => {
+      const points = [0.3, -0.4, 0.8, -0.2, 0.1, -0.9, 0.5, -0.6];
+      expect(detectRuleViolations(points, 0, 1)).toEqual([]);
+    });
+  });
+
+  describe('monitorTest', () => {
+    const mockMeasurements = (values) => {
+      pool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM quality_tests')) {
+          return {
+            rows: values.map((value, index) => ({
+              id: index + 1,
+              lot: 'L1',
+              box_number: String(index + 1),
+              value,
+              created_at: new Date(2024, 0, 1, 8, index)
+            }))
+          };
+        }
+        return { rows: [] };
+      });
+    };
+
+    const qualityTest = { machine_id: 1, product: 'Produto A', lot: 'L1', box_number: '12' };
+    const machine = { name: 'Máquina 01' };
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    test('should raise a critical alert when the last point is beyond the control limits', async () => {
+      mockMeasurements([200, 200.2, 199.9, 200.1, 199.8, 200, 200.2, 199.9, 200.1, 199.8, 203]);
+
+      const alerts = await monitorTest(qualityTest, machine);
+
+      expect(alerts).toHaveLength(5);
+      expect(notificationService.createAlert).toHaveBeenCalledWith(expect.objectContaining({
+        machine_id: 1,
+        lote: 'L1',
+        caixa: '12',
+        type: 'spc_packageWidth',
+        priority: 'critical',
+        message: expect.stringContaining('CEP - Largura da Embalagem fora de controle na Máquina 01')
+      }));
+    });
+
+    test('should not alert before enough measurements are collected', async () => {
+      mockMeasurements([200, 200.1, 215]);
+
+      const alerts = await monitorTest(qualityTest, machine);
+
+      expect(alerts).toEqual([]);
+      expect(notificationService.createAlert).not.toHaveBeenCalled();
+    });
+  });
+});
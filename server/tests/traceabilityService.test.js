@@ -0,0 +1,147 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), pool: {} }));
+
+const pool = require('../config/database');
+const {
+  parseMedia,
+  buildMachineWindows,
+  traceLot,
+  traceBox
+} = require('../services/traceabilityService');
+
+const testRow = (overrides = {}) => ({
+  id: 1,
+  machine_id: 1,
+  machine_name: 'Máquina 01',
+  user_id: 10,
+  user_name: 'Ana',
+  product: 'Produto A',
+  lot: 'L100',
+  box_number: '5',
+  approved: true,
+  images: '["/uploads/foto1.jpg"]',
+  videos: '[]',
+  created_at: '2024-03-01T10:00:00Z',
+  ...overrides
+});
+
+/**
+ * Responde as consultas do serviço de acordo com a tabela consultada
+ */
+const mockTables = (tables) => {
+  pool.query.mockImplementation(async (sql) => {
+    const table = Object.keys(tables).find(name => sql.includes(`FROM ${name}`));
+    return { rows: table ? tables[table] : [] };
+  });
+};
+
+describe('Traceability Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('parseMedia', () => {
+    test('should parse JSON arrays and ignore invalid values', () => {
+      expect(parseMedia('["a.jpg","b.jpg"]')).toEqual(['a.jpg', 'b.jpg']);
+      expect(parseMedia(['a.jpg'])).toEqual(['a.jpg']);
+      expect(parseMedia('não é json')).toEqual([]);
+      expect(parseMedia(null)).toEqual([]);
+    });
+  });
+
+  describe('buildMachineWindows', () => {
+    test('should span from the first to the last test of each machine', () => {
+      const windows = buildMachineWindows([
+        { machineId: 1, machineName: 'M1', createdAt: '2024-03-01T12:00:00Z' },
+        { machineId: 1, machineName: 'M1', createdAt: '2024-03-01T08:00:00Z' },
+        { machineId: 2, machineName: 'M2', createdAt: '2024-03-01T09:00:00Z' }
+      ]);
+
+      expect(windows).toHaveLength(2);
+      expect(windows[0]).toMatchObject({ machineId: 1, inProduction: false });
+      expect(windows[0].start.toISOString()).toBe('2024-03-01T08:00:00.000Z');
+      expect(windows[0].end.toISOString()).toBe('2024-03-01T12:00:00.000Z');
+    });
+
+    test('should keep the window open while the machine is still configured with the lot', () => {
+      const now = new Date('2024-03-02T00:00:00Z');
+      const windows = buildMachineWindows(
+        [{ machineId: 1, machineName: 'M1', createdAt: '2024-03-01T12:00:00Z' }],
+        [
+          { machine_id: 1, machine_name: 'M1', updated_at: '2024-03-01T07:00:00Z' },
+          { machine_id: 3, machine_name: 'M3', updated_at: '2024-03-01T20:00:00Z' }
+        ],
+        now
+      );
+
+      expect(windows[0]).toMatchObject({ machineId: 1, inProduction: true, end: now });
+      expect(windows[0].start.toISOString()).toBe('2024-03-01T07:00:00.000Z');
+      expect(windows[1]).toMatchObject({ machineId: 3, inProduction: true, end: now });
+    });
+  });
+
+  describe('traceLot', () => {
+    test('should return null when the lot has no records', async () => {
+      mockTables({});
+
+      expect(await traceLot('L999')).toBeNull();
+    });
+
+    test('should rebuild machines, operators, BPM, teflon, tests and alerts of the lot', async () => {
+      mockTables({
+        quality_tests: [
+          testRow(),
+          testRow({ id: 2, box_number: '6', approved: false, created_at: '2024-03-01T11:00:00Z' })
+        ],
+        machine_operations: [{
+          id: 7, user_id: 20, user_name: 'Bruno', user_role: 'OPERATOR',
+          team_code: 'A', team_name: 'Equipe A', start_time: '2024-03-01T07:00:00Z', end_time: null, status: 'ACTIVE'
+        }],
+        production_bmp_history: [{ bmp_value: '45.00', previous_bmp: '40.00', changed_at: '2024-03-01T06:00:00Z' }],
+        teflon_changes: [{
+          id: 3, teflon_type: 'Padrão', change_date: '2024-02-20T07:00:00Z',
+          expiry_date: '2024-03-01T10:30:00Z', photos: '[]'
+        }],
+        alerts: [{ id: 9, machine_id: 1, lote: 'L100', caixa: '6', type: 'quality_test', priority: 'critical' }]
+      });
+
+      const trace = await traceLot('L100');
+
+      expect(trace.lot).toBe('L100');
+      expect(trace.summary).toMatchObject({
+        boxes: ['5', '6'],
+        machines: 1,
+        qualityTests: 2,
+        approvedTests: 1,
+        rejectedTests: 1,
+        alerts: 1
+      });
+      expect(trace.machines[0].bpmHistory[0].bpm).toBe(45);
+      expect(trace.machines[0].teflon[0].expiredDuringWindow).toBe(true);
+      expect(trace.qualityTests[0].images).toEqual(['/uploads/foto1.jpg']);
+      expect(trace.operators).toEqual([
+        { id: 20, name: 'Bruno', teams: [{ code: 'A', name: 'Equipe A' }], activities: ['OPERATION'] },
+        { id: 10, name: 'Ana', teams: [], activities: ['QUALITY_TEST'] }
+      ]);
+    });
+  });
+
+  describe('traceBox', () => {
+    test('should filter the box by lot when informed', async () => {
+      mockTables({ quality_tests: [testRow()] });
+
+      const trace = await traceBox('5', { lot: 'L100' });
+
+      const [sql, params] = pool.query.mock.calls[0];
+      expect(sql).toContain('qt.lot = $2');
+      expect(params).toEqual(['5', 'L100']);
+      expect(trace).toMatchObject({ box: '5', lot: 'L100' });
+      expect(trace.machines[0].start).toEqual(trace.machines[0].end);
+    });
+
+    test('should return null when the box was not tested', async () => {
+      mockTables({});
+
+      expect(await traceBox('404')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,138 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('../services/oeeService', () => ({ calculateMultipleOEE: jest.fn() }));
+jest.mock('../services/andonService', () => ({ getCalls: jest.fn() }));
+jest.mock('../services/firstArticleService', () => ({ getRequests: jest.fn() }));
+jest.mock('../middleware/qualityTestMiddleware', () => ({ checkPendingTests: jest.fn() }));
+jest.mock('../services/shiftService', () => ({ getCurrentShiftWindow: jest.fn() }));
+
+const pool = require('../config/database');
+const shiftService = require('../services/shiftService');
+const { calculateMultipleOEE } = require('../services/oeeService');
+const andonService = require('../services/andonService');
+const firstArticleService = require('../services/firstArticleService');
+const { checkPendingTests } = require('../middleware/qualityTestMiddleware');
+const {
+  hashToken,
+  createWallboard,
+  findActiveWallboard,
+  buildShiftProgress,
+  getSnapshot
+} = require('../services/wallboardService');
+
+const window = {
+  shiftType: 'MORNING',
+  shiftDate: new Date(2024, 2, 1),
+  startTime: new Date(2024, 2, 1, 7),
+  endTime: new Date(2024, 2, 1, 19)
+};
+// Metade do turno decorrida
+const now = new Date(2024, 2, 1, 13);
+
+const manager = { id: 3, name: 'Carla', role: 'MANAGER' };
+
+// Consultas respondidas pelo primeiro trecho de SQL encontrado
+const mockQueries = (handlers = {}) => {
+  pool.query.mockImplementation((sql) => {
+    const key = Object.keys(handlers).find(fragment => sql.includes(fragment));
+    const response = key ? handlers[key] : { rows: [] };
+    return Promise.resolve(typeof response === 'function' ? response() : response);
+  });
+};
+
+describe('Wallboard Service Tests', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('tokens', () => {
+    test('should store only the hash and return the token once', async () => {
+      mockQueries({
+        'INSERT INTO wallboard_tokens': () => ({ rows: [{ id: 1, name: 'TV Linha 1', token_prefix: 'abcd1234', machine_ids: [4, 5], rotate_seconds: 15 }] })
+      });
+
+      const wallboard = await createWallboard({ name: ' TV Linha 1 ', machineIds: ['4', '5'], rotateSeconds: 15 }, manager);
+
+      const [, params] = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO wallboard_tokens'));
+      expect(wallboard.token).toMatch(/^[0-9a-f]{48}$/);
+      expect(params).toEqual(['TV Linha 1', hashToken(wallboard.token), wallboard.token.slice(0, 8), [4, 5], 15, 3]);
+      expect(params).not.toContain(wallboard.token);
+      expect(wallboard).not.toHaveProperty('tokenHash');
+    });
+
+    test('should reject unknown or revoked tokens', async () => {
+      mockQueries();
+
+      await expect(findActiveWallboard('desconhecido')).resolves.toBeNull();
+      await expect(findActiveWallboard(undefined)).resolves.toBeNull();
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('revoked_at IS NULL'), [hashToken('desconhecido')]);
+    });
+  });
+
+  describe('buildShiftProgress', () => {
+    test('should compare production with the target expected at this point of the shift', () => {
+      const progress = buildShiftProgress({
+        window,
+        now,
+        machines: [
+          { id: 4, name: 'Máquina 04', target_production: 900 },
+          { id: 5, name: 'Máquina 05', target_production: 600 }
+        ],
+        shiftRows: [{ machine_id: 4, total_production: '520', target_production: 1000 }]
+      });
+
+      expect(progress.elapsedPercent).toBe(50);
+      expect(progress.machines).toEqual([
+        expect.objectContaining({ machineId: 4, produced: 520, target: 1000, expected: 500, progressPercent: 52, onPace: true }),
+        expect.objectContaining({ machineId: 5, produced: 0, target: 600, expected: 300, progressPercent: 0, onPace: false })
+      ]);
+      expect(progress.totals).toEqual({ produced: 520, target: 1600, expected: 800, progressPercent: 32.5, onPace: false });
+    });
+  });
+
+  describe('getSnapshot', () => {
+    test('should gather only the machines of the wallboard', async () => {
+      shiftService.getCurrentShiftWindow.mockReturnValue(window);
+      mockQueries({
+        'FROM machines m': { rows: [{ id: 4, name: 'Máquina 04', status: 'FUNCIONANDO', target_production: 1000, operator_name: 'Ana' }] },
+        'FROM shift_data': { rows: [{ machine_id: 4, total_production: 400, target_production: 1000 }] },
+        'FROM alerts a': { rows: [
+          { id: 1, machine_id: 4, machine_name: 'Máquina 04', priority: 'info', message: 'Lote encerrado' },
+          { id: 2, machine_id: 4, machine_name: 'Máquina 04', priority: 'critical', message: 'Teflon vencido' }
+        ] },
+        'FROM quality_test_configs': { rows: [{ id: 8, machine_id: 4, test_name: 'Selagem' }] }
+      });
+      calculateMultipleOEE.mockResolvedValue([
+        { machineId: 4, oee: 72.5, availability: { percentage: 90 }, performance: { percentage: 85 }, quality: { percentage: 94.8 } }
+      ]);
+      checkPendingTests.mockResolvedValue([{ type: 'FREQUENCY', reason: 'Último teste há 3 horas' }]);
+      firstArticleService.getRequests.mockResolvedValue([
+        { id: 30, machineId: 4, machineName: 'Máquina 04', triggerLabel: 'Troca de produto', overdue: true },
+        { id: 31, machineId: 9, machineName: 'Máquina 09', triggerLabel: 'Troca de produto', overdue: false }
+      ]);
+      andonService.getCalls.mockResolvedValue([{ id: 12, machineId: 4 }, { id: 13, machineId: 9 }]);
+
+      const snapshot = await getSnapshot({ id: 1, name: 'TV Linha 1', machineIds: [4], rotateSeconds: 20 }, now);
+
+      expect(pool.query).toHaveBeenCalledWith(expect.stringContaining('m.id = ANY($1)'), [[4]]);
+      expect(calculateMultipleOEE).toHaveBeenCalledWith([4], window.startTime, now);
+      expect(snapshot.machines[0]).toEqual(expect.objectContaining({ id: 4, operatorName: 'Ana', oee: { oee: 72.5, availability: 90, performance: 85, quality: 94.8 } }));
+      expect(snapshot.shift.totals).toEqual(expect.objectContaining({ produced: 400, expected: 500, onPace: false }));
+      expect(snapshot.alerts.map(alert => alert.id)).toEqual([2, 1]);
+      expect(snapshot.pendingQualityTests).toEqual([
+        expect.objectContaining({ type: 'FREQUENCY', machineId: 4, description: 'Selagem' }),
+        expect.objectContaining({ type: 'FIRST_ARTICLE', requestId: 30, reason: 'Inspeção atrasada' })
+      ]);
+      expect(snapshot.andonCalls.map(call => call.id)).toEqual([12]);
+    });
+  });
+});
@@ -0,0 +1,207 @@
+jest.mock('../config/database', () => ({ query: jest.fn(), connect: jest.fn(), pool: {} }));
+jest.mock('../middleware/errorHandler', () => ({
+  AppError: class AppError extends Error {
+    constructor(message, statusCode) {
+      super(message);
+      this.statusCode = statusCode;
+    }
+  }
+}));
+jest.mock('../services/auditLogger', () => ({ logDataAccess: jest.fn() }));
+jest.mock('axios', () => ({ post: jest.fn(), get: jest.fn() }));
+
+const axios = require('axios');
+const pool = require('../config/database');
+const auditLogger = require('../services/auditLogger');
+const {
+  signPayload,
+  createSubscription,
+  publish,
+  retryDueDeliveries,
+  redeliver
+} = require('../services/webhookService');
+
+const subscriptionRow = (overrides = {}) => ({
+  id: 3,
+  name: 'ERP',
+  url: 'https://erp.zara.local/webhooks',
+  secret: 'segredo-do-erp',
+  event_types: ['machine:status:changed', 'teflon:changed'],
+  is_active: true,
+  created_by: 1,
+  ...overrides
+});
+
+const deliveryRow = (overrides = {}) => ({
+  id: 7,
+  subscription_id: 3,
+  event_id: '0f8c7a52-4b8e-4c53-9a3e-6d1f0f4b1c11',
+  event_type: 'teflon:changed',
+  payload: { id: '0f8c7a52-4b8e-4c53-9a3e-6d1f0f4b1c11', event: 'teflon:changed', data: { machineId: 2 } },
+  status: 'pending',
+  attempts: 0,
+  max_attempts: 8,
+  ...overrides
+});
+
+// A linha da entrega acompanha o INSERT e os UPDATEs, como no banco
+const mockQueries = ({ subscriptions = [subscriptionRow()], delivery = deliveryRow() } = {}) => {
+  let current = delivery;
+  const update = (changes) => {
+    current = { ...current, ...changes };
+    return Promise.resolve({ rows: [current] });
+  };
+
+  pool.query.mockImplementation((sql, params) => {
+    if (sql.includes('FROM webhook_subscriptions WHERE is_active')) {
+      return Promise.resolve({ rows: subscriptions });
+    }
+    if (sql.includes('INSERT INTO webhook_deliveries')) {
+      return update({ subscription_id: params[0], event_id: params[1], event_type: params[2], max_attempts: params[4] });
+    }
+    if (sql.includes('row_to_json(ws)')) {
+      return Promise.resolve({ rows: [{ ...current, subscription: subscriptions[0] }] });
+    }
+    if (sql.includes('attempts = 0')) {
+      return update({ status: 'pending', attempts: 0, max_attempts: params[1] });
+    }
+    if (sql.includes("SET status = 'delivered'")) {
+      return update({ status: 'delivered', attempts: current.attempts + 1, response_status: params[1] });
+    }
+    if (sql.includes('error_message = $6')) {
+      return update({ status: params[1], attempts: params[2], response_status: params[3], error_message: params[5], next_retry_at: params[6] });
+    }
+    return Promise.resolve({ rows: [current] });
+  });
+};
+
+const httpFailure = (status) => Object.assign(new Error(`Request failed with status code ${status}`), {
+  response: { status, data: { error: 'falha' } }
+});
+
+describe('webhookService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.WEBHOOK_MAX_ATTEMPTS;
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.error.mockRestore();
+  });
+
+  describe('createSubscription', () => {
+    it('recusa eventos que não existem na camada de socket', async () => {
+      await expect(createSubscription({ name: 'BI', url: 'https://bi.local', eventTypes: ['machine:deleted'] }, { id: 1 }))
+        .rejects.toMatchObject({ statusCode: 400 });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
+    it('gera o segredo e o devolve apenas na criação', async () => {
+      pool.query.mockImplementation((sql, params) => Promise.resolve({
+        rows: [subscriptionRow({ name: params[0], url: params[1], secret: params[2], event_types: params[3] })]
+      }));
+
+      const subscription = await createSubscription({ name: ' BI ', url: 'https://bi.local/hook', eventTypes: ['alert:created'] }, { id: 1 });
+
+      expect(subscription.secret).toMatch(/^[0-9a-f]{64}$/);
+      expect(subscription.name).toBe('BI');
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'WEBHOOK_SUBSCRIPTION_CREATED',
+        metadata: { url: 'https://bi.local/hook', eventTypes: ['alert:created'] }
+      }));
+      expect(JSON.stringify(auditLogger.logDataAccess.mock.calls[0][0])).not.toContain(subscription.secret);
+    });
+  });
+
+  describe('publish', () => {
+    it('não cria entregas quando ninguém assina o evento', async () => {
+      mockQueries({ subscriptions: [] });
+
+      await expect(publish('operation:started', { machineId: 2 })).resolves.toBe(0);
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('nunca lança erro para o fluxo de produção', async () => {
+      pool.query.mockRejectedValue(new Error('relation "webhook_subscriptions" does not exist'));
+
+      await expect(publish('teflon:changed', { machineId: 2 })).resolves.toBe(0);
+    });
+
+    it('assina o corpo com o segredo da assinatura', async () => {
+      mockQueries();
+      axios.post.mockResolvedValue({ status: 200, data: 'ok' });
+
+      await expect(publish('teflon:changed', { machineId: 2, operator: 'Ana' })).resolves.toBe(1);
+
+      const [url, body, { headers }] = axios.post.mock.calls[0];
+      expect(url).toBe('https://erp.zara.local/webhooks');
+      expect(JSON.parse(body)).toMatchObject({ event: 'teflon:changed', data: { machineId: 2, operator: 'Ana' } });
+      expect(headers['X-Zara-Event']).toBe('teflon:changed');
+      expect(headers['X-Zara-Event-Id']).toBe(JSON.parse(body).id);
+      expect(headers['X-Zara-Signature']).toBe(signPayload('segredo-do-erp', headers['X-Zara-Timestamp'], body));
+    });
+
+    it('agenda nova tentativa com backoff quando o destino está fora do ar', async () => {
+      mockQueries();
+      axios.post.mockRejectedValue(httpFailure(503));
+
+      const before = Date.now();
+      await publish('teflon:changed', { machineId: 2 });
+
+      const failure = pool.query.mock.calls.find(([sql]) => sql.includes('error_message = $6'));
+      expect(failure[1].slice(0, 4)).toEqual([7, 'retrying', 1, 503]);
+      expect(failure[1][6].getTime()).toBeGreaterThanOrEqual(before + 60 * 1000);
+    });
+
+    it('manda direto para as mortas quando o destino recusa o evento', async () => {
+      mockQueries();
+      axios.post.mockRejectedValue(httpFailure(404));
+
+      await publish('teflon:changed', { machineId: 2 });
+
+      const failure = pool.query.mock.calls.find(([sql]) => sql.includes('error_message = $6'));
+      expect(failure[1]).toEqual([7, 'dead', 1, 404, '{"error":"falha"}', expect.stringContaining('404'), null]);
+    });
+  });
+
+  describe('retryDueDeliveries', () => {
+    it('encerra como morta quando as tentativas se esgotam', async () => {
+      const due = deliveryRow({ status: 'retrying', attempts: 7 });
+      mockQueries({ delivery: due });
+      pool.query
+        .mockImplementationOnce(() => Promise.resolve({ rows: [due] }))
+        .mockImplementationOnce(() => Promise.resolve({ rows: [subscriptionRow()] }));
+      axios.post.mockRejectedValue(httpFailure(502));
+
+      await expect(retryDueDeliveries()).resolves.toBe(0);
+
+      const failure = pool.query.mock.calls.find(([sql]) => sql.includes('error_message = $6'));
+      expect(failure[1].slice(0, 3)).toEqual([7, 'dead', 8]);
+      expect(failure[1][6]).toBeNull();
+    });
+  });
+
+  describe('redeliver', () => {
+    it('não reenvia entregas ainda em andamento', async () => {
+      mockQueries({ delivery: deliveryRow({ status: 'retrying', attempts: 2 }) });
+
+      await expect(redeliver(7, { id: 1 })).rejects.toMatchObject({ statusCode: 400 });
+      expect(axios.post).not.toHaveBeenCalled();
+    });
+
+    it('reenvia uma entrega morta com um novo ciclo de tentativas', async () => {
+      mockQueries({ delivery: deliveryRow({ status: 'dead', attempts: 8 }) });
+      axios.post.mockResolvedValue({ status: 204, data: '' });
+
+      const delivery = await redeliver(7, { id: 1 });
+
+      expect(delivery.status).toBe('delivered');
+      expect(delivery.attempts).toBe(1);
+      expect(auditLogger.logDataAccess).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'WEBHOOK_REDELIVERED',
+        metadata: { deliveryId: 7, eventType: 'teflon:changed', status: 'delivered' }
+      }));
+    });
+  });
+});